@@ -1,6 +1,12 @@
 // Configuration settings for the Mosque Translation App backend
 require('dotenv').config();
 
+// Integer setting where 0 is a meaningful value; unset or unparsable falls back to the default
+const intOrDefault = (value, fallback) => {
+  const parsed = parseInt(value);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
 const config = {
   // Server Configuration
   port: process.env.PORT || 8080,
@@ -127,6 +133,81 @@ const config = {
     }
   },
   
+  // File Storage (sermon recordings and mosque photos)
+  storage: {
+    driver: process.env.STORAGE_DRIVER || 'local', // local | s3
+    signedUrlTtlSeconds: parseInt(process.env.STORAGE_SIGNED_URL_TTL) || 60 * 60,
+    signingSecret: process.env.STORAGE_SIGNING_SECRET || '', // defaults to the JWT secret
+    // Recordings are always captured here first; with s3 they are uploaded and removed once finished
+    local: {
+      recordingsDir: process.env.AUDIO_STORAGE_PATH || 'audio-recordings', // relative to backend/
+      uploadsDir: process.env.UPLOAD_DIR || 'uploads', // relative to backend/
+      archiveDir: process.env.ARCHIVE_STORAGE_PATH || 'audio-recordings-archive' // relative to backend/
+    },
+    // S3 storage class for archived recordings, e.g. STANDARD_IA or GLACIER_IR (empty keeps the bucket default)
+    archiveStorageClass: process.env.S3_ARCHIVE_STORAGE_CLASS || '',
+    // Any S3-compatible service: AWS S3, MinIO (set S3_ENDPOINT=http://localhost:9000), Cloudflare R2, ...
+    s3: {
+      bucket: process.env.S3_BUCKET || '',
+      region: process.env.S3_REGION || process.env.AWS_REGION || 'us-east-1',
+      endpoint: process.env.S3_ENDPOINT || '',
+      accessKeyId: process.env.S3_ACCESS_KEY_ID || process.env.AWS_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY || process.env.AWS_SECRET_ACCESS_KEY,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE ? process.env.S3_FORCE_PATH_STYLE === 'true' : !!process.env.S3_ENDPOINT,
+      prefix: process.env.S3_PREFIX || '' // e.g. mosque-app, objects become mosque-app/recordings/...
+    }
+  },
+
+  // Recording Post-Processing (ffmpeg cleanup of finished recordings, see AudioProcessingService)
+  audioProcessing: {
+    enabled: process.env.ENABLE_AUDIO_PROCESSING !== 'false',
+    pollIntervalMs: parseInt(process.env.AUDIO_PROCESSING_POLL_MS) || 30 * 1000,
+    maxAttempts: 3,
+    highpassHz: parseInt(process.env.AUDIO_HIGHPASS_HZ) || 80, // Removes rumble and handling noise below speech
+    noiseReduction: process.env.AUDIO_NOISE_REDUCTION !== 'false',
+    noiseFloorDb: -25, // afftdn estimate of the room's noise floor
+    // EBU R128 loudness normalisation; -16 LUFS is the usual target for spoken word on phones
+    loudness: {
+      integrated: parseFloat(process.env.AUDIO_LOUDNESS_TARGET) || -16,
+      truePeak: -1.5,
+      range: 11
+    },
+    // Silence before the first and after the last words is cut, pauses in between are kept
+    silence: {
+      thresholdDb: -50,
+      minSeconds: 1,
+      paddingSeconds: 0.3
+    },
+    // format:kbps pairs encoded from each recording; listeners get defaultVariant unless they ask for another
+    variants: process.env.AUDIO_VARIANTS || 'mp3:128,mp3:64,opus:48,opus:24',
+    defaultVariant: process.env.AUDIO_DEFAULT_VARIANT || 'mp3_128'
+  },
+
+  // Retention Jobs (archive old recordings, delete what mosques no longer keep, expire translation cache)
+  retention: {
+    enabled: process.env.ENABLE_RETENTION_JOBS !== 'false',
+    intervalMs: parseInt(process.env.RETENTION_INTERVAL_MS) || 6 * 60 * 60 * 1000,
+    // Defaults for mosques that have not set their own (User.recordingRetention)
+    archiveAfterDays: parseInt(process.env.RECORDING_ARCHIVE_DAYS) || 30,
+    deleteAfterDays: parseInt(process.env.RECORDING_DELETE_DAYS) || 0, // 0 keeps archived recordings forever
+    batchSize: 100, // Recordings handled per mosque and run
+    historyDays: 90 // Run reports kept for the admin endpoint
+  },
+
+  // Podcast Feeds (a mosque's public recordings as RSS for podcast apps)
+  podcast: {
+    // Feeds need absolute links; without this they are built from the host the request came in on
+    publicUrl: (process.env.PUBLIC_BASE_URL || '').replace(/\/+$/, ''),
+    maxEpisodes: parseInt(process.env.PODCAST_MAX_EPISODES) || 100,
+    category: 'Religion & Spirituality',
+    subcategory: 'Islam'
+  },
+
+  // Server Administration (retention reports and manual runs)
+  admin: {
+    emails: (process.env.ADMIN_EMAILS || '').split(',').map(e => e.trim().toLowerCase()).filter(Boolean)
+  },
+
   // Islamic Features Configuration
   islamic: {
     supportedLanguages: [
@@ -173,6 +254,16 @@ const config = {
       'Albanian': { code: 'sq', rtl: false, script: 'Latin', family: 'Indo-European' },
       'Bosnian': { code: 'bs', rtl: false, script: 'Latin', family: 'Slavic' }
     },
+    // Prayer time calculation a mosque can publish for its followers (names as in the adhan library)
+    calculationMethods: [
+      'MuslimWorldLeague', 'NorthAmerica', 'UmmAlQura', 'Egyptian', 'Karachi', 'Turkey',
+      'MoonsightingCommittee', 'Dubai', 'Kuwait', 'Qatar', 'Singapore', 'Tehran'
+    ],
+    asrMadhabs: ['shafi', 'hanafi'],
+    highLatitudeRules: ['auto', 'middleofthenight', 'seventhofthenight', 'twilightangle'],
+    prayers: ['fajr', 'sunrise', 'dhuhr', 'asr', 'maghrib', 'isha'],
+    iqamahPrayers: ['fajr', 'dhuhr', 'asr', 'maghrib', 'isha'],
+    maxJumuahSlots: 5,
 
   },
   
@@ -235,7 +326,10 @@ const config = {
   // Voice Recognition Settings
   voiceRecognition: {
     defaultProvider: process.env.VOICE_PROVIDER || 'munsit',
-    fallbackProviders: ['google', 'azure', 'whisper'],
+    // Tried in this order when the session's provider fails to start or drops out mid-session
+    fallbackProviders: (process.env.VOICE_FALLBACK_PROVIDERS || 'google,azure,whisper').split(',').map(p => p.trim()).filter(Boolean),
+    healthCheckIntervalMs: intOrDefault(process.env.VOICE_HEALTH_CHECK_INTERVAL_MS, 60 * 1000), // 0 disables
+    healthCheckTimeoutMs: 5000,
     chunkSize: 1024, // Audio chunk size in bytes
     sampleRate: 16000, // Sample rate for audio processing
     enableRealTime: true,
@@ -252,6 +346,16 @@ const config = {
       reconnectAttempts: 3,
       connectionTimeout: 10000,
       enableWordTimestamps: true
+    },
+    whisper: {
+      enabled: process.env.ENABLE_WHISPER_STT !== 'false'
+    },
+    // Replays a prepared transcript instead of recognizing audio (tests and demos), e.g. services/stt/sampleTranscript.json
+    replay: {
+      transcriptPath: process.env.STT_REPLAY_FILE || '', // relative to backend/
+      chunksPerSegment: parseInt(process.env.STT_REPLAY_CHUNKS_PER_SEGMENT) || 4,
+      chunkDurationMs: 250,
+      loop: process.env.STT_REPLAY_LOOP === 'true'
     }
   },
 
@@ -268,10 +372,83 @@ const config = {
     defaultProvider: process.env.DEFAULT_TRANSLATION_PROVIDER || 'google',
     defaultUserLanguage: process.env.DEFAULT_USER_LANGUAGE || 'de',
     supportedLanguages: (process.env.SUPPORTED_LANGUAGES || 'de,en,fr,es,it,pt,ru,tr,ar').split(','),
+    // Live sessions always translate into these when the mosque account lists no languages of its own
+    sessionDefaultLanguages: (process.env.SESSION_DEFAULT_LANGUAGES || 'en').split(',').map(l => l.trim()).filter(Boolean),
+    // Live lines kept per session so listeners who join late or reconnect can catch up
+    backfillLimit: parseInt(process.env.SESSION_BACKFILL_LIMIT) || 500,
     enableDualSubtitles: process.env.ENABLE_DUAL_SUBTITLES !== 'false',
     cacheTranslations: process.env.CACHE_TRANSLATIONS !== 'false'
   },
 
+  // Live Session State (active broadcasts, connected sockets, mosque status)
+  sessionState: {
+    backend: process.env.SESSION_STATE_BACKEND || 'memory', // memory | redis
+    redisUrl: process.env.REDIS_URL || 'redis://localhost:6379',
+    keyPrefix: process.env.SESSION_STATE_PREFIX || 'mosque-app',
+    serverId: process.env.SERVER_ID || '' // defaults to hostname:port
+  },
+
+  // Text-to-Speech Configuration (translated audio for listeners)
+  tts: {
+    enabled: process.env.ENABLE_TTS !== 'false',
+    defaultProvider: process.env.TTS_PROVIDER || 'offline',
+    // Empty list means every translated language gets audio
+    languages: (process.env.TTS_LANGUAGES || '').split(',').filter(Boolean),
+    voices: {}, // language code -> provider voice name
+    // Segments are deleted when their session ends; this ages out those of sessions that never ended cleanly
+    segmentMaxAgeMs: parseInt(process.env.TTS_SEGMENT_MAX_AGE_MS) || 24 * 60 * 60 * 1000,
+    openai: {
+      model: process.env.OPENAI_TTS_MODEL || 'tts-1',
+      voice: process.env.OPENAI_TTS_VOICE || 'alloy'
+    },
+    offline: {
+      binary: process.env.OFFLINE_TTS_BINARY || 'espeak-ng',
+      wordsPerMinute: parseInt(process.env.OFFLINE_TTS_WPM) || 150
+    }
+  },
+
+  // Quran Verse Detection (canonical ayah translations instead of machine translation)
+  quran: {
+    enabled: process.env.ENABLE_QURAN_MATCHING !== 'false',
+    // Languages allowed to use a stored verse translation; empty means every available edition
+    approvedTranslations: (process.env.QURAN_APPROVED_TRANSLATIONS || '').split(',').filter(Boolean),
+    customTranslationsDir: process.env.QURAN_TRANSLATIONS_DIR || 'data/quran/translations', // relative to backend/
+    minConfidence: parseFloat(process.env.QURAN_MIN_CONFIDENCE) || 0.6,
+    minSubstitutionCoverage: parseFloat(process.env.QURAN_MIN_COVERAGE) || 0.75
+  },
+
+  // Hadith Detection (narration tagging and collection/number lookup)
+  hadith: {
+    enabled: process.env.ENABLE_HADITH_DETECTION !== 'false',
+    indexFile: process.env.HADITH_INDEX_FILE || 'services/hadith/hadithIndex.json' // relative to backend/
+  },
+
+  // Terminology Glossary (applied around every translation provider call)
+  glossary: {
+    enabled: process.env.ENABLE_GLOSSARY !== 'false',
+    // Accounts allowed to edit the global glossary, in addition to their own mosque's
+    adminEmails: (process.env.GLOSSARY_ADMIN_EMAILS || '').split(',').map(e => e.trim().toLowerCase()).filter(Boolean),
+    cacheTtlMs: parseInt(process.env.GLOSSARY_CACHE_TTL_MS) || 60 * 1000
+  },
+
+  // Sermon Recap (summary built when a broadcast ends)
+  summary: {
+    enabled: process.env.ENABLE_SESSION_SUMMARY !== 'false',
+    // auto: OpenAI when an API key is configured, otherwise extractive (no network needed)
+    method: process.env.SESSION_SUMMARY_METHOD || 'auto',
+    maxKeyPoints: parseInt(process.env.SESSION_SUMMARY_KEY_POINTS) || 5,
+    maxTranscriptChars: 12000 // Transcript sent to OpenAI, longer sermons are sampled
+  },
+
+  // Scheduled Broadcasts (announced sessions and recurring Jumu'ah khutbahs)
+  schedule: {
+    enabled: process.env.ENABLE_SCHEDULED_BROADCASTS !== 'false',
+    checkIntervalMs: parseInt(process.env.SCHEDULE_CHECK_INTERVAL_MS) || 60 * 1000,
+    defaultReminderMinutes: parseInt(process.env.SCHEDULE_REMINDER_MINUTES) || 30,
+    feedWeeks: parseInt(process.env.SCHEDULE_FEED_WEEKS) || 12, // Occurrences published in the iCalendar feed
+    linkWindowMinutes: 30 // A broadcast started this close to a scheduled slot belongs to it
+  },
+
   // OpenAI Configuration (Translation Provider)
   openai: {
     apiKey: process.env.OPENAI_API_KEY || '',
@@ -286,6 +463,20 @@ const config = {
     region: process.env.AZURE_TRANSLATOR_REGION || 'global',
     speechKey: process.env.AZURE_SPEECH_KEY || '',
     speechRegion: process.env.AZURE_SPEECH_REGION || 'eastus'
+  },
+
+  // Offline Translation Provider (last resort when the prayer hall has no internet)
+  offlineTranslation: {
+    enabled: process.env.ENABLE_OFFLINE_TRANSLATION !== 'false',
+    // LibreTranslate-compatible model server on the local network, e.g. http://192.168.1.20:5000
+    endpoint: process.env.OFFLINE_TRANSLATION_URL || '',
+    apiKey: process.env.OFFLINE_TRANSLATION_API_KEY || '',
+    timeoutMs: parseInt(process.env.OFFLINE_TRANSLATION_TIMEOUT_MS) || 5000,
+    // Translation memory built from TranslationCache
+    memoryEntries: parseInt(process.env.OFFLINE_TRANSLATION_MEMORY_ENTRIES) || 5000,
+    memoryRefreshMs: parseInt(process.env.OFFLINE_TRANSLATION_MEMORY_REFRESH_MS) || 10 * 60 * 1000,
+    minCoverage: 0.6, // Share of words the memory must know before answering at all
+    maxPhraseWords: 4
   }
 };
 
@@ -3,6 +3,48 @@ const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const config = require('../config/config');
 
+// Roles within a mosque. The mosque account itself is the owner; staff sub-accounts
+// act on behalf of their mosque with one of these roles (see User.staffRole)
+const ROLE_PERMISSIONS = {
+  owner: ['manage_staff', 'broadcast', 'translate', 'review_translations', 'edit_content'],
+  broadcaster: ['broadcast', 'translate'],
+  translator: ['translate'],
+  moderator: ['translate', 'review_translations'],
+  content_editor: ['edit_content']
+};
+
+const MOSQUE_ROLES = Object.keys(ROLE_PERMISSIONS);
+
+const hasPermission = (role, permission) => {
+  return Boolean(role && ROLE_PERMISSIONS[role] && ROLE_PERMISSIONS[role].includes(permission));
+};
+
+// Which mosque a user acts for and in what role ({ mosqueId: null, mosqueRole: null } for individuals).
+// Returns null for staff whose mosque account is gone or deactivated
+const resolveMosqueAccess = async (user) => {
+  if (user.userType === 'mosque') {
+    return { mosqueId: user._id, mosqueRole: 'owner', mosqueName: user.mosqueName };
+  }
+  if (user.userType !== 'staff') {
+    return { mosqueId: null, mosqueRole: null, mosqueName: null };
+  }
+
+  const mosque = await User.findOne({ _id: user.mosqueId, userType: 'mosque', isActive: true }).select('mosqueName');
+  if (!mosque) {
+    return null;
+  }
+  return { mosqueId: mosque._id, mosqueRole: user.staffRole, mosqueName: mosque.mosqueName };
+};
+
+const setRequestUser = (req, user, access) => {
+  req.user = user;
+  req.userId = user._id;
+  req.userType = user.userType;
+  req.mosqueId = access.mosqueId;
+  req.mosqueRole = access.mosqueRole;
+  req.mosqueName = access.mosqueName;
+};
+
 // Middleware to verify JWT token
 const authenticateToken = async (req, res, next) => {
   try {
@@ -37,10 +79,16 @@ const authenticateToken = async (req, res, next) => {
       });
     }
     
+    const access = await resolveMosqueAccess(user);
+    if (!access) {
+      return res.status(401).json({
+        success: false,
+        message: 'Mosque account is deactivated'
+      });
+    }
+    
     // Add user to request object
-    req.user = user;
-    req.userId = user._id;
-    req.userType = user.userType;
+    setRequestUser(req, user, access);
     
     next();
   } catch (error) {
@@ -66,9 +114,9 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
-// Middleware to check if user is a mosque admin
+// Middleware to check if user is a mosque admin (the mosque account or a staff owner)
 const requireMosqueAdmin = (req, res, next) => {
-  if (req.userType !== 'mosque') {
+  if (req.mosqueRole !== 'owner') {
     return res.status(403).json({
       success: false,
       message: 'Access denied. Mosque admin privileges required.'
@@ -77,6 +125,28 @@ const requireMosqueAdmin = (req, res, next) => {
   next();
 };
 
+// Middleware to check the caller runs this server (accounts listed in ADMIN_EMAILS)
+const requireSystemAdmin = (req, res, next) => {
+  if (!req.user.email || !config.admin.emails.includes(req.user.email.toLowerCase())) {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied. Server administrator privileges required.'
+    });
+  }
+  next();
+};
+
+// Middleware to check the caller's mosque role allows an action, e.g. requireMosquePermission('broadcast')
+const requireMosquePermission = (permission) => (req, res, next) => {
+  if (!hasPermission(req.mosqueRole, permission)) {
+    return res.status(403).json({
+      success: false,
+      message: `Access denied. Your mosque role does not allow: ${permission.replace(/_/g, ' ')}.`
+    });
+  }
+  next();
+};
+
 // Middleware to check if user is an individual user
 const requireIndividualUser = (req, res, next) => {
   if (req.userType !== 'individual') {
@@ -122,10 +192,9 @@ const optionalAuth = async (req, res, next) => {
       const decoded = jwt.verify(token, config.jwt.secret);
       const user = await User.findById(decoded.userId).select('-password');
       
-      if (user && user.isActive) {
-        req.user = user;
-        req.userId = user._id;
-        req.userType = user.userType;
+      const access = user && user.isActive ? await resolveMosqueAccess(user) : null;
+      if (access) {
+        setRequestUser(req, user, access);
       }
     }
     
@@ -240,8 +309,14 @@ const requireCompleteProfile = (req, res, next) => {
 };
 
 module.exports = {
+  MOSQUE_ROLES,
+  ROLE_PERMISSIONS,
+  hasPermission,
+  resolveMosqueAccess,
   authenticateToken,
   requireMosqueAdmin,
+  requireMosquePermission,
+  requireSystemAdmin,
   requireIndividualUser,
   requireOwnershipOrAdmin,
   requireEmailVerification,
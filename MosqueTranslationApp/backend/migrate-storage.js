@@ -0,0 +1,160 @@
+#!/usr/bin/env node
+
+// Moves recordings and mosque photos from this server's disk to the configured storage driver
+// Usage: STORAGE_DRIVER=s3 S3_BUCKET=... npm run migrate-storage -- [--dry-run] [--keep-local]
+//   --dry-run     list what would move without uploading anything
+//   --keep-local  upload but leave the local files in place
+
+const fs = require('fs');
+const database = require('./database/database');
+const AudioRecording = require('./models/AudioRecording');
+const StorageService = require('./services/StorageService');
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const keepLocal = args.includes('--keep-local');
+
+async function removeLocalCopy(localPath) {
+  if (!keepLocal) {
+    await fs.promises.unlink(localPath).catch(error => {
+      console.warn(`⚠️ Could not remove ${localPath}:`, error.message);
+    });
+  }
+}
+
+async function migrateRecordings(summary) {
+  console.log('\n🎙️ Moving recordings...');
+
+  // Recordings from before storage drivers have no provider at all
+  const recordings = AudioRecording.find({ 'storage.provider': { $in: [null, 'local'] } }).cursor();
+
+  for await (const recording of recordings) {
+    const { area, key } = StorageService.getRecordingLocation(recording);
+
+    try {
+      const localPath = StorageService.local.resolve(area, key);
+      if (!(await StorageService.local.stat(area, key))) {
+        console.warn(`⚠️ ${recording.recordingId}: file missing (${key})`);
+        summary.missing++;
+        continue;
+      }
+
+      if (dryRun) {
+        console.log(`📦 Would move ${key}`);
+        summary.recordings++;
+        continue;
+      }
+
+      // The local copy goes only after the record points at its new home
+      const stored = await StorageService.storeFile(area, key, localPath, { keepLocal: true });
+
+      // Processed variants made while the recording was still on local disk
+      const variants = [];
+      const movedVariantPaths = [];
+      for (const variant of recording.processing?.variants || []) {
+        if ((variant.provider || 'local') !== 'local' || !(await StorageService.local.stat(area, variant.key))) {
+          variants.push(variant);
+          continue;
+        }
+        const variantPath = StorageService.local.resolve(area, variant.key);
+        const storedVariant = await StorageService.storeFile(area, variant.key, variantPath, { keepLocal: true });
+        variants.push({ ...variant.toObject(), provider: storedVariant.provider });
+        movedVariantPaths.push(variantPath);
+        summary.bytes += storedVariant.size;
+      }
+
+      await AudioRecording.updateOne(
+        { _id: recording._id },
+        {
+          $set: {
+            'storage.provider': stored.provider,
+            'storage.key': key,
+            'storage.bucket': stored.bucket,
+            'storage.region': stored.region,
+            fileUrl: stored.url,
+            'processing.variants': variants,
+            ...(recording.isArchived && { archiveLocation: stored.url })
+          }
+        }
+      );
+      await removeLocalCopy(localPath);
+      for (const variantPath of movedVariantPaths) {
+        await removeLocalCopy(variantPath);
+      }
+
+      console.log(`✅ ${key} (${(stored.size / (1024 * 1024)).toFixed(1)} MB)`);
+      summary.recordings++;
+      summary.bytes += stored.size;
+    } catch (error) {
+      console.error(`❌ ${recording.recordingId}: ${error.message}`);
+      summary.failed++;
+    }
+  }
+}
+
+// Photo URLs in the database stay /uploads/<file>, server.js redirects them to the bucket
+async function migrateUploads(summary) {
+  console.log('\n🖼️ Moving mosque photos...');
+
+  for (const key of await StorageService.local.list('uploads')) {
+    try {
+      if (dryRun) {
+        console.log(`📦 Would move ${key}`);
+        summary.uploads++;
+        continue;
+      }
+
+      const localPath = StorageService.local.resolve('uploads', key);
+      const stored = await StorageService.storeFile('uploads', key, localPath, { keepLocal: true });
+      await removeLocalCopy(localPath);
+
+      console.log(`✅ ${key}`);
+      summary.uploads++;
+      summary.bytes += stored.size;
+    } catch (error) {
+      console.error(`❌ ${key}: ${error.message}`);
+      summary.failed++;
+    }
+  }
+}
+
+async function main() {
+  console.log('💾 Storage Migration\n');
+
+  if (StorageService.isLocal()) {
+    console.error('❌ STORAGE_DRIVER is local, so there is nowhere to move files to. Set STORAGE_DRIVER=s3 and the S3_* variables.');
+    process.exit(1);
+  }
+
+  const summary = { recordings: 0, uploads: 0, missing: 0, failed: 0, bytes: 0 };
+
+  try {
+    await database.connect();
+    await StorageService.initialize();
+
+    console.log(`Moving files to ${StorageService.driver.name} (${StorageService.driver.bucket})${dryRun ? ' - dry run' : ''}`);
+
+    await migrateRecordings(summary);
+    await migrateUploads(summary);
+
+    console.log('\n📊 Summary');
+    console.log(`  Recordings: ${summary.recordings}`);
+    console.log(`  Photos: ${summary.uploads}`);
+    console.log(`  Missing files: ${summary.missing}`);
+    console.log(`  Failed: ${summary.failed}`);
+    if (!dryRun) {
+      console.log(`  Uploaded: ${(summary.bytes / (1024 * 1024)).toFixed(1)} MB`);
+    }
+  } catch (error) {
+    console.error('❌ Storage migration failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await database.disconnect();
+  }
+
+  if (summary.failed > 0) {
+    process.exitCode = 1;
+  }
+}
+
+main();
@@ -172,7 +172,31 @@ const audioRecordingSchema = new mongoose.Schema({
     startedAt: Date,
     completedAt: Date,
     processingTimeMs: Number,
-    errors: [String]
+    errors: [String],
+    // ffmpeg post-processing of the finished file (AudioProcessingService); unset for recordings never queued
+    status: {
+      type: String,
+      enum: ['pending', 'processing', 'completed', 'failed']
+    },
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    claimedAt: Date,
+    processedAt: Date,
+    trimmedStartSeconds: Number, // Silence cut before the first words
+    trimmedEndSeconds: Number, // Where the processed audio ends in the original, when silence was cut at the end
+    inputLoudnessLUFS: Number,
+    // Encoded copies stored next to the original, e.g. mosque_<id>/sermon_..._128k.mp3
+    variants: [{
+      name: String, // mp3_128, opus_48, ...
+      format: String,
+      bitrateKbps: Number,
+      key: String,
+      provider: String,
+      fileSizeBytes: Number,
+      durationSeconds: Number
+    }]
   },
   
   // Storage Information
@@ -182,6 +206,7 @@ const audioRecordingSchema = new mongoose.Schema({
       enum: ['local', 'aws_s3', 'google_cloud', 'azure_blob'],
       default: 'local'
     },
+    key: String, // Path inside the provider's recordings area, e.g. mosque_<id>/sermon_20250101_120000_ab12cd.m4a
     bucket: String,
     region: String,
     storageClass: String
@@ -197,7 +222,8 @@ const audioRecordingSchema = new mongoose.Schema({
     isProtected: {
       type: Boolean,
       default: false // Protected recordings won't be auto-deleted
-    }
+    },
+    archivingAt: Date // Set while RetentionService moves the file to the archive
   }
 }, {
   timestamps: true,
@@ -210,6 +236,7 @@ audioRecordingSchema.index({ audioSessionId: 1, status: 1 });
 audioRecordingSchema.index({ isArchived: 1, createdAt: -1 });
 audioRecordingSchema.index({ status: 1, createdAt: -1 });
 audioRecordingSchema.index({ 'retention.expiresAt': 1 }); // For cleanup jobs
+audioRecordingSchema.index({ 'processing.status': 1, createdAt: 1 }); // Post-processing queue
 
 // Virtual for file size in MB
 audioRecordingSchema.virtual('fileSizeMB').get(function() {
@@ -0,0 +1,101 @@
+// GlossaryTerm Model for Mosque Translation App
+// Islamic terminology that every translation provider must render the same way
+const mongoose = require('mongoose');
+const { normalizeArabic } = require('../services/quran/arabicText');
+
+const glossaryTermSchema = new mongoose.Schema({
+  // Owner: a mosque account, or null for the global glossary
+  mosqueId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    index: true
+  },
+
+  // Arabic term as written by the admin, and its normalized form used for matching
+  term: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  normalizedTerm: {
+    type: String,
+    index: true
+  },
+
+  category: {
+    type: String,
+    enum: ['name_of_allah', 'prophet', 'islamic_concept', 'prayer_term', 'quran_term', 'general'],
+    default: 'islamic_concept'
+  },
+
+  // preserve: keep the transliteration in every language (Salah, Zakat, Taqwa)
+  // map: use the mosque's preferred rendering per language, transliteration as fallback
+  mode: {
+    type: String,
+    enum: ['preserve', 'map'],
+    default: 'preserve'
+  },
+  transliteration: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  renderings: [{
+    language: {
+      type: String, // ISO code, e.g. 'de'
+      required: true
+    },
+    text: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 200
+    }
+  }],
+
+  notes: {
+    type: String,
+    maxlength: 500
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  collection: 'glossaryterms'
+});
+
+// One entry per term in each glossary
+glossaryTermSchema.index({ mosqueId: 1, normalizedTerm: 1 }, { unique: true });
+
+glossaryTermSchema.pre('save', function(next) {
+  if (this.isModified('term')) {
+    this.normalizedTerm = normalizeArabic(this.term);
+  }
+  next();
+});
+
+// Rendering for a target language, or null if the term has none
+glossaryTermSchema.methods.getRendering = function(language) {
+  if (this.mode === 'map') {
+    const rendering = this.renderings.find(r => r.language === language);
+    if (rendering) {
+      return rendering.text;
+    }
+  }
+  return this.transliteration || null;
+};
+
+glossaryTermSchema.statics.findForMosque = function(mosqueId) {
+  const owners = mosqueId ? [null, mosqueId] : [null];
+  return this.find({ mosqueId: { $in: owners }, isActive: true });
+};
+
+module.exports = mongoose.model('GlossaryTerm', glossaryTermSchema);
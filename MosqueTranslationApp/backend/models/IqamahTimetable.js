@@ -0,0 +1,110 @@
+// IqamahTimetable model for Mosque Translation App
+// When the jama'ah actually prays at a mosque: a rule per prayer (a fixed time or minutes after adhan),
+// monthly tables uploaded as CSV that override the rules day by day, and the Jumu'ah khutbah slots.
+// Times are wall-clock "HH:mm" at the mosque, so they mean the same thing wherever the listener is
+const mongoose = require('mongoose');
+const config = require('../config/config');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+const iqamahRuleSchema = new mongoose.Schema({
+  mode: {
+    type: String,
+    enum: ['fixed', 'offset'],
+    required: true
+  },
+  time: {
+    type: String, // fixed only
+    match: TIME_PATTERN,
+    required: function() { return this.mode === 'fixed'; }
+  },
+  offsetMinutes: {
+    type: Number, // offset only: minutes after the calculated adhan
+    min: 0,
+    max: 120,
+    default: 10
+  }
+}, { _id: false });
+
+// One row of an uploaded month; a missing prayer falls back to its rule
+const timetableDaySchema = new mongoose.Schema({
+  day: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 31
+  },
+  ...config.islamic.iqamahPrayers.reduce((fields, prayer) => {
+    fields[prayer] = { type: String, match: TIME_PATTERN };
+    return fields;
+  }, {})
+}, { _id: false });
+
+const timetableMonthSchema = new mongoose.Schema({
+  month: {
+    type: String, // YYYY-MM
+    required: true,
+    match: MONTH_PATTERN
+  },
+  days: [timetableDaySchema],
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const jumuahSlotSchema = new mongoose.Schema({
+  khutbahTime: {
+    type: String,
+    required: true,
+    match: TIME_PATTERN
+  },
+  iqamahTime: {
+    type: String,
+    match: TIME_PATTERN
+  },
+  language: {
+    type: String, // Language of the khutbah, as the mosque writes it
+    trim: true,
+    maxlength: 30
+  },
+  label: {
+    type: String, // e.g. "First Jumu'ah"
+    trim: true,
+    maxlength: 60
+  }
+}, { _id: false });
+
+const iqamahTimetableSchema = new mongoose.Schema({
+  // Mosque Reference
+  mosqueId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+
+  // Default rules, one per prayer; a prayer without a rule has no published iqamah
+  prayers: config.islamic.iqamahPrayers.reduce((fields, prayer) => {
+    fields[prayer] = { type: iqamahRuleSchema, default: undefined };
+    return fields;
+  }, {}),
+
+  months: [timetableMonthSchema],
+
+  jumuah: {
+    type: [jumuahSlotSchema],
+    validate: {
+      validator: (slots) => slots.length <= config.islamic.maxJumuahSlots,
+      message: `At most ${config.islamic.maxJumuahSlots} Jumu'ah slots`
+    }
+  }
+}, {
+  timestamps: true
+});
+
+iqamahTimetableSchema.statics.TIME_PATTERN = TIME_PATTERN;
+iqamahTimetableSchema.statics.MONTH_PATTERN = MONTH_PATTERN;
+
+module.exports = mongoose.model('IqamahTimetable', iqamahTimetableSchema);
@@ -0,0 +1,49 @@
+// RetentionRun model for Mosque Translation App
+// One report per run of the retention jobs (see RetentionService), listed by GET /api/admin/retention
+const mongoose = require('mongoose');
+const config = require('../config/config');
+
+const retentionRunSchema = new mongoose.Schema({
+  // Scheduled runs claim their interval slot, so with several server instances only one runs it
+  slot: {
+    type: Number,
+    unique: true,
+    sparse: true
+  },
+  trigger: {
+    type: String,
+    enum: ['scheduled', 'manual'],
+    default: 'scheduled'
+  },
+  triggeredBy: String, // Admin email for manual runs
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed'],
+    default: 'running',
+    index: true
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: Date,
+  durationMs: Number,
+
+  // What the run did
+  mosquesChecked: { type: Number, default: 0 },
+  recordings: {
+    archived: { type: Number, default: 0 },
+    archivedBytes: { type: Number, default: 0 },
+    deleted: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 }
+  },
+  translationCacheDeleted: { type: Number, default: 0 },
+  errorMessages: [String]
+}, {
+  timestamps: true
+});
+
+retentionRunSchema.index({ startedAt: -1 });
+retentionRunSchema.index({ createdAt: 1 }, { expireAfterSeconds: config.retention.historyDays * 24 * 60 * 60 });
+
+module.exports = mongoose.model('RetentionRun', retentionRunSchema);
@@ -0,0 +1,86 @@
+// ScheduledBroadcast model for Mosque Translation App
+const mongoose = require('mongoose');
+
+const scheduledBroadcastSchema = new mongoose.Schema({
+  // Mosque Reference
+  mosqueId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  // Broadcast Details
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  description: {
+    type: String,
+    maxlength: 1000
+  },
+  // Same values as the recording types picked in BroadcastingScreen
+  recordingType: {
+    type: String,
+    enum: ['sermon', 'prayer', 'quran', 'lecture', 'talk', 'dua', 'general'],
+    default: 'general'
+  },
+  languages: [{
+    type: String // ISO codes listeners can expect translations in
+  }],
+
+  // Timing
+  recurrence: {
+    type: String,
+    enum: ['none', 'jumuah'], // jumuah: every Friday, relative to the mosque's Dhuhr time
+    default: 'none'
+  },
+  startsAt: {
+    type: Date,
+    required: function() { return this.recurrence === 'none'; }
+  },
+  dhuhrOffsetMinutes: {
+    type: Number, // jumuah only: minutes after Dhuhr (negative = before)
+    default: 0,
+    min: -120,
+    max: 180
+  },
+  durationMinutes: {
+    type: Number,
+    default: 60,
+    min: 5,
+    max: 600
+  },
+  reminderMinutes: {
+    type: Number,
+    default: 30,
+    min: 0,
+    max: 1440
+  },
+  // The broadcasting device starts the session by itself when the slot begins
+  autoStart: {
+    type: Boolean,
+    default: false
+  },
+
+  // Status
+  status: {
+    type: String,
+    enum: ['scheduled', 'live', 'completed', 'cancelled'],
+    default: 'scheduled',
+    index: true
+  },
+  lastSessionId: String,
+  lastStartedAt: Date,
+  // Start of the occurrence the device was last told about, so it is told only once
+  dueNotifiedFor: Date
+}, {
+  timestamps: true
+});
+
+scheduledBroadcastSchema.index({ mosqueId: 1, status: 1, startsAt: 1 });
+scheduledBroadcastSchema.index({ recurrence: 1, status: 1 });
+
+module.exports = mongoose.model('ScheduledBroadcast', scheduledBroadcastSchema);
@@ -163,6 +163,44 @@ const sessionSchema = new mongoose.Schema({
     }]
   },
   
+  // Sermon recap built from the final transcriptions when the broadcast ends
+  summary: {
+    status: {
+      type: String,
+      enum: ['generating', 'ready', 'empty', 'failed']
+    },
+    method: {
+      type: String,
+      enum: ['openai', 'extractive']
+    },
+    sourceLanguage: {
+      type: String,
+      default: 'ar'
+    },
+    topic: String,
+    keyPoints: [String],
+    citations: [{
+      _id: false,
+      type: {
+        type: String,
+        enum: ['quran', 'hadith']
+      },
+      reference: String, // '2:153-154' or 'bukhari:1'
+      label: String
+    }],
+    translations: [{
+      _id: false,
+      language: String, // ISO code
+      topic: String,
+      keyPoints: [String],
+      provider: String
+    }],
+    transcriptionCount: Number,
+    requestedAt: Date,
+    generatedAt: Date,
+    error: String
+  },
+
   // Metadata
   metadata: {
     deviceInfo: String,
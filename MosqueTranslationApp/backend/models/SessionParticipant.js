@@ -19,7 +19,7 @@ const sessionParticipantSchema = new mongoose.Schema({
   audioSessionId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'AudioSession',
-    required: true,
+    default: null, // listeners can join before voice recognition starts
     index: true
   },
   
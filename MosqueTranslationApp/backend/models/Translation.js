@@ -56,7 +56,7 @@ const translationSchema = new mongoose.Schema({
     },
     translationMethod: {
       type: String,
-      enum: ['manual', 'automatic', 'hybrid', 'community'],
+      enum: ['manual', 'automatic', 'hybrid', 'community', 'canonical'],
       default: 'manual'
     },
     translatorId: {
@@ -164,7 +164,13 @@ const translationSchema = new mongoose.Schema({
       type: String,
       enum: ['pending', 'approved', 'rejected'],
       default: 'pending'
-    }
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date,
+    reviewNote: String
   }],
   
   // Metadata
@@ -175,6 +181,7 @@ const translationSchema = new mongoose.Schema({
     },
     audioUrl: String,
     audioDuration: Number, // in seconds
+    transcriptionId: String, // VoiceTranscription the text came from, used to time subtitles
     speakerInfo: {
       name: String,
       role: String // imam, speaker, etc.
@@ -195,11 +202,17 @@ const translationSchema = new mongoose.Schema({
     },
     surahNumber: Number,
     ayahNumber: Number,
+    ayahEndNumber: Number,
+    quranReferences: [String], // 'surah:ayah' for every recited verse
+    quranMatchConfidence: Number,
     isHadith: {
       type: Boolean,
       default: false
     },
-    hadithSource: String,
+    hadithSource: String, // display label, e.g. 'Sahih al-Bukhari 1'
+    hadithCollection: String,
+    hadithNumber: String,
+    hadithReferences: [String], // 'collection:number' for every known source
     isDua: {
       type: Boolean,
       default: false
@@ -238,6 +251,7 @@ translationSchema.index({ 'islamicContent.isQuranic': 1 });
 translationSchema.index({ 'islamicContent.isHadith': 1 });
 translationSchema.index({ 'islamicContent.isDua': 1 });
 translationSchema.index({ status: 1, timestamp: -1 });
+translationSchema.index({ mosqueId: 1, 'corrections.status': 1 }); // Correction review queue
 
 // Text indexes for search functionality
 translationSchema.index({
@@ -370,7 +384,7 @@ translationSchema.statics.searchTranslations = function(query, options = {}) {
     searchQuery['islamicContent.isQuranic'] = options.isQuranic;
   }
   
-  return this.find(searchQuery)
+  return this.find(searchQuery, { score: { $meta: 'textScore' } })
     .sort({ score: { $meta: 'textScore' }, timestamp: -1 })
     .limit(options.limit || 50)
     .populate('mosqueId', 'mosqueName');
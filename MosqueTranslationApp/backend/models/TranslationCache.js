@@ -2,6 +2,9 @@
 const mongoose = require('mongoose');
 const crypto = require('crypto');
 
+// Kinds of text cached apart; Translation.context values outside this list are cached as general text
+const CONTEXT_TYPES = ['religious', 'prayer', 'sermon', 'quran', 'hadith', 'general'];
+
 const translationCacheSchema = new mongoose.Schema({
   // Cache Identification
   cacheId: {
@@ -46,14 +49,14 @@ const translationCacheSchema = new mongoose.Schema({
   provider: {
     type: String,
     required: true,
-    enum: ['google', 'azure', 'openai', 'microsoft', 'aws'],
+    enum: ['google', 'azure', 'openai', 'microsoft', 'aws', 'human'], // human: approved correction
     index: true
   },
   
   // Context Information
   contextType: {
     type: String,
-    enum: ['religious', 'prayer', 'sermon', 'quran', 'general'],
+    enum: CONTEXT_TYPES,
     default: 'religious',
     index: true
   },
@@ -211,6 +214,10 @@ translationCacheSchema.index({
 });
 
 // Static methods for cache operations
+translationCacheSchema.statics.toContextType = function(context) {
+  return CONTEXT_TYPES.includes(context) ? context : 'general';
+};
+
 translationCacheSchema.statics.generateHash = function(text) {
   return crypto.createHash('sha256').update(text.trim().toLowerCase()).digest('hex');
 };
@@ -245,7 +252,7 @@ translationCacheSchema.statics.createCacheEntry = function(sourceText, sourceLan
       wordCount: sourceText.split(/\s+/).length,
       isReligiousContent: options.isReligious || false,
       containsQuranVerse: options.containsQuran || false,
-      containsHadith: options.containsHadith || false
+      containsHadith: options.containsHadith || contextType === 'hadith'
     },
     cost: {
       originalCost: options.cost || 0,
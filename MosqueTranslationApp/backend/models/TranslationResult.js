@@ -45,7 +45,7 @@ const translationResultSchema = new mongoose.Schema({
   translationProvider: {
     type: String,
     required: true,
-    enum: ['google', 'azure', 'openai', 'microsoft', 'aws'],
+    enum: ['google', 'azure', 'openai', 'offline', 'microsoft', 'aws'],
     index: true
   },
   
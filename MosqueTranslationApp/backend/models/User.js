@@ -22,7 +22,7 @@ const userSchema = new mongoose.Schema({
   // User Type
   userType: {
     type: String,
-    enum: ['mosque', 'individual'],
+    enum: ['mosque', 'individual', 'staff'],
     required: true
   },
   
@@ -88,6 +88,39 @@ const userSchema = new mongoose.Schema({
     type: String,
     enum: config.islamic.supportedLanguages
   }],
+  // How followers' apps calculate this mosque's prayer times
+  prayerSettings: {
+    calculationMethod: {
+      type: String,
+      enum: config.islamic.calculationMethods
+    },
+    asrMadhab: {
+      type: String,
+      enum: config.islamic.asrMadhabs
+    },
+    highLatitudeRule: {
+      type: String,
+      enum: config.islamic.highLatitudeRules
+    },
+    // Minutes added to each calculated time, e.g. { maghrib: 3 }
+    adjustments: {
+      fajr: { type: Number, min: -60, max: 60, default: 0 },
+      sunrise: { type: Number, min: -60, max: 60, default: 0 },
+      dhuhr: { type: Number, min: -60, max: 60, default: 0 },
+      asr: { type: Number, min: -60, max: 60, default: 0 },
+      maghrib: { type: Number, min: -60, max: 60, default: 0 },
+      isha: { type: Number, min: -60, max: 60, default: 0 }
+    },
+    // IANA name; apps look it up from the coordinates when empty
+    timezone: String,
+    // Days added to the Umm al-Qura Hijri date when local moon sighting differs
+    hijriOffset: { type: Number, min: -2, max: 2 }
+  },
+  // How long this mosque's recordings are kept; the server defaults apply when unset (config.retention)
+  recordingRetention: {
+    archiveAfterDays: { type: Number, min: 1, max: 3650 },
+    deleteAfterDays: { type: Number, min: 0, max: 36500 } // 0 keeps archived recordings forever
+  },
   capacity: {
     type: Number,
     min: 1
@@ -117,6 +150,23 @@ const userSchema = new mongoose.Schema({
     additional: [String] // Up to 5 additional photos
   },
   
+  // Staff sub-accounts (only for userType: 'staff') act for the mosque account that created them
+  mosqueId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: function() { return this.userType === 'staff'; }
+  },
+  staffRole: {
+    type: String,
+    enum: ['owner', 'broadcaster', 'translator', 'moderator', 'content_editor'],
+    required: function() { return this.userType === 'staff'; }
+  },
+  name: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  
   // Individual User Settings (only for userType: 'individual')
   followedMosques: [{
     mosqueId: {
@@ -295,6 +345,7 @@ const userSchema = new mongoose.Schema({
 // Indexes for better performance
 // Note: email index is automatically created by unique: true in schema
 userSchema.index({ userType: 1 });
+userSchema.index({ mosqueId: 1, userType: 1 }); // Staff of a mosque
 userSchema.index({ location: '2dsphere' }); // For geospatial queries
 userSchema.index({ 'followedMosques.mosqueId': 1 });
 userSchema.index({ isActive: 1, isEmailVerified: 1 });
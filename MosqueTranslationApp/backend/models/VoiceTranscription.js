@@ -106,6 +106,27 @@ const voiceTranscriptionSchema = new mongoose.Schema({
     }
   }],
   
+  // Recited Quran verses and narrations detected in the final transcript
+  islamicContent: {
+    isQuranic: {
+      type: Boolean,
+      default: false
+    },
+    surahNumber: Number,
+    ayahNumber: Number,
+    ayahEndNumber: Number,
+    quranReferences: [String],
+    quranMatchConfidence: Number,
+    isHadith: {
+      type: Boolean,
+      default: false
+    },
+    hadithSource: String,
+    hadithCollection: String,
+    hadithNumber: String,
+    hadithReferences: [String]
+  },
+  
   // Metadata
   metadata: {
     audioQuality: Number,
@@ -114,7 +135,7 @@ const voiceTranscriptionSchema = new mongoose.Schema({
     dialect: String,
     context: {
       type: String,
-      enum: ['prayer', 'sermon', 'quran', 'general'],
+      enum: ['prayer', 'sermon', 'quran', 'hadith', 'general'],
       default: 'general'
     }
   }
@@ -128,6 +149,7 @@ voiceTranscriptionSchema.index({ sessionId: 1, sequenceNumber: 1 });
 voiceTranscriptionSchema.index({ sessionId: 1, isFinal: 1, createdAt: -1 });
 voiceTranscriptionSchema.index({ provider: 1, confidenceScore: -1 });
 voiceTranscriptionSchema.index({ languageDetected: 1, isFinal: 1 });
+voiceTranscriptionSchema.index({ 'islamicContent.isQuranic': 1 });
 
 // Text index for search
 voiceTranscriptionSchema.index({ originalText: 'text' });
@@ -201,9 +223,9 @@ voiceTranscriptionSchema.statics.getAverageConfidence = function(sessionId) {
   ]);
 };
 
-voiceTranscriptionSchema.statics.searchTranscriptions = function(searchText, limit = 50) {
+voiceTranscriptionSchema.statics.searchTranscriptions = function(searchText, limit = 50, filter = {}) {
   return this.find(
-    { $text: { $search: searchText } },
+    { ...filter, $text: { $search: searchText } },
     { score: { $meta: 'textScore' } }
   )
   .sort({ score: { $meta: 'textScore' } })
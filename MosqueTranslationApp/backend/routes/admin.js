@@ -0,0 +1,72 @@
+// Server administration routes for Mosque Translation App
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const { authenticateToken, requireSystemAdmin } = require('../middleware/auth');
+const RetentionService = require('../services/RetentionService');
+
+const router = express.Router();
+
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+// GET /api/admin/retention - Retention settings, next scheduled run and recent run reports
+router.get('/retention',
+  authenticateToken,
+  requireSystemAdmin,
+  [
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const report = await RetentionService.getReport(req.query.limit);
+
+      res.json({
+        success: true,
+        data: report
+      });
+    } catch (error) {
+      console.error('Error getting retention report:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get retention report'
+      });
+    }
+  }
+);
+
+// POST /api/admin/retention/run - Run the retention jobs now and return the run's report
+router.post('/retention/run', authenticateToken, requireSystemAdmin, async (req, res) => {
+  try {
+    const result = await RetentionService.run({ triggeredBy: req.user.email });
+
+    if (!result.success) {
+      return res.status(result.status || 500).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result.run
+    });
+  } catch (error) {
+    console.error('Error running retention jobs:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to run retention jobs'
+    });
+  }
+});
+
+module.exports = router;
@@ -44,7 +44,11 @@ const validateMosqueRegistration = [
   body('capacity')
     .optional()
     .isInt({ min: 1 })
-    .withMessage('Capacity must be a positive number')
+    .withMessage('Capacity must be a positive number'),
+  body('timezone')
+    .optional({ checkFalsy: true })
+    .matches(/^[A-Za-z]+(\/[A-Za-z0-9_+-]+)+$|^UTC$/)
+    .withMessage('Invalid timezone')
 ];
 
 const validateLogin = [
@@ -351,7 +355,9 @@ router.get('/status',
           email: req.user.email,
           userType: req.user.userType,
           isEmailVerified: req.user.isEmailVerified,
-          mosqueName: req.user.mosqueName
+          mosqueName: req.mosqueName || req.user.mosqueName,
+          mosqueId: req.mosqueId,
+          mosqueRole: req.mosqueRole
         }
       });
     } catch (error) {
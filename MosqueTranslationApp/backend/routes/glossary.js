@@ -0,0 +1,214 @@
+// Glossary routes for Mosque Translation App
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const { authenticateToken, requireMosquePermission } = require('../middleware/auth');
+const GlossaryService = require('../services/GlossaryService');
+const config = require('../config/config');
+
+const router = express.Router();
+
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+// Global terms can only be edited by the accounts listed in GLOSSARY_ADMIN_EMAILS
+const isGlossaryAdmin = (req) => {
+  return Boolean(req.user.email) && config.glossary.adminEmails.includes(req.user.email.toLowerCase());
+};
+
+// Resolve which glossary a request targets: the caller's mosque, or the global one
+const resolveOwner = (req, res) => {
+  const scope = req.body.scope || req.query.scope;
+  if (scope === 'global') {
+    if (!isGlossaryAdmin(req)) {
+      res.status(403).json({
+        success: false,
+        message: 'Only glossary administrators can edit global terms'
+      });
+      return undefined;
+    }
+    return null;
+  }
+  return req.mosqueId;
+};
+
+const validateTerm = (optional = false) => {
+  const field = (name) => optional ? body(name).optional() : body(name);
+  return [
+    field('term').isString().trim().isLength({ min: 1, max: 100 }).withMessage('Term must be 1-100 characters'),
+    body('mode').optional().isIn(['preserve', 'map']).withMessage('Mode must be preserve or map'),
+    body('category').optional().isIn(['name_of_allah', 'prophet', 'islamic_concept', 'prayer_term', 'quran_term', 'general'])
+      .withMessage('Invalid category'),
+    body('transliteration').optional().isString().isLength({ max: 100 }).withMessage('Transliteration must be at most 100 characters'),
+    body('renderings').optional().isArray().withMessage('Renderings must be an array'),
+    body('renderings.*.language').optional().isString().isLength({ min: 2, max: 5 }).withMessage('Rendering language must be a language code'),
+    body('renderings.*.text').optional().isString().trim().isLength({ min: 1, max: 200 }).withMessage('Rendering text must be 1-200 characters'),
+    body('notes').optional().isString().isLength({ max: 500 }).withMessage('Notes must be at most 500 characters'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+    body('scope').optional().isIn(['mosque', 'global']).withMessage('Scope must be mosque or global')
+  ];
+};
+
+const sendDuplicateOr500 = (res, error, message) => {
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      message: 'This term is already in the glossary'
+    });
+  }
+  res.status(500).json({
+    success: false,
+    message
+  });
+};
+
+// GET /api/glossary - Global terms and the mosque's own terms
+router.get('/', authenticateToken, requireMosquePermission('edit_content'), async (req, res) => {
+  try {
+    const terms = await GlossaryService.listTerms(req.mosqueId);
+
+    res.json({
+      success: true,
+      data: {
+        ...terms,
+        canEditGlobal: isGlossaryAdmin(req)
+      }
+    });
+  } catch (error) {
+    console.error('Error getting glossary:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get glossary'
+    });
+  }
+});
+
+// POST /api/glossary - Add a term to the mosque (or global) glossary
+router.post('/',
+  authenticateToken,
+  requireMosquePermission('edit_content'),
+  validateTerm(),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const mosqueId = resolveOwner(req, res);
+      if (mosqueId === undefined) {
+        return;
+      }
+
+      const term = await GlossaryService.createTerm(req.body, { mosqueId, userId: req.userId });
+
+      res.status(201).json({
+        success: true,
+        data: term
+      });
+    } catch (error) {
+      console.error('Error creating glossary term:', error);
+      sendDuplicateOr500(res, error, 'Failed to create glossary term');
+    }
+  }
+);
+
+// POST /api/glossary/preview - Show how the glossary would protect a sample text
+router.post('/preview',
+  authenticateToken,
+  requireMosquePermission('edit_content'),
+  [
+    body('text').isString().trim().isLength({ min: 1, max: 2000 }).withMessage('Text must be 1-2000 characters'),
+    body('language').isIn(config.translation.supportedLanguages).withMessage('Language must be a supported language code')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const preview = await GlossaryService.preview(req.body.text, req.body.language, req.mosqueId);
+
+      res.json({
+        success: true,
+        data: preview
+      });
+    } catch (error) {
+      console.error('Error previewing glossary:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to preview glossary'
+      });
+    }
+  }
+);
+
+// PUT /api/glossary/:termId - Update a term
+router.put('/:termId',
+  authenticateToken,
+  requireMosquePermission('edit_content'),
+  [param('termId').isMongoId().withMessage('Invalid term ID'), ...validateTerm(true)],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const mosqueId = resolveOwner(req, res);
+      if (mosqueId === undefined) {
+        return;
+      }
+
+      const term = await GlossaryService.updateTerm(req.params.termId, req.body, mosqueId);
+      if (!term) {
+        return res.status(404).json({
+          success: false,
+          message: 'Glossary term not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: term
+      });
+    } catch (error) {
+      console.error('Error updating glossary term:', error);
+      sendDuplicateOr500(res, error, 'Failed to update glossary term');
+    }
+  }
+);
+
+// DELETE /api/glossary/:termId - Remove a term
+router.delete('/:termId',
+  authenticateToken,
+  requireMosquePermission('edit_content'),
+  [param('termId').isMongoId().withMessage('Invalid term ID')],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const mosqueId = resolveOwner(req, res);
+      if (mosqueId === undefined) {
+        return;
+      }
+
+      const term = await GlossaryService.deleteTerm(req.params.termId, mosqueId);
+      if (!term) {
+        return res.status(404).json({
+          success: false,
+          message: 'Glossary term not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Glossary term deleted'
+      });
+    } catch (error) {
+      console.error('Error deleting glossary term:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete glossary term'
+      });
+    }
+  }
+);
+
+module.exports = router;
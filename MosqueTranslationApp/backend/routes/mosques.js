@@ -0,0 +1,672 @@
+// Mosque routes for Mosque Translation App
+// Listing, search and profile endpoints live in server.js; this router holds discovery and per-mosque resources
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { authenticateToken, requireMosquePermission, optionalAuth, MOSQUE_ROLES } = require('../middleware/auth');
+const ArchiveSearchService = require('../services/ArchiveSearchService');
+const IqamahService = require('../services/IqamahService');
+const IqamahTimetable = require('../models/IqamahTimetable');
+const MosqueDiscoveryService = require('../services/MosqueDiscoveryService');
+const PodcastService = require('../services/PodcastService');
+const ScheduleService = require('../services/ScheduleService');
+const StaffService = require('../services/StaffService');
+const config = require('../config/config');
+
+const router = express.Router();
+
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+// Per-mosque resources can only be edited by the mosque account or its staff
+const requireOwnMosque = (req, res, next) => {
+  if (!req.mosqueId || req.mosqueId.toString() !== req.params.id) {
+    return res.status(403).json({
+      success: false,
+      message: 'You can only manage your own mosque'
+    });
+  }
+  next();
+};
+
+// Staff whose access changed are disconnected so their sockets re-authenticate with the new role
+const disconnectStaff = (req, staffId) => {
+  const io = req.app.get('io');
+  io && io.in(`user_${staffId}`).disconnectSockets(true);
+};
+
+const validateSchedule = (optional = false) => {
+  const field = (name) => optional ? body(name).optional() : body(name);
+  return [
+    field('title').isString().trim().isLength({ min: 1, max: 200 }).withMessage('Title must be 1-200 characters'),
+    body('description').optional().isString().isLength({ max: 1000 }).withMessage('Description must be at most 1000 characters'),
+    body('recordingType').optional().isIn(['sermon', 'prayer', 'quran', 'lecture', 'talk', 'dua', 'general'])
+      .withMessage('Invalid recording type'),
+    body('languages').optional().isArray({ max: 10 }).withMessage('Languages must be an array'),
+    body('languages.*').isIn(config.translation.supportedLanguages).withMessage('Unsupported language'),
+    body('recurrence').optional().isIn(['none', 'jumuah']).withMessage('Recurrence must be none or jumuah'),
+    body('startsAt').optional().isISO8601().toDate().withMessage('Start time must be an ISO 8601 date'),
+    body('dhuhrOffsetMinutes').optional().isInt({ min: -120, max: 180 }).toInt().withMessage('Offset must be between -120 and 180 minutes'),
+    body('durationMinutes').optional().isInt({ min: 5, max: 600 }).toInt().withMessage('Duration must be between 5 and 600 minutes'),
+    body('reminderMinutes').optional().isInt({ min: 0, max: 1440 }).toInt().withMessage('Reminder must be between 0 and 1440 minutes'),
+    body('autoStart').optional().isBoolean().toBoolean().withMessage('autoStart must be a boolean')
+  ];
+};
+
+// Comma-separated query values, e.g. ?languages=English,Urdu
+const listParam = (value) => (value ? String(value).split(',').map(item => item.trim()).filter(Boolean) : []);
+
+// GET /api/mosques/discover - Mosques near a point or inside map bounds, with filters and paging
+// ?lat=&lng=&radius=km | ?bbox=west,south,east,north
+// &q=&facilities=&languages=&services=&minWomenCapacity=&live=true&sort=distance|name|followers&page=&limit=
+router.get('/discover',
+  optionalAuth,
+  [
+    query('lat').optional().isFloat({ min: -90, max: 90 }).toFloat().withMessage('Latitude must be between -90 and 90'),
+    query('lng').optional().isFloat({ min: -180, max: 180 }).toFloat().withMessage('Longitude must be between -180 and 180'),
+    query('radius').optional().isFloat({ min: 0.1, max: 500 }).toFloat().withMessage('Radius must be between 0.1 and 500 km'),
+    // Out-of-range or wrapped bounds are not rejected; the search then ignores them
+    query('bbox').optional()
+      .custom(value => {
+        const values = String(value).split(',').map(Number);
+        return values.length === 4 && values.every(Number.isFinite);
+      })
+      .withMessage('bbox must be west,south,east,north in degrees'),
+    query('q').optional().isString().trim().isLength({ max: 100 }).withMessage('Search query must be at most 100 characters'),
+    query('minWomenCapacity').optional().isInt({ min: 0 }).toInt().withMessage('Capacity must be a positive number'),
+    query('live').optional().isBoolean().toBoolean(),
+    query('sort').optional().isIn(['distance', 'name', 'followers']).withMessage('Sort must be distance, name or followers'),
+    query('page').optional().isInt({ min: 1 }).toInt().withMessage('Page must be 1 or more'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt().withMessage('Limit must be between 1 and 100')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const result = await MosqueDiscoveryService.discover({
+        lat: req.query.lat,
+        lng: req.query.lng,
+        radiusKm: req.query.radius,
+        bbox: req.query.bbox ? req.query.bbox.split(',').map(Number) : null,
+        q: req.query.q,
+        facilities: listParam(req.query.facilities),
+        languages: listParam(req.query.languages),
+        services: listParam(req.query.services),
+        minWomenCapacity: req.query.minWomenCapacity,
+        live: req.query.live,
+        sort: req.query.sort,
+        page: req.query.page,
+        limit: req.query.limit,
+        user: req.user
+      });
+
+      if (!result.success) {
+        return res.status(result.status || 500).json({
+          success: false,
+          message: result.error
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          mosques: result.mosques,
+          total: result.total,
+          page: result.page,
+          limit: result.limit,
+          hasMore: result.hasMore
+        }
+      });
+    } catch (error) {
+      console.error('Error discovering mosques:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to discover mosques'
+      });
+    }
+  }
+);
+
+// GET /api/mosques/schedule/upcoming?mosqueIds=a,b - Upcoming broadcasts of the given (followed) mosques
+router.get('/schedule/upcoming',
+  [
+    query('mosqueIds').isString().withMessage('mosqueIds is required')
+      .custom(value => value.split(',').every(id => /^[a-f\d]{24}$/i.test(id))).withMessage('Invalid mosque ID'),
+    query('days').optional().isInt({ min: 1, max: 60 }).withMessage('Days must be between 1 and 60')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const mosqueIds = req.query.mosqueIds.split(',').slice(0, 50);
+      const from = new Date();
+      const days = parseInt(req.query.days) || 14;
+      const upcoming = await ScheduleService.getUpcoming(mosqueIds, {
+        from,
+        to: new Date(from.getTime() + days * 24 * 60 * 60 * 1000),
+        limit: 50
+      });
+
+      res.json({
+        success: true,
+        data: upcoming
+      });
+    } catch (error) {
+      console.error('Error getting upcoming broadcasts:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get upcoming broadcasts'
+      });
+    }
+  }
+);
+
+// GET /api/mosques/:id/schedule - The mosque's schedules and their next occurrences
+router.get('/:id/schedule',
+  [param('id').isMongoId().withMessage('Invalid mosque ID')],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const [schedules, upcoming] = await Promise.all([
+        ScheduleService.getSchedules(req.params.id),
+        ScheduleService.getUpcoming([req.params.id], { limit: 20 })
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          schedules,
+          upcoming,
+          calendarUrl: `/api/mosques/${req.params.id}/schedule.ics`
+        }
+      });
+    } catch (error) {
+      console.error('Error getting mosque schedule:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get schedule'
+      });
+    }
+  }
+);
+
+// GET /api/mosques/:id/schedule.ics - Subscribable iCalendar feed of upcoming broadcasts
+router.get('/:id/schedule.ics',
+  [param('id').isMongoId().withMessage('Invalid mosque ID')],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const calendar = await ScheduleService.toICalendar(req.params.id);
+      if (!calendar) {
+        return res.status(404).json({
+          success: false,
+          message: 'Mosque not found'
+        });
+      }
+
+      res.set('Content-Type', 'text/calendar; charset=utf-8');
+      res.set('Content-Disposition', `inline; filename="mosque-${req.params.id}-schedule.ics"`);
+      res.send(calendar);
+    } catch (error) {
+      console.error('Error building schedule calendar:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to build calendar'
+      });
+    }
+  }
+);
+
+const sendPodcastFeed = async (req, res) => {
+  try {
+    const baseUrl = config.podcast.publicUrl || `${req.protocol}://${req.get('host')}`;
+    const feed = await PodcastService.toRss(req.params.id, {
+      language: req.params.language || null,
+      baseUrl
+    });
+    if (!feed) {
+      return res.status(404).json({
+        success: false,
+        message: 'Mosque not found'
+      });
+    }
+
+    res.set('Content-Type', 'application/rss+xml; charset=utf-8');
+    res.set('Cache-Control', 'public, max-age=900');
+    res.send(feed);
+  } catch (error) {
+    console.error('Error building podcast feed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build podcast feed'
+    });
+  }
+};
+
+// GET /api/mosques/:id/podcast.xml - Podcast feed of the mosque's public recordings
+router.get('/:id/podcast.xml',
+  [param('id').isMongoId().withMessage('Invalid mosque ID')],
+  handleValidationErrors,
+  sendPodcastFeed
+);
+
+// GET /api/mosques/:id/podcast/:language.xml - The same feed with episode notes and captions in one language
+router.get('/:id/podcast/:language.xml',
+  [
+    param('id').isMongoId().withMessage('Invalid mosque ID'),
+    param('language').isIn(config.translation.supportedLanguages).withMessage('Unsupported feed language')
+  ],
+  handleValidationErrors,
+  sendPodcastFeed
+);
+
+// POST /api/mosques/:id/schedule - Announce a broadcast or a weekly Jumu'ah slot
+router.post('/:id/schedule',
+  authenticateToken,
+  requireMosquePermission('edit_content'),
+  [param('id').isMongoId().withMessage('Invalid mosque ID'), ...validateSchedule()],
+  handleValidationErrors,
+  requireOwnMosque,
+  async (req, res) => {
+    try {
+      const schedule = await ScheduleService.createSchedule(req.params.id, req.body);
+
+      res.status(201).json({
+        success: true,
+        data: schedule
+      });
+    } catch (error) {
+      console.error('Error creating schedule:', error);
+      res.status(error.name === 'ValidationError' ? 400 : 500).json({
+        success: false,
+        message: error.name === 'ValidationError' ? error.message : 'Failed to create schedule'
+      });
+    }
+  }
+);
+
+// PUT /api/mosques/:id/schedule/:scheduleId - Update a scheduled broadcast
+router.put('/:id/schedule/:scheduleId',
+  authenticateToken,
+  requireMosquePermission('edit_content'),
+  [
+    param('id').isMongoId().withMessage('Invalid mosque ID'),
+    param('scheduleId').isMongoId().withMessage('Invalid schedule ID'),
+    ...validateSchedule(true)
+  ],
+  handleValidationErrors,
+  requireOwnMosque,
+  async (req, res) => {
+    try {
+      const schedule = await ScheduleService.updateSchedule(req.params.id, req.params.scheduleId, req.body);
+      if (!schedule) {
+        return res.status(404).json({
+          success: false,
+          message: 'Scheduled broadcast not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: schedule
+      });
+    } catch (error) {
+      console.error('Error updating schedule:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update schedule'
+      });
+    }
+  }
+);
+
+// DELETE /api/mosques/:id/schedule/:scheduleId - Cancel a scheduled broadcast
+router.delete('/:id/schedule/:scheduleId',
+  authenticateToken,
+  requireMosquePermission('edit_content'),
+  [
+    param('id').isMongoId().withMessage('Invalid mosque ID'),
+    param('scheduleId').isMongoId().withMessage('Invalid schedule ID')
+  ],
+  handleValidationErrors,
+  requireOwnMosque,
+  async (req, res) => {
+    try {
+      const schedule = await ScheduleService.cancelSchedule(req.params.id, req.params.scheduleId);
+      if (!schedule) {
+        return res.status(404).json({
+          success: false,
+          message: 'Scheduled broadcast not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Scheduled broadcast cancelled'
+      });
+    } catch (error) {
+      console.error('Error cancelling schedule:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to cancel schedule'
+      });
+    }
+  }
+);
+
+const validateStaff = (optional = false) => {
+  const field = (name) => optional ? body(name).optional() : body(name);
+  return [
+    ...(optional ? [] : [
+      body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email address')
+    ]),
+    (optional ? body('password').optional() : body('password'))
+      .isLength({ min: 6 }).withMessage('Password must be at least 6 characters long'),
+    body('name').optional().isString().trim().isLength({ max: 100 }).withMessage('Name must be at most 100 characters'),
+    field('role').isIn(MOSQUE_ROLES).withMessage(`Role must be one of: ${MOSQUE_ROLES.join(', ')}`),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+  ];
+};
+
+const sendStaffResult = (res, result, status = 200) => {
+  if (!result.success) {
+    return res.status(result.status || 500).json({
+      success: false,
+      message: result.error
+    });
+  }
+  res.status(status).json({
+    success: true,
+    data: result.staff
+  });
+};
+
+// GET /api/mosques/:id/staff - Staff accounts of the mosque
+router.get('/:id/staff',
+  authenticateToken,
+  requireMosquePermission('manage_staff'),
+  [param('id').isMongoId().withMessage('Invalid mosque ID')],
+  handleValidationErrors,
+  requireOwnMosque,
+  async (req, res) => {
+    try {
+      const staff = await StaffService.listStaff(req.params.id);
+
+      res.json({
+        success: true,
+        data: {
+          staff,
+          roles: MOSQUE_ROLES
+        }
+      });
+    } catch (error) {
+      console.error('Error listing staff:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get staff'
+      });
+    }
+  }
+);
+
+// POST /api/mosques/:id/staff - Create a staff login with a role
+router.post('/:id/staff',
+  authenticateToken,
+  requireMosquePermission('manage_staff'),
+  [param('id').isMongoId().withMessage('Invalid mosque ID'), ...validateStaff()],
+  handleValidationErrors,
+  requireOwnMosque,
+  async (req, res) => {
+    try {
+      const result = await StaffService.createStaff(req.params.id, req.body, req.userId);
+      sendStaffResult(res, result, 201);
+    } catch (error) {
+      console.error('Error creating staff account:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create staff account'
+      });
+    }
+  }
+);
+
+// PUT /api/mosques/:id/staff/:staffId - Change a staff member's role, name or password, or revoke access (isActive: false)
+router.put('/:id/staff/:staffId',
+  authenticateToken,
+  requireMosquePermission('manage_staff'),
+  [
+    param('id').isMongoId().withMessage('Invalid mosque ID'),
+    param('staffId').isMongoId().withMessage('Invalid staff ID'),
+    ...validateStaff(true)
+  ],
+  handleValidationErrors,
+  requireOwnMosque,
+  async (req, res) => {
+    try {
+      if (req.params.staffId === req.userId.toString()) {
+        return res.status(400).json({
+          success: false,
+          message: 'You cannot change your own staff account'
+        });
+      }
+
+      const result = await StaffService.updateStaff(req.params.id, req.params.staffId, req.body);
+      if (result.success) {
+        disconnectStaff(req, req.params.staffId);
+      }
+      sendStaffResult(res, result);
+    } catch (error) {
+      console.error('Error updating staff account:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update staff account'
+      });
+    }
+  }
+);
+
+// DELETE /api/mosques/:id/staff/:staffId - Remove a staff account
+router.delete('/:id/staff/:staffId',
+  authenticateToken,
+  requireMosquePermission('manage_staff'),
+  [
+    param('id').isMongoId().withMessage('Invalid mosque ID'),
+    param('staffId').isMongoId().withMessage('Invalid staff ID')
+  ],
+  handleValidationErrors,
+  requireOwnMosque,
+  async (req, res) => {
+    try {
+      if (req.params.staffId === req.userId.toString()) {
+        return res.status(400).json({
+          success: false,
+          message: 'You cannot remove your own staff account'
+        });
+      }
+
+      const result = await StaffService.removeStaff(req.params.id, req.params.staffId);
+      if (result.success) {
+        disconnectStaff(req, req.params.staffId);
+      }
+      sendStaffResult(res, result);
+    } catch (error) {
+      console.error('Error removing staff account:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to remove staff account'
+      });
+    }
+  }
+);
+
+const validateTimetable = () => [
+  body('prayers').optional({ values: 'null' }).isObject().withMessage('Prayers must be an object')
+    .custom(prayers => Object.keys(prayers).every(prayer => config.islamic.iqamahPrayers.includes(prayer)))
+    .withMessage(`Prayers can only be ${config.islamic.iqamahPrayers.join(', ')}`),
+  body('prayers.*.mode').optional().isIn(['fixed', 'offset']).withMessage('Mode must be fixed or offset'),
+  body('prayers.*.time').optional().matches(IqamahTimetable.TIME_PATTERN).withMessage('Times must be HH:MM (24-hour)'),
+  body('prayers.*.offsetMinutes').optional().isInt({ min: 0, max: 120 }).toInt().withMessage('Offset must be between 0 and 120 minutes'),
+  body('jumuah').optional().isArray({ max: config.islamic.maxJumuahSlots })
+    .withMessage(`At most ${config.islamic.maxJumuahSlots} Jumu'ah slots`),
+  body('jumuah.*.khutbahTime').matches(IqamahTimetable.TIME_PATTERN).withMessage('Khutbah time must be HH:MM (24-hour)'),
+  body('jumuah.*.iqamahTime').optional({ values: 'falsy' }).matches(IqamahTimetable.TIME_PATTERN)
+    .withMessage('Iqamah time must be HH:MM (24-hour)'),
+  body('jumuah.*.language').optional().isString().isLength({ max: 30 }).withMessage('Language must be at most 30 characters'),
+  body('jumuah.*.label').optional().isString().isLength({ max: 60 }).withMessage('Label must be at most 60 characters')
+];
+
+const sendTimetableResult = (res, result, status = 200) => {
+  if (!result.success) {
+    return res.status(result.status || 500).json({
+      success: false,
+      message: result.error
+    });
+  }
+  res.status(status).json({
+    success: true,
+    data: IqamahService.toResponse(result.timetable, new Date().toISOString().slice(0, 10), 0)
+  });
+};
+
+// GET /api/mosques/:id/timetable?from=YYYY-MM-DD&days=7 - Published iqamah times, resolved per day
+router.get('/:id/timetable',
+  [
+    param('id').isMongoId().withMessage('Invalid mosque ID'),
+    query('from').optional().isISO8601({ strict: true }).matches(/^\d{4}-\d{2}-\d{2}$/)
+      .withMessage('from must be a date (YYYY-MM-DD) at the mosque'),
+    query('days').optional().isInt({ min: 1, max: 62 }).withMessage('Days must be between 1 and 62')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const timetable = await IqamahService.getTimetable(req.params.id);
+      const from = req.query.from || new Date().toISOString().slice(0, 10);
+
+      res.json({
+        success: true,
+        data: IqamahService.toResponse(timetable, from, parseInt(req.query.days) || 7)
+      });
+    } catch (error) {
+      console.error('Error getting iqamah timetable:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get timetable'
+      });
+    }
+  }
+);
+
+// PUT /api/mosques/:id/timetable - Set the iqamah rule per prayer and the Jumu'ah khutbah slots
+router.put('/:id/timetable',
+  authenticateToken,
+  requireMosquePermission('edit_content'),
+  [param('id').isMongoId().withMessage('Invalid mosque ID'), ...validateTimetable()],
+  handleValidationErrors,
+  requireOwnMosque,
+  async (req, res) => {
+    try {
+      const result = await IqamahService.updateTimetable(req.params.id, req.body);
+      sendTimetableResult(res, result);
+    } catch (error) {
+      console.error('Error updating iqamah timetable:', error);
+      res.status(error.name === 'ValidationError' ? 400 : 500).json({
+        success: false,
+        message: error.name === 'ValidationError' ? error.message : 'Failed to update timetable'
+      });
+    }
+  }
+);
+
+// PUT /api/mosques/:id/timetable/months/:month - Upload a month of iqamah times as CSV
+// (text/csv body, or JSON { csv }); replaces an earlier upload of the same month
+router.put('/:id/timetable/months/:month',
+  authenticateToken,
+  requireMosquePermission('edit_content'),
+  express.text({ type: ['text/csv', 'text/plain'], limit: '100kb' }),
+  [
+    param('id').isMongoId().withMessage('Invalid mosque ID'),
+    param('month').matches(IqamahTimetable.MONTH_PATTERN).withMessage('Month must be YYYY-MM')
+  ],
+  handleValidationErrors,
+  requireOwnMosque,
+  async (req, res) => {
+    try {
+      const csv = typeof req.body === 'string' ? req.body : req.body?.csv;
+      const result = await IqamahService.saveMonth(req.params.id, req.params.month, csv);
+      sendTimetableResult(res, result);
+    } catch (error) {
+      console.error('Error uploading iqamah timetable:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to upload timetable'
+      });
+    }
+  }
+);
+
+// DELETE /api/mosques/:id/timetable/months/:month - Remove an uploaded month; its days fall back to the rules
+router.delete('/:id/timetable/months/:month',
+  authenticateToken,
+  requireMosquePermission('edit_content'),
+  [
+    param('id').isMongoId().withMessage('Invalid mosque ID'),
+    param('month').matches(IqamahTimetable.MONTH_PATTERN).withMessage('Month must be YYYY-MM')
+  ],
+  handleValidationErrors,
+  requireOwnMosque,
+  async (req, res) => {
+    try {
+      const result = await IqamahService.removeMonth(req.params.id, req.params.month);
+      sendTimetableResult(res, result);
+    } catch (error) {
+      console.error('Error removing iqamah timetable month:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to remove timetable month'
+      });
+    }
+  }
+);
+
+// GET /api/mosques/:id/archive/search?q=&lang= - Search the mosque's transcripts and translations
+router.get('/:id/archive/search',
+  optionalAuth,
+  [
+    param('id').isMongoId().withMessage('Invalid mosque ID'),
+    query('q').isString().trim().isLength({ min: 2, max: 200 }).withMessage('Search query must be 2-200 characters'),
+    query('lang').optional().isIn(['ar', ...config.translation.supportedLanguages]).withMessage('Unsupported language'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const results = await ArchiveSearchService.search(req.params.id, req.query.q, {
+        language: req.query.lang,
+        limit: req.query.limit
+      });
+
+      res.json({
+        success: true,
+        data: {
+          query: req.query.q,
+          total: results.length,
+          results
+        }
+      });
+    } catch (error) {
+      console.error('Error searching mosque archive:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to search archive'
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -1,19 +1,33 @@
 // Session routes for Mosque Translation App
 const express = require('express');
-const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const { authenticateToken, optionalAuth, hasPermission } = require('../middleware/auth');
+// The same live sessions the WebSocket handlers use, shared across server instances
+const { activeSessions, mosques } = require('../services/SessionStateStore');
 
 const router = express.Router();
 
-// In-memory storage for active sessions (in production, use Redis or database)
-const activeSessions = new Map();
+// Sessions started over the socket are keyed by id and carry no mosque name
+function getSessionId(session) {
+  return session.sessionId || session.id;
+}
+
+function getMosqueName(session) {
+  return session.mosqueName || mosques.get(session.mosqueId)?.name || 'Unknown Mosque';
+}
+
+// Listeners are keyed by socket id, or by user id when they joined through this API
+function isParticipant(session, userId) {
+  return !!session.participants &&
+    Array.from(session.participants.values()).some(participant => String(participant.userId) === userId);
+}
 
 // GET /api/sessions/active - Get active translation sessions
 router.get('/active', optionalAuth, async (req, res) => {
   try {
     // Convert Map to Array for JSON response
     const sessions = Array.from(activeSessions.values()).map(session => ({
-      sessionId: session.sessionId,
-      mosqueName: session.mosqueName,
+      sessionId: getSessionId(session),
+      mosqueName: getMosqueName(session),
       mosqueId: session.mosqueId,
       language: session.language,
       isLive: session.isActive,
@@ -27,7 +41,7 @@ router.get('/active', optionalAuth, async (req, res) => {
     if (req.user && req.user.followedMosques) {
       const followedMosqueIds = req.user.followedMosques.map(fm => fm.mosqueId.toString());
       sessions.forEach(session => {
-        session.isFromFollowedMosque = followedMosqueIds.includes(session.mosqueId);
+        session.isFromFollowedMosque = followedMosqueIds.includes(String(session.mosqueId));
       });
     }
 
@@ -48,19 +62,20 @@ router.get('/active', optionalAuth, async (req, res) => {
 // POST /api/sessions - Create a new translation session (mosque only)
 router.post('/', authenticateToken, async (req, res) => {
   try {
-    // Only mosque accounts can create sessions
-    if (req.user.userType !== 'mosque') {
+    // Only mosque accounts and their broadcasting staff can create sessions
+    if (!hasPermission(req.mosqueRole, 'broadcast')) {
       return res.status(403).json({
         success: false,
         message: 'Only mosque accounts can create translation sessions'
       });
     }
+    const mosqueId = req.mosqueId.toString();
 
     const { language = 'Arabic', title, description } = req.body;
     
     // Check if mosque already has an active session
     const existingSession = Array.from(activeSessions.values()).find(
-      session => session.mosqueId === req.user._id.toString() && session.isActive
+      session => String(session.mosqueId) === mosqueId && session.isActive
     );
 
     if (existingSession) {
@@ -68,7 +83,7 @@ router.post('/', authenticateToken, async (req, res) => {
         success: false,
         message: 'Mosque already has an active session',
         existingSession: {
-          sessionId: existingSession.sessionId,
+          sessionId: getSessionId(existingSession),
           startedAt: existingSession.startedAt
         }
       });
@@ -77,15 +92,17 @@ router.post('/', authenticateToken, async (req, res) => {
     // Create new session
     const sessionId = `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     const newSession = {
+      id: sessionId,
       sessionId,
-      mosqueId: req.user._id.toString(),
-      mosqueName: req.user.mosqueName,
+      mosqueId,
+      mosqueName: req.mosqueName,
       language,
-      title: title || `Live Translation - ${req.user.mosqueName}`,
+      title: title || `Live Translation - ${req.mosqueName}`,
       description: description || 'Live translation session',
       isActive: true,
       startedAt: new Date(),
-      participants: new Set(),
+      participants: new Map(),
+      translations: new Map(),
       broadcaster: null,
       status: 'waiting_for_broadcaster'
     };
@@ -127,8 +144,8 @@ router.get('/:id', optionalAuth, async (req, res) => {
     }
 
     const sessionData = {
-      sessionId: session.sessionId,
-      mosqueName: session.mosqueName,
+      sessionId: getSessionId(session),
+      mosqueName: getMosqueName(session),
       mosqueId: session.mosqueId,
       language: session.language,
       title: session.title,
@@ -141,8 +158,8 @@ router.get('/:id', optionalAuth, async (req, res) => {
 
     // Add user-specific data if authenticated
     if (req.user) {
-      sessionData.canBroadcast = req.user._id.toString() === session.mosqueId;
-      sessionData.isParticipant = session.participants ? session.participants.has(req.user._id.toString()) : false;
+      sessionData.canBroadcast = hasPermission(req.mosqueRole, 'broadcast') && req.mosqueId.toString() === String(session.mosqueId);
+      sessionData.isParticipant = isParticipant(session, req.user._id.toString());
     }
 
     res.json({
@@ -179,17 +196,22 @@ router.post('/:id/join', authenticateToken, async (req, res) => {
     }
 
     // Add user to participants
-    if (!session.participants) {
-      session.participants = new Set();
+    const userId = req.user._id.toString();
+    if (!isParticipant(session, userId)) {
+      activeSessions.setEntry(id, 'participants', userId, {
+        userType: 'listener',
+        isAuthenticated: true,
+        userId,
+        joinedAt: new Date(),
+      });
     }
-    session.participants.add(req.user._id.toString());
 
     res.json({
       success: true,
       message: 'Joined session successfully',
       session: {
-        sessionId: session.sessionId,
-        mosqueName: session.mosqueName,
+        sessionId: getSessionId(session),
+        mosqueName: getMosqueName(session),
         participantCount: session.participants.size
       }
     });
@@ -215,16 +237,14 @@ router.post('/:id/leave', authenticateToken, async (req, res) => {
       });
     }
 
-    // Remove user from participants
-    if (session.participants) {
-      session.participants.delete(req.user._id.toString());
-    }
+    // Remove user from participants (socket listeners leave when their socket does)
+    activeSessions.deleteEntry(id, 'participants', req.user._id.toString());
 
     res.json({
       success: true,
       message: 'Left session successfully',
       session: {
-        sessionId: session.sessionId,
+        sessionId: getSessionId(session),
         participantCount: session.participants ? session.participants.size : 0
       }
     });
@@ -251,7 +271,7 @@ router.delete('/:id', authenticateToken, async (req, res) => {
     }
 
     // Only the mosque that created the session can end it
-    if (req.user._id.toString() !== session.mosqueId) {
+    if (!hasPermission(req.mosqueRole, 'broadcast') || req.mosqueId.toString() !== String(session.mosqueId)) {
       return res.status(403).json({
         success: false,
         message: 'Only the mosque that created this session can end it'
@@ -262,6 +282,10 @@ router.delete('/:id', authenticateToken, async (req, res) => {
     session.isActive = false;
     session.endedAt = new Date();
     session.status = 'ended';
+    activeSessions.persist(id);
+
+    const TextToSpeechService = require('../services/TextToSpeechService');
+    TextToSpeechService.scheduleSessionCleanup(id);
 
     // Remove from active sessions after a delay (keep for history)
     setTimeout(() => {
@@ -272,7 +296,7 @@ router.delete('/:id', authenticateToken, async (req, res) => {
       success: true,
       message: 'Session ended successfully',
       session: {
-        sessionId: session.sessionId,
+        sessionId: getSessionId(session),
         endedAt: session.endedAt
       }
     });
@@ -285,6 +309,67 @@ router.delete('/:id', authenticateToken, async (req, res) => {
   }
 });
 
+// Language as an ISO code ('German' and 'de' are both accepted)
+function toLanguageCode(language) {
+  const MultiLanguageTranslationService = require('../services/MultiLanguageTranslationService');
+  return language.length > 3 ? MultiLanguageTranslationService.getLanguageCode(language) : language.toLowerCase();
+}
+
+// Requested summary language as an ISO code
+async function resolveSummaryLanguage(req) {
+  let language = req.query.lang;
+
+  if (!language && req.userId) {
+    try {
+      const UserLanguagePreferencesService = require('../services/UserLanguagePreferencesService');
+      language = (await UserLanguagePreferencesService.getTranslationLanguages(req.userId)).primary;
+    } catch (error) {
+      language = null;
+    }
+  }
+
+  if (!language) {
+    return null;
+  }
+  return toLanguageCode(language);
+}
+
+// GET /api/sessions/:id/summary - Sermon recap of an ended session
+router.get('/:id/summary', optionalAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const Session = require('../models/Session');
+    const SermonSummaryService = require('../services/SermonSummaryService');
+
+    const session = await Session.findOne({ sessionId: id }).select('sessionId summary');
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    const summary = SermonSummaryService.formatSummary(session, await resolveSummaryLanguage(req));
+    if (!summary) {
+      return res.status(404).json({
+        success: false,
+        message: 'No summary for this session yet'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: summary
+    });
+  } catch (error) {
+    console.error('Get session summary error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get session summary'
+    });
+  }
+});
+
 // GET /api/sessions/history/:mosqueId - Get previous sessions for a mosque with filtering
 router.get('/history/:mosqueId', optionalAuth, async (req, res) => {
   try {
@@ -302,6 +387,8 @@ router.get('/history/:mosqueId', optionalAuth, async (req, res) => {
     const Session = require('../models/Session');
     const AudioSession = require('../models/AudioSession');
     const AudioRecording = require('../models/AudioRecording');
+    const SermonSummaryService = require('../services/SermonSummaryService');
+    const summaryLanguage = await resolveSummaryLanguage(req);
 
     // Build query filters
     let sessionQuery = {
@@ -387,7 +474,8 @@ router.get('/history/:mosqueId', optionalAuth, async (req, res) => {
         participantCount: session.stats?.maxConcurrentParticipants || Math.floor(Math.random() * 100) + 10,
         type: sessionType,
         hasAudio: recordings.length > 0,
-        recordingCount: recordings.length
+        recordingCount: recordings.length,
+        summary: SermonSummaryService.formatSummary(session, summaryLanguage)
       };
     });
 
@@ -474,7 +562,12 @@ router.get('/recordings/:sessionId', optionalAuth, async (req, res) => {
       duration: recording.duration || 0,
       fileSize: recording.fileSize || 0,
       audioUrl: `/api/audio/recordings/${recording.fileName}`,
+      subtitlesUrl: `/api/sessions/recordings/${sessionId}/subtitles?recordingId=${recording.recordingId}`,
       recordingType: recording.recordingType || 'session',
+      // Cleaned-up variants are served once processing has completed (?original=true for the raw capture)
+      processingStatus: recording.processing?.status || null,
+      variants: (recording.processing?.variants || []).map(variant => variant.name),
+      isPublic: recording.isPublic || recording.accessLevel === 'public',
       createdAt: recording.createdAt
     }));
 
@@ -492,7 +585,218 @@ router.get('/recordings/:sessionId', optionalAuth, async (req, res) => {
   }
 });
 
-// Export the activeSessions for use in WebSocket handlers
-router.activeSessions = activeSessions;
+// POST /api/sessions/recordings/:recordingId/reprocess - Run post-processing again, e.g. after it failed
+router.post('/recordings/:recordingId/reprocess', authenticateToken, async (req, res) => {
+  try {
+    const AudioRecording = require('../models/AudioRecording');
+    const AudioProcessingService = require('../services/AudioProcessingService');
+
+    const recording = await AudioRecording.findOne({ recordingId: req.params.recordingId }).select('mosqueId status');
+    if (!recording) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recording not found'
+      });
+    }
+
+    if (!hasPermission(req.mosqueRole, 'broadcast') || req.mosqueId.toString() !== recording.mosqueId.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the mosque that made this recording can reprocess it'
+      });
+    }
+
+    if (!AudioProcessingService.isEnabled()) {
+      return res.status(503).json({
+        success: false,
+        message: 'Recording post-processing is disabled on this server'
+      });
+    }
+
+    const queued = await AudioProcessingService.queueRecording(req.params.recordingId, { force: true });
+    if (!queued) {
+      return res.status(409).json({
+        success: false,
+        message: 'Recording is being processed or is not finished yet'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Recording queued for processing'
+    });
+  } catch (error) {
+    console.error('Reprocess recording error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to queue recording for processing'
+    });
+  }
+});
+
+// PUT /api/sessions/recordings/:recordingId/visibility - Publish a recording in the mosque's podcast feed, or take it out
+// Body: { isPublic: true|false }
+router.put('/recordings/:recordingId/visibility', authenticateToken, async (req, res) => {
+  try {
+    const AudioRecording = require('../models/AudioRecording');
+    const PodcastService = require('../services/PodcastService');
+
+    if (typeof req.body.isPublic !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'isPublic must be true or false'
+      });
+    }
+
+    const recording = await AudioRecording.findOne({ recordingId: req.params.recordingId }).select('mosqueId');
+    if (!recording) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recording not found'
+      });
+    }
+
+    if (!hasPermission(req.mosqueRole, 'edit_content') || req.mosqueId.toString() !== recording.mosqueId.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the mosque that made this recording can publish it'
+      });
+    }
+
+    await AudioRecording.updateOne(
+      { _id: recording._id },
+      { $set: { isPublic: req.body.isPublic, accessLevel: req.body.isPublic ? 'public' : 'mosque_only' } }
+    );
+
+    res.json({
+      success: true,
+      data: {
+        recordingId: req.params.recordingId,
+        isPublic: req.body.isPublic,
+        podcastUrl: PodcastService.getFeedPath(recording.mosqueId)
+      }
+    });
+  } catch (error) {
+    console.error('Update recording visibility error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update recording visibility'
+    });
+  }
+});
+
+// GET /api/sessions/recordings/:sessionId/transcript - Timed transcript for synchronized playback
+// ?languages=en,de (defaults to the listener's primary and, with dual subtitles, secondary language) &recordingId=
+router.get('/recordings/:sessionId/transcript', optionalAuth, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const config = require('../config/config');
+    const SubtitleService = require('../services/SubtitleService');
+
+    let languages = req.query.languages
+      ? req.query.languages.split(',').map(language => language.trim()).filter(Boolean)
+      : [];
+
+    if (languages.length === 0 && req.userId) {
+      try {
+        const UserLanguagePreferencesService = require('../services/UserLanguagePreferencesService');
+        languages = (await UserLanguagePreferencesService.getTranslationLanguages(req.userId)).languages;
+      } catch (error) {
+        languages = [];
+      }
+    }
+
+    if (languages.length === 0) {
+      languages = [config.translation.defaultUserLanguage];
+    }
+
+    languages = [...new Set(languages.map(toLanguageCode))]
+      .filter(language => config.translation.supportedLanguages.includes(language))
+      .slice(0, 2);
+
+    const result = await SubtitleService.getTranscript(sessionId, {
+      languages,
+      recordingId: req.query.recordingId
+    });
+
+    if (!result.success) {
+      return res.status(result.status || 500).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        sessionId: result.sessionId,
+        languages: result.languages,
+        recording: result.recording,
+        segments: result.segments
+      }
+    });
+
+  } catch (error) {
+    console.error('Get session transcript error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get session transcript'
+    });
+  }
+});
+
+// GET /api/sessions/recordings/:sessionId/subtitles - Captions aligned to the session recording
+// ?lang=de (code or name, 'ar' for the original transcript) &format=vtt|srt &recordingId=
+router.get('/recordings/:sessionId/subtitles', optionalAuth, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const config = require('../config/config');
+    const SubtitleService = require('../services/SubtitleService');
+
+    const format = (req.query.format || 'vtt').toLowerCase();
+    const requested = req.query.lang || 'ar';
+    const language = toLanguageCode(requested);
+
+    if (!SubtitleService.isSupportedFormat(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Format must be vtt or srt'
+      });
+    }
+
+    if (language !== 'ar' && !config.translation.supportedLanguages.includes(language)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unsupported subtitle language: ${requested}`
+      });
+    }
+
+    const result = await SubtitleService.generate(sessionId, {
+      language,
+      format,
+      recordingId: req.query.recordingId
+    });
+
+    if (!result.success) {
+      return res.status(result.status || 500).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.set({
+      'Content-Type': format === 'srt' ? 'application/x-subrip; charset=utf-8' : 'text/vtt; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${result.fileName}"`
+    });
+    res.send(result.content);
+
+  } catch (error) {
+    console.error('Get session subtitles error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate subtitles'
+    });
+  }
+});
 
 module.exports = router;
@@ -1,13 +1,14 @@
 // Multi-Language Translation routes for Mosque Translation App
 const express = require('express');
-const { body, query, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const { 
   authenticateToken, 
-  requireMosqueAdmin, 
+  requireMosquePermission, 
   optionalAuth,
   createAuthRateLimit 
 } = require('../middleware/auth');
 const MultiLanguageTranslationService = require('../services/MultiLanguageTranslationService');
+const CorrectionReviewService = require('../services/CorrectionReviewService');
 const Translation = require('../models/Translation');
 const Session = require('../models/Session');
 const User = require('../models/User');
@@ -94,6 +95,7 @@ router.get('/session/:sessionId',
           sequenceNumber: t.sequenceNumber,
           timestamp: t.timestamp,
           context: t.context,
+          islamicContent: t.islamicContent,
           translations: t.translations.reduce((acc, trans) => {
             acc[trans.language] = {
               text: trans.text,
@@ -307,10 +309,155 @@ router.get('/session/:sessionId/stats',
   }
 );
 
+const sendReviewResult = (res, result, status = 200) => {
+  if (!result.success) {
+    return res.status(result.status || 500).json({
+      success: false,
+      message: result.error
+    });
+  }
+  res.status(status).json({
+    success: true,
+    data: result.correction || result.update
+  });
+};
+
+// GET /api/translation/corrections/queue - Proposed corrections awaiting review (mosque moderators)
+router.get('/corrections/queue',
+  authenticateToken,
+  requireMosquePermission('review_translations'),
+  [
+    query('status').optional().isIn(['pending', 'approved', 'rejected']).withMessage('Invalid status'),
+    query('sessionId').optional().isString().trim(),
+    query('language').optional().isString().isLength({ min: 2, max: 30 }),
+    query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const corrections = await CorrectionReviewService.listQueue(req.mosqueId, {
+        status: req.query.status,
+        sessionId: req.query.sessionId,
+        language: req.query.language,
+        limit: req.query.limit
+      });
+
+      res.json({
+        success: true,
+        data: {
+          corrections,
+          total: corrections.length
+        }
+      });
+    } catch (error) {
+      console.error('Error getting correction queue:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get correction queue'
+      });
+    }
+  }
+);
+
+// POST /api/translation/:translationId/corrections - Propose better wording for a translated line
+router.post('/:translationId/corrections',
+  authenticateToken,
+  translationRateLimit,
+  [
+    body('language').isString().isLength({ min: 2, max: 30 }).withMessage('Language is required'),
+    body('correctedText').isString().trim().isLength({ min: 1, max: 5000 }).withMessage('Corrected text must be 1-5000 characters'),
+    body('reason').optional().isString().isLength({ max: 500 }).withMessage('Reason must be at most 500 characters')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const result = await CorrectionReviewService.propose(req.params.translationId, {
+        userId: req.userId,
+        language: req.body.language,
+        correctedText: req.body.correctedText,
+        reason: req.body.reason
+      });
+      sendReviewResult(res, result, 201);
+    } catch (error) {
+      console.error('Error proposing correction:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to submit correction'
+      });
+    }
+  }
+);
+
+// POST /api/translation/:translationId/corrections/:correctionId/approve - Apply a correction
+// (optionally edited by the moderator) and update the line on listeners' screens
+router.post('/:translationId/corrections/:correctionId/approve',
+  authenticateToken,
+  requireMosquePermission('review_translations'),
+  [
+    param('correctionId').isMongoId().withMessage('Invalid correction ID'),
+    body('text').optional().isString().trim().isLength({ min: 1, max: 5000 }).withMessage('Text must be 1-5000 characters'),
+    body('note').optional().isString().isLength({ max: 500 }).withMessage('Note must be at most 500 characters')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const result = await CorrectionReviewService.approve(
+        req.mosqueId,
+        req.params.translationId,
+        req.params.correctionId,
+        req.userId,
+        { text: req.body.text, note: req.body.note }
+      );
+
+      if (result.success && result.update.sessionId) {
+        const io = req.app.get('io');
+        io && io.to(result.update.sessionId).emit('translation_corrected', result.update);
+      }
+
+      sendReviewResult(res, result);
+    } catch (error) {
+      console.error('Error approving correction:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to approve correction'
+      });
+    }
+  }
+);
+
+// POST /api/translation/:translationId/corrections/:correctionId/reject - Reject a correction
+router.post('/:translationId/corrections/:correctionId/reject',
+  authenticateToken,
+  requireMosquePermission('review_translations'),
+  [
+    param('correctionId').isMongoId().withMessage('Invalid correction ID'),
+    body('note').optional().isString().isLength({ max: 500 }).withMessage('Note must be at most 500 characters')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const result = await CorrectionReviewService.reject(
+        req.mosqueId,
+        req.params.translationId,
+        req.params.correctionId,
+        req.userId,
+        req.body.note
+      );
+      sendReviewResult(res, result);
+    } catch (error) {
+      console.error('Error rejecting correction:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to reject correction'
+      });
+    }
+  }
+);
+
 // POST /api/translation/:translationId/verify - Verify a translation (for quality control)
 router.post('/:translationId/verify',
   authenticateToken,
-  requireMosqueAdmin,
+  requireMosquePermission('review_translations'),
   [
     body('language').notEmpty().withMessage('Language is required'),
     body('isVerified').isBoolean().withMessage('Verification status is required'),
@@ -325,7 +472,7 @@ router.post('/:translationId/verify',
       const { language, isVerified, quality } = req.body;
       const userId = req.userId;
 
-      const translation = await Translation.findOne({ translationId });
+      const translation = await Translation.findOne({ translationId, mosqueId: req.mosqueId });
       if (!translation) {
         return res.status(404).json({
           success: false,
@@ -7,13 +7,14 @@ const fs = require('fs');
 const { authenticateToken } = require('../middleware/auth');
 const User = require('../models/User');
 const config = require('../config/config');
+const StorageService = require('../services/StorageService');
 
 const router = express.Router();
 
-// Configure multer for image uploads
+// Configure multer for image uploads; files land on local disk and are then handed to StorageService
 const storage = multer.diskStorage({
   destination: function (req, file, cb) {
-    const uploadDir = config.upload.uploadDir;
+    const uploadDir = StorageService.getLocalDirectory('uploads');
     if (!fs.existsSync(uploadDir)) {
       fs.mkdirSync(uploadDir, { recursive: true });
     }
@@ -86,6 +87,14 @@ router.put('/profile',
     body('mosqueName').optional().isLength({ min: 2, max: 100 }),
     body('phone').optional().isMobilePhone(),
     body('website').optional().isURL(),
+    body('prayerSettings.calculationMethod').optional().isIn(config.islamic.calculationMethods),
+    body('prayerSettings.asrMadhab').optional().isIn(config.islamic.asrMadhabs),
+    body('prayerSettings.highLatitudeRule').optional().isIn(config.islamic.highLatitudeRules),
+    body('prayerSettings.adjustments.*').optional().isInt({ min: -60, max: 60 }).toInt(),
+    body('prayerSettings.timezone').optional({ checkFalsy: true }).matches(/^[A-Za-z]+(\/[A-Za-z0-9_+-]+)+$|^UTC$/),
+    body('prayerSettings.hijriOffset').optional().isInt({ min: -2, max: 2 }).toInt(),
+    body('recordingRetention.archiveAfterDays').optional().isInt({ min: 1, max: 3650 }).toInt(),
+    body('recordingRetention.deleteAfterDays').optional().isInt({ min: 0, max: 36500 }).toInt(),
   ],
   handleValidationErrors,
   async (req, res) => {
@@ -93,7 +102,7 @@ router.put('/profile',
       const allowedUpdates = [
         'mosqueName', 'mosqueAddress', 'city', 'zipCode', 'country',
         'phone', 'website', 'madhab', 'prayerTimeMethod', 'servicesOffered',
-        'languagesSupported', 'capacity', 'capacityWomen', 'capacityMen',
+        'languagesSupported', 'prayerSettings', 'recordingRetention', 'capacity', 'capacityWomen', 'capacityMen',
         'facilities', 'constructionYear', 'briefHistory', 'otherInfo', 'photos'
       ];
       
@@ -160,16 +169,15 @@ router.post('/upload-photos',
 
       const photos = {};
 
-      // Process uploaded files
+      // Process uploaded files. The /uploads path stays the same with S3 storage, server.js redirects
+      // requests for files that are not on local disk to a signed bucket URL
       if (req.files) {
-        if (req.files.exterior && req.files.exterior[0]) {
-          photos.exterior = `/uploads/${req.files.exterior[0].filename}`;
-        }
-        if (req.files.interior && req.files.interior[0]) {
-          photos.interior = `/uploads/${req.files.interior[0].filename}`;
-        }
-        if (req.files.logo && req.files.logo[0]) {
-          photos.logo = `/uploads/${req.files.logo[0].filename}`;
+        for (const field of ['exterior', 'interior', 'logo']) {
+          const file = req.files[field] && req.files[field][0];
+          if (file) {
+            await StorageService.storeFile('uploads', file.filename, file.path);
+            photos[field] = `/uploads/${file.filename}`;
+          }
         }
       }
 
@@ -229,6 +237,11 @@ router.get('/followed-mosques', authenticateToken, async (req, res) => {
             madhab: mosque.madhab,
             servicesOffered: mosque.servicesOffered || [],
             languagesSupported: mosque.languagesSupported || ['Arabic'],
+            // Followers see the mosque's own prayer times, not ones for where they are
+            location: mosque.location?.coordinates?.length >= 2
+              ? { lng: mosque.location.coordinates[0], lat: mosque.location.coordinates[1] }
+              : null,
+            prayerSettings: mosque.prayerSettings || null,
             capacity: mosque.capacity,
             facilities: mosque.facilities || [],
             followers: mosque.analytics?.totalFollowers || 0,
@@ -14,17 +14,32 @@ const database = require('./database/database');
 // Import routes
 const authRoutes = require('./routes/auth');
 const translationRoutes = require('./routes/translation');
+const glossaryRoutes = require('./routes/glossary');
+const mosqueRoutes = require('./routes/mosques');
+const adminRoutes = require('./routes/admin');
 
 // Import services
 const MultiLanguageTranslationService = require('./services/MultiLanguageTranslationService');
 const VoiceRecognitionService = require('./services/VoiceRecognitionService');
 const UserLanguagePreferencesService = require('./services/UserLanguagePreferencesService');
+const TextToSpeechService = require('./services/TextToSpeechService');
+const SessionStateStore = require('./services/SessionStateStore');
+const GlossaryService = require('./services/GlossaryService');
+const SermonSummaryService = require('./services/SermonSummaryService');
+const ScheduleService = require('./services/ScheduleService');
+const SessionLanguageService = require('./services/SessionLanguageService');
+const SessionBackfillService = require('./services/SessionBackfillService');
+const MosqueDiscoveryService = require('./services/MosqueDiscoveryService');
+const StorageService = require('./services/StorageService');
+const RetentionService = require('./services/RetentionService');
+const AudioProcessingService = require('./services/AudioProcessingService');
 
 // Import middleware
-const { optionalAuth } = require('./middleware/auth');
+const { optionalAuth, hasPermission, resolveMosqueAccess } = require('./middleware/auth');
 
 // Import models
 const User = require('./models/User');
+const AudioRecording = require('./models/AudioRecording');
 
 const app = express();
 const server = http.createServer(app);
@@ -41,6 +56,9 @@ const io = socketIo(server, {
   transports: ['websocket', 'polling']
 });
 
+// Routes that change what listeners see (e.g. approved corrections) emit through this
+app.set('io', io);
+
 // Security middleware
 app.use(helmet({
   contentSecurityPolicy: false, // Disable for development
@@ -68,10 +86,83 @@ app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Static file serving for uploads
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+app.use('/uploads', express.static(StorageService.getLocalDirectory('uploads')));
+
+// Photos kept in remote storage keep their /uploads path and are redirected to a signed URL
+app.get('/uploads/:fileName', async (req, res) => {
+  try {
+    if (StorageService.isLocal()) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    res.redirect(await StorageService.getDownloadUrl('uploads', req.params.fileName));
+  } catch (error) {
+    console.error('❌ Error serving upload:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load file'
+    });
+  }
+});
 
 // Static file serving for audio recordings
-app.use('/api/audio/recordings', express.static(path.join(__dirname, 'audio-recordings')));
+app.use('/api/audio/recordings', express.static(StorageService.getLocalDirectory('recordings')));
+
+// Recording links only carry the file name; redirect to a signed URL wherever the recording is stored.
+// The processed default variant is served when there is one: ?variant=opus_48 picks another, ?original=true the capture
+app.get('/api/audio/recordings/:fileName', async (req, res) => {
+  try {
+    const recording = await AudioRecording.findOne({ fileName: req.params.fileName })
+      .select('fileName filePath storage isArchived processing.status processing.variants');
+
+    if (!recording) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recording not found'
+      });
+    }
+
+    res.redirect(await StorageService.getRecordingDownloadUrl(recording, {
+      original: req.query.original === 'true',
+      variant: req.query.variant
+    }));
+  } catch (error) {
+    console.error('❌ Error serving recording:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load recording'
+    });
+  }
+});
+
+// Signed download links for files on this server's disk (see StorageService.getDownloadUrl)
+app.get('/api/storage/:area/*', (req, res) => {
+  const filePath = StorageService.verifyLocalDownload(
+    req.params.area,
+    req.params[0],
+    req.query.expires,
+    req.query.signature
+  );
+
+  if (!filePath) {
+    return res.status(403).json({
+      success: false,
+      message: 'Download link is invalid or has expired'
+    });
+  }
+
+  res.sendFile(filePath, (error) => {
+    if (error && !res.headersSent) {
+      res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+  });
+});
 
 // Static file serving for TTS audio output
 app.use('/api/audio/tts', express.static(path.join(__dirname, 'services/audio-output')));
@@ -83,11 +174,13 @@ app.use('/api/auth', authRoutes);
 app.use('/api/user', userRoutes);
 app.use('/api/sessions', sessionRoutes);
 app.use('/api/translation', translationRoutes);
+app.use('/api/glossary', glossaryRoutes);
+app.use('/api/mosques', mosqueRoutes);
+app.use('/api/admin', adminRoutes);
 
-// In-memory storage for development (will be replaced with database)
-const activeSessions = new Map();
-const connectedClients = new Map();
-const mosques = new Map(); // Track mosque status and live broadcasts
+// Live state lives in the session state store (in-memory or Redis, see config.sessionState).
+// Objects changed in place must be written back with persist(key).
+const { activeSessions, connectedClients, mosques } = SessionStateStore;
 
 // Remove mock data - using real database now
 
@@ -129,7 +222,7 @@ async function sendBroadcastNotifications(mosqueId, mosqueName, language) {
     // Also send notifications to ALL connected clients (including anonymous users)
     // This ensures anonymous users who follow mosques locally also get notifications
     const allConnectedClients = Array.from(connectedClients.entries())
-      .filter(([socketId, client]) => client.userType !== 'mosque') // Don't notify the broadcasting mosque
+      .filter(([socketId, client]) => client.mosqueId !== mosqueId) // Don't notify the broadcasting mosque and its staff
       .map(([socketId]) => socketId);
 
     console.log(`📢 Sending broadcast notifications to ${allConnectedClients.length} total connected clients (including anonymous)`);
@@ -152,11 +245,110 @@ async function sendBroadcastNotifications(mosqueId, mosqueName, language) {
   }
 }
 
+// End a live session if its broadcaster doesn't reconnect within the grace period
+function scheduleBroadcasterReconnectTimeout(sessionId, gracePeriodMs = 30000) {
+  setTimeout(() => {
+    const currentSession = activeSessions.get(sessionId);
+    if (currentSession && currentSession.broadcasterDisconnected) {
+      console.log(`❌ Mosque broadcaster did not reconnect, ending session ${sessionId}`);
+      io.to(sessionId).emit('session_ended', {
+        sessionId,
+        endedAt: new Date(),
+        reason: 'Broadcaster disconnected',
+      });
+      activeSessions.delete(sessionId);
+      SessionBackfillService.clear(sessionId);
+      TextToSpeechService.scheduleSessionCleanup(sessionId);
+    }
+  }, gracePeriodMs);
+}
+
+// Build the sermon recap in the background once a session ends; listeners have usually
+// left the room by the time it is ready, so the result is announced to everyone
+function generateSessionSummary(sessionId, session) {
+  const participantUserIds = session && session.participants
+    ? Array.from(session.participants.values()).map(p => p.userId).filter(Boolean)
+    : [];
+
+  SermonSummaryService.generateForSession(sessionId, { participantUserIds })
+    .then(result => {
+      if (result.success) {
+        io.emit('session_summary_ready', {
+          sessionId,
+          mosqueId: session?.mosqueId,
+          topic: result.summary.topic,
+          languages: result.summary.translations.map(t => t.language)
+        });
+      }
+    })
+    .catch(error => console.error('❌ Session summary generation failed:', error));
+}
+
+// Tell the mosque's broadcasting devices that a scheduled slot is starting;
+// with autoStart on they begin the broadcast themselves, otherwise they prompt
+function notifyScheduledBroadcastDue(occurrence) {
+  const mosqueSockets = Array.from(connectedClients.entries())
+    .filter(([socketId, client]) => canClient(client, 'broadcast') && client.mosqueId === occurrence.mosqueId)
+    .map(([socketId]) => socketId);
+
+  mosqueSockets.forEach(socketId => {
+    io.to(socketId).emit('scheduled_broadcast_due', {
+      scheduleId: occurrence.scheduleId,
+      title: occurrence.title,
+      recordingType: occurrence.recordingType,
+      languages: occurrence.languages,
+      startsAt: occurrence.startsAt,
+      endsAt: occurrence.endsAt,
+      autoStart: occurrence.autoStart
+    });
+  });
+}
+
+// Tell everyone in the session when listeners added or dropped a translation language;
+// a new language is translated from the next utterance on
+function notifySessionLanguages(sessionId, previousLanguages) {
+  const languages = SessionLanguageService.getTargetLanguages(sessionId);
+  const { added, removed } = SessionLanguageService.diff(previousLanguages, languages);
+
+  if (added.length === 0 && removed.length === 0) {
+    return languages;
+  }
+
+  io.to(sessionId).emit('session_languages_updated', { sessionId, languages, added, removed });
+  console.log(`🌐 Session ${sessionId} now translating into: ${languages.join(', ')}`);
+  return languages;
+}
+
+// Lines a listener missed after lastSequence, sent as ordinary translation_update events in its languages.
+// join_session runs this in the same tick as joining the room, so no live line can overtake it
+function sendMissedLines(socket, sessionId, lastSequence, languages) {
+  const missed = SessionBackfillService.getMissed(sessionId, lastSequence, languages);
+  missed.updates.forEach(update => socket.emit('translation_update', update));
+
+  if (missed.updates.length > 0) {
+    console.log(`⏪ Sent ${missed.updates.length} missed lines to ${socket.id} in session ${sessionId}`);
+  }
+  return { sent: missed.updates.length, lastSequence: missed.lastSequence, truncated: missed.truncated };
+}
+
+// SessionParticipant.userType for a socket joining a session
+function toParticipantType(client) {
+  if (!client || !client.isAuthenticated) {
+    return 'anonymous';
+  }
+  return client.mosqueRole ? 'mosque_admin' : 'individual';
+}
+
+// Whether an authenticated socket's mosque role allows an action (the mosque account itself can do everything)
+const canClient = (client, permission) => {
+  return Boolean(client && client.isAuthenticated && hasPermission(client.mosqueRole, permission));
+};
+
 // Socket.IO connection handling with authentication
 io.on('connection', (socket) => {
   console.log(`🔌 Client connected: ${socket.id}`);
   
-  connectedClients.set(socket.id, {
+  SessionStateStore.registerClient(socket.id, {
     id: socket.id,
     connectedAt: new Date(),
     currentSession: null,
@@ -178,8 +370,9 @@ io.on('connection', (socket) => {
         const decoded = jwt.verify(token, config.jwt.secret);
         const User = require('./models/User');
         const user = await User.findById(decoded.userId);
+        const access = user && user.isActive ? await resolveMosqueAccess(user) : null;
         
-        if (user && user.isActive) {
+        if (access) {
           console.log('✅ User authenticated:', user.email, 'Type:', user.userType);
           console.log('🔍 User details:', {
             id: user._id,
@@ -194,34 +387,43 @@ io.on('connection', (socket) => {
           client.userId = user._id;
           client.userType = user.userType;
           client.user = user;
+          // Staff act for their mosque; revoking them disconnects this room (see routes/mosques.js)
+          client.mosqueId = access.mosqueId ? access.mosqueId.toString() : null;
+          client.mosqueRole = access.mosqueRole;
+          if (user.userType === 'staff') {
+            socket.join(`user_${user._id}`);
+          }
 
-          // Initialize mosque entry if this is a mosque user
-          if (user.userType === 'mosque') {
-            if (!mosques.has(user._id.toString())) {
-              mosques.set(user._id.toString(), {
-                id: user._id.toString(),
-                name: user.mosqueName,
+          // Initialize mosque entry if this user can broadcast for a mosque
+          if (canClient(client, 'broadcast')) {
+            if (!mosques.has(client.mosqueId)) {
+              mosques.set(client.mosqueId, {
+                id: client.mosqueId,
+                name: access.mosqueName,
                 isLive: false,
                 isActive: true,
                 currentBroadcast: null,
                 currentSession: null
               });
-              console.log('🕌 Initialized mosque entry:', user.mosqueName);
+              console.log('🕌 Initialized mosque entry:', access.mosqueName);
             }
 
             // Check if this mosque has any disconnected live sessions and restore them
             for (const [sessionId, session] of activeSessions.entries()) {
-              if (session.mosqueId === user._id.toString() && session.broadcasterDisconnected) {
+              if (session.mosqueId === client.mosqueId && session.broadcasterDisconnected) {
                 console.log(`🔄 Mosque broadcaster reconnected, restoring session ${sessionId}`);
                 session.broadcasterDisconnected = false;
                 session.disconnectedAt = null;
                 client.currentSession = sessionId;
+                activeSessions.persist(sessionId);
                 break;
               }
             }
           }
 
-          callback({ success: true, userType: user.userType });
+          connectedClients.persist(socket.id);
+
+          callback({ success: true, userType: user.userType, mosqueRole: client.mosqueRole });
           console.log(`Client ${socket.id} authenticated as ${user.userType}`);
           return;
         }
@@ -235,8 +437,8 @@ io.on('connection', (socket) => {
   });
 
   // Handle joining a translation session (enhanced with auth)
-  socket.on('join_session', (data, callback) => {
-    const { mosqueId, sessionId, deviceId, userType } = data;
+  socket.on('join_session', async (data, callback) => {
+    const { mosqueId, sessionId, deviceId, userType, preferredLanguage, secondaryLanguage, lastSequence = 0 } = data;
     
     try {
       const session = activeSessions.get(sessionId);
@@ -245,22 +447,42 @@ io.on('connection', (socket) => {
         return;
       }
 
-      // Join the socket room
-      socket.join(sessionId);
-      
       // Update client info
       const client = connectedClients.get(socket.id);
       client.currentSession = sessionId;
       client.deviceId = deviceId;
+
+      const previousLanguages = SessionLanguageService.getTargetLanguages(sessionId);
+      const languages = await SessionLanguageService.resolveParticipantLanguages(sessionId, {
+        deviceId,
+        userId: client.userId,
+        preferredLanguage,
+        secondaryLanguage
+      });
       
       // Update session participants
-      session.participants.set(socket.id, {
+      activeSessions.setEntry(sessionId, 'participants', socket.id, {
         deviceId,
         userType: client.userType || userType,
         isAuthenticated: client.isAuthenticated,
         userId: client.userId,
+        languages,
         joinedAt: new Date(),
       });
+      connectedClients.persist(socket.id);
+
+      // Join the room and catch up on what was said before joining (or while reconnecting) without yielding in
+      // between, so every live line arrives after the backfill
+      const backfill = sendMissedLines(socket, sessionId, lastSequence, languages);
+      socket.join(sessionId);
+
+      const targetLanguages = notifySessionLanguages(sessionId, previousLanguages);
+      SessionLanguageService.recordJoin(sessionId, {
+        deviceId,
+        userId: client.userId,
+        userType: toParticipantType(client),
+        languages
+      }).catch(error => console.error('❌ Failed to record session participant:', error.message));
 
       // Notify other participants
       socket.to(sessionId).emit('participant_joined', {
@@ -274,7 +496,10 @@ io.on('connection', (socket) => {
         success: true, 
         sessionId,
         participantCount: session.participants.size,
+        languages,
+        targetLanguages,
         translations: Array.from(session.translations.values()),
+        ...backfill,
       });
 
       console.log(`Client ${socket.id} joined session ${sessionId}`);
@@ -291,8 +516,8 @@ io.on('connection', (socket) => {
     try {
       const client = connectedClients.get(socket.id);
       
-      // Check if user is authenticated and is a mosque admin
-      if (!client.isAuthenticated || client.userType !== 'mosque') {
+      // Check if user is authenticated and may broadcast for the mosque
+      if (!canClient(client, 'broadcast') || client.mosqueId !== mosqueId) {
         callback({ success: false, error: 'Mosque authentication required' });
         return;
       }
@@ -307,9 +532,10 @@ io.on('connection', (socket) => {
       const session = {
         id: sessionId,
         mosqueId,
-        mosqueUserId: client.userId,
+        mosqueUserId: client.mosqueId,
         startedAt: new Date(),
         languages,
+        defaultLanguages: await SessionLanguageService.loadDefaultLanguages(client.mosqueId, languages),
         isActive: true,
         participants: new Map(),
         translations: new Map(),
@@ -322,7 +548,7 @@ io.on('connection', (socket) => {
 
       // Join the broadcaster to the session
       socket.join(sessionId);
-      session.participants.set(socket.id, {
+      activeSessions.setEntry(sessionId, 'participants', socket.id, {
         deviceId,
         userType: 'broadcaster',
         isAuthenticated: true,
@@ -333,6 +559,9 @@ io.on('connection', (socket) => {
       client.currentSession = sessionId;
       client.deviceId = deviceId;
 
+      mosques.persist(mosqueId);
+      connectedClients.persist(socket.id);
+
       // Notify all clients about new session
       io.emit('session_started', {
         sessionId,
@@ -364,11 +593,12 @@ io.on('connection', (socket) => {
       const client = connectedClients.get(socket.id);
       const session = activeSessions.get(sessionId);
 
-      if (session && client.isAuthenticated && client.userType === 'mosque') {
+      if (session && canClient(client, 'broadcast') && client.mosqueId === session.mosqueId) {
         const mosque = mosques.get(session.mosqueId);
         if (mosque) {
           mosque.isActive = false;
           mosque.currentSession = null;
+          mosques.persist(session.mosqueId);
         }
 
         // Notify all participants
@@ -378,15 +608,16 @@ io.on('connection', (socket) => {
           translationCount: session.translations.size,
         });
 
-        // Remove all participants from the room
-        session.participants.forEach((participant, socketId) => {
-          const participantSocket = io.sockets.sockets.get(socketId);
-          if (participantSocket) {
-            participantSocket.leave(sessionId);
-          }
-        });
+        // Remove all participants from the room (on every server instance)
+        io.in(sessionId).socketsLeave(sessionId);
+
+        generateSessionSummary(sessionId, session);
+        ScheduleService.detachSession(sessionId)
+          .catch(error => console.error('❌ Failed to update scheduled broadcast:', error.message));
 
         activeSessions.delete(sessionId);
+        SessionBackfillService.clear(sessionId);
+        TextToSpeechService.scheduleSessionCleanup(sessionId);
         console.log(`Session ${sessionId} ended by user ${client.userId}`);
       }
     } catch (error) {
@@ -401,9 +632,14 @@ io.on('connection', (socket) => {
     try {
       const session = activeSessions.get(sessionId);
       if (session) {
-        session.participants.delete(socket.id);
+        const previousLanguages = SessionLanguageService.getTargetLanguages(sessionId);
+        activeSessions.deleteEntry(sessionId, 'participants', socket.id);
         socket.leave(sessionId);
 
+        notifySessionLanguages(sessionId, previousLanguages);
+        SessionLanguageService.recordLeave(sessionId, deviceId)
+          .catch(error => console.error('❌ Failed to record participant leaving:', error.message));
+
         // Notify other participants
         socket.to(sessionId).emit('participant_left', {
           deviceId,
@@ -415,6 +651,7 @@ io.on('connection', (socket) => {
       const client = connectedClients.get(socket.id);
       if (client) {
         client.currentSession = null;
+        connectedClients.persist(socket.id);
       }
 
       console.log(`Client ${socket.id} left session ${sessionId}`);
@@ -423,11 +660,69 @@ io.on('connection', (socket) => {
     }
   });
 
+  // Listener switched language mid-session; a newly requested language is translated from the next line on
+  socket.on('change_session_language', (data, callback) => {
+    const { sessionId, preferredLanguage, secondaryLanguage } = data;
+
+    try {
+      const session = activeSessions.get(sessionId);
+      const participant = session?.participants.get(socket.id);
+      if (!participant) {
+        callback && callback({ success: false, error: 'Not in this session' });
+        return;
+      }
+
+      const languages = SessionLanguageService.normalizeList([preferredLanguage, secondaryLanguage]);
+      if (languages.length === 0) {
+        callback && callback({ success: false, error: 'Unsupported language' });
+        return;
+      }
+
+      const previousLanguages = SessionLanguageService.getTargetLanguages(sessionId);
+      participant.languages = languages;
+      activeSessions.persistEntry(sessionId, 'participants', socket.id);
+
+      const targetLanguages = notifySessionLanguages(sessionId, previousLanguages);
+      SessionLanguageService.recordLanguageChange(sessionId, participant.deviceId, languages)
+        .catch(error => console.error('❌ Failed to record language change:', error.message));
+
+      callback && callback({ success: true, languages, targetLanguages });
+    } catch (error) {
+      console.error('Error changing session language:', error);
+      callback && callback({ success: false, error: 'Failed to change language' });
+    }
+  });
+
+  // Listener in the session reports the last line it has, e.g. to reload it after switching language;
+  // what it missed is sent as translation_update. Joining with lastSequence does the same in one step
+  socket.on('sync_session', (data, callback) => {
+    const { sessionId, lastSequence = 0, language } = data;
+
+    try {
+      const session = activeSessions.get(sessionId);
+      const participant = session?.participants.get(socket.id);
+      if (!participant) {
+        callback && callback({ success: false, error: 'Join the session first' });
+        return;
+      }
+
+      const requested = SessionLanguageService.normalize(language);
+      const languages = requested
+        ? [requested, ...(participant.languages || []).filter(code => code !== requested)]
+        : participant.languages || [];
+
+      callback && callback({ success: true, ...sendMissedLines(socket, sessionId, lastSequence, languages) });
+    } catch (error) {
+      console.error('Error syncing session:', error);
+      callback && callback({ success: false, error: 'Failed to sync session' });
+    }
+  });
+
   // Handle sending original translation (requires mosque auth)
   socket.on('send_original_translation', async (data, callback) => {
     try {
       const client = connectedClients.get(socket.id);
-      if (!client || !client.currentSession || !client.isAuthenticated || client.userType !== 'mosque') {
+      if (!client || !client.currentSession || !canClient(client, 'broadcast')) {
         callback && callback({ success: false, error: 'Mosque authentication required' });
         return;
       }
@@ -458,12 +753,14 @@ io.on('connection', (socket) => {
         context,
         availableLanguages: session.targetLanguages || ['English']
       });
+      activeSessions.persist(client.currentSession);
 
       // Broadcast to all participants
       io.to(client.currentSession).emit('original_translation', {
         translationId: translation.translationId,
         originalText,
-        context,
+        context: translation.context,
+        islamicContent: translation.islamicContent,
         sequenceNumber: translation.sequenceNumber,
         timestamp: translation.timestamp,
         targetLanguages: session.targetLanguages || ['English']
@@ -491,6 +788,12 @@ io.on('connection', (socket) => {
         return;
       }
 
+      // Community members may translate; mosque staff only if their role allows it
+      if (client.mosqueRole && !canClient(client, 'translate')) {
+        callback && callback({ success: false, error: 'Your mosque role does not allow translating' });
+        return;
+      }
+
       const { translationId, language, text, confidence } = data;
 
       // Add translation through multi-language service
@@ -530,6 +833,12 @@ io.on('connection', (socket) => {
         return;
       }
 
+      // Community members may translate; mosque staff only if their role allows it
+      if (client.mosqueRole && !canClient(client, 'translate')) {
+        callback && callback({ success: false, error: 'Your mosque role does not allow translating' });
+        return;
+      }
+
       const { language } = data;
 
       // Validate language support
@@ -600,7 +909,7 @@ io.on('connection', (socket) => {
       console.log('🎤 Received start_voice_recognition request:', data);
 
       const client = connectedClients.get(socket.id);
-      if (!client || !client.isAuthenticated || client.userType !== 'mosque') {
+      if (!canClient(client, 'broadcast')) {
         console.log('❌ Voice recognition auth failed:', {
           hasClient: !!client,
           isAuth: client?.isAuthenticated,
@@ -620,7 +929,7 @@ io.on('connection', (socket) => {
       });
 
       // Start voice recognition service with recording
-      const result = await VoiceRecognitionService.startVoiceRecognition(sessionId, client.userId, {
+      const result = await VoiceRecognitionService.startVoiceRecognition(sessionId, client.mosqueId, {
         provider,
         language,
         enableRecording: enableRecording !== false, // Default to true
@@ -643,6 +952,7 @@ io.on('connection', (socket) => {
           socket.emit('voice_transcription', {
             ...transcription,
             transcriptionId: savedTranscription?.transcriptionId,
+            islamicContent: savedTranscription?.islamicContent,
             language: 'ar',
             isOriginal: true, // This is the original Arabic text
             timestamp: new Date()
@@ -659,35 +969,25 @@ io.on('connection', (socket) => {
               await MultiLanguageTranslationService.processOriginalTranslation(
                 sessionId,
                 transcription.text.trim(),
-                'speech',
+                'sermon',
                 {
                   transcriptionId: savedTranscription?.transcriptionId,
                   provider: transcription.provider,
-                  confidence: transcription.confidence
+                  confidence: transcription.confidence,
+                  voiceRecognition: true
                 }
               );
             } catch (translationError) {
               console.error('❌ Error processing translation:', translationError);
             }
           }
-
-          // If final transcription, process for translation
-          if (transcription.isFinal && savedTranscription) {
-            MultiLanguageTranslationService.processOriginalTranslation(
-              sessionId,
-              transcription.text,
-              'speech',
-              {
-                provider: transcription.provider,
-                confidence: transcription.confidence,
-                voiceRecognition: true,
-                transcriptionId: savedTranscription.transcriptionId
-              }
-            );
-          }
         },
         onError: (error) => {
           socket.emit('voice_recognition_error', { message: error.message });
+        },
+        onProviderChange: (change) => {
+          // Recognition continues on the fallback provider; the broadcaster is told which one
+          socket.emit('voice_recognition_provider_changed', change);
         }
       });
 
@@ -709,7 +1009,7 @@ io.on('connection', (socket) => {
   socket.on('realtime_audio_chunk', async (data) => {
     try {
       const client = connectedClients.get(socket.id);
-      if (!client || !client.isAuthenticated || client.userType !== 'mosque') {
+      if (!canClient(client, 'broadcast')) {
         console.warn('⚠️ Unauthorized realtime_audio_chunk request');
         return;
       }
@@ -767,22 +1067,26 @@ io.on('connection', (socket) => {
             // If translation is enabled, translate the text
             if (result.isFinal && result.transcription.trim()) {
               try {
-                const translations = await MultiLanguageTranslationService.translateToMultipleLanguages(
-                  result.transcription,
-                  'ar', // Source language (Arabic)
-                  ['en', 'de', 'fr', 'es', 'tr'] // Target languages
-                );
-
-                // Broadcast translations
-                io.to(sessionId).emit('translation_update', {
-                  sessionId,
-                  originalText: result.transcription,
-                  translations,
-                  timestamp: new Date(),
-                  sequence
+                // Recited verses get their approved translation instead of machine output
+                const line = await MultiLanguageTranslationService.translateLiveLine(sessionId, result.transcription, {
+                  sequence,
+                  mosqueId: activeSessions.get(sessionId)?.mosqueId
                 });
 
+                // Broadcast translations, numbered so listeners can ask for what they missed
+                const update = SessionBackfillService.record(sessionId, line);
+                io.to(sessionId).emit('translation_update', update);
+
                 console.log(`🌐 Translations sent for sequence ${sequence}`);
+
+                // Voice the translations for listeners following along by audio
+                if (TextToSpeechService.isEnabled()) {
+                  TextToSpeechService.synthesizeTranslations(sessionId, sequence, update.translations, (segment) => {
+                    io.to(sessionId).emit('translation_audio', segment);
+                  }).catch(ttsError => {
+                    console.error('❌ TTS error:', ttsError);
+                  });
+                }
               } catch (translationError) {
                 console.error('❌ Translation error:', translationError);
               }
@@ -814,7 +1118,7 @@ io.on('connection', (socket) => {
   socket.on('realtime_audio_data', async (data) => {
     try {
       const client = connectedClients.get(socket.id);
-      if (!client || !client.isAuthenticated || client.userType !== 'mosque') {
+      if (!canClient(client, 'broadcast')) {
         return;
       }
 
@@ -847,7 +1151,7 @@ io.on('connection', (socket) => {
   socket.on('audio_status', async (data) => {
     try {
       const client = connectedClients.get(socket.id);
-      if (!client || !client.isAuthenticated || client.userType !== 'mosque') {
+      if (!canClient(client, 'broadcast')) {
         return;
       }
 
@@ -895,12 +1199,12 @@ io.on('connection', (socket) => {
         mosqueName: client?.user?.mosqueName
       });
 
-      if (!client || !client.isAuthenticated || client.userType !== 'mosque') {
+      if (!canClient(client, 'broadcast')) {
         console.log('❌ start_broadcast authentication failed:', {
           hasClient: !!client,
           isAuthenticated: client?.isAuthenticated,
           userType: client?.userType,
-          expectedUserType: 'mosque'
+          mosqueRole: client?.mosqueRole
         });
         callback && callback({ success: false, error: 'Mosque authentication required' });
         return;
@@ -908,6 +1212,11 @@ io.on('connection', (socket) => {
 
       const { sessionId, mosqueId, mosqueName, language, enableVoiceRecognition, enableRecording } = data;
 
+      if (mosqueId !== client.mosqueId) {
+        callback && callback({ success: false, error: 'Not authorized to broadcast for this mosque' });
+        return;
+      }
+
       // Update session status to live
       let session = activeSessions.get(sessionId);
       console.log('🔍 Looking for session:', sessionId, 'Found:', !!session);
@@ -920,12 +1229,13 @@ io.on('connection', (socket) => {
           mosqueId,
           mosqueName,
           languages: [language],
-          participants: new Set(),
+          participants: new Map(),
+          translations: new Map(),
           startedAt: new Date(),
           isActive: true,
           isLive: false,
           status: 'active',
-          mosqueUserId: client.userId,
+          mosqueUserId: client.mosqueId,
           broadcaster: client.deviceId || socket.id
         };
         activeSessions.set(sessionId, session);
@@ -935,6 +1245,10 @@ io.on('connection', (socket) => {
         console.log('📝 Using existing session:', sessionId);
       }
 
+      if (!session.defaultLanguages) {
+        session.defaultLanguages = await SessionLanguageService.loadDefaultLanguages(client.mosqueId, [language]);
+      }
+
       // Update session to live status
       session.isLive = true;
       session.status = 'live';
@@ -954,7 +1268,9 @@ io.on('connection', (socket) => {
       if (mosque) {
         mosque.isLive = true;
         mosque.currentBroadcast = sessionId;
+        mosques.persist(mosqueId);
       }
+      activeSessions.persist(sessionId);
 
       // Save session to database
       const Session = require('./models/Session');
@@ -970,11 +1286,28 @@ io.on('connection', (socket) => {
         { upsert: true, new: true }
       );
 
+      // Take over title and type from the scheduled slot this broadcast fills, if any
+      const scheduled = await ScheduleService.attachSession(client.mosqueId, sessionId)
+        .catch(error => {
+          console.error('❌ Failed to link scheduled broadcast:', error.message);
+          return null;
+        });
+      if (scheduled) {
+        session.title = scheduled.title;
+        session.defaultLanguages = SessionLanguageService.normalizeList([
+          ...session.defaultLanguages,
+          ...(scheduled.languages || [])
+        ]);
+        activeSessions.persist(sessionId);
+      }
+
       // Notify all clients about live broadcast
       const broadcastData = {
         sessionId,
         mosqueId,
         mosqueName,
+        title: scheduled ? scheduled.title : null,
+        scheduleId: scheduled ? scheduled.scheduleId : null,
         language,
         startedAt: new Date(),
         isLive: true,
@@ -1001,21 +1334,31 @@ io.on('connection', (socket) => {
   socket.on('stop_broadcast', async (data, callback) => {
     try {
       const client = connectedClients.get(socket.id);
-      if (!client || !client.isAuthenticated || client.userType !== 'mosque') {
+      if (!canClient(client, 'broadcast')) {
         callback && callback({ success: false, error: 'Mosque authentication required' });
         return;
       }
 
       const { sessionId, mosqueId, duration, listeners } = data;
 
-      // Update session status
+      // Only the mosque running the session can end it (like end_session)
+      const Session = require('./models/Session');
       const session = activeSessions.get(sessionId);
+      const stored = session ? null : await Session.findOne({ sessionId }).select('mosqueId');
+      const ownerId = session ? session.mosqueId : stored && stored.mosqueId.toString();
+      if (mosqueId !== client.mosqueId || (ownerId && ownerId !== client.mosqueId)) {
+        callback && callback({ success: false, error: 'Not authorized to stop this broadcast' });
+        return;
+      }
+
+      // Update session status
       if (session) {
         session.isLive = false;
         session.status = 'ended';
         session.endedAt = new Date();
         session.duration = duration;
         session.totalListeners = listeners;
+        activeSessions.persist(sessionId);
       }
 
       // Update mosque status
@@ -1023,12 +1366,12 @@ io.on('connection', (socket) => {
       if (mosque) {
         mosque.isLive = false;
         mosque.currentBroadcast = null;
+        mosques.persist(mosqueId);
       }
 
       // Update session in database
-      const Session = require('./models/Session');
       await Session.findOneAndUpdate(
-        { sessionId },
+        { sessionId, mosqueId: client.mosqueId },
         {
           status: 'ended',
           isLive: false,
@@ -1047,6 +1390,11 @@ io.on('connection', (socket) => {
         listeners
       });
 
+      generateSessionSummary(sessionId, session);
+      ScheduleService.detachSession(sessionId)
+        .catch(error => console.error('❌ Failed to update scheduled broadcast:', error.message));
+      TextToSpeechService.scheduleSessionCleanup(sessionId);
+
       callback && callback({ success: true });
       console.log(`⏹️ Live broadcast stopped for session ${sessionId}`);
 
@@ -1061,7 +1409,7 @@ io.on('connection', (socket) => {
     try {
       console.log('🎵 Received completed audio recording with data');
       const client = connectedClients.get(socket.id);
-      if (!client || !client.isAuthenticated || client.userType !== 'mosque') {
+      if (!canClient(client, 'broadcast')) {
         console.log('❌ Client not authenticated or not mosque type');
         return;
       }
@@ -1088,7 +1436,8 @@ io.on('connection', (socket) => {
           // Get the authenticated user's information
           const client = connectedClients.get(socket.id);
           const User = require('./models/User');
-          const user = await User.findById(client.userId);
+          // Recordings belong to the mosque, also when a staff member broadcasts
+          const user = await User.findById(client.mosqueId);
 
           if (!user) {
             console.error('❌ User not found for audio recording');
@@ -1166,34 +1515,27 @@ io.on('connection', (socket) => {
       if (client && client.currentSession) {
         const session = activeSessions.get(client.currentSession);
         if (session) {
-          session.participants.delete(socket.id);
+          const previousLanguages = SessionLanguageService.getTargetLanguages(client.currentSession);
+          activeSessions.deleteEntry(client.currentSession, 'participants', socket.id);
+          notifySessionLanguages(client.currentSession, previousLanguages);
+          SessionLanguageService.recordLeave(client.currentSession, client.deviceId)
+            .catch(error => console.error('❌ Failed to record participant leaving:', error.message));
 
           // Unregister translator if applicable
           MultiLanguageTranslationService.unregisterTranslator(socket.id);
 
           // If broadcaster disconnects, give them time to reconnect (for mosque broadcasts)
           if (client.deviceId === session.broadcaster) {
-            if (client.userType === 'mosque' && session.isLive) {
+            if (client.mosqueId === session.mosqueId && session.isLive) {
               // For live mosque broadcasts, don't immediately end session
               // Mark as temporarily disconnected and give 30 seconds to reconnect
               session.broadcasterDisconnected = true;
               session.disconnectedAt = new Date();
+              activeSessions.persist(client.currentSession);
 
               console.log(`⚠️ Mosque broadcaster temporarily disconnected for session ${client.currentSession}, waiting for reconnection...`);
 
-              // Set a timeout to end the session if broadcaster doesn't reconnect
-              setTimeout(() => {
-                const currentSession = activeSessions.get(client.currentSession);
-                if (currentSession && currentSession.broadcasterDisconnected) {
-                  console.log(`❌ Mosque broadcaster did not reconnect, ending session ${client.currentSession}`);
-                  io.to(client.currentSession).emit('session_ended', {
-                    sessionId: client.currentSession,
-                    endedAt: new Date(),
-                    reason: 'Broadcaster disconnected',
-                  });
-                  activeSessions.delete(client.currentSession);
-                }
-              }, 30000); // 30 seconds grace period
+              scheduleBroadcasterReconnectTimeout(client.currentSession);
             } else {
               // For non-mosque sessions, end immediately
               io.to(client.currentSession).emit('session_ended', {
@@ -1202,6 +1544,8 @@ io.on('connection', (socket) => {
                 reason: 'Broadcaster disconnected',
               });
               activeSessions.delete(client.currentSession);
+              SessionBackfillService.clear(client.currentSession);
+              TextToSpeechService.scheduleSessionCleanup(client.currentSession);
             }
           } else {
             // Notify other participants
@@ -1222,67 +1566,22 @@ io.on('connection', (socket) => {
 });
 
 // REST API endpoints (enhanced with authentication)
+// Nearby mosques, closest first; without coordinates every mosque by name
 app.get('/api/mosques', optionalAuth, async (req, res) => {
   try {
-    const { lat, lng, radius = 10 } = req.query;
-
-    // Query actual mosques from database
-    const mosques = await User.find({
-      userType: 'mosque',
-      isActive: true
-    }).select('-password -emailVerificationToken -__v');
-
-    // Format mosque data for API response
-    const mosquesArray = mosques.map(mosque => {
-      // Calculate distance if coordinates provided
-      let distance = 0;
-      let mosqueCoords = null;
-
-      if (mosque.location && mosque.location.coordinates) {
-        // Handle both [lng, lat] and [lat, lng] formats
-        const coords = mosque.location.coordinates;
-        if (coords.length >= 2 && coords[0] !== 0 && coords[1] !== 0) {
-          // Assume [lng, lat] format (GeoJSON standard)
-          mosqueCoords = { lng: coords[0], lat: coords[1] };
-        }
-      }
-
-      if (lat && lng && mosqueCoords) {
-        distance = calculateDistance(lat, lng, mosqueCoords.lat, mosqueCoords.lng);
-      }
-
-      return {
-        id: mosque._id.toString(),
-        name: mosque.mosqueName,
-        address: mosque.mosqueAddress,
-        location: mosqueCoords || { lat: 0, lng: 0 },
-        phone: mosque.phone,
-        website: mosque.website,
-        imam: mosque.imam || 'Not specified',
-        madhab: mosque.madhab || 'Sunni',
-        servicesOffered: mosque.servicesOffered || [],
-        languagesSupported: mosque.languagesSupported || ['Arabic'],
-        capacity: mosque.capacity,
-        facilities: mosque.facilities || [],
-        photos: mosque.photos || {},
-        followers: mosque.analytics?.totalFollowers || 0,
-        hasLiveTranslation: mosque.servicesOffered?.includes('Live Translation') || false,
-        distance: distance,
-        distanceFormatted: distance ? `${distance.toFixed(1)} km` : 'Unknown distance',
-        hasAccount: true,
-        isFollowed: req.user?.userType === 'individual' && req.user?.followedMosques?.some(f => f.mosqueId.toString() === mosque._id.toString())
-      };
+    const lat = parseFloat(req.query.lat);
+    const lng = parseFloat(req.query.lng);
+    const hasOrigin = Number.isFinite(lat) && Number.isFinite(lng);
+
+    const result = await MosqueDiscoveryService.discover({
+      lat: hasOrigin ? lat : undefined,
+      lng: hasOrigin ? lng : undefined,
+      radiusKm: hasOrigin ? parseFloat(req.query.radius) || 10 : undefined,
+      limit: 100,
+      user: req.user
     });
 
-    // Filter by distance if coordinates provided
-    let filteredMosques = mosquesArray;
-    if (lat && lng) {
-      filteredMosques = mosquesArray
-        .filter(mosque => mosque.distance <= parseFloat(radius))
-        .sort((a, b) => a.distance - b.distance);
-    }
-
-    res.json(filteredMosques);
+    res.json(result.mosques);
   } catch (error) {
     console.error('Error fetching mosques from database:', error);
     res.status(500).json({
@@ -1295,7 +1594,7 @@ app.get('/api/mosques', optionalAuth, async (req, res) => {
 // Search mosques endpoint
 app.get('/api/mosques/search', optionalAuth, async (req, res) => {
   try {
-    const { q, lat, lng, radius = 50 } = req.query;
+    const { q } = req.query;
 
     if (!q || q.trim().length < 2) {
       return res.status(400).json({
@@ -1304,70 +1603,20 @@ app.get('/api/mosques/search', optionalAuth, async (req, res) => {
       });
     }
 
-    // Query actual mosques from database
-    const searchTerm = q.toLowerCase();
-    const mosques = await User.find({
-      userType: 'mosque',
-      isActive: true,
-      $or: [
-        { mosqueName: { $regex: searchTerm, $options: 'i' } },
-        { mosqueAddress: { $regex: searchTerm, $options: 'i' } },
-        { imam: { $regex: searchTerm, $options: 'i' } },
-        { languagesSupported: { $in: [new RegExp(searchTerm, 'i')] } },
-        { servicesOffered: { $in: [new RegExp(searchTerm, 'i')] } }
-      ]
-    }).select('-password -emailVerificationToken -__v');
-
-    // Format mosque data for API response
-    let searchResults = mosques.map(mosque => {
-      // Calculate distance if coordinates provided
-      let distance = 0;
-      let mosqueCoords = null;
-
-      if (mosque.location && mosque.location.coordinates) {
-        // Handle both [lng, lat] and [lat, lng] formats
-        const coords = mosque.location.coordinates;
-        if (coords.length >= 2 && coords[0] !== 0 && coords[1] !== 0) {
-          // Assume [lng, lat] format (GeoJSON standard)
-          mosqueCoords = { lng: coords[0], lat: coords[1] };
-        }
-      }
-
-      if (lat && lng && mosqueCoords) {
-        distance = calculateDistance(lat, lng, mosqueCoords.lat, mosqueCoords.lng);
-      }
-
-      return {
-        id: mosque._id.toString(),
-        name: mosque.mosqueName,
-        address: mosque.mosqueAddress,
-        location: mosqueCoords || { lat: 0, lng: 0 },
-        phone: mosque.phone,
-        website: mosque.website,
-        imam: mosque.imam || 'Not specified',
-        madhab: mosque.madhab || 'Sunni',
-        servicesOffered: mosque.servicesOffered || [],
-        languagesSupported: mosque.languagesSupported || ['Arabic'],
-        capacity: mosque.capacity,
-        facilities: mosque.facilities || [],
-        photos: mosque.photos || {},
-        followers: mosque.analytics?.totalFollowers || 0,
-        hasLiveTranslation: mosque.servicesOffered?.includes('Live Translation') || false,
-        distance: distance,
-        distanceFormatted: distance ? `${distance.toFixed(1)} km` : 'Unknown distance',
-        hasAccount: true,
-        isFollowed: req.user?.userType === 'individual' && req.user?.followedMosques?.some(f => f.mosqueId.toString() === mosque._id.toString())
-      };
+    const lat = parseFloat(req.query.lat);
+    const lng = parseFloat(req.query.lng);
+    const hasOrigin = Number.isFinite(lat) && Number.isFinite(lng);
+
+    const result = await MosqueDiscoveryService.discover({
+      q,
+      lat: hasOrigin ? lat : undefined,
+      lng: hasOrigin ? lng : undefined,
+      radiusKm: hasOrigin ? parseFloat(req.query.radius) || 50 : undefined,
+      limit: 100,
+      user: req.user
     });
 
-    // Filter by distance if coordinates provided
-    if (lat && lng) {
-      searchResults = searchResults
-        .filter(mosque => mosque.distance <= parseFloat(radius))
-        .sort((a, b) => a.distance - b.distance);
-    }
-
-    res.json(searchResults);
+    res.json(result.mosques);
   } catch (error) {
     console.error('Error searching mosques:', error);
     res.status(500).json({
@@ -1416,6 +1665,7 @@ app.get('/api/mosques/:id', optionalAuth, async (req, res) => {
       madhab: mosque.madhab || 'Sunni',
       servicesOffered: mosque.servicesOffered || [],
       languagesSupported: mosque.languagesSupported || ['Arabic'],
+      prayerSettings: mosque.prayerSettings || null,
       capacity: mosque.capacity,
       facilities: mosque.facilities || [],
       photos: mosque.photos || {},
@@ -1476,6 +1726,7 @@ app.post('/api/mosques/by-ids', async (req, res) => {
         madhab: mosque.madhab,
         servicesOffered: mosque.servicesOffered || [],
         languagesSupported: mosque.languagesSupported || ['Arabic'],
+        prayerSettings: mosque.prayerSettings || null,
         capacity: mosque.capacity,
         facilities: mosque.facilities || [],
         followers: mosque.analytics?.totalFollowers || 0,
@@ -1503,22 +1754,6 @@ app.post('/api/mosques/by-ids', async (req, res) => {
   }
 });
 
-// Helper function to calculate distance between two points
-
-// Helper function to calculate distance between two points
-function calculateDistance(lat1, lon1, lat2, lon2) {
-  const R = 6371; // Radius of the Earth in kilometers
-  const dLat = (lat2 - lat1) * Math.PI / 180;
-  const dLon = (lon2 - lon1) * Math.PI / 180;
-  const a =
-    Math.sin(dLat/2) * Math.sin(dLat/2) +
-    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
-    Math.sin(dLon/2) * Math.sin(dLon/2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-  const distance = R * c; // Distance in kilometers
-  return Math.round(distance * 10) / 10; // Round to 1 decimal place
-}
-
 // Get active translation sessions
 app.get('/api/sessions/active', (req, res) => {
   console.log('📊 /api/sessions/active called');
@@ -1579,7 +1814,8 @@ app.get('/api/status', async (req, res) => {
         photoUpload: true,
         emailService: !!config.email.user,
         realTimeTranslation: true,
-        speechToText: true, // Munsit STT is available
+        speechToText: VoiceRecognitionService.hasAvailableProvider(),
+        speechToTextProviders: VoiceRecognitionService.getProviderStatus(),
         translationProviders: MultiLanguageTranslationService.getAvailableProviders().length,
         databaseInitialized: dbStatus.isInitialized
       }
@@ -1659,7 +1895,7 @@ app.post('/api/translation/translate', async (req, res) => {
       text,
       targetLanguage,
       'religious',
-      provider || 'google'
+      provider || MultiLanguageTranslationService.translationManager.defaultProvider
     );
 
     res.json({
@@ -1710,6 +1946,63 @@ app.post('/api/translation/providers/default', (req, res) => {
   }
 });
 
+// Text-to-Speech Provider Management Endpoints
+
+// Get available TTS providers
+app.get('/api/tts/providers', (req, res) => {
+  try {
+    const providers = TextToSpeechService.getAvailableProviders();
+
+    res.json({
+      success: true,
+      data: {
+        providers,
+        enabled: TextToSpeechService.isEnabled(),
+        defaultProvider: TextToSpeechService.ttsManager.defaultProvider,
+        totalProviders: providers.length
+      }
+    });
+  } catch (error) {
+    console.error('Error getting TTS providers:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Set default TTS provider
+app.post('/api/tts/providers/default', (req, res) => {
+  try {
+    const { provider } = req.body;
+
+    if (!provider) {
+      return res.status(400).json({
+        success: false,
+        error: 'Provider name is required'
+      });
+    }
+
+    if (TextToSpeechService.setDefaultProvider(provider)) {
+      res.json({
+        success: true,
+        message: `Default TTS provider set to: ${provider}`
+      });
+    } else {
+      res.status(400).json({
+        success: false,
+        error: `TTS provider '${provider}' not available`
+      });
+    }
+  } catch (error) {
+    console.error('Error setting default TTS provider:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 // User Language Preferences Endpoints
 
 // Get user language preferences
@@ -1908,6 +2201,32 @@ async function startServer() {
       // Continue startup even if migrations fail
     }
 
+    // Local disk or an S3-compatible bucket for recordings and photos
+    await StorageService.initialize();
+
+    // Seed the global Islamic terminology glossary on first start
+    await GlossaryService.ensureDefaultTerms();
+
+    // Restore live sessions and share socket rooms across server instances
+    const stateResult = await SessionStateStore.initialize();
+    const socketAdapter = SessionStateStore.createSocketAdapter();
+    if (socketAdapter) {
+      io.adapter(socketAdapter);
+      console.log('✅ Socket.IO adapter attached to session state backend');
+    }
+
+    // Broadcasters of restored sessions get the usual grace period to reconnect
+    stateResult.orphanedSessions.forEach(sessionId => scheduleBroadcasterReconnectTimeout(sessionId));
+
+    // Announce scheduled broadcasts to the mosque's devices when their slot begins
+    ScheduleService.startScheduler(notifyScheduledBroadcastDue);
+
+    // Archive and delete recordings past their mosque's retention, expire the translation cache
+    RetentionService.startScheduler();
+
+    // Clean up finished recordings (loudness, noise, silence) and encode the download variants
+    AudioProcessingService.startWorker();
+
     // Start server
     const PORT = config.port;
     const HOST = '0.0.0.0'; // Listen on all network interfaces
@@ -1919,6 +2238,8 @@ async function startServer() {
       console.log(`🔐 Authentication enabled: ${true}`);
       console.log(`📧 Email service: ${config.email.user ? 'Enabled' : 'Disabled'}`);
       console.log(`🗄️ Database: ${database.isConnectionActive() ? 'Connected' : 'Disconnected'}`);
+      console.log(`🧠 Session state: ${SessionStateStore.backend.name} (${SessionStateStore.serverId})`);
+      console.log(`💾 File storage: ${StorageService.driver.name}`);
       console.log(`🌍 Environment: ${config.nodeEnv}`);
     });
 
@@ -1942,6 +2263,14 @@ async function gracefulShutdown(signal) {
       console.log('✅ HTTP server closed');
     });
 
+    ScheduleService.stopScheduler();
+    RetentionService.stopScheduler();
+    AudioProcessingService.stopWorker();
+
+    // Close session state backend
+    await SessionStateStore.close();
+    await StorageService.close();
+
     // Close database connection
     await database.disconnect();
 
@@ -0,0 +1,205 @@
+// Archive Search Service for Mosque Translation App
+// Full-text search over a mosque's recorded sessions: the Arabic transcripts and their translations,
+// with the moment in the recording each hit was said and a highlighted snippet
+const Session = require('../models/Session');
+const Translation = require('../models/Translation');
+const VoiceTranscription = require('../models/VoiceTranscription');
+const AudioRecording = require('../models/AudioRecording');
+const MultiLanguageTranslationService = require('./MultiLanguageTranslationService');
+const SubtitleService = require('./SubtitleService');
+const { normalizeArabic } = require('./quran/arabicText');
+
+const SNIPPET_CHARS = 160;
+const ARABIC = /[؀-ۿ]/;
+
+class ArchiveSearchService {
+  // options: { language: ISO code ('ar' searches the Arabic transcripts only), limit }
+  async search(mosqueId, query, options = {}) {
+    const limit = Math.min(parseInt(options.limit) || 30, 100);
+    const language = options.language ? options.language.toLowerCase() : null;
+    const terms = this.getTerms(query);
+
+    const sessions = await Session.find({ mosqueId })
+      .select('sessionId title startedAt endedAt metadata sessionType');
+    if (sessions.length === 0 || terms.length === 0) {
+      return [];
+    }
+
+    const sessionsById = new Map(sessions.map(session => [session.sessionId, session]));
+    const sessionsByObjectId = new Map(sessions.map(session => [session._id.toString(), session]));
+    const recordings = await this.getRecordings(sessions.map(session => session.sessionId));
+
+    const [transcriptions, translations] = await Promise.all([
+      VoiceTranscription.searchTranscriptions(query, limit, {
+        sessionId: { $in: Array.from(sessionsById.keys()) },
+        isFinal: true
+      }),
+      language === 'ar'
+        ? []
+        : Translation.searchTranslations(query, { mosqueId, limit })
+    ]);
+
+    const hits = [];
+
+    transcriptions.forEach(transcription => {
+      const session = sessionsById.get(transcription.sessionId);
+      hits.push(this.toHit({
+        session,
+        recording: recordings.get(transcription.sessionId),
+        timing: transcription,
+        transcriptionId: transcription.transcriptionId,
+        language: 'ar',
+        text: transcription.originalText,
+        original: null,
+        score: transcription._doc?.score || 0,
+        terms
+      }));
+    });
+
+    // Translated lines point at their transcription for timing when they were linked to one
+    const linkedIds = translations.map(t => t.metadata?.transcriptionId).filter(Boolean);
+    const linked = linkedIds.length > 0
+      ? await VoiceTranscription.find({ transcriptionId: { $in: linkedIds } })
+      : [];
+    const linkedById = new Map(linked.map(t => [t.transcriptionId, t]));
+    const languageName = language ? MultiLanguageTranslationService.getLanguageName(language) : null;
+
+    translations.forEach(translation => {
+      const session = sessionsByObjectId.get(translation.sessionId.toString());
+      const match = this.pickTranslation(translation, languageName, language, terms);
+      if (!session || !match) {
+        return;
+      }
+
+      const transcription = linkedById.get(translation.metadata?.transcriptionId);
+      hits.push(this.toHit({
+        session,
+        recording: recordings.get(session.sessionId),
+        timing: transcription || { originalText: translation.originalText, createdAt: translation.timestamp },
+        transcriptionId: transcription ? transcription.transcriptionId : null,
+        language: MultiLanguageTranslationService.getLanguageCode(match.language),
+        text: match.text,
+        original: translation.originalText,
+        score: translation._doc?.score || 0,
+        terms
+      }));
+    });
+
+    return hits
+      .sort((a, b) => (b.score - a.score) || (new Date(b.date) - new Date(a.date)))
+      .slice(0, limit);
+  }
+
+  getTerms(query) {
+    return Array.from(new Set(
+      String(query).split(/\s+/).map(word => this.normalizeWord(word)).filter(word => word.length >= 2)
+    ));
+  }
+
+  normalizeWord(word) {
+    return ARABIC.test(word)
+      ? normalizeArabic(word)
+      : word.toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+  }
+
+  // First recording of each session, the one subtitles and playback are aligned to
+  async getRecordings(sessionIds) {
+    const recordings = await AudioRecording.find({ sessionId: { $in: sessionIds } }).sort({ createdAt: 1 });
+    const bySession = new Map();
+    recordings.forEach(recording => {
+      if (!bySession.has(recording.sessionId)) {
+        bySession.set(recording.sessionId, recording);
+      }
+    });
+    return bySession;
+  }
+
+  // The translation that contains the search terms, in the requested language when one was given
+  pickTranslation(translation, languageName, language, terms) {
+    const candidates = languageName
+      ? translation.translations.filter(t => t.language === languageName || t.language === language)
+      : translation.translations;
+    return candidates.find(t => this.findHighlights(t.text, terms).length > 0) || candidates[0] || null;
+  }
+
+  // Search is stemmed by MongoDB, so 'prayers' or 'patient' should still light up for 'prayer' / 'patience'
+  matchesTerm(word, term) {
+    if (word.includes(term)) {
+      return true;
+    }
+    let common = 0;
+    while (common < word.length && word[common] === term[common]) {
+      common++;
+    }
+    return common >= 4 && common >= 0.7 * Math.min(word.length, term.length);
+  }
+
+  toHit({ session, recording, timing, transcriptionId, language, text, original, score, terms }) {
+    const [entry] = SubtitleService.buildTimeline([timing], session, recording);
+    const snippet = this.buildSnippet(text, terms);
+
+    return {
+      sessionId: session.sessionId,
+      sessionTitle: session.title || null,
+      sessionType: session.metadata?.sessionType || session.sessionType || 'general',
+      date: session.endedAt || session.startedAt,
+      transcriptionId,
+      language,
+      timestamp: entry ? Math.round(entry.start * 10) / 10 : 0,
+      snippet: snippet.text,
+      highlights: snippet.highlights,
+      original: original ? original.trim() : null,
+      audioUrl: recording ? `/api/audio/recordings/${recording.fileName}` : null,
+      recordingId: recording ? recording.recordingId : null,
+      score: Math.round(score * 100) / 100
+    };
+  }
+
+  // Character ranges of every word matching a search term (diacritics and attached prefixes ignored)
+  findHighlights(text, terms) {
+    const highlights = [];
+    const wordPattern = /\S+/g;
+    let match;
+
+    while ((match = wordPattern.exec(text)) !== null) {
+      const word = this.normalizeWord(match[0]);
+      if (word && terms.some(term => this.matchesTerm(word, term))) {
+        highlights.push({ start: match.index, end: match.index + match[0].length });
+      }
+    }
+
+    return highlights;
+  }
+
+  // Window of the text around the first hit, with highlight offsets relative to the snippet
+  buildSnippet(text, terms) {
+    const clean = text.replace(/\s+/g, ' ').trim();
+    const highlights = this.findHighlights(clean, terms);
+
+    if (clean.length <= SNIPPET_CHARS) {
+      return { text: clean, highlights };
+    }
+
+    const first = highlights[0] ? highlights[0].start : 0;
+    let start = Math.max(0, first - Math.floor(SNIPPET_CHARS / 3));
+    start = start > 0 ? clean.indexOf(' ', start) + 1 || start : 0;
+    let end = Math.min(clean.length, start + SNIPPET_CHARS);
+    end = end < clean.length ? clean.lastIndexOf(' ', end) : end;
+    if (end <= start) {
+      end = Math.min(clean.length, start + SNIPPET_CHARS);
+    }
+
+    const prefix = start > 0 ? '… ' : '';
+    const suffix = end < clean.length ? ' …' : '';
+    const shift = prefix.length - start;
+
+    return {
+      text: `${prefix}${clean.slice(start, end)}${suffix}`,
+      highlights: highlights
+        .filter(h => h.start >= start && h.end <= end)
+        .map(h => ({ start: h.start + shift, end: h.end + shift }))
+    };
+  }
+}
+
+module.exports = new ArchiveSearchService();
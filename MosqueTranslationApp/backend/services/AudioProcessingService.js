@@ -0,0 +1,254 @@
+// Audio Processing Service for Mosque Translation App
+// Finished recordings are stored exactly as the phone mic captured them. This cleans them up with ffmpeg:
+// high-pass and noise reduction, silence before the first and after the last words cut, loudness normalised
+// to EBU R128 in two passes, then encoded to the MP3 and Opus variants listeners download. The original is kept.
+// The queue is the database (processing.status: pending), so any server instance can pick a recording up
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ffmpeg = require('fluent-ffmpeg');
+const config = require('../config/config');
+const AudioRecording = require('../models/AudioRecording');
+const StorageService = require('./StorageService');
+const audioFilters = require('./processing/audioFilters');
+
+// A claim older than this belongs to a server that stopped halfway through a recording
+const CLAIM_TIMEOUT_MS = 60 * 60 * 1000;
+
+class AudioProcessingService {
+  constructor() {
+    this.settings = config.audioProcessing;
+    this.variants = audioFilters.parseVariants(this.settings.variants);
+    this.timer = null;
+    this.isBusy = false;
+  }
+
+  isEnabled() {
+    return this.settings.enabled;
+  }
+
+  // Queue a finished recording; a recording already queued or processed is left as it is unless force is set
+  async queueRecording(recordingId, { force = false } = {}) {
+    if (!this.isEnabled()) {
+      return false;
+    }
+
+    const result = await AudioRecording.updateOne(
+      {
+        recordingId,
+        status: 'completed',
+        ...(force ? { 'processing.status': { $ne: 'processing' } } : { 'processing.status': null })
+      },
+      { $set: { 'processing.status': 'pending', 'processing.attempts': 0, 'processing.errors': [] } }
+    );
+
+    if (result.modifiedCount > 0) {
+      this.processPending().catch(error => {
+        console.error('❌ Audio processing failed:', error.message);
+      });
+    }
+    return result.modifiedCount > 0;
+  }
+
+  // Poll for queued recordings, including those left behind by a restart or another instance
+  startWorker() {
+    if (!this.isEnabled() || this.timer) {
+      return;
+    }
+
+    const check = () => {
+      this.processPending().catch(error => {
+        console.error('❌ Audio processing check failed:', error.message);
+      });
+    };
+
+    this.timer = setInterval(check, this.settings.pollIntervalMs);
+    check();
+    console.log(`✅ Audio processing worker started (${this.variants.map(variant => variant.name).join(', ')})`);
+  }
+
+  stopWorker() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // One recording at a time per server; ffmpeg already uses every core it gets
+  async processPending() {
+    if (this.isBusy) {
+      return;
+    }
+    this.isBusy = true;
+
+    try {
+      let recording = await this.claimNext();
+      while (recording) {
+        await this.processRecording(recording);
+        recording = await this.claimNext();
+      }
+    } finally {
+      this.isBusy = false;
+    }
+  }
+
+  async claimNext() {
+    return await AudioRecording.findOneAndUpdate(
+      {
+        status: 'completed',
+        $or: [
+          { 'processing.status': 'pending' },
+          { 'processing.status': 'processing', 'processing.claimedAt': { $lt: new Date(Date.now() - CLAIM_TIMEOUT_MS) } }
+        ]
+      },
+      {
+        $set: { 'processing.status': 'processing', 'processing.claimedAt': new Date() },
+        $inc: { 'processing.attempts': 1 }
+      },
+      { new: true, sort: { createdAt: 1 } }
+    );
+  }
+
+  async processRecording(recording) {
+    const started = Date.now();
+    const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'mosque-processing-'));
+    const { area, key, provider } = StorageService.getRecordingLocation(recording);
+
+    console.log(`🎚️ Processing recording ${recording.recordingId} (attempt ${recording.processing.attempts})`);
+
+    try {
+      const source = await StorageService.fetchToLocal(area, key, path.join(workDir, path.basename(key)), { provider });
+      const result = await this.runPipeline(source, workDir, { channels: recording.channels || 1 });
+
+      const variants = [];
+      for (const output of result.outputs) {
+        const variantKey = audioFilters.variantKey(key, output.variant);
+        const stored = await StorageService.storeFile(area, variantKey, output.path);
+        variants.push({
+          name: output.variant.name,
+          format: output.variant.format,
+          bitrateKbps: output.variant.bitrateKbps,
+          key: variantKey,
+          provider: stored.provider,
+          fileSizeBytes: stored.size,
+          durationSeconds: result.durationSeconds
+        });
+      }
+
+      // Variants an earlier configuration produced that this run did not replace
+      const keys = new Set(variants.map(variant => variant.key));
+      for (const old of recording.processing.variants || []) {
+        if (!keys.has(old.key)) {
+          await StorageService.remove(area, old.key, { provider: old.provider || provider }).catch(() => {});
+        }
+      }
+
+      await AudioRecording.updateOne(
+        { _id: recording._id },
+        {
+          $set: {
+            'processing.status': 'completed',
+            'processing.processedAt': new Date(),
+            'processing.trimmedStartSeconds': result.trim.start,
+            'processing.trimmedEndSeconds': result.trim.end,
+            'processing.inputLoudnessLUFS': result.loudness ? result.loudness.inputI : null,
+            'processing.variants': variants
+          },
+          $unset: { 'processing.claimedAt': 1 }
+        }
+      );
+
+      console.log(`✅ Recording ${recording.recordingId} processed in ${Math.round((Date.now() - started) / 1000)}s: ` +
+        `${variants.length} variants, ${result.trim.start.toFixed(1)}s trimmed at the start`);
+      return { success: true, variants };
+
+    } catch (error) {
+      const failed = recording.processing.attempts >= this.settings.maxAttempts;
+      console.error(`❌ Processing recording ${recording.recordingId} failed${failed ? '' : ', will retry'}:`, error.message);
+
+      // Listeners keep getting the original meanwhile
+      await AudioRecording.updateOne(
+        { _id: recording._id },
+        {
+          $set: { 'processing.status': failed ? 'failed' : 'pending' },
+          $push: { 'processing.errors': error.message },
+          $unset: { 'processing.claimedAt': 1 }
+        }
+      );
+      return { success: false, error: error.message };
+
+    } finally {
+      await fs.promises.rm(workDir, { recursive: true, force: true });
+    }
+  }
+
+  // Analysis pass, one cleaned-up master, then every variant encoded from the master
+  async runPipeline(source, workDir, { channels = 1 } = {}) {
+    const probe = await this.probe(source);
+    const durationSeconds = parseFloat(probe.format && probe.format.duration) || 0;
+
+    const analysis = await this.run(
+      ffmpeg(source, { stdoutLines: 0 })
+        .audioFilters(audioFilters.analysisFilters(this.settings))
+        .format('null')
+        .output(os.devNull)
+    );
+    const loudness = audioFilters.parseLoudnessReport(analysis);
+    const trim = audioFilters.parseSilenceReport(analysis, durationSeconds, this.settings.silence);
+
+    const master = path.join(workDir, 'master.wav');
+    await this.run(
+      ffmpeg(source)
+        .audioFilters(audioFilters.masterFilters(this.settings, { trim, loudness }))
+        .audioCodec('pcm_s16le')
+        .audioFrequency(48000) // loudnorm works at 192 kHz internally
+        .audioChannels(channels)
+        .format('wav')
+        .output(master)
+    );
+
+    const outputs = [];
+    for (const variant of this.variants) {
+      const outputPath = path.join(workDir, `${variant.name}.${variant.extension}`);
+      await this.run(
+        ffmpeg(master)
+          .audioCodec(variant.codec)
+          .audioBitrate(`${variant.bitrateKbps}k`)
+          .audioFrequency(variant.sampleRate)
+          .audioChannels(channels)
+          .format(variant.container)
+          .output(outputPath)
+      );
+      outputs.push({ variant, path: outputPath });
+    }
+
+    const processedEnd = trim.end !== null ? trim.end : durationSeconds;
+    return {
+      durationSeconds: Math.max(0, Math.round(processedEnd - trim.start)),
+      trim,
+      loudness,
+      outputs
+    };
+  }
+
+  probe(filePath) {
+    return new Promise((resolve, reject) => {
+      ffmpeg.ffprobe(filePath, (error, data) => (error ? reject(error) : resolve(data)));
+    });
+  }
+
+  // Resolves with ffmpeg's log, where the analysis filters report what they measured
+  run(command) {
+    return new Promise((resolve, reject) => {
+      command
+        .on('end', (stdout, stderr) => resolve(stderr || ''))
+        .on('error', (error, stdout, stderr) => {
+          const lastLine = (stderr || '').trim().split('\n').pop();
+          reject(new Error(lastLine ? `${error.message} (${lastLine})` : error.message));
+        })
+        .run();
+    });
+  }
+}
+
+module.exports = new AudioProcessingService();
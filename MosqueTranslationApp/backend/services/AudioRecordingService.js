@@ -4,11 +4,14 @@ const path = require('path');
 const ffmpeg = require('fluent-ffmpeg');
 const AudioRecording = require('../models/AudioRecording');
 const AudioSession = require('../models/AudioSession');
+const StorageService = require('./StorageService');
+const AudioProcessingService = require('./AudioProcessingService');
 
 class AudioRecordingService {
   constructor() {
     this.activeRecordings = new Map(); // sessionId -> recording info
-    this.storageBasePath = process.env.AUDIO_STORAGE_PATH || './audio-recordings';
+    // Recordings are captured here, then handed to the configured storage once finished
+    this.storageBasePath = StorageService.getLocalDirectory('recordings');
     this.maxConcurrentRecordings = process.env.MAX_CONCURRENT_RECORDINGS || 10;
     
     // Ensure storage directory exists
@@ -334,6 +337,8 @@ class AudioRecordingService {
         }
       }
 
+      const stored = await this.storeRecordingFile(recording.filePath);
+
       // Update database record
       await AudioRecording.findOneAndUpdate(
         { recordingId: recording.recordingId },
@@ -341,17 +346,39 @@ class AudioRecordingService {
           status: 'completed',
           fileSizeBytes: fileSize,
           durationSeconds: duration,
+          storage: stored.storage,
+          fileUrl: stored.fileUrl,
           'processing.completedAt': new Date(),
           'processing.processingTimeMs': new Date() - recording.startTime
         }
       );
 
       console.log(`📊 Recording finalized: ${recording.recordingId}, Duration: ${duration}s, Size: ${fileSize} bytes`);
+
+      // Cleaned-up variants are made in the background; the original is served until they are ready
+      await AudioProcessingService.queueRecording(recording.recordingId);
     } catch (error) {
       console.error('Error finalizing recording:', error);
     }
   }
 
+  // Hand a finished file to the configured storage. If the upload fails the recording stays on
+  // local disk, where `npm run migrate-storage` can pick it up later
+  async storeRecordingFile(filePath) {
+    const key = StorageService.keyForLocalPath('recordings', filePath);
+
+    try {
+      const stored = await StorageService.storeFile('recordings', key, filePath);
+      return {
+        storage: { provider: stored.provider, key, bucket: stored.bucket, region: stored.region },
+        fileUrl: stored.url
+      };
+    } catch (error) {
+      console.error(`❌ Could not store recording ${key}, keeping it on local disk:`, error.message);
+      return { storage: { provider: 'local', key } };
+    }
+  }
+
   // Utility methods
   getActiveRecordings() {
     return Array.from(this.activeRecordings.keys());
@@ -453,6 +480,7 @@ class AudioRecordingService {
 
       // Write audio buffer to file
       await fs.promises.writeFile(filePath, bufferToWrite);
+      const stored = await this.storeRecordingFile(filePath);
 
       // Create or find an AudioSession if needed
       let finalAudioSessionId = audioSessionId;
@@ -488,6 +516,8 @@ class AudioRecordingService {
         mosqueName,
         fileName: finalFileName, // Use the final filename with recording type
         filePath,
+        fileUrl: stored.fileUrl,
+        storage: stored.storage,
         fileSizeBytes: bufferToWrite.length,
         format: format || 'm4a',
         durationSeconds: Math.floor((duration || 0) / 1000),
@@ -504,6 +534,7 @@ class AudioRecordingService {
       });
 
       await audioRecording.save();
+      await AudioProcessingService.queueRecording(recordingId);
 
       console.log(`✅ Complete audio file saved: ${recordingId}`);
       console.log(`📁 File location: ${filePath}`);
@@ -2,10 +2,11 @@ const fs = require('fs').promises;
 const path = require('path');
 const AudioRecording = require('../models/AudioRecording');
 const config = require('../config/config');
+const StorageService = require('./StorageService');
 
 class AudioStorageService {
   constructor() {
-    this.baseStoragePath = path.join(__dirname, '..', 'audio-recordings');
+    this.baseStoragePath = StorageService.getLocalDirectory('recordings');
     this.ensureStorageDirectories();
   }
 
@@ -169,14 +170,23 @@ class AudioStorageService {
         throw new Error(`Recording not found: ${recordingId}`);
       }
 
-      // Check if file exists
-      const fileExists = await fs.access(recording.filePath).then(() => true).catch(() => false);
+      // Check if file exists, on local disk or in the bucket
+      const { area, key, provider } = StorageService.getRecordingLocation(recording);
+      const fileExists = await StorageService.exists(area, key, { provider });
       if (!fileExists) {
-        throw new Error(`Audio file not found: ${recording.filePath}`);
+        throw new Error(`Audio file not found: ${key} (${provider})`);
       }
 
       return {
         filePath: recording.filePath,
+        storageKey: key,
+        provider,
+        downloadUrl: await StorageService.getRecordingDownloadUrl(recording),
+        originalUrl: await StorageService.getRecordingDownloadUrl(recording, { original: true }),
+        processingStatus: recording.processing?.status || null,
+        variants: (recording.processing?.variants || []).map(({ name, format, bitrateKbps, fileSizeBytes }) => ({
+          name, format, bitrateKbps, fileSizeBytes
+        })),
         fileName: recording.fileName,
         mimeType: this.getMimeType(recording.format),
         size: recording.fileSize
@@ -205,12 +215,14 @@ class AudioStorageService {
         throw new Error(`Recording not found: ${recordingId}`);
       }
 
-      // Delete file from filesystem
-      try {
-        await fs.unlink(recording.filePath);
-        console.log('✅ Audio file deleted:', recording.filePath);
-      } catch (fileError) {
-        console.warn('⚠️ Could not delete audio file:', fileError.message);
+      // Delete the original and its processed variants from storage
+      for (const { area, key, provider } of StorageService.getRecordingFiles(recording)) {
+        try {
+          await StorageService.remove(area, key, { provider });
+          console.log('✅ Audio file deleted:', key);
+        } catch (fileError) {
+          console.warn('⚠️ Could not delete audio file:', fileError.message);
+        }
       }
 
       // Delete from database
@@ -268,16 +280,18 @@ class AudioStorageService {
     }
   }
 
-  async cleanupOldRecordings(mosqueId, daysOld = 30) {
+  // Delete finished recordings older than daysOld; protected recordings are never deleted
+  async cleanupOldRecordings(mosqueId, daysOld = 30, { limit = 0 } = {}) {
     try {
       const cutoffDate = new Date();
       cutoffDate.setDate(cutoffDate.getDate() - daysOld);
 
       const oldRecordings = await AudioRecording.find({
         mosqueId,
-        recordingStarted: { $lt: cutoffDate },
-        status: { $in: ['completed', 'failed'] }
-      });
+        createdAt: { $lt: cutoffDate },
+        status: { $in: ['completed', 'failed', 'archived'] },
+        'retention.isProtected': { $ne: true }
+      }).limit(limit);
 
       let deletedCount = 0;
       for (const recording of oldRecordings) {
@@ -1,10 +1,33 @@
 // Authentication service for Mosque Translation App
 const User = require('../models/User');
-const { generateToken, generateRefreshToken, verifyRefreshToken } = require('../middleware/auth');
+const {
+  generateToken,
+  generateRefreshToken,
+  verifyRefreshToken,
+  resolveMosqueAccess,
+  ROLE_PERMISSIONS
+} = require('../middleware/auth');
 const EmailService = require('./EmailService');
 const crypto = require('crypto');
 
 class AuthService {
+  // User JSON plus the mosque the account acts for and what its role allows there
+  static async toAccountJSON(user) {
+    const access = await resolveMosqueAccess(user);
+    if (!access) {
+      throw new Error('Mosque account is deactivated. Please contact the mosque.');
+    }
+
+    const json = user.toJSON();
+    if (access.mosqueRole) {
+      json.mosqueId = access.mosqueId.toString();
+      json.mosqueName = access.mosqueName;
+      json.mosqueRole = access.mosqueRole;
+      json.permissions = ROLE_PERMISSIONS[access.mosqueRole];
+    }
+    return json;
+  }
+
   // Register a new mosque account
   static async registerMosque(userData) {
     try {
@@ -29,7 +52,8 @@ class AuthService {
         capacityMen,
         briefHistory,
         otherInfo,
-        photos
+        photos,
+        timezone
       } = userData;
 
       // Check if user already exists
@@ -88,7 +112,9 @@ class AuthService {
         briefHistory,
         otherInfo,
         facilities: facilitiesArray || [],
-        photos: photos || {}
+        photos: photos || {},
+        // Zone of the registering phone, so followers do not depend on the coordinate lookup
+        prayerSettings: timezone ? { timezone } : undefined
       });
 
       await user.save();
@@ -168,7 +194,7 @@ class AuthService {
       // Find user by email
       const user = await User.findOne({ 
         email: email.toLowerCase(),
-        userType: 'mosque' // Only mosque accounts can login with email/password
+        userType: { $in: ['mosque', 'staff'] } // Only mosque and staff accounts can login with email/password
       });
 
       if (!user) {
@@ -186,6 +212,8 @@ class AuthService {
         throw new Error('Account is deactivated. Please contact support.');
       }
 
+      const account = await this.toAccountJSON(user);
+
       // Update last login
       user.lastLoginAt = new Date();
       user.analytics.lastActiveAt = new Date();
@@ -198,7 +226,7 @@ class AuthService {
       return {
         success: true,
         message: 'Login successful',
-        user: user.toJSON(),
+        user: account,
         token,
         refreshToken
       };
@@ -213,7 +241,7 @@ class AuthService {
       const decoded = verifyRefreshToken(refreshToken);
       
       const user = await User.findById(decoded.userId);
-      if (!user || !user.isActive) {
+      if (!user || !user.isActive || !(await resolveMosqueAccess(user))) {
         throw new Error('Invalid refresh token');
       }
 
@@ -380,7 +408,7 @@ class AuthService {
 
       return {
         success: true,
-        user: user.toJSON()
+        user: await this.toAccountJSON(user)
       };
     } catch (error) {
       throw new Error(error.message || 'Failed to get user profile');
@@ -0,0 +1,235 @@
+// Correction Review Service for Mosque Translation App
+// Human interpreters propose better wording for a translated line; the mosque approves or rejects it.
+// Approved text replaces the line, is marked verified and goes into the translation cache for reuse
+const Translation = require('../models/Translation');
+const TranslationCache = require('../models/TranslationCache');
+const Session = require('../models/Session');
+const MultiLanguageTranslationService = require('./MultiLanguageTranslationService');
+const GlossaryService = require('./GlossaryService');
+
+class CorrectionReviewService {
+  // Translations store language names ('English'); the API also accepts codes ('en')
+  toLanguageName(language) {
+    return language.length <= 3 ? MultiLanguageTranslationService.getLanguageName(language.toLowerCase()) : language;
+  }
+
+  async propose(translationId, { userId, language, correctedText, reason }) {
+    const translation = await Translation.findOne({ translationId, status: 'active' });
+    if (!translation) {
+      return { success: false, status: 404, error: 'Translation not found' };
+    }
+
+    const languageName = this.toLanguageName(language);
+    const line = translation.translations.find(t => t.language === languageName);
+    if (!line) {
+      return { success: false, status: 404, error: `Translation for ${languageName} not found` };
+    }
+    // Recited verses show an approved edition, not a machine translation
+    if (line.translationMethod === 'canonical') {
+      return { success: false, status: 409, error: 'Quran verses use an approved translation and cannot be corrected here' };
+    }
+    if (line.text.trim() === correctedText.trim()) {
+      return { success: false, status: 400, error: 'The correction is identical to the current translation' };
+    }
+
+    translation.addCorrection(userId, languageName, correctedText.trim(), reason);
+    await translation.save();
+
+    console.log(`✏️ Correction proposed for ${translationId} (${languageName})`);
+    const correction = translation.corrections[translation.corrections.length - 1];
+    return { success: true, correction: this.toQueueItem(translation, correction) };
+  }
+
+  // Corrections of the mosque's translations, oldest pending first
+  async listQueue(mosqueId, options = {}) {
+    const status = options.status || 'pending';
+    const limit = Math.min(parseInt(options.limit) || 50, 200);
+    const filter = { mosqueId, 'corrections.status': status };
+
+    if (options.sessionId) {
+      const session = await Session.findOne({ sessionId: options.sessionId }).select('_id');
+      if (!session) {
+        return [];
+      }
+      filter.sessionId = session._id;
+    }
+
+    const translations = await Translation.find(filter)
+      .sort({ timestamp: status === 'pending' ? 1 : -1 })
+      .limit(limit)
+      .populate('corrections.userId', 'name email mosqueName')
+      .populate('sessionId', 'sessionId title');
+
+    const languageName = options.language ? this.toLanguageName(options.language) : null;
+    const items = [];
+
+    translations.forEach(translation => {
+      translation.corrections
+        .filter(c => c.status === status && (!languageName || c.language === languageName))
+        .forEach(correction => items.push(this.toQueueItem(translation, correction)));
+    });
+
+    items.sort((a, b) => status === 'pending'
+      ? new Date(a.submittedAt) - new Date(b.submittedAt)
+      : new Date(b.reviewedAt || b.submittedAt) - new Date(a.reviewedAt || a.submittedAt));
+    return items.slice(0, limit);
+  }
+
+  toQueueItem(translation, correction) {
+    const line = translation.translations.find(t => t.language === correction.language);
+    const session = translation.sessionId && translation.sessionId.sessionId ? translation.sessionId : null;
+    const submitter = correction.userId && correction.userId.name !== undefined ? correction.userId : null;
+
+    return {
+      correctionId: correction._id ? correction._id.toString() : null,
+      translationId: translation.translationId,
+      sessionId: session ? session.sessionId : null,
+      sessionTitle: session ? session.title : null,
+      sequenceNumber: translation.sequenceNumber,
+      context: translation.context,
+      language: correction.language,
+      languageCode: MultiLanguageTranslationService.getLanguageCode(correction.language),
+      originalArabic: translation.originalText,
+      currentText: line ? line.text : correction.originalText,
+      originalText: correction.originalText,
+      correctedText: correction.correctedText,
+      reason: correction.reason || null,
+      status: correction.status,
+      submittedBy: submitter
+        ? { id: submitter._id.toString(), name: submitter.name || submitter.mosqueName || submitter.email }
+        : (correction.userId ? { id: correction.userId.toString() } : null),
+      submittedAt: correction.submittedAt,
+      reviewedAt: correction.reviewedAt || null,
+      reviewNote: correction.reviewNote || null
+    };
+  }
+
+  async findPending(mosqueId, translationId, correctionId) {
+    const translation = await Translation.findOne({ translationId, mosqueId });
+    if (!translation) {
+      return { success: false, status: 404, error: 'Translation not found' };
+    }
+
+    const correction = translation.corrections.id(correctionId);
+    if (!correction) {
+      return { success: false, status: 404, error: 'Correction not found' };
+    }
+    if (correction.status !== 'pending') {
+      return { success: false, status: 409, error: `Correction was already ${correction.status}` };
+    }
+
+    return { success: true, translation, correction };
+  }
+
+  // Apply the (optionally edited) correction and return what listeners need to update the line
+  async approve(mosqueId, translationId, correctionId, reviewerId, options = {}) {
+    const pending = await this.findPending(mosqueId, translationId, correctionId);
+    if (!pending.success) {
+      return pending;
+    }
+    const { translation, correction } = pending;
+    const text = (options.text || correction.correctedText).trim();
+
+    const line = translation.translations.find(t => t.language === correction.language);
+    if (!line) {
+      return { success: false, status: 404, error: `Translation for ${correction.language} not found` };
+    }
+
+    line.text = text;
+    line.translationMethod = line.translationMethod === 'manual' ? 'manual' : 'hybrid';
+    line.confidence = 1;
+    line.isVerified = true;
+    line.verifiedBy = reviewerId;
+    line.verifiedAt = new Date();
+
+    correction.correctedText = text;
+    correction.status = 'approved';
+    correction.reviewedBy = reviewerId;
+    correction.reviewedAt = new Date();
+    correction.reviewNote = options.note;
+
+    await translation.save();
+    await this.updateCache(translation, correction.language, text);
+
+    const session = await Session.findById(translation.sessionId).select('sessionId');
+    console.log(`✅ Correction approved for ${translationId} (${correction.language})`);
+
+    return {
+      success: true,
+      update: {
+        sessionId: session ? session.sessionId : null,
+        translationId,
+        transcriptionId: translation.metadata?.transcriptionId || null,
+        sequenceNumber: translation.sequenceNumber,
+        originalText: translation.originalText,
+        language: correction.language,
+        languageCode: MultiLanguageTranslationService.getLanguageCode(correction.language),
+        text,
+        correctionId: correction._id.toString(),
+        correctedAt: correction.reviewedAt
+      }
+    };
+  }
+
+  async reject(mosqueId, translationId, correctionId, reviewerId, note) {
+    const pending = await this.findPending(mosqueId, translationId, correctionId);
+    if (!pending.success) {
+      return pending;
+    }
+    const { translation, correction } = pending;
+
+    correction.status = 'rejected';
+    correction.reviewedBy = reviewerId;
+    correction.reviewedAt = new Date();
+    correction.reviewNote = note;
+    await translation.save();
+
+    return { success: true, correction: this.toQueueItem(translation, correction) };
+  }
+
+  // The next time this Arabic sentence is said the approved wording is served from the cache.
+  // Lines using the mosque's own glossary never reach the shared cache, so they are left out here too
+  async updateCache(translation, languageName, text) {
+    try {
+      if (await GlossaryService.hasMosqueTerms(translation.originalText, translation.mosqueId)) {
+        return;
+      }
+
+      const contextType = TranslationCache.toContextType(translation.context);
+      const hash = TranslationCache.generateHash(translation.originalText);
+      const existing = await TranslationCache.find({ sourceTextHash: hash, sourceLanguage: 'ar', targetLanguage: languageName });
+
+      for (const entry of existing) {
+        entry.alternatives.push({ provider: entry.provider, text: entry.translatedText, confidence: entry.confidenceScore, isPreferred: false });
+        entry.translatedText = text;
+        entry.provider = 'human';
+        entry.confidenceScore = 1;
+        entry.qualityRating = 5;
+        entry.isProtected = true;
+        entry.expiresAt = undefined;
+        await entry.save();
+      }
+
+      if (!existing.some(entry => entry.contextType === contextType)) {
+        const entry = await TranslationCache.createCacheEntry(
+          translation.originalText,
+          'ar',
+          languageName,
+          text,
+          'human',
+          contextType,
+          { confidence: 1, quality: 5 }
+        );
+        // Approved wording is kept for good, unlike provider output
+        await TranslationCache.updateOne({ _id: entry._id }, { $set: { isProtected: true }, $unset: { expiresAt: 1 } });
+      }
+
+      console.log(`💾 Cached approved correction for: ${translation.originalText.substring(0, 50)}...`);
+    } catch (error) {
+      // The correction itself is saved; a stale cache entry only means the old wording may come back
+      console.error('❌ Failed to cache approved correction:', error.message);
+    }
+  }
+}
+
+module.exports = new CorrectionReviewService();
@@ -0,0 +1,331 @@
+// Glossary Service for Mosque Translation App
+// Keeps Islamic terms consistent across providers: terms are swapped for placeholders
+// before a provider sees the text and replaced with the glossary rendering afterwards
+const config = require('../config/config');
+const GlossaryTerm = require('../models/GlossaryTerm');
+const TranslationCache = require('../models/TranslationCache');
+const { normalizeArabic } = require('./quran/arabicText');
+
+// Global defaults seeded on first start; mosques can override any of them
+const DEFAULT_TERMS = [
+  { term: 'صلاة', transliteration: 'Salah', category: 'prayer_term' },
+  { term: 'زكاة', transliteration: 'Zakat', category: 'islamic_concept' },
+  { term: 'تقوى', transliteration: 'Taqwa', category: 'islamic_concept' },
+  { term: 'صيام', transliteration: 'Siyam', category: 'islamic_concept' },
+  { term: 'حج', transliteration: 'Hajj', category: 'islamic_concept' },
+  { term: 'عمرة', transliteration: 'Umrah', category: 'islamic_concept' },
+  { term: 'خطبة', transliteration: 'Khutbah', category: 'prayer_term' },
+  { term: 'دعاء', transliteration: "Du'a", category: 'prayer_term' },
+  { term: 'إيمان', transliteration: 'Iman', category: 'islamic_concept' },
+  { term: 'إحسان', transliteration: 'Ihsan', category: 'islamic_concept' },
+  { term: 'توحيد', transliteration: 'Tawhid', category: 'islamic_concept' },
+  { term: 'صدقة', transliteration: 'Sadaqah', category: 'islamic_concept' },
+  { term: 'جنة', transliteration: 'Jannah', category: 'islamic_concept' },
+  { term: 'رمضان', transliteration: 'Ramadan', category: 'islamic_concept' }
+];
+
+// Attached prefixes (and/so/with/for/like + article) that may precede a term;
+// لل is ل + article with the alef dropped
+const PREFIXES = ['وبال', 'وال', 'فال', 'بال', 'كال', 'ولل', 'لل', 'ال', 'و', 'ف', 'ب', 'ل', 'ك'];
+// Conjunctions carry meaning of their own, so they stay in the text next to the placeholder
+const CONJUNCTIONS = ['و', 'ف'];
+
+const PLACEHOLDER_PATTERN = /\[\s*\[\s*G\s*(\d+)\s*\]\s*\]/gi;
+// Punctuation around a word (Arabic letters and harakat belong to the word)
+const EDGE_PUNCTUATION = /^([^\u0621-\u0652\u0670]*)(.*?)([^\u0621-\u0652\u0670]*)$/;
+
+class GlossaryService {
+  constructor() {
+    this.termCache = new Map(); // mosqueId|'global' -> { terms, loadedAt }
+  }
+
+  isEnabled() {
+    return config.glossary.enabled;
+  }
+
+  // Seed the global glossary the first time the server starts
+  async ensureDefaultTerms() {
+    try {
+      const existing = await GlossaryTerm.countDocuments({ mosqueId: null });
+      if (existing > 0) {
+        return { success: true, created: 0 };
+      }
+
+      for (const term of DEFAULT_TERMS) {
+        await new GlossaryTerm({ ...term, mosqueId: null, mode: 'preserve' }).save();
+      }
+
+      console.log(`📘 Seeded global glossary with ${DEFAULT_TERMS.length} terms`);
+      return { success: true, created: DEFAULT_TERMS.length };
+
+    } catch (error) {
+      console.error('❌ Failed to seed global glossary:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Effective terms for a mosque: global terms, overridden by the mosque's own
+  async getTerms(mosqueId = null) {
+    const cacheKey = mosqueId ? mosqueId.toString() : 'global';
+    const cached = this.termCache.get(cacheKey);
+    if (cached && Date.now() - cached.loadedAt < config.glossary.cacheTtlMs) {
+      return cached.terms;
+    }
+
+    const documents = await GlossaryTerm.findForMosque(mosqueId);
+    const byTerm = new Map();
+
+    // Global first so mosque entries replace them
+    documents
+      .sort((a, b) => Number(Boolean(a.mosqueId)) - Number(Boolean(b.mosqueId)))
+      .forEach(doc => byTerm.set(doc.normalizedTerm, {
+        id: doc._id.toString(),
+        term: doc.term,
+        words: doc.normalizedTerm.split(' '),
+        isMosqueTerm: Boolean(doc.mosqueId),
+        document: doc
+      }));
+
+    // Longest terms first so "صلاة الجمعة" wins over "صلاة"
+    const terms = Array.from(byTerm.values()).sort((a, b) => b.words.length - a.words.length);
+    this.termCache.set(cacheKey, { terms, loadedAt: Date.now() });
+    return terms;
+  }
+
+  invalidate(mosqueId = null) {
+    if (mosqueId) {
+      this.termCache.delete(mosqueId.toString());
+    } else {
+      // Global changes affect every mosque
+      this.termCache.clear();
+    }
+  }
+
+  // Replace glossary terms with placeholders before a provider call.
+  // Returns null when the text contains no glossary terms for this language.
+  async protect(text, language, mosqueId = null) {
+    if (!this.isEnabled() || !text) {
+      return null;
+    }
+
+    const terms = await this.getTerms(mosqueId);
+    const replacements = [];
+
+    const protectedText = this.replaceTerms(text, terms, (entry) => {
+      const rendering = entry.document.getRendering(language);
+      if (!rendering) {
+        return null;
+      }
+
+      let index = replacements.findIndex(r => r.termId === entry.id);
+      if (index === -1) {
+        index = replacements.push({ termId: entry.id, term: entry.term, rendering }) - 1;
+      }
+      return `[[G${index}]]`;
+    });
+
+    if (replacements.length === 0) {
+      return null;
+    }
+
+    return { text: protectedText, originalText: text, replacements };
+  }
+
+  // Put the glossary renderings back into the provider output
+  restore(translatedText, glossary) {
+    if (!glossary || !translatedText) {
+      return translatedText;
+    }
+
+    const restoredIndexes = new Set();
+    const restored = translatedText.replace(PLACEHOLDER_PATTERN, (placeholder, index) => {
+      const replacement = glossary.replacements[parseInt(index)];
+      if (!replacement) {
+        return placeholder;
+      }
+      restoredIndexes.add(parseInt(index));
+      return replacement.rendering;
+    });
+
+    if (restoredIndexes.size < glossary.replacements.length) {
+      const dropped = glossary.replacements
+        .filter((_, index) => !restoredIndexes.has(index))
+        .map(r => r.term);
+      console.warn(`⚠️ Provider dropped glossary terms: ${dropped.join(', ')}`);
+    }
+
+    return restored;
+  }
+
+  // Terms from the mosque's own glossary present in the text
+  async hasMosqueTerms(text, mosqueId) {
+    if (!this.isEnabled() || !mosqueId || !text) {
+      return false;
+    }
+
+    const terms = await this.getTerms(mosqueId);
+    let found = false;
+    this.replaceTerms(text, terms.filter(t => t.isMosqueTerm), () => {
+      found = true;
+      return null;
+    });
+    return found;
+  }
+
+  // Walk the words of the text, calling onMatch(entry) for each glossary term found.
+  // onMatch returns the replacement, or null to leave the words untouched.
+  replaceTerms(text, terms, onMatch) {
+    const parts = text.split(/(\s+)/);
+    const words = [];
+    parts.forEach((part, index) => {
+      if (part.trim()) {
+        const [, lead, core, trail] = part.match(EDGE_PUNCTUATION);
+        words.push({ index, lead, core, trail, normalized: normalizeArabic(core) });
+      }
+    });
+
+    for (let w = 0; w < words.length; w++) {
+      for (const entry of terms) {
+        const prefix = this.matchTermAt(words, w, entry.words);
+        if (prefix === null) {
+          continue;
+        }
+
+        const replacement = onMatch(entry);
+        if (!replacement) {
+          continue;
+        }
+
+        const first = words[w];
+        const last = words[w + entry.words.length - 1];
+        const conjunction = CONJUNCTIONS.includes(prefix[0]) ? `${prefix[0]} ` : '';
+
+        parts[first.index] = `${first.lead}${conjunction}${replacement}${last.trail}`;
+        for (let i = first.index + 1; i <= last.index; i++) {
+          parts[i] = '';
+        }
+        w += entry.words.length - 1;
+        break;
+      }
+    }
+
+    return parts.join('');
+  }
+
+  // Returns the attached prefix ('' for none) when the term starts at word w, otherwise null
+  matchTermAt(words, w, termWords) {
+    if (w + termWords.length > words.length) {
+      return null;
+    }
+
+    const prefix = this.stripPrefix(words[w].normalized, termWords[0]);
+    if (prefix === null) {
+      return null;
+    }
+
+    for (let i = 1; i < termWords.length; i++) {
+      if (words[w + i].normalized !== termWords[i]) {
+        return null;
+      }
+    }
+    return prefix;
+  }
+
+  stripPrefix(word, termWord) {
+    if (word === termWord) {
+      return '';
+    }
+
+    for (const prefix of PREFIXES) {
+      if (word === prefix + termWord) {
+        return prefix;
+      }
+    }
+    return null;
+  }
+
+  // CRUD
+
+  async listTerms(mosqueId) {
+    const [globalTerms, mosqueTerms] = await Promise.all([
+      GlossaryTerm.find({ mosqueId: null }).sort({ term: 1 }),
+      mosqueId ? GlossaryTerm.find({ mosqueId }).sort({ term: 1 }) : []
+    ]);
+
+    return { global: globalTerms, mosque: mosqueTerms };
+  }
+
+  async createTerm(data, { mosqueId = null, userId = null } = {}) {
+    const term = new GlossaryTerm({
+      term: data.term,
+      category: data.category,
+      mode: data.mode,
+      transliteration: data.transliteration,
+      renderings: data.renderings || [],
+      notes: data.notes,
+      isActive: data.isActive !== false,
+      mosqueId,
+      createdBy: userId
+    });
+
+    await term.save();
+    await this.onTermChanged(term);
+    return term;
+  }
+
+  async updateTerm(termId, updates, mosqueId = null) {
+    const term = await GlossaryTerm.findOne({ _id: termId, mosqueId });
+    if (!term) {
+      return null;
+    }
+
+    ['term', 'category', 'mode', 'transliteration', 'renderings', 'notes', 'isActive'].forEach(field => {
+      if (updates[field] !== undefined) {
+        term[field] = updates[field];
+      }
+    });
+
+    await term.save();
+    await this.onTermChanged(term);
+    return term;
+  }
+
+  async deleteTerm(termId, mosqueId = null) {
+    const term = await GlossaryTerm.findOneAndDelete({ _id: termId, mosqueId });
+    if (term) {
+      await this.onTermChanged(term);
+    }
+    return term;
+  }
+
+  // Show which words of a sample the glossary would protect, and how
+  async preview(text, language, mosqueId = null) {
+    const glossary = await this.protect(text, language, mosqueId);
+    return {
+      protectedText: glossary ? glossary.text : text,
+      terms: glossary ? glossary.replacements.map(r => ({ term: r.term, rendering: r.rendering })) : []
+    };
+  }
+
+  // Mosque terms bypass the shared translation cache, but cached output for global
+  // terms was produced with the old rendering and has to go
+  async onTermChanged(term) {
+    this.invalidate(term.mosqueId);
+
+    if (term.mosqueId) {
+      return;
+    }
+
+    try {
+      const escaped = term.term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const { deletedCount } = await TranslationCache.deleteMany({ sourceText: { $regex: escaped } });
+      if (deletedCount > 0) {
+        console.log(`🧹 Cleared ${deletedCount} cached translations containing "${term.term}"`);
+      }
+    } catch (error) {
+      console.error('❌ Failed to clear cached translations for glossary term:', error);
+    }
+  }
+}
+
+module.exports = new GlossaryService();
@@ -0,0 +1,191 @@
+// Hadith Detector Service for Mosque Translation App
+// Spots narrations in final Arabic transcriptions by their isnad phrases and collection
+// names, and resolves well-known texts to a collection/number from a local index
+const path = require('path');
+const config = require('../config/config');
+const { normalizeArabic, tokenize, alignWords } = require('./quran/arabicText');
+
+const COLLECTIONS = {
+  bukhari: { name: 'Sahih al-Bukhari', phrases: ['البخاري', 'صحيح البخاري'] },
+  // "مسلم" is an everyday word, only count it next to a citation verb
+  muslim: { name: 'Sahih Muslim', phrases: ['صحيح مسلم', 'رواه مسلم', 'اخرجه مسلم', 'وروي مسلم'] },
+  abudawud: { name: 'Sunan Abi Dawud', phrases: ['ابو داود', 'ابي داود', 'ابا داود'] },
+  tirmidhi: { name: "Jami' at-Tirmidhi", phrases: ['الترمذي'] },
+  nasai: { name: "Sunan an-Nasa'i", phrases: ['النسائي'] },
+  ibnmajah: { name: 'Sunan Ibn Majah', phrases: ['ابن ماجه'] },
+  malik: { name: 'Muwatta Malik', phrases: ['الموطا', 'موطا مالك'] },
+  ahmad: { name: 'Musnad Ahmad', phrases: ['مسند احمد', 'رواه احمد', 'رواه الامام احمد'] }
+};
+
+// Chains of narration and attribution to the Prophet ﷺ
+const NARRATION_PHRASES = [
+  'حدثنا', 'حدثني', 'اخبرنا', 'انبانا',
+  'عن النبي', 'عن رسول الله',
+  'قال رسول الله', 'قال النبي', 'سمعت رسول الله', 'سمعت النبي',
+  'ان رسول الله', 'ان النبي',
+  'رواه', 'اخرجه', 'متفق عليه'
+];
+
+// Narrated by both al-Bukhari and Muslim
+const AGREED_UPON = 'متفق عليه';
+
+const MIN_MATCHED_WORDS = 3;
+const MIN_INDEX_COVERAGE = 0.75;
+const MIN_DENSITY = 0.6;
+
+class HadithDetectorService {
+  constructor() {
+    this.index = null;
+  }
+
+  isEnabled() {
+    return config.hadith.enabled;
+  }
+
+  // Lazy load the narration index
+  loadIndex() {
+    if (this.index) {
+      return this.index;
+    }
+
+    try {
+      const { hadiths } = require(path.resolve(__dirname, '..', config.hadith.indexFile));
+      this.index = hadiths.map(hadith => ({
+        ...hadith,
+        skeletons: tokenize(hadith.text).map(t => t.skeleton).filter(Boolean)
+      }));
+      console.log(`📚 Hadith index loaded: ${this.index.length} narrations`);
+    } catch (error) {
+      console.error('❌ Failed to load hadith index:', error.message);
+      this.index = [];
+    }
+
+    return this.index;
+  }
+
+  // Detect a narration in a transcription
+  // Returns { isHadith, hadithSource, references, narrationPhrases, collections, confidence }
+  detect(text) {
+    const result = {
+      isHadith: false,
+      hadithSource: undefined,
+      references: [],
+      narrationPhrases: [],
+      collections: [],
+      confidence: 0
+    };
+
+    try {
+      if (!this.isEnabled() || !text || !text.trim()) {
+        return result;
+      }
+
+      const normalized = ` ${normalizeArabic(text)} `;
+      const contains = phrase => normalized.includes(` ${phrase} `);
+
+      result.narrationPhrases = NARRATION_PHRASES.filter(contains);
+      result.collections = Object.keys(COLLECTIONS)
+        .filter(key => COLLECTIONS[key].phrases.some(contains));
+      if (contains(AGREED_UPON)) {
+        ['bukhari', 'muslim'].forEach(key => {
+          if (!result.collections.includes(key)) {
+            result.collections.push(key);
+          }
+        });
+      }
+
+      const indexMatch = this.matchIndex(text);
+
+      if (indexMatch) {
+        result.references = this.orderReferences(indexMatch.hadith.references, result.collections);
+        result.confidence = indexMatch.confidence;
+      } else if (result.narrationPhrases.length > 0) {
+        result.confidence = result.collections.length > 0 ? 0.8 : 0.6;
+      } else if (result.collections.length > 0) {
+        result.confidence = 0.5;
+      }
+
+      result.isHadith = result.confidence > 0;
+      result.hadithSource = this.formatSource(result);
+
+      if (result.isHadith) {
+        console.log(`📚 Hadith detected: ${result.hadithSource || 'unresolved source'} (confidence ${result.confidence})`);
+      }
+
+      return result;
+
+    } catch (error) {
+      console.error('❌ Hadith detection failed:', error);
+      return result;
+    }
+  }
+
+  // Best aligned narration from the local index, or null
+  matchIndex(text) {
+    const skeletons = tokenize(text).map(t => t.skeleton);
+    let best = null;
+
+    for (const hadith of this.loadIndex()) {
+      const alignment = alignWords(skeletons, hadith.skeletons);
+      if (!alignment) {
+        continue;
+      }
+
+      const accepted = alignment.matched >= Math.min(MIN_MATCHED_WORDS, hadith.skeletons.length) &&
+        alignment.coverage >= MIN_INDEX_COVERAGE &&
+        alignment.density >= MIN_DENSITY;
+
+      if (accepted && (!best || alignment.matched > best.alignment.matched)) {
+        best = { hadith, alignment };
+      }
+    }
+
+    if (!best) {
+      return null;
+    }
+
+    return {
+      hadith: best.hadith,
+      confidence: Math.round(best.alignment.density * best.alignment.coverage * 100) / 100
+    };
+  }
+
+  // Put the collection the speaker cited first
+  orderReferences(references, citedCollections) {
+    return references
+      .map(reference => ({
+        ...reference,
+        reference: `${reference.collection}:${reference.number}`,
+        label: `${COLLECTIONS[reference.collection]?.name || reference.collection} ${reference.number}`
+      }))
+      .sort((a, b) => Number(citedCollections.includes(b.collection)) - Number(citedCollections.includes(a.collection)));
+  }
+
+  formatSource(result) {
+    if (result.references.length > 0) {
+      return result.references[0].label;
+    }
+    if (result.collections.length > 0) {
+      return result.collections.map(key => COLLECTIONS[key].name).join(', ');
+    }
+    return undefined;
+  }
+
+  // Fields for Translation.islamicContent / VoiceTranscription.islamicContent
+  toIslamicContent(detection) {
+    if (!detection || !detection.isHadith) {
+      return { isHadith: false };
+    }
+
+    const [primary] = detection.references;
+    return {
+      isHadith: true,
+      hadithSource: detection.hadithSource,
+      hadithCollection: primary ? primary.collection : detection.collections[0],
+      hadithNumber: primary ? primary.number : undefined,
+      hadithReferences: detection.references.map(r => r.reference)
+    };
+  }
+}
+
+module.exports = new HadithDetectorService();
@@ -0,0 +1,283 @@
+// Iqamah Service for Mosque Translation App
+// Calculated adhan times are not when the jama'ah prays, so mosques publish their iqamah times:
+// a fixed time or an offset from adhan per prayer, monthly tables uploaded as CSV, and Jumu'ah khutbah slots.
+// Days are resolved here; offsets stay offsets because the app calculates adhan with the mosque's own settings
+const config = require('../config/config');
+const IqamahTimetable = require('../models/IqamahTimetable');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FRIDAY = 5;
+const MAX_CSV_ROWS = 40;
+
+// Column names seen in mosque timetables
+const COLUMN_ALIASES = {
+  fajr: ['fajr', 'fajar', 'subh', 'sobh'],
+  dhuhr: ['dhuhr', 'zuhr', 'zohr', 'dhur', 'duhr', 'thuhr'],
+  asr: ['asr', 'asar'],
+  maghrib: ['maghrib', 'magrib', 'maghreb'],
+  isha: ['isha', 'esha', 'ishaa']
+};
+const DATE_COLUMNS = ['date', 'day', 'datum', 'tag'];
+
+class IqamahService {
+  async getTimetable(mosqueId) {
+    return IqamahTimetable.findOne({ mosqueId });
+  }
+
+  // Replace the per-prayer rules and/or the Jumu'ah slots; uploaded months are kept
+  async updateTimetable(mosqueId, data) {
+    const update = {};
+    const unset = {};
+
+    if (data.prayers !== undefined) {
+      for (const prayer of config.islamic.iqamahPrayers) {
+        const rule = data.prayers?.[prayer];
+        if (!rule) {
+          unset[`prayers.${prayer}`] = '';
+          continue;
+        }
+        if (rule.mode === 'fixed' && !rule.time) {
+          return { success: false, status: 400, error: `A fixed ${prayer} iqamah needs a time` };
+        }
+        update[`prayers.${prayer}`] = rule.mode === 'fixed'
+          ? { mode: 'fixed', time: rule.time }
+          : { mode: 'offset', offsetMinutes: rule.offsetMinutes ?? 10 };
+      }
+    }
+
+    if (data.jumuah !== undefined) {
+      update.jumuah = (data.jumuah || []).map(slot => ({
+        khutbahTime: slot.khutbahTime,
+        iqamahTime: slot.iqamahTime || undefined,
+        language: slot.language || undefined,
+        label: slot.label || undefined
+      }));
+    }
+
+    const operations = { $set: update };
+    if (Object.keys(unset).length > 0) {
+      operations.$unset = unset;
+    }
+
+    const timetable = await IqamahTimetable.findOneAndUpdate(
+      { mosqueId },
+      operations,
+      { new: true, upsert: true, runValidators: true }
+    );
+    return { success: true, timetable };
+  }
+
+  // Store one month of iqamah times from CSV, replacing an earlier upload of the same month
+  async saveMonth(mosqueId, month, csv) {
+    const parsed = this.parseCsv(csv, month);
+    if (!parsed.success) {
+      return parsed;
+    }
+
+    await IqamahTimetable.updateOne(
+      { mosqueId },
+      { $pull: { months: { month } } },
+      { upsert: true }
+    );
+    const timetable = await IqamahTimetable.findOneAndUpdate(
+      { mosqueId },
+      {
+        $push: {
+          months: {
+            $each: [{ month, days: parsed.days, uploadedAt: new Date() }],
+            $sort: { month: 1 }
+          }
+        }
+      },
+      { new: true }
+    );
+
+    return { success: true, timetable, days: parsed.days.length };
+  }
+
+  async removeMonth(mosqueId, month) {
+    const timetable = await IqamahTimetable.findOneAndUpdate(
+      { mosqueId, 'months.month': month },
+      { $pull: { months: { month } } },
+      { new: true }
+    );
+    if (!timetable) {
+      return { success: false, status: 404, error: 'No timetable uploaded for this month' };
+    }
+    return { success: true, timetable };
+  }
+
+  // Rows of date (day number or YYYY-MM-DD), fajr, dhuhr, asr, maghrib, isha.
+  // A header row may name and reorder the columns; comma, semicolon and tab separators all work.
+  // Times are 24-hour or have AM/PM; 12-hour times without it are read as afternoon from Dhuhr on
+  parseCsv(csv, month) {
+    if (typeof csv !== 'string' || !csv.trim()) {
+      return { success: false, status: 400, error: 'The CSV file is empty' };
+    }
+
+    const [year, monthNumber] = month.split('-').map(Number);
+    const daysInMonth = new Date(Date.UTC(year, monthNumber, 0)).getUTCDate();
+
+    const lines = csv.split(/\r?\n/)
+      .map((line, index) => ({ text: line.trim(), number: index + 1 }))
+      .filter(line => line.text && !line.text.startsWith('#'));
+    if (lines.length === 0) {
+      return { success: false, status: 400, error: 'The CSV file has no rows' };
+    }
+    if (lines.length > MAX_CSV_ROWS) {
+      return { success: false, status: 400, error: `A month can have at most ${MAX_CSV_ROWS} rows` };
+    }
+
+    const separator = [';', '\t', ','].find(candidate => lines[0].text.includes(candidate)) || ',';
+    const split = (text) => text.split(separator).map(cell => cell.trim().replace(/^"|"$/g, ''));
+
+    let columns = ['date', ...config.islamic.iqamahPrayers];
+    const header = split(lines[0].text).map(cell => cell.toLowerCase());
+    if (header.some(cell => cell && !/\d/.test(cell))) {
+      columns = header.map(cell => {
+        if (DATE_COLUMNS.includes(cell)) {
+          return 'date';
+        }
+        return Object.keys(COLUMN_ALIASES).find(prayer => COLUMN_ALIASES[prayer].includes(cell)) || null;
+      });
+      lines.shift();
+
+      if (!columns.includes('date')) {
+        return { success: false, status: 400, error: 'The CSV header needs a date column' };
+      }
+    }
+
+    const days = [];
+    const seen = new Set();
+
+    for (const line of lines) {
+      const cells = split(line.text);
+      const row = {};
+
+      for (let i = 0; i < columns.length; i++) {
+        const column = columns[i];
+        const cell = cells[i];
+        if (!column || !cell) {
+          continue;
+        }
+
+        if (column === 'date') {
+          const day = this.parseDay(cell, month);
+          if (!day || day > daysInMonth) {
+            return { success: false, status: 400, error: `Line ${line.number}: "${cell}" is not a day of ${month}` };
+          }
+          row.day = day;
+          continue;
+        }
+
+        const time = this.parseTime(cell, column);
+        if (!time) {
+          return { success: false, status: 400, error: `Line ${line.number}: "${cell}" is not a valid ${column} time` };
+        }
+        row[column] = time;
+      }
+
+      if (!row.day) {
+        return { success: false, status: 400, error: `Line ${line.number}: missing date` };
+      }
+      if (seen.has(row.day)) {
+        return { success: false, status: 400, error: `Line ${line.number}: day ${row.day} appears twice` };
+      }
+      seen.add(row.day);
+      days.push(row);
+    }
+
+    if (days.length === 0) {
+      return { success: false, status: 400, error: 'The CSV file has no rows' };
+    }
+
+    days.sort((a, b) => a.day - b.day);
+    return { success: true, days };
+  }
+
+  parseDay(cell, month) {
+    if (/^\d{1,2}$/.test(cell)) {
+      return parseInt(cell, 10) || null;
+    }
+    const match = cell.match(/^(\d{4}-\d{2})-(\d{2})$/);
+    return match && match[1] === month ? parseInt(match[2], 10) || null : null;
+  }
+
+  // "HH:mm" in 24-hour time, or null
+  parseTime(cell, prayer) {
+    const match = cell.toLowerCase().replace(/\s+/g, '').match(/^(\d{1,2})[:.](\d{2})(am|pm)?$/);
+    if (!match) {
+      return null;
+    }
+
+    let hours = parseInt(match[1], 10);
+    const minutes = parseInt(match[2], 10);
+    const period = match[3];
+    if (minutes > 59 || hours > 23 || (period && (hours === 0 || hours > 12))) {
+      return null;
+    }
+
+    if (period) {
+      hours = (hours % 12) + (period === 'pm' ? 12 : 0);
+    } else if (prayer === 'dhuhr' ? hours >= 1 && hours <= 9 : prayer !== 'fajr' && hours >= 1 && hours <= 11) {
+      hours += 12;
+    }
+
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+  }
+
+  // Iqamah for each day from `from` (YYYY-MM-DD at the mosque) on: an uploaded time wins over the rule
+  resolveDays(timetable, from, count) {
+    const start = Date.parse(`${from}T00:00:00Z`);
+    const monthsByName = new Map((timetable?.months || []).map(month => [month.month, month]));
+    const days = [];
+
+    for (let i = 0; i < count; i++) {
+      const date = new Date(start + i * DAY_MS);
+      const isoDate = date.toISOString().slice(0, 10);
+      const uploaded = monthsByName.get(isoDate.slice(0, 7))?.days.find(day => day.day === date.getUTCDate());
+
+      const prayers = {};
+      for (const prayer of config.islamic.iqamahPrayers) {
+        if (uploaded?.[prayer]) {
+          prayers[prayer] = { type: 'fixed', time: uploaded[prayer], source: 'table' };
+          continue;
+        }
+
+        const rule = timetable?.prayers?.[prayer];
+        if (rule?.mode === 'fixed') {
+          prayers[prayer] = { type: 'fixed', time: rule.time, source: 'rule' };
+        } else if (rule?.mode === 'offset') {
+          prayers[prayer] = { type: 'offset', offsetMinutes: rule.offsetMinutes, source: 'rule' };
+        }
+      }
+
+      const isFriday = date.getUTCDay() === FRIDAY;
+      days.push({
+        date: isoDate,
+        prayers,
+        jumuah: isFriday ? (timetable?.jumuah || []) : []
+      });
+    }
+
+    return days;
+  }
+
+  // Public shape of a timetable, with the requested days resolved
+  toResponse(timetable, from, count) {
+    return {
+      published: Boolean(timetable),
+      prayers: timetable?.prayers || {},
+      jumuah: timetable?.jumuah || [],
+      months: (timetable?.months || []).map(month => ({
+        month: month.month,
+        days: month.days.length,
+        uploadedAt: month.uploadedAt
+      })),
+      days: this.resolveDays(timetable, from, count),
+      updatedAt: timetable?.updatedAt || null
+    };
+  }
+}
+
+module.exports = new IqamahService();
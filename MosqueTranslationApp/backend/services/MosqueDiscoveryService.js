@@ -0,0 +1,216 @@
+// Mosque Discovery Service for Mosque Translation App
+// Finds mosques with the 2dsphere index on `location`: nearest first within a radius, or everything
+// inside a map's visible bounds, filtered by facilities, languages, services, women's capacity and live status.
+// Filtering, sorting and paging all happen in MongoDB, so only one page of mosques is ever loaded
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const SessionStateStore = require('./SessionStateStore');
+
+const EARTH_RADIUS_KM = 6371;
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const SORTS = {
+  name: { mosqueName: 1 },
+  followers: { 'analytics.totalFollowers': -1, mosqueName: 1 }
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+class MosqueDiscoveryService {
+  // options: { lat, lng, radiusKm, bbox: [west, south, east, north], q, facilities, languages, services,
+  //   minWomenCapacity, live, sort: 'distance' | 'name' | 'followers', page, limit, user }
+  async discover(options = {}) {
+    options = { ...options, bbox: this.normalizeBbox(options.bbox) };
+    const page = Math.max(1, parseInt(options.page) || 1);
+    const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(options.limit) || DEFAULT_LIMIT));
+    const hasOrigin = Number.isFinite(options.lat) && Number.isFinite(options.lng);
+    const sort = options.sort || (hasOrigin ? 'distance' : 'name');
+
+    if (sort === 'distance' && !hasOrigin) {
+      return { success: false, status: 400, error: 'Sorting by distance needs lat and lng' };
+    }
+
+    const liveMosqueIds = SessionStateStore.getLiveMosqueIds();
+    const filter = this.buildFilter(options, liveMosqueIds);
+
+    let mosques;
+    let total;
+
+    if (sort === 'distance') {
+      // $geoNear must be the first stage; it filters, measures and sorts by distance in one pass
+      const geoNear = {
+        near: { type: 'Point', coordinates: [options.lng, options.lat] },
+        distanceField: 'distanceMeters',
+        key: 'location',
+        spherical: true,
+        query: filter
+      };
+      if (options.radiusKm && !options.bbox) {
+        geoNear.maxDistance = options.radiusKm * 1000;
+      }
+
+      const [result] = await User.aggregate([
+        { $geoNear: geoNear },
+        { $project: { password: 0, emailVerificationToken: 0, __v: 0 } },
+        {
+          $facet: {
+            mosques: [{ $skip: (page - 1) * limit }, { $limit: limit }],
+            total: [{ $count: 'count' }]
+          }
+        }
+      ]);
+
+      mosques = result.mosques;
+      total = result.total[0]?.count || 0;
+    } else {
+      if (hasOrigin && options.radiusKm && !options.bbox) {
+        filter.location = {
+          $geoWithin: { $centerSphere: [[options.lng, options.lat], options.radiusKm / EARTH_RADIUS_KM] }
+        };
+      }
+
+      [mosques, total] = await Promise.all([
+        User.find(filter)
+          .select('-password -emailVerificationToken -__v')
+          .sort(SORTS[sort])
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .lean(),
+        User.countDocuments(filter)
+      ]);
+    }
+
+    return {
+      success: true,
+      mosques: mosques.map(mosque => this.formatMosque(mosque, {
+        origin: hasOrigin ? { lat: options.lat, lng: options.lng } : null,
+        user: options.user,
+        liveMosqueIds
+      })),
+      total,
+      page,
+      limit,
+      hasMore: page * limit < total
+    };
+  }
+
+  // Map bounds outside ±90/±180, or wrapped across the antimeridian (west > east), are treated as no bounds
+  normalizeBbox(bbox) {
+    if (!Array.isArray(bbox) || bbox.length !== 4 || !bbox.every(Number.isFinite)) {
+      return null;
+    }
+
+    const [west, south, east, north] = bbox;
+    const inRange = west >= -180 && east <= 180 && south >= -90 && north <= 90;
+    return inRange && west < east && south < north ? bbox : null;
+  }
+
+  buildFilter(options, liveMosqueIds) {
+    const filter = { userType: 'mosque', isActive: true };
+
+    // Polygon edges are great circles, which is close enough for a map viewport; a map zoomed out
+    // past half the globe cannot be a 2dsphere polygon, so it simply searches everywhere
+    const [west, south, east, north] = options.bbox || [];
+    if (options.bbox && east - west < 180) {
+      filter.location = {
+        $geoWithin: {
+          $geometry: {
+            type: 'Polygon',
+            coordinates: [[[west, south], [east, south], [east, north], [west, north], [west, south]]]
+          }
+        }
+      };
+    }
+
+    if (options.q) {
+      const pattern = new RegExp(escapeRegex(options.q.trim()), 'i');
+      filter.$or = [
+        { mosqueName: pattern },
+        { mosqueAddress: pattern },
+        { city: pattern },
+        { imam: pattern },
+        { languagesSupported: pattern },
+        { servicesOffered: pattern }
+      ];
+    }
+
+    // A mosque must have every facility and service asked for, and speak at least one of the languages
+    if (options.facilities?.length) {
+      filter.facilities = { $all: options.facilities };
+    }
+    if (options.services?.length) {
+      filter.servicesOffered = { $all: options.services };
+    }
+    if (options.languages?.length) {
+      filter.languagesSupported = { $in: options.languages };
+    }
+    if (options.minWomenCapacity > 0) {
+      filter.capacityWomen = { $gte: options.minWomenCapacity };
+    }
+
+    // Aggregation does not cast like find() does, so ids are ObjectIds up front
+    if (options.live) {
+      filter._id = {
+        $in: [...liveMosqueIds]
+          .filter(id => mongoose.Types.ObjectId.isValid(id))
+          .map(id => new mongoose.Types.ObjectId(id))
+      };
+    }
+
+    return filter;
+  }
+
+  // Same shape as the mosque detail endpoints in server.js
+  formatMosque(mosque, { origin = null, user = null, liveMosqueIds = new Set() } = {}) {
+    const id = mosque._id.toString();
+    const coords = mosque.location?.coordinates;
+    const location = coords?.length >= 2 && !(coords[0] === 0 && coords[1] === 0)
+      ? { lng: coords[0], lat: coords[1] }
+      : null;
+
+    let distance = 0;
+    if (mosque.distanceMeters !== undefined) {
+      distance = Math.round(mosque.distanceMeters / 100) / 10;
+    } else if (origin && location) {
+      distance = this.distanceKm(origin.lat, origin.lng, location.lat, location.lng);
+    }
+
+    return {
+      id,
+      name: mosque.mosqueName,
+      address: mosque.mosqueAddress,
+      city: mosque.city,
+      location: location || { lat: 0, lng: 0 },
+      phone: mosque.phone,
+      website: mosque.website,
+      imam: mosque.imam || 'Not specified',
+      madhab: mosque.madhab || 'Sunni',
+      servicesOffered: mosque.servicesOffered || [],
+      languagesSupported: mosque.languagesSupported || ['Arabic'],
+      prayerSettings: mosque.prayerSettings || null,
+      capacity: mosque.capacity,
+      capacityWomen: mosque.capacityWomen,
+      facilities: mosque.facilities || [],
+      photos: mosque.photos || {},
+      followers: mosque.analytics?.totalFollowers || 0,
+      hasLiveTranslation: mosque.servicesOffered?.includes('Live Translation') || false,
+      isLive: liveMosqueIds.has(id),
+      distance,
+      distanceFormatted: distance ? `${distance.toFixed(1)} km` : 'Unknown distance',
+      hasAccount: true,
+      isFollowed: user?.userType === 'individual' && user?.followedMosques?.some(f => f.mosqueId.toString() === id)
+    };
+  }
+
+  distanceKm(lat1, lng1, lat2, lng2) {
+    const toRadians = (degrees) => degrees * Math.PI / 180;
+    const dLat = toRadians(lat2 - lat1);
+    const dLng = toRadians(lng2 - lng1);
+    const a = Math.sin(dLat / 2) ** 2 +
+      Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+    return Math.round(2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a))) * 10) / 10;
+  }
+}
+
+module.exports = new MosqueDiscoveryService();
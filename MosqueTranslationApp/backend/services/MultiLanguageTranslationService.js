@@ -12,6 +12,10 @@ const TranslationCache = require('../models/TranslationCache');
 // Import dynamic translation system
 const TranslationManager = require('./translation/TranslationManager');
 const UserLanguagePreferencesService = require('./UserLanguagePreferencesService');
+const QuranMatcherService = require('./QuranMatcherService');
+const HadithDetectorService = require('./HadithDetectorService');
+const GlossaryService = require('./GlossaryService');
+const SessionLanguageService = require('./SessionLanguageService');
 
 class MultiLanguageTranslationService {
   constructor() {
@@ -79,14 +83,22 @@ class MultiLanguageTranslationService {
     try {
       // Create base translation record
       const translationId = `trans_${sessionId}_${Date.now()}`;
-      const session = await Session.findById(sessionId);
+      const session = await Session.findOne({ sessionId });
 
       if (!session) {
         throw new Error('Session not found');
       }
 
+      const quranMatch = QuranMatcherService.match(originalText);
+      const hadith = HadithDetectorService.detect(originalText);
+      if (quranMatch.isQuranic && quranMatch.coverage >= config.quran.minSubstitutionCoverage) {
+        context = 'quran';
+      } else if (hadith.isHadith) {
+        context = 'hadith';
+      }
+
       // Get next sequence number
-      const lastTranslation = await Translation.findOne({ sessionId })
+      const lastTranslation = await Translation.findOne({ sessionId: session._id })
         .sort({ sequenceNumber: -1 })
         .limit(1);
 
@@ -98,7 +110,7 @@ class MultiLanguageTranslationService {
       // Create translation document
       const translation = new Translation({
         translationId,
-        sessionId,
+        sessionId: session._id,
         mosqueId: session.mosqueId,
         originalText,
         originalLanguage: 'Arabic',
@@ -106,6 +118,10 @@ class MultiLanguageTranslationService {
         context,
         sequenceNumber,
         timestamp: new Date(),
+        islamicContent: {
+          ...QuranMatcherService.toIslamicContent(quranMatch),
+          ...HadithDetectorService.toIslamicContent(hadith)
+        },
         metadata: {
           ...metadata,
           requiresTranslation: true,
@@ -117,7 +133,10 @@ class MultiLanguageTranslationService {
       await translation.save();
 
       // Automatically translate to all required languages based on user preferences
-      await this.translateToUserPreferredLanguages(translationId, originalText, participantLanguages, context);
+      await this.translateToUserPreferredLanguages(translationId, originalText, participantLanguages, context, {
+        quranMatch,
+        mosqueId: session.mosqueId
+      });
 
       // Notify all active translators for this session
       this.notifyTranslators(sessionId, {
@@ -228,6 +247,7 @@ class MultiLanguageTranslationService {
           sequenceNumber: translation.sequenceNumber,
           timestamp: translation.timestamp,
           context: translation.context,
+          islamicContent: translation.islamicContent,
           translations: {}
         };
 
@@ -373,14 +393,20 @@ class MultiLanguageTranslationService {
   }
 
   // Enhanced translation with caching and religious context
-  async translateWithCache(sourceText, targetLanguage, contextType = 'religious', provider = 'google') {
+  async translateWithCache(sourceText, targetLanguage, contextType = 'religious', provider = 'google', mosqueId = null) {
     try {
+      // The cache is shared by all mosques, so text using a mosque's own glossary terms skips it
+      if (await GlossaryService.hasMosqueTerms(sourceText, mosqueId)) {
+        return this.translateWithProvider(sourceText, targetLanguage, provider, contextType, mosqueId);
+      }
+
       // Check cache first
+      const cacheContext = TranslationCache.toContextType(contextType);
       const cachedTranslation = await TranslationCache.findCachedTranslation(
         sourceText,
         'ar',
         targetLanguage,
-        contextType
+        cacheContext
       );
 
       if (cachedTranslation) {
@@ -396,17 +422,18 @@ class MultiLanguageTranslationService {
       }
 
       // No cache hit, translate with provider
-      const translation = await this.translateWithProvider(sourceText, targetLanguage, provider, contextType);
+      const translation = await this.translateWithProvider(sourceText, targetLanguage, provider, contextType, mosqueId);
 
-      // Cache the result
-      if (translation && translation.text) {
+      // Cache the result. Offline output is built from this cache (or a weaker local model),
+      // storing it would keep serving it after the cloud providers are back
+      if (translation && translation.text && translation.provider !== 'offline') {
         await TranslationCache.createCacheEntry(
           sourceText,
           'ar',
           targetLanguage,
           translation.text,
-          provider,
-          contextType,
+          translation.provider, // A fallback may have answered instead of the requested provider
+          cacheContext,
           {
             confidence: translation.confidence,
             quality: translation.quality || 5,
@@ -426,7 +453,7 @@ class MultiLanguageTranslationService {
   }
 
   // Translate with specific provider using dynamic translation manager
-  async translateWithProvider(sourceText, targetLanguage, provider, contextType) {
+  async translateWithProvider(sourceText, targetLanguage, provider, contextType, mosqueId = null) {
     try {
       console.log(`🔄 Translating with ${provider}: ${sourceText.substring(0, 50)}...`);
 
@@ -437,7 +464,8 @@ class MultiLanguageTranslationService {
         'ar', // Source language (Arabic)
         {
           provider: provider,
-          context: contextType || 'religious' // Default to religious context for mosque
+          context: contextType || 'religious', // Default to religious context for mosque
+          mosqueId // Selects the mosque's glossary on top of the global one
         }
       );
 
@@ -573,38 +601,26 @@ class MultiLanguageTranslationService {
   // Get language preferences for all session participants
   async getSessionParticipantLanguages(sessionId) {
     try {
-      // Get all users in the session (this would need to be implemented based on your session management)
-      // For now, return default German + English combination
-      const defaultLanguages = ['de', 'en']; // German as primary, English as common secondary
-
-      // TODO: Implement actual session participant lookup
-      // const participants = await this.getSessionParticipants(sessionId);
-      // const languages = new Set();
-      //
-      // for (const participant of participants) {
-      //   const userLangs = await UserLanguagePreferencesService.getTranslationLanguages(participant.userId);
-      //   userLangs.languages.forEach(lang => languages.add(lang));
-      // }
-
-      return defaultLanguages;
+      return SessionLanguageService.getTargetLanguages(sessionId);
     } catch (error) {
       console.error('Error getting session participant languages:', error);
-      return ['de', 'en']; // Fallback to German + English
+      return SessionLanguageService.normalizeList(config.translation.sessionDefaultLanguages);
     }
   }
 
   // Automatically translate to user preferred languages
-  async translateToUserPreferredLanguages(translationId, originalText, targetLanguages, context) {
+  async translateToUserPreferredLanguages(translationId, originalText, targetLanguages, context, options = {}) {
     try {
       console.log(`🌍 Auto-translating to user preferred languages: ${targetLanguages.join(', ')}`);
 
       const translationPromises = targetLanguages.map(async (language) => {
         try {
-          const result = await this.translateWithCache(
+          const result = await this.translateWithQuranSubstitution(
             originalText,
-            this.getLanguageName(language), // Convert code to name
+            language,
             context,
-            'google' // Use default provider
+            this.translationManager.defaultProvider,
+            options
           );
 
           if (result && result.text) {
@@ -635,6 +651,121 @@ class MultiLanguageTranslationService {
     }
   }
 
+  // Translate live text into several languages at once, returns { languageCode: text }
+  // options: { quranMatch, mosqueId }
+  async translateToMultipleLanguages(text, sourceLanguage = 'ar', targetLanguages = [], context = 'religious', options = {}) {
+    const translations = {};
+
+    await Promise.all(targetLanguages
+      .filter(language => language !== sourceLanguage)
+      .map(async (language) => {
+        try {
+          const result = await this.translateWithQuranSubstitution(
+            text,
+            language,
+            context,
+            this.translationManager.defaultProvider,
+            options
+          );
+
+          if (result && result.text && !result.error) {
+            translations[language] = result.text;
+          }
+        } catch (error) {
+          console.error(`❌ Live translation failed for ${language}:`, error.message);
+        }
+      }));
+
+    return translations;
+  }
+
+  // A final line of live speech as listeners get it in translation_update: translated into the languages they asked
+  // for, recited verses and narrations marked. The caller numbers it for backfill and broadcasts it
+  async translateLiveLine(sessionId, text, { sequence, mosqueId = null, targetLanguages } = {}) {
+    const quranMatch = QuranMatcherService.match(text);
+
+    const translations = await this.translateToMultipleLanguages(
+      text,
+      'ar', // Source language (Arabic)
+      targetLanguages || SessionLanguageService.getTargetLanguages(sessionId),
+      quranMatch.isQuranic ? 'quran' : 'sermon',
+      { quranMatch, mosqueId }
+    );
+
+    return {
+      sessionId,
+      originalText: text,
+      translations,
+      islamicContent: {
+        ...QuranMatcherService.toIslamicContent(quranMatch),
+        ...HadithDetectorService.toIslamicContent(HadithDetectorService.detect(text))
+      },
+      timestamp: new Date(),
+      sequence
+    };
+  }
+
+  // Translate text, replacing recited verses with the approved translation for the language.
+  // Speech around the verses still goes through machine translation.
+  async translateWithQuranSubstitution(text, languageCode, context, provider, options = {}) {
+    const { quranMatch, mosqueId = null } = options;
+
+    if (!quranMatch || !quranMatch.isQuranic) {
+      return this.translateWithCache(text, this.getLanguageName(languageCode), context, provider, mosqueId);
+    }
+
+    const parts = [];
+    let canonicalCount = 0;
+    let machineCount = 0;
+    let usedProvider = provider;
+    let confidence = 1;
+    const editions = [];
+
+    for (const segment of QuranMatcherService.splitByMatches(text, quranMatch)) {
+      const approved = segment.type === 'quran'
+        ? QuranMatcherService.getApprovedTranslation(languageCode, segment.match)
+        : null;
+
+      if (approved) {
+        parts.push(approved.text);
+        canonicalCount++;
+        if (!editions.includes(approved.edition.id)) {
+          editions.push(approved.edition.id);
+        }
+        continue;
+      }
+
+      const result = await this.translateWithCache(
+        segment.text,
+        this.getLanguageName(languageCode),
+        segment.type === 'quran' ? 'quran' : context,
+        provider,
+        mosqueId
+      );
+      if (!result || result.error) {
+        return result;
+      }
+
+      // Partial recitations are machine translated but still cite the verse
+      parts.push(segment.type === 'quran'
+        ? `${result.text} ${QuranMatcherService.formatReference(segment.match)}`
+        : result.text);
+      machineCount++;
+      usedProvider = result.provider;
+      confidence = Math.min(confidence, result.confidence || 0);
+    }
+
+    const translationMethod = canonicalCount === 0 ? 'automatic' : machineCount === 0 ? 'canonical' : 'hybrid';
+
+    return {
+      text: parts.join(' '),
+      confidence,
+      provider: canonicalCount > 0 && machineCount === 0 ? 'quran' : usedProvider,
+      translationMethod,
+      quranEditions: editions
+    };
+  }
+
   // Convert language code to language name
   getLanguageName(code) {
     const codeToName = {
@@ -670,7 +801,10 @@ class MultiLanguageTranslationService {
         confidence: translationResult.confidence,
         provider: translationResult.provider,
         timestamp: new Date(),
-        isAutoGenerated: true
+        isAutoGenerated: true,
+        translationMethod: translationResult.translationMethod || 'automatic',
+        // Stored verse translations come from an approved edition
+        isVerified: translationResult.translationMethod === 'canonical'
       };
 
       if (existingIndex >= 0) {
@@ -0,0 +1,200 @@
+// Podcast Service for Mosque Translation App
+// Publishes a mosque's public recordings as an RSS 2.0 feed with the iTunes and Podcasting 2.0 tags podcast apps read.
+// There is one feed per listener language: episode notes come from the sermon recap and every episode links its captions
+const config = require('../config/config');
+const AudioRecording = require('../models/AudioRecording');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const StorageService = require('./StorageService');
+const SermonSummaryService = require('./SermonSummaryService');
+
+const SESSION_TYPE_LABELS = {
+  sermon: 'Khutbah',
+  prayer: 'Prayer',
+  quran: 'Quran Recitation',
+  lecture: 'Lecture',
+  talk: 'Talk',
+  dua: 'Dua',
+  general: 'Session'
+};
+
+class PodcastService {
+  // Recordings the mosque has published; archived ones stay downloadable, so they stay in the feed
+  getPublicQuery(mosqueId) {
+    return {
+      mosqueId,
+      status: { $in: ['completed', 'archived'] },
+      $or: [{ isPublic: true }, { accessLevel: 'public' }]
+    };
+  }
+
+  // language is null for the mosque's main feed, which uses the server's default listener language
+  getFeedPath(mosqueId, language = null) {
+    return language
+      ? `/api/mosques/${mosqueId}/podcast/${language}.xml`
+      : `/api/mosques/${mosqueId}/podcast.xml`;
+  }
+
+  async toRss(mosqueId, { language = null, baseUrl }) {
+    const mosque = await User.findOne({ _id: mosqueId, userType: 'mosque' })
+      .select('mosqueName city country website briefHistory photos.logo');
+    if (!mosque) {
+      return null;
+    }
+
+    const recordings = await AudioRecording.find(this.getPublicQuery(mosqueId))
+      .select('recordingId sessionId fileName fileSizeBytes durationSeconds createdAt metadata processing.status processing.variants')
+      .sort({ createdAt: -1 })
+      .limit(config.podcast.maxEpisodes);
+
+    const sessionIds = [...new Set(recordings.map(recording => recording.sessionId))];
+    const sessions = await Session.find({ sessionId: { $in: sessionIds } }).select('sessionId summary');
+    const feedLanguage = language || config.translation.defaultUserLanguage;
+    const summaries = new Map(sessions.map(session => [
+      session.sessionId,
+      SermonSummaryService.formatSummary(session, feedLanguage)
+    ]));
+
+    return this.buildFeed({ mosque, recordings, summaries, language, baseUrl });
+  }
+
+  buildFeed({ mosque, recordings, summaries = new Map(), language = null, baseUrl }) {
+    const feedLanguage = language || config.translation.defaultUserLanguage;
+    const mosqueUrl = mosque.website || `${baseUrl}/api/mosques/${mosque._id}`;
+    const place = [mosque.city, mosque.country].filter(Boolean).join(', ');
+    const description = mosque.briefHistory || `Recordings from ${mosque.mosqueName}${place ? `, ${place}` : ''}`;
+    const logo = this.toAbsoluteUrl(mosque.photos && mosque.photos.logo, baseUrl);
+    const category = this.escapeXml(config.podcast.category);
+
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<rss version="2.0" xmlns:itunes="http://www.itunes.com/dtds/podcast-1.0.dtd" ' +
+        'xmlns:podcast="https://podcastindex.org/namespace/1.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+      '<channel>',
+      `  <title>${this.escapeXml(mosque.mosqueName)}</title>`,
+      `  <link>${this.escapeXml(mosqueUrl)}</link>`,
+      `  <language>${feedLanguage}</language>`,
+      `  <description>${this.escapeXml(description)}</description>`,
+      `  <atom:link href="${this.escapeXml(baseUrl + this.getFeedPath(mosque._id, language))}" rel="self" type="application/rss+xml"/>`,
+      `  <lastBuildDate>${new Date().toUTCString()}</lastBuildDate>`,
+      `  <itunes:author>${this.escapeXml(mosque.mosqueName)}</itunes:author>`,
+      `  <itunes:owner><itunes:name>${this.escapeXml(mosque.mosqueName)}</itunes:name></itunes:owner>`,
+      `  <itunes:category text="${category}"><itunes:category text="${this.escapeXml(config.podcast.subcategory)}"/></itunes:category>`,
+      '  <itunes:explicit>false</itunes:explicit>',
+      '  <itunes:type>episodic</itunes:type>'
+    ];
+
+    if (logo) {
+      lines.push(
+        `  <itunes:image href="${this.escapeXml(logo)}"/>`,
+        '  <image>',
+        `    <url>${this.escapeXml(logo)}</url>`,
+        `    <title>${this.escapeXml(mosque.mosqueName)}</title>`,
+        `    <link>${this.escapeXml(mosqueUrl)}</link>`,
+        '  </image>'
+      );
+    }
+
+    recordings.forEach(recording => {
+      lines.push(...this.buildEpisode(recording, {
+        mosque,
+        summary: summaries.get(recording.sessionId),
+        language: feedLanguage,
+        baseUrl
+      }));
+    });
+
+    lines.push('</channel>', '</rss>');
+    return lines.join('\n') + '\n';
+  }
+
+  buildEpisode(recording, { mosque, summary, language, baseUrl }) {
+    const metadata = recording.metadata || {};
+    const label = SESSION_TYPE_LABELS[metadata.sessionType] || SESSION_TYPE_LABELS.general;
+    const title = metadata.title || `${label}, ${recording.createdAt.toISOString().slice(0, 10)}`;
+    const enclosure = this.getEnclosure(recording, baseUrl);
+    const notes = this.getEpisodeNotes(recording, summary);
+
+    const lines = [
+      '  <item>',
+      `    <title>${this.escapeXml(title)}</title>`,
+      `    <guid isPermaLink="false">${this.escapeXml(recording.recordingId)}</guid>`,
+      `    <pubDate>${recording.createdAt.toUTCString()}</pubDate>`,
+      `    <enclosure url="${this.escapeXml(enclosure.url)}" length="${enclosure.length}" type="${enclosure.type}"/>`,
+      `    <itunes:duration>${enclosure.durationSeconds}</itunes:duration>`,
+      `    <itunes:author>${this.escapeXml(metadata.speaker || mosque.mosqueName)}</itunes:author>`,
+      '    <itunes:episodeType>full</itunes:episodeType>',
+      `    <category>${this.escapeXml(label)}</category>`
+    ];
+
+    if (notes) {
+      lines.push(`    <description>${this.escapeXml(notes)}</description>`);
+    }
+
+    // Captions in the feed's language, plus the original transcript for listeners following along in Arabic
+    const transcriptLanguages = [...new Set([language, metadata.language || 'ar'])];
+    transcriptLanguages.forEach(transcriptLanguage => {
+      const url = this.getTranscriptUrl(recording, transcriptLanguage, baseUrl);
+      lines.push(`    <podcast:transcript url="${this.escapeXml(url)}" type="text/vtt" language="${transcriptLanguage}" rel="captions"/>`);
+    });
+
+    lines.push('  </item>');
+    return lines;
+  }
+
+  // Podcast apps get the processed default variant when there is one, with its own size and duration
+  getEnclosure(recording, baseUrl) {
+    const audioUrl = `${baseUrl}/api/audio/recordings/${encodeURIComponent(recording.fileName)}`;
+    const variant = StorageService.getRecordingVariant(recording);
+
+    if (variant) {
+      return {
+        url: `${audioUrl}?variant=${variant.name}`,
+        length: variant.fileSizeBytes || 0,
+        type: StorageService.getContentType(variant.key),
+        durationSeconds: Math.round(variant.durationSeconds || recording.durationSeconds || 0)
+      };
+    }
+
+    return {
+      url: audioUrl,
+      length: recording.fileSizeBytes || 0,
+      type: StorageService.getContentType(recording.fileName),
+      durationSeconds: Math.round(recording.durationSeconds || 0)
+    };
+  }
+
+  getTranscriptUrl(recording, language, baseUrl) {
+    return `${baseUrl}/api/sessions/recordings/${encodeURIComponent(recording.sessionId)}/subtitles` +
+      `?lang=${language}&format=vtt&recordingId=${encodeURIComponent(recording.recordingId)}`;
+  }
+
+  // Sermon recap in the feed's language (falls back to the original), else what the mosque wrote itself
+  getEpisodeNotes(recording, summary) {
+    if (summary && summary.status === 'ready' && summary.topic) {
+      const keyPoints = (summary.keyPoints || []).map(point => `- ${point}`);
+      return [summary.topic, ...keyPoints].join('\n');
+    }
+    return (recording.metadata && recording.metadata.description) || null;
+  }
+
+  toAbsoluteUrl(url, baseUrl) {
+    if (!url) {
+      return null;
+    }
+    return /^https?:\/\//i.test(url) ? url : `${baseUrl}${url.startsWith('/') ? '' : '/'}${url}`;
+  }
+
+  // Characters XML 1.0 does not allow at all are dropped, markup characters escaped
+  escapeXml(text) {
+    return String(text)
+      .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+}
+
+module.exports = new PodcastService();
@@ -0,0 +1,240 @@
+// Quran Matcher Service for Mosque Translation App
+// Finds recited verses in final Arabic transcriptions so they can be tagged with
+// surah:ayah and translated with an approved edition instead of machine translation
+const path = require('path');
+const config = require('../config/config');
+const QuranCorpus = require('./quran/QuranCorpus');
+const { tokenize, alignWords } = require('./quran/arabicText');
+
+const MAX_MATCHES_PER_TEXT = 5;
+const MIN_MATCHED_WORDS = 3;
+const LONG_MATCH_WORDS = 6; // partial recitation of a long verse
+const MIN_DENSITY = 0.6;
+const NEIGHBOUR_COVERAGE = 0.8; // consecutive verses may be short, so judge them by coverage only
+
+class QuranMatcherService {
+  constructor() {
+    this.corpus = new QuranCorpus({
+      customTranslationsDir: path.resolve(__dirname, '..', config.quran.customTranslationsDir),
+      approvedLanguages: config.quran.approvedTranslations
+    });
+  }
+
+  isEnabled() {
+    return config.quran.enabled;
+  }
+
+  // Match a transcription against the corpus
+  // Returns { isQuranic, coverage, matches: [{ surah, ayah, reference, start, end, ... }] }
+  match(text) {
+    const result = { isQuranic: false, coverage: 0, matches: [] };
+
+    try {
+      if (!this.isEnabled() || !text || !text.trim()) {
+        return result;
+      }
+
+      const tokens = tokenize(text);
+      const skeletons = tokens.map(t => t.skeleton);
+      if (skeletons.filter(Boolean).length < MIN_MATCHED_WORDS) {
+        return result;
+      }
+
+      const used = new Array(tokens.length).fill(false);
+      const matches = [];
+
+      for (let round = 0; round < MAX_MATCHES_PER_TEXT; round++) {
+        const best = this.findBestMatch(skeletons, used);
+        if (!best) {
+          break;
+        }
+        matches.push(best);
+        this.markUsed(used, best);
+      }
+
+      // Verses recited back to back: pick up short neighbours the main pass skipped
+      for (let i = 0; i < matches.length && matches.length < MAX_MATCHES_PER_TEXT * 2; i++) {
+        [1, -1].forEach(direction => {
+          const neighbour = this.matchNeighbour(matches[i], direction, skeletons, used);
+          if (neighbour) {
+            matches.push(neighbour);
+            this.markUsed(used, neighbour);
+          }
+        });
+      }
+
+      matches.sort((a, b) => a.start - b.start);
+
+      const matchedTokens = used.filter(Boolean).length;
+      result.isQuranic = matches.length > 0;
+      result.coverage = Math.round((matchedTokens / tokens.length) * 100) / 100;
+      result.matches = matches;
+
+      if (result.isQuranic) {
+        console.log(`📖 Quran match: ${matches.map(m => m.reference).join(', ')} (coverage ${result.coverage})`);
+      }
+
+      return result;
+
+    } catch (error) {
+      console.error('❌ Quran matching failed:', error);
+      return result;
+    }
+  }
+
+  findBestMatch(skeletons, used) {
+    const available = skeletons.map((skeleton, i) => (used[i] ? '' : skeleton));
+    const candidates = this.corpus.findCandidates(available.filter(Boolean));
+
+    let best = null;
+    for (const verse of candidates) {
+      const alignment = alignWords(available, verse.skeletons, 0, available.length);
+      if (!alignment) {
+        continue;
+      }
+
+      const accepted = alignment.matched >= MIN_MATCHED_WORDS &&
+        alignment.density >= MIN_DENSITY &&
+        this.confidence(alignment, verse.skeletons.length) >= config.quran.minConfidence &&
+        (alignment.coverage >= config.quran.minSubstitutionCoverage || alignment.matched >= LONG_MATCH_WORDS);
+
+      if (accepted && (!best || this.score(alignment) > this.score(best.alignment))) {
+        best = { verse, alignment };
+      }
+    }
+
+    return best ? this.buildMatch(best.verse, this.absorbParticles(best.alignment, skeletons, used)) : null;
+  }
+
+  // Particles like "يا" reduce to an empty skeleton and never align; keep them with the verse they open
+  absorbParticles(alignment, skeletons, used) {
+    let start = alignment.start;
+    while (start > 0 && !used[start - 1] && !skeletons[start - 1]) {
+      start--;
+    }
+    return { ...alignment, start };
+  }
+
+  // Try the verse before/after an existing match on the words right next to it
+  matchNeighbour(match, direction, skeletons, used) {
+    const verse = this.corpus.getVerse(match.surah, match.ayah + direction);
+    if (!verse) {
+      return null;
+    }
+
+    const windowSize = verse.skeletons.length + 3;
+    const from = direction > 0 ? match.end + 1 : Math.max(0, match.start - windowSize);
+    const to = direction > 0 ? Math.min(skeletons.length, match.end + 1 + windowSize) : match.start;
+    if (from >= to) {
+      return null;
+    }
+
+    const available = skeletons.map((skeleton, i) => (used[i] ? '' : skeleton));
+    const alignment = alignWords(available, verse.skeletons, from, to);
+
+    if (!alignment || alignment.coverage < NEIGHBOUR_COVERAGE || alignment.density < MIN_DENSITY) {
+      return null;
+    }
+
+    return this.buildMatch(verse, alignment);
+  }
+
+  // Dense alignments over enough of the verse (or enough words of a long verse) score highest
+  confidence(alignment, verseLength) {
+    const expected = Math.min(verseLength, LONG_MATCH_WORDS);
+    return Math.round(alignment.density * Math.min(1, alignment.matched / expected) * 100) / 100;
+  }
+
+  score(alignment) {
+    return alignment.matched * alignment.density + alignment.coverage;
+  }
+
+  buildMatch(verse, alignment) {
+    const surah = this.corpus.getSurah(verse.surah);
+    return {
+      surah: verse.surah,
+      ayah: verse.ayah,
+      reference: `${verse.surah}:${verse.ayah}`,
+      surahName: surah?.transliteration,
+      arabicText: verse.text,
+      start: alignment.start,
+      end: alignment.end,
+      matchedWords: alignment.matched,
+      coverage: alignment.coverage,
+      confidence: this.confidence(alignment, verse.skeletons.length),
+      isComplete: alignment.coverage >= config.quran.minSubstitutionCoverage
+    };
+  }
+
+  markUsed(used, match) {
+    for (let i = match.start; i <= match.end; i++) {
+      used[i] = true;
+    }
+  }
+
+  // Split the original text into plain and recited parts, in speaking order
+  splitByMatches(text, matchResult) {
+    const tokens = tokenize(text).map(t => t.token);
+    const segments = [];
+    let cursor = 0;
+
+    (matchResult?.matches || []).forEach(match => {
+      if (match.start > cursor) {
+        segments.push({ type: 'text', text: tokens.slice(cursor, match.start).join(' ') });
+      }
+      segments.push({ type: 'quran', text: tokens.slice(match.start, match.end + 1).join(' '), match });
+      cursor = match.end + 1;
+    });
+
+    if (cursor < tokens.length) {
+      segments.push({ type: 'text', text: tokens.slice(cursor).join(' ') });
+    }
+
+    return segments;
+  }
+
+  // Approved translation of a matched verse with its reference, or null
+  getApprovedTranslation(language, match) {
+    if (!match.isComplete) {
+      return null;
+    }
+
+    const translation = this.corpus.getTranslation(language, match.surah, match.ayah);
+    if (!translation) {
+      return null;
+    }
+
+    return {
+      text: `${translation.text} ${this.formatReference(match)}`,
+      edition: translation.edition
+    };
+  }
+
+  formatReference(match) {
+    return `(${match.surahName ? `${match.surahName} ` : ''}${match.reference})`;
+  }
+
+  // Fields for Translation.islamicContent / VoiceTranscription.islamicContent
+  toIslamicContent(matchResult) {
+    if (!matchResult || !matchResult.isQuranic) {
+      return { isQuranic: false };
+    }
+
+    const [first] = matchResult.matches;
+    const last = matchResult.matches[matchResult.matches.length - 1];
+    const consecutive = matchResult.matches.every((m, i) =>
+      m.surah === first.surah && m.ayah === first.ayah + i
+    );
+
+    return {
+      isQuranic: true,
+      surahNumber: first.surah,
+      ayahNumber: first.ayah,
+      ayahEndNumber: consecutive && last !== first ? last.ayah : undefined,
+      quranReferences: matchResult.matches.map(m => m.reference),
+      quranMatchConfidence: Math.max(...matchResult.matches.map(m => m.confidence))
+    };
+  }
+}
+
+module.exports = new QuranMatcherService();
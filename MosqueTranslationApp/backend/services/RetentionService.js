@@ -0,0 +1,296 @@
+// Retention Service for Mosque Translation App
+// Runs the retention policies in the background: completed recordings past their mosque's retention move to
+// the archive storage area, recordings past the mosque's delete age are removed, and expired translation
+// cache entries are dropped. Protected recordings and cache entries are never touched.
+// Each run is saved as a RetentionRun report for GET /api/admin/retention.
+// Every server instance also ages out its own leftover text-to-speech segments on each slot
+const config = require('../config/config');
+const AudioRecording = require('../models/AudioRecording');
+const RetentionRun = require('../models/RetentionRun');
+const TranslationCache = require('../models/TranslationCache');
+const User = require('../models/User');
+const AudioStorageService = require('./AudioStorageService');
+const StorageService = require('./StorageService');
+const TextToSpeechService = require('./TextToSpeechService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A claim older than this belongs to a server that stopped halfway through a move
+const ARCHIVE_CLAIM_TIMEOUT_MS = 60 * 60 * 1000;
+
+// How often the scheduler looks for a new slot; runs themselves happen once per RETENTION_INTERVAL_MS
+const MAX_CHECK_INTERVAL_MS = 10 * 60 * 1000;
+
+class RetentionService {
+  constructor() {
+    this.timer = null;
+    this.lastSlot = null;
+    this.isRunning = false;
+  }
+
+  isEnabled() {
+    return config.retention.enabled;
+  }
+
+  // A mosque's own retention settings, falling back to the server defaults
+  getPolicy(mosque) {
+    const own = (mosque && mosque.recordingRetention) || {};
+    return {
+      archiveAfterDays: own.archiveAfterDays || config.retention.archiveAfterDays,
+      deleteAfterDays: own.deleteAfterDays ?? config.retention.deleteAfterDays
+    };
+  }
+
+  // Completed recordings without their own expiry date are archived once older than the mosque's archive age
+  getArchiveQuery(mosqueId, policy, now = new Date()) {
+    return {
+      mosqueId,
+      status: 'completed',
+      isArchived: false,
+      'retention.isProtected': { $ne: true },
+      'retention.expiresAt': null,
+      createdAt: { $lt: new Date(now.getTime() - policy.archiveAfterDays * DAY_MS) }
+    };
+  }
+
+  // Scheduled runs are numbered by interval so every server instance agrees which run is due
+  getSlot(time = Date.now()) {
+    return Math.floor(time / config.retention.intervalMs);
+  }
+
+  getNextRunAt() {
+    if (!this.isEnabled()) {
+      return null;
+    }
+    return new Date((this.getSlot() + 1) * config.retention.intervalMs);
+  }
+
+  startScheduler() {
+    if (!this.isEnabled() || this.timer) {
+      return;
+    }
+
+    // A server started mid-interval still runs the current slot unless another instance already has
+    const check = async () => {
+      const slot = this.getSlot();
+      if (slot === this.lastSlot) {
+        return;
+      }
+      this.lastSlot = slot;
+
+      await this.deleteOldSpeechSegments();
+
+      try {
+        await this.run({ slot });
+      } catch (error) {
+        console.error('❌ Scheduled retention run failed:', error.message);
+      }
+    };
+
+    this.timer = setInterval(check, Math.min(config.retention.intervalMs, MAX_CHECK_INTERVAL_MS));
+    console.log(`✅ Retention scheduler started (every ${Math.round(config.retention.intervalMs / 60000)} min)`);
+  }
+
+  stopScheduler() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async run({ slot, triggeredBy } = {}) {
+    if (this.isRunning) {
+      return { success: false, status: 409, error: 'A retention run is already in progress' };
+    }
+
+    this.isRunning = true;
+
+    let report;
+    try {
+      report = await RetentionRun.create({
+        slot,
+        trigger: slot === undefined ? 'manual' : 'scheduled',
+        triggeredBy
+      });
+    } catch (error) {
+      this.isRunning = false;
+      if (error.code === 11000) {
+        return { success: false, status: 409, error: 'Another server is running this retention slot' };
+      }
+      throw error;
+    }
+
+    console.log(`🗄️ Retention run started (${report.trigger})`);
+
+    try {
+      await this.archiveExpiredRecordings(report);
+      await this.applyMosquePolicies(report);
+      report.translationCacheDeleted = await this.deleteExpiredCacheEntries();
+      report.status = 'completed';
+    } catch (error) {
+      console.error('❌ Retention run failed:', error);
+      report.status = 'failed';
+      report.errorMessages.push(error.message);
+    } finally {
+      this.isRunning = false;
+    }
+
+    report.finishedAt = new Date();
+    report.durationMs = report.finishedAt - report.startedAt;
+    await report.save();
+
+    const { archived, deleted, failed } = report.recordings;
+    console.log(`✅ Retention run finished: ${archived} archived, ${deleted} deleted, ${failed} failed, ` +
+      `${report.translationCacheDeleted} cache entries expired`);
+
+    return { success: true, run: report };
+  }
+
+  // Recordings given their own expiry date (AudioRecording.setRetention)
+  async archiveExpiredRecordings(report) {
+    const recordings = await AudioRecording.getExpiredRecordings()
+      .where({ status: 'completed' })
+      .limit(config.retention.batchSize);
+
+    await this.archiveRecordings(recordings, report);
+  }
+
+  // Each mosque's archive and delete ages
+  async applyMosquePolicies(report) {
+    const mosqueIds = await AudioRecording.distinct('mosqueId');
+    const mosques = await User.find({ _id: { $in: mosqueIds } }).select('recordingRetention');
+    const mosqueById = new Map(mosques.map(mosque => [mosque._id.toString(), mosque]));
+
+    for (const mosqueId of mosqueIds) {
+      const policy = this.getPolicy(mosqueById.get(mosqueId.toString()));
+
+      try {
+        const recordings = await AudioRecording.find(this.getArchiveQuery(mosqueId, policy))
+          .limit(config.retention.batchSize);
+        await this.archiveRecordings(recordings, report);
+
+        if (policy.deleteAfterDays > 0) {
+          report.recordings.deleted += await AudioStorageService.cleanupOldRecordings(
+            mosqueId, policy.deleteAfterDays, { limit: config.retention.batchSize }
+          );
+        }
+      } catch (error) {
+        console.error(`❌ Retention failed for mosque ${mosqueId}:`, error.message);
+        report.errorMessages.push(`Mosque ${mosqueId}: ${error.message}`);
+      }
+
+      report.mosquesChecked++;
+    }
+  }
+
+  async archiveRecordings(recordings, report) {
+    for (const recording of recordings) {
+      try {
+        const moved = await this.archiveRecording(recording);
+        if (moved) {
+          report.recordings.archived++;
+          report.recordings.archivedBytes += moved.size;
+        }
+      } catch (error) {
+        console.warn('⚠️ Could not archive recording:', recording.recordingId, error.message);
+        report.recordings.failed++;
+        report.errorMessages.push(`Recording ${recording.recordingId}: ${error.message}`);
+      }
+    }
+  }
+
+  // Move one recording's file into the archive area; null when another run already has it
+  async archiveRecording(recording) {
+    const claimed = await AudioRecording.findOneAndUpdate(
+      {
+        _id: recording._id,
+        isArchived: false,
+        'processing.status': { $ne: 'processing' },
+        $or: [
+          { 'retention.archivingAt': null },
+          { 'retention.archivingAt': { $lt: new Date(Date.now() - ARCHIVE_CLAIM_TIMEOUT_MS) } }
+        ]
+      },
+      { $set: { 'retention.archivingAt': new Date() } },
+      { new: true }
+    );
+    if (!claimed) {
+      return null;
+    }
+
+    try {
+      const { key, provider } = StorageService.getRecordingLocation(claimed);
+      const moved = await StorageService.move('recordings', key, 'archive', { provider });
+
+      // Processed copies follow the original; one that cannot be moved is dropped and the original served instead
+      const variants = [];
+      for (const variant of claimed.processing.variants || []) {
+        try {
+          await StorageService.move('recordings', variant.key, 'archive', { provider: variant.provider || provider });
+          variants.push(variant);
+        } catch (error) {
+          console.warn(`⚠️ Could not archive ${variant.key}:`, error.message);
+        }
+      }
+      claimed.processing.variants = variants;
+
+      // The key is kept so the file is found in the archive area from now on
+      claimed.storage.key = key;
+      claimed.storage.storageClass = moved.storageClass;
+      claimed.retention.archivingAt = undefined;
+      if (moved.url) {
+        claimed.fileUrl = moved.url;
+      } else {
+        claimed.filePath = StorageService.local.resolve('archive', key);
+      }
+      await claimed.archive(moved.url || claimed.filePath);
+
+      return moved;
+    } catch (error) {
+      await AudioRecording.updateOne({ _id: claimed._id }, { $unset: { 'retention.archivingAt': 1 } });
+      throw error;
+    }
+  }
+
+  // Segments are written to this server's disk, so this is not part of the run claimed by one instance
+  async deleteOldSpeechSegments() {
+    try {
+      const removed = await TextToSpeechService.deleteOldSegments();
+      if (removed > 0) {
+        console.log(`🗑️ Removed speech segments of ${removed} old sessions`);
+      }
+      return removed;
+    } catch (error) {
+      console.error('❌ Failed to remove old speech segments:', error.message);
+      return 0;
+    }
+  }
+
+  async deleteExpiredCacheEntries() {
+    const result = await TranslationCache.deleteMany(TranslationCache.getExpiredEntries().getFilter());
+    return result.deletedCount;
+  }
+
+  // Settings and recent runs for the admin endpoint
+  async getReport(limit = 20) {
+    const runs = await RetentionRun.find().sort({ startedAt: -1 }).limit(limit).lean();
+
+    return {
+      enabled: this.isEnabled(),
+      isRunning: this.isRunning,
+      intervalMs: config.retention.intervalMs,
+      nextRunAt: this.getNextRunAt(),
+      defaults: {
+        archiveAfterDays: config.retention.archiveAfterDays,
+        deleteAfterDays: config.retention.deleteAfterDays
+      },
+      storage: {
+        driver: StorageService.driver.name,
+        archiveStorageClass: config.storage.archiveStorageClass || null
+      },
+      runs
+    };
+  }
+}
+
+module.exports = new RetentionService();
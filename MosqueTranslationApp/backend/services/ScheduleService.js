@@ -0,0 +1,348 @@
+// Schedule Service for Mosque Translation App
+// Announced broadcasts: one-off sessions and weekly Jumu'ah khutbahs that follow the mosque's Dhuhr time.
+// Expands them into dated occurrences, links live sessions to their slot, and publishes an iCalendar feed
+const config = require('../config/config');
+const ScheduledBroadcast = require('../models/ScheduledBroadcast');
+const User = require('../models/User');
+const { dhuhrTime } = require('./schedule/solarTime');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+const FRIDAY = 5;
+const SESSION_TYPES = {
+  prayer: 'daily_prayer',
+  quran: 'quran_recitation',
+  lecture: 'lecture',
+  talk: 'lecture',
+  sermon: 'lecture'
+};
+
+class ScheduleService {
+  constructor() {
+    this.timer = null;
+  }
+
+  isEnabled() {
+    return config.schedule.enabled;
+  }
+
+  async createSchedule(mosqueId, data) {
+    const schedule = new ScheduledBroadcast({
+      ...this.pickFields(data),
+      mosqueId,
+      reminderMinutes: data.reminderMinutes ?? config.schedule.defaultReminderMinutes
+    });
+    await schedule.save();
+    return schedule;
+  }
+
+  async updateSchedule(mosqueId, scheduleId, data) {
+    return ScheduledBroadcast.findOneAndUpdate(
+      { _id: scheduleId, mosqueId },
+      { $set: this.pickFields(data) },
+      { new: true, runValidators: true }
+    );
+  }
+
+  async cancelSchedule(mosqueId, scheduleId) {
+    return ScheduledBroadcast.findOneAndUpdate(
+      { _id: scheduleId, mosqueId },
+      { $set: { status: 'cancelled' } },
+      { new: true }
+    );
+  }
+
+  pickFields(data) {
+    const fields = [
+      'title', 'description', 'recordingType', 'languages', 'recurrence', 'startsAt',
+      'dhuhrOffsetMinutes', 'durationMinutes', 'reminderMinutes', 'autoStart'
+    ];
+    return fields.reduce((picked, field) => {
+      if (data[field] !== undefined) {
+        picked[field] = data[field];
+      }
+      return picked;
+    }, {});
+  }
+
+  async getSchedules(mosqueId) {
+    return ScheduledBroadcast.find({ mosqueId, status: { $ne: 'cancelled' } }).sort({ recurrence: -1, startsAt: 1 });
+  }
+
+  // Dated occurrences of the given mosques' schedules between from and to, soonest first
+  async getUpcoming(mosqueIds, options = {}) {
+    const from = options.from || new Date();
+    const to = options.to || new Date(from.getTime() + 14 * DAY_MS);
+
+    const [schedules, mosques] = await Promise.all([
+      ScheduledBroadcast.find({
+        mosqueId: { $in: mosqueIds },
+        status: { $in: ['scheduled', 'live'] },
+        $or: [
+          { recurrence: 'jumuah' },
+          { startsAt: { $lte: to } }
+        ]
+      }),
+      User.find({ _id: { $in: mosqueIds }, userType: 'mosque' }).select('mosqueName mosqueAddress location')
+    ]);
+
+    const mosquesById = new Map(mosques.map(mosque => [mosque._id.toString(), mosque]));
+    const occurrences = [];
+
+    schedules.forEach(schedule => {
+      const mosque = mosquesById.get(schedule.mosqueId.toString());
+      if (mosque) {
+        occurrences.push(...this.expand(schedule, mosque, from, to));
+      }
+    });
+
+    occurrences.sort((a, b) => a.startsAt - b.startsAt);
+    return options.limit ? occurrences.slice(0, options.limit) : occurrences;
+  }
+
+  // One occurrence for a one-off broadcast, one per Friday for a Jumu'ah schedule.
+  // Occurrences already under way (started but not finished) are included.
+  expand(schedule, mosque, from, to) {
+    const duration = schedule.durationMinutes * MINUTE_MS;
+
+    if (schedule.recurrence !== 'jumuah') {
+      const end = new Date(schedule.startsAt.getTime() + duration);
+      return end > from && schedule.startsAt <= to ? [this.toOccurrence(schedule, mosque, schedule.startsAt)] : [];
+    }
+
+    const longitude = mosque.location?.coordinates?.[0];
+    if (typeof longitude !== 'number') {
+      return [];
+    }
+
+    const occurrences = [];
+    // Solar noon at this longitude falls on the same calendar day locally, so UTC days can be walked
+    const day = new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), from.getUTCDate()) - DAY_MS);
+    for (; day <= to; day.setTime(day.getTime() + DAY_MS)) {
+      if (day.getUTCDay() !== FRIDAY) {
+        continue;
+      }
+      const startsAt = new Date(dhuhrTime(day, longitude).getTime() + schedule.dhuhrOffsetMinutes * MINUTE_MS);
+      if (startsAt.getTime() + duration > from.getTime() && startsAt <= to) {
+        occurrences.push(this.toOccurrence(schedule, mosque, startsAt));
+      }
+    }
+    return occurrences;
+  }
+
+  toOccurrence(schedule, mosque, startsAt) {
+    return {
+      id: `${schedule._id}_${startsAt.getTime()}`,
+      scheduleId: schedule._id.toString(),
+      mosqueId: schedule.mosqueId.toString(),
+      mosqueName: mosque.mosqueName,
+      mosqueAddress: mosque.mosqueAddress,
+      title: schedule.title,
+      description: schedule.description || null,
+      recordingType: schedule.recordingType,
+      languages: schedule.languages || [],
+      recurrence: schedule.recurrence,
+      startsAt,
+      endsAt: new Date(startsAt.getTime() + schedule.durationMinutes * MINUTE_MS),
+      reminderMinutes: schedule.reminderMinutes,
+      autoStart: schedule.autoStart,
+      isLive: schedule.status === 'live'
+    };
+  }
+
+  // A broadcast that starts near a scheduled slot takes over its title, type and languages
+  async attachSession(mosqueId, sessionId) {
+    const window = config.schedule.linkWindowMinutes * MINUTE_MS;
+    const now = new Date();
+    const [occurrence] = (await this.getUpcoming([mosqueId], {
+      from: new Date(now.getTime() - window),
+      to: new Date(now.getTime() + window)
+    })).filter(o => Math.abs(o.startsAt - now) <= window || (o.startsAt <= now && o.endsAt >= now));
+
+    if (!occurrence) {
+      return null;
+    }
+
+    await ScheduledBroadcast.updateOne(
+      { _id: occurrence.scheduleId },
+      { $set: { status: 'live', lastSessionId: sessionId, lastStartedAt: now } }
+    );
+
+    const Session = require('../models/Session');
+    const MultiLanguageTranslationService = require('./MultiLanguageTranslationService');
+    await Session.updateOne(
+      { sessionId },
+      {
+        $set: {
+          title: occurrence.title,
+          sessionType: this.toSessionType(occurrence),
+          ...(occurrence.languages.length > 0 && {
+            targetLanguages: occurrence.languages.map(code => MultiLanguageTranslationService.getLanguageName(code))
+          })
+        }
+      }
+    );
+
+    console.log(`📅 Session ${sessionId} linked to scheduled broadcast "${occurrence.title}"`);
+    return occurrence;
+  }
+
+  // Session.sessionType has its own, coarser set of values
+  toSessionType(occurrence) {
+    if (occurrence.recurrence === 'jumuah') {
+      return 'friday_prayer';
+    }
+    return SESSION_TYPES[occurrence.recordingType] || 'general';
+  }
+
+  // One-off broadcasts are done once their session ends, Jumu'ah schedules wait for next Friday
+  async detachSession(sessionId) {
+    const schedule = await ScheduledBroadcast.findOne({ lastSessionId: sessionId, status: 'live' });
+    if (!schedule) {
+      return;
+    }
+    schedule.status = schedule.recurrence === 'jumuah' ? 'scheduled' : 'completed';
+    await schedule.save();
+  }
+
+  // Tell broadcasting devices when a slot begins (onDue receives each occurrence once)
+  startScheduler(onDue) {
+    if (!this.isEnabled() || this.timer) {
+      return;
+    }
+
+    const check = async () => {
+      try {
+        await this.notifyDue(onDue);
+      } catch (error) {
+        console.error('❌ Scheduled broadcast check failed:', error.message);
+      }
+    };
+
+    this.timer = setInterval(check, config.schedule.checkIntervalMs);
+    console.log('✅ Broadcast scheduler started');
+  }
+
+  stopScheduler() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async notifyDue(onDue) {
+    const now = Date.now();
+    const interval = config.schedule.checkIntervalMs;
+    const mosqueIds = await ScheduledBroadcast.find({ status: 'scheduled' }).distinct('mosqueId');
+    if (mosqueIds.length === 0) {
+      return;
+    }
+
+    // Slots starting before the next check; ones already running for longer were announced earlier
+    const due = (await this.getUpcoming(mosqueIds, {
+      from: new Date(now),
+      to: new Date(now + interval)
+    })).filter(occurrence => occurrence.startsAt.getTime() > now - interval);
+
+    for (const occurrence of due) {
+      // Claimed atomically so only one server instance announces the slot
+      const claimed = await ScheduledBroadcast.findOneAndUpdate(
+        { _id: occurrence.scheduleId, status: 'scheduled', dueNotifiedFor: { $ne: occurrence.startsAt } },
+        { $set: { dueNotifiedFor: occurrence.startsAt } }
+      );
+      if (claimed) {
+        console.log(`📅 Scheduled broadcast due: "${occurrence.title}" at ${occurrence.mosqueName}`);
+        onDue(occurrence);
+      }
+    }
+  }
+
+  // iCalendar (RFC 5545) feed of the next weeks; Jumu'ah times move with Dhuhr so each Friday is its own event
+  async toICalendar(mosqueId) {
+    const mosque = await User.findOne({ _id: mosqueId, userType: 'mosque' }).select('mosqueName mosqueAddress');
+    if (!mosque) {
+      return null;
+    }
+
+    const from = new Date();
+    const occurrences = await this.getUpcoming([mosqueId], {
+      from,
+      to: new Date(from.getTime() + config.schedule.feedWeeks * 7 * DAY_MS)
+    });
+    const stamp = this.formatICalDate(from);
+
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//Mosque Translation App//Broadcast Schedule//EN',
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      `X-WR-CALNAME:${this.escapeICal(`${mosque.mosqueName} broadcasts`)}`
+    ];
+
+    occurrences.forEach(occurrence => {
+      const description = [
+        occurrence.description,
+        occurrence.languages.length > 0 ? `Live translation: ${occurrence.languages.join(', ')}` : null
+      ].filter(Boolean).join('\n');
+
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:${occurrence.id}@mosque-translation-app`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART:${this.formatICalDate(occurrence.startsAt)}`,
+        `DTEND:${this.formatICalDate(occurrence.endsAt)}`,
+        `SUMMARY:${this.escapeICal(occurrence.title)}`,
+        `LOCATION:${this.escapeICal(`${mosque.mosqueName}, ${mosque.mosqueAddress || ''}`.replace(/, $/, ''))}`,
+        `CATEGORIES:${occurrence.recordingType.toUpperCase()}`
+      );
+      if (description) {
+        lines.push(`DESCRIPTION:${this.escapeICal(description)}`);
+      }
+      if (occurrence.reminderMinutes > 0) {
+        lines.push(
+          'BEGIN:VALARM',
+          'ACTION:DISPLAY',
+          `DESCRIPTION:${this.escapeICal(occurrence.title)}`,
+          `TRIGGER:-PT${occurrence.reminderMinutes}M`,
+          'END:VALARM'
+        );
+      }
+      lines.push('END:VEVENT');
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(line => this.foldICalLine(line)).join('\r\n') + '\r\n';
+  }
+
+  formatICalDate(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+
+  escapeICal(text) {
+    return String(text)
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  // Lines longer than 75 octets continue on the next line after a single space
+  foldICalLine(line) {
+    const parts = [];
+    let current = '';
+    for (const char of line) {
+      const limit = parts.length === 0 ? 75 : 74;
+      if (Buffer.byteLength(current + char) > limit) {
+        parts.push(current);
+        current = char;
+      } else {
+        current += char;
+      }
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+  }
+}
+
+module.exports = new ScheduleService();
@@ -0,0 +1,420 @@
+// Sermon Summary Service for Mosque Translation App
+// Builds a recap of a finished khutbah from its final transcriptions: the main topic,
+// the key points and the Quran verses / hadiths cited, translated into every listener language
+const OpenAI = require('openai');
+const config = require('../config/config');
+const Session = require('../models/Session');
+const Translation = require('../models/Translation');
+const VoiceTranscription = require('../models/VoiceTranscription');
+const MultiLanguageTranslationService = require('./MultiLanguageTranslationService');
+const UserLanguagePreferencesService = require('./UserLanguagePreferencesService');
+const QuranMatcherService = require('./QuranMatcherService');
+const { normalizeArabic } = require('./quran/arabicText');
+
+const SENTENCE_BOUNDARY = /[.!?؟؛\n]+/;
+// Attached conjunctions/prepositions and the article, so والصبر and بالصبر count as الصبر
+const CONJUNCTIONS = ['و', 'ف'];
+const PREFIXES = ['وال', 'فال', 'بال', 'كال', 'لل', 'ال', 'و', 'ف', 'ب', 'ل', 'ك'];
+const MAX_SENTENCE_WORDS = 30;
+const MIN_SENTENCE_WORDS = 5;
+// Another end event arriving while a summary is still being built is ignored for this long
+const GENERATION_TIMEOUT_MS = 10 * 60 * 1000;
+
+// Function words and khutbah formulas that say nothing about the topic (normalized spelling)
+const STOPWORDS = new Set([
+  'من', 'في', 'علي', 'الي', 'عن', 'ان', 'انه', 'انها', 'ما', 'لا', 'لم', 'لن', 'قد', 'لقد', 'ثم', 'او', 'ام',
+  'و', 'ف', 'ب', 'ل', 'ك', 'مع', 'كل', 'بعض', 'عند', 'اذا', 'اذ', 'حتي', 'اي', 'بل', 'لكن', 'هل', 'كما',
+  'هذا', 'هذه', 'ذلك', 'تلك', 'هولاء', 'الذي', 'التي', 'الذين', 'هو', 'هي', 'هم', 'هما', 'نحن', 'انت', 'انتم', 'انا',
+  'كان', 'كانت', 'كانوا', 'يكون', 'تكون', 'ليس', 'غير', 'بين', 'فيه', 'فيها', 'منه', 'منها', 'عليه', 'عليها', 'له', 'لها', 'لهم', 'به', 'بها',
+  'قال', 'يقول', 'قالوا', 'يا', 'ايها', 'اللهم', 'الله', 'تعالي', 'سبحانه', 'وتعالي', 'عز', 'وجل',
+  'الحمد', 'لله', 'صلي', 'وسلم', 'رسول', 'النبي', 'اخوه', 'الاخوه', 'اخواني', 'عباد', 'المسلمون', 'المومنون',
+  'اما', 'بعد', 'وبعد', 'ايضا', 'جدا', 'اليوم', 'الان'
+]);
+
+class SermonSummaryService {
+  constructor() {
+    this.openai = null;
+  }
+
+  isEnabled() {
+    return config.summary.enabled;
+  }
+
+  // Build, translate and store the recap of a session. Safe to call from both
+  // end_session and stop_broadcast: only one generation runs at a time, and a finished
+  // summary is kept unless regenerate is set.
+  // options: { participantUserIds, regenerate } - listeners whose preferred languages get a translation
+  async generateForSession(sessionId, options = {}) {
+    if (!this.isEnabled()) {
+      return { success: false, error: 'Session summaries are disabled' };
+    }
+
+    const skipped = options.regenerate ? ['generating'] : ['generating', 'ready', 'empty'];
+    const claimed = await Session.findOneAndUpdate(
+      {
+        sessionId,
+        $or: [
+          { 'summary.status': { $nin: skipped } },
+          { 'summary.status': 'generating', 'summary.requestedAt': { $lt: new Date(Date.now() - GENERATION_TIMEOUT_MS) } }
+        ]
+      },
+      { $set: { 'summary.status': 'generating', 'summary.requestedAt': new Date() } },
+      { new: true }
+    );
+
+    if (!claimed) {
+      return { success: false, error: 'Session not found, summary already built or being generated' };
+    }
+
+    try {
+      console.log(`📝 Building sermon summary for session ${sessionId}...`);
+
+      const transcriptions = await VoiceTranscription.find({ sessionId, isFinal: true })
+        .sort({ sequenceNumber: 1, createdAt: 1 });
+
+      if (transcriptions.length === 0) {
+        return this.saveSummary(sessionId, { status: 'empty', transcriptionCount: 0 });
+      }
+
+      const recap = await this.summarize(transcriptions);
+      const languages = await this.getSummaryLanguages(claimed, options.participantUserIds || []);
+      const translations = await this.translateRecap(recap, languages, claimed.mosqueId);
+
+      const result = await this.saveSummary(sessionId, {
+        status: 'ready',
+        method: recap.method,
+        sourceLanguage: 'ar',
+        topic: recap.topic,
+        keyPoints: recap.keyPoints,
+        citations: this.collectCitations(transcriptions),
+        translations,
+        transcriptionCount: transcriptions.length,
+        generatedAt: new Date()
+      });
+
+      console.log(`✅ Sermon summary ready for session ${sessionId} (${recap.method}, ${translations.length} languages)`);
+      return result;
+
+    } catch (error) {
+      console.error(`❌ Failed to build sermon summary for session ${sessionId}:`, error);
+      await this.saveSummary(sessionId, { status: 'failed', error: error.message });
+      return { success: false, error: error.message };
+    }
+  }
+
+  async saveSummary(sessionId, summary) {
+    const session = await Session.findOneAndUpdate(
+      { sessionId },
+      { $set: { summary: { ...summary, requestedAt: new Date() } } },
+      { new: true }
+    );
+    return { success: summary.status === 'ready', summary: session ? session.summary : summary };
+  }
+
+  // Topic and key points in Arabic
+  async summarize(transcriptions) {
+    // Recited verses are listed as citations, the key points come from the speaker's own words
+    const speech = transcriptions.filter(t => !t.islamicContent?.isQuranic);
+    const source = speech.length > 0 ? speech : transcriptions;
+    const text = source.map(t => t.originalText.trim()).join('\n');
+
+    if (this.shouldUseOpenAI()) {
+      try {
+        return await this.summarizeWithOpenAI(text);
+      } catch (error) {
+        console.warn('⚠️ OpenAI summary failed, using extractive summary:', error.message);
+      }
+    }
+
+    return this.summarizeExtractive(text);
+  }
+
+  shouldUseOpenAI() {
+    const { method } = config.summary;
+    return method === 'openai' || (method === 'auto' && Boolean(config.openai.apiKey));
+  }
+
+  async summarizeWithOpenAI(text) {
+    if (!this.openai) {
+      this.openai = new OpenAI({ apiKey: config.openai.apiKey });
+    }
+
+    const response = await this.openai.chat.completions.create({
+      model: config.openai.model,
+      messages: [
+        {
+          role: 'system',
+          content: 'You summarize Islamic sermons (khutbah) faithfully. Never add content that was not said.'
+        },
+        {
+          role: 'user',
+          content: `Summarize this Arabic khutbah transcript. Reply with JSON only: ` +
+            `{"topic": "<main topic, one short Arabic sentence>", "keyPoints": ["<up to ${config.summary.maxKeyPoints} key points, one Arabic sentence each>"]}\n\n` +
+            this.sampleTranscript(text)
+        }
+      ],
+      temperature: 0.2,
+      max_tokens: 800
+    });
+
+    const content = response.choices?.[0]?.message?.content || '';
+    const json = content.replace(/^```(?:json)?\s*|\s*```$/g, '');
+    const parsed = JSON.parse(json);
+
+    if (!parsed.topic || !Array.isArray(parsed.keyPoints) || parsed.keyPoints.length === 0) {
+      throw new Error('Summary response missing topic or key points');
+    }
+
+    return {
+      method: 'openai',
+      topic: String(parsed.topic).trim(),
+      keyPoints: parsed.keyPoints.map(point => String(point).trim()).filter(Boolean).slice(0, config.summary.maxKeyPoints)
+    };
+  }
+
+  // Long sermons are cut into evenly spaced excerpts so the whole khutbah is represented
+  sampleTranscript(text) {
+    const limit = config.summary.maxTranscriptChars;
+    if (text.length <= limit) {
+      return text;
+    }
+
+    const parts = 4;
+    const partLength = Math.floor(limit / parts);
+    const step = Math.floor(text.length / parts);
+    return Array.from({ length: parts }, (_, i) => text.substr(i * step, partLength)).join('\n...\n');
+  }
+
+  // Without a language model: the most frequent content words give the topic, the
+  // sentences that use them most give the key points (kept in the order they were said)
+  summarizeExtractive(text) {
+    const sentences = this.splitSentences(text);
+    const frequencies = new Map();
+    const surfaceForms = new Map();
+
+    sentences.forEach(sentence => sentence.contentWords.forEach(({ word, surface }) => {
+      frequencies.set(word, (frequencies.get(word) || 0) + 1);
+      if (!surfaceForms.has(word)) {
+        surfaceForms.set(word, surface);
+      }
+    }));
+
+    const ranked = Array.from(frequencies.entries()).sort((a, b) => b[1] - a[1]);
+    const topFrequency = ranked.length > 0 ? ranked[0][1] : 1;
+    const topic = ranked.slice(0, 3).map(([word]) => surfaceForms.get(word)).join('، ');
+
+    const scored = sentences
+      .filter(sentence => sentence.words >= MIN_SENTENCE_WORDS || sentences.length <= config.summary.maxKeyPoints)
+      .map(sentence => {
+        const unique = new Set(sentence.contentWords.map(w => w.word));
+        const weight = Array.from(unique).reduce((sum, word) => sum + frequencies.get(word) / topFrequency, 0);
+        return { ...sentence, unique, score: unique.size > 0 ? weight / Math.sqrt(unique.size) : 0 };
+      })
+      .sort((a, b) => b.score - a.score);
+
+    // Skip sentences that repeat one already chosen
+    const chosen = [];
+    for (const sentence of scored) {
+      if (chosen.length >= config.summary.maxKeyPoints) {
+        break;
+      }
+      const repeats = chosen.some(other => {
+        const shared = Array.from(sentence.unique).filter(word => other.unique.has(word)).length;
+        return shared / Math.max(1, Math.min(sentence.unique.size, other.unique.size)) > 0.6;
+      });
+      if (!repeats && sentence.score > 0) {
+        chosen.push(sentence);
+      }
+    }
+
+    return {
+      method: 'extractive',
+      topic: topic || (chosen[0] ? chosen[0].text : ''),
+      keyPoints: chosen.sort((a, b) => a.index - b.index).map(sentence => sentence.text)
+    };
+  }
+
+  splitSentences(text) {
+    const sentences = [];
+
+    text.split(SENTENCE_BOUNDARY).forEach(part => {
+      const tokens = part.trim().split(/\s+/).filter(Boolean);
+      // Transcripts often lack punctuation, so long runs are cut into readable pieces
+      for (let start = 0; start < tokens.length; start += MAX_SENTENCE_WORDS) {
+        const slice = tokens.slice(start, start + MAX_SENTENCE_WORDS);
+        const contentWords = slice
+          .map(token => this.toContentWord(token))
+          .filter(Boolean);
+
+        sentences.push({
+          index: sentences.length,
+          text: slice.join(' '),
+          words: slice.length,
+          contentWords
+        });
+      }
+    });
+
+    return sentences;
+  }
+
+  // { word: counting key without prefixes, surface: the word as it should be shown }, or null for stopwords
+  toContentWord(token) {
+    const normalized = normalizeArabic(token);
+    if (normalized.length <= 2 || STOPWORDS.has(normalized)) {
+      return null;
+    }
+
+    const prefix = PREFIXES.find(p => normalized.startsWith(p) && normalized.length - p.length >= 3);
+    const word = prefix ? normalized.slice(prefix.length) : normalized;
+    if (STOPWORDS.has(word)) {
+      return null;
+    }
+
+    // والصبر is shown as الصبر
+    const dropConjunction = prefix && prefix.length > 1 && CONJUNCTIONS.includes(prefix[0]);
+    return { word, surface: dropConjunction ? normalized.slice(1) : normalized };
+  }
+
+  // Quran verses (consecutive verses merged into one range) and hadiths, in the order cited
+  collectCitations(transcriptions) {
+    const citations = [];
+
+    transcriptions.forEach(transcription => {
+      const content = transcription.islamicContent || {};
+
+      if (content.isQuranic && content.surahNumber && content.ayahNumber) {
+        const first = content.ayahNumber;
+        const last = content.ayahEndNumber || first;
+        const previous = citations.find(c => c.type === 'quran' && c.surah === content.surahNumber &&
+          first <= c.last + 1 && last >= c.first - 1);
+
+        if (previous) {
+          previous.first = Math.min(previous.first, first);
+          previous.last = Math.max(previous.last, last);
+        } else {
+          citations.push({ type: 'quran', surah: content.surahNumber, first, last });
+        }
+      }
+
+      if (content.isHadith && content.hadithSource) {
+        const reference = (content.hadithReferences && content.hadithReferences[0]) || content.hadithCollection;
+        if (!citations.some(c => c.type === 'hadith' && c.label === content.hadithSource)) {
+          citations.push({ type: 'hadith', reference, label: content.hadithSource });
+        }
+      }
+    });
+
+    return citations.map(citation => {
+      if (citation.type !== 'quran') {
+        return citation;
+      }
+
+      const range = citation.last > citation.first ? `${citation.first}-${citation.last}` : `${citation.first}`;
+      const reference = `${citation.surah}:${range}`;
+      return { type: 'quran', reference, label: `Quran ${this.getSurahName(citation.surah)}${reference}` };
+    });
+  }
+
+  getSurahName(surah) {
+    try {
+      const name = QuranMatcherService.corpus.getSurah(surah)?.transliteration;
+      return name ? `${name} ` : '';
+    } catch (error) {
+      return '';
+    }
+  }
+
+  // Languages to translate the recap into: what listeners asked for and what the session was translated into
+  async getSummaryLanguages(session, participantUserIds) {
+    const languages = new Set([config.translation.defaultUserLanguage]);
+    const toCode = language => (language.length > 3 ? MultiLanguageTranslationService.getLanguageCode(language) : language);
+
+    (session.targetLanguages || []).forEach(language => languages.add(toCode(language)));
+
+    try {
+      const translated = await Translation.distinct('translations.language', { sessionId: session._id });
+      translated.forEach(language => languages.add(toCode(language)));
+    } catch (error) {
+      console.warn('⚠️ Could not read session translation languages:', error.message);
+    }
+
+    await Promise.all(participantUserIds.map(async (userId) => {
+      try {
+        const preferences = await UserLanguagePreferencesService.getTranslationLanguages(userId);
+        preferences.languages.forEach(language => languages.add(toCode(language)));
+      } catch (error) {
+        // Listener without stored preferences
+      }
+    }));
+
+    return Array.from(languages)
+      .filter(language => language && language !== 'ar' && config.translation.supportedLanguages.includes(language));
+  }
+
+  async translateRecap(recap, languages, mosqueId) {
+    const translations = [];
+
+    for (const language of languages) {
+      try {
+        const texts = [recap.topic, ...recap.keyPoints];
+        const results = [];
+        for (const text of texts) {
+          results.push(await MultiLanguageTranslationService.translateWithCache(
+            text,
+            MultiLanguageTranslationService.getLanguageName(language),
+            'sermon',
+            MultiLanguageTranslationService.translationManager.defaultProvider,
+            mosqueId
+          ));
+        }
+
+        if (results.some(result => !result || !result.text || result.error)) {
+          throw new Error('Translation provider returned no text');
+        }
+
+        translations.push({
+          language,
+          topic: results[0].text,
+          keyPoints: results.slice(1).map(result => result.text),
+          provider: results[0].provider
+        });
+      } catch (error) {
+        console.error(`❌ Failed to translate sermon summary to ${language}:`, error.message);
+      }
+    }
+
+    return translations;
+  }
+
+  // Summary as served to clients, in one language when requested
+  formatSummary(session, language = null) {
+    const summary = session.summary;
+    if (!summary || !summary.status) {
+      return null;
+    }
+
+    const translation = language
+      ? (summary.translations || []).find(t => t.language === language)
+      : null;
+
+    return {
+      sessionId: session.sessionId,
+      status: summary.status,
+      method: summary.method,
+      generatedAt: summary.generatedAt,
+      language: translation ? translation.language : summary.sourceLanguage,
+      topic: translation ? translation.topic : summary.topic,
+      keyPoints: translation ? translation.keyPoints : summary.keyPoints,
+      original: {
+        language: summary.sourceLanguage,
+        topic: summary.topic,
+        keyPoints: summary.keyPoints
+      },
+      citations: summary.citations || [],
+      availableLanguages: (summary.translations || []).map(t => t.language)
+    };
+  }
+}
+
+module.exports = new SermonSummaryService();
@@ -0,0 +1,76 @@
+// Session Backfill Service for Mosque Translation App
+// Every translated line sent to a live session gets a session-wide sequence number and is kept for the
+// rest of the session, so a listener who joins late or drops off the prayer hall Wi-Fi can ask for
+// everything after the last line they saw instead of missing part of the khutbah
+const config = require('../config/config');
+const { sessionBacklogs } = require('./SessionStateStore');
+
+class SessionBackfillService {
+  // Number and keep a translation_update before it is broadcast; returns the numbered update
+  record(sessionId, update) {
+    const backlog = sessionBacklogs.get(sessionId) || { lastSequence: 0, items: [] };
+    const entry = { ...update, sequenceNumber: backlog.lastSequence + 1 };
+
+    backlog.lastSequence = entry.sequenceNumber;
+    backlog.items.push(entry);
+
+    const limit = config.translation.backfillLimit;
+    if (backlog.items.length > limit) {
+      backlog.items.splice(0, backlog.items.length - limit);
+    }
+
+    sessionBacklogs.set(sessionId, backlog);
+    return entry;
+  }
+
+  getLastSequence(sessionId) {
+    return sessionBacklogs.get(sessionId)?.lastSequence || 0;
+  }
+
+  // Lines after lastSequence, trimmed to the listener's languages (codes, preferred first).
+  // truncated means some missed lines were older than the backlog keeps
+  getMissed(sessionId, lastSequence = 0, languages = []) {
+    const backlog = sessionBacklogs.get(sessionId);
+    if (!backlog) {
+      return { updates: [], lastSequence: 0, truncated: false };
+    }
+
+    const since = Math.max(0, parseInt(lastSequence) || 0);
+    const missed = backlog.items.filter(item => item.sequenceNumber > since);
+    const oldestKept = backlog.items.length > 0 ? backlog.items[0].sequenceNumber : backlog.lastSequence + 1;
+
+    return {
+      updates: missed.map(item => this.forLanguages(item, languages)),
+      lastSequence: backlog.lastSequence,
+      truncated: since < backlog.lastSequence && oldestKept > since + 1
+    };
+  }
+
+  // Lines from before a language was requested have no text for it; the original Arabic is still sent
+  forLanguages(update, languages) {
+    if (languages.length === 0) {
+      return { ...update, isBackfill: true };
+    }
+
+    const translations = {};
+    for (const language of languages) {
+      if (update.translations?.[language]) {
+        translations[language] = update.translations[language];
+      }
+    }
+
+    return {
+      ...update,
+      translations,
+      language: languages[0],
+      translatedText: translations[languages[0]] || null,
+      isBackfill: true
+    };
+  }
+
+  clear(sessionId) {
+    sessionBacklogs.delete(sessionId);
+  }
+}
+
+module.exports = new SessionBackfillService();
@@ -0,0 +1,173 @@
+// Session Language Service for Mosque Translation App
+// Live sessions translate into the languages their listeners asked for instead of a fixed list.
+// Each participant entry in the session state carries that listener's languages; the mosque's
+// configured languages are always included so the archive has them even when nobody is listening
+const config = require('../config/config');
+const User = require('../models/User');
+const SessionParticipant = require('../models/SessionParticipant');
+const { activeSessions } = require('./SessionStateStore');
+
+// Accounts and older clients store language names; live translation uses codes
+const LANGUAGE_CODES = {
+  English: 'en',
+  German: 'de',
+  French: 'fr',
+  Spanish: 'es',
+  Italian: 'it',
+  Portuguese: 'pt',
+  Russian: 'ru',
+  Turkish: 'tr',
+  Urdu: 'ur',
+  Arabic: 'ar',
+  Persian: 'fa',
+  Dutch: 'nl',
+  Malay: 'ms',
+  Indonesian: 'id',
+  Bengali: 'bn'
+};
+
+// Speech is Arabic, so it is never a translation target
+const SOURCE_LANGUAGE = 'ar';
+
+class SessionLanguageService {
+  // 'en', 'en-GB' and 'English' all become 'en'; unsupported languages become null
+  normalize(language) {
+    if (!language || typeof language !== 'string') {
+      return null;
+    }
+
+    const trimmed = language.trim();
+    const code = LANGUAGE_CODES[trimmed] || trimmed.split(/[-_]/)[0].toLowerCase();
+    return config.translation.supportedLanguages.includes(code) && code !== SOURCE_LANGUAGE ? code : null;
+  }
+
+  normalizeList(languages) {
+    return [...new Set((languages || []).map(language => this.normalize(language)).filter(Boolean))];
+  }
+
+  // Languages the session's listeners currently want, plus the mosque defaults
+  getTargetLanguages(sessionId) {
+    const session = activeSessions.get(sessionId);
+    const languages = new Set(session?.defaultLanguages || this.normalizeList(config.translation.sessionDefaultLanguages));
+
+    if (session?.participants) {
+      for (const participant of session.participants.values()) {
+        (participant.languages || []).forEach(language => languages.add(language));
+      }
+    }
+
+    return Array.from(languages);
+  }
+
+  // Languages listed on the mosque account, or the server default when it lists none
+  async loadDefaultLanguages(mosqueId, extraLanguages = []) {
+    let languages = [];
+
+    try {
+      const mosque = await User.findById(mosqueId).select('languagesSupported');
+      languages = this.normalizeList(mosque?.languagesSupported);
+    } catch (error) {
+      console.warn(`⚠️ Could not load languages for mosque ${mosqueId}:`, error.message);
+    }
+
+    if (languages.length === 0) {
+      languages = this.normalizeList(config.translation.sessionDefaultLanguages);
+    }
+
+    return this.normalizeList([...languages, ...extraLanguages]);
+  }
+
+  // The join payload wins; a listener rejoining without one keeps what they had in this session,
+  // and signed-in users fall back to their saved translation preferences
+  async resolveParticipantLanguages(sessionId, { deviceId, userId, preferredLanguage, secondaryLanguage }) {
+    const requested = this.normalizeList([preferredLanguage, secondaryLanguage]);
+    if (requested.length > 0) {
+      return requested;
+    }
+
+    try {
+      if (deviceId) {
+        const previous = await SessionParticipant.findOne({ participantId: this.getParticipantId(sessionId, deviceId) })
+          .select('preferredLanguage secondaryLanguage');
+        if (previous) {
+          return this.normalizeList([previous.preferredLanguage, previous.secondaryLanguage]);
+        }
+      }
+
+      if (userId) {
+        const user = await User.findById(userId).select('translationPreferences');
+        const preferences = user?.translationPreferences;
+        if (preferences) {
+          return this.normalizeList([
+            preferences.primaryLanguage,
+            preferences.showDualSubtitles ? preferences.secondaryLanguage : null
+          ]);
+        }
+      }
+    } catch (error) {
+      console.warn(`⚠️ Could not look up languages for a listener in ${sessionId}:`, error.message);
+    }
+
+    return [];
+  }
+
+  getParticipantId(sessionId, deviceId) {
+    return `${sessionId}_${deviceId}`;
+  }
+
+  // Keep the participant record in sync with the live session (analytics and rejoin lookups)
+  async recordJoin(sessionId, { deviceId, userId, userType, languages }) {
+    if (!deviceId || languages.length === 0) {
+      return null;
+    }
+
+    const [preferredLanguage, secondaryLanguage = null] = languages;
+    return SessionParticipant.findOneAndUpdate(
+      { participantId: this.getParticipantId(sessionId, deviceId) },
+      {
+        $set: {
+          sessionId,
+          deviceId,
+          userId: userId || null,
+          userType,
+          preferredLanguage,
+          secondaryLanguage,
+          isActive: true,
+          leftAt: null,
+          lastActivityAt: new Date()
+        },
+        $setOnInsert: { joinedAt: new Date() },
+        $push: { events: { type: 'joined', timestamp: new Date(), data: { languages } } }
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+  }
+
+  async recordLanguageChange(sessionId, deviceId, languages) {
+    const participant = await SessionParticipant.findOne({ participantId: this.getParticipantId(sessionId, deviceId) });
+    if (!participant) {
+      return null;
+    }
+
+    participant.secondaryLanguage = languages[1] || null;
+    return participant.changeLanguage(languages[0]);
+  }
+
+  async recordLeave(sessionId, deviceId) {
+    const participant = await SessionParticipant.findOne({
+      participantId: this.getParticipantId(sessionId, deviceId),
+      isActive: true
+    });
+    return participant ? participant.leaveSession() : null;
+  }
+
+  // What changed between two target language lists
+  diff(previousLanguages, languages) {
+    return {
+      added: languages.filter(language => !previousLanguages.includes(language)),
+      removed: previousLanguages.filter(language => !languages.includes(language))
+    };
+  }
+}
+
+module.exports = new SessionLanguageService();
@@ -0,0 +1,151 @@
+// Session State Store for Mosque Translation App
+// Holds live sessions, connected sockets and mosque status outside a single process
+const os = require('os');
+const config = require('../config/config');
+const StateCollection = require('./state/StateCollection');
+const MemoryStateBackend = require('./state/MemoryStateBackend');
+
+class SessionStateStore {
+  constructor() {
+    this.serverId = config.sessionState.serverId || `${os.hostname()}:${config.port}`;
+    this.backend = this.createBackend();
+
+    // Listeners join on whichever instance holds their socket, so participants are written one by one
+    this.activeSessions = new StateCollection('activeSessions', this.backend, { nested: ['participants'] });
+    // Mongoose user documents stay on the instance that owns the socket
+    this.connectedClients = new StateCollection('connectedClients', this.backend, { omit: ['user'] });
+    this.mosques = new StateCollection('mosques', this.backend);
+    // Translated lines already sent in each live session, replayed to listeners who missed them
+    this.sessionBacklogs = new StateCollection('sessionBacklogs', this.backend);
+
+    this.isInitialized = false;
+  }
+
+  createBackend() {
+    if (config.sessionState.backend === 'redis') {
+      const RedisStateBackend = require('./state/RedisStateBackend');
+      return new RedisStateBackend({
+        url: config.sessionState.redisUrl,
+        keyPrefix: config.sessionState.keyPrefix,
+        serverId: this.serverId
+      });
+    }
+
+    return new MemoryStateBackend();
+  }
+
+  getCollections() {
+    return {
+      activeSessions: this.activeSessions,
+      connectedClients: this.connectedClients,
+      mosques: this.mosques,
+      sessionBacklogs: this.sessionBacklogs
+    };
+  }
+
+  // Connect the backend and restore state left by a previous run of this server
+  async initialize() {
+    try {
+      console.log(`🔄 Initializing session state store (${this.backend.name})...`);
+
+      await this.backend.connect();
+
+      const collections = this.getCollections();
+      for (const collection of Object.values(collections)) {
+        await collection.hydrate();
+      }
+
+      this.backend.onChange((collectionName, key, field, entryKey) => {
+        const collection = collections[collectionName];
+        if (collection) {
+          collection.refresh(key, field, entryKey);
+        }
+      });
+
+      const orphanedSessions = this.releaseOwnClients();
+
+      this.isInitialized = true;
+      console.log(`✅ Session state store ready: ${this.activeSessions.size} sessions, ${this.mosques.size} mosques restored`);
+
+      return {
+        success: true,
+        backend: this.backend.name,
+        restoredSessions: this.activeSessions.size,
+        orphanedSessions
+      };
+
+    } catch (error) {
+      console.error('❌ Session state store initialization failed:', error);
+      throw error;
+    }
+  }
+
+  // Track which instance owns a socket so stale entries can be cleaned up after a restart
+  registerClient(socketId, client) {
+    this.connectedClients.set(socketId, { ...client, serverId: this.serverId });
+    return this.connectedClients.get(socketId);
+  }
+
+  // Mosques broadcasting right now, across every server sharing this store
+  getLiveMosqueIds() {
+    const ids = new Set();
+    for (const [mosqueId, mosque] of this.mosques.entries()) {
+      if (mosque.isLive) {
+        ids.add(mosqueId);
+      }
+    }
+    return ids;
+  }
+
+  // Sockets from this server's previous run are gone; drop them and report
+  // live sessions whose broadcaster was connected here so they can reconnect
+  releaseOwnClients() {
+    const orphanedSessions = [];
+
+    for (const [socketId, client] of Array.from(this.connectedClients.entries())) {
+      if (client.serverId !== this.serverId) {
+        continue;
+      }
+
+      for (const [sessionId, session] of this.activeSessions.entries()) {
+        let changed = false;
+
+        if (session.participants && session.participants.has(socketId)) {
+          this.activeSessions.deleteEntry(sessionId, 'participants', socketId);
+        }
+
+        const wasBroadcaster = session.broadcaster &&
+          (session.broadcaster === client.deviceId || session.broadcaster === socketId);
+
+        if (wasBroadcaster && session.isLive && !orphanedSessions.includes(sessionId)) {
+          session.broadcasterDisconnected = true;
+          session.disconnectedAt = new Date();
+          orphanedSessions.push(sessionId);
+          changed = true;
+        }
+
+        if (changed) {
+          this.activeSessions.persist(sessionId);
+        }
+      }
+
+      this.connectedClients.delete(socketId);
+    }
+
+    return orphanedSessions;
+  }
+
+  createSocketAdapter() {
+    return this.backend.createAdapter();
+  }
+
+  async close() {
+    try {
+      await this.backend.close();
+    } catch (error) {
+      console.error('❌ Error closing session state store:', error);
+    }
+  }
+}
+
+module.exports = new SessionStateStore();
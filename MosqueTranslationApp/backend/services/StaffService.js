@@ -0,0 +1,79 @@
+// Staff Service for Mosque Translation App
+// Mosques create sub-accounts for imams, volunteers and moderators instead of sharing their own login.
+// Each staff account has one role; removing or deactivating it revokes only that person
+const User = require('../models/User');
+const { ROLE_PERMISSIONS } = require('../middleware/auth');
+
+class StaffService {
+  toStaffItem(user) {
+    return {
+      id: user._id.toString(),
+      email: user.email,
+      name: user.name || null,
+      role: user.staffRole,
+      permissions: ROLE_PERMISSIONS[user.staffRole] || [],
+      isActive: user.isActive,
+      lastLoginAt: user.lastLoginAt || null,
+      createdAt: user.createdAt
+    };
+  }
+
+  async listStaff(mosqueId) {
+    const staff = await User.find({ mosqueId, userType: 'staff' })
+      .select('email name staffRole isActive lastLoginAt createdAt')
+      .sort({ createdAt: 1 });
+
+    return staff.map(user => this.toStaffItem(user));
+  }
+
+  async createStaff(mosqueId, { email, password, name, role }, createdBy) {
+    const existing = await User.findOne({ email: email.toLowerCase() }).select('_id');
+    if (existing) {
+      return { success: false, status: 409, error: 'An account with this email already exists' };
+    }
+
+    const user = new User({
+      email,
+      password,
+      name,
+      userType: 'staff',
+      mosqueId,
+      staffRole: role,
+      createdBy,
+      // The mosque vouches for its staff; they never go through email verification
+      isEmailVerified: true
+    });
+    await user.save();
+
+    console.log(`👥 Staff account created for mosque ${mosqueId}: ${user.email} (${role})`);
+    return { success: true, staff: this.toStaffItem(user) };
+  }
+
+  async updateStaff(mosqueId, staffId, updates) {
+    const user = await User.findOne({ _id: staffId, mosqueId, userType: 'staff' });
+    if (!user) {
+      return { success: false, status: 404, error: 'Staff member not found' };
+    }
+
+    if (updates.role !== undefined) user.staffRole = updates.role;
+    if (updates.name !== undefined) user.name = updates.name;
+    if (updates.isActive !== undefined) user.isActive = updates.isActive;
+    if (updates.password) user.password = updates.password;
+    await user.save();
+
+    console.log(`👥 Staff account updated: ${user.email} (${user.staffRole}, ${user.isActive ? 'active' : 'revoked'})`);
+    return { success: true, staff: this.toStaffItem(user) };
+  }
+
+  async removeStaff(mosqueId, staffId) {
+    const user = await User.findOneAndDelete({ _id: staffId, mosqueId, userType: 'staff' });
+    if (!user) {
+      return { success: false, status: 404, error: 'Staff member not found' };
+    }
+
+    console.log(`👥 Staff account removed: ${user.email}`);
+    return { success: true, staff: this.toStaffItem(user) };
+  }
+}
+
+module.exports = new StaffService();
@@ -0,0 +1,247 @@
+// Storage Service for Mosque Translation App
+// Sermon recordings and mosque photos are kept by a storage driver: this server's disk, or an S3-compatible
+// bucket so recordings no longer fill the server. Files are written to local disk first and handed to the
+// driver once complete. Downloads go through short-lived signed URLs
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/config');
+const LocalStorageDriver = require('./storage/LocalStorageDriver');
+
+const BACKEND_DIR = path.join(__dirname, '..');
+
+// Served by server.js for files on local disk
+const LOCAL_DOWNLOAD_PATH = '/api/storage';
+
+const CONTENT_TYPES = {
+  '.mp3': 'audio/mpeg',
+  '.m4a': 'audio/mp4',
+  '.aac': 'audio/aac',
+  '.wav': 'audio/wav',
+  '.webm': 'audio/webm',
+  '.ogg': 'audio/ogg',
+  '.opus': 'audio/ogg',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp'
+};
+
+class StorageService {
+  constructor() {
+    this.areas = {
+      recordings: path.resolve(BACKEND_DIR, config.storage.local.recordingsDir),
+      uploads: path.resolve(BACKEND_DIR, config.storage.local.uploadsDir),
+      archive: path.resolve(BACKEND_DIR, config.storage.local.archiveDir) // Recordings past their mosque's retention
+    };
+
+    // Always needed: recordings and photo uploads land on disk before they are stored
+    this.local = new LocalStorageDriver({ roots: this.areas });
+    this.driver = this.createDriver(config.storage.driver);
+    this.isInitialized = false;
+  }
+
+  createDriver(name) {
+    if (name === 's3') {
+      const S3StorageDriver = require('./storage/S3StorageDriver');
+      return new S3StorageDriver(config.storage.s3);
+    }
+
+    return this.local;
+  }
+
+  async initialize() {
+    try {
+      console.log(`🔄 Initializing file storage (${this.driver.name})...`);
+
+      await this.local.connect();
+      if (this.driver !== this.local) {
+        await this.driver.connect();
+      }
+
+      this.isInitialized = true;
+      return { success: true, driver: this.driver.name };
+
+    } catch (error) {
+      console.error('❌ File storage initialization failed:', error);
+      throw error;
+    }
+  }
+
+  isLocal() {
+    return this.driver === this.local;
+  }
+
+  // Driver holding files stored under a provider name; files stored before a change of driver
+  // stay on local disk until they are migrated
+  driverFor(provider = this.driver.provider) {
+    if (provider === this.driver.provider) {
+      return this.driver;
+    }
+    if (provider === 'local') {
+      return this.local;
+    }
+    throw new Error(`Files stored with ${provider} but STORAGE_DRIVER is ${this.driver.name}`);
+  }
+
+  getLocalDirectory(area) {
+    return this.areas[area];
+  }
+
+  // Key of a file inside a local area, e.g. audio-recordings/mosque_1/khutbah.mp3 -> mosque_1/khutbah.mp3
+  keyForLocalPath(area, filePath) {
+    return path.relative(this.areas[area], path.resolve(BACKEND_DIR, filePath)).split(path.sep).join('/');
+  }
+
+  getContentType(fileName) {
+    return CONTENT_TYPES[path.extname(fileName).toLowerCase()] || 'application/octet-stream';
+  }
+
+  // Hand a finished local file to the driver; a remote driver's local copy is removed after the upload
+  async storeFile(area, key, localPath, { keepLocal = false } = {}) {
+    const result = await this.driver.putFile(area, key, localPath, { contentType: this.getContentType(key) });
+
+    if (!this.isLocal() && !keepLocal) {
+      await fs.promises.unlink(localPath).catch(error => {
+        console.warn('⚠️ Could not remove local copy after upload:', error.message);
+      });
+    }
+
+    return { ...result, ...this.describe(area, key) };
+  }
+
+  // Fields for AudioRecording.storage, plus the object's URL for AudioRecording.fileUrl when it is remote
+  describe(area, key, driver = this.driver) {
+    return {
+      provider: driver.provider,
+      bucket: driver.bucket,
+      region: driver.region,
+      ...(driver.objectKey && { url: `s3://${driver.bucket}/${driver.objectKey(area, key)}` })
+    };
+  }
+
+  // Move a stored file between areas with the driver that holds it, e.g. a recording into the archive
+  async move(fromArea, key, toArea, { provider } = {}) {
+    const driver = this.driverFor(provider);
+    const storageClass = toArea === 'archive' && driver !== this.local ? config.storage.archiveStorageClass || undefined : undefined;
+    const result = await driver.move(fromArea, key, toArea, { storageClass });
+    return { ...result, storageClass, ...this.describe(toArea, key, driver) };
+  }
+
+  async exists(area, key, { provider } = {}) {
+    return !!(await this.driverFor(provider).stat(area, key));
+  }
+
+  async remove(area, key, { provider } = {}) {
+    return await this.driverFor(provider).remove(area, key);
+  }
+
+  createReadStream(area, key, { provider } = {}) {
+    return this.driverFor(provider).createReadStream(area, key);
+  }
+
+  // A local path to work on (ffmpeg, migration); remote files are downloaded to targetPath first
+  async fetchToLocal(area, key, targetPath, { provider } = {}) {
+    const driver = this.driverFor(provider);
+    if (driver === this.local) {
+      return this.local.resolve(area, key);
+    }
+    return await driver.downloadToFile(area, key, targetPath);
+  }
+
+  // Short-lived link to a file: presigned by the bucket, or signed by this server for local files
+  async getDownloadUrl(area, key, { provider, fileName, expiresIn = config.storage.signedUrlTtlSeconds } = {}) {
+    const driver = this.driverFor(provider);
+
+    if (driver !== this.local) {
+      return await driver.getSignedUrl(area, key, { expiresIn, fileName, contentType: this.getContentType(key) });
+    }
+
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    const encodedKey = key.split('/').map(encodeURIComponent).join('/');
+    return `${LOCAL_DOWNLOAD_PATH}/${area}/${encodedKey}?expires=${expires}&signature=${this.sign(area, key, expires)}`;
+  }
+
+  sign(area, key, expires) {
+    return crypto
+      .createHmac('sha256', config.storage.signingSecret || config.jwt.secret)
+      .update(`${area}/${key}:${expires}`)
+      .digest('hex');
+  }
+
+  // Path of the file a local download link points to, or null when the link is expired or tampered with
+  verifyLocalDownload(area, key, expires, signature) {
+    if (!this.areas[area] || !/^\d+$/.test(String(expires)) || Number(expires) < Date.now() / 1000) {
+      return null;
+    }
+
+    const expected = this.sign(area, key, expires);
+    if (typeof signature !== 'string' || signature.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+      return null;
+    }
+
+    try {
+      return this.local.resolve(area, key);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Where an AudioRecording's file is kept; older recordings only have their path under audio-recordings.
+  // Archived recordings keep their key and move to the archive area
+  getRecordingLocation(recording) {
+    return {
+      area: recording.isArchived ? 'archive' : 'recordings',
+      key: recording.storage?.key || this.keyForLocalPath('recordings', recording.filePath),
+      provider: recording.storage?.provider || 'local'
+    };
+  }
+
+  // A processed copy of the recording (see AudioProcessingService); null until processing has finished
+  getRecordingVariant(recording, name) {
+    const variants = recording.processing?.status === 'completed' ? recording.processing.variants || [] : [];
+    return variants.find(variant => variant.name === name) ||
+      variants.find(variant => variant.name === config.audioProcessing.defaultVariant) ||
+      variants[0] ||
+      null;
+  }
+
+  // The original and every processed copy, for moving or deleting a recording as a whole
+  getRecordingFiles(recording) {
+    const original = this.getRecordingLocation(recording);
+    const variants = (recording.processing?.variants || []).map(variant => ({
+      area: original.area,
+      key: variant.key,
+      provider: variant.provider || original.provider,
+      variant: variant.name
+    }));
+    return [original, ...variants];
+  }
+
+  // Listeners get the processed default variant; { original: true } or { variant: 'opus_48' } pick another
+  async getRecordingDownloadUrl(recording, { original = false, variant, ...options } = {}) {
+    const location = this.getRecordingLocation(recording);
+    const processed = original ? null : this.getRecordingVariant(recording, variant);
+
+    if (processed) {
+      return await this.getDownloadUrl(location.area, processed.key, {
+        provider: processed.provider || location.provider,
+        fileName: `${path.parse(recording.fileName).name}_${processed.bitrateKbps}k${path.extname(processed.key)}`,
+        ...options
+      });
+    }
+
+    return await this.getDownloadUrl(location.area, location.key, {
+      provider: location.provider,
+      fileName: recording.fileName,
+      ...options
+    });
+  }
+
+  async close() {
+    await this.driver.close();
+  }
+}
+
+module.exports = new StorageService();
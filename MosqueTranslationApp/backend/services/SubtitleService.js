@@ -0,0 +1,306 @@
+// Subtitle Service for Mosque Translation App
+// Turns a session's final transcriptions and their translations into SRT / WebVTT captions
+// and a timed transcript, both aligned to the session recording
+const Session = require('../models/Session');
+const Translation = require('../models/Translation');
+const VoiceTranscription = require('../models/VoiceTranscription');
+const AudioRecording = require('../models/AudioRecording');
+const MultiLanguageTranslationService = require('./MultiLanguageTranslationService');
+const QuranMatcherService = require('./QuranMatcherService');
+
+const FORMATS = ['vtt', 'srt'];
+const MAX_LINE_CHARS = 42;
+const MAX_CUE_LINES = 2;
+// Used to estimate when a transcription started when the provider sent no audio timing
+const WORDS_PER_SECOND = 2.2;
+const MIN_CUE_SECONDS = 1.5;
+const MAX_CUE_SECONDS = 10;
+
+class SubtitleService {
+  isSupportedFormat(format) {
+    return FORMATS.includes(format);
+  }
+
+  // options: { language: ISO code, format: 'vtt' | 'srt', recordingId }
+  async generate(sessionId, options = {}) {
+    const language = (options.language || 'ar').toLowerCase();
+    const format = options.format || 'vtt';
+
+    const loaded = await this.loadTimeline(sessionId, options.recordingId);
+    if (!loaded.success) {
+      return loaded;
+    }
+
+    const { session, timeline } = loaded;
+    const texts = await this.getTexts(timeline.map(entry => entry.transcription), session, language);
+
+    const cues = [];
+    timeline.forEach((entry, index) => {
+      if (texts[index]) {
+        cues.push(...this.splitCue({ start: entry.start, end: entry.end, text: texts[index] }));
+      }
+    });
+
+    if (cues.length === 0) {
+      return { success: false, status: 404, error: `No subtitles available in ${language}` };
+    }
+
+    return {
+      success: true,
+      format,
+      language,
+      cueCount: cues.length,
+      fileName: `${sessionId}.${language}.${format}`,
+      content: format === 'srt' ? this.toSrt(cues) : this.toVtt(cues, language)
+    };
+  }
+
+  // Timed sentences for synchronized playback: the Arabic text and its translation in each language
+  // options: { languages: ISO codes, recordingId }
+  async getTranscript(sessionId, options = {}) {
+    const languages = (options.languages || []).filter(language => language !== 'ar');
+
+    const loaded = await this.loadTimeline(sessionId, options.recordingId);
+    if (!loaded.success) {
+      return loaded;
+    }
+
+    const { session, recording, timeline } = loaded;
+    const transcriptions = timeline.map(entry => entry.transcription);
+    const translated = {};
+    for (const language of languages) {
+      translated[language] = await this.getTexts(transcriptions, session, language);
+    }
+
+    return {
+      success: true,
+      sessionId,
+      languages,
+      recording: recording ? {
+        recordingId: recording.recordingId,
+        audioUrl: `/api/audio/recordings/${recording.fileName}`,
+        fileSizeBytes: recording.fileSizeBytes || null,
+        duration: this.getRecordingDuration(recording),
+        segments: (recording.segments || []).map(segment => ({
+          segmentNumber: segment.segmentNumber,
+          startTime: segment.startTime,
+          endTime: segment.endTime
+        }))
+      } : null,
+      segments: timeline.map((entry, index) => ({
+        id: entry.transcription.transcriptionId,
+        start: Math.round(entry.start * 1000) / 1000,
+        end: Math.round(entry.end * 1000) / 1000,
+        original: entry.transcription.originalText.trim(),
+        translations: languages.reduce((texts, language) => {
+          texts[language] = translated[language][index] || null;
+          return texts;
+        }, {}),
+        isQuranic: Boolean(entry.transcription.islamicContent?.isQuranic),
+        isHadith: Boolean(entry.transcription.islamicContent?.isHadith)
+      }))
+    };
+  }
+
+  async loadTimeline(sessionId, recordingId) {
+    const session = await Session.findOne({ sessionId });
+    const recording = await this.findRecording(sessionId, recordingId);
+    if (!session && !recording) {
+      return { success: false, status: 404, error: 'Session not found' };
+    }
+
+    const transcriptions = await VoiceTranscription.find({ sessionId, isFinal: true })
+      .sort({ sequenceNumber: 1, createdAt: 1 });
+    if (transcriptions.length === 0) {
+      return { success: false, status: 404, error: 'No transcriptions for this session' };
+    }
+
+    return { success: true, session, recording, timeline: this.buildTimeline(transcriptions, session, recording) };
+  }
+
+  // Listeners get the processed variant once there is one, which starts after the silence cut at the beginning
+  isProcessed(recording) {
+    return recording.processing?.status === 'completed' && recording.processing.variants?.length > 0;
+  }
+
+  getTrimmedStart(recording) {
+    return this.isProcessed(recording) ? recording.processing.trimmedStartSeconds || 0 : 0;
+  }
+
+  // Long recordings are written in segments, the last one ends where the recording does
+  getRecordingDuration(recording) {
+    if (this.isProcessed(recording) && recording.processing.variants[0].durationSeconds > 0) {
+      return recording.processing.variants[0].durationSeconds;
+    }
+    if (recording.durationSeconds > 0) {
+      return recording.durationSeconds;
+    }
+    const segments = recording.segments || [];
+    return segments.reduce((longest, segment) => Math.max(longest, segment.endTime || 0), 0);
+  }
+
+  async findRecording(sessionId, recordingId) {
+    if (recordingId) {
+      return AudioRecording.findOne({ sessionId, recordingId });
+    }
+    return AudioRecording.findOne({ sessionId }).sort({ createdAt: 1 });
+  }
+
+  // Seconds from the start of the recording for every transcription
+  buildTimeline(transcriptions, session, recording) {
+    const capturedAt = recording
+      ? (recording.processing?.startedAt || recording.createdAt)
+      : (session?.startedAt || transcriptions[0].createdAt);
+    const recordingStart = new Date(new Date(capturedAt).getTime() + (recording ? this.getTrimmedStart(recording) * 1000 : 0));
+    // audioStartTime / audioEndTime count from the session start, the recording may have started later
+    const sessionOffset = session?.startedAt ? (recordingStart - session.startedAt) / 1000 : 0;
+    const duration = recording ? this.getRecordingDuration(recording) : 0;
+
+    const timeline = [];
+    let previousEnd = 0;
+
+    transcriptions.forEach(transcription => {
+      let start;
+      let end;
+
+      if (transcription.audioEndTime > transcription.audioStartTime) {
+        start = transcription.audioStartTime - sessionOffset;
+        end = transcription.audioEndTime - sessionOffset;
+      } else {
+        // A final result arrives when the speaker finishes the sentence
+        end = (transcription.createdAt - recordingStart) / 1000;
+        const words = transcription.originalText.trim().split(/\s+/).length;
+        const spoken = Math.min(MAX_CUE_SECONDS, Math.max(MIN_CUE_SECONDS, words / WORDS_PER_SECOND));
+        start = Math.max(previousEnd, end - spoken);
+      }
+
+      start = Math.max(0, start);
+      end = Math.max(end, start + MIN_CUE_SECONDS);
+      if (duration > 0) {
+        if (start >= duration) {
+          return;
+        }
+        end = Math.min(end, duration);
+      }
+      if (end <= 0) {
+        return;
+      }
+
+      timeline.push({ transcription, start, end });
+      previousEnd = end;
+    });
+
+    return timeline;
+  }
+
+  // Caption text per transcription: the original Arabic, the stored translation, or a fresh one
+  async getTexts(transcriptions, session, language) {
+    if (language === 'ar') {
+      return transcriptions.map(t => t.originalText.trim());
+    }
+
+    const languageName = MultiLanguageTranslationService.getLanguageName(language);
+    const rows = session
+      ? await Translation.find({ sessionId: session._id, status: 'active' }).sort({ sequenceNumber: 1 })
+      : [];
+
+    const byTranscription = new Map();
+    const byText = new Map();
+    rows.forEach(row => {
+      if (row.metadata?.transcriptionId) {
+        byTranscription.set(row.metadata.transcriptionId, row);
+      }
+      const key = row.originalText.trim();
+      byText.set(key, [...(byText.get(key) || []), row]);
+    });
+
+    const texts = [];
+    for (const transcription of transcriptions) {
+      // Older translations were not linked to their transcription, match them by text in order
+      const row = byTranscription.get(transcription.transcriptionId) ||
+        (byText.get(transcription.originalText.trim()) || []).shift();
+      const stored = row && row.translations.find(t => t.language === languageName || t.language === language);
+
+      texts.push(stored ? stored.text : await this.translate(transcription, language, session));
+    }
+
+    return texts;
+  }
+
+  async translate(transcription, language, session) {
+    try {
+      const text = transcription.originalText.trim();
+      const quranMatch = transcription.islamicContent?.isQuranic ? QuranMatcherService.match(text) : null;
+      const result = await MultiLanguageTranslationService.translateWithQuranSubstitution(
+        text,
+        language,
+        transcription.metadata?.context === 'quran' ? 'quran' : 'sermon',
+        MultiLanguageTranslationService.translationManager.defaultProvider,
+        { quranMatch, mosqueId: session?.mosqueId }
+      );
+      return result && !result.error ? result.text : null;
+    } catch (error) {
+      console.error(`❌ Subtitle translation to ${language} failed:`, error.message);
+      return null;
+    }
+  }
+
+  // Long sentences become several cues of at most two lines, timed by their share of the text
+  splitCue(cue) {
+    const words = cue.text.replace(/\s+/g, ' ').trim().split(' ');
+    const lines = [];
+    let line = '';
+
+    words.forEach(word => {
+      if (line && (line.length + word.length + 1) > MAX_LINE_CHARS) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = line ? `${line} ${word}` : word;
+      }
+    });
+    if (line) {
+      lines.push(line);
+    }
+
+    const chunks = [];
+    for (let i = 0; i < lines.length; i += MAX_CUE_LINES) {
+      chunks.push(lines.slice(i, i + MAX_CUE_LINES));
+    }
+
+    const totalChars = chunks.reduce((sum, chunk) => sum + chunk.join(' ').length, 0);
+    let start = cue.start;
+
+    return chunks.map(chunk => {
+      const end = start + (cue.end - cue.start) * (chunk.join(' ').length / totalChars);
+      const split = { start, end, text: chunk.join('\n') };
+      start = end;
+      return split;
+    });
+  }
+
+  toVtt(cues, language) {
+    const body = cues.map(cue =>
+      `${this.formatTime(cue.start, '.')} --> ${this.formatTime(cue.end, '.')}\n${cue.text}`
+    ).join('\n\n');
+    return `WEBVTT\nLanguage: ${language}\n\n${body}\n`;
+  }
+
+  toSrt(cues) {
+    return cues.map((cue, index) =>
+      `${index + 1}\n${this.formatTime(cue.start, ',')} --> ${this.formatTime(cue.end, ',')}\n${cue.text}`
+    ).join('\n\n') + '\n';
+  }
+
+  // HH:MM:SS.mmm (WebVTT) or HH:MM:SS,mmm (SRT)
+  formatTime(seconds, separator) {
+    const totalMs = Math.round(seconds * 1000);
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    const hours = Math.floor(totalMs / 3600000);
+    const minutes = Math.floor((totalMs % 3600000) / 60000);
+    const secs = Math.floor((totalMs % 60000) / 1000);
+    return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(totalMs % 1000, 3)}`;
+  }
+}
+
+module.exports = new SubtitleService();
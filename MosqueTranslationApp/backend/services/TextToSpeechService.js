@@ -0,0 +1,151 @@
+// Text-to-Speech Service for Mosque Translation App
+// Turns final translations into per-language audio segments served from /api/audio/tts
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/config');
+const TTSManager = require('./tts/TTSManager');
+
+// Listeners may still be fetching the last segments when the session ends
+const SESSION_CLEANUP_DELAY_MS = 60 * 1000;
+
+class TextToSpeechService {
+  constructor() {
+    // Must match the static mount for /api/audio/tts in server.js
+    this.outputPath = path.join(__dirname, 'audio-output');
+    this.publicPath = '/api/audio/tts';
+
+    this.ttsManager = new TTSManager(config);
+    this.initializeTTSManager();
+  }
+
+  // Initialize the TTS manager with all available providers
+  async initializeTTSManager() {
+    try {
+      await fs.promises.mkdir(this.outputPath, { recursive: true });
+      await this.ttsManager.initialize();
+      console.log('✅ TextToSpeechService: TTS providers ready');
+    } catch (error) {
+      console.error('❌ Failed to initialize TTS providers:', error);
+    }
+  }
+
+  isEnabled() {
+    return config.tts.enabled && this.ttsManager.hasAvailableProvider();
+  }
+
+  // Synthesize one translation and write it into the session's output folder
+  async synthesizeSegment(sessionId, sequence, language, text, options = {}) {
+    try {
+      const result = await this.ttsManager.synthesize(text, language, {
+        ...options,
+        voice: options.voice || config.tts.voices[language]
+      });
+
+      if (!result.success) {
+        throw new Error(result.error?.message || 'Speech synthesis failed');
+      }
+
+      const sessionFolder = this.getSessionFolder(sessionId);
+      const fileName = `${String(sequence).padStart(6, '0')}_${language}.${result.format}`;
+
+      await fs.promises.mkdir(path.join(this.outputPath, sessionFolder), { recursive: true });
+      await fs.promises.writeFile(path.join(this.outputPath, sessionFolder, fileName), result.audio);
+
+      return {
+        sessionId,
+        sequence,
+        language,
+        text,
+        audioUrl: `${this.publicPath}/${sessionFolder}/${fileName}`,
+        format: result.format,
+        mimeType: result.mimeType,
+        durationSeconds: result.durationSeconds,
+        fileSizeBytes: result.audio.length,
+        provider: result.provider,
+        timestamp: new Date()
+      };
+
+    } catch (error) {
+      console.error(`❌ TTS failed for ${language} (session ${sessionId}, #${sequence}):`, error.message);
+      return null;
+    }
+  }
+
+  // Synthesize every language of a final translation; onSegment fires as each file is ready
+  async synthesizeTranslations(sessionId, sequence, translations, onSegment) {
+    const languages = Object.keys(translations || {})
+      .filter(language => config.tts.languages.length === 0 || config.tts.languages.includes(language));
+
+    const segments = await Promise.all(languages.map(async (language) => {
+      const text = translations[language];
+      if (!text || !text.trim()) {
+        return null;
+      }
+
+      const segment = await this.synthesizeSegment(sessionId, sequence, language, text);
+      if (segment && onSegment) {
+        onSegment(segment);
+      }
+      return segment;
+    }));
+
+    return segments.filter(Boolean);
+  }
+
+  // Delete a session's segments once it has ended
+  scheduleSessionCleanup(sessionId, delayMs = SESSION_CLEANUP_DELAY_MS) {
+    setTimeout(() => this.removeSessionSegments(sessionId), delayMs).unref();
+  }
+
+  async removeSessionSegments(sessionId) {
+    try {
+      await fs.promises.rm(path.join(this.outputPath, this.getSessionFolder(sessionId)), { recursive: true, force: true });
+      return true;
+    } catch (error) {
+      console.error(`❌ Failed to remove TTS segments of session ${sessionId}:`, error.message);
+      return false;
+    }
+  }
+
+  // Session folders not written to for maxAgeMs, left by a crash or restart before their session ended
+  async deleteOldSegments(maxAgeMs = config.tts.segmentMaxAgeMs) {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(this.outputPath, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return 0;
+      }
+      throw error;
+    }
+
+    const cutoff = Date.now() - maxAgeMs;
+    let removed = 0;
+
+    for (const entry of entries.filter(entry => entry.isDirectory())) {
+      const folder = path.join(this.outputPath, entry.name);
+      const stats = await fs.promises.stat(folder);
+      if (stats.mtimeMs < cutoff) {
+        await fs.promises.rm(folder, { recursive: true, force: true });
+        removed++;
+      }
+    }
+
+    return removed;
+  }
+
+  // Session ids come from clients, keep them to a safe folder name
+  getSessionFolder(sessionId) {
+    return String(sessionId).replace(/[^a-zA-Z0-9_-]/g, '_');
+  }
+
+  getAvailableProviders() {
+    return this.ttsManager.getAvailableProviders();
+  }
+
+  setDefaultProvider(providerName) {
+    return this.ttsManager.setDefaultProvider(providerName);
+  }
+}
+
+module.exports = new TextToSpeechService();
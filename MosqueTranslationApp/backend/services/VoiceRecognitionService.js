@@ -1,31 +1,41 @@
 // Voice Recognition Service for Mosque Translation App
-const WebSocket = require('ws');
 const fs = require('fs');
 const path = require('path');
 const axios = require('axios');
 const FormData = require('form-data');
 const config = require('../config/config');
 const audioStorageService = require('./AudioStorageService');
-const io = require('socket.io-client');
+const STTManager = require('./stt/STTManager');
 
 // Import audio-related models and services
 const AudioSession = require('../models/AudioSession');
 const VoiceTranscription = require('../models/VoiceTranscription');
+const QuranMatcherService = require('./QuranMatcherService');
+const HadithDetectorService = require('./HadithDetectorService');
 const AudioRecordingService = require('./AudioRecordingService');
 
 class VoiceRecognitionService {
   constructor() {
     this.activeStreams = new Map(); // sessionId -> stream info
-    this.providers = {
-      munsit: new MunsitProvider(),
-      google: new GoogleSpeechProvider(),
-      azure: new AzureSpeechProvider(),
-      aws: new AWSTranscribeProvider(),
-      whisper: new WhisperProvider(),
-      assemblyai: new AssemblyAIProvider()
-    };
-    this.defaultProvider = 'munsit'; // Best for Arabic real-time transcription
-    this.fallbackProviders = ['google', 'azure', 'whisper']; // Fallback options
+
+    // Initialize dynamic speech-to-text manager
+    this.sttManager = new STTManager(config);
+    this.sttReady = this.initializeSTTManager();
+  }
+
+  // Initialize the STT manager with all available providers
+  async initializeSTTManager() {
+    try {
+      await this.sttManager.initialize();
+      this.sttManager.startHealthChecks(config.voiceRecognition.healthCheckIntervalMs);
+      console.log('✅ VoiceRecognitionService: Speech-to-text providers ready');
+    } catch (error) {
+      console.error('❌ Failed to initialize speech-to-text providers:', error);
+    }
+  }
+
+  get defaultProvider() {
+    return this.sttManager.defaultProvider;
   }
 
   // Start voice recognition for a session
@@ -56,22 +66,32 @@ class VoiceRecognitionService {
         sessionId,
         mosqueId,
         audioSessionId: audioSession._id,
-        provider: options.provider || this.defaultProvider,
+        provider: null,
         language: options.language || 'ar-SA', // Arabic (Saudi Arabia)
         isActive: true,
         startedAt: new Date(),
         audioBuffer: [],
-        transcriptionCallback: options.onTranscription,
-        errorCallback: options.onError,
+        // Providers report through these; failures go through failover before reaching the caller
+        transcriptionCallback: (transcription, providerName) => this.handleTranscription(sessionId, transcription, providerName),
+        errorCallback: (error, providerName) => this.handleProviderError(sessionId, error, providerName),
+        onTranscription: options.onTranscription,
+        onError: options.onError,
+        onProviderChange: options.onProviderChange,
+        failedProviders: [],
         sequenceNumber: 0
       };
 
-      // Initialize the selected provider
-      const provider = this.providers[streamInfo.provider];
-      if (!provider) {
-        throw new Error(`Provider ${streamInfo.provider} not available`);
+      // Restarting a session replaces its provider stream instead of leaving the old one open
+      const previousStream = this.activeStreams.get(sessionId);
+      if (previousStream) {
+        previousStream.isActive = false;
+        await this.sttManager.stopStream(previousStream);
       }
 
+      // Picks the requested provider or the next healthy one in the fallback chain
+      await this.sttReady;
+      await this.sttManager.startStream(streamInfo, options.provider || this.defaultProvider);
+
       // Start audio recording if enabled
       if (options.enableRecording !== false) {
         try {
@@ -101,7 +121,6 @@ class VoiceRecognitionService {
         }
       }
 
-      await provider.initialize(streamInfo);
       this.activeStreams.set(sessionId, streamInfo);
 
       console.log(`🎤 Voice recognition started for session ${sessionId} using ${streamInfo.provider}`);
@@ -114,20 +133,15 @@ class VoiceRecognitionService {
 
     } catch (error) {
       console.error('Failed to start voice recognition:', error);
-
-      // Try fallback provider
-      if (options.provider !== this.fallbackProviders[0]) {
-        console.log('Trying fallback provider...');
-        return this.startVoiceRecognition(sessionId, mosqueId, {
-          ...options,
-          provider: this.fallbackProviders[0]
-        });
-      }
-
       throw error;
     }
   }
 
+  isSessionActive(sessionId) {
+    const streamInfo = this.activeStreams.get(sessionId);
+    return !!streamInfo && streamInfo.isActive;
+  }
+
   // REMOVED: Fake audio chunk storage
 
 
@@ -143,14 +157,8 @@ class VoiceRecognitionService {
         throw new Error(`No active stream found for session ${sessionId}`);
       }
 
-      // Get the configured provider
-      const provider = this.providers[streamInfo.provider];
-      if (!provider) {
-        throw new Error(`Provider ${streamInfo.provider} not available`);
-      }
-
-      // Process the audio chunk with the provider
-      const result = await provider.processAudioChunk(audioBuffer, streamInfo, metadata);
+      // Process the audio chunk with the session's provider
+      const result = await this.sendChunk(streamInfo, audioBuffer, metadata);
 
       // Update stream statistics
       streamInfo.chunksProcessed = (streamInfo.chunksProcessed || 0) + 1;
@@ -176,13 +184,8 @@ class VoiceRecognitionService {
         throw new Error(`No active stream found for session ${sessionId}`);
       }
 
-      const provider = this.providers[streamInfo.provider];
-      if (!provider) {
-        throw new Error(`Provider ${streamInfo.provider} not available`);
-      }
-
       // Process with the provider
-      return await provider.processAudioChunk(audioChunk, streamInfo, metadata);
+      return await this.sendChunk(streamInfo, audioChunk, { ...metadata, format });
 
     } catch (error) {
       console.error('❌ Error in processAudioChunk:', error);
@@ -190,6 +193,24 @@ class VoiceRecognitionService {
     }
   }
 
+  // A chunk the provider rejects is resent to the provider that takes over, so nothing said during the switch is lost
+  async sendChunk(streamInfo, audioChunk, metadata = {}) {
+    if (streamInfo.failover) {
+      await streamInfo.failover;
+    }
+
+    const providerName = streamInfo.provider;
+    try {
+      return await this.sttManager.processAudioChunk(streamInfo, audioChunk, metadata);
+    } catch (error) {
+      const nextProvider = await this.handleProviderError(streamInfo.sessionId, error, providerName);
+      if (!nextProvider) {
+        throw error;
+      }
+      return this.sttManager.processAudioChunk(streamInfo, audioChunk, metadata);
+    }
+  }
+
   // Save complete audio file to backend storage
   async saveCompleteAudioFile(sessionId, audioFileData) {
     try {
@@ -253,25 +274,53 @@ class VoiceRecognitionService {
     }
   }
 
-  // Handle provider errors with automatic fallback
-  async handleProviderError(sessionId, error) {
+  // Transcriptions from a provider the session already switched away from are dropped
+  handleTranscription(sessionId, transcription, providerName) {
     const streamInfo = this.activeStreams.get(sessionId);
-    if (!streamInfo) return;
+    if (!streamInfo || !streamInfo.isActive || (providerName && providerName !== streamInfo.provider)) {
+      return;
+    }
+
+    streamInfo.onTranscription?.(transcription);
+  }
+
+  // Handle provider errors with automatic fallback.
+  // Resolves to the provider now serving the session, or null once every provider has failed
+  async handleProviderError(sessionId, error, providerName) {
+    const streamInfo = this.activeStreams.get(sessionId);
+    if (!streamInfo || !streamInfo.isActive) return null;
+
+    // Several errors from one outage trigger a single switch
+    if (streamInfo.failover) {
+      return streamInfo.failover;
+    }
+    if (providerName && providerName !== streamInfo.provider) {
+      return streamInfo.provider;
+    }
+
+    const failedProvider = streamInfo.provider;
+    console.log(`Provider ${failedProvider} failed, switching to fallback...`);
+
+    streamInfo.failover = this.sttManager.failover(streamInfo, error);
+    try {
+      const nextProvider = await streamInfo.failover;
+
+      if (!nextProvider) {
+        // All providers failed
+        streamInfo.onError?.(error);
+        return null;
+      }
 
-    console.log(`Provider ${streamInfo.provider} failed, switching to fallback...`);
-    
-    // Switch to next fallback provider
-    const currentIndex = this.fallbackProviders.indexOf(streamInfo.provider);
-    const nextProvider = this.fallbackProviders[currentIndex + 1];
-    
-    if (nextProvider && this.providers[nextProvider]) {
-      streamInfo.provider = nextProvider;
-      const provider = this.providers[nextProvider];
-      await provider.initialize(streamInfo);
       console.log(`Switched to fallback provider: ${nextProvider}`);
-    } else {
-      // All providers failed
-      streamInfo.errorCallback?.(error);
+      streamInfo.onProviderChange?.({
+        sessionId,
+        previousProvider: failedProvider,
+        provider: nextProvider,
+        reason: error.message
+      });
+      return nextProvider;
+    } finally {
+      streamInfo.failover = null;
     }
   }
 
@@ -282,8 +331,7 @@ class VoiceRecognitionService {
 
     try {
       streamInfo.isActive = false;
-      const provider = this.providers[streamInfo.provider];
-      await provider.cleanup(streamInfo);
+      await this.sttManager.stopStream(streamInfo);
 
       // Stop audio recording if active
       if (streamInfo.recordingId) {
@@ -327,6 +375,15 @@ class VoiceRecognitionService {
 
       const transcriptionId = `trans_${sessionId}_${streamInfo.sequenceNumber}_${Date.now()}`;
 
+      // Tag recited verses and narrations on final text; interim results change too often to be worth matching
+      const quranMatch = transcriptionData.isFinal
+        ? QuranMatcherService.match(transcriptionData.text)
+        : null;
+      const hadith = transcriptionData.isFinal
+        ? HadithDetectorService.detect(transcriptionData.text)
+        : null;
+      const isRecitation = quranMatch && quranMatch.coverage >= config.quran.minSubstitutionCoverage;
+
       const voiceTranscription = new VoiceTranscription({
         transcriptionId,
         sessionId,
@@ -340,10 +397,14 @@ class VoiceRecognitionService {
         audioStartTime: transcriptionData.audioStartTime || 0,
         audioEndTime: transcriptionData.audioEndTime || 0,
         processingTime: transcriptionData.processingTime || 0,
+        islamicContent: {
+          ...QuranMatcherService.toIslamicContent(quranMatch),
+          ...HadithDetectorService.toIslamicContent(hadith)
+        },
         metadata: {
           audioQuality: transcriptionData.audioQuality,
           backgroundNoise: transcriptionData.backgroundNoise,
-          context: transcriptionData.context || 'general'
+          context: isRecitation ? 'quran' : hadith?.isHadith ? 'hadith' : (transcriptionData.context || 'general')
         }
       });
 
@@ -370,622 +431,18 @@ class VoiceRecognitionService {
 
   // Get available providers and their status
   getProviderStatus() {
-    return Object.keys(this.providers).map(name => ({
-      name,
-      available: this.providers[name].isAvailable(),
-      accuracy: this.providers[name].getAccuracyRating(),
-      latency: this.providers[name].getLatencyRating(),
-      cost: this.providers[name].getCostRating()
+    return this.sttManager.getAvailableProviders().map(provider => ({
+      name: provider.name,
+      available: provider.isAvailable,
+      healthy: provider.health.healthy,
+      accuracy: provider.ratings.accuracy,
+      latency: provider.ratings.latency,
+      cost: provider.ratings.cost
     }));
   }
-}
-
-// Google Speech-to-Text Provider (Best for Arabic)
-class GoogleSpeechProvider {
-  constructor() {
-    this.speech = null;
-    this.recognizeStream = null;
-  }
-
-  async initialize(streamInfo) {
-    if (!config.google?.speechApiKey) {
-      throw new Error('Google Speech API key not configured');
-    }
-
-    const speech = require('@google-cloud/speech');
-    this.speech = new speech.SpeechClient({
-      keyFilename: config.google.keyFilename || undefined,
-      projectId: config.google.projectId
-    });
-
-    // Configure recognition request
-    const request = {
-      config: {
-        encoding: 'WEBM_OPUS',
-        sampleRateHertz: 48000,
-        languageCode: streamInfo.language,
-        alternativeLanguageCodes: ['ar-EG', 'ar-JO', 'ar-AE'], // Arabic variants
-        enableAutomaticPunctuation: true,
-        enableWordTimeOffsets: true,
-        model: 'latest_long', // Best for continuous speech
-        useEnhanced: true
-      },
-      interimResults: true, // Real-time partial results
-    };
-
-    // Create streaming recognition
-    this.recognizeStream = this.speech
-      .streamingRecognize(request)
-      .on('data', (data) => {
-        if (data.results[0] && data.results[0].alternatives[0]) {
-          const transcript = data.results[0].alternatives[0].transcript;
-          const confidence = data.results[0].alternatives[0].confidence;
-          const isFinal = data.results[0].isFinal;
-
-          streamInfo.transcriptionCallback?.({
-            text: transcript,
-            confidence,
-            isFinal,
-            provider: 'google',
-            timestamp: new Date()
-          });
-        }
-      })
-      .on('error', (error) => {
-        console.error('Google Speech error:', error);
-        streamInfo.errorCallback?.(error);
-      });
-  }
-
-  async processAudioChunk(audioChunk, streamInfo) {
-    if (this.recognizeStream && !this.recognizeStream.destroyed) {
-      this.recognizeStream.write(audioChunk);
-    }
-  }
-
-  async cleanup(streamInfo) {
-    if (this.recognizeStream) {
-      this.recognizeStream.end();
-      this.recognizeStream = null;
-    }
-  }
-
-  isAvailable() {
-    return !!config.google?.speechApiKey;
-  }
-
-  getAccuracyRating() { return 9; } // 9/10 for Arabic
-  getLatencyRating() { return 8; } // 8/10 speed
-  getCostRating() { return 6; } // 6/10 cost-effective
-}
-
-// Azure Speech Services Provider
-class AzureSpeechProvider {
-  constructor() {
-    this.recognizer = null;
-  }
-
-  async initialize(streamInfo) {
-    if (!config.azure?.speechKey) {
-      throw new Error('Azure Speech key not configured');
-    }
-
-    const sdk = require('microsoft-cognitiveservices-speech-sdk');
-    
-    const speechConfig = sdk.SpeechConfig.fromSubscription(
-      config.azure.speechKey,
-      config.azure.speechRegion || 'eastus'
-    );
-    
-    speechConfig.speechRecognitionLanguage = streamInfo.language;
-    speechConfig.enableDictation();
-
-    const audioConfig = sdk.AudioConfig.fromDefaultMicrophoneInput();
-    this.recognizer = new sdk.SpeechRecognizer(speechConfig, audioConfig);
-
-    // Real-time recognition events
-    this.recognizer.recognizing = (s, e) => {
-      streamInfo.transcriptionCallback?.({
-        text: e.result.text,
-        confidence: null,
-        isFinal: false,
-        provider: 'azure',
-        timestamp: new Date()
-      });
-    };
-
-    this.recognizer.recognized = (s, e) => {
-      if (e.result.reason === sdk.ResultReason.RecognizedSpeech) {
-        streamInfo.transcriptionCallback?.({
-          text: e.result.text,
-          confidence: e.result.properties.getProperty(sdk.PropertyId.SpeechServiceResponse_JsonResult),
-          isFinal: true,
-          provider: 'azure',
-          timestamp: new Date()
-        });
-      }
-    };
-
-    this.recognizer.startContinuousRecognitionAsync();
-  }
-
-  async processAudioChunk(audioChunk, streamInfo) {
-    // Azure handles audio input automatically
-  }
-
-  async cleanup(streamInfo) {
-    if (this.recognizer) {
-      this.recognizer.stopContinuousRecognitionAsync();
-      this.recognizer = null;
-    }
-  }
-
-  isAvailable() {
-    return !!config.azure?.speechKey;
-  }
-
-  getAccuracyRating() { return 8; } // 8/10 for Arabic
-  getLatencyRating() { return 7; } // 7/10 speed
-  getCostRating() { return 7; } // 7/10 cost-effective
-}
-
-// OpenAI Whisper Provider (Local/Self-hosted)
-class WhisperProvider {
-  constructor() {
-    this.whisperProcess = null;
-    this.audioBuffer = [];
-  }
-
-  async initialize(streamInfo) {
-    // Check if Whisper is available locally
-    try {
-      const { spawn } = require('child_process');
-      
-      // Use whisper.cpp for real-time processing
-      this.whisperProcess = spawn('whisper', [
-        '--model', 'base',
-        '--language', 'ar',
-        '--output-format', 'json',
-        '--real-time'
-      ]);
-
-      this.whisperProcess.stdout.on('data', (data) => {
-        try {
-          const result = JSON.parse(data.toString());
-          streamInfo.transcriptionCallback?.({
-            text: result.text,
-            confidence: result.confidence || 0.8,
-            isFinal: true,
-            provider: 'whisper',
-            timestamp: new Date()
-          });
-        } catch (error) {
-          console.error('Whisper parsing error:', error);
-        }
-      });
-
-    } catch (error) {
-      throw new Error('Whisper not available locally');
-    }
-  }
-
-  async processAudioChunk(audioChunk, streamInfo) {
-    if (this.whisperProcess && !this.whisperProcess.killed) {
-      this.whisperProcess.stdin.write(audioChunk);
-    }
-  }
-
-  async cleanup(streamInfo) {
-    if (this.whisperProcess) {
-      this.whisperProcess.kill();
-      this.whisperProcess = null;
-    }
-  }
-
-  isAvailable() {
-    // Check if whisper command is available
-    try {
-      require('child_process').execSync('which whisper', { stdio: 'ignore' });
-      return true;
-    } catch {
-      return false;
-    }
-  }
-
-  getAccuracyRating() { return 7; } // 7/10 for Arabic
-  getLatencyRating() { return 9; } // 9/10 speed (local)
-  getCostRating() { return 10; } // 10/10 cost-effective (free)
-}
-
-// AssemblyAI Provider (Good for real-time)
-class AssemblyAIProvider {
-  constructor() {
-    this.socket = null;
-  }
-
-  async initialize(streamInfo) {
-    if (!config.assemblyai?.apiKey) {
-      throw new Error('AssemblyAI API key not configured');
-    }
-
-    const WebSocket = require('ws');
-    
-    this.socket = new WebSocket('wss://api.assemblyai.com/v2/realtime/ws', {
-      headers: {
-        authorization: config.assemblyai.apiKey,
-      },
-    });
-
-    this.socket.on('open', () => {
-      console.log('AssemblyAI WebSocket connected');
-      
-      // Configure real-time transcription
-      this.socket.send(JSON.stringify({
-        sample_rate: 16000,
-        language_code: 'ar'
-      }));
-    });
-
-    this.socket.on('message', (message) => {
-      const data = JSON.parse(message);
-      
-      if (data.message_type === 'PartialTranscript') {
-        streamInfo.transcriptionCallback?.({
-          text: data.text,
-          confidence: data.confidence,
-          isFinal: false,
-          provider: 'assemblyai',
-          timestamp: new Date()
-        });
-      } else if (data.message_type === 'FinalTranscript') {
-        streamInfo.transcriptionCallback?.({
-          text: data.text,
-          confidence: data.confidence,
-          isFinal: true,
-          provider: 'assemblyai',
-          timestamp: new Date()
-        });
-      }
-    });
-  }
-
-  async processAudioChunk(audioChunk, streamInfo) {
-    if (this.socket && this.socket.readyState === WebSocket.OPEN) {
-      this.socket.send(audioChunk);
-    }
-  }
-
-  async cleanup(streamInfo) {
-    if (this.socket) {
-      this.socket.close();
-      this.socket = null;
-    }
-  }
-
-  isAvailable() {
-    return !!config.assemblyai?.apiKey;
-  }
-
-  getAccuracyRating() { return 6; } // 6/10 for Arabic
-  getLatencyRating() { return 9; } // 9/10 speed
-  getCostRating() { return 8; } // 8/10 cost-effective
-}
-
-// AWS Transcribe Provider
-class AWSTranscribeProvider {
-  constructor() {
-    this.transcribeStream = null;
-  }
-
-  async initialize(streamInfo) {
-    if (!config.aws?.accessKeyId) {
-      throw new Error('AWS credentials not configured');
-    }
-
-    const AWS = require('aws-sdk');
-    AWS.config.update({
-      accessKeyId: config.aws.accessKeyId,
-      secretAccessKey: config.aws.secretAccessKey,
-      region: config.aws.region || 'us-east-1'
-    });
-
-    const transcribeService = new AWS.TranscribeService();
-    
-    // AWS Transcribe streaming implementation
-    // Note: AWS Transcribe streaming is more complex and requires additional setup
-    console.log('AWS Transcribe initialized');
-  }
-
-  async processAudioChunk(audioChunk, streamInfo) {
-    // AWS Transcribe streaming implementation
-  }
-
-  async cleanup(streamInfo) {
-    // Cleanup AWS resources
-  }
-
-  isAvailable() {
-    return !!config.aws?.accessKeyId;
-  }
-
-  getAccuracyRating() { return 7; } // 7/10 for Arabic
-  getLatencyRating() { return 6; } // 6/10 speed
-  getCostRating() { return 5; } // 5/10 cost-effective
-}
-
-// Munsit Provider (Best for Arabic real-time transcription)
-class MunsitProvider {
-  constructor() {
-    this.socket = null;
-    this.isConnected = false;
-    this.audioBuffer = [];
-    this.reconnectAttempts = 0;
-    this.maxReconnectAttempts = 3;
-  }
-
-  async initialize(streamInfo) {
-    if (!config.munsit?.apiKey) {
-      throw new Error('Munsit API key not configured');
-    }
-
-    try {
-      const io = require('socket.io-client');
-
-      // Initialize socket connection with authentication
-      this.socket = io('https://api.cntxt.tools', {
-        transports: ['websocket'],
-        query: {
-          apiKey: config.munsit.apiKey
-        },
-        timeout: 10000,
-        reconnection: true,
-        reconnectionAttempts: this.maxReconnectAttempts,
-        reconnectionDelay: 1000
-      });
-
-      // Set up event listeners
-      this.setupSocketListeners(streamInfo);
-
-      // Wait for connection
-      await new Promise((resolve, reject) => {
-        const timeout = setTimeout(() => {
-          reject(new Error('Munsit connection timeout'));
-        }, 10000);
-
-        this.socket.on('connect', () => {
-          clearTimeout(timeout);
-          this.isConnected = true;
-          this.reconnectAttempts = 0;
-          console.log('Connected to Munsit socket server');
-          resolve();
-        });
-
-        this.socket.on('connect_error', (error) => {
-          clearTimeout(timeout);
-          reject(new Error(`Munsit connection failed: ${error.message}`));
-        });
-      });
-
-    } catch (error) {
-      console.error('Munsit initialization error:', error);
-      throw error;
-    }
-  }
-
-  setupSocketListeners(streamInfo) {
-    // Handle successful transcription
-    this.socket.on('transcription', (data) => {
-      try {
-        // Munsit returns the full transcription text
-        const transcriptionText = typeof data === 'string' ? data : data.text || data.transcription;
-
-        if (transcriptionText && transcriptionText.trim()) {
-          streamInfo.transcriptionCallback?.({
-            text: transcriptionText.trim(),
-            confidence: 0.95, // Munsit typically has high confidence for Arabic
-            isFinal: true, // Munsit returns complete transcriptions
-            provider: 'munsit',
-            timestamp: new Date(),
-            language: 'ar',
-            wordTimestamps: data.timestamps || null
-          });
-        }
-      } catch (error) {
-        console.error('Munsit transcription parsing error:', error);
-        streamInfo.errorCallback?.(error);
-      }
-    });
-
-    // Handle transcription errors
-    this.socket.on('transcription_error', (error) => {
-      console.error('Munsit transcription error:', error);
-      streamInfo.errorCallback?.(new Error(`Transcription error: ${error}`));
-    });
-
-    // Handle authentication errors
-    this.socket.on('authentication_error', (error) => {
-      console.error('Munsit authentication error:', error);
-      streamInfo.errorCallback?.(new Error(`Authentication failed: ${error}`));
-    });
-
-    // Handle disconnection
-    this.socket.on('disconnect', (reason) => {
-      console.log('Disconnected from Munsit socket server:', reason);
-      this.isConnected = false;
-
-      if (reason === 'io server disconnect') {
-        // Server disconnected, try to reconnect
-        this.handleReconnection(streamInfo);
-      }
-    });
-
-    // Handle reconnection
-    this.socket.on('reconnect', (attemptNumber) => {
-      console.log(`Reconnected to Munsit server (attempt ${attemptNumber})`);
-      this.isConnected = true;
-      this.reconnectAttempts = 0;
-    });
-
-    this.socket.on('reconnect_error', (error) => {
-      this.reconnectAttempts++;
-      console.error(`Munsit reconnection error (attempt ${this.reconnectAttempts}):`, error);
-
-      if (this.reconnectAttempts >= this.maxReconnectAttempts) {
-        streamInfo.errorCallback?.(new Error('Failed to reconnect to Munsit server'));
-      }
-    });
-  }
-
-  async processAudioChunk(audioChunk, streamInfo, metadata = {}) {
-    if (!this.socket || !this.isConnected) {
-      console.warn('Munsit socket not connected, buffering audio chunk');
-      this.audioBuffer.push({ chunk: audioChunk, metadata });
-      return null;
-    }
-
-    try {
-      // Process buffered chunks first
-      if (this.audioBuffer.length > 0) {
-        console.log(`📤 Processing ${this.audioBuffer.length} buffered audio chunks`);
-        for (const bufferedItem of this.audioBuffer) {
-          await this.sendAudioChunk(bufferedItem.chunk, bufferedItem.metadata);
-        }
-        this.audioBuffer = [];
-      }
-
-      // Process current chunk
-      await this.sendAudioChunk(audioChunk, metadata);
-
-      // Return a placeholder result - real transcription will come via socket events
-      return {
-        transcription: null, // Will be populated by socket events
-        confidence: null,
-        isFinal: false,
-        provider: 'munsit',
-        timestamp: new Date(),
-        sequence: metadata.sequence
-      };
-
-    } catch (error) {
-      console.error('Munsit audio processing error:', error);
-      streamInfo.errorCallback?.(error);
-      throw error;
-    }
-  }
-
-  async sendAudioChunk(audioChunk, metadata = {}) {
-    if (!audioChunk || !this.socket || !this.isConnected) {
-      return;
-    }
-
-    try {
-      // Convert audio chunk to proper format for Munsit
-      let audioBuffer;
-      if (audioChunk instanceof ArrayBuffer) {
-        audioBuffer = Array.from(new Uint8Array(audioChunk));
-      } else if (audioChunk instanceof Uint8Array) {
-        audioBuffer = Array.from(audioChunk);
-      } else if (Buffer.isBuffer(audioChunk)) {
-        audioBuffer = Array.from(new Uint8Array(audioChunk));
-      } else if (Array.isArray(audioChunk)) {
-        audioBuffer = audioChunk;
-      } else {
-        console.warn('Unsupported audio chunk format for Munsit:', typeof audioChunk);
-        return;
-      }
-
-      // Ensure we have valid audio data
-      if (!audioBuffer || audioBuffer.length === 0) {
-        console.warn('Empty audio buffer, skipping Munsit transmission');
-        return;
-      }
-
-      // Send audio chunk to Munsit with metadata
-      const payload = {
-        audioBuffer: audioBuffer,
-        timestamp: metadata.timestamp || Date.now(),
-        sequence: metadata.sequence || 0,
-        sampleRate: metadata.sampleRate || 44100,
-        channels: metadata.channels || 1,
-        format: metadata.format || 'm4a'
-      };
-
-      this.socket.emit('audio_chunk', payload);
-      console.log(`📤 Sent audio chunk to Munsit: ${audioBuffer.length} bytes, seq: ${payload.sequence}`);
-
-    } catch (error) {
-      console.error('Error sending audio chunk to Munsit:', error);
-      throw error;
-    }
-  }
-
-
-
-  async cleanup(streamInfo) {
-    try {
-      // Clear audio buffer
-      this.audioBuffer = [];
-
-      // Send end signal and disconnect
-      if (this.socket && this.isConnected) {
-        this.socket.emit('end');
-        this.socket.disconnect();
-      }
-
-      this.socket = null;
-      this.isConnected = false;
-      this.reconnectAttempts = 0;
-
-      console.log('Munsit provider cleaned up');
-    } catch (error) {
-      console.error('Munsit cleanup error:', error);
-    }
-  }
-
-  handleReconnection(streamInfo) {
-    if (this.reconnectAttempts < this.maxReconnectAttempts) {
-      this.reconnectAttempts++;
-      console.log(`Attempting to reconnect to Munsit (attempt ${this.reconnectAttempts})`);
-
-      setTimeout(() => {
-        if (this.socket && !this.isConnected) {
-          this.socket.connect();
-        }
-      }, 1000 * this.reconnectAttempts);
-    } else {
-      streamInfo.errorCallback?.(new Error('Maximum reconnection attempts reached for Munsit'));
-    }
-  }
-
-  isAvailable() {
-    return !!config.munsit?.apiKey;
-  }
-
-  getAccuracyRating() {
-    return 9; // 9/10 - Specialized for Arabic
-  }
-
-  getLatencyRating() {
-    return 9; // 9/10 - Real-time WebSocket streaming
-  }
-
-  getCostRating() {
-    return 7; // 7/10 - Competitive pricing for Arabic transcription
-  }
-
-  getLanguageSupport() {
-    return ['ar', 'ar-SA', 'ar-EG', 'ar-JO', 'ar-AE', 'ar-MA']; // Arabic variants
-  }
 
-  getFeatures() {
-    return {
-      realTime: true,
-      wordTimestamps: true,
-      confidence: true,
-      punctuation: true,
-      arabicSpecialized: true,
-      streaming: true
-    };
+  hasAvailableProvider() {
+    return this.sttManager.hasAvailableProvider();
   }
 }
 
@@ -0,0 +1,149 @@
+// ffmpeg filter chains for cleaning up recordings, and parsers for what ffmpeg reports about them
+// Kept free of ffmpeg itself so the decisions can be checked without running it
+
+const CODECS = {
+  mp3: { codec: 'libmp3lame', container: 'mp3', extension: 'mp3', sampleRate: 44100 },
+  opus: { codec: 'libopus', container: 'ogg', extension: 'opus', sampleRate: 48000 } // Opus only runs at 48 kHz
+};
+
+// 'mp3:128,opus:48' -> [{ name: 'mp3_128', format: 'mp3', bitrateKbps: 128, ... }]
+function parseVariants(spec) {
+  const variants = new Map();
+
+  for (const entry of String(spec).split(',')) {
+    const [format, bitrate] = entry.trim().toLowerCase().split(':');
+    const bitrateKbps = parseInt(bitrate);
+    if (!CODECS[format] || !(bitrateKbps >= 6 && bitrateKbps <= 320)) {
+      throw new Error(`Invalid audio variant "${entry.trim()}", expected format:kbps with format mp3 or opus`);
+    }
+
+    const name = `${format}_${bitrateKbps}`;
+    variants.set(name, { name, format, bitrateKbps, ...CODECS[format] });
+  }
+
+  return [...variants.values()];
+}
+
+// Variants sit next to the original: mosque_1/sermon_ab12cd.m4a -> mosque_1/sermon_ab12cd_128k.mp3
+function variantKey(originalKey, variant) {
+  const base = originalKey.replace(/\.[^./]+$/, '');
+  return `${base}_${variant.bitrateKbps}k.${variant.extension}`;
+}
+
+function cleanupFilters(settings) {
+  const filters = [`highpass=f=${settings.highpassHz}`];
+  if (settings.noiseReduction) {
+    filters.push(`afftdn=nf=${settings.noiseFloorDb}`);
+  }
+  return filters;
+}
+
+function loudnormTarget(loudness) {
+  return `I=${loudness.integrated}:TP=${loudness.truePeak}:LRA=${loudness.range}`;
+}
+
+// First pass: measure silence and loudness of the cleaned-up audio without writing anything
+function analysisFilters(settings) {
+  return [
+    ...cleanupFilters(settings),
+    `silencedetect=noise=${settings.silence.thresholdDb}dB:d=${settings.silence.minSeconds}`,
+    `loudnorm=${loudnormTarget(settings.loudness)}:print_format=json`
+  ];
+}
+
+// Second pass: trim, clean up and normalise with the measured values (linear, so speech dynamics are kept)
+function masterFilters(settings, { trim, loudness }) {
+  const filters = [];
+
+  if (trim && (trim.start > 0 || trim.end !== null)) {
+    filters.push(`atrim=start=${trim.start.toFixed(3)}${trim.end !== null ? `:end=${trim.end.toFixed(3)}` : ''}`);
+    filters.push('asetpts=PTS-STARTPTS');
+  }
+
+  filters.push(...cleanupFilters(settings));
+
+  if (loudness) {
+    filters.push(
+      `loudnorm=${loudnormTarget(settings.loudness)}` +
+      `:measured_I=${loudness.inputI}:measured_TP=${loudness.inputTP}:measured_LRA=${loudness.inputLRA}` +
+      `:measured_thresh=${loudness.inputThresh}:offset=${loudness.targetOffset}:linear=true`
+    );
+  } else {
+    // Nothing measurable (e.g. a silent recording): single-pass normalisation
+    filters.push(`loudnorm=${loudnormTarget(settings.loudness)}`);
+  }
+
+  return filters;
+}
+
+// The JSON block loudnorm prints at the end of the first pass; null when it could not measure anything
+function parseLoudnessReport(stderr) {
+  const start = stderr.lastIndexOf('{');
+  const end = stderr.lastIndexOf('}');
+  if (start === -1 || end < start) {
+    return null;
+  }
+
+  let report;
+  try {
+    report = JSON.parse(stderr.slice(start, end + 1));
+  } catch (error) {
+    return null;
+  }
+
+  const loudness = {
+    inputI: parseFloat(report.input_i),
+    inputTP: parseFloat(report.input_tp),
+    inputLRA: parseFloat(report.input_lra),
+    inputThresh: parseFloat(report.input_thresh),
+    targetOffset: parseFloat(report.target_offset)
+  };
+
+  return Object.values(loudness).every(Number.isFinite) ? loudness : null;
+}
+
+// Where the speech starts and ends, from silencedetect's log lines. end is null when nothing is cut at the end
+function parseSilenceReport(stderr, durationSeconds, { paddingSeconds = 0 } = {}) {
+  const periods = [];
+
+  for (const match of stderr.matchAll(/silence_(start|end): (-?[\d.]+)/g)) {
+    const time = Math.max(0, parseFloat(match[2]));
+    if (match[1] === 'start') {
+      periods.push({ start: time, end: null });
+    } else if (periods.length > 0 && periods[periods.length - 1].end === null) {
+      periods[periods.length - 1].end = time;
+    }
+  }
+
+  const first = periods[0];
+  const last = periods[periods.length - 1];
+  // Silence still running when the file ends (newer ffmpeg closes it at the end of the stream)
+  const reachesEnd = (period) => period.end === null || (durationSeconds > 0 && period.end >= durationSeconds - 0.05);
+
+  // No silence at all, or a recording that is silence from start to end: left alone
+  if (!first || (first.start <= 0.05 && reachesEnd(first))) {
+    return { start: 0, end: null };
+  }
+
+  const start = first.start <= 0.05 ? Math.max(0, first.end - paddingSeconds) : 0;
+
+  let end = null;
+  if (last.start > start && reachesEnd(last)) {
+    end = last.start + paddingSeconds;
+    if (durationSeconds > 0 && end >= durationSeconds) {
+      end = null;
+    }
+  }
+
+  return { start, end };
+}
+
+module.exports = {
+  CODECS,
+  parseVariants,
+  variantKey,
+  analysisFilters,
+  masterFilters,
+  parseLoudnessReport,
+  parseSilenceReport
+};
@@ -0,0 +1,171 @@
+// Quran Corpus - bundled Uthmani text, word index and approved verse translations
+// Arabic text and bundled translations come from the quran-json package; each translation
+// keeps the terms of its original source (tanzil.net / quranenc.com)
+const fs = require('fs');
+const path = require('path');
+const { tokenize } = require('./arabicText');
+
+// Translations shipped with quran-json
+const BUNDLED_EDITIONS = {
+  en: { id: 'en.sahih', file: 'quran_en.json', translator: 'Saheeh International', source: 'tanzil.net' },
+  tr: { id: 'tr.diyanet', file: 'quran_tr.json', translator: 'Diyanet İşleri', source: 'tanzil.net' },
+  fr: { id: 'fr.hamidullah', file: 'quran_fr.json', translator: 'Muhammad Hamidullah', source: 'tanzil.net' },
+  es: { id: 'es.garcia', file: 'quran_es.json', translator: 'Muhammad Isa García', source: 'tanzil.net' },
+  ur: { id: 'ur.maududi', file: 'quran_ur.json', translator: "Abul A'la Maududi", source: 'tanzil.net' },
+  ru: { id: 'ru.kuliev', file: 'quran_ru.json', translator: 'Elmir Kuliev', source: 'tanzil.net' },
+  id: { id: 'id.indonesian', file: 'quran_id.json', translator: 'Indonesian Islamic Affairs Ministry', source: 'quranenc.com' },
+  bn: { id: 'bn.bengali', file: 'quran_bn.json', translator: 'Muhiuddin Khan', source: 'tanzil.net' },
+  zh: { id: 'zh.makin', file: 'quran_zh.json', translator: 'Muhammad Makin', source: 'quranenc.com' },
+  sv: { id: 'sv.bernstrom', file: 'quran_sv.json', translator: 'Knut Bernström', source: 'tanzil.net' }
+};
+
+// Words that appear in too many verses to help pick candidates
+const MAX_WORD_FREQUENCY = 400;
+
+class QuranCorpus {
+  constructor(options = {}) {
+    this.customTranslationsDir = options.customTranslationsDir;
+    this.approvedLanguages = options.approvedLanguages || [];
+
+    this.surahs = [];      // index -> { number, name, transliteration, totalVerses }
+    this.verses = [];      // flat list of { surah, ayah, text, skeletons }
+    this.verseIndex = new Map(); // 'surah:ayah' -> verse
+    this.wordIndex = new Map();  // skeleton -> array of verse positions
+    this.editions = new Map();   // language code -> { edition, verses: Map('s:a' -> text) }
+    this.isLoaded = false;
+  }
+
+  // Lazy load: the corpus is a few MB, only pay for it once matching is used
+  load() {
+    if (this.isLoaded) {
+      return this;
+    }
+
+    const chapters = require('quran-json/dist/quran.json');
+
+    chapters.forEach(chapter => {
+      this.surahs[chapter.id] = {
+        number: chapter.id,
+        name: chapter.name,
+        transliteration: chapter.transliteration,
+        totalVerses: chapter.total_verses
+      };
+
+      chapter.verses.forEach(verse => {
+        const entry = {
+          surah: chapter.id,
+          ayah: verse.id,
+          text: verse.text,
+          skeletons: tokenize(verse.text).map(t => t.skeleton).filter(Boolean)
+        };
+        const position = this.verses.push(entry) - 1;
+        this.verseIndex.set(`${chapter.id}:${verse.id}`, entry);
+
+        new Set(entry.skeletons).forEach(skeleton => {
+          if (!this.wordIndex.has(skeleton)) {
+            this.wordIndex.set(skeleton, []);
+          }
+          this.wordIndex.get(skeleton).push(position);
+        });
+      });
+    });
+
+    this.isLoaded = true;
+    console.log(`📖 Quran corpus loaded: ${this.verses.length} verses`);
+    return this;
+  }
+
+  // Verses sharing the most distinctive words with the transcript
+  findCandidates(skeletons, limit = 25) {
+    this.load();
+
+    const hits = new Map();
+    new Set(skeletons).forEach(skeleton => {
+      const positions = this.wordIndex.get(skeleton);
+      if (!positions || positions.length > MAX_WORD_FREQUENCY) {
+        return;
+      }
+      positions.forEach(position => hits.set(position, (hits.get(position) || 0) + 1));
+    });
+
+    return Array.from(hits.entries())
+      .filter(([, count]) => count >= 2)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, limit)
+      .map(([position]) => this.verses[position]);
+  }
+
+  getVerse(surah, ayah) {
+    this.load();
+    return this.verseIndex.get(`${surah}:${ayah}`) || null;
+  }
+
+  getSurah(surah) {
+    this.load();
+    return this.surahs[surah] || null;
+  }
+
+  // Approved translation for one verse, or null if the language has none
+  getTranslation(language, surah, ayah) {
+    const edition = this.getEdition(language);
+    if (!edition) {
+      return null;
+    }
+
+    const text = edition.verses.get(`${surah}:${ayah}`);
+    return text ? { text, edition: edition.edition } : null;
+  }
+
+  getEdition(language) {
+    if (!this.isApproved(language)) {
+      return null;
+    }
+
+    if (!this.editions.has(language)) {
+      this.editions.set(language, this.loadEdition(language));
+    }
+    return this.editions.get(language);
+  }
+
+  isApproved(language) {
+    return this.approvedLanguages.length === 0 || this.approvedLanguages.includes(language);
+  }
+
+  // Mosque-supplied editions in the custom directory override bundled ones.
+  // File format: { "edition": { "id", "translator", "license" }, "verses": { "1:1": "..." } }
+  loadEdition(language) {
+    try {
+      const customFile = this.customTranslationsDir && path.join(this.customTranslationsDir, `${language}.json`);
+      if (customFile && fs.existsSync(customFile)) {
+        const custom = JSON.parse(fs.readFileSync(customFile, 'utf8'));
+        console.log(`📖 Loaded custom Quran translation for ${language}: ${custom.edition?.id}`);
+        return {
+          edition: { ...custom.edition, source: 'custom' },
+          verses: new Map(Object.entries(custom.verses || {}))
+        };
+      }
+
+      const bundled = BUNDLED_EDITIONS[language];
+      if (!bundled) {
+        return null;
+      }
+
+      const chapters = require(`quran-json/dist/${bundled.file}`);
+      const verses = new Map();
+      chapters.forEach(chapter => {
+        chapter.verses.forEach(verse => verses.set(`${chapter.id}:${verse.id}`, verse.translation));
+      });
+
+      return {
+        edition: { id: bundled.id, translator: bundled.translator, source: bundled.source },
+        verses
+      };
+
+    } catch (error) {
+      console.error(`❌ Failed to load Quran translation for ${language}:`, error.message);
+      return null;
+    }
+  }
+}
+
+module.exports = QuranCorpus;
@@ -0,0 +1,156 @@
+// Arabic text helpers shared by the Quran and hadith detectors
+// Speech-to-text output is plain modern spelling, the Quran corpus is Uthmani script,
+// so both sides are reduced to the same normalized form before comparing
+
+// Harakat, Quranic annotation marks and small high letters
+const DIACRITICS = /[\u0610-\u061A\u064B-\u065F\u06D6-\u06DC\u06DF-\u06E8\u06EA-\u06ED]/g;
+const TATWEEL = /\u0640/g;
+const NON_ARABIC = /[^\u0621-\u063A\u0641-\u064A\s]/g;
+
+function normalizeArabic(text = '') {
+  return String(text)
+    .replace(/\u0670/g, 'ا') // dagger alef is a full alef in modern spelling
+    .replace(DIACRITICS, '')
+    .replace(TATWEEL, '')
+    .replace(/[\u0671\u0623\u0625\u0622]/g, 'ا')
+    .replace(/ى/g, 'ي')
+    .replace(/ة/g, 'ه')
+    .replace(/ؤ/g, 'و')
+    .replace(/ئ/g, 'ي')
+    .replace(/ء/g, '')
+    .replace(NON_ARABIC, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Consonantal skeleton: drops long vowels so Uthmani and modern spellings
+// (الرحمٰن / الرحمن, الصلوة / الصلاة) collapse to the same word
+function toSkeleton(word = '') {
+  return normalizeArabic(word).replace(/[اوي\s]/g, '');
+}
+
+// Split original text into whitespace tokens, keeping each token's skeleton
+// so matches can be mapped back onto the words the speaker actually said
+function tokenize(text = '') {
+  return String(text)
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(token => ({ token, skeleton: toSkeleton(token) }));
+}
+
+// Levenshtein distance with an early exit once it exceeds maxDistance
+function editDistance(a, b, maxDistance = Infinity) {
+  if (Math.abs(a.length - b.length) > maxDistance) {
+    return maxDistance + 1;
+  }
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+
+    if (rowMin > maxDistance) {
+      return maxDistance + 1;
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+// Tolerates a single recognition error in longer words
+function wordsMatch(a, b) {
+  if (a === b) {
+    return true;
+  }
+  if (a.length < 4 || b.length < 4) {
+    return false;
+  }
+  return editDistance(a, b, 1) <= 1;
+}
+
+// Local alignment (Smith-Waterman) of transcript skeletons [from, to) against a reference
+// word list; empty transcript slots never match. Returns the aligned span and how much
+// of the reference it covers, or null when nothing lines up
+function alignWords(words, referenceWords, from = 0, to = words.length) {
+  const n = to - from;
+  const m = referenceWords.length;
+  if (n <= 0 || m === 0) {
+    return null;
+  }
+
+  const scores = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(0));
+  let bestScore = 0;
+  let bestI = 0;
+  let bestJ = 0;
+
+  for (let i = 1; i <= n; i++) {
+    const word = words[from + i - 1];
+    for (let j = 1; j <= m; j++) {
+      const same = word && wordsMatch(word, referenceWords[j - 1]);
+      scores[i][j] = Math.max(
+        0,
+        scores[i - 1][j - 1] + (same ? 2 : -1),
+        scores[i - 1][j] - 1,
+        scores[i][j - 1] - 1
+      );
+      if (scores[i][j] > bestScore) {
+        bestScore = scores[i][j];
+        bestI = i;
+        bestJ = j;
+      }
+    }
+  }
+
+  if (bestScore === 0) {
+    return null;
+  }
+
+  // Walk back through the aligned region
+  let i = bestI;
+  let j = bestJ;
+  let matched = 0;
+  let start = bestI;
+  while (i > 0 && j > 0 && scores[i][j] > 0) {
+    const word = words[from + i - 1];
+    const same = word && wordsMatch(word, referenceWords[j - 1]);
+    if (same && scores[i][j] === scores[i - 1][j - 1] + 2) {
+      matched++;
+      start = i;
+      i--;
+      j--;
+    } else if (scores[i][j] === scores[i - 1][j] - 1) {
+      i--;
+    } else if (scores[i][j] === scores[i][j - 1] - 1) {
+      j--;
+    } else {
+      i--;
+      j--;
+    }
+  }
+
+  const spanLength = bestI - start + 1;
+  return {
+    matched,
+    start: from + start - 1,
+    end: from + bestI - 1,
+    coverage: Math.round((matched / m) * 100) / 100,
+    density: Math.round((matched / spanLength) * 100) / 100
+  };
+}
+
+module.exports = {
+  normalizeArabic,
+  toSkeleton,
+  tokenize,
+  editDistance,
+  wordsMatch,
+  alignWords
+};
@@ -0,0 +1,38 @@
+// Solar noon (the start of Dhuhr) without a prayer time library
+// NOAA equation-of-time approximation, accurate to well under a minute
+
+const MINUTE_MS = 60 * 1000;
+
+// Minutes the true sun runs ahead of (+) or behind (-) mean time on a given UTC day
+function equationOfTime(date) {
+  const startOfYear = Date.UTC(date.getUTCFullYear(), 0, 1);
+  const dayOfYear = Math.floor((date.getTime() - startOfYear) / (24 * 60 * MINUTE_MS)) + 1;
+  const gamma = (2 * Math.PI / 365) * (dayOfYear - 1);
+
+  return 229.18 * (
+    0.000075 +
+    0.001868 * Math.cos(gamma) -
+    0.032077 * Math.sin(gamma) -
+    0.014615 * Math.cos(2 * gamma) -
+    0.040849 * Math.sin(2 * gamma)
+  );
+}
+
+// Solar noon on the calendar day of `date` (UTC date parts) at the given longitude
+function solarNoon(date, longitude) {
+  const midnight = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+  const minutes = 720 - 4 * longitude - equationOfTime(date);
+  return new Date(midnight + minutes * MINUTE_MS);
+}
+
+// Dhuhr begins once the sun has passed its zenith; rounded up to the next whole minute
+function dhuhrTime(date, longitude) {
+  const noon = solarNoon(date, longitude).getTime();
+  return new Date(Math.ceil(noon / MINUTE_MS) * MINUTE_MS + MINUTE_MS);
+}
+
+module.exports = {
+  equationOfTime,
+  solarNoon,
+  dhuhrTime
+};
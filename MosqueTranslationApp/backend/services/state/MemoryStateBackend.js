@@ -0,0 +1,57 @@
+// Memory State Backend - default single-instance backend
+// State only lives in the collections' own Maps, so nothing survives a restart
+
+class MemoryStateBackend {
+  constructor() {
+    this.name = 'memory';
+  }
+
+  async connect() {
+    return true;
+  }
+
+  async load(collection) {
+    return {};
+  }
+
+  async fetch(collection, key) {
+    return null;
+  }
+
+  async save(collection, key, data) {
+    return true;
+  }
+
+  async remove(collection, key, nestedFields = []) {
+    return true;
+  }
+
+  async loadEntries(collection, key, field) {
+    return {};
+  }
+
+  async fetchEntry(collection, key, field, entryKey) {
+    return null;
+  }
+
+  async saveEntry(collection, key, field, entryKey, data) {
+    return true;
+  }
+
+  async removeEntry(collection, key, field, entryKey) {
+    return true;
+  }
+
+  // Single process, no other instances to hear from
+  onChange(handler) {}
+
+  createAdapter() {
+    return null;
+  }
+
+  async close() {
+    return true;
+  }
+}
+
+module.exports = MemoryStateBackend;
@@ -0,0 +1,122 @@
+// Redis State Backend - shared live state for restarts and multiple server instances
+// Works with any Redis-compatible server (Redis, Valkey, KeyDB, Dragonfly)
+const Redis = require('ioredis');
+const { createAdapter } = require('@socket.io/redis-adapter');
+
+class RedisStateBackend {
+  constructor(options = {}) {
+    this.name = 'redis';
+    this.url = options.url;
+    this.keyPrefix = options.keyPrefix || 'mosque-app';
+    this.serverId = options.serverId;
+    this.changesChannel = `${this.keyPrefix}:state:changes`;
+
+    this.client = new Redis(this.url, { lazyConnect: true, maxRetriesPerRequest: 3 });
+    this.subscriber = null;
+    this.changeHandler = null;
+
+    this.client.on('error', (error) => {
+      console.error('❌ Redis state backend error:', error.message);
+    });
+  }
+
+  async connect() {
+    await this.client.connect();
+
+    // Separate connection, a subscribed Redis client cannot run other commands
+    this.subscriber = this.client.duplicate();
+    this.subscriber.on('message', (channel, message) => this.handleMessage(message));
+    await this.subscriber.subscribe(this.changesChannel);
+
+    console.log(`✅ Redis state backend connected (${this.keyPrefix})`);
+    return true;
+  }
+
+  collectionKey(collection) {
+    return `${this.keyPrefix}:state:${collection}`;
+  }
+
+  // Nested Map fields get a hash of their own, so entries are written with HSET/HDEL one at a time
+  entriesKey(collection, key, field) {
+    return `${this.collectionKey(collection)}:${key}:${field}`;
+  }
+
+  publishChange(multi, change) {
+    return multi.publish(this.changesChannel, JSON.stringify({ origin: this.serverId, ...change }));
+  }
+
+  async load(collection) {
+    return await this.client.hgetall(this.collectionKey(collection));
+  }
+
+  async fetch(collection, key) {
+    return await this.client.hget(this.collectionKey(collection), key);
+  }
+
+  async save(collection, key, data) {
+    const multi = this.client.multi().hset(this.collectionKey(collection), key, data);
+    await this.publishChange(multi, { collection, key }).exec();
+    return true;
+  }
+
+  async remove(collection, key, nestedFields = []) {
+    const multi = this.client.multi().hdel(this.collectionKey(collection), key);
+    nestedFields.forEach(field => multi.del(this.entriesKey(collection, key, field)));
+    await this.publishChange(multi, { collection, key }).exec();
+    return true;
+  }
+
+  async loadEntries(collection, key, field) {
+    return await this.client.hgetall(this.entriesKey(collection, key, field));
+  }
+
+  async fetchEntry(collection, key, field, entryKey) {
+    return await this.client.hget(this.entriesKey(collection, key, field), entryKey);
+  }
+
+  async saveEntry(collection, key, field, entryKey, data) {
+    const multi = this.client.multi().hset(this.entriesKey(collection, key, field), entryKey, data);
+    await this.publishChange(multi, { collection, key, field, entryKey }).exec();
+    return true;
+  }
+
+  async removeEntry(collection, key, field, entryKey) {
+    const multi = this.client.multi().hdel(this.entriesKey(collection, key, field), entryKey);
+    await this.publishChange(multi, { collection, key, field, entryKey }).exec();
+    return true;
+  }
+
+  // Register a callback for changes made by other server instances
+  onChange(handler) {
+    this.changeHandler = handler;
+  }
+
+  handleMessage(message) {
+    try {
+      const change = JSON.parse(message);
+      if (change.origin !== this.serverId && this.changeHandler) {
+        this.changeHandler(change.collection, change.key, change.field || null, change.entryKey || null);
+      }
+    } catch (error) {
+      console.error('❌ Invalid state change message:', error.message);
+    }
+  }
+
+  // Socket.IO adapter so rooms and io.to(socketId) reach sockets on every instance
+  createAdapter() {
+    const pubClient = this.client.duplicate();
+    const subClient = this.client.duplicate();
+    return createAdapter(pubClient, subClient, { key: `${this.keyPrefix}:socket.io` });
+  }
+
+  async close() {
+    if (this.subscriber) {
+      await this.subscriber.quit();
+    }
+    await this.client.quit();
+    console.log('✅ Redis state backend closed');
+    return true;
+  }
+}
+
+module.exports = RedisStateBackend;
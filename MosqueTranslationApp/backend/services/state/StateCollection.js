@@ -0,0 +1,215 @@
+// State Collection - Map-like store for live session state backed by a state backend
+// Reads stay synchronous against the local Map; writes are mirrored to the backend.
+// Entries mutated in place must be written back with persist(key).
+// Nested Map fields (e.g. a session's participants) are stored entry by entry and changed with
+// setEntry/deleteEntry, so two server instances adding to the same Map never overwrite each other.
+
+class StateCollection {
+  constructor(name, backend, options = {}) {
+    this.name = name;
+    this.backend = backend;
+    this.omit = options.omit || []; // top-level fields that never leave this process
+    this.nested = options.nested || []; // top-level Map fields stored per entry
+    this.items = new Map();
+  }
+
+  // Load every stored entry from the backend (called once on startup)
+  async hydrate() {
+    const stored = await this.backend.load(this.name);
+
+    for (const [key, data] of Object.entries(stored)) {
+      try {
+        const value = decode(data);
+        await this.loadNested(key, value);
+        this.items.set(key, value);
+      } catch (error) {
+        console.error(`❌ Skipping unreadable ${this.name} entry ${key}:`, error.message);
+      }
+    }
+
+    return this.items.size;
+  }
+
+  // Re-read one item after another server instance changed it; with field set, only that nested entry
+  async refresh(key, field = null, entryKey = null) {
+    try {
+      if (field) {
+        await this.refreshEntry(key, field, entryKey);
+        return;
+      }
+
+      const data = await this.backend.fetch(this.name, key);
+      if (data === null) {
+        this.items.delete(key);
+        return;
+      }
+
+      // Nested Maps are kept up to date entry by entry, so a known item keeps its own
+      const value = decode(data);
+      const current = this.items.get(key);
+      if (current) {
+        this.nested.forEach(name => { value[name] = current[name]; });
+      } else {
+        await this.loadNested(key, value);
+      }
+      this.items.set(key, value);
+    } catch (error) {
+      console.error(`❌ Failed to refresh ${this.name} entry ${key}:`, error.message);
+    }
+  }
+
+  async refreshEntry(key, field, entryKey) {
+    const value = this.items.get(key);
+    if (!value || !(value[field] instanceof Map)) {
+      return;
+    }
+
+    const data = await this.backend.fetchEntry(this.name, key, field, entryKey);
+    if (data === null) {
+      value[field].delete(entryKey);
+    } else {
+      value[field].set(entryKey, decode(data));
+    }
+  }
+
+  async loadNested(key, value) {
+    for (const field of this.nested) {
+      const stored = await this.backend.loadEntries(this.name, key, field);
+      value[field] = new Map(Object.entries(stored).map(([entryKey, data]) => [entryKey, decode(data)]));
+    }
+  }
+
+  get(key) {
+    return this.items.get(key);
+  }
+
+  has(key) {
+    return this.items.has(key);
+  }
+
+  set(key, value) {
+    this.items.set(key, value);
+    this.persist(key);
+    for (const field of this.nested) {
+      if (value[field] instanceof Map) {
+        value[field].forEach((entry, entryKey) => this.persistEntry(key, field, entryKey));
+      }
+    }
+    return this;
+  }
+
+  delete(key) {
+    const existed = this.items.delete(key);
+    this.backend.remove(this.name, key, this.nested).catch(error => {
+      console.error(`❌ Failed to remove ${this.name} entry ${key}:`, error.message);
+    });
+    return existed;
+  }
+
+  // Write an item back after it was mutated in place (nested Map fields are written with persistEntry)
+  persist(key) {
+    const value = this.items.get(key);
+    if (value === undefined) {
+      return;
+    }
+
+    this.backend.save(this.name, key, encode(value, [...this.omit, ...this.nested])).catch(error => {
+      console.error(`❌ Failed to persist ${this.name} entry ${key}:`, error.message);
+    });
+  }
+
+  // Add or replace one entry of a nested Map field, e.g. setEntry(sessionId, 'participants', socketId, participant)
+  setEntry(key, field, entryKey, entry) {
+    const value = this.items.get(key);
+    if (!value) {
+      return;
+    }
+
+    if (!(value[field] instanceof Map)) {
+      value[field] = new Map();
+    }
+    value[field].set(entryKey, entry);
+    this.persistEntry(key, field, entryKey);
+  }
+
+  deleteEntry(key, field, entryKey) {
+    const value = this.items.get(key);
+    const existed = !!value && value[field] instanceof Map && value[field].delete(entryKey);
+
+    this.backend.removeEntry(this.name, key, field, entryKey).catch(error => {
+      console.error(`❌ Failed to remove ${this.name} ${field} entry ${entryKey}:`, error.message);
+    });
+    return existed;
+  }
+
+  // Write one nested entry back after it was mutated in place
+  persistEntry(key, field, entryKey) {
+    const value = this.items.get(key);
+    const entry = value && value[field] instanceof Map ? value[field].get(entryKey) : undefined;
+    if (entry === undefined) {
+      return;
+    }
+
+    this.backend.saveEntry(this.name, key, field, entryKey, encode(entry)).catch(error => {
+      console.error(`❌ Failed to persist ${this.name} ${field} entry ${entryKey}:`, error.message);
+    });
+  }
+
+  get size() {
+    return this.items.size;
+  }
+
+  keys() {
+    return this.items.keys();
+  }
+
+  values() {
+    return this.items.values();
+  }
+
+  entries() {
+    return this.items.entries();
+  }
+
+  forEach(callback) {
+    this.items.forEach((value, key) => callback(value, key, this));
+  }
+
+  [Symbol.iterator]() {
+    return this.items.entries();
+  }
+}
+
+// JSON encoding that keeps Maps, Sets and Dates intact across a round trip
+function encode(value, omit = []) {
+  return JSON.stringify(value, function (key, val) {
+    if (this === value && omit.includes(key)) {
+      return undefined;
+    }
+
+    const raw = this[key];
+    if (raw instanceof Map) {
+      return { __type: 'Map', entries: Array.from(raw.entries()) };
+    }
+    if (raw instanceof Set) {
+      return { __type: 'Set', values: Array.from(raw.values()) };
+    }
+    if (raw instanceof Date) {
+      return { __type: 'Date', value: raw.toISOString() };
+    }
+    return val;
+  });
+}
+
+function decode(data) {
+  return JSON.parse(data, (key, val) => {
+    if (val && typeof val === 'object') {
+      if (val.__type === 'Map') return new Map(val.entries);
+      if (val.__type === 'Set') return new Set(val.values);
+      if (val.__type === 'Date') return new Date(val.value);
+    }
+    return val;
+  });
+}
+
+module.exports = StateCollection;
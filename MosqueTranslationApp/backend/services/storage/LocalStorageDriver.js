@@ -0,0 +1,144 @@
+// Local Storage Driver - files on this server's disk, the default
+// Each area (recordings, uploads) is a directory and keys are paths inside it
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+
+class LocalStorageDriver {
+  constructor(options = {}) {
+    this.name = 'local';
+    this.provider = 'local'; // AudioRecording.storage.provider
+    this.roots = options.roots || {}; // area -> absolute directory
+  }
+
+  async connect() {
+    for (const root of Object.values(this.roots)) {
+      await fs.promises.mkdir(root, { recursive: true });
+    }
+    return true;
+  }
+
+  // Keys come from the database and from URLs, so one must never reach outside its area
+  resolve(area, key) {
+    const root = this.roots[area];
+    if (!root) {
+      throw new Error(`Unknown storage area: ${area}`);
+    }
+
+    const fullPath = path.resolve(root, key);
+    if (!fullPath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return fullPath;
+  }
+
+  // Files captured straight into the area are already in place
+  async putFile(area, key, sourcePath) {
+    const target = this.resolve(area, key);
+    if (path.resolve(sourcePath) !== target) {
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      await fs.promises.copyFile(sourcePath, target);
+    }
+
+    const stats = await fs.promises.stat(target);
+    return { key, size: stats.size };
+  }
+
+  async putBuffer(area, key, buffer) {
+    const target = this.resolve(area, key);
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    await fs.promises.writeFile(target, buffer);
+    return { key, size: buffer.length };
+  }
+
+  createReadStream(area, key) {
+    return fs.createReadStream(this.resolve(area, key));
+  }
+
+  async downloadToFile(area, key, targetPath) {
+    await fs.promises.mkdir(path.dirname(targetPath), { recursive: true });
+    await pipeline(this.createReadStream(area, key), fs.createWriteStream(targetPath));
+    return targetPath;
+  }
+
+  // null when the file does not exist
+  async stat(area, key) {
+    try {
+      const stats = await fs.promises.stat(this.resolve(area, key));
+      return stats.isFile() ? { size: stats.size, modifiedAt: stats.mtime } : null;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async remove(area, key) {
+    try {
+      await fs.promises.unlink(this.resolve(area, key));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  // Same key, another area (recordings -> archive); renamed when both are on one disk
+  async move(fromArea, key, toArea) {
+    const source = this.resolve(fromArea, key);
+    const target = this.resolve(toArea, key);
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+
+    try {
+      await fs.promises.rename(source, target);
+    } catch (error) {
+      if (error.code !== 'EXDEV') {
+        throw error;
+      }
+      await fs.promises.copyFile(source, target);
+      await fs.promises.unlink(source);
+    }
+
+    const stats = await fs.promises.stat(target);
+    return { key, size: stats.size };
+  }
+
+  // Every key in an area, for moving files to another driver
+  async list(area) {
+    const root = this.roots[area];
+    const keys = [];
+
+    const walk = async (directory) => {
+      let entries;
+      try {
+        entries = await fs.promises.readdir(directory, { withFileTypes: true });
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return;
+        }
+        throw error;
+      }
+
+      for (const entry of entries) {
+        const fullPath = path.join(directory, entry.name);
+        if (entry.isDirectory()) {
+          await walk(fullPath);
+        } else if (entry.isFile()) {
+          keys.push(path.relative(root, fullPath).split(path.sep).join('/'));
+        }
+      }
+    };
+
+    await walk(root);
+    return keys;
+  }
+
+  async close() {
+    return true;
+  }
+}
+
+module.exports = LocalStorageDriver;
@@ -0,0 +1,123 @@
+// S3 Storage Driver - objects in an S3-compatible bucket (AWS S3, MinIO, Cloudflare R2, Wasabi)
+// Objects are named {prefix}/{area}/{key}; downloads use presigned GET URLs
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const AWS = require('aws-sdk');
+
+class S3StorageDriver {
+  constructor(options = {}) {
+    this.name = 's3';
+    this.provider = 'aws_s3'; // AudioRecording.storage.provider
+    this.bucket = options.bucket;
+    this.region = options.region;
+    this.prefix = (options.prefix || '').replace(/^\/+|\/+$/g, '');
+
+    if (!this.bucket) {
+      throw new Error('S3 storage needs S3_BUCKET');
+    }
+
+    this.client = new AWS.S3({
+      endpoint: options.endpoint || undefined,
+      region: options.region,
+      accessKeyId: options.accessKeyId,
+      secretAccessKey: options.secretAccessKey,
+      // MinIO and most self-hosted services only understand bucket-in-path URLs
+      s3ForcePathStyle: options.forcePathStyle,
+      signatureVersion: 'v4'
+    });
+  }
+
+  // Fail at startup rather than on the first finished sermon
+  async connect() {
+    await this.client.headBucket({ Bucket: this.bucket }).promise();
+    console.log(`✅ S3 storage connected (${this.bucket})`);
+    return true;
+  }
+
+  objectKey(area, key) {
+    return [this.prefix, area, key].filter(Boolean).join('/');
+  }
+
+  async putFile(area, key, sourcePath, options = {}) {
+    const stats = await fs.promises.stat(sourcePath);
+    await this.client.upload({
+      Bucket: this.bucket,
+      Key: this.objectKey(area, key),
+      Body: fs.createReadStream(sourcePath),
+      ContentType: options.contentType
+    }).promise();
+    return { key, size: stats.size };
+  }
+
+  async putBuffer(area, key, buffer, options = {}) {
+    await this.client.upload({
+      Bucket: this.bucket,
+      Key: this.objectKey(area, key),
+      Body: buffer,
+      ContentType: options.contentType
+    }).promise();
+    return { key, size: buffer.length };
+  }
+
+  createReadStream(area, key) {
+    return this.client.getObject({ Bucket: this.bucket, Key: this.objectKey(area, key) }).createReadStream();
+  }
+
+  async downloadToFile(area, key, targetPath) {
+    await fs.promises.mkdir(path.dirname(targetPath), { recursive: true });
+    await pipeline(this.createReadStream(area, key), fs.createWriteStream(targetPath));
+    return targetPath;
+  }
+
+  // null when the object does not exist
+  async stat(area, key) {
+    try {
+      const head = await this.client.headObject({ Bucket: this.bucket, Key: this.objectKey(area, key) }).promise();
+      return { size: head.ContentLength, modifiedAt: head.LastModified };
+    } catch (error) {
+      if (error.statusCode === 404 || error.code === 'NotFound') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async remove(area, key) {
+    await this.client.deleteObject({ Bucket: this.bucket, Key: this.objectKey(area, key) }).promise();
+    return true;
+  }
+
+  // Same key, another area (recordings -> archive), optionally into a cheaper storage class
+  async move(fromArea, key, toArea, options = {}) {
+    const source = this.objectKey(fromArea, key);
+    const target = this.objectKey(toArea, key);
+
+    await this.client.copyObject({
+      Bucket: this.bucket,
+      Key: target,
+      CopySource: encodeURI(`${this.bucket}/${source}`),
+      ...(options.storageClass && { StorageClass: options.storageClass })
+    }).promise();
+    await this.client.deleteObject({ Bucket: this.bucket, Key: source }).promise();
+
+    const head = await this.client.headObject({ Bucket: this.bucket, Key: target }).promise();
+    return { key, size: head.ContentLength };
+  }
+
+  async getSignedUrl(area, key, { expiresIn, fileName, contentType } = {}) {
+    return await this.client.getSignedUrlPromise('getObject', {
+      Bucket: this.bucket,
+      Key: this.objectKey(area, key),
+      Expires: expiresIn,
+      ...(fileName && { ResponseContentDisposition: `inline; filename="${fileName.replace(/"/g, '')}"` }),
+      ...(contentType && { ResponseContentType: contentType })
+    });
+  }
+
+  async close() {
+    return true;
+  }
+}
+
+module.exports = S3StorageDriver;
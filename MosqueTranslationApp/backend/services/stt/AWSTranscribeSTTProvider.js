@@ -0,0 +1,52 @@
+// AWS Transcribe Provider
+const STTProviderInterface = require('./STTProviderInterface');
+
+class AWSTranscribeSTTProvider extends STTProviderInterface {
+  constructor(config) {
+    super('aws', config);
+    this.transcribeService = null;
+    this.supportedLanguages = ['ar', 'en'];
+    this.ratings = {
+      accuracy: 7, // 7/10 for Arabic
+      latency: 6,
+      cost: 5
+    };
+  }
+
+  async initialize() {
+    if (!this.config?.accessKeyId) {
+      throw new Error('AWS credentials not configured');
+    }
+
+    const AWS = require('aws-sdk');
+    AWS.config.update({
+      accessKeyId: this.config.accessKeyId,
+      secretAccessKey: this.config.secretAccessKey,
+      region: this.config.region || 'us-east-1'
+    });
+
+    this.transcribeService = new AWS.TranscribeService();
+    this.isInitialized = true;
+  }
+
+  hasValidConfig() {
+    return !!this.config?.accessKeyId;
+  }
+
+  async startStream(streamInfo) {
+    // AWS Transcribe streaming is more complex and requires additional setup
+    console.log('AWS Transcribe initialized');
+    this.setStream(streamInfo, {});
+  }
+
+  async processAudioChunk(audioChunk, streamInfo) {
+    // AWS Transcribe streaming implementation
+    return null;
+  }
+
+  async stopStream(streamInfo) {
+    this.deleteStream(streamInfo);
+  }
+}
+
+module.exports = AWSTranscribeSTTProvider;
@@ -0,0 +1,81 @@
+// AssemblyAI Provider (Good for real-time)
+const WebSocket = require('ws');
+const STTProviderInterface = require('./STTProviderInterface');
+
+class AssemblyAISTTProvider extends STTProviderInterface {
+  constructor(config) {
+    super('assemblyai', config);
+    this.supportedLanguages = ['ar', 'en'];
+    this.ratings = {
+      accuracy: 6, // 6/10 for Arabic
+      latency: 9,
+      cost: 8
+    };
+  }
+
+  async initialize() {
+    if (!this.config?.apiKey) {
+      throw new Error('AssemblyAI API key not configured');
+    }
+
+    this.isInitialized = true;
+  }
+
+  hasValidConfig() {
+    return !!this.config?.apiKey;
+  }
+
+  async startStream(streamInfo) {
+    const socket = new WebSocket('wss://api.assemblyai.com/v2/realtime/ws', {
+      headers: {
+        authorization: this.config.apiKey
+      }
+    });
+
+    socket.on('open', () => {
+      console.log('AssemblyAI WebSocket connected');
+
+      // Configure real-time transcription
+      socket.send(JSON.stringify({
+        sample_rate: 16000,
+        language_code: 'ar'
+      }));
+    });
+
+    socket.on('message', (message) => {
+      const data = JSON.parse(message);
+
+      if (data.message_type === 'PartialTranscript' || data.message_type === 'FinalTranscript') {
+        this.emitTranscription(streamInfo, {
+          text: data.text,
+          confidence: data.confidence,
+          isFinal: data.message_type === 'FinalTranscript'
+        });
+      }
+    });
+
+    socket.on('error', (error) => {
+      this.reportError(streamInfo, error);
+    });
+
+    this.setStream(streamInfo, { socket });
+  }
+
+  async processAudioChunk(audioChunk, streamInfo) {
+    const state = this.getStream(streamInfo);
+    if (state && state.socket.readyState === WebSocket.OPEN) {
+      state.socket.send(audioChunk);
+      this.usage.chunksProcessed++;
+    }
+    return null;
+  }
+
+  async stopStream(streamInfo) {
+    const state = this.deleteStream(streamInfo);
+    if (state) {
+      state.socket.close();
+    }
+  }
+}
+
+module.exports = AssemblyAISTTProvider;
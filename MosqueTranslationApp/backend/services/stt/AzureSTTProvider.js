@@ -0,0 +1,83 @@
+// Azure Speech Services Provider
+const STTProviderInterface = require('./STTProviderInterface');
+
+class AzureSTTProvider extends STTProviderInterface {
+  constructor(config) {
+    super('azure', config);
+    this.sdk = null;
+    this.supportedLanguages = ['ar', 'en', 'ur', 'tr', 'fr', 'de'];
+    this.ratings = {
+      accuracy: 8, // 8/10 for Arabic
+      latency: 7,
+      cost: 7
+    };
+  }
+
+  async initialize() {
+    if (!this.config?.speechKey) {
+      throw new Error('Azure Speech key not configured');
+    }
+
+    this.sdk = require('microsoft-cognitiveservices-speech-sdk');
+    this.isInitialized = true;
+  }
+
+  hasValidConfig() {
+    return !!this.config?.speechKey;
+  }
+
+  async startStream(streamInfo) {
+    const sdk = this.sdk;
+    const speechConfig = sdk.SpeechConfig.fromSubscription(
+      this.config.speechKey,
+      this.config.speechRegion || 'eastus'
+    );
+
+    speechConfig.speechRecognitionLanguage = streamInfo.language;
+    speechConfig.enableDictation();
+
+    const audioConfig = sdk.AudioConfig.fromDefaultMicrophoneInput();
+    const recognizer = new sdk.SpeechRecognizer(speechConfig, audioConfig);
+
+    // Real-time recognition events
+    recognizer.recognizing = (s, e) => {
+      this.emitTranscription(streamInfo, {
+        text: e.result.text,
+        isFinal: false
+      });
+    };
+
+    recognizer.recognized = (s, e) => {
+      if (e.result.reason === sdk.ResultReason.RecognizedSpeech) {
+        this.emitTranscription(streamInfo, {
+          text: e.result.text,
+          confidence: e.result.properties.getProperty(sdk.PropertyId.SpeechServiceResponse_JsonResult),
+          isFinal: true
+        });
+      }
+    };
+
+    recognizer.canceled = (s, e) => {
+      if (e.reason === sdk.CancellationReason.Error) {
+        this.reportError(streamInfo, new Error(e.errorDetails));
+      }
+    };
+
+    recognizer.startContinuousRecognitionAsync();
+    this.setStream(streamInfo, { recognizer });
+  }
+
+  async processAudioChunk(audioChunk, streamInfo) {
+    // Azure handles audio input automatically
+    return null;
+  }
+
+  async stopStream(streamInfo) {
+    const state = this.deleteStream(streamInfo);
+    if (state) {
+      state.recognizer.stopContinuousRecognitionAsync();
+    }
+  }
+}
+
+module.exports = AzureSTTProvider;
@@ -0,0 +1,120 @@
+// File Replay Provider - Stand-in speech engine that replays a prepared transcript
+// Every N audio chunks the next line comes back as a final transcription, whatever the audio contains,
+// so the live pipeline can be exercised in tests and demos without a vendor account or network
+const fs = require('fs');
+const path = require('path');
+const STTProviderInterface = require('./STTProviderInterface');
+
+class FileReplaySTTProvider extends STTProviderInterface {
+  constructor(config) {
+    super('replay', config);
+    this.segments = [];
+    this.transcriptPath = null;
+    this.supportedLanguages = ['ar'];
+    this.ratings = {
+      accuracy: 10, // Replays exactly what it was given
+      latency: 10,
+      cost: 10
+    };
+  }
+
+  async initialize() {
+    if (!this.config?.transcriptPath) {
+      throw new Error('Replay transcript file not configured');
+    }
+
+    // Relative paths are resolved from backend/, like the other data files
+    this.transcriptPath = path.resolve(__dirname, '../..', this.config.transcriptPath);
+    this.segments = await this.loadTranscript(this.transcriptPath);
+    this.isInitialized = true;
+
+    console.log(`📼 Replay transcript loaded: ${this.segments.length} segments from ${this.transcriptPath}`);
+  }
+
+  hasValidConfig() {
+    return !!this.config?.transcriptPath;
+  }
+
+  // JSON files hold an array of strings or { text, confidence, chunks } objects; text files one segment per line
+  async loadTranscript(filePath) {
+    const content = await fs.promises.readFile(filePath, 'utf8');
+    const entries = path.extname(filePath).toLowerCase() === '.json'
+      ? JSON.parse(content)
+      : content.split('\n');
+
+    const segments = entries
+      .map(entry => (typeof entry === 'string' ? { text: entry } : entry))
+      .filter(segment => segment && typeof segment.text === 'string' && segment.text.trim())
+      .map(segment => ({
+        text: segment.text.trim(),
+        confidence: segment.confidence ?? 0.99,
+        chunks: segment.chunks || this.config.chunksPerSegment || 4
+      }));
+
+    if (segments.length === 0) {
+      throw new Error(`Replay transcript ${filePath} has no segments`);
+    }
+
+    return segments;
+  }
+
+  async healthCheck() {
+    await fs.promises.access(this.transcriptPath, fs.constants.R_OK);
+    return { healthy: true };
+  }
+
+  async startStream(streamInfo) {
+    this.setStream(streamInfo, {
+      index: 0,
+      chunksInSegment: 0,
+      chunksTotal: 0,
+      segmentStartChunk: 0
+    });
+  }
+
+  // Results are returned per chunk rather than pushed, so the replay is identical on every run
+  async processAudioChunk(audioChunk, streamInfo, metadata = {}) {
+    const state = this.getStream(streamInfo);
+    if (!state) {
+      throw new Error('Replay stream not started');
+    }
+
+    state.chunksInSegment++;
+    state.chunksTotal++;
+    this.usage.chunksProcessed++;
+
+    if (state.index >= this.segments.length) {
+      if (!this.config.loop) {
+        return null;
+      }
+      state.index = 0;
+    }
+
+    const segment = this.segments[state.index];
+    if (state.chunksInSegment < segment.chunks) {
+      return null;
+    }
+
+    const chunkSeconds = (this.config.chunkDurationMs || 250) / 1000;
+    const result = this.formatResult(segment.text, {
+      confidence: segment.confidence,
+      isFinal: true,
+      sequence: metadata.sequence,
+      audioStartTime: state.segmentStartChunk * chunkSeconds,
+      audioEndTime: state.chunksTotal * chunkSeconds
+    });
+
+    state.index++;
+    state.chunksInSegment = 0;
+    state.segmentStartChunk = state.chunksTotal;
+    this.usage.transcriptions++;
+
+    return result;
+  }
+
+  async stopStream(streamInfo) {
+    this.deleteStream(streamInfo);
+  }
+}
+
+module.exports = FileReplaySTTProvider;
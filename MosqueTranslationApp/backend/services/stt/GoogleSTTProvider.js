@@ -0,0 +1,86 @@
+// Google Speech-to-Text Provider (Best for Arabic)
+const STTProviderInterface = require('./STTProviderInterface');
+
+class GoogleSTTProvider extends STTProviderInterface {
+  constructor(config) {
+    super('google', config);
+    this.speech = null;
+    this.supportedLanguages = ['ar', 'en', 'ur', 'tr', 'fr', 'de'];
+    this.ratings = {
+      accuracy: 9, // 9/10 for Arabic
+      latency: 8,
+      cost: 6
+    };
+  }
+
+  async initialize() {
+    if (!this.config?.speechApiKey) {
+      throw new Error('Google Speech API key not configured');
+    }
+
+    const speech = require('@google-cloud/speech');
+    this.speech = new speech.SpeechClient({
+      keyFilename: this.config.keyFilename || undefined,
+      projectId: this.config.projectId
+    });
+
+    this.isInitialized = true;
+  }
+
+  hasValidConfig() {
+    return !!this.config?.speechApiKey;
+  }
+
+  async startStream(streamInfo) {
+    // Configure recognition request
+    const request = {
+      config: {
+        encoding: 'WEBM_OPUS',
+        sampleRateHertz: 48000,
+        languageCode: streamInfo.language,
+        alternativeLanguageCodes: ['ar-EG', 'ar-JO', 'ar-AE'], // Arabic variants
+        enableAutomaticPunctuation: true,
+        enableWordTimeOffsets: true,
+        model: 'latest_long', // Best for continuous speech
+        useEnhanced: true
+      },
+      interimResults: true // Real-time partial results
+    };
+
+    // Create streaming recognition
+    const recognizeStream = this.speech
+      .streamingRecognize(request)
+      .on('data', (data) => {
+        if (data.results[0] && data.results[0].alternatives[0]) {
+          this.emitTranscription(streamInfo, {
+            text: data.results[0].alternatives[0].transcript,
+            confidence: data.results[0].alternatives[0].confidence,
+            isFinal: data.results[0].isFinal
+          });
+        }
+      })
+      .on('error', (error) => {
+        this.reportError(streamInfo, error);
+      });
+
+    this.setStream(streamInfo, { recognizeStream });
+  }
+
+  async processAudioChunk(audioChunk, streamInfo) {
+    const state = this.getStream(streamInfo);
+    if (state && !state.recognizeStream.destroyed) {
+      state.recognizeStream.write(audioChunk);
+      this.usage.chunksProcessed++;
+    }
+    return null;
+  }
+
+  async stopStream(streamInfo) {
+    const state = this.deleteStream(streamInfo);
+    if (state) {
+      state.recognizeStream.end();
+    }
+  }
+}
+
+module.exports = GoogleSTTProvider;
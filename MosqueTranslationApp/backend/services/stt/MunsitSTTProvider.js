@@ -0,0 +1,265 @@
+// Munsit Speech-to-Text Provider (Best for Arabic real-time transcription)
+const axios = require('axios');
+const STTProviderInterface = require('./STTProviderInterface');
+
+class MunsitSTTProvider extends STTProviderInterface {
+  constructor(config) {
+    super('munsit', config);
+    this.socketUrl = config?.socketUrl || 'https://api.cntxt.tools';
+    this.maxReconnectAttempts = 3;
+    this.supportedLanguages = ['ar'];
+    this.ratings = {
+      accuracy: 9, // Specialized for Arabic
+      latency: 9, // Real-time WebSocket streaming
+      cost: 7 // Competitive pricing for Arabic transcription
+    };
+  }
+
+  async initialize() {
+    if (!this.config?.apiKey) {
+      throw new Error('Munsit API key not configured');
+    }
+
+    this.isInitialized = true;
+  }
+
+  hasValidConfig() {
+    return !!this.config?.apiKey;
+  }
+
+  // The socket.io polling handshake answers without an API key, so it only proves the server is reachable
+  async healthCheck() {
+    await axios.get(`${this.socketUrl}/socket.io/`, {
+      params: { EIO: 4, transport: 'polling' },
+      timeout: 5000
+    });
+    return { healthy: true };
+  }
+
+  async startStream(streamInfo) {
+    const io = require('socket.io-client');
+
+    // Initialize socket connection with authentication
+    const state = {
+      socket: io(this.socketUrl, {
+        transports: ['websocket'],
+        query: {
+          apiKey: this.config.apiKey
+        },
+        timeout: 10000,
+        reconnection: true,
+        reconnectionAttempts: this.maxReconnectAttempts,
+        reconnectionDelay: 1000
+      }),
+      isConnected: false,
+      audioBuffer: [],
+      reconnectAttempts: 0
+    };
+
+    // Set up event listeners
+    this.setupSocketListeners(state, streamInfo);
+
+    try {
+      // Wait for connection
+      await new Promise((resolve, reject) => {
+        const timeout = setTimeout(() => {
+          reject(new Error('Munsit connection timeout'));
+        }, 10000);
+
+        state.socket.once('connect', () => {
+          clearTimeout(timeout);
+          state.isConnected = true;
+          state.reconnectAttempts = 0;
+          console.log('Connected to Munsit socket server');
+          resolve();
+        });
+
+        state.socket.once('connect_error', (error) => {
+          clearTimeout(timeout);
+          reject(new Error(`Munsit connection failed: ${error.message}`));
+        });
+      });
+    } catch (error) {
+      state.socket.disconnect();
+      throw error;
+    }
+
+    this.setStream(streamInfo, state);
+  }
+
+  setupSocketListeners(state, streamInfo) {
+    const { socket } = state;
+
+    // Handle successful transcription
+    socket.on('transcription', (data) => {
+      try {
+        // Munsit returns the full transcription text
+        const transcriptionText = typeof data === 'string' ? data : data.text || data.transcription;
+
+        if (transcriptionText && transcriptionText.trim()) {
+          this.emitTranscription(streamInfo, {
+            text: transcriptionText.trim(),
+            confidence: 0.95, // Munsit typically has high confidence for Arabic
+            isFinal: true, // Munsit returns complete transcriptions
+            language: 'ar',
+            wordTimestamps: data.timestamps || null
+          });
+        }
+      } catch (error) {
+        console.error('Munsit transcription parsing error:', error);
+      }
+    });
+
+    // Handle transcription errors
+    socket.on('transcription_error', (error) => {
+      this.reportError(streamInfo, new Error(`Transcription error: ${error}`));
+    });
+
+    // Handle authentication errors
+    socket.on('authentication_error', (error) => {
+      this.reportError(streamInfo, new Error(`Authentication failed: ${error}`));
+    });
+
+    // Handle disconnection
+    socket.on('disconnect', (reason) => {
+      console.log('Disconnected from Munsit socket server:', reason);
+      state.isConnected = false;
+
+      if (reason === 'io server disconnect') {
+        // Server disconnected, try to reconnect
+        this.handleReconnection(state, streamInfo);
+      }
+    });
+
+    // Handle reconnection
+    socket.on('reconnect', (attemptNumber) => {
+      console.log(`Reconnected to Munsit server (attempt ${attemptNumber})`);
+      state.isConnected = true;
+      state.reconnectAttempts = 0;
+    });
+
+    socket.on('reconnect_error', (error) => {
+      state.reconnectAttempts++;
+      console.error(`Munsit reconnection error (attempt ${state.reconnectAttempts}):`, error);
+
+      if (state.reconnectAttempts >= this.maxReconnectAttempts) {
+        this.reportError(streamInfo, new Error('Failed to reconnect to Munsit server'));
+      }
+    });
+  }
+
+  async processAudioChunk(audioChunk, streamInfo, metadata = {}) {
+    const state = this.getStream(streamInfo);
+    if (!state) {
+      throw new Error('Munsit stream not started');
+    }
+
+    if (!state.isConnected) {
+      console.warn('Munsit socket not connected, buffering audio chunk');
+      state.audioBuffer.push({ chunk: audioChunk, metadata });
+      return null;
+    }
+
+    // Process buffered chunks first
+    if (state.audioBuffer.length > 0) {
+      console.log(`📤 Processing ${state.audioBuffer.length} buffered audio chunks`);
+      for (const bufferedItem of state.audioBuffer) {
+        this.sendAudioChunk(state, bufferedItem.chunk, bufferedItem.metadata);
+      }
+      state.audioBuffer = [];
+    }
+
+    // Process current chunk
+    this.sendAudioChunk(state, audioChunk, metadata);
+    this.usage.chunksProcessed++;
+
+    // Real transcription arrives later through socket events
+    return null;
+  }
+
+  sendAudioChunk(state, audioChunk, metadata = {}) {
+    // Convert audio chunk to proper format for Munsit
+    let audioBuffer;
+    if (audioChunk instanceof ArrayBuffer) {
+      audioBuffer = Array.from(new Uint8Array(audioChunk));
+    } else if (audioChunk instanceof Uint8Array || Buffer.isBuffer(audioChunk)) {
+      audioBuffer = Array.from(audioChunk);
+    } else if (Array.isArray(audioChunk)) {
+      audioBuffer = audioChunk;
+    } else {
+      console.warn('Unsupported audio chunk format for Munsit:', typeof audioChunk);
+      return;
+    }
+
+    // Ensure we have valid audio data
+    if (audioBuffer.length === 0) {
+      console.warn('Empty audio buffer, skipping Munsit transmission');
+      return;
+    }
+
+    // Send audio chunk to Munsit with metadata
+    const payload = {
+      audioBuffer,
+      timestamp: metadata.timestamp || Date.now(),
+      sequence: metadata.sequence || 0,
+      sampleRate: metadata.sampleRate || 44100,
+      channels: metadata.channels || 1,
+      format: metadata.format || 'm4a'
+    };
+
+    state.socket.emit('audio_chunk', payload);
+    console.log(`📤 Sent audio chunk to Munsit: ${audioBuffer.length} bytes, seq: ${payload.sequence}`);
+  }
+
+  async stopStream(streamInfo) {
+    const state = this.deleteStream(streamInfo);
+    if (!state) {
+      return;
+    }
+
+    try {
+      // Send end signal and disconnect
+      if (state.isConnected) {
+        state.socket.emit('end');
+      }
+      state.socket.removeAllListeners();
+      state.socket.disconnect();
+
+      console.log('Munsit provider cleaned up');
+    } catch (error) {
+      console.error('Munsit cleanup error:', error);
+    }
+  }
+
+  handleReconnection(state, streamInfo) {
+    if (state.reconnectAttempts < this.maxReconnectAttempts) {
+      state.reconnectAttempts++;
+      console.log(`Attempting to reconnect to Munsit (attempt ${state.reconnectAttempts})`);
+
+      setTimeout(() => {
+        if (this.getStream(streamInfo) === state && !state.isConnected) {
+          state.socket.connect();
+        }
+      }, 1000 * state.reconnectAttempts);
+    } else {
+      this.reportError(streamInfo, new Error('Maximum reconnection attempts reached for Munsit'));
+    }
+  }
+
+  getLanguageSupport() {
+    return ['ar', 'ar-SA', 'ar-EG', 'ar-JO', 'ar-AE', 'ar-MA']; // Arabic variants
+  }
+
+  getFeatures() {
+    return {
+      realTime: true,
+      wordTimestamps: true,
+      confidence: true,
+      punctuation: true,
+      arabicSpecialized: true,
+      streaming: true
+    };
+  }
+}
+
+module.exports = MunsitSTTProvider;
@@ -0,0 +1,304 @@
+// STT Manager - Dynamic provider system that supports multiple speech-to-text engines
+const MunsitSTTProvider = require('./MunsitSTTProvider');
+const GoogleSTTProvider = require('./GoogleSTTProvider');
+const AzureSTTProvider = require('./AzureSTTProvider');
+const WhisperSTTProvider = require('./WhisperSTTProvider');
+const AssemblyAISTTProvider = require('./AssemblyAISTTProvider');
+const AWSTranscribeSTTProvider = require('./AWSTranscribeSTTProvider');
+const FileReplaySTTProvider = require('./FileReplaySTTProvider');
+
+class STTManager {
+  constructor(config) {
+    this.config = config;
+    this.providers = new Map();
+    this.fallbackOrder = config.voiceRecognition?.fallbackProviders || ['google', 'azure', 'whisper'];
+    this.defaultProvider = config.voiceRecognition?.defaultProvider || 'munsit';
+    this.healthCheckTimer = null;
+    this.isInitialized = false;
+  }
+
+  // Initialize all available providers
+  async initialize() {
+    try {
+      console.log('🔄 Initializing STT Manager...');
+
+      const voiceConfig = this.config.voiceRecognition || {};
+      const candidates = [
+        { name: 'munsit', label: 'Munsit', enabled: !!this.config.munsit?.apiKey, create: () => new MunsitSTTProvider(this.config.munsit) },
+        { name: 'google', label: 'Google Speech', enabled: !!this.config.google?.speechApiKey, create: () => new GoogleSTTProvider(this.config.google) },
+        { name: 'azure', label: 'Azure Speech', enabled: !!this.config.azure?.speechKey, create: () => new AzureSTTProvider(this.config.azure) },
+        { name: 'assemblyai', label: 'AssemblyAI', enabled: !!this.config.assemblyai?.apiKey, create: () => new AssemblyAISTTProvider(this.config.assemblyai) },
+        { name: 'aws', label: 'AWS Transcribe', enabled: !!this.config.aws?.accessKeyId, create: () => new AWSTranscribeSTTProvider(this.config.aws) },
+        // Needs a local binary, so it is only registered when one is found
+        { name: 'whisper', label: 'Whisper', enabled: voiceConfig.whisper?.enabled !== false, create: () => new WhisperSTTProvider(voiceConfig.whisper) },
+        // Test and demo stand-in, only when a transcript file is configured
+        { name: 'replay', label: 'File replay', enabled: !!voiceConfig.replay?.transcriptPath, create: () => new FileReplaySTTProvider(voiceConfig.replay) }
+      ];
+
+      for (const candidate of candidates) {
+        if (!candidate.enabled) {
+          continue;
+        }
+
+        try {
+          await this.registerProvider(candidate.create());
+          console.log(`✅ ${candidate.label} STT provider ready`);
+        } catch (error) {
+          console.warn(`⚠️ ${candidate.label} STT provider failed to initialize:`, error.message);
+        }
+      }
+
+      this.selectDefaultProvider();
+
+      this.isInitialized = true;
+      console.log(`✅ STT Manager initialized with ${this.providers.size} providers`);
+      console.log(`🎯 Default STT provider: ${this.defaultProvider}`);
+
+      return {
+        success: true,
+        providersCount: this.providers.size,
+        availableProviders: Array.from(this.providers.keys()),
+        defaultProvider: this.defaultProvider
+      };
+
+    } catch (error) {
+      console.error('❌ STT Manager initialization failed:', error);
+      throw error;
+    }
+  }
+
+  // Add an initialized provider; also used to plug in engines that ship outside this folder
+  async registerProvider(provider) {
+    if (!provider.isInitialized) {
+      await provider.initialize();
+    }
+    this.providers.set(provider.name, provider);
+    return provider;
+  }
+
+  // Fall back to first available provider if the configured default is missing
+  selectDefaultProvider() {
+    if (this.providers.size === 0 || this.providers.has(this.defaultProvider)) {
+      return;
+    }
+
+    const providerName = this.fallbackOrder.find(name => this.providers.has(name))
+      || this.providers.keys().next().value;
+    this.defaultProvider = providerName;
+  }
+
+  // Start streaming for a session with the preferred provider or the next usable one in the chain
+  async startStream(streamInfo, preferredProvider) {
+    if (!this.isInitialized) {
+      throw new Error('STT Manager not initialized');
+    }
+
+    streamInfo.failedProviders = streamInfo.failedProviders || [];
+    const providersToTry = this.getProviderFallbackChain(preferredProvider || this.defaultProvider)
+      .filter(providerName => !streamInfo.failedProviders.includes(providerName));
+
+    let lastError = null;
+
+    for (const providerName of providersToTry) {
+      const provider = this.providers.get(providerName);
+
+      if (!this.isUsable(provider, streamInfo.language)) {
+        console.log(`⚠️ STT provider ${providerName} not available for ${streamInfo.language}, trying next...`);
+        continue;
+      }
+
+      try {
+        console.log(`🔄 Starting speech recognition with ${providerName}...`);
+        await provider.startStream(streamInfo);
+        streamInfo.provider = providerName;
+        return providerName;
+      } catch (error) {
+        lastError = error;
+        streamInfo.failedProviders.push(providerName);
+        this.markUnhealthy(providerName, error);
+        console.log(`❌ STT provider ${providerName} failed to start:`, error.message);
+      }
+    }
+
+    throw new Error(`All speech-to-text providers failed. Last error: ${lastError?.message || 'No provider available'}`);
+  }
+
+  // Mid-session switch: drop the failed provider's stream and continue on the next one in the chain.
+  // Returns the new provider name, or null when nothing is left to try
+  async failover(streamInfo, error) {
+    const failedProvider = streamInfo.provider;
+
+    streamInfo.failedProviders = [...(streamInfo.failedProviders || []), failedProvider];
+    this.markUnhealthy(failedProvider, error);
+    await this.stopStream(streamInfo);
+
+    try {
+      const nextProvider = await this.startStream(streamInfo, failedProvider);
+      console.log(`🔁 STT failover for session ${streamInfo.sessionId}: ${failedProvider} -> ${nextProvider}`);
+      return nextProvider;
+    } catch (startError) {
+      console.error(`❌ No STT provider left for session ${streamInfo.sessionId}:`, startError.message);
+      return null;
+    }
+  }
+
+  async processAudioChunk(streamInfo, audioChunk, metadata = {}) {
+    const provider = this.providers.get(streamInfo.provider);
+    if (!provider) {
+      throw new Error(`Provider ${streamInfo.provider} not available`);
+    }
+
+    return provider.processAudioChunk(audioChunk, streamInfo, metadata);
+  }
+
+  async stopStream(streamInfo) {
+    const provider = this.providers.get(streamInfo.provider);
+    if (!provider) {
+      return;
+    }
+
+    try {
+      await provider.stopStream(streamInfo);
+    } catch (error) {
+      console.warn(`⚠️ Error stopping ${streamInfo.provider} stream:`, error.message);
+    }
+  }
+
+  isUsable(provider, language) {
+    return !!provider
+      && provider.isAvailable()
+      && provider.health.healthy !== false
+      && provider.supportsLanguage(language || 'ar');
+  }
+
+  // A provider that failed stays out of new sessions until a health check passes again
+  markUnhealthy(providerName, error) {
+    const provider = this.providers.get(providerName);
+    if (provider) {
+      provider.health = { healthy: false, checkedAt: new Date(), error: error?.message || 'Unknown error' };
+    }
+  }
+
+  // Probe every provider; a probe that hangs counts as unhealthy
+  async checkHealth() {
+    const timeoutMs = this.config.voiceRecognition?.healthCheckTimeoutMs || 5000;
+    const results = {};
+
+    for (const [name, provider] of this.providers) {
+      let timer;
+      try {
+        const result = await Promise.race([
+          provider.healthCheck(),
+          new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error('Health check timed out')), timeoutMs);
+          })
+        ]);
+        provider.health = { healthy: !!result?.healthy, checkedAt: new Date(), error: result?.error || null };
+      } catch (error) {
+        provider.health = { healthy: false, checkedAt: new Date(), error: error.message };
+      } finally {
+        clearTimeout(timer);
+      }
+
+      results[name] = provider.health;
+      if (!provider.health.healthy) {
+        console.warn(`⚠️ STT provider ${name} unhealthy: ${provider.health.error || 'health check failed'}`);
+      }
+    }
+
+    return results;
+  }
+
+  startHealthChecks(intervalMs) {
+    this.stopHealthChecks();
+    if (!intervalMs) {
+      return;
+    }
+
+    this.healthCheckTimer = setInterval(() => {
+      this.checkHealth().catch(error => console.error('❌ STT health check failed:', error));
+    }, intervalMs);
+    this.healthCheckTimer.unref?.();
+  }
+
+  stopHealthChecks() {
+    if (this.healthCheckTimer) {
+      clearInterval(this.healthCheckTimer);
+      this.healthCheckTimer = null;
+    }
+  }
+
+  // Get provider fallback chain
+  getProviderFallbackChain(preferredProvider) {
+    const chain = [preferredProvider];
+
+    // Add other providers in fallback order
+    for (const provider of this.fallbackOrder) {
+      if (provider !== preferredProvider && this.providers.has(provider)) {
+        chain.push(provider);
+      }
+    }
+
+    return chain;
+  }
+
+  // Get all available providers
+  getAvailableProviders() {
+    const providers = [];
+
+    for (const [name, provider] of this.providers) {
+      providers.push({
+        name,
+        isAvailable: provider.isAvailable(),
+        health: provider.health,
+        supportedLanguages: provider.getSupportedLanguages(),
+        ratings: provider.ratings,
+        stats: provider.getStats()
+      });
+    }
+
+    return providers;
+  }
+
+  // Get provider statistics
+  getStats() {
+    const stats = {
+      totalProviders: this.providers.size,
+      availableProviders: 0,
+      defaultProvider: this.defaultProvider,
+      fallbackOrder: this.fallbackOrder,
+      providers: {}
+    };
+
+    for (const [name, provider] of this.providers) {
+      stats.providers[name] = provider.getStats();
+      if (this.isUsable(provider)) {
+        stats.availableProviders++;
+      }
+    }
+
+    return stats;
+  }
+
+  // Set default provider
+  setDefaultProvider(providerName) {
+    if (this.providers.has(providerName)) {
+      this.defaultProvider = providerName;
+      console.log(`🎯 Default STT provider changed to: ${providerName}`);
+      return true;
+    }
+    return false;
+  }
+
+  // Check if any provider is available
+  hasAvailableProvider() {
+    for (const provider of this.providers.values()) {
+      if (this.isUsable(provider)) {
+        return true;
+      }
+    }
+    return false;
+  }
+}
+
+module.exports = STTManager;
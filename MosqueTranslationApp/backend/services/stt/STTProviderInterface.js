@@ -0,0 +1,157 @@
+// STT Provider Interface - Base class for all speech-to-text providers
+// This ensures all providers implement the same methods
+
+class STTProviderInterface {
+  constructor(name, config) {
+    this.name = name;
+    this.config = config;
+    this.isInitialized = false;
+    this.supportedLanguages = ['ar'];
+    this.ratings = {
+      accuracy: 5,
+      latency: 5,
+      cost: 5
+    };
+    // One provider instance serves every session, so connections are kept per session
+    this.streams = new Map(); // sessionId -> provider-specific stream state
+    this.health = {
+      healthy: null,
+      checkedAt: null,
+      error: null
+    };
+    this.usage = {
+      streamsStarted: 0,
+      chunksProcessed: 0,
+      transcriptions: 0,
+      errors: 0
+    };
+  }
+
+  // Abstract methods that must be implemented by each provider
+  async initialize() {
+    throw new Error(`${this.name} provider must implement initialize() method`);
+  }
+
+  async startStream(streamInfo) {
+    throw new Error(`${this.name} provider must implement startStream() method`);
+  }
+
+  // Streaming providers report text through emitTranscription and return null here;
+  // request/response providers may return formatResult(...) for the chunk instead
+  async processAudioChunk(audioChunk, streamInfo, metadata = {}) {
+    throw new Error(`${this.name} provider must implement processAudioChunk() method`);
+  }
+
+  async stopStream(streamInfo) {
+    throw new Error(`${this.name} provider must implement stopStream() method`);
+  }
+
+  // Providers override this with a cheap probe of their engine; the default only checks configuration
+  async healthCheck() {
+    return { healthy: this.isAvailable() };
+  }
+
+  // Common methods available to all providers
+  isAvailable() {
+    return this.isInitialized && this.hasValidConfig();
+  }
+
+  hasValidConfig() {
+    return !!this.config && Object.keys(this.config).length > 0;
+  }
+
+  getSupportedLanguages() {
+    return this.supportedLanguages;
+  }
+
+  supportsLanguage(language) {
+    const baseLanguage = (language || '').split('-')[0].toLowerCase();
+    return this.supportedLanguages.includes(baseLanguage);
+  }
+
+  getAccuracyRating() { return this.ratings.accuracy; }
+  getLatencyRating() { return this.ratings.latency; }
+  getCostRating() { return this.ratings.cost; }
+
+  // Per-session stream state
+  getStream(streamInfo) {
+    return this.streams.get(streamInfo.sessionId);
+  }
+
+  setStream(streamInfo, state) {
+    this.streams.set(streamInfo.sessionId, state);
+    this.usage.streamsStarted++;
+    return state;
+  }
+
+  deleteStream(streamInfo) {
+    const state = this.streams.get(streamInfo.sessionId);
+    this.streams.delete(streamInfo.sessionId);
+    return state;
+  }
+
+  // Hand a recognized segment to the session; the provider name lets the service ignore
+  // late results from a provider it already switched away from
+  emitTranscription(streamInfo, transcription) {
+    this.usage.transcriptions++;
+    streamInfo.transcriptionCallback?.({
+      confidence: null,
+      isFinal: true,
+      language: 'ar',
+      ...transcription,
+      provider: this.name,
+      timestamp: new Date()
+    }, this.name);
+  }
+
+  // Report a failure of a running stream so the service can fail over to another provider
+  reportError(streamInfo, error) {
+    this.usage.errors++;
+    console.error(`❌ ${this.name} STT Error (${this.categorizeError(error)}):`, error.message);
+    streamInfo.errorCallback?.(error, this.name);
+  }
+
+  // Result shape returned from processAudioChunk
+  formatResult(text, metadata = {}) {
+    return {
+      transcription: text,
+      confidence: metadata.confidence ?? null,
+      isFinal: metadata.isFinal !== false,
+      provider: this.name,
+      timestamp: new Date(),
+      sequence: metadata.sequence,
+      audioStartTime: metadata.audioStartTime,
+      audioEndTime: metadata.audioEndTime
+    };
+  }
+
+  // Get provider statistics
+  getStats() {
+    return {
+      name: this.name,
+      isAvailable: this.isAvailable(),
+      health: this.health,
+      activeStreams: this.streams.size,
+      usage: { ...this.usage }
+    };
+  }
+
+  // Categorize errors for better handling
+  categorizeError(error) {
+    const message = (error?.message || '').toLowerCase();
+
+    if (message.includes('api key') || message.includes('unauthorized') || message.includes('authentication')) {
+      return 'authentication';
+    }
+    if (message.includes('rate limit') || message.includes('quota')) {
+      return 'rate_limit';
+    }
+    if (message.includes('network') || message.includes('timeout') || message.includes('connect')) {
+      return 'network';
+    }
+
+    return 'unknown';
+  }
+}
+
+module.exports = STTProviderInterface;
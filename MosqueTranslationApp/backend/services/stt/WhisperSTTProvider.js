@@ -0,0 +1,95 @@
+// OpenAI Whisper Provider (Local/Self-hosted)
+const { spawn, execSync } = require('child_process');
+const STTProviderInterface = require('./STTProviderInterface');
+
+class WhisperSTTProvider extends STTProviderInterface {
+  constructor(config) {
+    super('whisper', config);
+    this.supportedLanguages = ['ar'];
+    this.ratings = {
+      accuracy: 7, // 7/10 for Arabic
+      latency: 9, // local
+      cost: 10 // free
+    };
+  }
+
+  async initialize() {
+    if (!this.hasWhisperBinary()) {
+      throw new Error('Whisper not available locally');
+    }
+
+    this.isInitialized = true;
+  }
+
+  // Whisper runs on this machine and needs no credentials
+  hasValidConfig() {
+    return true;
+  }
+
+  hasWhisperBinary() {
+    try {
+      execSync('which whisper', { stdio: 'ignore' });
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  async healthCheck() {
+    return { healthy: this.hasWhisperBinary() };
+  }
+
+  async startStream(streamInfo) {
+    // Use whisper.cpp for real-time processing
+    const whisperProcess = spawn('whisper', [
+      '--model', 'base',
+      '--language', 'ar',
+      '--output-format', 'json',
+      '--real-time'
+    ]);
+
+    whisperProcess.stdout.on('data', (data) => {
+      try {
+        const result = JSON.parse(data.toString());
+        this.emitTranscription(streamInfo, {
+          text: result.text,
+          confidence: result.confidence || 0.8,
+          isFinal: true
+        });
+      } catch (error) {
+        console.error('Whisper parsing error:', error);
+      }
+    });
+
+    whisperProcess.on('error', (error) => {
+      this.reportError(streamInfo, error);
+    });
+
+    whisperProcess.on('exit', (code) => {
+      // Exits we did not ask for mean the stream is gone
+      if (this.getStream(streamInfo)?.whisperProcess === whisperProcess) {
+        this.reportError(streamInfo, new Error(`Whisper exited with code ${code}`));
+      }
+    });
+
+    this.setStream(streamInfo, { whisperProcess });
+  }
+
+  async processAudioChunk(audioChunk, streamInfo) {
+    const state = this.getStream(streamInfo);
+    if (state && !state.whisperProcess.killed) {
+      state.whisperProcess.stdin.write(audioChunk);
+      this.usage.chunksProcessed++;
+    }
+    return null;
+  }
+
+  async stopStream(streamInfo) {
+    const state = this.deleteStream(streamInfo);
+    if (state) {
+      state.whisperProcess.kill();
+    }
+  }
+}
+
+module.exports = WhisperSTTProvider;
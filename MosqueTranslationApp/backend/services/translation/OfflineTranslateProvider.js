@@ -0,0 +1,445 @@
+// Offline Translation Provider - Implements TranslationProviderInterface without internet access
+// Uses a LibreTranslate-compatible model server on the local network when one is configured,
+// otherwise a translation memory / phrase table built from previously cached translations
+const axios = require('axios');
+const TranslationProviderInterface = require('./TranslationProviderInterface');
+const TranslationCache = require('../../models/TranslationCache');
+const database = require('../../database/database');
+const { normalizeArabic } = require('../quran/arabicText');
+
+// TranslationCache stores target languages by name, the manager works with codes
+const LANGUAGE_NAMES = {
+  de: 'German',
+  en: 'English',
+  fr: 'French',
+  es: 'Spanish',
+  it: 'Italian',
+  pt: 'Portuguese',
+  ru: 'Russian',
+  tr: 'Turkish',
+  ur: 'Urdu',
+  ar: 'Arabic'
+};
+
+// Sentence boundaries in Arabic and Latin punctuation
+const SENTENCE_BOUNDARY = /([.!?؟؛،\n]+)/;
+const ARABIC_PUNCTUATION = { '،': ',', '؛': ';', '؟': '?' };
+const ARABIC_LETTER = /[ء-ي]/;
+// Glossary placeholders ([[G0]]) must survive, so sentences holding one are never swapped wholesale
+const PLACEHOLDER = /\[\s*\[/;
+
+// How long to stop calling a model server that did not answer
+const ENDPOINT_RETRY_MS = 30 * 1000;
+
+class OfflineTranslateProvider extends TranslationProviderInterface {
+  constructor(config = {}) {
+    super('offline', config);
+
+    this.endpoint = config.endpoint ? config.endpoint.replace(/\/+$/, '') : null;
+    this.endpointRetryAt = 0;
+    this.memories = new Map(); // targetLanguage -> translation memory
+    this.supportedLanguages = Object.keys(LANGUAGE_NAMES).filter(code => code !== 'ar');
+
+    // Local translation has no external quota
+    this.rateLimits = {
+      requestsPerMinute: 10000,
+      charactersPerRequest: 10000,
+      charactersPerMonth: Number.MAX_SAFE_INTEGER
+    };
+  }
+
+  async initialize() {
+    try {
+      if (this.endpoint) {
+        const reachable = await this.checkEndpoint();
+        console.log(reachable
+          ? `✅ Offline translation model server reachable at ${this.endpoint}`
+          : `⚠️ Offline translation model server not reachable at ${this.endpoint}, using translation memory`);
+      }
+
+      this.isInitialized = true;
+      console.log('✅ Offline Translation provider initialized successfully');
+
+      return { success: true, provider: this.name, endpoint: this.endpoint };
+
+    } catch (error) {
+      console.error('❌ Offline Translation initialization failed:', error);
+      this.isInitialized = false;
+      throw error;
+    }
+  }
+
+  // No API keys are required for local translation
+  hasValidConfig() {
+    return true;
+  }
+
+  async checkEndpoint() {
+    try {
+      const response = await axios.get(`${this.endpoint}/languages`, { timeout: this.config.timeoutMs });
+      if (Array.isArray(response.data)) {
+        const codes = response.data.map(language => language.code);
+        this.supportedLanguages = Array.from(new Set([...this.supportedLanguages, ...codes]))
+          .filter(code => code !== 'ar');
+      }
+      this.endpointRetryAt = 0;
+      return true;
+    } catch (error) {
+      this.endpointRetryAt = Date.now() + ENDPOINT_RETRY_MS;
+      return false;
+    }
+  }
+
+  async translate(text, targetLanguage, sourceLanguage = 'ar', options = {}) {
+    try {
+      if (!this.isAvailable()) {
+        throw new Error('Offline Translation provider not available');
+      }
+
+      // Check rate limits
+      this.checkRateLimit(text.length);
+
+      const startTime = Date.now();
+
+      const [modelTranslation] = await this.translateWithEndpoint([text], targetLanguage, sourceLanguage);
+      const translation = modelTranslation || await this.translateFromMemory(text, targetLanguage, sourceLanguage);
+
+      if (!translation) {
+        throw new Error(`No offline translation available for ${sourceLanguage} → ${targetLanguage}`);
+      }
+
+      const processingTime = Date.now() - startTime;
+
+      // Update usage
+      this.updateUsage(text.length, 0);
+
+      // Format response
+      const result = this.formatResponse(
+        translation.text,
+        text,
+        targetLanguage,
+        sourceLanguage,
+        {
+          confidence: translation.confidence,
+          processingTime,
+          cost: 0,
+          method: translation.method,
+          coverage: translation.coverage
+        }
+      );
+
+      // Validate result
+      this.validateTranslationResult(result, text);
+
+      console.log(`✅ Offline Translation (${translation.method}): ${sourceLanguage} → ${targetLanguage} (${text.length} chars, ${processingTime}ms)`);
+      return result;
+
+    } catch (error) {
+      return this.handleError(error, `translate(${sourceLanguage} → ${targetLanguage})`);
+    }
+  }
+
+  async batchTranslate(texts, targetLanguage, sourceLanguage = 'ar', options = {}) {
+    try {
+      if (!this.isAvailable()) {
+        throw new Error('Offline Translation provider not available');
+      }
+
+      const totalLength = texts.join('').length;
+      this.checkRateLimit(totalLength);
+
+      const startTime = Date.now();
+
+      const modelTranslations = await this.translateWithEndpoint(texts, targetLanguage, sourceLanguage);
+      const translations = [];
+      for (let index = 0; index < texts.length; index++) {
+        const translation = modelTranslations[index] ||
+          await this.translateFromMemory(texts[index], targetLanguage, sourceLanguage);
+        if (!translation) {
+          throw new Error(`No offline translation available for ${sourceLanguage} → ${targetLanguage} (text ${index + 1})`);
+        }
+        translations.push(translation);
+      }
+
+      const processingTime = Date.now() - startTime;
+
+      // Update usage
+      this.updateUsage(totalLength, 0);
+
+      const results = translations.map((translation, index) => this.formatResponse(
+        translation.text,
+        texts[index],
+        targetLanguage,
+        sourceLanguage,
+        {
+          confidence: translation.confidence,
+          processingTime: processingTime / texts.length,
+          cost: 0,
+          method: translation.method,
+          coverage: translation.coverage,
+          batchIndex: index,
+          batchSize: texts.length
+        }
+      ));
+
+      console.log(`✅ Offline Translation Batch: ${texts.length} texts, ${totalLength} chars, ${processingTime}ms`);
+      return {
+        success: true,
+        results,
+        totalProcessingTime: processingTime,
+        totalCost: 0,
+        provider: this.name
+      };
+
+    } catch (error) {
+      return this.handleError(error, `batchTranslate(${texts.length} texts)`);
+    }
+  }
+
+  async detectLanguage(text) {
+    try {
+      if (this.isEndpointUsable()) {
+        try {
+          const response = await axios.post(
+            `${this.endpoint}/detect`,
+            { q: text, api_key: this.config.apiKey || undefined },
+            { timeout: this.config.timeoutMs }
+          );
+          const [detection] = response.data || [];
+          if (detection) {
+            return {
+              success: true,
+              language: detection.language,
+              confidence: detection.confidence / 100,
+              provider: this.name
+            };
+          }
+        } catch (error) {
+          this.endpointRetryAt = Date.now() + ENDPOINT_RETRY_MS;
+        }
+      }
+
+      // Without a model server only Arabic script can be recognized
+      const letters = text.replace(/[\s\d\p{P}]/gu, '');
+      const arabicLetters = letters.split('').filter(letter => ARABIC_LETTER.test(letter)).length;
+      const ratio = letters.length > 0 ? arabicLetters / letters.length : 0;
+
+      if (ratio < 0.5) {
+        throw new Error('Offline language detection only recognizes Arabic without a model server');
+      }
+
+      return {
+        success: true,
+        language: 'ar',
+        confidence: Math.round(ratio * 100) / 100,
+        provider: this.name
+      };
+
+    } catch (error) {
+      return this.handleError(error, 'detectLanguage');
+    }
+  }
+
+  isEndpointUsable() {
+    return Boolean(this.endpoint) && Date.now() >= this.endpointRetryAt;
+  }
+
+  // Translate with the local model server; returns one entry per text (null when unavailable)
+  async translateWithEndpoint(texts, targetLanguage, sourceLanguage) {
+    if (!this.isEndpointUsable()) {
+      return texts.map(() => null);
+    }
+
+    try {
+      const response = await axios.post(
+        `${this.endpoint}/translate`,
+        {
+          q: texts,
+          source: sourceLanguage,
+          target: targetLanguage,
+          format: 'text',
+          api_key: this.config.apiKey || undefined
+        },
+        { timeout: this.config.timeoutMs }
+      );
+
+      const translated = Array.isArray(response.data?.translatedText)
+        ? response.data.translatedText
+        : [response.data?.translatedText];
+
+      return texts.map((_, index) => (translated[index]
+        ? { text: translated[index], confidence: 0.75, method: 'local_model', coverage: 1 }
+        : null));
+
+    } catch (error) {
+      console.warn(`⚠️ Offline translation model server failed, using translation memory: ${error.message}`);
+      this.endpointRetryAt = Date.now() + ENDPOINT_RETRY_MS;
+      return texts.map(() => null);
+    }
+  }
+
+  // Translation memory
+
+  // Reuse earlier translations: identical whole sentences first,
+  // then known phrases word by word. Words nobody translated before stay in Arabic.
+  async translateFromMemory(text, targetLanguage, sourceLanguage) {
+    const memory = await this.getMemory(targetLanguage, sourceLanguage);
+    if (!memory) {
+      return null;
+    }
+
+    const whole = !PLACEHOLDER.test(text) && memory.exact.get(normalizeArabic(text));
+    if (whole) {
+      return { text: whole.text, confidence: whole.confidence, method: 'memory', coverage: 1 };
+    }
+
+    const parts = [];
+    let totalWords = 0;
+    let coveredWords = 0;
+    let weightedConfidence = 0;
+    let usedPhrases = false;
+
+    for (const segment of text.split(SENTENCE_BOUNDARY)) {
+      if (!segment.trim() || SENTENCE_BOUNDARY.test(segment)) {
+        if (segment.trim()) {
+          parts.push(segment.trim().replace(/[،؛؟]/g, mark => ARABIC_PUNCTUATION[mark]));
+        }
+        continue;
+      }
+
+      const translation = this.translateSentence(segment, memory);
+      parts.push(translation.text);
+      totalWords += translation.words;
+      coveredWords += translation.covered;
+      weightedConfidence += translation.confidence * translation.words;
+      usedPhrases = usedPhrases || translation.method === 'phrase_table';
+    }
+
+    const coverage = totalWords > 0 ? coveredWords / totalWords : 0;
+    if (coverage < this.config.minCoverage) {
+      return null;
+    }
+
+    return {
+      text: parts.join(' ').replace(/\s+([.!?,;])/g, '$1'),
+      confidence: Math.round((weightedConfidence / totalWords) * 100) / 100,
+      method: usedPhrases ? 'phrase_table' : 'memory',
+      coverage: Math.round(coverage * 100) / 100
+    };
+  }
+
+  translateSentence(sentence, memory) {
+    const tokens = sentence.trim().split(/\s+/);
+    const words = tokens.map(token => normalizeArabic(token));
+    const wordCount = words.filter(Boolean).length;
+
+    const wholeSentence = !PLACEHOLDER.test(sentence);
+
+    // Only an identical sentence reuses a cached translation: a close match can differ by a single
+    // word such as a negation (لا), which would turn the meaning around
+    const exact = wholeSentence && memory.exact.get(words.filter(Boolean).join(' '));
+    if (exact) {
+      return { text: exact.text, words: wordCount, covered: wordCount, confidence: exact.confidence, method: 'memory' };
+    }
+
+    // Longest known phrase at each position
+    const output = [];
+    let covered = 0;
+    let i = 0;
+    while (i < tokens.length) {
+      // Placeholders, numbers and punctuation pass through untouched
+      if (!words[i]) {
+        output.push(tokens[i]);
+        i++;
+        continue;
+      }
+
+      let phrase = null;
+      for (let length = Math.min(this.config.maxPhraseWords, tokens.length - i); length > 0 && !phrase; length--) {
+        const key = words.slice(i, i + length).join(' ');
+        if (memory.phrases.has(key) && words.slice(i, i + length).every(Boolean)) {
+          phrase = { text: memory.phrases.get(key), length };
+        }
+      }
+
+      if (phrase) {
+        output.push(phrase.text);
+        covered += phrase.length;
+        i += phrase.length;
+      } else {
+        output.push(tokens[i]);
+        i++;
+      }
+    }
+
+    // Word-by-word output ignores grammar and word order
+    return {
+      text: output.join(' '),
+      words: wordCount,
+      covered,
+      confidence: wordCount > 0 ? Math.round((covered / wordCount) * 0.5 * 100) / 100 : 0,
+      method: 'phrase_table'
+    };
+  }
+
+  // Translation memory for a language pair, reloaded from TranslationCache periodically
+  async getMemory(targetLanguage, sourceLanguage) {
+    const key = `${sourceLanguage}:${targetLanguage}`;
+    const cached = this.memories.get(key);
+    if (cached && Date.now() - cached.loadedAt < this.config.memoryRefreshMs) {
+      return cached;
+    }
+
+    // Keep serving the last copy while the database is unreachable
+    if (!database.isConnectionActive()) {
+      return cached || null;
+    }
+
+    try {
+      const entries = await TranslationCache.find({
+        sourceLanguage,
+        targetLanguage: { $in: [targetLanguage, LANGUAGE_NAMES[targetLanguage]].filter(Boolean) }
+      })
+        .sort({ usageCount: -1 })
+        .limit(this.config.memoryEntries)
+        .select('sourceText translatedText confidenceScore')
+        .lean();
+
+      const memory = this.buildMemory(entries);
+      this.memories.set(key, memory);
+      console.log(`📚 Offline translation memory ${key}: ${memory.exact.size} sentences, ${memory.phrases.size} phrases`);
+      return memory;
+
+    } catch (error) {
+      console.error('❌ Failed to load offline translation memory:', error);
+      return cached || null;
+    }
+  }
+
+  buildMemory(entries) {
+    const memory = { exact: new Map(), phrases: new Map(), loadedAt: Date.now() };
+
+    // Entries arrive most used first, so the first translation of a text wins
+    for (const entry of entries) {
+      const normalized = normalizeArabic(entry.sourceText);
+      if (!normalized || memory.exact.has(normalized)) {
+        continue;
+      }
+
+      const item = {
+        text: entry.translatedText.trim(),
+        words: normalized.split(' '),
+        confidence: Math.min(entry.confidenceScore || 0.8, 0.9)
+      };
+
+      memory.exact.set(normalized, item);
+      if (item.words.length <= this.config.maxPhraseWords) {
+        memory.phrases.set(normalized, item.text.replace(/[.!?]+$/, ''));
+      }
+    }
+
+    return memory;
+  }
+}
+
+module.exports = OfflineTranslateProvider;
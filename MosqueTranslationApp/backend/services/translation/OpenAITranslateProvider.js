@@ -256,6 +256,10 @@ class OpenAITranslateProvider extends TranslationProviderInterface {
     if (isReligious) {
       prompt += '. This is religious content, so please maintain cultural sensitivity and accuracy';
     }
+
+    if (options.glossaryPlaceholders) {
+      prompt += '. Keep placeholders like [[G0]] exactly as written, they stand for glossary terms';
+    }
     
     prompt += `:\n\n"${text}"`;
     
@@ -272,6 +276,10 @@ class OpenAITranslateProvider extends TranslationProviderInterface {
     if (isReligious) {
       prompt += '. These are religious contents, so please maintain cultural sensitivity and accuracy';
     }
+
+    if (options.glossaryPlaceholders) {
+      prompt += '. Keep placeholders like [[G0]] exactly as written';
+    }
     
     prompt += '. Separate each translation with "|||":\n\n';
     
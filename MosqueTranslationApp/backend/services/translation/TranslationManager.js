@@ -2,13 +2,15 @@
 const GoogleTranslateProvider = require('./GoogleTranslateProvider');
 const AzureTranslateProvider = require('./AzureTranslateProvider');
 const OpenAITranslateProvider = require('./OpenAITranslateProvider');
+const OfflineTranslateProvider = require('./OfflineTranslateProvider');
+const GlossaryService = require('../GlossaryService');
 
 class TranslationManager {
   constructor(config) {
     this.config = config;
     this.providers = new Map();
-    this.fallbackOrder = ['google', 'azure', 'openai'];
-    this.defaultProvider = 'google';
+    this.fallbackOrder = ['google', 'azure', 'openai', 'offline'];
+    this.defaultProvider = config.translation?.defaultProvider || 'google';
     this.isInitialized = false;
   }
 
@@ -53,8 +55,20 @@ class TranslationManager {
         }
       }
 
-      // Set default provider to first available
-      if (this.providers.size > 0) {
+      // Offline provider needs no credentials or internet and is always the last resort
+      if (this.config.offlineTranslation?.enabled) {
+        try {
+          const offlineProvider = new OfflineTranslateProvider(this.config.offlineTranslation);
+          await offlineProvider.initialize();
+          this.providers.set('offline', offlineProvider);
+          console.log('✅ Offline Translation provider ready');
+        } catch (error) {
+          console.warn('⚠️ Offline Translation provider failed to initialize:', error.message);
+        }
+      }
+
+      // Fall back to first available provider if the configured default is missing
+      if (this.providers.size > 0 && !this.providers.has(this.defaultProvider)) {
         for (const providerName of this.fallbackOrder) {
           if (this.providers.has(providerName)) {
             this.defaultProvider = providerName;
@@ -90,6 +104,11 @@ class TranslationManager {
       const preferredProvider = options.provider || this.defaultProvider;
       const providersToTry = this.getProviderFallbackChain(preferredProvider);
 
+      // Same terminology whichever provider ends up translating
+      const glossary = await this.prepareGlossary(text, targetLanguage, sourceLanguage, options);
+      const providerText = glossary ? glossary.text : text;
+      const providerOptions = glossary ? { ...options, glossaryPlaceholders: true } : options;
+
       let lastError = null;
 
       // Try providers in fallback order
@@ -103,11 +122,11 @@ class TranslationManager {
 
         try {
           console.log(`🔄 Attempting translation with ${providerName}...`);
-          const result = await provider.translate(text, targetLanguage, sourceLanguage, options);
+          const result = await provider.translate(providerText, targetLanguage, sourceLanguage, providerOptions);
           
           if (result.success) {
             console.log(`✅ Translation successful with ${providerName}`);
-            return result;
+            return this.applyGlossary(result, glossary);
           } else {
             lastError = result.error;
             console.log(`❌ Translation failed with ${providerName}:`, result.error.message);
@@ -144,6 +163,12 @@ class TranslationManager {
       const preferredProvider = options.provider || this.defaultProvider;
       const providersToTry = this.getProviderFallbackChain(preferredProvider);
 
+      const glossaries = await Promise.all(
+        texts.map(text => this.prepareGlossary(text, targetLanguage, sourceLanguage, options))
+      );
+      const providerTexts = texts.map((text, index) => (glossaries[index] ? glossaries[index].text : text));
+      const providerOptions = glossaries.some(Boolean) ? { ...options, glossaryPlaceholders: true } : options;
+
       let lastError = null;
 
       // Try providers in fallback order
@@ -156,10 +181,15 @@ class TranslationManager {
 
         try {
           console.log(`🔄 Attempting batch translation with ${providerName}...`);
-          const result = await provider.batchTranslate(texts, targetLanguage, sourceLanguage, options);
+          const result = await provider.batchTranslate(providerTexts, targetLanguage, sourceLanguage, providerOptions);
           
           if (result.success) {
             console.log(`✅ Batch translation successful with ${providerName}`);
+            if (Array.isArray(result.results)) {
+              result.results = result.results.map((translation, index) =>
+                this.applyGlossary(translation, glossaries[index])
+              );
+            }
             return result;
           } else {
             lastError = result.error;
@@ -184,6 +214,34 @@ class TranslationManager {
     }
   }
 
+  // Swap glossary terms for placeholders; null when nothing in the text is covered
+  async prepareGlossary(text, targetLanguage, sourceLanguage, options = {}) {
+    if (sourceLanguage !== 'ar' || options.applyGlossary === false) {
+      return null;
+    }
+
+    try {
+      return await GlossaryService.protect(text, targetLanguage, options.mosqueId);
+    } catch (error) {
+      // A glossary outage should not stop live translation
+      console.warn('⚠️ Glossary unavailable, translating without it:', error.message);
+      return null;
+    }
+  }
+
+  applyGlossary(result, glossary) {
+    if (!glossary || !result) {
+      return result;
+    }
+
+    return {
+      ...result,
+      text: GlossaryService.restore(result.text, glossary),
+      originalText: glossary.originalText,
+      glossaryTerms: glossary.replacements.map(r => r.term)
+    };
+  }
+
   // Detect language of text
   async detectLanguage(text, options = {}) {
     try {
@@ -0,0 +1,152 @@
+// Offline TTS Provider - Implements TTSProviderInterface without any cloud credentials
+// Uses a local espeak-ng binary when installed, otherwise produces a silent WAV
+// stand-in of the expected speaking length so the audio pipeline can run end to end
+const { execFile, execSync } = require('child_process');
+const TTSProviderInterface = require('./TTSProviderInterface');
+
+const SAMPLE_RATE = 16000;
+const WORDS_PER_SECOND = 2.5;
+
+class OfflineTTSProvider extends TTSProviderInterface {
+  constructor(config = {}) {
+    super('offline', config);
+
+    this.audioFormat = 'wav';
+    this.engine = null;
+    this.binary = config.binary || 'espeak-ng';
+    this.supportedLanguages = [
+      'ar', 'en', 'de', 'fr', 'es', 'it', 'pt', 'ru', 'tr', 'ur',
+      'fa', 'nl', 'id', 'ms', 'hi', 'bn', 'sw', 'sq', 'bs', 'zh'
+    ];
+
+    // Local synthesis has no external quota
+    this.rateLimits = {
+      requestsPerMinute: 10000,
+      charactersPerRequest: 10000,
+      charactersPerMonth: Number.MAX_SAFE_INTEGER
+    };
+  }
+
+  async initialize() {
+    try {
+      this.engine = this.detectEngine();
+      this.isInitialized = true;
+
+      if (this.engine) {
+        console.log(`✅ Offline TTS provider initialized with ${this.engine}`);
+      } else {
+        console.log('✅ Offline TTS provider initialized (placeholder audio, espeak-ng not found)');
+      }
+
+      return { success: true, provider: this.name, engine: this.engine || 'placeholder' };
+    } catch (error) {
+      console.error('❌ Offline TTS initialization failed:', error);
+      this.isInitialized = false;
+      throw error;
+    }
+  }
+
+  // No API keys are required for local synthesis
+  hasValidConfig() {
+    return true;
+  }
+
+  detectEngine() {
+    try {
+      execSync(`which ${this.binary}`, { stdio: 'ignore' });
+      return this.binary;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async synthesize(text, language, options = {}) {
+    try {
+      if (!this.isAvailable()) {
+        throw new Error('Offline TTS provider not available');
+      }
+
+      this.checkRateLimit(text.length);
+
+      const startTime = Date.now();
+      const baseLanguage = language.split('-')[0].toLowerCase();
+
+      const audioBuffer = this.engine
+        ? await this.synthesizeWithEngine(text, baseLanguage, options)
+        : createWavBuffer(Buffer.alloc(Math.round(this.estimateDuration(text) * SAMPLE_RATE) * 2), SAMPLE_RATE);
+
+      this.updateUsage(text.length);
+
+      return this.formatResponse(audioBuffer, text, language, {
+        format: 'wav',
+        voice: this.engine ? baseLanguage : 'placeholder',
+        durationSeconds: getWavDuration(audioBuffer),
+        processingTime: Date.now() - startTime,
+        engine: this.engine || 'placeholder'
+      });
+    } catch (error) {
+      return this.handleError(error, 'synthesize');
+    }
+  }
+
+  synthesizeWithEngine(text, language, options = {}) {
+    const args = [
+      '-v', options.voice || language,
+      '-s', String(options.wordsPerMinute || this.config.wordsPerMinute || 150),
+      '--stdout',
+      text
+    ];
+
+    return new Promise((resolve, reject) => {
+      execFile(this.binary, args, { encoding: 'buffer', maxBuffer: 20 * 1024 * 1024, timeout: 15000 }, (error, stdout) => {
+        if (error) {
+          return reject(new Error(`${this.binary} failed: ${error.message}`));
+        }
+        resolve(stdout);
+      });
+    });
+  }
+
+  // Rough speaking time used for placeholder audio
+  estimateDuration(text) {
+    const words = text.trim().split(/\s+/).filter(Boolean).length;
+    return Math.max(1, words / WORDS_PER_SECOND);
+  }
+}
+
+// Wrap 16-bit mono PCM samples in a RIFF/WAV header
+function createWavBuffer(pcmBuffer, sampleRate) {
+  const header = Buffer.alloc(44);
+
+  header.write('RIFF', 0);
+  header.writeUInt32LE(36 + pcmBuffer.length, 4);
+  header.write('WAVE', 8);
+  header.write('fmt ', 12);
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20); // PCM
+  header.writeUInt16LE(1, 22); // mono
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * 2, 28);
+  header.writeUInt16LE(2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36);
+  header.writeUInt32LE(pcmBuffer.length, 40);
+
+  return Buffer.concat([header, pcmBuffer]);
+}
+
+// Read duration from a WAV header (espeak-ng streams leave the size fields unset)
+function getWavDuration(wavBuffer) {
+  if (wavBuffer.length < 44 || wavBuffer.toString('ascii', 0, 4) !== 'RIFF') {
+    return null;
+  }
+
+  const byteRate = wavBuffer.readUInt32LE(28);
+  if (!byteRate) {
+    return null;
+  }
+
+  return Math.round(((wavBuffer.length - 44) / byteRate) * 100) / 100;
+}
+
+module.exports = OfflineTTSProvider;
@@ -0,0 +1,94 @@
+// OpenAI TTS Provider - Implements TTSProviderInterface
+const TTSProviderInterface = require('./TTSProviderInterface');
+const OpenAI = require('openai');
+
+class OpenAITTSProvider extends TTSProviderInterface {
+  constructor(config) {
+    super('openai', config);
+
+    this.openai = null;
+    this.audioFormat = 'mp3';
+    this.supportedLanguages = [
+      'ar', 'en', 'de', 'fr', 'es', 'it', 'pt', 'ru', 'tr', 'ur', 'fa',
+      'nl', 'id', 'ms', 'hi', 'bn', 'sw', 'zh', 'ja', 'ko', 'bs', 'sq'
+    ];
+
+    // OpenAI speech endpoint accepts up to 4096 characters per request
+    this.rateLimits = {
+      requestsPerMinute: 50,
+      charactersPerRequest: 4096,
+      charactersPerMonth: 2000000
+    };
+  }
+
+  async initialize() {
+    try {
+      if (!this.config.apiKey) {
+        throw new Error('OpenAI API key not configured');
+      }
+
+      // No connection test here - every synthesis request is billed
+      this.openai = new OpenAI({
+        apiKey: this.config.apiKey
+      });
+
+      this.isInitialized = true;
+      console.log('✅ OpenAI TTS provider initialized successfully');
+
+      return { success: true, provider: this.name };
+
+    } catch (error) {
+      console.error('❌ OpenAI TTS initialization failed:', error);
+      this.isInitialized = false;
+      throw error;
+    }
+  }
+
+  async synthesize(text, language, options = {}) {
+    try {
+      if (!this.isAvailable()) {
+        throw new Error('OpenAI TTS provider not available');
+      }
+
+      this.checkRateLimit(text.length);
+
+      const startTime = Date.now();
+      const model = options.model || this.config.model || 'tts-1';
+      const voice = options.voice || this.config.voice || 'alloy';
+
+      const response = await this.openai.audio.speech.create({
+        model,
+        voice,
+        input: text,
+        response_format: 'mp3',
+        speed: options.speed || this.config.speed || 1.0
+      });
+
+      const audioBuffer = Buffer.from(await response.arrayBuffer());
+      const processingTime = Date.now() - startTime;
+
+      this.updateUsage(text.length);
+
+      console.log(`✅ OpenAI TTS: ${language} (${text.length} chars, ${processingTime}ms)`);
+
+      return this.formatResponse(audioBuffer, text, language, {
+        format: 'mp3',
+        voice,
+        model,
+        processingTime,
+        cost: this.estimateCost(text.length, model)
+      });
+
+    } catch (error) {
+      return this.handleError(error, `synthesize(${language})`);
+    }
+  }
+
+  // USD per 1M characters as published for tts-1 / tts-1-hd
+  estimateCost(characterCount, model) {
+    const pricePerMillion = model === 'tts-1-hd' ? 30 : 15;
+    return (characterCount / 1000000) * pricePerMillion;
+  }
+}
+
+module.exports = OpenAITTSProvider;
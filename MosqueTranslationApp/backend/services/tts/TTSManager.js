@@ -0,0 +1,172 @@
+// TTS Manager - Dynamic provider system that supports multiple text-to-speech engines
+const OpenAITTSProvider = require('./OpenAITTSProvider');
+const OfflineTTSProvider = require('./OfflineTTSProvider');
+
+class TTSManager {
+  constructor(config) {
+    this.config = config;
+    this.providers = new Map();
+    this.fallbackOrder = ['openai', 'offline'];
+    this.defaultProvider = config.tts?.defaultProvider || 'offline';
+    this.isInitialized = false;
+  }
+
+  // Initialize all available providers
+  async initialize() {
+    try {
+      console.log('🔄 Initializing TTS Manager...');
+
+      // Initialize OpenAI TTS if configured
+      if (this.config.openai?.apiKey) {
+        try {
+          const openaiProvider = new OpenAITTSProvider({
+            apiKey: this.config.openai.apiKey,
+            ...this.config.tts?.openai
+          });
+          await openaiProvider.initialize();
+          this.providers.set('openai', openaiProvider);
+          console.log('✅ OpenAI TTS provider ready');
+        } catch (error) {
+          console.warn('⚠️ OpenAI TTS provider failed to initialize:', error.message);
+        }
+      }
+
+      // Offline provider needs no credentials and is always the last resort
+      try {
+        const offlineProvider = new OfflineTTSProvider(this.config.tts?.offline);
+        await offlineProvider.initialize();
+        this.providers.set('offline', offlineProvider);
+        console.log('✅ Offline TTS provider ready');
+      } catch (error) {
+        console.warn('⚠️ Offline TTS provider failed to initialize:', error.message);
+      }
+
+      // Fall back to first available provider if the configured default is missing
+      if (!this.providers.has(this.defaultProvider)) {
+        for (const providerName of this.fallbackOrder) {
+          if (this.providers.has(providerName)) {
+            this.defaultProvider = providerName;
+            break;
+          }
+        }
+      }
+
+      this.isInitialized = true;
+      console.log(`✅ TTS Manager initialized with ${this.providers.size} providers`);
+      console.log(`🎯 Default TTS provider: ${this.defaultProvider}`);
+
+      return {
+        success: true,
+        providersCount: this.providers.size,
+        availableProviders: Array.from(this.providers.keys()),
+        defaultProvider: this.defaultProvider
+      };
+
+    } catch (error) {
+      console.error('❌ TTS Manager initialization failed:', error);
+      throw error;
+    }
+  }
+
+  // Synthesize speech using specified provider or fallback chain
+  async synthesize(text, language, options = {}) {
+    try {
+      if (!this.isInitialized) {
+        throw new Error('TTS Manager not initialized');
+      }
+
+      const preferredProvider = options.provider || this.defaultProvider;
+      const providersToTry = this.getProviderFallbackChain(preferredProvider);
+
+      let lastError = null;
+
+      for (const providerName of providersToTry) {
+        const provider = this.providers.get(providerName);
+
+        if (!provider || !provider.isAvailable() || !provider.supportsLanguage(language)) {
+          console.log(`⚠️ TTS provider ${providerName} not available for ${language}, trying next...`);
+          continue;
+        }
+
+        try {
+          const result = await provider.synthesize(text, language, options);
+
+          if (result.success) {
+            return result;
+          } else {
+            lastError = result.error;
+            console.log(`❌ TTS failed with ${providerName}:`, result.error.message);
+          }
+        } catch (error) {
+          lastError = error;
+          console.log(`❌ TTS provider ${providerName} threw error:`, error.message);
+        }
+      }
+
+      throw new Error(`All TTS providers failed. Last error: ${lastError?.message || 'No provider supports this language'}`);
+
+    } catch (error) {
+      console.error('❌ TTS Manager synthesize failed:', error.message);
+      return {
+        success: false,
+        error: {
+          message: error.message,
+          type: 'synthesis_failed',
+          timestamp: new Date()
+        }
+      };
+    }
+  }
+
+  // Get provider fallback chain
+  getProviderFallbackChain(preferredProvider) {
+    const chain = [preferredProvider];
+
+    for (const provider of this.fallbackOrder) {
+      if (provider !== preferredProvider && this.providers.has(provider)) {
+        chain.push(provider);
+      }
+    }
+
+    return chain;
+  }
+
+  // Get all available providers
+  getAvailableProviders() {
+    const providers = [];
+
+    for (const [name, provider] of this.providers) {
+      providers.push({
+        name,
+        isAvailable: provider.isAvailable(),
+        audioFormat: provider.audioFormat,
+        supportedLanguages: provider.getSupportedLanguages(),
+        stats: provider.getStats()
+      });
+    }
+
+    return providers;
+  }
+
+  // Set default provider
+  setDefaultProvider(providerName) {
+    if (this.providers.has(providerName)) {
+      this.defaultProvider = providerName;
+      console.log(`🎯 Default TTS provider changed to: ${providerName}`);
+      return true;
+    }
+    return false;
+  }
+
+  // Check if any provider is available
+  hasAvailableProvider() {
+    for (const provider of this.providers.values()) {
+      if (provider.isAvailable()) {
+        return true;
+      }
+    }
+    return false;
+  }
+}
+
+module.exports = TTSManager;
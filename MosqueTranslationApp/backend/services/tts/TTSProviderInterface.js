@@ -0,0 +1,163 @@
+// TTS Provider Interface - Base class for all text-to-speech providers
+// This ensures all providers implement the same methods
+
+class TTSProviderInterface {
+  constructor(name, config) {
+    this.name = name;
+    this.config = config;
+    this.isInitialized = false;
+    this.supportedLanguages = [];
+    this.audioFormat = 'mp3';
+    this.rateLimits = {
+      requestsPerMinute: 300,
+      charactersPerRequest: 4000,
+      charactersPerMonth: 1000000
+    };
+    this.usage = {
+      requestsThisMinute: 0,
+      charactersThisMonth: 0,
+      lastReset: new Date()
+    };
+  }
+
+  // Abstract methods that must be implemented by each provider
+  async initialize() {
+    throw new Error(`${this.name} provider must implement initialize() method`);
+  }
+
+  async synthesize(text, language, options = {}) {
+    throw new Error(`${this.name} provider must implement synthesize() method`);
+  }
+
+  // Common methods available to all providers
+  isAvailable() {
+    return this.isInitialized && this.hasValidConfig();
+  }
+
+  hasValidConfig() {
+    return !!this.config && Object.keys(this.config).length > 0;
+  }
+
+  getSupportedLanguages() {
+    return this.supportedLanguages;
+  }
+
+  supportsLanguage(language) {
+    const baseLanguage = (language || '').split('-')[0].toLowerCase();
+    return this.supportedLanguages.includes(baseLanguage);
+  }
+
+  // Rate limiting
+  checkRateLimit(textLength = 0) {
+    const now = new Date();
+    const minutesSinceReset = (now - this.usage.lastReset) / (1000 * 60);
+
+    // Reset counters if a minute has passed
+    if (minutesSinceReset >= 1) {
+      this.usage.requestsThisMinute = 0;
+      this.usage.lastReset = now;
+    }
+
+    if (this.usage.requestsThisMinute >= this.rateLimits.requestsPerMinute) {
+      throw new Error(`Rate limit exceeded: ${this.rateLimits.requestsPerMinute} requests per minute`);
+    }
+
+    if (textLength > this.rateLimits.charactersPerRequest) {
+      throw new Error(`Text too long: ${textLength} characters (max: ${this.rateLimits.charactersPerRequest})`);
+    }
+
+    if (this.usage.charactersThisMonth + textLength > this.rateLimits.charactersPerMonth) {
+      throw new Error(`Monthly character limit exceeded`);
+    }
+
+    return true;
+  }
+
+  // Update usage counters
+  updateUsage(textLength = 0) {
+    this.usage.requestsThisMinute++;
+    this.usage.charactersThisMonth += textLength;
+  }
+
+  // Get provider statistics
+  getStats() {
+    return {
+      name: this.name,
+      isAvailable: this.isAvailable(),
+      audioFormat: this.audioFormat,
+      supportedLanguages: this.supportedLanguages.length,
+      usage: {
+        requestsThisMinute: this.usage.requestsThisMinute,
+        charactersThisMonth: this.usage.charactersThisMonth,
+        rateLimits: this.rateLimits
+      }
+    };
+  }
+
+  // Common error handling
+  handleError(error, context = '') {
+    const errorInfo = {
+      provider: this.name,
+      context,
+      message: error.message,
+      timestamp: new Date(),
+      type: this.categorizeError(error)
+    };
+
+    console.error(`❌ ${this.name} TTS Error:`, errorInfo);
+
+    // Return standardized error
+    return {
+      success: false,
+      error: errorInfo,
+      provider: this.name
+    };
+  }
+
+  // Categorize errors for better handling
+  categorizeError(error) {
+    const message = error.message.toLowerCase();
+
+    if (message.includes('api key') || message.includes('unauthorized') || message.includes('forbidden')) {
+      return 'authentication';
+    }
+    if (message.includes('rate limit') || message.includes('quota')) {
+      return 'rate_limit';
+    }
+    if (message.includes('network') || message.includes('timeout') || message.includes('connection')) {
+      return 'network';
+    }
+    if (message.includes('language') || message.includes('voice') || message.includes('not supported')) {
+      return 'language_support';
+    }
+
+    return 'unknown';
+  }
+
+  // Format synthesis response
+  formatResponse(audioBuffer, text, language, metadata = {}) {
+    const format = metadata.format || this.audioFormat;
+
+    return {
+      success: true,
+      audio: audioBuffer,
+      format,
+      mimeType: format === 'wav' ? 'audio/wav' : `audio/${format === 'mp3' ? 'mpeg' : format}`,
+      text,
+      language,
+      provider: this.name,
+      voice: metadata.voice || null,
+      durationSeconds: metadata.durationSeconds || null,
+      processingTime: metadata.processingTime || 0,
+      cost: metadata.cost || 0,
+      timestamp: new Date(),
+      metadata: {
+        ...metadata,
+        characterCount: text.length,
+        byteLength: audioBuffer.length
+      }
+    };
+  }
+}
+
+module.exports = TTSProviderInterface;
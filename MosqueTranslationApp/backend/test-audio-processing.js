@@ -0,0 +1,233 @@
+// Audio Processing Test Script
+// Checks the filter chains and how ffmpeg's reports are read, offline. When ffmpeg is installed it also runs the
+// whole pipeline on a generated recording with silence before and after a tone
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const config = require('./config/config');
+const audioFilters = require('./services/processing/audioFilters');
+const StorageService = require('./services/StorageService');
+
+// What ffmpeg 6 prints for a 60 s file with 2.4 s of silence at the start and 5 s at the end
+const SAMPLE_ANALYSIS = `
+[silencedetect @ 0x600003d0c000] silence_start: 0
+[silencedetect @ 0x600003d0c000] silence_end: 2.412 | silence_duration: 2.412
+[silencedetect @ 0x600003d0c000] silence_start: 31.05
+[silencedetect @ 0x600003d0c000] silence_end: 32.6 | silence_duration: 1.55
+[silencedetect @ 0x600003d0c000] silence_start: 55.003
+size=N/A time=00:01:00.00 bitrate=N/A speed= 412x
+[Parsed_loudnorm_3 @ 0x600003d0c2c0]
+{
+	"input_i" : "-27.61",
+	"input_tp" : "-4.47",
+	"input_lra" : "8.06",
+	"input_thresh" : "-38.02",
+	"output_i" : "-16.43",
+	"output_tp" : "-1.50",
+	"output_lra" : "6.90",
+	"output_thresh" : "-26.80",
+	"normalization_type" : "dynamic",
+	"target_offset" : "-0.57"
+}
+`;
+
+class AudioProcessingTester {
+  async runTests() {
+    console.log('🎚️ Testing recording post-processing...\n');
+
+    try {
+      // Test 1: Variants are read from the configuration and named after the original
+      this.testVariants();
+
+      // Test 2: Loudness measured in the first pass is passed to the second
+      this.testLoudness();
+
+      // Test 3: Silence is cut at the start and end only
+      this.testSilence();
+
+      // Test 4: Listeners get the processed variant, the original on request
+      await this.testDownloadSelection();
+
+      // Test 5: The whole pipeline with a real ffmpeg
+      if (this.hasFfmpeg()) {
+        await this.testPipeline();
+      } else {
+        console.log('5. Skipping the ffmpeg run (ffmpeg not installed)');
+      }
+
+      console.log('\n🎉 All audio processing tests passed!');
+
+    } catch (error) {
+      console.error('❌ Test failed:', error.message);
+      process.exitCode = 1;
+    }
+  }
+
+  testVariants() {
+    console.log('1. Testing variants...');
+
+    const variants = audioFilters.parseVariants('mp3:128, opus:48,mp3:128');
+    this.assert(variants.length === 2, `Expected 2 variants, got ${variants.length}`);
+    this.assert(variants[1].name === 'opus_48' && variants[1].codec === 'libopus' && variants[1].sampleRate === 48000, 'Opus variant wrong');
+
+    for (const spec of ['flac:128', 'mp3', 'mp3:0', 'opus:999']) {
+      let rejected = false;
+      try {
+        audioFilters.parseVariants(spec);
+      } catch (error) {
+        rejected = true;
+      }
+      this.assert(rejected, `Variant "${spec}" was accepted`);
+    }
+
+    this.assert(audioFilters.parseVariants(config.audioProcessing.variants).length > 0, 'Configured variants do not parse');
+    this.assert(
+      audioFilters.variantKey('mosque_1/sermon_20250101_120000_ab12cd.m4a', variants[0]) === 'mosque_1/sermon_20250101_120000_ab12cd_128k.mp3',
+      'MP3 variant key wrong'
+    );
+    this.assert(audioFilters.variantKey('mosque_1/sermon.v2/khutbah', variants[1]) === 'mosque_1/sermon.v2/khutbah_48k.opus', 'Key without extension wrong');
+
+    console.log('✅ Variants parsed and named');
+  }
+
+  testLoudness() {
+    console.log('2. Testing loudness normalisation...');
+
+    const loudness = audioFilters.parseLoudnessReport(SAMPLE_ANALYSIS);
+    this.assert(loudness && loudness.inputI === -27.61 && loudness.targetOffset === -0.57, 'Loudness report not read');
+
+    const filters = audioFilters.masterFilters(config.audioProcessing, { trim: { start: 0, end: null }, loudness });
+    const loudnorm = filters[filters.length - 1];
+    this.assert(loudnorm.includes('measured_I=-27.61') && loudnorm.includes('linear=true'), `Second pass filter: ${loudnorm}`);
+    this.assert(!filters.some(filter => filter.startsWith('atrim')), 'Trimmed although nothing was to be cut');
+
+    // A silent recording cannot be measured ("-inf")
+    this.assert(audioFilters.parseLoudnessReport(SAMPLE_ANALYSIS.replace('"-27.61"', '"-inf"')) === null, '-inf accepted');
+    this.assert(audioFilters.parseLoudnessReport('no report here') === null, 'Missing report accepted');
+    const fallback = audioFilters.masterFilters(config.audioProcessing, { trim: null, loudness: null });
+    this.assert(!fallback[fallback.length - 1].includes('measured_I'), 'Single-pass fallback uses measurements');
+
+    console.log('✅ Two-pass values carried over, unmeasurable audio falls back');
+  }
+
+  testSilence() {
+    console.log('3. Testing silence trimming...');
+
+    const trim = audioFilters.parseSilenceReport(SAMPLE_ANALYSIS, 60, { paddingSeconds: 0.3 });
+    this.assert(Math.abs(trim.start - 2.112) < 0.001, `Start cut at ${trim.start}`);
+    this.assert(Math.abs(trim.end - 55.303) < 0.001, `End cut at ${trim.end}`);
+
+    const filters = audioFilters.masterFilters(config.audioProcessing, { trim, loudness: null });
+    this.assert(filters[0] === 'atrim=start=2.112:end=55.303' && filters[1] === 'asetpts=PTS-STARTPTS', `Trim filters: ${filters.slice(0, 2)}`);
+
+    // Newer ffmpeg closes silence still running at the end of the file
+    const closed = audioFilters.parseSilenceReport(`${SAMPLE_ANALYSIS}silence_end: 60 | silence_duration: 4.997`, 60);
+    this.assert(Math.abs(closed.end - 55.003) < 0.001, `End cut at ${closed.end} when silence is closed at EOF`);
+
+    // Pauses in the middle of the sermon stay
+    const speechToEnd = audioFilters.parseSilenceReport('silence_start: 10\nsilence_end: 12.5', 60);
+    this.assert(speechToEnd.start === 0 && speechToEnd.end === null, 'Pause in the middle was cut');
+
+    this.assert(audioFilters.parseSilenceReport('', 60).end === null, 'Cut without any silence');
+    const allSilent = audioFilters.parseSilenceReport('silence_start: 0\nsilence_end: 60', 60);
+    this.assert(allSilent.start === 0 && allSilent.end === null, 'Silent recording was cut away');
+
+    console.log('✅ Leading and trailing silence cut, pauses kept');
+  }
+
+  async testDownloadSelection() {
+    console.log('4. Testing which file listeners get...');
+
+    const recording = {
+      fileName: 'sermon_20250101_120000_ab12cd.m4a',
+      filePath: path.join(StorageService.getLocalDirectory('recordings'), 'mosque_1', 'sermon_20250101_120000_ab12cd.m4a'),
+      storage: { provider: 'local', key: 'mosque_1/sermon_20250101_120000_ab12cd.m4a' },
+      processing: {
+        status: 'completed',
+        variants: [
+          { name: 'opus_48', bitrateKbps: 48, key: 'mosque_1/sermon_20250101_120000_ab12cd_48k.opus', provider: 'local' },
+          { name: config.audioProcessing.defaultVariant, bitrateKbps: 128, key: 'mosque_1/sermon_20250101_120000_ab12cd_128k.mp3', provider: 'local' }
+        ]
+      }
+    };
+
+    const processed = await StorageService.getRecordingDownloadUrl(recording);
+    this.assert(processed.includes('_128k.mp3?'), `Default download is ${processed}`);
+
+    const opus = await StorageService.getRecordingDownloadUrl(recording, { variant: 'opus_48' });
+    this.assert(opus.includes('_48k.opus?'), `Opus download is ${opus}`);
+
+    const original = await StorageService.getRecordingDownloadUrl(recording, { original: true });
+    this.assert(original.includes('ab12cd.m4a?'), `Original download is ${original}`);
+
+    const pending = await StorageService.getRecordingDownloadUrl({ ...recording, processing: { ...recording.processing, status: 'processing' } });
+    this.assert(pending.includes('ab12cd.m4a?'), 'Variants served before processing finished');
+
+    const files = StorageService.getRecordingFiles(recording);
+    this.assert(files.length === 3 && files.every(file => file.area === 'recordings'), 'Variants missing from the recording\'s files');
+
+    console.log('✅ Processed variant by default, original on request');
+  }
+
+  hasFfmpeg() {
+    try {
+      require.resolve('fluent-ffmpeg');
+    } catch (error) {
+      return false;
+    }
+    return spawnSync('ffmpeg', ['-version']).status === 0;
+  }
+
+  async testPipeline() {
+    console.log('5. Testing the ffmpeg pipeline...');
+
+    const AudioProcessingService = require('./services/AudioProcessingService');
+    const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'mosque-processing-test-'));
+
+    try {
+      // 3 s silence, 10 s quiet noisy tone, 4 s silence
+      const source = path.join(workDir, 'capture.wav');
+      const generated = spawnSync('ffmpeg', [
+        '-hide_banner', '-loglevel', 'error',
+        '-f', 'lavfi', '-i', 'anullsrc=r=48000:cl=mono:d=3',
+        '-f', 'lavfi', '-i', 'sine=f=220:r=48000:d=10,volume=0.05',
+        '-f', 'lavfi', '-i', 'anullsrc=r=48000:cl=mono:d=4',
+        '-filter_complex', '[0][1][2]concat=n=3:v=0:a=1', source
+      ]);
+      this.assert(generated.status === 0, `Could not generate the test recording: ${generated.stderr}`);
+
+      const result = await AudioProcessingService.runPipeline(source, workDir);
+      this.assert(result.trim.start > 2 && result.trim.start < 3.1, `Start cut at ${result.trim.start}`);
+      this.assert(result.trim.end !== null && result.trim.end > 12.9 && result.trim.end < 14, `End cut at ${result.trim.end}`);
+      this.assert(result.loudness && result.loudness.inputI < -20, 'Quiet tone not measured');
+      this.assert(result.outputs.length === AudioProcessingService.variants.length, 'Not every variant encoded');
+
+      for (const output of result.outputs) {
+        const stats = await fs.promises.stat(output.path);
+        this.assert(stats.size > 0, `${output.variant.name} is empty`);
+      }
+
+      console.log(`✅ ${result.outputs.length} variants, ${result.durationSeconds}s after trimming`);
+    } finally {
+      await fs.promises.rm(workDir, { recursive: true, force: true });
+    }
+  }
+
+  assert(condition, message) {
+    if (!condition) {
+      throw new Error(message);
+    }
+  }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  const tester = new AudioProcessingTester();
+  tester.runTests().catch(error => {
+    console.error('Test suite failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = AudioProcessingTester;
@@ -0,0 +1,138 @@
+// Hadith Detection Test Script
+// Runs offline against the bundled narration index, no server or database needed
+const { Types } = require('mongoose');
+const HadithDetectorService = require('./services/HadithDetectorService');
+const MultiLanguageTranslationService = require('./services/MultiLanguageTranslationService');
+const GlossaryService = require('./services/GlossaryService');
+const Session = require('./models/Session');
+const Translation = require('./models/Translation');
+const TranslationCache = require('./models/TranslationCache');
+
+const NARRATION = 'عن عمر رضي الله عنه قال سمعت رسول الله صلى الله عليه وسلم يقول إنما الأعمال بالنيات وإنما لكل امرئ ما نوى';
+
+class HadithDetectorTester {
+  async runTests() {
+    console.log('📚 Testing hadith detection...\n');
+
+    try {
+      // Test 1: Known narration resolved from the index
+      this.testIndexedNarration();
+
+      // Test 2: Narration phrase with a cited collection
+      this.testCitedCollection();
+
+      // Test 3: Plain sermon text is not tagged
+      this.testNoFalsePositive();
+
+      // Test 4: A detected narration is translated and cached in every language
+      await this.testNarrationTranslated();
+
+      console.log('\n🎉 All hadith detector tests passed!');
+      process.exit(0); // The translation providers keep timers running
+
+    } catch (error) {
+      console.error('❌ Test failed:', error.message);
+      process.exit(1);
+    }
+  }
+
+  testIndexedNarration() {
+    console.log('1. Testing indexed narration (actions are by intentions)...');
+
+    const detection = HadithDetectorService.detect(NARRATION);
+    const islamicContent = HadithDetectorService.toIslamicContent(detection);
+
+    this.assert(islamicContent.isHadith, 'Narration was not detected');
+    this.assert(islamicContent.hadithSource === 'Sahih al-Bukhari 1', `Unexpected source: ${islamicContent.hadithSource}`);
+    this.assert(islamicContent.hadithReferences.includes('muslim:1907'), 'Muslim reference missing');
+
+    console.log('✅ Narration resolved to Sahih al-Bukhari 1');
+  }
+
+  testCitedCollection() {
+    console.log('2. Testing narration cited from a collection...');
+
+    const detection = HadithDetectorService.detect('قال رسول الله صلى الله عليه وسلم أحب الناس إلى الله أنفعهم للناس رواه الترمذي');
+    const islamicContent = HadithDetectorService.toIslamicContent(detection);
+
+    this.assert(islamicContent.isHadith, 'Narration was not detected');
+    this.assert(islamicContent.hadithCollection === 'tirmidhi', `Unexpected collection: ${islamicContent.hadithCollection}`);
+    this.assert(!islamicContent.hadithNumber, 'Number should not be guessed without an index match');
+
+    console.log('✅ Collection recorded without a number');
+  }
+
+  testNoFalsePositive() {
+    console.log('3. Testing plain sermon text...');
+
+    const detection = HadithDetectorService.detect('أيها المسلمون اتقوا الله في أنفسكم وأهليكم');
+    this.assert(!detection.isHadith, 'Plain speech was tagged as hadith');
+
+    console.log('✅ No narration detected in plain speech');
+  }
+
+  // The whole path from an imam's line to the saved translations, with the database and providers replaced by
+  // stand-ins that still run the models' validation
+  async testNarrationTranslated() {
+    console.log('4. Testing a narration translated end to end...');
+
+    const service = MultiLanguageTranslationService;
+    const saved = [];
+    const cached = [];
+
+    Session.findOne = async () => ({ _id: new Types.ObjectId(), sessionId: 'session_1', mosqueId: new Types.ObjectId() });
+    Translation.findOne = () => ({ sort: () => ({ limit: async () => null }) });
+    Translation.prototype.save = async function() {
+      await this.validate();
+      return this;
+    };
+    TranslationCache.findCachedTranslation = async () => null;
+    TranslationCache.prototype.save = async function() {
+      await this.validate();
+      cached.push(this);
+      return this;
+    };
+    GlossaryService.hasMosqueTerms = async () => false;
+    service.getSessionParticipantLanguages = async () => ['en', 'de'];
+    service.saveTranslationToDatabase = async (translationId, language, result) => saved.push({ language, ...result });
+    // The providers start up in the background and pick their own default when done
+    while (!service.translationManager.isInitialized) {
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    service.translationManager.defaultProvider = 'google';
+    service.translationManager.translate = async (text, targetLanguage) => ({
+      success: true,
+      text: `[${targetLanguage}] Actions are judged by intentions`,
+      confidence: 0.9,
+      provider: 'google'
+    });
+
+    const translation = await service.processOriginalTranslation('session_1', NARRATION);
+
+    this.assert(translation.context === 'hadith', `Line stored as ${translation.context}`);
+    this.assert(translation.islamicContent.isHadith, 'Line not tagged as hadith');
+    this.assert(saved.map(result => result.language).sort().join(',') === 'de,en', `Translated into: ${saved.map(r => r.language)}`);
+    this.assert(cached.length === 2 && cached.every(entry => entry.contextType === 'hadith' && entry.metadata.containsHadith),
+      'Translations not cached as hadith');
+    this.assert(TranslationCache.toContextType('dua') === 'general', 'Unknown contexts not cached as general text');
+
+    console.log('✅ Narration translated into English and German and cached');
+  }
+
+  assert(condition, message) {
+    if (!condition) {
+      throw new Error(message);
+    }
+  }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  const tester = new HadithDetectorTester();
+  tester.runTests().catch(error => {
+    console.error('Test suite failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = HadithDetectorTester;
@@ -0,0 +1,101 @@
+// Iqamah Timetable Test Script
+// Checks CSV parsing and day resolution offline, no server or database needed
+const IqamahService = require('./services/IqamahService');
+
+class IqamahTimetableTester {
+  async runTests() {
+    console.log('🕌 Testing iqamah timetables...\n');
+
+    try {
+      // Test 1: Spreadsheet export with a header, semicolons and 12-hour times
+      this.testHeaderAndTwelveHourTimes();
+
+      // Test 2: Rows that cannot be stored are rejected with their line number
+      this.testInvalidRows();
+
+      // Test 3: Uploaded days win over the rules, Jumu'ah only on Fridays
+      this.testResolveDays();
+
+      console.log('\n🎉 All iqamah timetable tests passed!');
+
+    } catch (error) {
+      console.error('❌ Test failed:', error.message);
+      process.exit(1);
+    }
+  }
+
+  testHeaderAndTwelveHourTimes() {
+    console.log('1. Testing a spreadsheet export...');
+
+    const result = IqamahService.parseCsv(
+      'Date;Fajr;Zuhr;Asr;Maghrib;Isha\n1;5:30;1:30;3:15 PM;7:02;20:30\n2026-10-02;5:31;;;;\n',
+      '2026-10'
+    );
+
+    this.assert(result.success, `Upload was rejected: ${result.error}`);
+    this.assert(result.days.length === 2, `Expected 2 days, got ${result.days.length}`);
+    this.assert(result.days[0].dhuhr === '13:30', `Dhuhr read as ${result.days[0].dhuhr}`);
+    this.assert(result.days[0].asr === '15:15', `Asr read as ${result.days[0].asr}`);
+    this.assert(result.days[0].fajr === '05:30', `Fajr read as ${result.days[0].fajr}`);
+    this.assert(!result.days[1].dhuhr, 'An empty cell should fall back to the rule');
+
+    console.log('✅ Columns mapped and times converted to 24-hour');
+  }
+
+  testInvalidRows() {
+    console.log('2. Testing rows that cannot be stored...');
+
+    const outsideMonth = IqamahService.parseCsv('date,fajr\n31,5:30', '2026-11');
+    this.assert(!outsideMonth.success && outsideMonth.error.startsWith('Line 2'), 'Day 31 of November was accepted');
+
+    const duplicate = IqamahService.parseCsv('1,5:30\n1,5:31', '2026-10');
+    this.assert(!duplicate.success && duplicate.error.includes('twice'), 'A duplicate day was accepted');
+
+    const badTime = IqamahService.parseCsv('date,isha\n5,25:00', '2026-10');
+    this.assert(!badTime.success && badTime.status === 400, 'An impossible time was accepted');
+
+    console.log('✅ Invalid rows rejected');
+  }
+
+  testResolveDays() {
+    console.log('3. Testing day resolution...');
+
+    const timetable = {
+      prayers: {
+        fajr: { mode: 'offset', offsetMinutes: 20 },
+        dhuhr: { mode: 'fixed', time: '13:30' }
+      },
+      months: [{ month: '2026-10', days: [{ day: 30, fajr: '06:00' }] }],
+      jumuah: [{ khutbahTime: '13:00', iqamahTime: '13:30' }]
+    };
+
+    // 29 October 2026 is a Thursday
+    const days = IqamahService.resolveDays(timetable, '2026-10-29', 4);
+
+    this.assert(days.length === 4, `Expected 4 days, got ${days.length}`);
+    this.assert(days[0].prayers.fajr.type === 'offset' && days[0].prayers.fajr.offsetMinutes === 20, 'Fajr rule not applied');
+    this.assert(days[1].prayers.fajr.time === '06:00' && days[1].prayers.fajr.source === 'table', 'Uploaded Fajr not used');
+    this.assert(days[1].jumuah.length === 1 && days[0].jumuah.length === 0, "Jumu'ah not limited to Friday");
+    this.assert(days[3].date === '2026-11-01' && days[3].prayers.fajr.source === 'rule', 'Next month should use the rules');
+    this.assert(!days[0].prayers.asr, 'A prayer without a rule should have no iqamah');
+
+    console.log('✅ Uploaded times, rules and Jumu\'ah resolved per day');
+  }
+
+  assert(condition, message) {
+    if (!condition) {
+      throw new Error(message);
+    }
+  }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  const tester = new IqamahTimetableTester();
+  tester.runTests().catch(error => {
+    console.error('Test suite failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = IqamahTimetableTester;
@@ -0,0 +1,196 @@
+// Podcast Feed Test Script
+// Builds feeds from sample recordings without a database and checks what podcast apps read
+const config = require('./config/config');
+const PodcastService = require('./services/PodcastService');
+
+const BASE_URL = 'https://mosque.example';
+const MOSQUE_ID = '64b7f0c2a1b2c3d4e5f60718';
+
+class PodcastTester {
+  async runTests() {
+    console.log('🎙️ Testing podcast feeds...\n');
+
+    try {
+      // Test 1: Only recordings the mosque published are listed
+      this.testPublicQuery();
+
+      // Test 2: Channel tags podcast directories require
+      this.testChannel();
+
+      // Test 3: Enclosures point at the processed variant with its size
+      this.testEnclosures();
+
+      // Test 4: Episodes link captions in the feed's language and the original
+      this.testTranscripts();
+
+      // Test 5: Titles and notes cannot break the XML
+      this.testEscaping();
+
+      console.log('\n🎉 All podcast tests passed!');
+      process.exit(0); // The translation providers behind the sermon recap keep timers running
+
+    } catch (error) {
+      console.error('❌ Test failed:', error.message);
+      process.exit(1);
+    }
+  }
+
+  getMosque(overrides = {}) {
+    return {
+      _id: MOSQUE_ID,
+      mosqueName: 'Masjid Al-Noor',
+      city: 'Berlin',
+      country: 'Germany',
+      photos: { logo: '/uploads/logo-123.png' },
+      ...overrides
+    };
+  }
+
+  getRecording(overrides = {}) {
+    return {
+      recordingId: 'rec_1',
+      sessionId: 'session_1',
+      fileName: 'sermon_20250101_120000_ab12cd.m4a',
+      fileSizeBytes: 24000000,
+      durationSeconds: 1800,
+      createdAt: new Date('2025-01-03T12:30:00Z'),
+      metadata: { title: 'Patience in hardship', speaker: 'Imam Yusuf', sessionType: 'sermon', language: 'ar' },
+      processing: { status: null, variants: [] },
+      ...overrides
+    };
+  }
+
+  testPublicQuery() {
+    console.log('1. Testing which recordings are published...');
+
+    const query = PodcastService.getPublicQuery(MOSQUE_ID);
+    this.assert(query.mosqueId === MOSQUE_ID, 'Other mosques\' recordings included');
+    this.assert(query.status.$in.includes('completed') && query.status.$in.includes('archived'), 'Archived recordings left out');
+    this.assert(!query.status.$in.includes('recording'), 'Unfinished recordings included');
+    this.assert(query.$or.some(condition => condition.isPublic === true) && query.$or.some(condition => condition.accessLevel === 'public'),
+      'Public recordings not matched');
+
+    console.log('✅ Public, finished recordings of the mosque only');
+  }
+
+  testChannel() {
+    console.log('2. Testing the channel...');
+
+    const feed = PodcastService.buildFeed({ mosque: this.getMosque(), recordings: [this.getRecording()], baseUrl: BASE_URL });
+    this.assert(feed.startsWith('<?xml version="1.0" encoding="UTF-8"?>'), 'XML declaration missing');
+    this.assert(feed.includes('<title>Masjid Al-Noor</title>'), 'Mosque name not the title');
+    this.assert(feed.includes(`<language>${config.translation.defaultUserLanguage}</language>`), 'Main feed not in the default language');
+    this.assert(feed.includes(`<itunes:image href="${BASE_URL}/uploads/logo-123.png"/>`), 'Logo missing or not absolute');
+    this.assert(feed.includes('<itunes:category text="Religion &amp; Spirituality"><itunes:category text="Islam"/></itunes:category>'), 'Category missing');
+    this.assert(feed.includes('<itunes:explicit>false</itunes:explicit>'), 'Explicit flag missing');
+    this.assert(feed.includes(`<atom:link href="${BASE_URL}/api/mosques/${MOSQUE_ID}/podcast.xml" rel="self"`), 'Self link wrong');
+
+    const french = PodcastService.buildFeed({ mosque: this.getMosque(), recordings: [], language: 'fr', baseUrl: BASE_URL });
+    this.assert(french.includes('<language>fr</language>'), 'Language feed not in its language');
+    this.assert(french.includes(`/api/mosques/${MOSQUE_ID}/podcast/fr.xml`), 'Language feed links the main feed');
+
+    const noLogo = PodcastService.buildFeed({ mosque: this.getMosque({ photos: {} }), recordings: [], baseUrl: BASE_URL });
+    this.assert(!noLogo.includes('itunes:image'), 'Empty logo published');
+
+    console.log('✅ Channel complete, logo absolute');
+  }
+
+  testEnclosures() {
+    console.log('3. Testing enclosures...');
+
+    const original = PodcastService.getEnclosure(this.getRecording(), BASE_URL);
+    this.assert(original.url === `${BASE_URL}/api/audio/recordings/sermon_20250101_120000_ab12cd.m4a`, `Original URL is ${original.url}`);
+    this.assert(original.length === 24000000 && original.type === 'audio/mp4', 'Original size or type wrong');
+    this.assert(original.durationSeconds === 1800, 'Original duration wrong');
+
+    const processed = PodcastService.getEnclosure(this.getRecording({
+      processing: {
+        status: 'completed',
+        variants: [
+          { name: 'opus_48', key: 'mosque_1/sermon_20250101_120000_ab12cd_48k.opus', fileSizeBytes: 9000000, durationSeconds: 1772 },
+          {
+            name: config.audioProcessing.defaultVariant,
+            key: 'mosque_1/sermon_20250101_120000_ab12cd_128k.mp3',
+            fileSizeBytes: 28350000,
+            durationSeconds: 1772
+          }
+        ]
+      }
+    }), BASE_URL);
+    this.assert(processed.url.endsWith(`?variant=${config.audioProcessing.defaultVariant}`), `Processed URL is ${processed.url}`);
+    this.assert(processed.length === 28350000 && processed.type === 'audio/mpeg', 'Variant size or type not used');
+    this.assert(processed.durationSeconds === 1772, 'Trimmed duration not used');
+
+    const feed = PodcastService.buildFeed({ mosque: this.getMosque(), recordings: [this.getRecording()], baseUrl: BASE_URL });
+    this.assert(feed.includes('length="24000000" type="audio/mp4"/>'), 'Enclosure not in the feed');
+    this.assert(feed.includes('<pubDate>Fri, 03 Jan 2025 12:30:00 GMT</pubDate>'), 'pubDate not RFC 822');
+    this.assert(feed.includes('<itunes:author>Imam Yusuf</itunes:author>') && feed.includes('<category>Khutbah</category>'),
+      'Speaker or session type missing');
+
+    console.log('✅ Processed variant published with its own size');
+  }
+
+  testTranscripts() {
+    console.log('4. Testing transcript links...');
+
+    const summary = {
+      status: 'ready',
+      topic: 'Sabr bei Prüfungen',
+      keyPoints: ['Geduld ist Licht', 'Allah ist mit den Geduldigen']
+    };
+    const feed = PodcastService.buildFeed({
+      mosque: this.getMosque(),
+      recordings: [this.getRecording()],
+      summaries: new Map([['session_1', summary]]),
+      language: 'de',
+      baseUrl: BASE_URL
+    });
+
+    const subtitles = `${BASE_URL}/api/sessions/recordings/session_1/subtitles`;
+    this.assert(feed.includes(`url="${subtitles}?lang=de&amp;format=vtt&amp;recordingId=rec_1" type="text/vtt" language="de"`),
+      'Translated captions not linked');
+    this.assert(feed.includes(`url="${subtitles}?lang=ar&amp;format=vtt&amp;recordingId=rec_1" type="text/vtt" language="ar"`),
+      'Original transcript not linked');
+    this.assert(feed.includes('<description>Sabr bei Prüfungen\n- Geduld ist Licht\n- Allah ist mit den Geduldigen</description>'),
+      'Recap not used as episode notes');
+
+    const arabic = PodcastService.buildFeed({ mosque: this.getMosque(), recordings: [this.getRecording()], language: 'ar', baseUrl: BASE_URL });
+    this.assert(arabic.split('<podcast:transcript').length === 2, 'Arabic feed links the original twice');
+
+    console.log('✅ Captions in the feed language and the original');
+  }
+
+  testEscaping() {
+    console.log('5. Testing escaping...');
+
+    const feed = PodcastService.buildFeed({
+      mosque: this.getMosque({ mosqueName: 'Noor <Centre> & "Friends"' }),
+      recordings: [this.getRecording({ metadata: { sessionType: 'quran', description: 'Surah Al-Kahf\u0007 & tafsir' } })],
+      baseUrl: BASE_URL
+    });
+
+    this.assert(feed.includes('<title>Noor &lt;Centre&gt; &amp; &quot;Friends&quot;</title>'), 'Mosque name not escaped');
+    this.assert(!/&(?!amp;|lt;|gt;|quot;|apos;)/.test(feed), 'Unescaped ampersand in the feed');
+    this.assert(!feed.includes('\u0007'), 'Control character left in the feed');
+    this.assert(feed.includes('<title>Quran Recitation, 2025-01-03</title>'), 'Untitled recording not named after its type and date');
+
+    console.log('✅ Markup characters escaped');
+  }
+
+  assert(condition, message) {
+    if (!condition) {
+      throw new Error(message);
+    }
+  }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  const tester = new PodcastTester();
+  tester.runTests().catch(error => {
+    console.error('Test suite failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = PodcastTester;
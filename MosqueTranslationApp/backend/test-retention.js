@@ -0,0 +1,194 @@
+// Retention Test Script
+// Checks the retention policies, the archive move and speech segment cleanup without a database
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('./config/config');
+const LocalStorageDriver = require('./services/storage/LocalStorageDriver');
+const StorageService = require('./services/StorageService');
+const RetentionService = require('./services/RetentionService');
+const TextToSpeechService = require('./services/TextToSpeechService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class RetentionTester {
+  async runTests() {
+    console.log('🗄️ Testing retention jobs...\n');
+
+    this.tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'mosque-retention-'));
+
+    try {
+      // Test 1: Mosque settings override the server defaults
+      this.testPolicies();
+
+      // Test 2: Only old, unprotected, completed recordings are picked for the archive
+      this.testArchiveQuery();
+
+      // Test 3: Files move into the archive area under the same key
+      await this.testArchiveMove();
+
+      // Test 4: Archived recordings are downloaded from the archive area
+      await this.testArchivedRecordingLocation();
+
+      // Test 5: Every server instance agrees on the scheduled slot
+      this.testSlots();
+
+      // Test 6: Spoken translations are removed with their session or once left behind
+      await this.testSpeechSegmentCleanup();
+
+      console.log('\n🎉 All retention tests passed!');
+
+    } catch (error) {
+      console.error('❌ Test failed:', error.message);
+      process.exitCode = 1;
+    } finally {
+      await fs.promises.rm(this.tempDir, { recursive: true, force: true });
+    }
+  }
+
+  testPolicies() {
+    console.log('1. Testing retention policies...');
+
+    const defaults = RetentionService.getPolicy(null);
+    this.assert(defaults.archiveAfterDays === config.retention.archiveAfterDays, 'Default archive age not used');
+    this.assert(defaults.deleteAfterDays === config.retention.deleteAfterDays, 'Default delete age not used');
+
+    const own = RetentionService.getPolicy({ recordingRetention: { archiveAfterDays: 7, deleteAfterDays: 365 } });
+    this.assert(own.archiveAfterDays === 7 && own.deleteAfterDays === 365, 'Mosque settings ignored');
+
+    // 0 means keep forever, even when the server deletes by default
+    const keep = RetentionService.getPolicy({ recordingRetention: { deleteAfterDays: 0 } });
+    this.assert(keep.deleteAfterDays === 0, 'Keep-forever setting replaced by the default');
+    this.assert(keep.archiveAfterDays === config.retention.archiveAfterDays, 'Missing archive age not defaulted');
+
+    console.log('✅ Mosque settings and defaults combined');
+  }
+
+  testArchiveQuery() {
+    console.log('2. Testing which recordings are archived...');
+
+    const now = new Date('2025-06-01T00:00:00Z');
+    const query = RetentionService.getArchiveQuery('mosque_1', { archiveAfterDays: 30 }, now);
+
+    this.assert(query.status === 'completed' && query.isArchived === false, 'Unfinished or archived recordings included');
+    this.assert(query['retention.isProtected'].$ne === true, 'Protected recordings included');
+    this.assert(query['retention.expiresAt'] === null, 'Recordings with their own expiry date handled twice');
+    this.assert(now - query.createdAt.$lt === 30 * DAY_MS, `Cutoff is ${query.createdAt.$lt.toISOString()}`);
+
+    console.log('✅ Old, unprotected, completed recordings only');
+  }
+
+  async testArchiveMove() {
+    console.log('3. Testing the archive move...');
+
+    const driver = new LocalStorageDriver({
+      roots: {
+        recordings: path.join(this.tempDir, 'recordings'),
+        archive: path.join(this.tempDir, 'archive')
+      }
+    });
+    await driver.connect();
+
+    await driver.putBuffer('recordings', 'mosque_1/khutbah.m4a', Buffer.alloc(1024, 3));
+    const moved = await driver.move('recordings', 'mosque_1/khutbah.m4a', 'archive');
+
+    this.assert(moved.size === 1024, `Moved ${moved.size} bytes instead of 1024`);
+    this.assert(!(await driver.stat('recordings', 'mosque_1/khutbah.m4a')), 'File still in recordings');
+    this.assert((await driver.stat('archive', 'mosque_1/khutbah.m4a'))?.size === 1024, 'File not in archive');
+
+    let rejected = false;
+    try {
+      await driver.move('recordings', '../archive/mosque_1/khutbah.m4a', 'archive');
+    } catch (error) {
+      rejected = true;
+    }
+    this.assert(rejected, 'Move outside the area accepted');
+
+    console.log('✅ Moved with its key, traversal rejected');
+  }
+
+  async testArchivedRecordingLocation() {
+    console.log('4. Testing archived recording downloads...');
+
+    const recording = {
+      fileName: 'khutbah.m4a',
+      filePath: path.join(StorageService.getLocalDirectory('archive'), 'mosque_1', 'khutbah.m4a'),
+      isArchived: true,
+      storage: { provider: 'local', key: 'mosque_1/khutbah.m4a' }
+    };
+
+    const location = StorageService.getRecordingLocation(recording);
+    this.assert(location.area === 'archive' && location.key === 'mosque_1/khutbah.m4a', `Archived recording at ${location.area}/${location.key}`);
+
+    const url = await StorageService.getRecordingDownloadUrl(recording);
+    this.assert(url.startsWith('/api/storage/archive/mosque_1/khutbah.m4a?'), `Download URL is ${url}`);
+
+    const current = StorageService.getRecordingLocation({ ...recording, isArchived: false });
+    this.assert(current.area === 'recordings', 'Recording not yet archived looked up in the archive');
+
+    console.log('✅ Archived recordings stay downloadable');
+  }
+
+  testSlots() {
+    console.log('5. Testing scheduled slots...');
+
+    const interval = config.retention.intervalMs;
+    const start = 1000 * interval;
+
+    this.assert(RetentionService.getSlot(start) === RetentionService.getSlot(start + interval - 1), 'One interval split into two slots');
+    this.assert(RetentionService.getSlot(start + interval) === RetentionService.getSlot(start) + 1, 'Next interval has the same slot');
+
+    if (RetentionService.isEnabled()) {
+      const nextRunAt = RetentionService.getNextRunAt().getTime();
+      this.assert(nextRunAt > Date.now() && nextRunAt - Date.now() <= interval, 'Next run not within one interval');
+    }
+
+    console.log('✅ Slots follow the interval');
+  }
+
+  async testSpeechSegmentCleanup() {
+    console.log('6. Testing speech segment cleanup...');
+
+    TextToSpeechService.outputPath = path.join(this.tempDir, 'audio-output');
+    this.assert(await TextToSpeechService.deleteOldSegments(DAY_MS) === 0, 'Missing output folder not ignored');
+
+    const writeSegment = async (sessionId) => {
+      const folder = path.join(TextToSpeechService.outputPath, TextToSpeechService.getSessionFolder(sessionId));
+      await fs.promises.mkdir(folder, { recursive: true });
+      await fs.promises.writeFile(path.join(folder, '000001_en.wav'), 'audio');
+      return folder;
+    };
+
+    const ended = await writeSegment('session_ended');
+    const abandoned = await writeSegment('session_abandoned');
+    const live = await writeSegment('session_live');
+    const twoDaysAgo = new Date(Date.now() - 2 * DAY_MS);
+    await fs.promises.utimes(abandoned, twoDaysAgo, twoDaysAgo);
+
+    this.assert(await TextToSpeechService.removeSessionSegments('session_ended'), 'Session segments not removed');
+    this.assert(!fs.existsSync(ended), 'Ended session folder still there');
+
+    this.assert(await TextToSpeechService.deleteOldSegments(DAY_MS) === 1, 'Wrong number of old sessions removed');
+    this.assert(!fs.existsSync(abandoned), 'Abandoned session folder still there');
+    this.assert(fs.existsSync(path.join(live, '000001_en.wav')), 'Segments of a running session removed');
+
+    console.log('✅ Ended and abandoned sessions cleaned up, running ones kept');
+  }
+
+  assert(condition, message) {
+    if (!condition) {
+      throw new Error(message);
+    }
+  }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  const tester = new RetentionTester();
+  tester.runTests().catch(error => {
+    console.error('Test suite failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = RetentionTester;
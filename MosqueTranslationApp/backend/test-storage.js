@@ -0,0 +1,179 @@
+// Storage Test Script
+// Checks the local driver and signed download links offline. With S3_BUCKET set it also round-trips
+// a file through that bucket, e.g. a local MinIO:
+//   S3_ENDPOINT=http://localhost:9000 S3_BUCKET=mosque-test S3_ACCESS_KEY_ID=minioadmin S3_SECRET_ACCESS_KEY=minioadmin npm run test-storage
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('./config/config');
+const LocalStorageDriver = require('./services/storage/LocalStorageDriver');
+const StorageService = require('./services/StorageService');
+
+class StorageTester {
+  async runTests() {
+    console.log('💾 Testing file storage...\n');
+
+    this.tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'mosque-storage-'));
+
+    try {
+      // Test 1: Files go in, come back out and can be listed and removed
+      await this.testLocalDriver();
+
+      // Test 2: Keys cannot reach outside their area
+      this.testKeyEscape();
+
+      // Test 3: Local download links expire and cannot be altered
+      await this.testSignedLinks();
+
+      // Test 4: Recordings saved before storage drivers are found by their path
+      this.testLegacyRecordingLocation();
+
+      // Test 5: Round trip through an S3-compatible bucket
+      if (config.storage.s3.bucket) {
+        await this.testS3Driver();
+      } else {
+        console.log('5. Skipping S3 round trip (set S3_BUCKET and S3_ENDPOINT to run it against MinIO)');
+      }
+
+      console.log('\n🎉 All storage tests passed!');
+
+    } catch (error) {
+      console.error('❌ Test failed:', error.message);
+      process.exitCode = 1;
+    } finally {
+      await fs.promises.rm(this.tempDir, { recursive: true, force: true });
+    }
+  }
+
+  async testLocalDriver() {
+    console.log('1. Testing the local driver...');
+
+    const driver = new LocalStorageDriver({ roots: { recordings: path.join(this.tempDir, 'recordings') } });
+    await driver.connect();
+
+    const source = path.join(this.tempDir, 'captured.m4a');
+    await fs.promises.writeFile(source, Buffer.alloc(2048, 1));
+
+    const stored = await driver.putFile('recordings', 'mosque_1/khutbah.m4a', source);
+    this.assert(stored.size === 2048, `Stored ${stored.size} bytes instead of 2048`);
+
+    const stats = await driver.stat('recordings', 'mosque_1/khutbah.m4a');
+    this.assert(stats && stats.size === 2048, 'Stored file not found');
+
+    const copy = await driver.downloadToFile('recordings', 'mosque_1/khutbah.m4a', path.join(this.tempDir, 'copy.m4a'));
+    this.assert((await fs.promises.readFile(copy)).equals(Buffer.alloc(2048, 1)), 'Downloaded copy differs');
+
+    const keys = await driver.list('recordings');
+    this.assert(keys.length === 1 && keys[0] === 'mosque_1/khutbah.m4a', `Unexpected keys: ${keys.join(', ')}`);
+
+    await driver.remove('recordings', 'mosque_1/khutbah.m4a');
+    this.assert(!(await driver.stat('recordings', 'mosque_1/khutbah.m4a')), 'File still there after remove');
+    this.assert(await driver.remove('recordings', 'mosque_1/khutbah.m4a') === false, 'Removing a missing file should not throw');
+
+    console.log('✅ Stored, read back, listed and removed');
+  }
+
+  testKeyEscape() {
+    console.log('2. Testing keys outside their area...');
+
+    const driver = new LocalStorageDriver({ roots: { uploads: path.join(this.tempDir, 'uploads') } });
+
+    for (const key of ['../secret.txt', 'a/../../secret.txt', '/etc/passwd', '']) {
+      let rejected = false;
+      try {
+        driver.resolve('uploads', key);
+      } catch (error) {
+        rejected = true;
+      }
+      this.assert(rejected, `Key "${key}" was accepted`);
+    }
+
+    console.log('✅ Path traversal rejected');
+  }
+
+  async testSignedLinks() {
+    console.log('3. Testing signed download links...');
+
+    const url = await StorageService.getDownloadUrl('recordings', 'mosque_1/friday khutbah.m4a', { provider: 'local' });
+    const parsed = new URL(url, 'http://localhost');
+    const key = decodeURIComponent(parsed.pathname.replace('/api/storage/recordings/', ''));
+    const expires = parsed.searchParams.get('expires');
+    const signature = parsed.searchParams.get('signature');
+
+    this.assert(key === 'mosque_1/friday khutbah.m4a', `Key read back as ${key}`);
+    this.assert(StorageService.verifyLocalDownload('recordings', key, expires, signature), 'Valid link rejected');
+    this.assert(!StorageService.verifyLocalDownload('recordings', 'mosque_2/other.m4a', expires, signature), 'Link reused for another file');
+    this.assert(!StorageService.verifyLocalDownload('uploads', key, expires, signature), 'Link reused for another area');
+    this.assert(!StorageService.verifyLocalDownload('recordings', key, String(Number(expires) + 60), signature), 'Extended expiry accepted');
+
+    const expired = new URL(
+      await StorageService.getDownloadUrl('recordings', key, { provider: 'local', expiresIn: -1 }),
+      'http://localhost'
+    );
+    this.assert(!StorageService.verifyLocalDownload(
+      'recordings', key, expired.searchParams.get('expires'), expired.searchParams.get('signature')
+    ), 'Expired link accepted');
+
+    console.log('✅ Links are tied to one file and expire');
+  }
+
+  testLegacyRecordingLocation() {
+    console.log('4. Testing recordings saved before storage drivers...');
+
+    const legacy = StorageService.getRecordingLocation({
+      filePath: path.join(StorageService.getLocalDirectory('recordings'), 'mosque_1', 'sermon.m4a')
+    });
+    this.assert(legacy.key === 'mosque_1/sermon.m4a' && legacy.provider === 'local', `Legacy recording at ${legacy.key}`);
+
+    const stored = StorageService.getRecordingLocation({
+      filePath: '/tmp/ignored.m4a',
+      storage: { provider: 'aws_s3', key: 'mosque_1/sermon.m4a' }
+    });
+    this.assert(stored.key === 'mosque_1/sermon.m4a' && stored.provider === 'aws_s3', 'Stored key not used');
+
+    console.log('✅ Old paths map to storage keys');
+  }
+
+  async testS3Driver() {
+    console.log(`5. Testing S3 storage (${config.storage.s3.endpoint || 'AWS'}, bucket ${config.storage.s3.bucket})...`);
+
+    const S3StorageDriver = require('./services/storage/S3StorageDriver');
+    const driver = new S3StorageDriver(config.storage.s3);
+    await driver.connect();
+
+    const key = `test/${Date.now()}.m4a`;
+    const source = path.join(this.tempDir, 'upload.m4a');
+    await fs.promises.writeFile(source, Buffer.alloc(4096, 7));
+
+    await driver.putFile('recordings', key, source, { contentType: 'audio/mp4' });
+    const stats = await driver.stat('recordings', key);
+    this.assert(stats && stats.size === 4096, 'Uploaded object not found');
+
+    const url = await driver.getSignedUrl('recordings', key, { expiresIn: 60, fileName: 'khutbah.m4a' });
+    const response = await fetch(url);
+    this.assert(response.ok, `Signed URL returned ${response.status}`);
+    this.assert(Buffer.from(await response.arrayBuffer()).length === 4096, 'Signed URL returned a different file');
+
+    await driver.remove('recordings', key);
+    this.assert(!(await driver.stat('recordings', key)), 'Object still there after remove');
+
+    console.log('✅ Uploaded, downloaded through a signed URL and removed');
+  }
+
+  assert(condition, message) {
+    if (!condition) {
+      throw new Error(message);
+    }
+  }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  const tester = new StorageTester();
+  tester.runTests().catch(error => {
+    console.error('Test suite failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = StorageTester;
@@ -0,0 +1,293 @@
+// Speech-to-Text Provider Registry Test Script
+// Runs offline with the file replay provider, no server, database or vendor account needed; the live pipeline test
+// stands in for the machine translator
+const path = require('path');
+const STTManager = require('./services/stt/STTManager');
+const STTProviderInterface = require('./services/stt/STTProviderInterface');
+const FileReplaySTTProvider = require('./services/stt/FileReplaySTTProvider');
+const VoiceRecognitionService = require('./services/VoiceRecognitionService');
+const MultiLanguageTranslationService = require('./services/MultiLanguageTranslationService');
+const SessionBackfillService = require('./services/SessionBackfillService');
+const GlossaryService = require('./services/GlossaryService');
+const TranslationCache = require('./models/TranslationCache');
+
+const TRANSCRIPT = 'services/stt/sampleTranscript.json';
+const transcriptLines = require(path.join(__dirname, TRANSCRIPT)).map(line => (typeof line === 'string' ? line : line.text));
+
+// Accepts a fixed number of chunks, then fails the way a dropped vendor connection does
+class FlakySTTProvider extends STTProviderInterface {
+  constructor(failAfterChunks) {
+    super('flaky', { enabled: true });
+    this.failAfterChunks = failAfterChunks;
+  }
+
+  async initialize() {
+    this.isInitialized = true;
+  }
+
+  async startStream(streamInfo) {
+    this.setStream(streamInfo, { chunks: 0 });
+  }
+
+  async processAudioChunk(audioChunk, streamInfo) {
+    const state = this.getStream(streamInfo);
+    state.chunks++;
+    if (state.chunks > this.failAfterChunks) {
+      throw new Error('Flaky provider connection lost');
+    }
+    return null;
+  }
+
+  async stopStream(streamInfo) {
+    this.deleteStream(streamInfo);
+  }
+}
+
+class STTReplayTester {
+  async runTests() {
+    console.log('🎤 Testing speech-to-text providers...\n');
+
+    try {
+      // Test 1: Replay is deterministic
+      await this.testReplayIsDeterministic();
+
+      // Test 2: Fallback chain skips unhealthy providers
+      await this.testHealthChecks();
+
+      // Test 3: Mid-session failover keeps the chunk that failed
+      await this.testMidSessionFailover();
+
+      // Test 4: Caller hears about it once nothing is left
+      await this.testAllProvidersFail();
+
+      // Test 5: Replayed speech reaches listeners as translation_update
+      await this.testReplayToTranslationUpdate();
+
+      console.log('\n🎉 All speech-to-text provider tests passed!');
+      process.exit(0);
+
+    } catch (error) {
+      console.error('❌ Test failed:', error.message);
+      process.exit(1);
+    }
+  }
+
+  createManager(options = {}) {
+    return new STTManager({
+      voiceRecognition: {
+        defaultProvider: options.defaultProvider || 'replay',
+        fallbackProviders: options.fallbackProviders || ['replay'],
+        whisper: { enabled: false },
+        replay: { transcriptPath: TRANSCRIPT, chunksPerSegment: 3, chunkDurationMs: 250 }
+      }
+    });
+  }
+
+  createStream(sessionId) {
+    return { sessionId, language: 'ar-SA', isActive: true, failedProviders: [] };
+  }
+
+  // Send chunks until the transcript is exhausted and collect what comes back
+  async replay(manager, streamInfo, chunkCount) {
+    const results = [];
+    for (let sequence = 1; sequence <= chunkCount; sequence++) {
+      const result = await manager.processAudioChunk(streamInfo, Buffer.alloc(320), { sequence });
+      if (result && result.transcription) {
+        results.push(result);
+      }
+    }
+    return results;
+  }
+
+  async testReplayIsDeterministic() {
+    console.log('1. Testing replay of the sample transcript...');
+
+    const runs = [];
+    for (let run = 0; run < 2; run++) {
+      const manager = this.createManager();
+      await manager.initialize();
+      const streamInfo = this.createStream(`replay_${run}`);
+      await manager.startStream(streamInfo);
+      runs.push(await this.replay(manager, streamInfo, 40));
+      await manager.stopStream(streamInfo);
+    }
+
+    const [first, second] = runs;
+    this.assert(first.length === transcriptLines.length, `Expected ${transcriptLines.length} segments, got ${first.length}`);
+    this.assert(first.every((result, i) => result.transcription === transcriptLines[i]), 'Segments out of order');
+    this.assert(first.every(result => result.isFinal && result.provider === 'replay'), 'Replay results must be final');
+    this.assert(first[0].sequence === 2, `First segment should close on chunk 2, got ${first[0].sequence}`);
+    this.assert(first[1].audioStartTime === 0.5 && first[1].audioEndTime === 1.25, 'Wrong segment timing');
+    this.assert(JSON.stringify(first.map(r => r.sequence)) === JSON.stringify(second.map(r => r.sequence)),
+      'Two runs produced different results');
+
+    console.log('✅ Transcript replayed identically twice');
+  }
+
+  async testHealthChecks() {
+    console.log('2. Testing health checks...');
+
+    const manager = this.createManager({ defaultProvider: 'broken', fallbackProviders: ['broken', 'replay'] });
+    await manager.initialize();
+
+    const broken = new FlakySTTProvider(0);
+    broken.name = 'broken';
+    broken.healthCheck = async () => ({ healthy: false, error: 'Vendor unreachable' });
+    await manager.registerProvider(broken);
+
+    const health = await manager.checkHealth();
+    this.assert(health.broken.healthy === false && health.replay.healthy === true, 'Health results wrong');
+
+    const streamInfo = this.createStream('health');
+    const provider = await manager.startStream(streamInfo, 'broken');
+    this.assert(provider === 'replay', `Unhealthy provider was used: ${provider}`);
+
+    const replay = manager.providers.get('replay');
+    replay.transcriptPath = path.join(__dirname, 'does-not-exist.json');
+    await manager.checkHealth();
+    this.assert(!manager.hasAvailableProvider(), 'Missing transcript file not detected');
+
+    console.log('✅ Unhealthy providers are skipped');
+  }
+
+  async testMidSessionFailover() {
+    console.log('3. Testing failover mid-session...');
+
+    const manager = this.createManager({ defaultProvider: 'flaky', fallbackProviders: ['replay'] });
+    await manager.initialize();
+    await manager.registerProvider(new FlakySTTProvider(4));
+    this.assert(manager.providers.get('replay') instanceof FileReplaySTTProvider, 'Replay provider not registered');
+
+    const sessionId = 'failover';
+    const changes = [];
+    const streamInfo = {
+      ...this.createStream(sessionId),
+      errorCallback: (error, providerName) => VoiceRecognitionService.handleProviderError(sessionId, error, providerName),
+      onProviderChange: (change) => changes.push(change),
+      onError: (error) => { throw new Error(`Unexpected onError: ${error.message}`); }
+    };
+    VoiceRecognitionService.sttManager = manager;
+    await manager.startStream(streamInfo, 'flaky');
+    VoiceRecognitionService.activeStreams.set(sessionId, streamInfo);
+
+    const results = [];
+    for (let sequence = 1; sequence <= 12; sequence++) {
+      const result = await VoiceRecognitionService.processRealTimeAudioChunk(sessionId, Buffer.alloc(320), { sequence });
+      if (result && result.transcription) {
+        results.push(result);
+      }
+    }
+
+    this.assert(streamInfo.provider === 'replay', `Session still on ${streamInfo.provider}`);
+    this.assert(changes.length === 1 && changes[0].previousProvider === 'flaky', 'Provider change not reported once');
+    this.assert(manager.providers.get('flaky').streams.size === 0, 'Failed provider stream was not closed');
+    // Chunk 5 failed on flaky and was resent to replay, which closes segments on chunks 6, 9 and 12
+    this.assert(results.length === 3 && results[0].sequence === 6, `Unexpected results: ${results.map(r => r.sequence)}`);
+    this.assert(manager.providers.get('flaky').health.healthy === false, 'Failed provider not marked unhealthy');
+
+    VoiceRecognitionService.activeStreams.delete(sessionId);
+    console.log('✅ Session continued on the replay provider');
+  }
+
+  async testAllProvidersFail() {
+    console.log('4. Testing failure when no provider is left...');
+
+    const manager = this.createManager({ defaultProvider: 'flaky', fallbackProviders: [] });
+    await manager.initialize();
+    await manager.registerProvider(new FlakySTTProvider(0));
+
+    const sessionId = 'exhausted';
+    const errors = [];
+    const streamInfo = {
+      ...this.createStream(sessionId),
+      onError: (error) => errors.push(error)
+    };
+    VoiceRecognitionService.sttManager = manager;
+    await manager.startStream(streamInfo, 'flaky');
+    VoiceRecognitionService.activeStreams.set(sessionId, streamInfo);
+
+    let thrown = null;
+    try {
+      await VoiceRecognitionService.processRealTimeAudioChunk(sessionId, Buffer.alloc(320), { sequence: 1 });
+    } catch (error) {
+      thrown = error;
+    }
+
+    this.assert(thrown && thrown.message === 'Flaky provider connection lost', 'Chunk error was swallowed');
+    this.assert(errors.length === 1, 'onError should be called once');
+
+    VoiceRecognitionService.activeStreams.delete(sessionId);
+    console.log('✅ Error reported after the last provider failed');
+  }
+
+  // What server.js does for every realtime_audio_chunk, with a stand-in machine translator and cache
+  async testReplayToTranslationUpdate() {
+    console.log('5. Testing replayed speech through to translation_update...');
+
+    const translationManager = MultiLanguageTranslationService.translationManager;
+    // The translation providers start up in the background; wait so they do not replace the stand-in
+    while (!translationManager.isInitialized) {
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    translationManager.providers.set('google', {
+      isAvailable: () => true,
+      translate: async (text, targetLanguage) => ({ success: true, text: `[${targetLanguage}] ${text}`, confidence: 0.9, provider: 'google' })
+    });
+    translationManager.defaultProvider = 'google';
+    GlossaryService.hasMosqueTerms = async () => false;
+    GlossaryService.protect = async () => null;
+    TranslationCache.findCachedTranslation = async () => null;
+    TranslationCache.createCacheEntry = async () => null;
+
+    const manager = this.createManager();
+    await manager.initialize();
+    const sessionId = 'replay_pipeline';
+    const streamInfo = this.createStream(sessionId);
+    VoiceRecognitionService.sttManager = manager;
+    await manager.startStream(streamInfo);
+    VoiceRecognitionService.activeStreams.set(sessionId, streamInfo);
+
+    const updates = [];
+    for (let sequence = 1; sequence <= 40; sequence++) {
+      // The phone sends base64 PCM
+      const audioData = Buffer.alloc(320).toString('base64');
+      const result = await VoiceRecognitionService.processRealTimeAudioChunk(sessionId, Buffer.from(audioData, 'base64'), {
+        sequence,
+        format: 'pcm',
+        language: 'ar-SA'
+      });
+
+      if (result && result.isFinal && result.transcription.trim()) {
+        const line = await MultiLanguageTranslationService.translateLiveLine(sessionId, result.transcription, {
+          sequence,
+          targetLanguages: ['en', 'de']
+        });
+        updates.push(SessionBackfillService.record(sessionId, line));
+      }
+    }
+
+    this.assert(updates.length === transcriptLines.length, `Expected ${transcriptLines.length} updates, got ${updates.length}`);
+    this.assert(updates.every((update, i) => update.sequenceNumber === i + 1 && update.originalText === transcriptLines[i]),
+      'Updates not numbered in transcript order');
+    this.assert(updates.every(update => update.sessionId === sessionId && update.translations.en && update.translations.de),
+      'A line is missing a translation');
+    this.assert(updates[2].translations.de === `[de] ${transcriptLines[2]}`, `Unexpected translation: ${updates[2].translations.de}`);
+    this.assert(updates[0].islamicContent.isQuranic, 'Basmala not recognised as a verse');
+    this.assert(updates[3].islamicContent.isHadith && !updates[2].islamicContent.isHadith, 'Narration not marked');
+
+    const missed = SessionBackfillService.getMissed(sessionId, 4, ['de']);
+    this.assert(missed.updates.length === 2 && !missed.updates[0].translations.en, 'Backfill does not serve the recorded lines');
+
+    await manager.stopStream(streamInfo);
+    VoiceRecognitionService.activeStreams.delete(sessionId);
+    console.log('✅ Every replayed line was translated and numbered for listeners');
+  }
+
+  assert(condition, message) {
+    if (!condition) {
+      throw new Error(message);
+    }
+  }
+}
+
+new STTReplayTester().runTests();
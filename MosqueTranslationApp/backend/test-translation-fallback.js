@@ -0,0 +1,110 @@
+// Translation Fallback Test Script
+// Fails the default provider and checks what the fallback's answer is cached as; no server, database or API keys needed
+const MultiLanguageTranslationService = require('./services/MultiLanguageTranslationService');
+const GlossaryService = require('./services/GlossaryService');
+const TranslationCache = require('./models/TranslationCache');
+
+const SERMON_LINE = 'اتقوا الله حيثما كنتم';
+
+class TranslationFallbackTester {
+  constructor() {
+    this.cached = [];
+  }
+
+  async runTests() {
+    console.log('🔁 Testing translation provider fallback...\n');
+
+    try {
+      await this.setup();
+
+      // Test 1: Offline default fails, the cloud answer is cached under the cloud provider
+      await this.testCloudFallbackCached();
+
+      // Test 2: Cloud default fails, the offline answer is served but not cached
+      await this.testOfflineFallbackNotCached();
+
+      console.log('\n🎉 All translation fallback tests passed!');
+      process.exit(0); // The translation providers keep timers running
+
+    } catch (error) {
+      console.error('❌ Test failed:', error.message);
+      process.exit(1);
+    }
+  }
+
+  // Stand-in providers and an in-memory cache that still runs the model's validation
+  async setup() {
+    const manager = MultiLanguageTranslationService.translationManager;
+    // The real providers start up in the background; wait so they do not replace the stand-ins
+    while (!manager.isInitialized) {
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+
+    GlossaryService.hasMosqueTerms = async () => false;
+    GlossaryService.protect = async () => null;
+    TranslationCache.findCachedTranslation = async () => null;
+    const cached = this.cached;
+    TranslationCache.prototype.save = async function() {
+      await this.validate();
+      cached.push(this);
+      return this;
+    };
+  }
+
+  useProviders(defaultProvider, failing) {
+    const manager = MultiLanguageTranslationService.translationManager;
+    const fake = (name) => ({
+      isAvailable: () => true,
+      translate: async () => (name === failing
+        ? { success: false, error: { message: `${name} is down` } }
+        : { success: true, text: `Fear Allah wherever you are (${name})`, confidence: 0.9, provider: name })
+    });
+
+    manager.providers = new Map(['google', 'offline'].map(name => [name, fake(name)]));
+    manager.defaultProvider = defaultProvider;
+  }
+
+  async testCloudFallbackCached() {
+    console.log('1. Testing the offline default falling back to the cloud...');
+
+    this.useProviders('offline', 'offline');
+    this.cached.length = 0;
+
+    const result = await MultiLanguageTranslationService.translateToMultipleLanguages(SERMON_LINE, 'ar', ['en'], 'sermon');
+    this.assert(result.en === 'Fear Allah wherever you are (google)', `Line dropped or wrong: ${JSON.stringify(result)}`);
+    this.assert(this.cached.length === 1, 'Cloud translation not cached');
+    this.assert(this.cached[0].provider === 'google', `Cached as ${this.cached[0].provider}`);
+
+    console.log('✅ Cloud translation served and cached as google');
+  }
+
+  async testOfflineFallbackNotCached() {
+    console.log('2. Testing the cloud default falling back to offline...');
+
+    this.useProviders('google', 'google');
+    this.cached.length = 0;
+
+    const result = await MultiLanguageTranslationService.translateToMultipleLanguages(SERMON_LINE, 'ar', ['en'], 'sermon');
+    this.assert(result.en === 'Fear Allah wherever you are (offline)', `Line dropped or wrong: ${JSON.stringify(result)}`);
+    this.assert(this.cached.length === 0, 'Offline translation cached');
+
+    console.log('✅ Offline translation served without caching it');
+  }
+
+  assert(condition, message) {
+    if (!condition) {
+      throw new Error(message);
+    }
+  }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  const tester = new TranslationFallbackTester();
+  tester.runTests().catch(error => {
+    console.error('Test suite failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = TranslationFallbackTester;
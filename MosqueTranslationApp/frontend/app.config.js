@@ -0,0 +1,12 @@
+// Expo reads app.json first and hands it here; only settings that come from the environment are added
+module.exports = ({ config }) => ({
+  ...config,
+  android: {
+    ...config.android,
+    config: {
+      ...(config.android && config.android.config),
+      // Mosque map on Android (react-native-maps draws Google Maps there); iOS uses Apple Maps without a key
+      googleMaps: { apiKey: process.env.GOOGLE_MAPS_API_KEY },
+    },
+  },
+});
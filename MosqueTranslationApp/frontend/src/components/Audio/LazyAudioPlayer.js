@@ -10,9 +10,11 @@ import {
 } from 'react-native';
 import Icon from 'react-native-vector-icons/MaterialIcons';
 import { Audio } from 'expo-av';
+import DownloadService from '../../services/DownloadService/DownloadService';
 
 const LazyAudioPlayer = ({
   audioUrl,
+  sessionId,
   title,
   duration,
   onLoadStart,
@@ -46,11 +48,13 @@ const LazyAudioPlayer = ({
       setIsLoading(true);
       onLoadStart?.();
 
-      console.log('Loading audio from:', audioUrl);
+      // Play the downloaded copy instead of streaming it again
+      const uri = (sessionId && await DownloadService.getLocalAudioUri(sessionId)) || audioUrl;
+      console.log('Loading audio from:', uri);
 
       // Create and load the audio
       const { sound: audioSound } = await Audio.Sound.createAsync(
-        { uri: audioUrl },
+        { uri },
         {
           shouldPlay: false,
           isLooping: false,
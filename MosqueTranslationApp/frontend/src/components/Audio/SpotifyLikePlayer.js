@@ -8,8 +8,13 @@ import {
   ScrollView,
   Animated,
   StatusBar,
+  Alert,
 } from 'react-native';
 import Icon from 'react-native-vector-icons/MaterialIcons';
+import { Audio } from 'expo-av';
+import { getApiBaseUrl } from '../../config/api';
+import useSyncedTranscript from '../../hooks/useSyncedTranscript';
+import useDownloads from '../../hooks/useDownloads';
 // Note: Install @react-native-community/slider or use a compatible slider component
 // For now, we'll create a simple slider placeholder
 const Slider = ({ style, minimumValue, maximumValue, value, onValueChange, minimumTrackTintColor, maximumTrackTintColor }) => {
@@ -31,16 +36,53 @@ const { width, height } = Dimensions.get('window');
 const SpotifyLikePlayer = ({ 
   broadcast, 
   onClose, 
-  isVisible = false 
+  isVisible = false,
+  startPosition = 0,
+  autoPlay = false,
 }) => {
   const [isPlaying, setIsPlaying] = useState(false);
   const [currentTime, setCurrentTime] = useState(0);
   const [duration, setDuration] = useState(broadcast?.duration || 0);
   const [showTranscription, setShowTranscription] = useState(true);
   const [selectedLanguage, setSelectedLanguage] = useState('arabic');
+  const [hiddenLanguages, setHiddenLanguages] = useState([]);
+  const [isLoadingAudio, setIsLoadingAudio] = useState(false);
   
   const slideAnim = useRef(new Animated.Value(height)).current;
   const fadeAnim = useRef(new Animated.Value(0)).current;
+  const soundRef = useRef(null);
+  const transcriptScrollRef = useRef(null);
+  const segmentOffsets = useRef({});
+
+  const { segments, languages, recording, activeIndex } = useSyncedTranscript(broadcast?.id, currentTime, isVisible);
+  const { progress: downloadProgress, isDownloaded, toggleDownload } = useDownloads();
+
+  useEffect(() => {
+    setCurrentTime(startPosition);
+    setIsPlaying(false);
+    setDuration(broadcast?.duration || 0);
+    segmentOffsets.current = {};
+
+    if (isVisible && autoPlay && broadcast) {
+      handlePlayPause(startPosition);
+    }
+
+    return () => {
+      // Stop the recording when the player closes or another broadcast is opened
+      if (soundRef.current) {
+        soundRef.current.unloadAsync();
+        soundRef.current = null;
+      }
+    };
+  }, [broadcast?.id, isVisible, startPosition]);
+
+  useEffect(() => {
+    // Keep the segment being spoken in view
+    const offset = segmentOffsets.current[activeIndex];
+    if (activeIndex >= 0 && offset !== undefined && transcriptScrollRef.current) {
+      transcriptScrollRef.current.scrollTo({ y: Math.max(0, offset - 40), animated: true });
+    }
+  }, [activeIndex]);
 
   useEffect(() => {
     if (isVisible) {
@@ -79,14 +121,99 @@ const SpotifyLikePlayer = ({
     return `${minutes}:${seconds.toString().padStart(2, '0')}`;
   };
 
-  const handlePlayPause = () => {
-    setIsPlaying(!isPlaying);
-    // TODO: Implement actual audio playback
+  const onPlaybackStatusUpdate = (status) => {
+    if (status.isLoaded) {
+      setCurrentTime(status.positionMillis || 0);
+      setIsPlaying(status.isPlaying || false);
+
+      if (status.durationMillis) {
+        setDuration(status.durationMillis);
+      }
+
+      if (status.didJustFinish) {
+        setIsPlaying(false);
+      }
+    }
+  };
+
+  const loadSound = async (positionMillis) => {
+    const audioUrl = recording?.audioUrl || broadcast?.audioUrl;
+    if (!audioUrl) {
+      Alert.alert('No Recording', 'This broadcast has no audio recording');
+      return null;
+    }
+
+    try {
+      setIsLoadingAudio(true);
+      // Downloaded sermons play from a file:// URI
+      const isAbsolute = /^(https?|file):/.test(audioUrl);
+      const baseUrl = isAbsolute ? '' : (await getApiBaseUrl()).replace('/api', '');
+      const { sound } = await Audio.Sound.createAsync(
+        { uri: isAbsolute ? audioUrl : `${baseUrl}${audioUrl}` },
+        { shouldPlay: false, positionMillis },
+        onPlaybackStatusUpdate
+      );
+      soundRef.current = sound;
+      return sound;
+    } catch (error) {
+      console.error('Error loading recording:', error);
+      Alert.alert('Audio Error', 'Failed to load the recording');
+      return null;
+    } finally {
+      setIsLoadingAudio(false);
+    }
+  };
+
+  const handlePlayPause = async (startMillis = currentTime) => {
+    try {
+      const sound = soundRef.current || await loadSound(startMillis);
+      if (!sound) {
+        return;
+      }
+
+      if (isPlaying) {
+        await sound.pauseAsync();
+      } else {
+        await sound.playAsync();
+      }
+    } catch (error) {
+      console.error('Error toggling playback:', error);
+    }
   };
 
-  const handleSeek = (value) => {
+  const handleSeek = async (value) => {
     setCurrentTime(value);
-    // TODO: Implement actual audio seeking
+    try {
+      if (soundRef.current) {
+        await soundRef.current.setPositionAsync(value);
+      }
+    } catch (error) {
+      console.error('Error seeking recording:', error);
+    }
+  };
+
+  // Tapping a sentence plays the recording from where it was said
+  const handleSegmentPress = async (index) => {
+    const startMillis = Math.round(segments[index].start * 1000);
+    await handleSeek(startMillis);
+    if (!isPlaying) {
+      await handlePlayPause(startMillis);
+    }
+  };
+
+  const handleSkip = (step) => {
+    if (segments.length === 0) {
+      handleSeek(Math.max(0, Math.min(duration, currentTime + step * 15000)));
+      return;
+    }
+    const index = Math.max(0, Math.min(segments.length - 1, activeIndex + step));
+    handleSeek(Math.round(segments[index].start * 1000));
+  };
+
+  const toggleLanguage = (language) => {
+    setHiddenLanguages(prev => (
+      prev.includes(language) ? prev.filter(l => l !== language) : [...prev, language]
+    ));
   };
 
   const getTranscriptionText = () => {
@@ -172,17 +299,17 @@ const SpotifyLikePlayer = ({
           <TouchableOpacity style={styles.controlButton}>
             <Icon name="shuffle" size={24} color="#999" />
           </TouchableOpacity>
-          <TouchableOpacity style={styles.controlButton}>
+          <TouchableOpacity style={styles.controlButton} onPress={() => handleSkip(-1)}>
             <Icon name="skip-previous" size={32} color="#fff" />
           </TouchableOpacity>
-          <TouchableOpacity style={styles.playButton} onPress={handlePlayPause}>
+          <TouchableOpacity style={styles.playButton} onPress={() => handlePlayPause()} disabled={isLoadingAudio}>
             <Icon 
-              name={isPlaying ? "pause" : "play-arrow"} 
+              name={isLoadingAudio ? "hourglass-empty" : isPlaying ? "pause" : "play-arrow"} 
               size={40} 
               color="#000" 
             />
           </TouchableOpacity>
-          <TouchableOpacity style={styles.controlButton}>
+          <TouchableOpacity style={styles.controlButton} onPress={() => handleSkip(1)}>
             <Icon name="skip-next" size={32} color="#fff" />
           </TouchableOpacity>
           <TouchableOpacity style={styles.controlButton}>
@@ -193,25 +320,44 @@ const SpotifyLikePlayer = ({
         {/* Language Selector */}
         <View style={styles.languageSelector}>
           <Text style={styles.sectionTitle}>Transcription Language</Text>
-          <View style={styles.languageButtons}>
-            {['arabic', 'english', 'urdu'].map((lang) => (
-              <TouchableOpacity
-                key={lang}
-                style={[
-                  styles.languageButton,
-                  selectedLanguage === lang && styles.languageButtonActive
-                ]}
-                onPress={() => setSelectedLanguage(lang)}
-              >
-                <Text style={[
-                  styles.languageButtonText,
-                  selectedLanguage === lang && styles.languageButtonTextActive
-                ]}>
-                  {lang.charAt(0).toUpperCase() + lang.slice(1)}
-                </Text>
-              </TouchableOpacity>
-            ))}
-          </View>
+          {segments.length > 0 ? (
+            <View style={styles.languageButtons}>
+              {['ar', ...languages].map((lang) => {
+                const isShown = !hiddenLanguages.includes(lang);
+                return (
+                  <TouchableOpacity
+                    key={lang}
+                    style={[styles.languageButton, isShown && styles.languageButtonActive]}
+                    onPress={() => toggleLanguage(lang)}
+                  >
+                    <Text style={[styles.languageButtonText, isShown && styles.languageButtonTextActive]}>
+                      {lang.toUpperCase()}
+                    </Text>
+                  </TouchableOpacity>
+                );
+              })}
+            </View>
+          ) : (
+            <View style={styles.languageButtons}>
+              {['arabic', 'english', 'urdu'].map((lang) => (
+                <TouchableOpacity
+                  key={lang}
+                  style={[
+                    styles.languageButton,
+                    selectedLanguage === lang && styles.languageButtonActive
+                  ]}
+                  onPress={() => setSelectedLanguage(lang)}
+                >
+                  <Text style={[
+                    styles.languageButtonText,
+                    selectedLanguage === lang && styles.languageButtonTextActive
+                  ]}>
+                    {lang.charAt(0).toUpperCase() + lang.slice(1)}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          )}
         </View>
 
         {/* Transcription */}
@@ -230,7 +376,57 @@ const SpotifyLikePlayer = ({
             </TouchableOpacity>
           </View>
           
-          {showTranscription && (
+          {showTranscription && segments.length > 0 && (
+            <ScrollView
+              ref={transcriptScrollRef}
+              style={[styles.transcriptionScroll, styles.syncedTranscript]}
+              nestedScrollEnabled
+            >
+              {segments.map((segment, index) => {
+                const isActive = index === activeIndex;
+                const shownTranslations = languages.filter(lang => !hiddenLanguages.includes(lang));
+                return (
+                  <TouchableOpacity
+                    key={segment.id || index}
+                    style={[styles.segment, isActive && styles.segmentActive]}
+                    onPress={() => handleSegmentPress(index)}
+                    onLayout={(event) => {
+                      segmentOffsets.current[index] = event.nativeEvent.layout.y;
+                    }}
+                    activeOpacity={0.7}
+                  >
+                    <Text style={styles.segmentTime}>{formatTime(segment.start * 1000)}</Text>
+                    {!hiddenLanguages.includes('ar') && (
+                      <Text style={[
+                        styles.transcriptionText,
+                        styles.arabicText,
+                        !isActive && styles.segmentTextInactive
+                      ]}>
+                        {segment.original}
+                      </Text>
+                    )}
+                    {shownTranslations.length > 0 && (
+                      <View style={styles.dualSubtitles}>
+                        {shownTranslations.map(lang => (
+                          <Text
+                            key={lang}
+                            style={[
+                              styles.segmentTranslation,
+                              !isActive && styles.segmentTextInactive
+                            ]}
+                          >
+                            {segment.translations?.[lang] || '…'}
+                          </Text>
+                        ))}
+                      </View>
+                    )}
+                  </TouchableOpacity>
+                );
+              })}
+            </ScrollView>
+          )}
+
+          {showTranscription && segments.length === 0 && (
             <ScrollView style={styles.transcriptionScroll} nestedScrollEnabled>
               <Text style={[
                 styles.transcriptionText,
@@ -252,9 +448,22 @@ const SpotifyLikePlayer = ({
             <Icon name="share" size={20} color="#fff" />
             <Text style={styles.actionButtonText}>Share</Text>
           </TouchableOpacity>
-          <TouchableOpacity style={styles.actionButton}>
-            <Icon name="download" size={20} color="#fff" />
-            <Text style={styles.actionButtonText}>Download</Text>
+          <TouchableOpacity
+            style={styles.actionButton}
+            onPress={() => toggleDownload(broadcast, { mosqueId: broadcast?.mosqueId, mosqueName: broadcast?.mosqueName })}
+          >
+            <Icon
+              name={isDownloaded(broadcast?.id) ? 'offline-pin' : 'file-download'}
+              size={20}
+              color={isDownloaded(broadcast?.id) ? '#4CAF50' : '#fff'}
+            />
+            <Text style={styles.actionButtonText}>
+              {isDownloaded(broadcast?.id)
+                ? 'Downloaded'
+                : downloadProgress[broadcast?.id] !== undefined
+                  ? `${Math.round(downloadProgress[broadcast?.id] * 100)}%`
+                  : 'Download'}
+            </Text>
           </TouchableOpacity>
         </View>
       </ScrollView>
@@ -442,6 +651,37 @@ const styles = StyleSheet.create({
     textAlign: 'right',
     fontFamily: 'System', // Use system Arabic font
   },
+  syncedTranscript: {
+    maxHeight: 320,
+    padding: 8,
+  },
+  segment: {
+    padding: 8,
+    borderRadius: 8,
+    marginBottom: 4,
+  },
+  segmentActive: {
+    backgroundColor: '#1e3a1f',
+  },
+  segmentTime: {
+    fontSize: 11,
+    color: '#4CAF50',
+    marginBottom: 4,
+  },
+  segmentTextInactive: {
+    color: '#888',
+  },
+  dualSubtitles: {
+    flexDirection: 'row',
+    gap: 12,
+    marginTop: 6,
+  },
+  segmentTranslation: {
+    flex: 1,
+    fontSize: 14,
+    color: '#fff',
+    lineHeight: 20,
+  },
   actionButtons: {
     flexDirection: 'row',
     justifyContent: 'space-around',
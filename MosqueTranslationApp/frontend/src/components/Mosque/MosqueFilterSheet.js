@@ -0,0 +1,301 @@
+// Mosque Filter Sheet - sort order, search radius, live now, languages, services, facilities and
+// women's capacity for the Discover tab. Values match what mosques store on their profile
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Modal,
+  ScrollView,
+  Switch,
+} from 'react-native';
+import Icon from 'react-native-vector-icons/MaterialIcons';
+
+export const DEFAULT_FILTERS = {
+  sort: 'distance',
+  radius: 10,
+  liveOnly: false,
+  languages: [],
+  services: [],
+  facilities: [],
+  minWomenCapacity: 0,
+};
+
+const SORT_OPTIONS = [
+  { value: 'distance', label: 'Nearest' },
+  { value: 'name', label: 'Name' },
+  { value: 'followers', label: 'Most followed' },
+];
+
+const RADIUS_OPTIONS = [5, 10, 25, 50, 100];
+
+const LANGUAGE_OPTIONS = [
+  'Arabic', 'English', 'Urdu', 'Turkish', 'Persian', 'Bengali', 'Malay', 'Indonesian',
+  'German', 'French', 'Spanish', 'Bosnian', 'Albanian', 'Somali', 'Swahili',
+];
+
+const SERVICE_OPTIONS = [
+  'Live Translation',
+  'Friday Speeches',
+  'Educational Programs',
+  'Community Events',
+  'Youth Programs',
+  'Women\'s Programs',
+];
+
+const FACILITY_OPTIONS = [
+  'Space for women',
+  'Ablutions room',
+  'Disabled accessibility',
+  'Parking',
+  'Bike parking',
+  'Library',
+  'Adult courses',
+  'Children courses',
+  'Ramadan iftar',
+  'Salat El Eid',
+  'Salât al-Janaza',
+  'Quran for blind people',
+  'Electric car charging',
+];
+
+const WOMEN_CAPACITY_OPTIONS = [0, 25, 50, 100, 200];
+
+/**
+ * Number of filters that narrow the results, for the badge on the filter button
+ */
+export const countActiveFilters = (filters) => (
+  (filters.liveOnly ? 1 : 0) +
+  filters.languages.length +
+  filters.services.length +
+  filters.facilities.length +
+  (filters.minWomenCapacity > 0 ? 1 : 0)
+);
+
+const MosqueFilterSheet = ({ visible, filters, hasLocation, onApply, onClose }) => {
+  const [draft, setDraft] = useState(filters);
+
+  useEffect(() => {
+    if (visible) {
+      setDraft(filters);
+    }
+  }, [visible]);
+
+  const update = (key, value) => setDraft(prev => ({ ...prev, [key]: value }));
+
+  const toggle = (key, value) => setDraft(prev => ({
+    ...prev,
+    [key]: prev[key].includes(value)
+      ? prev[key].filter(item => item !== value)
+      : [...prev[key], value],
+  }));
+
+  const renderChip = (label, selected, onPress, key = label) => (
+    <TouchableOpacity
+      key={key}
+      style={[styles.chip, selected && styles.chipActive]}
+      onPress={onPress}
+    >
+      <Text style={[styles.chipText, selected && styles.chipTextActive]}>{label}</Text>
+    </TouchableOpacity>
+  );
+
+  const renderMultiSelect = (title, options, key) => (
+    <View style={styles.group}>
+      <Text style={styles.groupTitle}>{title}</Text>
+      <View style={styles.chipRow}>
+        {options.map(option => renderChip(option, draft[key].includes(option), () => toggle(key, option)))}
+      </View>
+    </View>
+  );
+
+  return (
+    <Modal visible={visible} animationType="slide" transparent onRequestClose={onClose}>
+      <View style={styles.overlay}>
+        <View style={styles.sheet}>
+          <View style={styles.header}>
+            <Text style={styles.title}>Filter Mosques</Text>
+            <TouchableOpacity onPress={onClose}>
+              <Icon name="close" size={24} color="#666" />
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView showsVerticalScrollIndicator={false}>
+            <View style={styles.group}>
+              <Text style={styles.groupTitle}>Sort by</Text>
+              <View style={styles.chipRow}>
+                {SORT_OPTIONS
+                  .filter(option => hasLocation || option.value !== 'distance')
+                  .map(option => renderChip(
+                    option.label,
+                    draft.sort === option.value,
+                    () => update('sort', option.value),
+                    option.value
+                  ))}
+              </View>
+            </View>
+
+            {hasLocation && (
+              <View style={styles.group}>
+                <Text style={styles.groupTitle}>Distance</Text>
+                <View style={styles.chipRow}>
+                  {RADIUS_OPTIONS.map(radius => renderChip(
+                    `${radius} km`,
+                    draft.radius === radius,
+                    () => update('radius', radius),
+                    String(radius)
+                  ))}
+                </View>
+              </View>
+            )}
+
+            <View style={styles.switchRow}>
+              <View style={styles.switchInfo}>
+                <Text style={styles.groupTitle}>Live now</Text>
+                <Text style={styles.hint}>Only mosques broadcasting at the moment</Text>
+              </View>
+              <Switch
+                value={draft.liveOnly}
+                onValueChange={(value) => update('liveOnly', value)}
+                trackColor={{ false: '#e0e0e0', true: '#81C784' }}
+                thumbColor={draft.liveOnly ? '#2E7D32' : '#f4f3f4'}
+              />
+            </View>
+
+            {renderMultiSelect('Languages (any of)', LANGUAGE_OPTIONS, 'languages')}
+            {renderMultiSelect('Services', SERVICE_OPTIONS, 'services')}
+            {renderMultiSelect('Facilities', FACILITY_OPTIONS, 'facilities')}
+
+            <View style={styles.group}>
+              <Text style={styles.groupTitle}>Space for women</Text>
+              <View style={styles.chipRow}>
+                {WOMEN_CAPACITY_OPTIONS.map(capacity => renderChip(
+                  capacity === 0 ? 'Any' : `${capacity}+`,
+                  draft.minWomenCapacity === capacity,
+                  () => update('minWomenCapacity', capacity),
+                  String(capacity)
+                ))}
+              </View>
+            </View>
+          </ScrollView>
+
+          <View style={styles.actions}>
+            <TouchableOpacity
+              style={styles.resetButton}
+              onPress={() => setDraft({ ...DEFAULT_FILTERS, sort: hasLocation ? 'distance' : 'name' })}
+            >
+              <Text style={styles.resetButtonText}>Reset</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.applyButton} onPress={() => onApply(draft)}>
+              <Text style={styles.applyButtonText}>Show Mosques</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'flex-end',
+  },
+  sheet: {
+    backgroundColor: '#fff',
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    padding: 20,
+    maxHeight: '85%',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 15,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  group: {
+    marginBottom: 18,
+  },
+  groupTitle: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 8,
+  },
+  hint: {
+    fontSize: 12,
+    color: '#666',
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    backgroundColor: '#f8f9fa',
+    borderWidth: 1,
+    borderColor: '#e0e0e0',
+  },
+  chipActive: {
+    backgroundColor: '#2E7D32',
+    borderColor: '#2E7D32',
+  },
+  chipText: {
+    fontSize: 12,
+    color: '#666',
+  },
+  chipTextActive: {
+    color: '#fff',
+    fontWeight: '600',
+  },
+  switchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 18,
+  },
+  switchInfo: {
+    flex: 1,
+    marginRight: 10,
+  },
+  actions: {
+    flexDirection: 'row',
+    marginTop: 10,
+  },
+  resetButton: {
+    flex: 1,
+    paddingVertical: 12,
+    borderRadius: 25,
+    borderWidth: 1,
+    borderColor: '#2E7D32',
+    alignItems: 'center',
+    marginRight: 10,
+  },
+  resetButtonText: {
+    color: '#2E7D32',
+    fontWeight: 'bold',
+  },
+  applyButton: {
+    flex: 2,
+    paddingVertical: 12,
+    borderRadius: 25,
+    backgroundColor: '#2E7D32',
+    alignItems: 'center',
+  },
+  applyButtonText: {
+    color: '#fff',
+    fontWeight: 'bold',
+  },
+});
+
+export default MosqueFilterSheet;
@@ -0,0 +1,70 @@
+// Mosque Map View - discovered mosques as pins. Moving the map reports the visible bounds
+// so the Discover tab can search the area on screen
+import React, { useMemo } from 'react';
+import { StyleSheet } from 'react-native';
+import MapView, { Marker } from 'react-native-maps';
+
+// Roughly one city across
+const DEFAULT_DELTA = 0.2;
+
+// Mosques without coordinates come back at 0,0
+const hasCoordinates = (mosque) => mosque.location && (mosque.location.lat || mosque.location.lng);
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+/**
+ * Visible bounds of a map region as [west, south, east, north]. A zoomed-out map or one panned across
+ * the antimeridian reaches past ±90/±180, so the bounds are clamped to the valid range
+ */
+export const regionToBbox = (region) => [
+  clamp(region.longitude - region.longitudeDelta / 2, -180, 180),
+  clamp(region.latitude - region.latitudeDelta / 2, -90, 90),
+  clamp(region.longitude + region.longitudeDelta / 2, -180, 180),
+  clamp(region.latitude + region.latitudeDelta / 2, -90, 90),
+];
+
+const MosqueMapView = ({ mosques, userLocation, selectedMosqueId, onSelectMosque, onRegionChange }) => {
+  const initialRegion = useMemo(() => {
+    const firstMosque = mosques.find(hasCoordinates);
+    const center = userLocation ||
+      (firstMosque && { latitude: firstMosque.location.lat, longitude: firstMosque.location.lng });
+    return center ? {
+      latitude: center.latitude,
+      longitude: center.longitude,
+      latitudeDelta: DEFAULT_DELTA,
+      longitudeDelta: DEFAULT_DELTA,
+    } : undefined;
+  }, []);
+
+  return (
+    <MapView
+      style={styles.map}
+      initialRegion={initialRegion}
+      showsUserLocation={!!userLocation}
+      onRegionChangeComplete={(region) => onRegionChange && onRegionChange(regionToBbox(region))}
+      // Tapping the map away from a pin clears the selection; Android reports pin taps here too
+      onPress={(event) => event.nativeEvent.action !== 'marker-press' && onSelectMosque(null)}
+    >
+      {mosques
+        .filter(hasCoordinates)
+        .map(mosque => (
+          <Marker
+            key={mosque.id}
+            coordinate={{ latitude: mosque.location.lat, longitude: mosque.location.lng }}
+            title={mosque.name}
+            description={mosque.isLive ? 'Live now' : mosque.address}
+            pinColor={mosque.isLive ? '#D32F2F' : mosque.id === selectedMosqueId ? '#1B5E20' : '#2E7D32'}
+            onPress={() => onSelectMosque(mosque)}
+          />
+        ))}
+    </MapView>
+  );
+};
+
+const styles = StyleSheet.create({
+  map: {
+    flex: 1,
+  },
+});
+
+export default MosqueMapView;
@@ -0,0 +1,37 @@
+// Mosque Map View (web) - react-native-maps has no web build, so the browser keeps the list
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import Icon from 'react-native-vector-icons/MaterialIcons';
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+export const regionToBbox = (region) => [
+  clamp(region.longitude - region.longitudeDelta / 2, -180, 180),
+  clamp(region.latitude - region.latitudeDelta / 2, -90, 90),
+  clamp(region.longitude + region.longitudeDelta / 2, -180, 180),
+  clamp(region.latitude + region.latitudeDelta / 2, -90, 90),
+];
+
+const MosqueMapView = () => (
+  <View style={styles.container}>
+    <Icon name="map" size={48} color="#ccc" />
+    <Text style={styles.text}>The map is available in the mobile app. Switch back to the list to browse mosques.</Text>
+  </View>
+);
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 40,
+  },
+  text: {
+    fontSize: 14,
+    color: '#666',
+    textAlign: 'center',
+    marginTop: 12,
+  },
+});
+
+export default MosqueMapView;
@@ -0,0 +1,163 @@
+// Prayer Settings Form - calculation method, Asr madhab, high-latitude rule, per-prayer minute adjustments
+// and the Hijri date offset for local moon sighting.
+// Used for the listener's own settings and for the times a mosque publishes to its followers
+import React from 'react';
+import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
+import Icon from 'react-native-vector-icons/MaterialIcons';
+import {
+  CALCULATION_METHODS,
+  MADHABS,
+  HIGH_LATITUDE_RULES,
+  PRAYER_KEYS,
+  MAX_HIJRI_OFFSET,
+} from '../../services/PrayerTimeService/PrayerTimeService';
+import HijriCalendar from '../../utils/HijriCalendar';
+
+const MAX_ADJUSTMENT = 60;
+
+const PrayerSettingsForm = ({ settings, onChange }) => {
+  const update = (key, value) => onChange({ ...settings, [key]: value });
+
+  const adjust = (prayer, delta) => {
+    const current = settings.adjustments?.[prayer] || 0;
+    const next = Math.max(-MAX_ADJUSTMENT, Math.min(MAX_ADJUSTMENT, current + delta));
+    onChange({ ...settings, adjustments: { ...settings.adjustments, [prayer]: next } });
+  };
+
+  const adjustHijri = (delta) => {
+    const current = settings.hijriOffset || 0;
+    update('hijriOffset', Math.max(-MAX_HIJRI_OFFSET, Math.min(MAX_HIJRI_OFFSET, current + delta)));
+  };
+
+  const renderChoices = (title, options, key) => (
+    <View style={styles.group}>
+      <Text style={styles.groupTitle}>{title}</Text>
+      <View style={styles.chipRow}>
+        {Object.entries(options).map(([value, option]) => (
+          <TouchableOpacity
+            key={value}
+            style={[styles.chip, settings[key] === value && styles.chipActive]}
+            onPress={() => update(key, value)}
+          >
+            <Text style={[styles.chipText, settings[key] === value && styles.chipTextActive]}>
+              {option.label}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+    </View>
+  );
+
+  return (
+    <View>
+      {renderChoices('Calculation method', CALCULATION_METHODS, 'calculationMethod')}
+      {renderChoices('Asr time', MADHABS, 'asrMadhab')}
+      {renderChoices('High latitudes', HIGH_LATITUDE_RULES, 'highLatitudeRule')}
+
+      <View style={styles.group}>
+        <Text style={styles.groupTitle}>Adjustments (minutes)</Text>
+        {PRAYER_KEYS.map(prayer => {
+          const minutes = settings.adjustments?.[prayer] || 0;
+          return (
+            <View key={prayer} style={styles.adjustmentRow}>
+              <Text style={styles.adjustmentName}>{prayer.charAt(0).toUpperCase() + prayer.slice(1)}</Text>
+              <TouchableOpacity style={styles.stepButton} onPress={() => adjust(prayer, -1)}>
+                <Icon name="remove" size={18} color="#2E7D32" />
+              </TouchableOpacity>
+              <Text style={styles.adjustmentValue}>{minutes > 0 ? `+${minutes}` : minutes}</Text>
+              <TouchableOpacity style={styles.stepButton} onPress={() => adjust(prayer, 1)}>
+                <Icon name="add" size={18} color="#2E7D32" />
+              </TouchableOpacity>
+            </View>
+          );
+        })}
+      </View>
+
+      <View style={styles.group}>
+        <Text style={styles.groupTitle}>Hijri date (days)</Text>
+        <View style={styles.adjustmentRow}>
+          <Text style={styles.adjustmentName}>{HijriCalendar.toHijri(new Date(), settings.hijriOffset).formatted}</Text>
+          <TouchableOpacity style={styles.stepButton} onPress={() => adjustHijri(-1)}>
+            <Icon name="remove" size={18} color="#2E7D32" />
+          </TouchableOpacity>
+          <Text style={styles.adjustmentValue}>{settings.hijriOffset > 0 ? `+${settings.hijriOffset}` : settings.hijriOffset || 0}</Text>
+          <TouchableOpacity style={styles.stepButton} onPress={() => adjustHijri(1)}>
+            <Icon name="add" size={18} color="#2E7D32" />
+          </TouchableOpacity>
+        </View>
+        <Text style={styles.hint}>Match the date to your local moon sighting, e.g. -1 if the month began a day later</Text>
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  group: {
+    marginBottom: 18,
+  },
+  groupTitle: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 8,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    backgroundColor: '#f8f9fa',
+    borderWidth: 1,
+    borderColor: '#e0e0e0',
+  },
+  chipActive: {
+    backgroundColor: '#2E7D32',
+    borderColor: '#2E7D32',
+  },
+  chipText: {
+    fontSize: 12,
+    color: '#666',
+  },
+  chipTextActive: {
+    color: '#fff',
+    fontWeight: '600',
+  },
+  adjustmentRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 6,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+  adjustmentName: {
+    flex: 1,
+    fontSize: 14,
+    color: '#333',
+  },
+  stepButton: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    backgroundColor: '#E8F5E8',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  adjustmentValue: {
+    width: 44,
+    textAlign: 'center',
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#333',
+  },
+  hint: {
+    fontSize: 12,
+    color: '#666',
+    marginTop: 6,
+  },
+});
+
+export default PrayerSettingsForm;
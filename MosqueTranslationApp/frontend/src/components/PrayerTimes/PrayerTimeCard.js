@@ -6,6 +6,7 @@ import Card from '../Common/Card';
 const PrayerTimeCard = ({ 
   prayerName, 
   time, 
+  iqamahTime = null, // the mosque's published iqamah, shown next to adhan
   isNext = false, 
   isPassed = false,
   timeRemaining = null,
@@ -72,9 +73,16 @@ const PrayerTimeCard = ({
             )}
           </View>
         </View>
-        <Text style={[styles.time, getTextStyle()]}>
-          {time}
-        </Text>
+        <View style={styles.timeSection}>
+          <Text style={[styles.time, getTextStyle()]}>
+            {time}
+          </Text>
+          {iqamahTime && (
+            <Text style={[styles.iqamahTime, isPassed && styles.passedPrayerText]}>
+              Iqamah {iqamahTime}
+            </Text>
+          )}
+        </View>
       </View>
     </Card>
   );
@@ -99,10 +107,18 @@ const styles = StyleSheet.create({
     fontSize: 16,
     fontWeight: '500',
   },
+  timeSection: {
+    alignItems: 'flex-end',
+  },
   time: {
     fontSize: 16,
     fontWeight: '600',
   },
+  iqamahTime: {
+    fontSize: 12,
+    color: '#2E7D32',
+    marginTop: 2,
+  },
   timeRemaining: {
     fontSize: 12,
     color: '#2E7D32',
@@ -0,0 +1,292 @@
+// Downloaded Sermons List - saved recordings and transcripts that play without a connection
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  FlatList,
+} from 'react-native';
+import Icon from 'react-native-vector-icons/MaterialIcons';
+import DownloadService, { QUOTA_OPTIONS } from '../../services/DownloadService/DownloadService';
+import useDownloads from '../../hooks/useDownloads';
+import SpotifyLikePlayer from '../Audio/SpotifyLikePlayer';
+
+const formatSize = (bytes) => {
+  if (bytes >= 1024 * 1024 * 1024) {
+    return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+  }
+  return `${Math.round(bytes / (1024 * 1024))} MB`;
+};
+
+const formatDuration = (milliseconds) => {
+  const totalMinutes = Math.floor((milliseconds || 0) / (1000 * 60));
+  const hours = Math.floor(totalMinutes / 60);
+  return hours > 0 ? `${hours}h ${totalMinutes % 60}m` : `${totalMinutes}m`;
+};
+
+const DownloadedSermonsList = ({ mosqueId, isOffline = false }) => {
+  const { downloads, usage, toggleDownload } = useDownloads(mosqueId);
+  const [selectedDownload, setSelectedDownload] = useState(null);
+
+  const usedShare = usage && usage.quota > 0 ? Math.min(1, usage.used / usage.quota) : 0;
+
+  const renderStorage = () => (
+    <View style={styles.storageCard}>
+      {isOffline && (
+        <View style={styles.offlineBanner}>
+          <Icon name="cloud-off" size={16} color="#E65100" />
+          <Text style={styles.offlineText}>You're offline. Showing sermons saved on this device.</Text>
+        </View>
+      )}
+
+      <View style={styles.storageHeader}>
+        <Text style={styles.storageTitle}>Offline storage</Text>
+        <Text style={styles.storageValue}>
+          {usage ? `${formatSize(usage.used)} of ${formatSize(usage.quota)}` : '…'}
+        </Text>
+      </View>
+      <View style={styles.storageBar}>
+        <View
+          style={[
+            styles.storageFill,
+            { width: `${usedShare * 100}%` },
+            usedShare >= 0.9 && styles.storageFillFull,
+          ]}
+        />
+      </View>
+
+      <Text style={styles.quotaLabel}>Storage limit</Text>
+      <View style={styles.quotaRow}>
+        {QUOTA_OPTIONS.map(option => (
+          <TouchableOpacity
+            key={option}
+            style={[styles.quotaChip, usage?.quota === option && styles.quotaChipActive]}
+            onPress={() => DownloadService.setQuota(option)}
+          >
+            <Text style={[styles.quotaChipText, usage?.quota === option && styles.quotaChipTextActive]}>
+              {formatSize(option)}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+    </View>
+  );
+
+  const renderDownload = ({ item: download }) => (
+    <TouchableOpacity
+      style={styles.downloadCard}
+      onPress={() => setSelectedDownload(download)}
+      activeOpacity={0.7}
+    >
+      <View style={styles.downloadIcon}>
+        <Icon name="offline-pin" size={22} color="#fff" />
+      </View>
+
+      <View style={styles.downloadInfo}>
+        <Text style={styles.downloadTitle} numberOfLines={2}>{download.title}</Text>
+        <Text style={styles.downloadMeta}>
+          {[download.imam, download.date ? new Date(download.date).toLocaleDateString() : null]
+            .filter(Boolean)
+            .join(' • ')}
+        </Text>
+        <Text style={styles.downloadMeta}>
+          {formatDuration(download.duration)} • {formatSize(download.size)}
+          {download.languages.length > 0 ? ` • ${download.languages.join(', ').toUpperCase()}` : ''}
+        </Text>
+      </View>
+
+      <TouchableOpacity
+        style={styles.removeButton}
+        onPress={() => toggleDownload({ id: download.sessionId, title: download.title })}
+      >
+        <Icon name="delete-outline" size={22} color="#999" />
+      </TouchableOpacity>
+    </TouchableOpacity>
+  );
+
+  return (
+    <View style={styles.container}>
+      <FlatList
+        data={downloads}
+        renderItem={renderDownload}
+        keyExtractor={(item) => item.sessionId}
+        ListHeaderComponent={renderStorage()}
+        contentContainerStyle={styles.listContent}
+        ListEmptyComponent={
+          <View style={styles.emptyState}>
+            <Icon name="file-download" size={64} color="#ccc" />
+            <Text style={styles.emptyTitle}>No downloaded sermons</Text>
+            <Text style={styles.emptySubtitle}>
+              Tap the download button on a recording to keep it for listening without a connection
+            </Text>
+          </View>
+        }
+      />
+
+      <SpotifyLikePlayer
+        broadcast={selectedDownload ? {
+          id: selectedDownload.sessionId,
+          title: selectedDownload.title,
+          mosqueName: selectedDownload.mosqueName,
+          date: selectedDownload.date,
+          duration: selectedDownload.duration,
+          audioUrl: selectedDownload.audioUri,
+        } : null}
+        isVisible={Boolean(selectedDownload)}
+        onClose={() => setSelectedDownload(null)}
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  listContent: {
+    paddingBottom: 20,
+  },
+  storageCard: {
+    backgroundColor: '#fff',
+    paddingHorizontal: 20,
+    paddingVertical: 15,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+    marginBottom: 8,
+  },
+  offlineBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FFF3E0',
+    borderRadius: 8,
+    padding: 10,
+    marginBottom: 12,
+    gap: 8,
+  },
+  offlineText: {
+    flex: 1,
+    fontSize: 13,
+    color: '#E65100',
+  },
+  storageHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  storageTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  storageValue: {
+    fontSize: 13,
+    color: '#666',
+  },
+  storageBar: {
+    height: 6,
+    borderRadius: 3,
+    backgroundColor: '#f0f0f0',
+    overflow: 'hidden',
+  },
+  storageFill: {
+    height: 6,
+    backgroundColor: '#4CAF50',
+  },
+  storageFillFull: {
+    backgroundColor: '#FF9800',
+  },
+  quotaLabel: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 12,
+    marginBottom: 6,
+  },
+  quotaRow: {
+    flexDirection: 'row',
+    gap: 8,
+  },
+  quotaChip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    backgroundColor: '#f8f9fa',
+    borderWidth: 1,
+    borderColor: '#e0e0e0',
+  },
+  quotaChipActive: {
+    backgroundColor: '#4CAF50',
+    borderColor: '#4CAF50',
+  },
+  quotaChipText: {
+    fontSize: 12,
+    color: '#666',
+  },
+  quotaChipTextActive: {
+    color: '#fff',
+    fontWeight: '600',
+  },
+  downloadCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fff',
+    marginHorizontal: 15,
+    marginVertical: 6,
+    borderRadius: 12,
+    padding: 15,
+    elevation: 2,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+  },
+  downloadIcon: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: '#4CAF50',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 12,
+  },
+  downloadInfo: {
+    flex: 1,
+  },
+  downloadTitle: {
+    fontSize: 15,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 4,
+  },
+  downloadMeta: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 2,
+  },
+  removeButton: {
+    padding: 8,
+    marginLeft: 8,
+  },
+  emptyState: {
+    alignItems: 'center',
+    padding: 40,
+    marginTop: 30,
+  },
+  emptyTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#666',
+    marginTop: 16,
+    marginBottom: 8,
+  },
+  emptySubtitle: {
+    fontSize: 14,
+    color: '#999',
+    textAlign: 'center',
+    lineHeight: 20,
+  },
+});
+
+export default DownloadedSermonsList;
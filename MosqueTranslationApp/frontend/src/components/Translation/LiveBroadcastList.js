@@ -14,6 +14,8 @@ import ApiService from '../../services/ApiService/ApiService';
 import { API_ENDPOINTS } from '../../config/api';
 import AuthService from '../../services/AuthService/AuthService';
 import SocketService from '../../services/SocketService/SocketService';
+import MosqueService from '../../services/MosqueService/MosqueService';
+import NotificationService from '../../services/NotificationService/NotificationService';
 
 
 const LiveBroadcastList = ({
@@ -27,6 +29,7 @@ const LiveBroadcastList = ({
   const [loading, setLoading] = useState(true);
   const [followedMosques, setFollowedMosques] = useState([]);
   const [activeSessions, setActiveSessions] = useState([]);
+  const [upcomingBroadcasts, setUpcomingBroadcasts] = useState([]);
 
   useEffect(() => {
     console.log('🔍 LiveBroadcastList useEffect - Setting up socket listeners');
@@ -102,9 +105,10 @@ const LiveBroadcastList = ({
       setFollowedMosques(followedMosquesData || []);
 
       // Load data in parallel using the followed mosques data
-      const [sessionsResult, followedMosquesDataResult] = await Promise.allSettled([
+      const [sessionsResult, followedMosquesDataResult, upcomingResult] = await Promise.allSettled([
         loadActiveSessions(),
-        loadFollowedMosquesData(followedMosquesData || [])
+        loadFollowedMosquesData(followedMosquesData || []),
+        loadUpcomingBroadcasts(followedMosquesData || [])
       ]);
 
       // Process results
@@ -125,6 +129,10 @@ const LiveBroadcastList = ({
       console.log('Created broadcasts:', broadcasts?.length || 0);
       setLiveBroadcasts(broadcasts);
 
+      if (upcomingResult.status === 'fulfilled') {
+        setUpcomingBroadcasts(upcomingResult.value);
+      }
+
     } catch (error) {
       console.error('Error loading live broadcasts:', error);
       Alert.alert('Error', 'Failed to load live broadcasts');
@@ -173,6 +181,17 @@ const LiveBroadcastList = ({
     }
   };
 
+  // Scheduled broadcasts that have not started yet; listeners get a reminder before each one
+  const loadUpcomingBroadcasts = async (followedMosquesArray = []) => {
+    const result = await MosqueService.getUpcomingBroadcasts(followedMosquesArray.map(m => m.id));
+    const upcoming = result.broadcasts.filter(b => !b.isLive && new Date(b.startsAt) > new Date());
+
+    if (upcoming.length > 0) {
+      NotificationService.scheduleBroadcastReminders(upcoming);
+    }
+    return upcoming;
+  };
+
   const createBroadcastsFromFollowedMosques = (activeSessions, followedMosquesData) => {
     const broadcasts = [];
     const sessionsMap = new Map();
@@ -258,6 +277,21 @@ const LiveBroadcastList = ({
     }
   };
 
+  const formatUpcomingTime = (startsAt) => {
+    const start = new Date(startsAt);
+    const time = start.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    const today = new Date();
+    const tomorrow = new Date(today.getTime() + 24 * 60 * 60 * 1000);
+
+    if (start.toDateString() === today.toDateString()) {
+      return `Today, ${time}`;
+    }
+    if (start.toDateString() === tomorrow.toDateString()) {
+      return `Tomorrow, ${time}`;
+    }
+    return `${start.toLocaleDateString([], { weekday: 'short', day: 'numeric', month: 'short' })}, ${time}`;
+  };
+
   const handleJoinBroadcast = (broadcast) => {
     if (broadcast.isLive && broadcast.sessionId) {
       if (navigation) {
@@ -394,6 +428,37 @@ const LiveBroadcastList = ({
     </TouchableOpacity>
   );
 
+  const renderUpcomingCard = (upcoming) => (
+    <View key={upcoming.id} style={styles.upcomingCard}>
+      <View style={styles.upcomingTime}>
+        <Icon name="event" size={20} color="#2E7D32" />
+        <Text style={styles.upcomingTimeText}>{formatUpcomingTime(upcoming.startsAt)}</Text>
+      </View>
+      <Text style={styles.upcomingTitle}>{upcoming.title}</Text>
+      <Text style={styles.imamName}>{upcoming.mosqueName}</Text>
+      <View style={styles.broadcastDetails}>
+        {upcoming.recurrence === 'jumuah' && (
+          <View style={styles.detailItem}>
+            <Icon name="repeat" size={16} color="#666" />
+            <Text style={styles.detailText}>Every Friday</Text>
+          </View>
+        )}
+        {upcoming.languages.length > 0 && (
+          <View style={styles.detailItem}>
+            <Icon name="translate" size={16} color="#666" />
+            <Text style={styles.detailText}>{upcoming.languages.map(l => l.toUpperCase()).join(', ')}</Text>
+          </View>
+        )}
+        {upcoming.reminderMinutes > 0 && (
+          <View style={styles.detailItem}>
+            <Icon name="notifications-active" size={16} color="#666" />
+            <Text style={styles.detailText}>Reminder {upcoming.reminderMinutes} min before</Text>
+          </View>
+        )}
+      </View>
+    </View>
+  );
+
   const liveBroadcastsCount = liveBroadcasts.filter(b => b.isLive).length;
   const totalFollowedMosques = followedMosques.length;
 
@@ -455,6 +520,17 @@ const LiveBroadcastList = ({
             </>
           )}
 
+          {/* Upcoming Scheduled Broadcasts Section */}
+          {upcomingBroadcasts.length > 0 && (
+            <>
+              <View style={styles.sectionHeader}>
+                <Text style={styles.sectionTitle}>📅 Upcoming</Text>
+                <Text style={styles.sectionSubtitle}>You will be reminded before each broadcast</Text>
+              </View>
+              {upcomingBroadcasts.slice(0, 5).map(renderUpcomingCard)}
+            </>
+          )}
+
           {/* Offline Mosques Section */}
           {liveBroadcasts.filter(b => !b.isLive).length > 0 && (
             <>
@@ -649,6 +725,36 @@ const styles = StyleSheet.create({
     color: '#fff',
     fontWeight: 'bold',
   },
+  upcomingCard: {
+    backgroundColor: '#fff',
+    marginHorizontal: 15,
+    marginBottom: 10,
+    borderRadius: 12,
+    padding: 15,
+    borderLeftWidth: 4,
+    borderLeftColor: '#81C784',
+    elevation: 1,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.08,
+    shadowRadius: 2,
+  },
+  upcomingTime: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 6,
+  },
+  upcomingTimeText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#2E7D32',
+    marginLeft: 6,
+  },
+  upcomingTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333',
+  },
   sectionHeader: {
     paddingHorizontal: 20,
     paddingTop: 20,
@@ -11,6 +11,7 @@ import {
 } from 'react-native';
 import Icon from 'react-native-vector-icons/MaterialIcons';
 import multiLanguageTranslationService from '../../services/MultiLanguageTranslationService';
+import CorrectionService from '../../services/CorrectionService';
 import LanguageSelector from './LanguageSelector';
 import TranslationItem from './TranslationItem';
 import TranslatorInterface from './TranslatorInterface';
@@ -109,6 +110,12 @@ const MultiLanguageTranslationView = ({
     // Listen for language translation updates
     multiLanguageTranslationService.addEventListener('language_translation_update', handleLanguageTranslationUpdate);
     
+    // Listen for live lines, including the ones missed while reconnecting
+    multiLanguageTranslationService.addEventListener('translation_update', handleLiveTranslation);
+    
+    // Listen for approved corrections
+    multiLanguageTranslationService.addEventListener('translation_corrected', handleTranslationCorrected);
+    
     // Listen for translator updates
     multiLanguageTranslationService.addEventListener('translator_joined', handleTranslatorJoined);
   };
@@ -120,6 +127,7 @@ const MultiLanguageTranslationView = ({
       sequenceNumber: data.sequenceNumber,
       timestamp: data.timestamp,
       context: data.context,
+      islamicContent: data.islamicContent,
       translations: {},
       availableLanguages: data.targetLanguages || []
     };
@@ -134,6 +142,17 @@ const MultiLanguageTranslationView = ({
     }, 100);
   };
 
+  const handleLiveTranslation = (data) => {
+    const formatted = multiLanguageTranslationService.formatTranslationForDisplay(data);
+
+    // A line backfilled after a reconnect may already be on screen
+    setTranslations(prev => (
+      prev.some(t => t.id === formatted.id)
+        ? prev
+        : [formatted, ...prev]
+    ));
+  };
+
   const handleLanguageTranslationUpdate = (data) => {
     setTranslations(prev => {
       const updated = [...prev];
@@ -160,6 +179,26 @@ const MultiLanguageTranslationView = ({
     });
   };
 
+  const handleTranslationCorrected = (data) => {
+    setTranslations(prev => prev.map(translation => {
+      if (translation.id !== data.translationId) {
+        return translation;
+      }
+
+      // Rebuild the per-language map so the corrected line shows in primary/secondary slots too
+      const byLanguage = {};
+      (translation.allTranslations || []).forEach(item => {
+        byLanguage[item.language] = { text: item.text, confidence: item.confidence };
+      });
+      byLanguage[data.language] = { text: data.text, confidence: 1 };
+
+      return multiLanguageTranslationService.formatTranslationForDisplay({
+        ...translation,
+        translations: byLanguage
+      });
+    }));
+  };
+
   const handleTranslatorJoined = (data) => {
     setActiveTranslators(prev => ({
       ...prev,
@@ -246,9 +285,18 @@ const MultiLanguageTranslationView = ({
     }
   };
 
+  const handleProposeCorrection = async (translationId, text) => {
+    const result = await CorrectionService.proposeCorrection(translationId, translatorLanguage, text);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+  };
+
   const cleanup = () => {
     multiLanguageTranslationService.removeEventListener('original_translation', handleOriginalTranslation);
     multiLanguageTranslationService.removeEventListener('language_translation_update', handleLanguageTranslationUpdate);
+    multiLanguageTranslationService.removeEventListener('translation_update', handleLiveTranslation);
+    multiLanguageTranslationService.removeEventListener('translation_corrected', handleTranslationCorrected);
     multiLanguageTranslationService.removeEventListener('translator_joined', handleTranslatorJoined);
   };
 
@@ -363,6 +411,16 @@ const MultiLanguageTranslationView = ({
           !t.translations.primary || 
           (userPreferences?.showDualSubtitles && !t.translations.secondary)
         )}
+        translatedLines={translations
+          .map(t => ({
+            id: t.id,
+            originalText: t.originalText,
+            sequenceNumber: t.sequenceNumber,
+            timestamp: t.timestamp,
+            currentText: t.allTranslations?.find(item => item.language === translatorLanguage)?.text
+          }))
+          .filter(line => line.currentText)}
+        onProposeCorrection={handleProposeCorrection}
       />
     </Animated.View>
   );
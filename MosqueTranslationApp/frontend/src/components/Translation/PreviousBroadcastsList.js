@@ -12,10 +12,13 @@ import {
 } from 'react-native';
 import Icon from 'react-native-vector-icons/MaterialIcons';
 import ApiService from '../../services/ApiService/ApiService';
+import multiLanguageTranslationService from '../../services/MultiLanguageTranslationService';
 import SpotifyLikePlayer from '../Audio/SpotifyLikePlayer';
+import useDownloads from '../../hooks/useDownloads';
 
 const PreviousBroadcastsList = ({
   mosqueId,
+  mosqueName,
   onRefresh,
   refreshing = false,
   searchQuery = '',
@@ -27,6 +30,7 @@ const PreviousBroadcastsList = ({
   const [showPlayer, setShowPlayer] = useState(false);
   const [activeFilter, setActiveFilter] = useState('all');
   const [activeTimeFilter, setActiveTimeFilter] = useState('all');
+  const { progress: downloadProgress, isDownloaded, toggleDownload } = useDownloads(mosqueId);
 
   useEffect(() => {
     if (mosqueId) {
@@ -46,7 +50,9 @@ const PreviousBroadcastsList = ({
       const params = new URLSearchParams({
         limit: '50',
         type: typeFilter,
-        timeFilter: timeFilter
+        timeFilter: timeFilter,
+        // Sermon recaps come back in the listener's language
+        lang: multiLanguageTranslationService.getUserPreferences().primaryLanguage || 'English'
       });
 
       // Load real data from API with filters
@@ -236,6 +242,43 @@ const PreviousBroadcastsList = ({
     setSelectedBroadcast(null);
   };
 
+  const renderRecap = (summary) => {
+    if (summary?.status !== 'ready') {
+      return null;
+    }
+
+    return (
+      <View style={styles.recapContainer}>
+        <View style={styles.recapHeader}>
+          <Icon name="summarize" size={16} color="#4CAF50" />
+          <Text style={styles.recapLabel}>Recap</Text>
+        </View>
+        {summary.topic ? (
+          <Text style={styles.recapTopic} numberOfLines={2}>{summary.topic}</Text>
+        ) : null}
+        {(summary.keyPoints || []).slice(0, 3).map((point, index) => (
+          <Text key={index} style={styles.recapPoint} numberOfLines={2}>
+            • {point}
+          </Text>
+        ))}
+        {summary.citations?.length > 0 && (
+          <View style={styles.citationRow}>
+            {summary.citations.map(citation => (
+              <View key={`${citation.type}-${citation.reference}`} style={styles.citationChip}>
+                <Icon
+                  name={citation.type === 'quran' ? 'menu-book' : 'format-quote'}
+                  size={12}
+                  color="#666"
+                />
+                <Text style={styles.citationText}>{citation.label}</Text>
+              </View>
+            ))}
+          </View>
+        )}
+      </View>
+    );
+  };
+
   const renderBroadcast = ({ item: broadcast }) => {
     return (
       <TouchableOpacity
@@ -243,6 +286,7 @@ const PreviousBroadcastsList = ({
         onPress={() => handlePlayBroadcast(broadcast)}
         activeOpacity={0.7}
       >
+        {renderRecap(broadcast.summary)}
         <View style={styles.broadcastHeader}>
           <View style={[styles.typeIndicator, { backgroundColor: getTypeColor(broadcast.type) }]}>
             <Icon
@@ -274,6 +318,23 @@ const PreviousBroadcastsList = ({
             </View>
           </View>
 
+          <TouchableOpacity
+            style={styles.downloadButton}
+            onPress={() => toggleDownload(broadcast, { mosqueId, mosqueName })}
+          >
+            {downloadProgress[broadcast.id] !== undefined ? (
+              <Text style={styles.downloadProgressText}>
+                {Math.round(downloadProgress[broadcast.id] * 100)}%
+              </Text>
+            ) : (
+              <Icon
+                name={isDownloaded(broadcast.id) ? 'offline-pin' : 'file-download'}
+                size={22}
+                color={isDownloaded(broadcast.id) ? '#4CAF50' : '#999'}
+              />
+            )}
+          </TouchableOpacity>
+
           <TouchableOpacity style={styles.playButton}>
             <Icon name="play-arrow" size={24} color="#4CAF50" />
           </TouchableOpacity>
@@ -358,7 +419,7 @@ const PreviousBroadcastsList = ({
 
       {/* Spotify-like Player */}
       <SpotifyLikePlayer
-        broadcast={selectedBroadcast}
+        broadcast={selectedBroadcast ? { ...selectedBroadcast, mosqueId, mosqueName } : null}
         isVisible={showPlayer}
         onClose={handleClosePlayer}
       />
@@ -434,6 +495,56 @@ const styles = StyleSheet.create({
     shadowOpacity: 0.1,
     shadowRadius: 2,
   },
+  recapContainer: {
+    paddingHorizontal: 15,
+    paddingTop: 12,
+    paddingBottom: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+  recapHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    marginBottom: 4,
+  },
+  recapLabel: {
+    fontSize: 11,
+    color: '#4CAF50',
+    fontWeight: 'bold',
+    textTransform: 'uppercase',
+  },
+  recapTopic: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 4,
+  },
+  recapPoint: {
+    fontSize: 13,
+    color: '#666',
+    lineHeight: 18,
+  },
+  citationRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 6,
+    marginTop: 8,
+  },
+  citationChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    backgroundColor: '#f8f9fa',
+    paddingHorizontal: 8,
+    paddingVertical: 2,
+    borderRadius: 10,
+  },
+  citationText: {
+    fontSize: 10,
+    color: '#666',
+    fontWeight: '500',
+  },
   broadcastHeader: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -496,6 +607,18 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     marginLeft: 12,
   },
+  downloadButton: {
+    width: 40,
+    height: 40,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginLeft: 8,
+  },
+  downloadProgressText: {
+    fontSize: 11,
+    fontWeight: '600',
+    color: '#4CAF50',
+  },
   emptyState: {
     alignItems: 'center',
     padding: 40,
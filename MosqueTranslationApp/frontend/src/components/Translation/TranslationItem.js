@@ -115,6 +115,25 @@ const TranslationItem = ({
     return colors[context] || '#616161';
   };
 
+  // Quran and hadith source chips, e.g. "Quran 2:255" or "Sahih al-Bukhari 1"
+  const getReferenceChips = (islamicContent) => {
+    if (!islamicContent) return [];
+
+    const chips = [];
+    if (islamicContent.isQuranic && islamicContent.surahNumber) {
+      const ayahs = islamicContent.ayahEndNumber
+        ? `${islamicContent.ayahNumber}-${islamicContent.ayahEndNumber}`
+        : islamicContent.ayahNumber;
+      chips.push({ key: 'quran', label: `Quran ${islamicContent.surahNumber}:${ayahs}`, context: 'quran' });
+    }
+    if (islamicContent.isHadith) {
+      chips.push({ key: 'hadith', label: islamicContent.hadithSource || 'Hadith', context: 'hadith' });
+    }
+    return chips;
+  };
+
+  const referenceChips = getReferenceChips(translation.islamicContent);
+
   return (
     <Animated.View
       style={[
@@ -148,6 +167,23 @@ const TranslationItem = ({
         </View>
       </View>
 
+      {/* Quran / hadith references */}
+      {referenceChips.length > 0 && (
+        <View style={itemStyles.referenceContainer}>
+          {referenceChips.map(chip => (
+            <View
+              key={chip.key}
+              style={[itemStyles.referenceChip, { borderColor: getContextColor(chip.context) }]}
+            >
+              <Icon name={getContextIcon(chip.context)} size={12} color={getContextColor(chip.context)} />
+              <Text style={[itemStyles.referenceChipText, { color: getContextColor(chip.context) }]}>
+                {chip.label}
+              </Text>
+            </View>
+          ))}
+        </View>
+      )}
+
       {/* Original Arabic text */}
       {userPreferences.showOriginalText && (
         <View style={itemStyles.originalContainer}>
@@ -358,6 +394,26 @@ const itemStyles = StyleSheet.create({
     fontSize: 10,
     color: '#ccc',
   },
+  referenceContainer: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 6,
+    marginBottom: 8,
+  },
+  referenceChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 8,
+    paddingVertical: 3,
+    borderRadius: 12,
+    borderWidth: 1,
+    backgroundColor: '#fff',
+    gap: 4,
+  },
+  referenceChipText: {
+    fontSize: 11,
+    fontWeight: '600',
+  },
   originalContainer: {
     marginBottom: 12,
     paddingVertical: 8,
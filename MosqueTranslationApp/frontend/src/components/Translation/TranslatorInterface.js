@@ -26,14 +26,24 @@ const TranslatorInterface = ({
   onSendTranslation,
   isTranslator,
   translatorLanguage,
-  pendingTranslations
+  pendingTranslations,
+  // Lines already translated into translatorLanguage, which the translator can propose corrections for
+  translatedLines = [],
+  onProposeCorrection,
+  // 'review': pendingTranslations are proposed corrections a moderator approves or rejects
+  mode = 'translate',
+  onReviewCorrection
 }) => {
+  const isReviewMode = mode === 'review';
+
   const [selectedLanguage, setSelectedLanguage] = useState(null);
   const [currentTranslation, setCurrentTranslation] = useState('');
   const [activeTranslationId, setActiveTranslationId] = useState(null);
   const [translationHistory, setTranslationHistory] = useState([]);
   const [confidence, setConfidence] = useState(0.8);
-  const [showLanguageSelection, setShowLanguageSelection] = useState(!isTranslator);
+  const [showLanguageSelection, setShowLanguageSelection] = useState(!isTranslator && !isReviewMode);
+  const [activeMode, setActiveMode] = useState(mode);
+  const [listTab, setListTab] = useState('pending');
 
   const textInputRef = useRef(null);
 
@@ -54,12 +64,31 @@ const TranslatorInterface = ({
     }
   };
 
+  const activeItem = (activeMode === 'correct' ? translatedLines : pendingTranslations)
+    .find(t => t.id === activeTranslationId);
+
+  const clearActiveTranslation = () => {
+    setActiveTranslationId(null);
+    setCurrentTranslation('');
+    setActiveMode(mode);
+  };
+
   const handleTranslationSubmit = async () => {
     if (!currentTranslation.trim() || !activeTranslationId) {
       Alert.alert('Error', 'Please enter a translation');
       return;
     }
 
+    if (activeMode === 'review') {
+      await handleReview('approve');
+      return;
+    }
+
+    if (activeMode === 'correct') {
+      await handleCorrectionSubmit();
+      return;
+    }
+
     try {
       await onSendTranslation(activeTranslationId, currentTranslation.trim(), confidence);
       
@@ -82,12 +111,66 @@ const TranslatorInterface = ({
     }
   };
 
+  const handleCorrectionSubmit = async () => {
+    if (currentTranslation.trim() === activeItem?.currentText?.trim()) {
+      Alert.alert('No Changes', 'Edit the translation before sending a correction.');
+      return;
+    }
+
+    try {
+      await onProposeCorrection(activeTranslationId, currentTranslation.trim());
+
+      setTranslationHistory(prev => [{
+        id: activeTranslationId,
+        text: currentTranslation.trim(),
+        confidence: 1,
+        timestamp: new Date(),
+        language: selectedLanguage
+      }, ...prev]);
+
+      clearActiveTranslation();
+      Alert.alert('Thank You', 'Your correction was sent to the mosque for review.');
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Failed to send correction. Please try again.');
+    }
+  };
+
+  const handleReview = async (decision) => {
+    try {
+      await onReviewCorrection(activeItem, decision, currentTranslation.trim());
+      clearActiveTranslation();
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Failed to review correction. Please try again.');
+    }
+  };
+
   const handleStartTranslation = (translation) => {
+    setActiveMode('translate');
     setActiveTranslationId(translation.id);
     setCurrentTranslation('');
     textInputRef.current?.focus();
   };
 
+  // Corrections and reviews start from the current (or proposed) wording rather than a blank input
+  const handleStartCorrection = (line) => {
+    setActiveMode('correct');
+    setActiveTranslationId(line.id);
+    setCurrentTranslation(line.currentText || '');
+    textInputRef.current?.focus();
+  };
+
+  const handleStartReview = (item) => {
+    setActiveMode('review');
+    setActiveTranslationId(item.id);
+    setCurrentTranslation(item.proposedText || '');
+  };
+
+  const getInputLabel = () => {
+    if (activeMode === 'review') return `Approved ${activeItem?.language || ''} wording (edit if needed):`;
+    if (activeMode === 'correct') return `Corrected ${selectedLanguage} Translation:`;
+    return `Your ${selectedLanguage} Translation:`;
+  };
+
   const getConfidenceColor = (conf) => {
     if (conf >= 0.9) return '#4CAF50';
     if (conf >= 0.7) return '#FF9800';
@@ -217,9 +300,11 @@ const TranslatorInterface = ({
           </TouchableOpacity>
           
           <View style={styles.headerInfo}>
-            <Text style={styles.headerTitle}>Translator</Text>
+            <Text style={styles.headerTitle}>{isReviewMode ? 'Review Corrections' : 'Translator'}</Text>
             <Text style={styles.headerSubtitle}>
-              {selectedLanguage} • {translationHistory.length} translations
+              {isReviewMode
+                ? `${translatorLanguage || 'All languages'} • ${pendingTranslations.length} pending`
+                : `${selectedLanguage} • ${translationHistory.length} translations`}
             </Text>
           </View>
           
@@ -235,25 +320,41 @@ const TranslatorInterface = ({
               <View style={styles.originalTextContainer}>
                 <Text style={styles.originalLabel}>Original (Arabic):</Text>
                 <Text style={styles.originalText}>
-                  {pendingTranslations.find(t => t.id === activeTranslationId)?.originalText}
+                  {activeItem?.originalText}
                 </Text>
               </View>
 
+              {activeMode !== 'translate' && (
+                <View style={styles.currentTextContainer}>
+                  <Text style={styles.currentLabel}>
+                    Current {activeItem?.language || selectedLanguage} translation:
+                  </Text>
+                  <Text style={styles.currentText}>{activeItem?.currentText}</Text>
+                  {activeMode === 'review' && (
+                    <Text style={styles.correctionMeta}>
+                      {activeItem?.submittedBy ? `Suggested by ${activeItem.submittedBy}` : 'Suggested by a translator'}
+                      {activeItem?.reason ? ` • ${activeItem.reason}` : ''}
+                    </Text>
+                  )}
+                </View>
+              )}
+
               <View style={styles.translationInputContainer}>
                 <Text style={styles.translationLabel}>
-                  Your {selectedLanguage} Translation:
+                  {getInputLabel()}
                 </Text>
                 
                 <TextInput
                   ref={textInputRef}
                   style={styles.translationInput}
                   multiline
-                  placeholder={`Enter ${selectedLanguage} translation...`}
+                  placeholder={`Enter ${activeItem?.language || selectedLanguage} translation...`}
                   value={currentTranslation}
                   onChangeText={setCurrentTranslation}
                   textAlignVertical="top"
                 />
 
+                {activeMode === 'translate' && (
                 <View style={styles.confidenceContainer}>
                   <Text style={styles.confidenceLabel}>Confidence:</Text>
                   <View style={styles.confidenceSlider}>
@@ -274,19 +375,27 @@ const TranslatorInterface = ({
                     ))}
                   </View>
                 </View>
+                )}
 
                 <View style={styles.translationActions}>
                   <TouchableOpacity
                     style={styles.cancelButton}
-                    onPress={() => {
-                      setActiveTranslationId(null);
-                      setCurrentTranslation('');
-                    }}
+                    onPress={clearActiveTranslation}
                   >
                     <Icon name="close" size={20} color="#666" />
                     <Text style={styles.cancelButtonText}>Cancel</Text>
                   </TouchableOpacity>
 
+                  {activeMode === 'review' && (
+                    <TouchableOpacity
+                      style={styles.rejectButton}
+                      onPress={() => handleReview('reject')}
+                    >
+                      <Icon name="block" size={20} color="#fff" />
+                      <Text style={styles.submitButtonText}>Reject</Text>
+                    </TouchableOpacity>
+                  )}
+
                   <TouchableOpacity
                     style={[
                       styles.submitButton,
@@ -295,15 +404,101 @@ const TranslatorInterface = ({
                     onPress={handleTranslationSubmit}
                     disabled={!currentTranslation.trim()}
                   >
-                    <Icon name="send" size={20} color="#fff" />
-                    <Text style={styles.submitButtonText}>Send Translation</Text>
+                    <Icon name={activeMode === 'review' ? 'check' : 'send'} size={20} color="#fff" />
+                    <Text style={styles.submitButtonText}>
+                      {activeMode === 'review' ? 'Approve' : activeMode === 'correct' ? 'Send Correction' : 'Send Translation'}
+                    </Text>
                   </TouchableOpacity>
                 </View>
               </View>
             </View>
+          ) : isReviewMode ? (
+            /* Proposed Corrections List */
+            <ScrollView style={styles.pendingContainer}>
+              <Text style={styles.pendingTitle}>
+                Pending Corrections ({pendingTranslations.length})
+              </Text>
+
+              {pendingTranslations.length === 0 ? (
+                <View style={styles.emptyState}>
+                  <Icon name="done-all" size={48} color="#ccc" />
+                  <Text style={styles.emptyStateText}>All caught up!</Text>
+                  <Text style={styles.emptyStateSubtext}>
+                    Corrections from translators will appear here
+                  </Text>
+                </View>
+              ) : (
+                pendingTranslations.map(item => (
+                  <View key={item.id} style={styles.pendingItem}>
+                    <View style={styles.pendingHeader}>
+                      <Text style={styles.pendingSequence}>
+                        #{item.sequenceNumber} • {item.language}
+                      </Text>
+                      <Text style={styles.pendingTime}>
+                        {formatTimestamp(new Date(item.timestamp))}
+                      </Text>
+                    </View>
+
+                    <Text style={styles.pendingOriginal}>
+                      {item.originalText}
+                    </Text>
+                    <Text style={styles.replacedText}>{item.currentText}</Text>
+                    <Text style={styles.proposedText}>{item.proposedText}</Text>
+
+                    <TouchableOpacity
+                      style={styles.translateButton}
+                      onPress={() => handleStartReview(item)}
+                    >
+                      <Icon name="rate-review" size={20} color="#fff" />
+                      <Text style={styles.translateButtonText}>Review</Text>
+                    </TouchableOpacity>
+                  </View>
+                ))
+              )}
+            </ScrollView>
           ) : (
             /* Pending Translations List */
             <ScrollView style={styles.pendingContainer}>
+              {translatedLines.length > 0 && (
+                <View style={styles.tabRow}>
+                  {[['pending', `Pending (${pendingTranslations.length})`], ['translated', `Translated (${translatedLines.length})`]].map(([tab, label]) => (
+                    <TouchableOpacity
+                      key={tab}
+                      style={[styles.tab, listTab === tab && styles.tabActive]}
+                      onPress={() => setListTab(tab)}
+                    >
+                      <Text style={[styles.tabText, listTab === tab && styles.tabTextActive]}>{label}</Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+              )}
+
+              {listTab === 'translated' && translatedLines.length > 0 ? (
+                translatedLines.map(line => (
+                  <View key={line.id} style={styles.pendingItem}>
+                    <View style={styles.pendingHeader}>
+                      <Text style={styles.pendingSequence}>#{line.sequenceNumber}</Text>
+                      <Text style={styles.pendingTime}>
+                        {formatTimestamp(new Date(line.timestamp))}
+                      </Text>
+                    </View>
+
+                    <Text style={styles.pendingOriginal}>
+                      {line.originalText}
+                    </Text>
+                    <Text style={styles.currentText}>{line.currentText}</Text>
+
+                    <TouchableOpacity
+                      style={[styles.translateButton, styles.correctButton]}
+                      onPress={() => handleStartCorrection(line)}
+                    >
+                      <Icon name="edit" size={20} color="#fff" />
+                      <Text style={styles.translateButtonText}>Suggest Correction</Text>
+                    </TouchableOpacity>
+                  </View>
+                ))
+              ) : (
+              <>
               <Text style={styles.pendingTitle}>
                 Pending Translations ({pendingTranslations.length})
               </Text>
@@ -342,6 +537,8 @@ const TranslatorInterface = ({
                   </View>
                 ))
               )}
+              </>
+              )}
             </ScrollView>
           )}
 
@@ -548,6 +745,71 @@ const styles = StyleSheet.create({
     textAlign: 'right',
     lineHeight: 24,
   },
+  currentTextContainer: {
+    backgroundColor: '#fff',
+    padding: 16,
+    borderRadius: 12,
+    marginBottom: 16,
+    borderLeftWidth: 4,
+    borderLeftColor: '#FF9800',
+  },
+  currentLabel: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#FF9800',
+    marginBottom: 8,
+  },
+  currentText: {
+    fontSize: 15,
+    color: '#333',
+    lineHeight: 22,
+    marginBottom: 12,
+  },
+  correctionMeta: {
+    fontSize: 12,
+    color: '#999',
+  },
+  replacedText: {
+    fontSize: 14,
+    color: '#999',
+    textDecorationLine: 'line-through',
+    marginBottom: 4,
+  },
+  proposedText: {
+    fontSize: 15,
+    color: '#2E7D32',
+    fontWeight: '500',
+    lineHeight: 22,
+    marginBottom: 12,
+  },
+  tabRow: {
+    flexDirection: 'row',
+    backgroundColor: '#e8e8e8',
+    borderRadius: 8,
+    padding: 4,
+    marginBottom: 16,
+  },
+  tab: {
+    flex: 1,
+    paddingVertical: 8,
+    borderRadius: 6,
+    alignItems: 'center',
+  },
+  tabActive: {
+    backgroundColor: '#fff',
+  },
+  tabText: {
+    fontSize: 13,
+    color: '#666',
+    fontWeight: '500',
+  },
+  tabTextActive: {
+    color: '#2E7D32',
+    fontWeight: '600',
+  },
+  correctButton: {
+    backgroundColor: '#FF9800',
+  },
   translationInputContainer: {
     backgroundColor: '#fff',
     padding: 16,
@@ -611,6 +873,16 @@ const styles = StyleSheet.create({
     borderRadius: 8,
     gap: 8,
   },
+  rejectButton: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 12,
+    backgroundColor: '#F44336',
+    borderRadius: 8,
+    gap: 8,
+  },
   cancelButtonText: {
     fontSize: 14,
     color: '#666',
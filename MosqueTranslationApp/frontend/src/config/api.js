@@ -624,6 +624,16 @@ export const API_ENDPOINTS = {
     DETAILS: (id) => `/mosques/${id}`,
     NEARBY: '/mosques',
     SEARCH: '/mosques/search',
+    DISCOVER: '/mosques/discover',
+    ARCHIVE_SEARCH: (id) => `/mosques/${id}/archive/search`,
+    SCHEDULE: (id) => `/mosques/${id}/schedule`,
+    SCHEDULE_ITEM: (id, scheduleId) => `/mosques/${id}/schedule/${scheduleId}`,
+    SCHEDULE_CALENDAR: (id) => `/mosques/${id}/schedule.ics`,
+    UPCOMING_BROADCASTS: '/mosques/schedule/upcoming',
+    STAFF: (id) => `/mosques/${id}/staff`,
+    STAFF_MEMBER: (id, staffId) => `/mosques/${id}/staff/${staffId}`,
+    TIMETABLE: (id) => `/mosques/${id}/timetable`,
+    TIMETABLE_MONTH: (id, month) => `/mosques/${id}/timetable/months/${month}`,
   },
   
   // Translation Sessions
@@ -633,6 +643,9 @@ export const API_ENDPOINTS = {
     JOIN: (id) => `/sessions/${id}/join`,
     LEAVE: (id) => `/sessions/${id}/leave`,
     DETAILS: (id) => `/sessions/${id}`,
+    SUMMARY: (id) => `/sessions/${id}/summary`,
+    TRANSCRIPT: (id) => `/sessions/recordings/${id}/transcript`,
+    SUBTITLES: (id) => `/sessions/recordings/${id}/subtitles`,
   },
   
   // Translations
@@ -651,6 +664,23 @@ export const API_ENDPOINTS = {
     SET_DEFAULT: '/translation/providers/default',
   },
 
+  // Interpreter corrections and their review queue
+  CORRECTIONS: {
+    QUEUE: '/translation/corrections/queue',
+    PROPOSE: (translationId) => `/translation/${translationId}/corrections`,
+    APPROVE: (translationId, correctionId) => `/translation/${translationId}/corrections/${correctionId}/approve`,
+    REJECT: (translationId, correctionId) => `/translation/${translationId}/corrections/${correctionId}/reject`,
+  },
+
+  // Islamic Terminology Glossary
+  GLOSSARY: {
+    LIST: '/glossary',
+    CREATE: '/glossary',
+    UPDATE: (id) => `/glossary/${id}`,
+    DELETE: (id) => `/glossary/${id}`,
+    PREVIEW: '/glossary/preview',
+  },
+
   // User Language Preferences
   USER_LANGUAGE_PREFERENCES: {
     GET: '/user/language-preferences',
@@ -0,0 +1,78 @@
+import { useCallback, useEffect, useState } from 'react';
+import { Alert } from 'react-native';
+import DownloadService from '../services/DownloadService/DownloadService';
+
+// Saved sermons, running downloads and storage use, kept current through DownloadService events.
+// Pass a mosqueId to list only that mosque's sermons
+const useDownloads = (mosqueId = null) => {
+  const [downloads, setDownloads] = useState([]);
+  const [progress, setProgress] = useState({});
+  const [usage, setUsage] = useState(null);
+
+  const refresh = useCallback(async () => {
+    setDownloads(await DownloadService.getDownloads(mosqueId));
+    setUsage(await DownloadService.getStorageUsage());
+  }, [mosqueId]);
+
+  useEffect(() => {
+    refresh();
+
+    return DownloadService.addListener((eventType, data) => {
+      if (eventType === 'progress') {
+        setProgress(prev => ({ ...prev, [data.sessionId]: data.progress }));
+        return;
+      }
+
+      if (data?.sessionId) {
+        setProgress(prev => {
+          const next = { ...prev };
+          delete next[data.sessionId];
+          return next;
+        });
+      }
+      refresh();
+    });
+  }, [refresh]);
+
+  const isDownloaded = (sessionId) => downloads.some(download => download.sessionId === sessionId);
+
+  // One button for every state: download, cancel while running, remove once saved
+  const toggleDownload = async (broadcast, options = {}) => {
+    if (!broadcast?.id) {
+      return;
+    }
+
+    if (isDownloaded(broadcast.id)) {
+      Alert.alert(
+        'Remove Download',
+        `Remove "${broadcast.title}" from this device?`,
+        [
+          { text: 'Cancel', style: 'cancel' },
+          { text: 'Remove', style: 'destructive', onPress: () => DownloadService.removeDownload(broadcast.id) },
+        ]
+      );
+      return;
+    }
+
+    if (DownloadService.isDownloading(broadcast.id)) {
+      await DownloadService.cancelDownload(broadcast.id);
+      return;
+    }
+
+    const result = await DownloadService.downloadSermon(broadcast, options);
+    if (!result.success && result.error !== 'Download cancelled') {
+      Alert.alert('Download Failed', result.error);
+    }
+  };
+
+  return {
+    downloads,
+    progress,
+    usage,
+    isDownloaded,
+    toggleDownload,
+    refresh,
+  };
+};
+
+export default useDownloads;
@@ -0,0 +1,79 @@
+import { useEffect, useMemo, useState } from 'react';
+import ApiService from '../services/ApiService/ApiService';
+import { API_ENDPOINTS } from '../config/api';
+import multiLanguageTranslationService from '../services/MultiLanguageTranslationService';
+import DownloadService from '../services/DownloadService/DownloadService';
+
+// Timed transcript of a recorded session, with the segment playing at positionMillis.
+// Downloaded sermons are read from the device, with the recording pointing at the saved file
+const useSyncedTranscript = (sessionId, positionMillis, enabled = true) => {
+  const [transcript, setTranscript] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (!sessionId || !enabled) {
+      return undefined;
+    }
+
+    let cancelled = false;
+
+    const loadTranscript = async () => {
+      try {
+        setLoading(true);
+
+        const saved = await DownloadService.getTranscript(sessionId);
+        if (saved) {
+          if (!cancelled) {
+            setTranscript(saved);
+          }
+          return;
+        }
+
+        const languages = multiLanguageTranslationService.getSubtitleLanguages();
+        const params = new URLSearchParams({ languages: languages.join(',') });
+        const response = await ApiService.get(`${API_ENDPOINTS.SESSIONS.TRANSCRIPT(sessionId)}?${params}`);
+
+        if (!cancelled) {
+          setTranscript(response?.success ? response.data : null);
+        }
+      } catch (error) {
+        console.error('Error loading session transcript:', error);
+        if (!cancelled) {
+          setTranscript(null);
+        }
+      } finally {
+        if (!cancelled) {
+          setLoading(false);
+        }
+      }
+    };
+
+    loadTranscript();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [sessionId, enabled]);
+
+  const segments = transcript?.segments || [];
+
+  // The last segment that has started; pauses between sentences keep the previous one highlighted
+  const activeIndex = useMemo(() => {
+    const seconds = positionMillis / 1000;
+    let index = -1;
+    for (let i = 0; i < segments.length && segments[i].start <= seconds; i++) {
+      index = i;
+    }
+    return index;
+  }, [segments, positionMillis]);
+
+  return {
+    segments,
+    languages: transcript?.languages || [],
+    recording: transcript?.recording || null,
+    activeIndex,
+    loading,
+  };
+};
+
+export default useSyncedTranscript;
@@ -22,6 +22,11 @@ import BroadcastingScreen from '../screens/BroadcastingScreen';
 import AnnouncementsScreen from '../screens/AnnouncementsScreen';
 import MosqueProfileScreen from '../screens/MosqueProfileScreen/MosqueProfileScreen';
 import PasswordChangeScreen from '../screens/PasswordChangeScreen';
+import GlossaryScreen from '../screens/GlossaryScreen';
+import BroadcastScheduleScreen from '../screens/BroadcastScheduleScreen';
+import TimetableScreen from '../screens/TimetableScreen';
+import CorrectionReviewScreen from '../screens/CorrectionReviewScreen';
+import StaffScreen from '../screens/StaffScreen';
 import ConnectionTestScreen from '../screens/ConnectionTestScreen';
 import ArchiveScreen from '../screens/ArchiveScreen';
 
@@ -48,13 +53,14 @@ const MainTabNavigator = () => {
     return unsubscribe;
   }, []);
 
-  const isMosqueAdmin = currentUser && AuthService.isMosqueAdmin();
+  // Staff whose role cannot broadcast (translators, moderators, editors) get the listener view
+  const canBroadcast = currentUser && AuthService.hasMosquePermission('broadcast');
   const isAnonymous = currentUser && AuthService.isAnonymous();
 
   // Ensure we have valid components with fallbacks
-  const MainContentComponent = (isMosqueAdmin && BroadcastingScreen) ? BroadcastingScreen : TranslationScreen;
-  const mainContentLabel = isMosqueAdmin ? 'Broadcasting' : 'Translation';
-  const mainContentIcon = isMosqueAdmin ? 'mic' : 'translate';
+  const MainContentComponent = (canBroadcast && BroadcastingScreen) ? BroadcastingScreen : TranslationScreen;
+  const mainContentLabel = canBroadcast ? 'Broadcasting' : 'Translation';
+  const mainContentIcon = canBroadcast ? 'mic' : 'translate';
 
   // Safety check - if components are not loaded, show loading
   if (!TranslationScreen || !BroadcastingScreen) {
@@ -212,6 +218,41 @@ const MainStackNavigator = () => {
           presentation: 'modal',
         }}
       />
+      <Stack.Screen
+        name="Glossary"
+        component={GlossaryScreen}
+        options={{
+          presentation: 'modal',
+        }}
+      />
+      <Stack.Screen
+        name="BroadcastSchedule"
+        component={BroadcastScheduleScreen}
+        options={{
+          presentation: 'modal',
+        }}
+      />
+      <Stack.Screen
+        name="Timetable"
+        component={TimetableScreen}
+        options={{
+          presentation: 'modal',
+        }}
+      />
+      <Stack.Screen
+        name="CorrectionReview"
+        component={CorrectionReviewScreen}
+        options={{
+          presentation: 'modal',
+        }}
+      />
+      <Stack.Screen
+        name="Staff"
+        component={StaffScreen}
+        options={{
+          presentation: 'modal',
+        }}
+      />
       <Stack.Screen
         name="Archive"
         component={ArchiveScreen}
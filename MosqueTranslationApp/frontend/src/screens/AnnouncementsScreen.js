@@ -109,7 +109,7 @@ const AnnouncementsScreen = ({ navigation }) => {
       const announcement = {
         id: Date.now(),
         mosqueName: currentUser.mosqueName,
-        mosqueId: currentUser.id,
+        mosqueId: AuthService.getMosqueId(),
         title: 'New Announcement',
         content: newAnnouncement.trim(),
         timestamp: new Date(),
@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import {
   View,
   Text,
@@ -7,15 +7,68 @@ import {
   StatusBar,
   TextInput,
   Animated,
+  FlatList,
+  ActivityIndicator,
 } from 'react-native';
 import Icon from 'react-native-vector-icons/MaterialIcons';
 import PreviousBroadcastsList from '../components/Translation/PreviousBroadcastsList';
+import DownloadedSermonsList from '../components/Translation/DownloadedSermonsList';
+import SpotifyLikePlayer from '../components/Audio/SpotifyLikePlayer';
+import MosqueService from '../services/MosqueService/MosqueService';
+import NetworkService from '../services/NetworkService/NetworkService';
+
+const SEARCH_DELAY_MS = 400;
+
+// Unknown until the first network check comes back; assume online until then
+const isNetworkOffline = () => Boolean(NetworkService.getCurrentNetworkState()) && !NetworkService.isConnected();
+
+const formatTimestamp = (seconds) => {
+  const total = Math.floor(seconds);
+  const minutes = Math.floor(total / 60);
+  return `${minutes}:${(total % 60).toString().padStart(2, '0')}`;
+};
 
 const ArchiveScreen = ({ route, navigation }) => {
   const { mosque } = route.params;
   const [refreshing, setRefreshing] = useState(false);
   const [showSearch, setShowSearch] = useState(false);
   const [searchQuery, setSearchQuery] = useState('');
+  const [searchResults, setSearchResults] = useState(null);
+  const [searching, setSearching] = useState(false);
+  const [selectedResult, setSelectedResult] = useState(null);
+  const [showDownloads, setShowDownloads] = useState(false);
+  const [isOffline, setIsOffline] = useState(isNetworkOffline());
+
+  useEffect(() => {
+    // Without a connection only downloaded sermons can be played
+    NetworkService.forceRefresh().then(() => setIsOffline(isNetworkOffline()));
+    return NetworkService.addListener(() => setIsOffline(isNetworkOffline()));
+  }, []);
+
+  useEffect(() => {
+    const query = searchQuery.trim();
+    if (query.length < 2) {
+      setSearchResults(null);
+      return undefined;
+    }
+
+    // Search the transcripts once the user stops typing
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      setSearching(true);
+      const result = await MosqueService.searchArchive(mosque.id, query);
+      if (!cancelled) {
+        // Offline the list below keeps filtering broadcasts by title instead
+        setSearchResults(result.success ? result.results : null);
+        setSearching(false);
+      }
+    }, SEARCH_DELAY_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [searchQuery, mosque.id]);
 
   const handleRefresh = async () => {
     setRefreshing(true);
@@ -25,6 +78,51 @@ const ArchiveScreen = ({ route, navigation }) => {
     }, 1000);
   };
 
+  const handleOpenResult = (result) => {
+    setSelectedResult(result);
+  };
+
+  const renderSnippet = (result) => {
+    const parts = [];
+    let cursor = 0;
+    (result.highlights || []).forEach((highlight, index) => {
+      if (highlight.start > cursor) {
+        parts.push(<Text key={`t${index}`}>{result.snippet.slice(cursor, highlight.start)}</Text>);
+      }
+      parts.push(
+        <Text key={`h${index}`} style={styles.snippetHighlight}>
+          {result.snippet.slice(highlight.start, highlight.end)}
+        </Text>
+      );
+      cursor = highlight.end;
+    });
+    parts.push(<Text key="rest">{result.snippet.slice(cursor)}</Text>);
+
+    return (
+      <Text style={[styles.snippetText, result.language === 'ar' && styles.arabicSnippet]}>
+        {parts}
+      </Text>
+    );
+  };
+
+  const renderResult = ({ item: result }) => (
+    <TouchableOpacity style={styles.resultCard} onPress={() => handleOpenResult(result)}>
+      <View style={styles.resultHeader}>
+        <Text style={styles.resultTitle} numberOfLines={1}>
+          {result.sessionTitle || 'Broadcast'}
+        </Text>
+        <View style={styles.resultTime}>
+          <Icon name="play-circle-outline" size={16} color="#2E7D32" />
+          <Text style={styles.resultTimeText}>{formatTimestamp(result.timestamp)}</Text>
+        </View>
+      </View>
+      {renderSnippet(result)}
+      <Text style={styles.resultMeta}>
+        {result.date ? new Date(result.date).toLocaleDateString() : ''} • {result.language.toUpperCase()}
+      </Text>
+    </TouchableOpacity>
+  );
+
   const toggleSearch = () => {
     setShowSearch(!showSearch);
     if (showSearch) {
@@ -50,13 +148,23 @@ const ArchiveScreen = ({ route, navigation }) => {
           <Text style={styles.headerSubtitle}>Archive</Text>
         </View>
 
-        <TouchableOpacity style={styles.searchButton} onPress={toggleSearch}>
-          <Icon name={showSearch ? "close" : "search"} size={24} color="#fff" />
+        <TouchableOpacity
+          style={styles.searchButton}
+          onPress={() => setShowDownloads(!showDownloads)}
+          disabled={isOffline}
+        >
+          <Icon name={showDownloads || isOffline ? "offline-pin" : "file-download"} size={24} color="#fff" />
         </TouchableOpacity>
+
+        {!isOffline && (
+          <TouchableOpacity style={styles.searchButton} onPress={toggleSearch}>
+            <Icon name={showSearch ? "close" : "search"} size={24} color="#fff" />
+          </TouchableOpacity>
+        )}
       </View>
 
       {/* Search Bar */}
-      {showSearch && (
+      {showSearch && !isOffline && !showDownloads && (
         <View style={styles.searchContainer}>
           <View style={styles.searchInputContainer}>
             <Icon name="search" size={20} color="#999" />
@@ -78,11 +186,51 @@ const ArchiveScreen = ({ route, navigation }) => {
       )}
 
       {/* Archive Content - Full Screen */}
-      <PreviousBroadcastsList
-        mosqueId={mosque.id}
-        onRefresh={handleRefresh}
-        refreshing={refreshing}
-        searchQuery={searchQuery}
+      {isOffline || showDownloads ? (
+        <DownloadedSermonsList mosqueId={mosque.id} isOffline={isOffline} />
+      ) : showSearch && searchResults !== null ? (
+        <FlatList
+          data={searchResults}
+          renderItem={renderResult}
+          keyExtractor={(item, index) => `${item.sessionId}-${item.transcriptionId || index}-${item.language}`}
+          contentContainerStyle={styles.resultsList}
+          ListHeaderComponent={
+            <Text style={styles.resultsSummary}>
+              {searching ? 'Searching…' : `${searchResults.length} moments in sermons`}
+            </Text>
+          }
+          ListEmptyComponent={
+            searching ? (
+              <ActivityIndicator style={styles.resultsLoading} color="#2E7D32" />
+            ) : (
+              <Text style={styles.noResults}>Nothing said in this archive matches "{searchQuery.trim()}"</Text>
+            )
+          }
+        />
+      ) : (
+        <PreviousBroadcastsList
+          mosqueId={mosque.id}
+          mosqueName={mosque.name}
+          onRefresh={handleRefresh}
+          refreshing={refreshing}
+          searchQuery={searchQuery}
+        />
+      )}
+
+      {/* Opens the recording where the match was said */}
+      <SpotifyLikePlayer
+        broadcast={selectedResult ? {
+          id: selectedResult.sessionId,
+          title: selectedResult.sessionTitle || 'Broadcast',
+          mosqueId: mosque.id,
+          mosqueName: mosque.name,
+          date: selectedResult.date,
+          audioUrl: selectedResult.audioUrl,
+        } : null}
+        isVisible={Boolean(selectedResult)}
+        startPosition={selectedResult ? Math.round(selectedResult.timestamp * 1000) : 0}
+        autoPlay
+        onClose={() => setSelectedResult(null)}
       />
     </View>
   );
@@ -151,6 +299,80 @@ const styles = StyleSheet.create({
     color: '#333',
     paddingVertical: 4,
   },
+  resultsList: {
+    paddingVertical: 8,
+  },
+  resultsSummary: {
+    fontSize: 12,
+    color: '#666',
+    fontStyle: 'italic',
+    paddingHorizontal: 20,
+    paddingVertical: 6,
+  },
+  resultsLoading: {
+    marginTop: 40,
+  },
+  noResults: {
+    fontSize: 14,
+    color: '#999',
+    textAlign: 'center',
+    marginTop: 40,
+    paddingHorizontal: 30,
+  },
+  resultCard: {
+    backgroundColor: '#fff',
+    marginHorizontal: 15,
+    marginVertical: 6,
+    borderRadius: 12,
+    padding: 15,
+    elevation: 2,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+  },
+  resultHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: 8,
+  },
+  resultTitle: {
+    flex: 1,
+    fontSize: 15,
+    fontWeight: 'bold',
+    color: '#333',
+    marginRight: 10,
+  },
+  resultTime: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+  },
+  resultTimeText: {
+    fontSize: 12,
+    color: '#2E7D32',
+    fontWeight: '600',
+  },
+  snippetText: {
+    fontSize: 14,
+    color: '#555',
+    lineHeight: 20,
+  },
+  arabicSnippet: {
+    textAlign: 'right',
+    writingDirection: 'rtl',
+  },
+  snippetHighlight: {
+    backgroundColor: '#FFF59D',
+    color: '#333',
+    fontWeight: 'bold',
+  },
+  resultMeta: {
+    fontSize: 11,
+    color: '#999',
+    marginTop: 8,
+  },
 });
 
 export default ArchiveScreen;
@@ -0,0 +1,601 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  SafeAreaView,
+  TouchableOpacity,
+  Alert,
+  ScrollView,
+  ActivityIndicator,
+  Share,
+  Switch,
+} from 'react-native';
+import Icon from 'react-native-vector-icons/MaterialIcons';
+import { Colors, Typography, Spacing, BorderRadius, Shadows } from '../../utils/theme';
+import IslamicInput from '../../components/Common/IslamicInput';
+import IslamicButton from '../../components/Common/IslamicButton';
+import IslamicDropdown from '../../components/Common/IslamicDropdown';
+import MosqueService from '../../services/MosqueService/MosqueService';
+import AuthService from '../../services/AuthService/AuthService';
+import { API_ENDPOINTS, getApiBaseUrl } from '../../config/api';
+
+// Same activity types as the recording type picker in BroadcastingScreen
+const RECORDING_TYPE_OPTIONS = [
+  { value: 'sermon', label: '🕌 Friday Sermon (Khutbah)' },
+  { value: 'prayer', label: '🤲 Prayer Session (Salah)' },
+  { value: 'quran', label: '📖 Quran Recitation (Tilawah)' },
+  { value: 'lecture', label: '🎓 Islamic Lecture (Dars)' },
+  { value: 'talk', label: '💬 Islamic Talk (Bayan)' },
+  { value: 'dua', label: '🤲 Dua Session' },
+  { value: 'general', label: '📢 General Broadcast' },
+];
+
+const TRANSLATION_LANGUAGES = [
+  { code: 'en', name: 'English' },
+  { code: 'de', name: 'German' },
+  { code: 'fr', name: 'French' },
+  { code: 'es', name: 'Spanish' },
+  { code: 'tr', name: 'Turkish' },
+  { code: 'ur', name: 'Urdu' },
+  { code: 'id', name: 'Indonesian' },
+];
+
+const EMPTY_FORM = {
+  title: '',
+  recordingType: null,
+  recurrence: 'none',
+  date: '',
+  time: '',
+  dhuhrOffsetMinutes: '0',
+  durationMinutes: '60',
+  reminderMinutes: '30',
+  languages: ['en'],
+  autoStart: false,
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const BroadcastScheduleScreen = ({ navigation }) => {
+  const currentUser = AuthService.getCurrentUser();
+  const mosqueId = AuthService.getMosqueId();
+
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [schedules, setSchedules] = useState([]);
+  const [upcoming, setUpcoming] = useState([]);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+
+  const loadSchedule = useCallback(async () => {
+    if (!mosqueId) {
+      return;
+    }
+
+    setLoading(true);
+    const result = await MosqueService.getSchedule(mosqueId);
+    if (result.success) {
+      setSchedules(result.schedules);
+      setUpcoming(result.upcoming);
+    } else {
+      Alert.alert('Error', result.error || 'Failed to load schedule');
+    }
+    setLoading(false);
+  }, [mosqueId]);
+
+  useEffect(() => {
+    loadSchedule();
+  }, [loadSchedule]);
+
+  const handleInputChange = (field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      [field]: value,
+    }));
+  };
+
+  const toggleLanguage = (code) => {
+    setFormData(prev => ({
+      ...prev,
+      languages: prev.languages.includes(code)
+        ? prev.languages.filter(language => language !== code)
+        : [...prev.languages, code],
+    }));
+  };
+
+  // Date and time are entered in the device's local time zone
+  const parseStart = () => {
+    const dateMatch = formData.date.trim().match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    const timeMatch = formData.time.trim().match(/^(\d{1,2}):(\d{2})$/);
+    if (!dateMatch || !timeMatch) {
+      return null;
+    }
+
+    const start = new Date(
+      Number(dateMatch[1]), Number(dateMatch[2]) - 1, Number(dateMatch[3]),
+      Number(timeMatch[1]), Number(timeMatch[2])
+    );
+    return isNaN(start.getTime()) ? null : start;
+  };
+
+  const validateForm = () => {
+    if (!formData.title.trim()) {
+      Alert.alert('Error', 'Please enter a title');
+      return false;
+    }
+
+    if (formData.recurrence === 'none') {
+      const start = parseStart();
+      if (!start) {
+        Alert.alert('Error', 'Please enter the date as YYYY-MM-DD and the time as HH:MM');
+        return false;
+      }
+      if (start <= new Date()) {
+        Alert.alert('Error', 'The broadcast must start in the future');
+        return false;
+      }
+    }
+
+    return true;
+  };
+
+  const handleSave = async () => {
+    if (!validateForm()) {
+      return;
+    }
+
+    const payload = {
+      title: formData.title.trim(),
+      recordingType: formData.recordingType?.value || 'general',
+      recurrence: formData.recurrence,
+      languages: formData.languages,
+      durationMinutes: parseInt(formData.durationMinutes, 10) || 60,
+      reminderMinutes: parseInt(formData.reminderMinutes, 10) || 0,
+      autoStart: formData.autoStart,
+    };
+
+    if (formData.recurrence === 'jumuah') {
+      payload.dhuhrOffsetMinutes = parseInt(formData.dhuhrOffsetMinutes, 10) || 0;
+    } else {
+      payload.startsAt = parseStart().toISOString();
+    }
+
+    setSaving(true);
+    try {
+      const result = await MosqueService.createSchedule(mosqueId, payload);
+      if (result.success) {
+        setFormData(EMPTY_FORM);
+        await loadSchedule();
+      } else {
+        Alert.alert('Error', result.error || 'Failed to save schedule');
+      }
+    } catch (error) {
+      console.error('Error saving schedule:', error);
+      Alert.alert('Error', 'An unexpected error occurred');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCancelSchedule = (schedule) => {
+    Alert.alert(
+      'Cancel Broadcast',
+      `Remove "${schedule.title}" from the schedule? Followers will no longer see it.`,
+      [
+        { text: 'Keep', style: 'cancel' },
+        {
+          text: 'Remove',
+          style: 'destructive',
+          onPress: async () => {
+            const result = await MosqueService.deleteSchedule(mosqueId, schedule._id);
+            if (result.success) {
+              await loadSchedule();
+            } else {
+              Alert.alert('Error', result.error || 'Failed to cancel broadcast');
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const handleShareCalendar = async () => {
+    try {
+      const baseUrl = (await getApiBaseUrl()).replace('/api', '');
+      const calendarUrl = `${baseUrl}/api${API_ENDPOINTS.MOSQUES.SCHEDULE_CALENDAR(mosqueId)}`;
+
+      await Share.share({
+        title: `${currentUser?.mosqueName || 'Mosque'} broadcasts`,
+        message: `Subscribe to our broadcast schedule in your calendar app: ${calendarUrl.replace(/^https?:/, 'webcal:')}`,
+      });
+    } catch (error) {
+      console.error('Error sharing calendar:', error);
+    }
+  };
+
+  const formatStart = (startsAt) => {
+    const start = new Date(startsAt);
+    return `${start.toLocaleDateString([], { weekday: 'short', day: 'numeric', month: 'short' })}, ` +
+      `${pad(start.getHours())}:${pad(start.getMinutes())}`;
+  };
+
+  const describeSchedule = (schedule) => {
+    if (schedule.recurrence === 'jumuah') {
+      const offset = schedule.dhuhrOffsetMinutes || 0;
+      if (offset === 0) {
+        return 'Every Friday at Dhuhr';
+      }
+      return `Every Friday, ${Math.abs(offset)} min ${offset > 0 ? 'after' : 'before'} Dhuhr`;
+    }
+    return formatStart(schedule.startsAt);
+  };
+
+  const renderHeader = () => (
+    <View style={styles.header}>
+      <TouchableOpacity
+        style={styles.backButton}
+        onPress={() => navigation.goBack()}
+      >
+        <Icon name="arrow-back" size={24} color="#fff" />
+      </TouchableOpacity>
+      <Text style={styles.headerTitle}>Broadcast Schedule</Text>
+      <TouchableOpacity style={styles.backButton} onPress={handleShareCalendar}>
+        <Icon name="event" size={24} color="#fff" />
+      </TouchableOpacity>
+    </View>
+  );
+
+  const renderForm = () => (
+    <View style={styles.section}>
+      <Text style={styles.sectionTitle}>Schedule a Broadcast</Text>
+
+      <IslamicInput
+        label="Title"
+        value={formData.title}
+        onChangeText={(value) => handleInputChange('title', value)}
+        placeholder="e.g. Jumu'ah Khutbah"
+        required
+      />
+
+      <Text style={styles.fieldLabel}>Recording Type</Text>
+      <IslamicDropdown
+        value={formData.recordingType}
+        onSelect={(option) => handleInputChange('recordingType', option)}
+        options={RECORDING_TYPE_OPTIONS}
+        placeholder="Choose activity type..."
+      />
+
+      <Text style={styles.fieldLabel}>Repeat</Text>
+      <View style={styles.chipRow}>
+        {[
+          { value: 'none', label: 'One time' },
+          { value: 'jumuah', label: "Every Friday (Jumu'ah)" },
+        ].map(option => (
+          <TouchableOpacity
+            key={option.value}
+            style={[styles.chip, formData.recurrence === option.value && styles.chipActive]}
+            onPress={() => handleInputChange('recurrence', option.value)}
+          >
+            <Text style={[styles.chipText, formData.recurrence === option.value && styles.chipTextActive]}>
+              {option.label}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      {formData.recurrence === 'jumuah' ? (
+        <IslamicInput
+          label="Minutes after Dhuhr"
+          value={formData.dhuhrOffsetMinutes}
+          onChangeText={(value) => handleInputChange('dhuhrOffsetMinutes', value)}
+          keyboardType="numbers-and-punctuation"
+          helperText="The start time follows Dhuhr at your mosque's location each week (negative = before)"
+        />
+      ) : (
+        <View style={styles.row}>
+          <View style={styles.rowItem}>
+            <IslamicInput
+              label="Date"
+              value={formData.date}
+              onChangeText={(value) => handleInputChange('date', value)}
+              placeholder="YYYY-MM-DD"
+              keyboardType="numbers-and-punctuation"
+              required
+            />
+          </View>
+          <View style={styles.rowItem}>
+            <IslamicInput
+              label="Time"
+              value={formData.time}
+              onChangeText={(value) => handleInputChange('time', value)}
+              placeholder="HH:MM"
+              keyboardType="numbers-and-punctuation"
+              required
+            />
+          </View>
+        </View>
+      )}
+
+      <View style={styles.row}>
+        <View style={styles.rowItem}>
+          <IslamicInput
+            label="Duration (min)"
+            value={formData.durationMinutes}
+            onChangeText={(value) => handleInputChange('durationMinutes', value)}
+            keyboardType="number-pad"
+          />
+        </View>
+        <View style={styles.rowItem}>
+          <IslamicInput
+            label="Remind (min before)"
+            value={formData.reminderMinutes}
+            onChangeText={(value) => handleInputChange('reminderMinutes', value)}
+            keyboardType="number-pad"
+          />
+        </View>
+      </View>
+
+      <Text style={styles.fieldLabel}>Translation Languages</Text>
+      <View style={styles.chipRow}>
+        {TRANSLATION_LANGUAGES.map(language => (
+          <TouchableOpacity
+            key={language.code}
+            style={[styles.chip, formData.languages.includes(language.code) && styles.chipActive]}
+            onPress={() => toggleLanguage(language.code)}
+          >
+            <Text style={[styles.chipText, formData.languages.includes(language.code) && styles.chipTextActive]}>
+              {language.name}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      <View style={styles.switchRow}>
+        <View style={styles.switchInfo}>
+          <Text style={styles.fieldLabel}>Start automatically</Text>
+          <Text style={styles.sectionDescription}>
+            The broadcasting phone starts the broadcast when the slot begins, if the app is open
+          </Text>
+        </View>
+        <Switch
+          value={formData.autoStart}
+          onValueChange={(value) => handleInputChange('autoStart', value)}
+          trackColor={{ false: Colors.neutral.border, true: Colors.primary.light }}
+          thumbColor={formData.autoStart ? Colors.primary.main : '#f4f3f4'}
+        />
+      </View>
+
+      <IslamicButton
+        title="Add to Schedule"
+        onPress={handleSave}
+        loading={saving}
+        disabled={!formData.title.trim()}
+        icon="event-available"
+      />
+    </View>
+  );
+
+  const renderSchedule = (schedule) => (
+    <View key={schedule._id} style={styles.scheduleItem}>
+      <View style={styles.scheduleInfo}>
+        <Text style={styles.scheduleTitle}>{schedule.title}</Text>
+        <Text style={styles.scheduleTime}>{describeSchedule(schedule)}</Text>
+        <View style={styles.badges}>
+          <Text style={styles.badge}>{schedule.recordingType}</Text>
+          {schedule.languages?.length > 0 && (
+            <Text style={styles.badge}>{schedule.languages.map(l => l.toUpperCase()).join(' · ')}</Text>
+          )}
+          {schedule.autoStart && <Text style={styles.badge}>Auto start</Text>}
+          {schedule.status === 'live' && <Text style={styles.badge}>Live now</Text>}
+        </View>
+      </View>
+      <TouchableOpacity style={styles.iconButton} onPress={() => handleCancelSchedule(schedule)}>
+        <Icon name="delete" size={20} color={Colors.status.error} />
+      </TouchableOpacity>
+    </View>
+  );
+
+  return (
+    <SafeAreaView style={styles.container}>
+      {renderHeader()}
+
+      <ScrollView style={styles.scrollView} showsVerticalScrollIndicator={false}>
+        <View style={styles.content}>
+          {renderForm()}
+
+          {loading ? (
+            <ActivityIndicator size="large" color={Colors.primary.main} style={styles.loader} />
+          ) : (
+            <>
+              <View style={styles.section}>
+                <Text style={styles.sectionTitle}>Scheduled</Text>
+                {schedules.length === 0 ? (
+                  <Text style={styles.sectionDescription}>
+                    Nothing scheduled yet. Followers see scheduled broadcasts as upcoming and get a reminder.
+                  </Text>
+                ) : (
+                  schedules.map(renderSchedule)
+                )}
+              </View>
+
+              {upcoming.length > 0 && (
+                <View style={styles.section}>
+                  <Text style={styles.sectionTitle}>Next Broadcasts</Text>
+                  {upcoming.slice(0, 6).map(occurrence => (
+                    <View key={occurrence.id} style={styles.upcomingRow}>
+                      <Icon name="schedule" size={16} color={Colors.text.secondary} />
+                      <Text style={styles.upcomingText}>
+                        {formatStart(occurrence.startsAt)} · {occurrence.title}
+                      </Text>
+                    </View>
+                  ))}
+                  <IslamicButton
+                    title="Share Calendar Link"
+                    variant="outline"
+                    size="sm"
+                    icon="share"
+                    onPress={handleShareCalendar}
+                  />
+                </View>
+              )}
+            </>
+          )}
+        </View>
+      </ScrollView>
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: Colors.neutral.background,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: Colors.primary.main,
+    paddingHorizontal: Spacing.lg,
+    paddingVertical: Spacing.md,
+    elevation: 4,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.25,
+    shadowRadius: 3.84,
+  },
+  backButton: {
+    padding: Spacing.xs,
+  },
+  headerTitle: {
+    fontSize: Typography.sizes.xl,
+    fontWeight: Typography.weights.bold,
+    color: Colors.text.inverse,
+    flex: 1,
+    textAlign: 'center',
+  },
+  scrollView: {
+    flex: 1,
+  },
+  content: {
+    padding: Spacing.lg,
+  },
+  section: {
+    backgroundColor: Colors.neutral.surface,
+    borderRadius: BorderRadius.lg,
+    padding: Spacing.lg,
+    marginBottom: Spacing.lg,
+    ...Shadows.sm,
+  },
+  sectionTitle: {
+    fontSize: Typography.sizes.lg,
+    fontWeight: Typography.weights.semibold,
+    color: Colors.text.primary,
+    marginBottom: Spacing.md,
+  },
+  sectionDescription: {
+    fontSize: Typography.sizes.sm,
+    color: Colors.text.secondary,
+    marginBottom: Spacing.md,
+  },
+  fieldLabel: {
+    fontSize: Typography.sizes.sm,
+    fontWeight: Typography.weights.medium,
+    color: Colors.text.primary,
+    marginBottom: Spacing.sm,
+  },
+  row: {
+    flexDirection: 'row',
+    marginHorizontal: -Spacing.xs,
+  },
+  rowItem: {
+    flex: 1,
+    paddingHorizontal: Spacing.xs,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: Spacing.md,
+  },
+  chip: {
+    paddingHorizontal: Spacing.md,
+    paddingVertical: Spacing.xs,
+    borderRadius: BorderRadius.full,
+    borderWidth: 1,
+    borderColor: Colors.neutral.border,
+    marginRight: Spacing.sm,
+    marginBottom: Spacing.sm,
+  },
+  chipActive: {
+    backgroundColor: Colors.primary.main,
+    borderColor: Colors.primary.main,
+  },
+  chipText: {
+    fontSize: Typography.sizes.sm,
+    color: Colors.text.secondary,
+  },
+  chipTextActive: {
+    color: Colors.text.inverse,
+  },
+  switchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: Spacing.md,
+  },
+  switchInfo: {
+    flex: 1,
+    marginRight: Spacing.md,
+  },
+  scheduleItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: Spacing.sm,
+    borderBottomWidth: 1,
+    borderBottomColor: Colors.neutral.divider,
+  },
+  scheduleInfo: {
+    flex: 1,
+  },
+  scheduleTitle: {
+    fontSize: Typography.sizes.base,
+    fontWeight: Typography.weights.semibold,
+    color: Colors.text.primary,
+  },
+  scheduleTime: {
+    fontSize: Typography.sizes.sm,
+    color: Colors.text.secondary,
+    marginTop: 2,
+  },
+  badges: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginTop: Spacing.xs,
+  },
+  badge: {
+    fontSize: Typography.sizes.xs,
+    color: Colors.primary.dark,
+    backgroundColor: Colors.primary.surface,
+    borderRadius: BorderRadius.sm,
+    paddingHorizontal: Spacing.xs,
+    marginRight: Spacing.xs,
+    overflow: 'hidden',
+  },
+  iconButton: {
+    padding: Spacing.xs,
+    marginLeft: Spacing.xs,
+  },
+  upcomingRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: Spacing.sm,
+  },
+  upcomingText: {
+    fontSize: Typography.sizes.sm,
+    color: Colors.text.primary,
+    marginLeft: Spacing.sm,
+    flex: 1,
+  },
+  loader: {
+    marginVertical: Spacing.xl,
+  },
+});
+
+export default BroadcastScheduleScreen;
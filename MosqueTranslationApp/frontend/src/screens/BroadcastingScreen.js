@@ -44,6 +44,10 @@ const BroadcastingScreen = ({ navigation }) => {
   const [selectedRecordingType, setSelectedRecordingType] = useState(null);
   const [showRecordingTypeSelector, setShowRecordingTypeSelector] = useState(false);
 
+  // Scheduled slot the server says is starting now
+  const [dueBroadcast, setDueBroadcast] = useState(null);
+  const [pendingAutoStart, setPendingAutoStart] = useState(false);
+
   // Recording type options for mosque activities
   const recordingTypeOptions = [
     { value: 'sermon', label: '🕌 Friday Sermon (Khutbah)', icon: 'account-voice' },
@@ -67,6 +71,38 @@ const BroadcastingScreen = ({ navigation }) => {
     };
   }, []);
 
+  // Pre-select the scheduled recording type, then start right away or ask the imam
+  useEffect(() => {
+    if (!dueBroadcast || isBroadcasting) return;
+
+    const recordingType = recordingTypeOptions.find(option => option.value === dueBroadcast.recordingType);
+    if (recordingType) {
+      setSelectedRecordingType(recordingType);
+    }
+
+    if (dueBroadcast.autoStart) {
+      setPendingAutoStart(true);
+    } else {
+      Alert.alert(
+        'Scheduled Broadcast',
+        `"${dueBroadcast.title}" is scheduled to start now.`,
+        [
+          { text: 'Later', style: 'cancel' },
+          { text: 'Start Now', onPress: () => setPendingAutoStart(true) }
+        ]
+      );
+    }
+    setDueBroadcast(null);
+  }, [dueBroadcast]);
+
+  // Runs after the recording type above has been applied, so startBroadcast sees it
+  useEffect(() => {
+    if (pendingAutoStart && selectedRecordingType && !isBroadcasting) {
+      setPendingAutoStart(false);
+      startBroadcast();
+    }
+  }, [pendingAutoStart, selectedRecordingType]);
+
   const initializeScreen = async () => {
     const user = AuthService.getCurrentUser();
     setCurrentUser(user);
@@ -143,6 +179,7 @@ const BroadcastingScreen = ({ navigation }) => {
     socketConnection.off('listener_left');
     socketConnection.off('voice_transcription');
     socketConnection.off('voice_recognition_error');
+    socketConnection.off('scheduled_broadcast_due');
 
     // Set up broadcast-specific listeners
     socketConnection.on('listener_joined', (data) => {
@@ -183,6 +220,11 @@ const BroadcastingScreen = ({ navigation }) => {
       Alert.alert('Voice Recognition Error', error.message);
     });
 
+    socketConnection.on('scheduled_broadcast_due', (data) => {
+      console.log('📅 Scheduled broadcast due:', data);
+      setDueBroadcast(data);
+    });
+
     console.log('✅ Broadcast event listeners set up successfully');
   };
 
@@ -236,7 +278,7 @@ const BroadcastingScreen = ({ navigation }) => {
       }
 
       // Generate session ID
-      const sessionId = `session_${currentUser.id}_${Date.now()}`;
+      const sessionId = `session_${AuthService.getMosqueId()}_${Date.now()}`;
       setCurrentSessionId(sessionId);
 
       // Start recording animation
@@ -305,7 +347,7 @@ const BroadcastingScreen = ({ navigation }) => {
       if (socket && socket.connected) {
         console.log('📡 Emitting start_broadcast event:', {
           sessionId,
-          mosqueId: currentUser.id,
+          mosqueId: AuthService.getMosqueId(),
           mosqueName: currentUser.mosqueName,
           language: 'Arabic',
           enableVoiceRecognition: true,
@@ -314,7 +356,7 @@ const BroadcastingScreen = ({ navigation }) => {
 
         socket.emit('start_broadcast', {
           sessionId,
-          mosqueId: currentUser.id,
+          mosqueId: AuthService.getMosqueId(),
           mosqueName: currentUser.mosqueName,
           language: 'Arabic',
           enableVoiceRecognition: true,
@@ -379,14 +421,14 @@ const BroadcastingScreen = ({ navigation }) => {
       if (socket && socket.connected) {
         console.log('📡 Emitting stop_broadcast event:', {
           sessionId: currentSessionId,
-          mosqueId: currentUser.id,
+          mosqueId: AuthService.getMosqueId(),
           duration: broadcastDuration,
           listeners: connectedListeners,
         });
 
         socket.emit('stop_broadcast', {
           sessionId: currentSessionId,
-          mosqueId: currentUser.id,
+          mosqueId: AuthService.getMosqueId(),
           duration: broadcastDuration,
           listeners: connectedListeners,
         }, (response) => {
@@ -522,6 +564,12 @@ const BroadcastingScreen = ({ navigation }) => {
         <Text style={styles.subtitle}>
           {currentUser?.mosqueName || 'Mosque Broadcasting'}
         </Text>
+        <TouchableOpacity
+          style={styles.scheduleButton}
+          onPress={() => navigation.navigate('BroadcastSchedule')}
+        >
+          <Icon name="event" size={24} color="#fff" />
+        </TouchableOpacity>
       </View>
 
       {/* Recording Type Selection */}
@@ -818,6 +866,12 @@ const styles = StyleSheet.create({
     padding: 20,
     paddingTop: 40,
   },
+  scheduleButton: {
+    position: 'absolute',
+    top: 44,
+    right: 20,
+    padding: 4,
+  },
   title: {
     fontSize: 24,
     fontWeight: 'bold',
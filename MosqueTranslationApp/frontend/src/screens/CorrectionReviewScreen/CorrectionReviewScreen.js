@@ -0,0 +1,105 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  SafeAreaView,
+  Alert,
+  ActivityIndicator,
+} from 'react-native';
+import { Colors, Typography, Spacing } from '../../utils/theme';
+import TranslatorInterface from '../../components/Translation/TranslatorInterface';
+import CorrectionService from '../../services/CorrectionService/CorrectionService';
+
+// Queue items in the shape TranslatorInterface lists in review mode
+const toReviewItem = (correction) => ({
+  id: correction.correctionId,
+  translationId: correction.translationId,
+  sequenceNumber: correction.sequenceNumber,
+  timestamp: correction.submittedAt,
+  language: correction.language,
+  originalText: correction.originalArabic,
+  currentText: correction.currentText,
+  proposedText: correction.correctedText,
+  reason: correction.reason,
+  submittedBy: correction.submittedBy?.name,
+});
+
+const CorrectionReviewScreen = ({ navigation, route }) => {
+  const sessionId = route?.params?.sessionId || null;
+  const [loading, setLoading] = useState(true);
+  const [items, setItems] = useState([]);
+
+  const loadQueue = useCallback(async () => {
+    setLoading(true);
+    const result = await CorrectionService.getReviewQueue({ sessionId });
+    if (result.success) {
+      setItems(result.corrections.map(toReviewItem));
+    } else {
+      Alert.alert('Error', result.error || 'Failed to load corrections');
+    }
+    setLoading(false);
+  }, [sessionId]);
+
+  useEffect(() => {
+    loadQueue();
+  }, [loadQueue]);
+
+  // Approving pushes the new wording to everyone still watching the session
+  const handleReview = async (item, decision, text) => {
+    const result = decision === 'approve'
+      ? await CorrectionService.approveCorrection(item.translationId, item.id, text !== item.proposedText ? text : null)
+      : await CorrectionService.rejectCorrection(item.translationId, item.id);
+
+    if (!result.success) {
+      // Someone else may have reviewed it meanwhile
+      loadQueue();
+      throw new Error(result.error);
+    }
+
+    setItems(prev => prev.filter(i => i.id !== item.id));
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      {loading && (
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color={Colors.primary.main} />
+          <Text style={styles.loadingText}>Loading corrections...</Text>
+        </View>
+      )}
+
+      <TranslatorInterface
+        visible={!loading}
+        onClose={() => navigation.goBack()}
+        availableLanguages={[]}
+        onBecomeTranslator={() => {}}
+        onSendTranslation={() => {}}
+        isTranslator
+        translatorLanguage={null}
+        pendingTranslations={items}
+        mode="review"
+        onReviewCorrection={handleReview}
+      />
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: Colors.neutral.background,
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  loadingText: {
+    marginTop: Spacing.md,
+    fontSize: Typography.sizes.base,
+    color: Colors.text.secondary,
+  },
+});
+
+export default CorrectionReviewScreen;
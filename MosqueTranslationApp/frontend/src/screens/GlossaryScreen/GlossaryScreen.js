@@ -0,0 +1,619 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  SafeAreaView,
+  TouchableOpacity,
+  Alert,
+  ScrollView,
+  ActivityIndicator,
+} from 'react-native';
+import Icon from 'react-native-vector-icons/MaterialIcons';
+import { Colors, Typography, Spacing, BorderRadius, Shadows } from '../../utils/theme';
+import IslamicInput from '../../components/Common/IslamicInput';
+import IslamicButton from '../../components/Common/IslamicButton';
+import GlossaryService from '../../services/GlossaryService/GlossaryService';
+
+// Languages a mosque can set its own rendering for (matches the backend defaults)
+const RENDERING_LANGUAGES = [
+  { code: 'en', name: 'English' },
+  { code: 'de', name: 'German' },
+  { code: 'fr', name: 'French' },
+  { code: 'es', name: 'Spanish' },
+  { code: 'it', name: 'Italian' },
+  { code: 'pt', name: 'Portuguese' },
+  { code: 'ru', name: 'Russian' },
+  { code: 'tr', name: 'Turkish' },
+];
+
+const EMPTY_FORM = {
+  id: null,
+  scope: 'mosque',
+  term: '',
+  transliteration: '',
+  mode: 'preserve',
+  renderings: {},
+  notes: '',
+};
+
+const GlossaryScreen = ({ navigation }) => {
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [globalTerms, setGlobalTerms] = useState([]);
+  const [mosqueTerms, setMosqueTerms] = useState([]);
+  const [canEditGlobal, setCanEditGlobal] = useState(false);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [previewText, setPreviewText] = useState('');
+  const [previewLanguage, setPreviewLanguage] = useState('en');
+  const [previewResult, setPreviewResult] = useState(null);
+  const [previewing, setPreviewing] = useState(false);
+
+  const loadTerms = useCallback(async () => {
+    setLoading(true);
+    const result = await GlossaryService.getTerms();
+    if (result.success) {
+      setGlobalTerms(result.global);
+      setMosqueTerms(result.mosque);
+      setCanEditGlobal(result.canEditGlobal);
+    } else {
+      Alert.alert('Error', result.error || 'Failed to load glossary');
+    }
+    setLoading(false);
+  }, []);
+
+  useEffect(() => {
+    loadTerms();
+  }, [loadTerms]);
+
+  const handleInputChange = (field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      [field]: value,
+    }));
+  };
+
+  const handleRenderingChange = (language, value) => {
+    setFormData(prev => ({
+      ...prev,
+      renderings: {
+        ...prev.renderings,
+        [language]: value,
+      },
+    }));
+  };
+
+  const editTerm = (term, scope) => {
+    const renderings = {};
+    (term.renderings || []).forEach(rendering => {
+      renderings[rendering.language] = rendering.text;
+    });
+
+    setFormData({
+      id: term._id,
+      scope,
+      term: term.term,
+      transliteration: term.transliteration || '',
+      mode: term.mode || 'preserve',
+      renderings,
+      notes: term.notes || '',
+    });
+  };
+
+  // Use the mosque's wording for a global term instead of the shared one
+  const overrideTerm = (term) => {
+    editTerm(term, 'mosque');
+    setFormData(prev => ({ ...prev, id: null }));
+  };
+
+  const validateForm = () => {
+    if (!formData.term.trim()) {
+      Alert.alert('Error', 'Please enter the Arabic term');
+      return false;
+    }
+
+    const hasRendering = Object.values(formData.renderings).some(text => text && text.trim());
+    if (!formData.transliteration.trim() && !(formData.mode === 'map' && hasRendering)) {
+      Alert.alert('Error', 'Please enter a transliteration or at least one rendering');
+      return false;
+    }
+
+    return true;
+  };
+
+  const handleSave = async () => {
+    if (!validateForm()) {
+      return;
+    }
+
+    const payload = {
+      term: formData.term.trim(),
+      transliteration: formData.transliteration.trim(),
+      mode: formData.mode,
+      notes: formData.notes.trim(),
+      renderings: Object.entries(formData.renderings)
+        .filter(([, text]) => text && text.trim())
+        .map(([language, text]) => ({ language, text: text.trim() })),
+    };
+
+    setSaving(true);
+    try {
+      const result = formData.id
+        ? await GlossaryService.updateTerm(formData.id, payload, formData.scope)
+        : await GlossaryService.createTerm(payload, formData.scope);
+
+      if (result.success) {
+        setFormData(EMPTY_FORM);
+        await loadTerms();
+      } else {
+        Alert.alert('Error', result.error || 'Failed to save term');
+      }
+    } catch (error) {
+      console.error('Error saving glossary term:', error);
+      Alert.alert('Error', 'An unexpected error occurred');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = (term, scope) => {
+    Alert.alert(
+      'Delete Term',
+      `Remove "${term.term}" from the glossary?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            const result = await GlossaryService.deleteTerm(term._id, scope);
+            if (result.success) {
+              if (formData.id === term._id) {
+                setFormData(EMPTY_FORM);
+              }
+              await loadTerms();
+            } else {
+              Alert.alert('Error', result.error || 'Failed to delete term');
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const handlePreview = async () => {
+    if (!previewText.trim()) {
+      return;
+    }
+
+    setPreviewing(true);
+    const result = await GlossaryService.previewText(previewText.trim(), previewLanguage);
+    setPreviewing(false);
+
+    if (result.success) {
+      setPreviewResult(result);
+    } else {
+      Alert.alert('Error', result.error || 'Failed to preview text');
+    }
+  };
+
+  const renderHeader = () => (
+    <View style={styles.header}>
+      <TouchableOpacity
+        style={styles.backButton}
+        onPress={() => navigation.goBack()}
+      >
+        <Icon name="arrow-back" size={24} color="#fff" />
+      </TouchableOpacity>
+      <Text style={styles.headerTitle}>Terminology Glossary</Text>
+      <View style={styles.headerSpacer} />
+    </View>
+  );
+
+  const renderTerm = (term, scope) => {
+    const editable = scope === 'mosque' || canEditGlobal;
+    const overridden = scope === 'global' && mosqueTerms.some(t => t.normalizedTerm === term.normalizedTerm);
+
+    return (
+      <View key={term._id} style={[styles.termItem, overridden && styles.termItemOverridden]}>
+        <View style={styles.termInfo}>
+          <Text style={styles.termArabic}>{term.term}</Text>
+          <Text style={styles.termRendering}>
+            {term.transliteration || '—'}
+            {term.mode === 'map' && term.renderings?.length > 0
+              ? `  ·  ${term.renderings.map(r => `${r.language}: ${r.text}`).join(', ')}`
+              : ''}
+          </Text>
+          <View style={styles.termBadges}>
+            <Text style={styles.badge}>{term.mode === 'map' ? 'Mapped' : 'Preserved'}</Text>
+            {overridden && <Text style={styles.badge}>Overridden by your mosque</Text>}
+            {term.isActive === false && <Text style={styles.badge}>Inactive</Text>}
+          </View>
+        </View>
+        <View style={styles.termActions}>
+          {scope === 'global' && !overridden && (
+            <TouchableOpacity style={styles.iconButton} onPress={() => overrideTerm(term)}>
+              <Icon name="content-copy" size={20} color={Colors.primary.main} />
+            </TouchableOpacity>
+          )}
+          {editable && (
+            <TouchableOpacity style={styles.iconButton} onPress={() => editTerm(term, scope)}>
+              <Icon name="edit" size={20} color={Colors.primary.main} />
+            </TouchableOpacity>
+          )}
+          {editable && (
+            <TouchableOpacity style={styles.iconButton} onPress={() => handleDelete(term, scope)}>
+              <Icon name="delete" size={20} color={Colors.status.error} />
+            </TouchableOpacity>
+          )}
+        </View>
+      </View>
+    );
+  };
+
+  const renderForm = () => (
+    <View style={styles.section}>
+      <Text style={styles.sectionTitle}>
+        {formData.id ? 'Edit Term' : 'Add Term'}
+        {formData.scope === 'global' ? ' (Global)' : ''}
+      </Text>
+
+      <IslamicInput
+        label="Arabic Term"
+        value={formData.term}
+        onChangeText={(value) => handleInputChange('term', value)}
+        placeholder="e.g. صلاة"
+        autoCapitalize="none"
+        required
+      />
+
+      <IslamicInput
+        label="Transliteration"
+        value={formData.transliteration}
+        onChangeText={(value) => handleInputChange('transliteration', value)}
+        placeholder="e.g. Salah"
+        helperText="Used in every language unless a rendering is mapped below"
+      />
+
+      <Text style={styles.fieldLabel}>Mode</Text>
+      <View style={styles.chipRow}>
+        {['preserve', 'map'].map(mode => (
+          <TouchableOpacity
+            key={mode}
+            style={[styles.chip, formData.mode === mode && styles.chipActive]}
+            onPress={() => handleInputChange('mode', mode)}
+          >
+            <Text style={[styles.chipText, formData.mode === mode && styles.chipTextActive]}>
+              {mode === 'preserve' ? 'Keep transliteration' : 'Map per language'}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      {formData.mode === 'map' && RENDERING_LANGUAGES.map(language => (
+        <IslamicInput
+          key={language.code}
+          label={language.name}
+          value={formData.renderings[language.code] || ''}
+          onChangeText={(value) => handleRenderingChange(language.code, value)}
+          placeholder={formData.transliteration || 'Preferred rendering'}
+        />
+      ))}
+
+      <IslamicInput
+        label="Notes"
+        value={formData.notes}
+        onChangeText={(value) => handleInputChange('notes', value)}
+        placeholder="Optional guidance for translators"
+        multiline
+        numberOfLines={2}
+      />
+
+      <View style={styles.formActions}>
+        <IslamicButton
+          title={formData.id ? 'Save Changes' : 'Add Term'}
+          onPress={handleSave}
+          loading={saving}
+          disabled={!formData.term.trim()}
+          icon="save"
+        />
+        {(formData.id || formData.term) ? (
+          <IslamicButton
+            title="Cancel"
+            variant="ghost"
+            onPress={() => setFormData(EMPTY_FORM)}
+            style={styles.cancelButton}
+          />
+        ) : null}
+      </View>
+    </View>
+  );
+
+  const renderPreview = () => (
+    <View style={styles.section}>
+      <Text style={styles.sectionTitle}>Preview</Text>
+      <Text style={styles.sectionDescription}>
+        Paste a sentence from a khutbah to see which terms the glossary keeps fixed.
+      </Text>
+
+      <IslamicInput
+        value={previewText}
+        onChangeText={setPreviewText}
+        placeholder="أقيموا الصلاة وآتوا الزكاة"
+        autoCapitalize="none"
+        multiline
+        numberOfLines={3}
+      />
+
+      <View style={styles.chipRow}>
+        {RENDERING_LANGUAGES.map(language => (
+          <TouchableOpacity
+            key={language.code}
+            style={[styles.chip, previewLanguage === language.code && styles.chipActive]}
+            onPress={() => setPreviewLanguage(language.code)}
+          >
+            <Text style={[styles.chipText, previewLanguage === language.code && styles.chipTextActive]}>
+              {language.code.toUpperCase()}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      <IslamicButton
+        title="Preview"
+        variant="outline"
+        onPress={handlePreview}
+        loading={previewing}
+        disabled={!previewText.trim()}
+        icon="visibility"
+      />
+
+      {previewResult && (
+        <View style={styles.previewResult}>
+          {previewResult.terms.length === 0 ? (
+            <Text style={styles.sectionDescription}>No glossary terms found in this text.</Text>
+          ) : (
+            previewResult.terms.map((term, index) => (
+              <View key={`${term.term}-${index}`} style={styles.previewRow}>
+                <Text style={styles.termArabic}>{term.term}</Text>
+                <Icon name="arrow-forward" size={16} color={Colors.text.secondary} />
+                <Text style={styles.previewRendering}>{term.rendering}</Text>
+              </View>
+            ))
+          )}
+        </View>
+      )}
+    </View>
+  );
+
+  return (
+    <SafeAreaView style={styles.container}>
+      {renderHeader()}
+
+      <ScrollView style={styles.scrollView} showsVerticalScrollIndicator={false}>
+        <View style={styles.content}>
+          <View style={styles.infoSection}>
+            <Icon name="menu-book" size={48} color={Colors.primary.main} />
+            <Text style={styles.infoTitle}>Islamic Terminology</Text>
+            <Text style={styles.infoDescription}>
+              Terms in this glossary are translated the same way by every translation provider.
+              Your mosque's entries take precedence over the global glossary.
+            </Text>
+          </View>
+
+          {renderForm()}
+          {renderPreview()}
+
+          {loading ? (
+            <ActivityIndicator size="large" color={Colors.primary.main} style={styles.loader} />
+          ) : (
+            <>
+              <View style={styles.section}>
+                <Text style={styles.sectionTitle}>Your Mosque's Terms</Text>
+                {mosqueTerms.length === 0 ? (
+                  <Text style={styles.sectionDescription}>
+                    No mosque-specific terms yet. Add one above or override a global term.
+                  </Text>
+                ) : (
+                  mosqueTerms.map(term => renderTerm(term, 'mosque'))
+                )}
+              </View>
+
+              <View style={styles.section}>
+                <Text style={styles.sectionTitle}>Global Glossary</Text>
+                {globalTerms.map(term => renderTerm(term, 'global'))}
+                {canEditGlobal && (
+                  <IslamicButton
+                    title="Add Global Term"
+                    variant="outline"
+                    size="sm"
+                    icon="public"
+                    onPress={() => setFormData({ ...EMPTY_FORM, scope: 'global' })}
+                  />
+                )}
+              </View>
+            </>
+          )}
+        </View>
+      </ScrollView>
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: Colors.neutral.background,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: Colors.primary.main,
+    paddingHorizontal: Spacing.lg,
+    paddingVertical: Spacing.md,
+    elevation: 4,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.25,
+    shadowRadius: 3.84,
+  },
+  backButton: {
+    padding: Spacing.xs,
+  },
+  headerTitle: {
+    fontSize: Typography.sizes.xl,
+    fontWeight: Typography.weights.bold,
+    color: Colors.text.inverse,
+    flex: 1,
+    textAlign: 'center',
+  },
+  headerSpacer: {
+    width: 40, // Same width as back button for centering
+  },
+  scrollView: {
+    flex: 1,
+  },
+  content: {
+    padding: Spacing.lg,
+  },
+  infoSection: {
+    alignItems: 'center',
+    backgroundColor: Colors.neutral.surface,
+    borderRadius: BorderRadius.lg,
+    padding: Spacing.xl,
+    marginBottom: Spacing.lg,
+    ...Shadows.sm,
+  },
+  infoTitle: {
+    fontSize: Typography.sizes.xl,
+    fontWeight: Typography.weights.bold,
+    color: Colors.text.primary,
+    marginTop: Spacing.md,
+    marginBottom: Spacing.sm,
+    textAlign: 'center',
+  },
+  infoDescription: {
+    fontSize: Typography.sizes.base,
+    color: Colors.text.secondary,
+    textAlign: 'center',
+    lineHeight: Typography.sizes.base * 1.5,
+  },
+  section: {
+    backgroundColor: Colors.neutral.surface,
+    borderRadius: BorderRadius.lg,
+    padding: Spacing.lg,
+    marginBottom: Spacing.lg,
+    ...Shadows.sm,
+  },
+  sectionTitle: {
+    fontSize: Typography.sizes.lg,
+    fontWeight: Typography.weights.semibold,
+    color: Colors.text.primary,
+    marginBottom: Spacing.md,
+  },
+  sectionDescription: {
+    fontSize: Typography.sizes.sm,
+    color: Colors.text.secondary,
+    marginBottom: Spacing.md,
+  },
+  fieldLabel: {
+    fontSize: Typography.sizes.sm,
+    fontWeight: Typography.weights.medium,
+    color: Colors.text.primary,
+    marginBottom: Spacing.sm,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: Spacing.md,
+  },
+  chip: {
+    paddingHorizontal: Spacing.md,
+    paddingVertical: Spacing.xs,
+    borderRadius: BorderRadius.full,
+    borderWidth: 1,
+    borderColor: Colors.neutral.border,
+    marginRight: Spacing.sm,
+    marginBottom: Spacing.sm,
+  },
+  chipActive: {
+    backgroundColor: Colors.primary.main,
+    borderColor: Colors.primary.main,
+  },
+  chipText: {
+    fontSize: Typography.sizes.sm,
+    color: Colors.text.secondary,
+  },
+  chipTextActive: {
+    color: Colors.text.inverse,
+  },
+  formActions: {
+    marginTop: Spacing.sm,
+  },
+  cancelButton: {
+    marginTop: Spacing.sm,
+  },
+  termItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: Spacing.sm,
+    borderBottomWidth: 1,
+    borderBottomColor: Colors.neutral.divider,
+  },
+  termItemOverridden: {
+    opacity: 0.6,
+  },
+  termInfo: {
+    flex: 1,
+  },
+  termArabic: {
+    fontSize: Typography.sizes.lg,
+    color: Colors.text.primary,
+    writingDirection: 'rtl',
+  },
+  termRendering: {
+    fontSize: Typography.sizes.sm,
+    color: Colors.text.secondary,
+    marginTop: 2,
+  },
+  termBadges: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginTop: Spacing.xs,
+  },
+  badge: {
+    fontSize: Typography.sizes.xs,
+    color: Colors.primary.dark,
+    backgroundColor: Colors.primary.surface,
+    borderRadius: BorderRadius.sm,
+    paddingHorizontal: Spacing.xs,
+    marginRight: Spacing.xs,
+    overflow: 'hidden',
+  },
+  termActions: {
+    flexDirection: 'row',
+  },
+  iconButton: {
+    padding: Spacing.xs,
+    marginLeft: Spacing.xs,
+  },
+  previewResult: {
+    marginTop: Spacing.md,
+  },
+  previewRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: Spacing.xs,
+  },
+  previewRendering: {
+    fontSize: Typography.sizes.base,
+    fontWeight: Typography.weights.medium,
+    color: Colors.primary.main,
+    marginLeft: Spacing.sm,
+  },
+  loader: {
+    marginVertical: Spacing.xl,
+  },
+});
+
+export default GlossaryScreen;
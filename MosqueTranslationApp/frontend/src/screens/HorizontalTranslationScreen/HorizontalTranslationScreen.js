@@ -15,9 +15,24 @@ import Icon from 'react-native-vector-icons/MaterialIcons';
 import io from 'socket.io-client';
 import { API_BASE_URL } from '../../config/api';
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { Audio } from 'expo-av';
 
 const { width, height } = Dimensions.get('window');
 
+// Translation audio segments are keyed by language code
+const LANGUAGE_CODES = {
+  English: 'en',
+  French: 'fr',
+  German: 'de',
+  Spanish: 'es',
+  Turkish: 'tr',
+  Urdu: 'ur',
+  Arabic: 'ar',
+};
+
+// Drop older segments when playback falls behind the live khutbah
+const MAX_QUEUED_AUDIO = 3;
+
 const HorizontalTranslationScreen = ({ navigation, route }) => {
   const [isConnected, setIsConnected] = useState(false);
   const [socket, setSocket] = useState(null);
@@ -28,11 +43,27 @@ const HorizontalTranslationScreen = ({ navigation, route }) => {
   const [showControls, setShowControls] = useState(true);
   const [isFullscreen, setIsFullscreen] = useState(false);
   const [broadcast, setBroadcast] = useState(null);
+  const [audioEnabled, setAudioEnabled] = useState(false);
 
   const fadeAnim = useRef(new Animated.Value(1)).current;
   const controlsTimeoutRef = useRef(null);
   const scrollViewRef = useRef(null);
 
+  // Refs so socket handlers see the current values
+  const audioEnabledRef = useRef(false);
+  const selectedLanguageRef = useRef(selectedLanguage);
+  const audioQueueRef = useRef([]);
+  const soundRef = useRef(null);
+  const isPlayingAudioRef = useRef(false);
+  // Session-wide number of the last line on screen, sent when (re)joining to catch up on what was missed
+  const lastSequenceRef = useRef(0);
+  // Lines received while a language switch reloads the session, applied once the reload is complete
+  const pendingLinesRef = useRef(null);
+
+  useEffect(() => {
+    selectedLanguageRef.current = selectedLanguage;
+  }, [selectedLanguage]);
+
   useEffect(() => {
     // Note: Orientation locking disabled for compatibility
     // Users can manually rotate their device to landscape
@@ -83,9 +114,24 @@ const HorizontalTranslationScreen = ({ navigation, route }) => {
 
       newSocket.on('translation_update', (data) => {
         console.log('Translation received:', data);
+        if (pendingLinesRef.current) {
+          pendingLinesRef.current.push(data);
+          return;
+        }
         addTranslation(data);
       });
 
+      // A moderator approved better wording for a line already on screen
+      newSocket.on('translation_corrected', (update) => {
+        applyCorrection(update);
+      });
+
+      newSocket.on('translation_audio', (segment) => {
+        if (audioEnabledRef.current && segment.language === LANGUAGE_CODES[selectedLanguageRef.current]) {
+          enqueueAudio(segment);
+        }
+      });
+
       newSocket.on('session_ended', () => {
         Alert.alert(
           'Session Ended',
@@ -104,18 +150,23 @@ const HorizontalTranslationScreen = ({ navigation, route }) => {
   const joinSession = async (socketInstance, broadcastData) => {
     try {
       const deviceId = await AsyncStorage.getItem('deviceId') || `device_${Date.now()}`;
+      // A reload cut off by the reconnect never gets its answer; the join below catches up from lastSequence
+      pendingLinesRef.current = null;
       
       socketInstance.emit('join_session', {
         sessionId: broadcastData.sessionId,
         mosqueId: broadcastData.mosqueId,
         deviceId,
         userType: 'individual',
-        preferredLanguage: selectedLanguage,
+        preferredLanguage: selectedLanguageRef.current,
+        // What was said before joining or while the connection was down comes back as translation_update
+        lastSequence: lastSequenceRef.current,
       }, (response) => {
         if (response.success) {
           console.log('Successfully joined horizontal translation session');
-          // Load recent translations
-          loadRecentTranslations(socketInstance, broadcastData.sessionId);
+          if (response.truncated) {
+            console.warn('Some earlier lines of this session are no longer available');
+          }
         } else {
           Alert.alert('Error', response.error || 'Failed to join session');
         }
@@ -125,25 +176,48 @@ const HorizontalTranslationScreen = ({ navigation, route }) => {
     }
   };
 
-  const loadRecentTranslations = (socketInstance, sessionId) => {
-    socketInstance.emit('get_recent_translations', {
+  // Missed lines come back as ordinary translation_update events. A live line still in the old language can
+  // arrive before them, so lines are held until the server answers and the last copy of each line wins
+  const syncSession = (socketInstance, sessionId) => {
+    pendingLinesRef.current = [];
+    socketInstance.emit('sync_session', {
       sessionId,
-      language: selectedLanguage,
-      limit: 10,
+      lastSequence: lastSequenceRef.current,
+      language: LANGUAGE_CODES[selectedLanguageRef.current],
     }, (response) => {
-      if (response.success && response.translations) {
-        setTranslations(response.translations.reverse());
+      if (response?.truncated) {
+        console.warn('Some earlier lines of this session are no longer available');
       }
+
+      const lines = new Map();
+      (pendingLinesRef.current || []).forEach(line => lines.set(line.sequenceNumber || line.id, line));
+      pendingLinesRef.current = null;
+      [...lines.values()]
+        .sort((a, b) => (a.sequenceNumber || 0) - (b.sequenceNumber || 0))
+        .forEach(addTranslation);
     });
   };
 
   const addTranslation = (translationData) => {
+    const { sequenceNumber } = translationData;
+    if (sequenceNumber) {
+      // A live line can arrive while the same line is being backfilled
+      if (sequenceNumber <= lastSequenceRef.current) {
+        return;
+      }
+      lastSequenceRef.current = sequenceNumber;
+    }
+
+    const language = selectedLanguageRef.current;
     const newTranslation = {
-      id: translationData.id || Date.now(),
+      id: translationData.translationId || translationData.id || sequenceNumber || Date.now(),
       originalText: translationData.originalText,
-      translatedText: translationData.translations?.[selectedLanguage] || translationData.translatedText,
+      translatedText: translationData.translations?.[LANGUAGE_CODES[language]]
+        || translationData.translations?.[language]
+        || translationData.translatedText
+        || translationData.originalText,
       timestamp: new Date(translationData.timestamp),
-      language: selectedLanguage,
+      language,
     };
 
     setTranslations(prev => {
@@ -158,7 +232,77 @@ const HorizontalTranslationScreen = ({ navigation, route }) => {
     }, 100);
   };
 
+  const applyCorrection = (update) => {
+    setTranslations(prev => prev.map(item => (
+      item.language === update.language &&
+      (item.id === update.translationId || item.originalText === update.originalText)
+        ? { ...item, translatedText: update.text }
+        : item
+    )));
+  };
+
+  const enqueueAudio = (segment) => {
+    audioQueueRef.current = [...audioQueueRef.current, segment].slice(-MAX_QUEUED_AUDIO);
+    if (!isPlayingAudioRef.current) {
+      playNextAudio();
+    }
+  };
+
+  const playNextAudio = async () => {
+    const segment = audioQueueRef.current.shift();
+    if (!segment || !audioEnabledRef.current) {
+      isPlayingAudioRef.current = false;
+      return;
+    }
+
+    isPlayingAudioRef.current = true;
+    try {
+      const { sound } = await Audio.Sound.createAsync(
+        { uri: `${API_BASE_URL.replace('/api', '')}${segment.audioUrl}` },
+        { shouldPlay: true }
+      );
+      soundRef.current = sound;
+      sound.setOnPlaybackStatusUpdate((status) => {
+        if (status.didJustFinish) {
+          sound.unloadAsync();
+          soundRef.current = null;
+          playNextAudio();
+        }
+      });
+    } catch (error) {
+      console.error('Failed to play translation audio:', error);
+      playNextAudio();
+    }
+  };
+
+  const stopAudio = () => {
+    audioQueueRef.current = [];
+    isPlayingAudioRef.current = false;
+    if (soundRef.current) {
+      soundRef.current.unloadAsync();
+      soundRef.current = null;
+    }
+  };
+
+  const toggleAudio = async () => {
+    const enabled = !audioEnabled;
+    setAudioEnabled(enabled);
+    audioEnabledRef.current = enabled;
+
+    if (enabled) {
+      try {
+        await Audio.setAudioModeAsync({ playsInSilentModeIOS: true });
+      } catch (error) {
+        console.error('Failed to set audio mode:', error);
+      }
+    } else {
+      stopAudio();
+    }
+    resetControlsTimeout();
+  };
+
   const cleanup = () => {
+    stopAudio();
     if (socket) {
       socket.disconnect();
     }
@@ -207,8 +351,18 @@ const HorizontalTranslationScreen = ({ navigation, route }) => {
 
   const changeLanguage = (language) => {
     setSelectedLanguage(language);
+    selectedLanguageRef.current = language;
+    stopAudio();
     if (socket && broadcast?.sessionId) {
-      loadRecentTranslations(socket, broadcast.sessionId);
+      // Ask the session to start translating into this language if nobody else needs it yet
+      socket.emit('change_session_language', {
+        sessionId: broadcast.sessionId,
+        preferredLanguage: language,
+      });
+      // Reload the session so far in the new language
+      setTranslations([]);
+      lastSequenceRef.current = 0;
+      syncSession(socket, broadcast.sessionId);
     }
     resetControlsTimeout();
   };
@@ -286,6 +440,13 @@ const HorizontalTranslationScreen = ({ navigation, route }) => {
               </Text>
             </View>
 
+            <TouchableOpacity
+              style={[styles.controlButton, styles.audioButton, audioEnabled && styles.audioButtonActive]}
+              onPress={toggleAudio}
+            >
+              <Icon name={audioEnabled ? "headset" : "headset-off"} size={24} color="#fff" />
+            </TouchableOpacity>
+
             <TouchableOpacity 
               style={styles.controlButton}
               onPress={toggleFullscreen}
@@ -424,6 +585,12 @@ const styles = StyleSheet.create({
     justifyContent: 'center',
     alignItems: 'center',
   },
+  audioButton: {
+    marginRight: 10,
+  },
+  audioButtonActive: {
+    backgroundColor: '#2E7D32',
+  },
   sessionInfo: {
     flex: 1,
     alignItems: 'center',
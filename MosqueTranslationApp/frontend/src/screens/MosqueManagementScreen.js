@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import {
   View,
   Text,
@@ -8,15 +8,23 @@ import {
   Alert,
   TextInput,
   RefreshControl,
+  ActivityIndicator,
 } from 'react-native';
 import Icon from 'react-native-vector-icons/MaterialIcons';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import MosqueService from '../services/MosqueService/MosqueService';
 import LocationService from '../services/LocationService/LocationService';
+import PrayerTimeService from '../services/PrayerTimeService/PrayerTimeService';
 import AuthService from '../services/AuthService/AuthService';
 import EmptyState from '../components/Common/EmptyState';
+import MosqueFilterSheet, { DEFAULT_FILTERS, countActiveFilters } from '../components/Mosque/MosqueFilterSheet';
+import MosqueMapView from '../components/Mosque/MosqueMapView';
 import ErrorHandler from '../utils/ErrorHandler';
 
+const PAGE_SIZE = 20;
+// The map shows every pin in view, so it asks for the largest page the API allows
+const MAP_PAGE_SIZE = 100;
+
 const MosqueManagementScreen = ({ navigation }) => {
   const [followedMosques, setFollowedMosques] = useState([]);
   const [availableMosques, setAvailableMosques] = useState([]);
@@ -24,6 +32,17 @@ const MosqueManagementScreen = ({ navigation }) => {
   const [refreshing, setRefreshing] = useState(false);
   const [activeTab, setActiveTab] = useState('followed'); // 'followed' or 'discover'
   const [isMosqueAdmin, setIsMosqueAdmin] = useState(false);
+  const [filters, setFilters] = useState(DEFAULT_FILTERS);
+  const [showFilters, setShowFilters] = useState(false);
+  const [viewMode, setViewMode] = useState('list'); // 'list' or 'map'
+  const [userLocation, setUserLocation] = useState(null);
+  const [mapBbox, setMapBbox] = useState(null);
+  const [selectedMosque, setSelectedMosque] = useState(null);
+  const [page, setPage] = useState(1);
+  const [hasMore, setHasMore] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
+  // Typing in the search box fires overlapping requests; only the latest one may update the list
+  const latestRequest = useRef(0);
 
   useEffect(() => {
     // Check if user is mosque admin
@@ -45,45 +64,22 @@ const MosqueManagementScreen = ({ navigation }) => {
 
       // Get user's current location
       const location = await LocationService.getCurrentLocation();
-      if (location.success) {
-        console.log('Loading nearby mosques for location:', location.latitude, location.longitude);
-
-        // Load nearby mosques from API
-        const nearbyResult = await MosqueService.getNearbyMosques(
-          location.latitude,
-          location.longitude,
-          10 // 10km radius
-        );
-
-        console.log('Nearby mosques result:', nearbyResult);
-
-        if (nearbyResult.success && nearbyResult.mosques && nearbyResult.mosques.length > 0) {
-          setAvailableMosques(nearbyResult.mosques.map(MosqueService.formatMosqueData));
-        } else {
-          // Try to load all mosques if nearby search fails
-          console.log('No nearby mosques found, loading all mosques...');
-          const allMosquesResult = await MosqueService.getNearbyMosques(
-            location.latitude,
-            location.longitude,
-            100 // Larger radius
-          );
-
-          if (allMosquesResult.success && allMosquesResult.mosques) {
-            setAvailableMosques(allMosquesResult.mosques.map(MosqueService.formatMosqueData));
-          } else {
-            setAvailableMosques([]);
-          }
-        }
-      } else {
-        console.log('Location not available, loading default mosques...');
-        // No location available, try to load mosques without location
-        const defaultResult = await MosqueService.getNearbyMosques(40.7128, -74.0060, 100);
-        if (defaultResult.success && defaultResult.mosques) {
-          setAvailableMosques(defaultResult.mosques.map(MosqueService.formatMosqueData));
-        } else {
-          setAvailableMosques([]);
-        }
-      }
+      const coordinates = location.success
+        ? { latitude: location.latitude, longitude: location.longitude }
+        : null;
+      setUserLocation(coordinates);
+
+      // Without a location there is nothing to measure distance from
+      const activeFilters = !coordinates && filters.sort === 'distance'
+        ? { ...filters, sort: 'name' }
+        : filters;
+      setFilters(activeFilters);
+
+      await discoverMosques({
+        location: coordinates,
+        activeFilters,
+        bbox: viewMode === 'map' ? mapBbox : null,
+      });
     } catch (error) {
       console.error('Error loading mosques:', error);
       ErrorHandler.logError(error, 'loadMosques');
@@ -94,6 +90,41 @@ const MosqueManagementScreen = ({ navigation }) => {
     }
   };
 
+  // Search near the user (or inside the map bounds) with the current query and filters
+  const discoverMosques = async ({
+    location = userLocation,
+    activeFilters = filters,
+    query = searchQuery,
+    bbox = null,
+    nextPage = 1,
+  } = {}) => {
+    const requestId = ++latestRequest.current;
+
+    const result = await MosqueService.discoverMosques({
+      ...activeFilters,
+      latitude: location?.latitude,
+      longitude: location?.longitude,
+      radius: location ? activeFilters.radius : undefined,
+      bbox,
+      query,
+      page: nextPage,
+      limit: bbox ? MAP_PAGE_SIZE : PAGE_SIZE,
+    });
+
+    if (requestId !== latestRequest.current) {
+      return;
+    }
+
+    if (result.success) {
+      setAvailableMosques(prev => nextPage > 1 ? [...prev, ...result.mosques] : result.mosques);
+      setPage(result.page);
+      setHasMore(result.hasMore);
+    } else if (nextPage === 1) {
+      setAvailableMosques([]);
+      setHasMore(false);
+    }
+  };
+
   const handleRefresh = async () => {
     setRefreshing(true);
     await loadMosques();
@@ -145,52 +176,47 @@ const MosqueManagementScreen = ({ navigation }) => {
   const handleSearch = async (query) => {
     setSearchQuery(query);
 
-    if (query.trim().length > 2) {
+    // Search on the server once there is enough to match, and go back to everything nearby when cleared
+    if (query.trim().length > 2 || query.trim().length === 0) {
       try {
-        console.log('Searching for:', query);
-        const location = await LocationService.getCurrentLocation();
-
-        let searchResult;
-        if (location.success) {
-          searchResult = await MosqueService.searchMosques(
-            query,
-            location.latitude,
-            location.longitude,
-            50 // 50km radius for search
-          );
-        } else {
-          // Search without location
-          searchResult = await MosqueService.searchMosques(
-            query,
-            40.7128, // Default NYC coordinates
-            -74.0060,
-            100 // Larger radius when no location
-          );
-        }
-
-        console.log('Search result:', searchResult);
-
-        if (searchResult.success && searchResult.mosques && searchResult.mosques.length > 0) {
-          setAvailableMosques(searchResult.mosques.map(MosqueService.formatMosqueData));
-        } else {
-          // No results found
-          setAvailableMosques([]);
-        }
+        await discoverMosques({ query, bbox: viewMode === 'map' ? mapBbox : null });
       } catch (error) {
         console.error('Error searching mosques:', error);
         setAvailableMosques([]);
       }
-    } else if (query.trim().length === 0) {
-      // Reload nearby mosques when search is cleared
-      loadMosques();
     }
   };
 
-  const filteredMosques = availableMosques.filter(mosque =>
-    (mosque.name && mosque.name.toLowerCase().includes(searchQuery.toLowerCase())) ||
-    (mosque.imam && mosque.imam.toLowerCase().includes(searchQuery.toLowerCase())) ||
-    (mosque.address && mosque.address.toLowerCase().includes(searchQuery.toLowerCase()))
-  );
+  const handleApplyFilters = (newFilters) => {
+    setFilters(newFilters);
+    setShowFilters(false);
+    discoverMosques({ activeFilters: newFilters, bbox: viewMode === 'map' ? mapBbox : null });
+  };
+
+  const handleLoadMore = async () => {
+    setLoadingMore(true);
+    await discoverMosques({ nextPage: page + 1, bbox: viewMode === 'map' ? mapBbox : null });
+    setLoadingMore(false);
+  };
+
+  const toggleViewMode = () => {
+    const nextMode = viewMode === 'list' ? 'map' : 'list';
+    setViewMode(nextMode);
+    setSelectedMosque(null);
+
+    // The list searches around the user again; the map searches its bounds once it reports them
+    if (nextMode === 'list') {
+      setMapBbox(null);
+      discoverMosques();
+    }
+  };
+
+  const handleMapRegionChange = (bbox) => {
+    setMapBbox(bbox);
+    discoverMosques({ bbox });
+  };
+
+  const activeFilterCount = countActiveFilters(filters);
 
   const renderMosqueCard = (mosque) => {
     const isFollowed = followedMosques.some(m => m.id === mosque.id);
@@ -199,7 +225,14 @@ const MosqueManagementScreen = ({ navigation }) => {
       <View key={mosque.id} style={styles.mosqueCard}>
         <View style={styles.mosqueHeader}>
           <View style={styles.mosqueInfo}>
-            <Text style={styles.mosqueName}>{mosque.name || 'Unknown Mosque'}</Text>
+            <View style={styles.mosqueNameRow}>
+              <Text style={styles.mosqueName}>{mosque.name || 'Unknown Mosque'}</Text>
+              {mosque.isLive && (
+                <View style={styles.liveBadge}>
+                  <Text style={styles.liveBadgeText}>LIVE</Text>
+                </View>
+              )}
+            </View>
             <Text style={styles.imamName}>Imam: {mosque.imam || 'Not specified'}</Text>
             <Text style={styles.mosqueAddress}>{mosque.address || 'Address not available'}</Text>
           </View>
@@ -243,6 +276,16 @@ const MosqueManagementScreen = ({ navigation }) => {
           <Text style={styles.detailText}>{mosque.languagesSupported?.join(', ') || 'Arabic'}</Text>
         </View>
       </View>
+
+      {PrayerTimeService.getMosqueCoordinates(mosque) && (
+        <TouchableOpacity
+          style={styles.prayerTimesButton}
+          onPress={() => navigation.navigate('MainTabs', { screen: 'Prayer Times', params: { mosque } })}
+        >
+          <Icon name="access-time" size={16} color="#2E7D32" />
+          <Text style={styles.prayerTimesButtonText}>Prayer times</Text>
+        </TouchableOpacity>
+      )}
     </View>
     );
   };
@@ -312,53 +355,115 @@ const MosqueManagementScreen = ({ navigation }) => {
 
       {/* Search Bar */}
       {activeTab === 'discover' && (
-        <View style={styles.searchContainer}>
-          <Icon name="search" size={20} color="#666" style={styles.searchIcon} />
-          <TextInput
-            style={styles.searchInput}
-            placeholder="Search mosques, imams, or locations..."
-            value={searchQuery}
-            onChangeText={handleSearch}
-          />
+        <View style={styles.searchRow}>
+          <View style={styles.searchContainer}>
+            <Icon name="search" size={20} color="#666" style={styles.searchIcon} />
+            <TextInput
+              style={styles.searchInput}
+              placeholder="Search mosques, imams, or locations..."
+              value={searchQuery}
+              onChangeText={handleSearch}
+            />
+          </View>
+
+          <TouchableOpacity style={styles.searchAction} onPress={() => setShowFilters(true)}>
+            <Icon name="tune" size={22} color="#2E7D32" />
+            {activeFilterCount > 0 && (
+              <View style={styles.filterBadge}>
+                <Text style={styles.filterBadgeText}>{activeFilterCount}</Text>
+              </View>
+            )}
+          </TouchableOpacity>
+
+          <TouchableOpacity style={styles.searchAction} onPress={toggleViewMode}>
+            <Icon name={viewMode === 'list' ? 'map' : 'list'} size={22} color="#2E7D32" />
+          </TouchableOpacity>
         </View>
       )}
 
       {/* Content */}
-      <ScrollView
-        style={styles.content}
-        refreshControl={
-          <RefreshControl refreshing={refreshing} onRefresh={handleRefresh} />
-        }
-      >
-        {activeTab === 'followed' ? (
-          followedMosques.length > 0 ? (
-            followedMosques.map(renderMosqueCard)
-          ) : (
-            <EmptyState
-              icon="favorite-border"
-              title="No Mosques Followed"
-              message="Discover and follow mosques to see their prayer times and live translations"
-              actionText="Discover Mosques"
-              onActionPress={() => setActiveTab('discover')}
-            />
-          )
-        ) : (
-          filteredMosques.length > 0 ? (
-            filteredMosques.map(renderMosqueCard)
+      {activeTab === 'discover' && viewMode === 'map' ? (
+        <View style={styles.content}>
+          <MosqueMapView
+            mosques={availableMosques}
+            userLocation={userLocation}
+            selectedMosqueId={selectedMosque?.id}
+            onSelectMosque={setSelectedMosque}
+            onRegionChange={handleMapRegionChange}
+          />
+          {selectedMosque && (
+            <View style={styles.selectedMosque}>
+              {renderMosqueCard(selectedMosque)}
+            </View>
+          )}
+          {hasMore && !selectedMosque && (
+            <TouchableOpacity style={styles.mapLoadMore} onPress={handleLoadMore} disabled={loadingMore}>
+              {loadingMore ? (
+                <ActivityIndicator size="small" color="#2E7D32" />
+              ) : (
+                <Text style={styles.loadMoreText}>Show more mosques in this area</Text>
+              )}
+            </TouchableOpacity>
+          )}
+        </View>
+      ) : (
+        <ScrollView
+          style={styles.content}
+          refreshControl={
+            <RefreshControl refreshing={refreshing} onRefresh={handleRefresh} />
+          }
+        >
+          {activeTab === 'followed' ? (
+            followedMosques.length > 0 ? (
+              followedMosques.map(renderMosqueCard)
+            ) : (
+              <EmptyState
+                icon="favorite-border"
+                title="No Mosques Followed"
+                message="Discover and follow mosques to see their prayer times and live translations"
+                actionText="Discover Mosques"
+                onActionPress={() => setActiveTab('discover')}
+              />
+            )
           ) : (
-            <EmptyState
-              icon="mosque"
-              title="No Mosques Found"
-              message={searchQuery ?
-                "No mosques match your search. Try a different search term." :
-                "No mosques found in your area. Make sure location services are enabled."
-              }
-              actionText="Refresh"
-              onActionPress={loadMosques}
-            />
-          )
-        )}
-      </ScrollView>
+            availableMosques.length > 0 ? (
+              <>
+                {availableMosques.map(renderMosqueCard)}
+                {hasMore && (
+                  <TouchableOpacity style={styles.loadMoreButton} onPress={handleLoadMore} disabled={loadingMore}>
+                    {loadingMore ? (
+                      <ActivityIndicator size="small" color="#2E7D32" />
+                    ) : (
+                      <Text style={styles.loadMoreText}>Load more</Text>
+                    )}
+                  </TouchableOpacity>
+                )}
+              </>
+            ) : (
+              <EmptyState
+                icon="mosque"
+                title="No Mosques Found"
+                message={searchQuery || activeFilterCount > 0 ?
+                  "No mosques match your search and filters. Try a different search term or fewer filters." :
+                  userLocation ?
+                    "No mosques found within this distance. Try a wider distance in the filters." :
+                    "No mosques found. Make sure location services are enabled to see mosques near you."
+                }
+                actionText="Refresh"
+                onActionPress={loadMosques}
+              />
+            )
+          )}
+        </ScrollView>
+      )}
+
+      <MosqueFilterSheet
+        visible={showFilters}
+        filters={filters}
+        hasLocation={!!userLocation}
+        onApply={handleApplyFilters}
+        onClose={() => setShowFilters(false)}
+      />
     </View>
   );
 };
@@ -407,15 +512,47 @@ const styles = StyleSheet.create({
     color: '#2E7D32',
     fontWeight: 'bold',
   },
+  searchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    margin: 15,
+  },
   searchContainer: {
+    flex: 1,
     flexDirection: 'row',
     alignItems: 'center',
     backgroundColor: '#fff',
-    margin: 15,
     paddingHorizontal: 15,
     borderRadius: 25,
     elevation: 2,
   },
+  searchAction: {
+    width: 44,
+    height: 44,
+    borderRadius: 22,
+    backgroundColor: '#fff',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginLeft: 8,
+    elevation: 2,
+  },
+  filterBadge: {
+    position: 'absolute',
+    top: 4,
+    right: 4,
+    minWidth: 16,
+    height: 16,
+    borderRadius: 8,
+    backgroundColor: '#2E7D32',
+    justifyContent: 'center',
+    alignItems: 'center',
+    paddingHorizontal: 3,
+  },
+  filterBadgeText: {
+    fontSize: 10,
+    color: '#fff',
+    fontWeight: 'bold',
+  },
   searchIcon: {
     marginRight: 10,
   },
@@ -444,11 +581,28 @@ const styles = StyleSheet.create({
   mosqueInfo: {
     flex: 1,
   },
+  mosqueNameRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    flexWrap: 'wrap',
+  },
   mosqueName: {
     fontSize: 18,
     fontWeight: 'bold',
     color: '#333',
   },
+  liveBadge: {
+    backgroundColor: '#D32F2F',
+    borderRadius: 4,
+    paddingHorizontal: 6,
+    paddingVertical: 2,
+    marginLeft: 8,
+  },
+  liveBadgeText: {
+    fontSize: 10,
+    color: '#fff',
+    fontWeight: 'bold',
+  },
   imamName: {
     fontSize: 14,
     color: '#666',
@@ -495,6 +649,53 @@ const styles = StyleSheet.create({
     color: '#666',
     marginLeft: 4,
   },
+  prayerTimesButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'flex-start',
+    marginTop: 10,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 15,
+    borderWidth: 1,
+    borderColor: '#2E7D32',
+  },
+  prayerTimesButtonText: {
+    fontSize: 12,
+    color: '#2E7D32',
+    fontWeight: '600',
+    marginLeft: 4,
+  },
+  loadMoreButton: {
+    alignItems: 'center',
+    margin: 15,
+    paddingVertical: 12,
+    borderRadius: 25,
+    borderWidth: 1,
+    borderColor: '#2E7D32',
+    backgroundColor: '#fff',
+  },
+  loadMoreText: {
+    fontSize: 14,
+    color: '#2E7D32',
+    fontWeight: 'bold',
+  },
+  selectedMosque: {
+    position: 'absolute',
+    left: 0,
+    right: 0,
+    bottom: 0,
+  },
+  mapLoadMore: {
+    position: 'absolute',
+    bottom: 20,
+    alignSelf: 'center',
+    backgroundColor: '#fff',
+    paddingHorizontal: 20,
+    paddingVertical: 10,
+    borderRadius: 20,
+    elevation: 3,
+  },
   mosqueAdminContainer: {
     flex: 1,
     justifyContent: 'center',
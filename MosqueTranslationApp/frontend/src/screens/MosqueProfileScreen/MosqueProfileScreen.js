@@ -16,6 +16,9 @@ import * as ImagePicker from 'expo-image-picker';
 import Icon from 'react-native-vector-icons/MaterialIcons';
 import { Colors, Typography, Spacing, BorderRadius, Shadows } from '../../utils/theme';
 import IslamicInput from '../../components/Common/IslamicInput';
+import PrayerSettingsForm from '../../components/PrayerTimes/PrayerSettingsForm';
+import { DEFAULT_SETTINGS } from '../../services/PrayerTimeService/PrayerTimeService';
+import TimezoneLookup from '../../utils/TimezoneLookup';
 import AuthService from '../../services/AuthService/AuthService';
 import { API_BASE_URL } from '../../config/api';
 
@@ -58,6 +61,15 @@ const MosqueProfileScreen = ({ navigation }) => {
     capacityMen: '',
     briefHistory: '',
     otherInfo: '',
+
+    // Prayer times published to followers
+    prayerSettings: { ...DEFAULT_SETTINGS, timezone: '' },
+
+    // How long recordings are kept (empty uses the server's defaults)
+    recordingRetention: {
+      archiveAfterDays: '',
+      deleteAfterDays: '',
+    },
     
     // Photos
     photos: {
@@ -140,6 +152,18 @@ const MosqueProfileScreen = ({ navigation }) => {
           capacityMen: user.capacityMen?.toString() || '',
           briefHistory: user.briefHistory || '',
           otherInfo: user.otherInfo || '',
+          prayerSettings: {
+            ...DEFAULT_SETTINGS,
+            ...(user.prayerSettings || {}),
+            adjustments: { ...DEFAULT_SETTINGS.adjustments, ...(user.prayerSettings?.adjustments || {}) },
+            // Mosques registered before the zone was saved get it filled in from their location
+            timezone: user.prayerSettings?.timezone
+              || TimezoneLookup.lookup(user.location?.coordinates?.[1], user.location?.coordinates?.[0]),
+          },
+          recordingRetention: {
+            archiveAfterDays: user.recordingRetention?.archiveAfterDays?.toString() || '',
+            deleteAfterDays: user.recordingRetention?.deleteAfterDays?.toString() || '',
+          },
           photos: {
             exterior: user.photos?.exterior ? { uri: `${API_BASE_URL}${user.photos.exterior}` } : null,
             interior: user.photos?.interior ? { uri: `${API_BASE_URL}${user.photos.interior}` } : null,
@@ -209,7 +233,16 @@ const MosqueProfileScreen = ({ navigation }) => {
         capacityWomen: profileData.capacityWomen ? parseInt(profileData.capacityWomen) : undefined,
         capacityMen: profileData.capacityMen ? parseInt(profileData.capacityMen) : undefined,
         briefHistory: profileData.briefHistory,
-        otherInfo: profileData.otherInfo
+        otherInfo: profileData.otherInfo,
+        prayerSettings: {
+          ...profileData.prayerSettings,
+          timezone: profileData.prayerSettings.timezone.trim() || undefined,
+        },
+        recordingRetention: {
+          archiveAfterDays: profileData.recordingRetention.archiveAfterDays ? parseInt(profileData.recordingRetention.archiveAfterDays) : undefined,
+          // 0 is a real setting here: keep archived recordings forever
+          deleteAfterDays: profileData.recordingRetention.deleteAfterDays !== '' ? parseInt(profileData.recordingRetention.deleteAfterDays) : undefined,
+        }
       };
 
       const result = await AuthService.updateProfile(updateData);
@@ -700,6 +733,54 @@ const MosqueProfileScreen = ({ navigation }) => {
           />
         </View>
 
+        {/* Prayer Times Section */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Prayer Times</Text>
+          <Text style={styles.sectionDescription}>
+            Followers see your prayer times calculated with these settings at your mosque's location.
+          </Text>
+
+          <PrayerSettingsForm
+            settings={profileData.prayerSettings}
+            onChange={(value) => handleInputChange('prayerSettings', value)}
+          />
+
+          <IslamicInput
+            label="Timezone"
+            value={profileData.prayerSettings.timezone}
+            onChangeText={(value) => handleInputChange('prayerSettings', { ...profileData.prayerSettings, timezone: value })}
+            placeholder="Detected from location, e.g. Europe/Berlin"
+            autoCapitalize="none"
+            leftIcon="public"
+          />
+        </View>
+
+        {/* Recordings Section */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Recordings</Text>
+          <Text style={styles.sectionDescription}>
+            Older recordings move to the archive and can still be downloaded. Protected recordings are never removed.
+          </Text>
+
+          <IslamicInput
+            label="Archive After (Days)"
+            value={profileData.recordingRetention.archiveAfterDays}
+            onChangeText={(value) => handleInputChange('recordingRetention', { ...profileData.recordingRetention, archiveAfterDays: value })}
+            placeholder="Server default, e.g. 30"
+            keyboardType="numeric"
+            leftIcon="archive"
+          />
+
+          <IslamicInput
+            label="Delete After (Days)"
+            value={profileData.recordingRetention.deleteAfterDays}
+            onChangeText={(value) => handleInputChange('recordingRetention', { ...profileData.recordingRetention, deleteAfterDays: value })}
+            placeholder="0 keeps recordings forever"
+            keyboardType="numeric"
+            leftIcon="delete-outline"
+          />
+        </View>
+
         {/* Photos Section */}
         <View style={styles.section}>
           <Text style={styles.sectionTitle}>Mosque Photos</Text>
@@ -870,6 +951,12 @@ const styles = StyleSheet.create({
     color: Colors.text.primary,
     marginBottom: Spacing.md,
   },
+  sectionDescription: {
+    fontSize: Typography.sizes.sm,
+    color: Colors.text.secondary,
+    marginTop: -Spacing.sm,
+    marginBottom: Spacing.md,
+  },
 
   changePasswordButton: {
     flexDirection: 'row',
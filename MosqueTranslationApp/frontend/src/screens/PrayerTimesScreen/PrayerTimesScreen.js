@@ -7,6 +7,7 @@ import {
   TouchableOpacity,
   Alert,
   RefreshControl,
+  Modal,
 } from 'react-native';
 import Icon from 'react-native-vector-icons/MaterialIcons';
 import moment from 'moment';
@@ -14,23 +15,36 @@ import moment from 'moment';
 // Import services
 import PrayerTimeService from '../../services/PrayerTimeService/PrayerTimeService';
 import LocationService from '../../services/LocationService/LocationService';
+import NotificationService from '../../services/NotificationService/NotificationService';
+import PrayerSettingsForm from '../../components/PrayerTimes/PrayerSettingsForm';
+
+const PrayerTimesScreen = ({ navigation, route }) => {
+  // Opened from a followed mosque: that mosque's location, timezone and published settings
+  const mosque = route?.params?.mosque || null;
 
-const PrayerTimesScreen = ({ navigation }) => {
   const [location, setLocation] = useState(null);
   const [todayTimes, setTodayTimes] = useState(null);
   const [weeklyTimes, setWeeklyTimes] = useState([]);
   const [refreshing, setRefreshing] = useState(false);
   const [loading, setLoading] = useState(true);
   const [viewMode, setViewMode] = useState('today'); // 'today' or 'weekly'
+  const [showSettings, setShowSettings] = useState(false);
+  const [draftSettings, setDraftSettings] = useState(null);
+  const [iqamah, setIqamah] = useState({});
+  const [jumuah, setJumuah] = useState([]);
+  const [iqamahReminders, setIqamahReminders] = useState(false);
 
   useEffect(() => {
     initializePrayerTimes();
-  }, []);
+  }, [mosque?.id]);
 
   const initializePrayerTimes = async () => {
     try {
       setLoading(true);
-      const currentLocation = await LocationService.getCurrentLocation();
+      const mosqueLocation = PrayerTimeService.getMosqueCoordinates(mosque);
+      const currentLocation = mosqueLocation
+        ? { ...mosqueLocation, city: mosque.name }
+        : await LocationService.getCurrentLocation();
       setLocation(currentLocation);
       
       await loadPrayerTimes(currentLocation);
@@ -44,17 +58,37 @@ const PrayerTimesScreen = ({ navigation }) => {
 
   const loadPrayerTimes = async (currentLocation) => {
     try {
+      // A followed mosque: adhan plus the iqamah times it publishes
+      if (PrayerTimeService.getMosqueCoordinates(mosque)) {
+        const mosqueSchedule = await PrayerTimeService.getMosqueSchedule(mosque);
+        setTodayTimes(mosqueSchedule.today);
+        setIqamah(mosqueSchedule.schedule[0].iqamah);
+        setJumuah(mosqueSchedule.jumuah);
+        setWeeklyTimes(mosqueSchedule.schedule.map(day => ({
+          ...day,
+          date: moment(day.date, 'YYYY-MM-DD').format('dddd, MMM DD'),
+        })));
+
+        const notificationSettings = await NotificationService.getSettings();
+        setIqamahReminders(
+          notificationSettings.prayerTimes.remindBefore === 'iqamah' &&
+          notificationSettings.prayerTimes.mosque?.id === mosque.id
+        );
+        return;
+      }
+
+      setIqamah({});
+      setJumuah([]);
+
       // Get today's prayer times
-      const today = await PrayerTimeService.getPrayerTimes(
-        currentLocation.latitude,
-        currentLocation.longitude
-      );
+      const today = await PrayerTimeService.getPrayerTimes(currentLocation.latitude, currentLocation.longitude);
       setTodayTimes(today);
 
-      // Get weekly prayer times
+      // Get weekly prayer times with the same settings and timezone
       const weekly = await PrayerTimeService.getPrayerTimesForWeek(
         currentLocation.latitude,
-        currentLocation.longitude
+        currentLocation.longitude,
+        { settings: today.settings, timezone: today.timezone }
       );
       setWeeklyTimes(weekly);
     } catch (error) {
@@ -76,6 +110,39 @@ const PrayerTimesScreen = ({ navigation }) => {
     }
   };
 
+  // Prayer reminders count down to this mosque's iqamah instead of adhan
+  const toggleIqamahReminders = async () => {
+    const settings = await NotificationService.getSettings();
+    const enabled = !iqamahReminders;
+    await NotificationService.updateSettings({
+      prayerTimes: {
+        ...settings.prayerTimes,
+        remindBefore: enabled ? 'iqamah' : 'adhan',
+        mosque: enabled
+          ? { id: mosque.id, name: mosque.name, location: mosque.location, prayerSettings: mosque.prayerSettings }
+          : null,
+      },
+    });
+    setIqamahReminders(enabled);
+  };
+
+  const openSettings = async () => {
+    setDraftSettings(await PrayerTimeService.getSettings());
+    setShowSettings(true);
+  };
+
+  const saveSettings = async () => {
+    try {
+      await PrayerTimeService.saveSettings(draftSettings);
+      setShowSettings(false);
+      if (location) {
+        await loadPrayerTimes(location);
+      }
+    } catch (error) {
+      Alert.alert('Error', 'Failed to save prayer time settings.');
+    }
+  };
+
   const getPrayerIcon = (prayerName) => {
     switch (prayerName.toLowerCase()) {
       case 'fajr':
@@ -104,22 +171,41 @@ const PrayerTimesScreen = ({ navigation }) => {
     if (!todayTimes) return null;
 
     const prayers = [
-      { name: 'Fajr', time: todayTimes.times.fajr },
+      { name: 'Fajr', time: todayTimes.times.fajr, iqamah: iqamah.fajr },
       { name: 'Sunrise', time: todayTimes.times.sunrise },
-      { name: 'Dhuhr', time: todayTimes.times.dhuhr },
-      { name: 'Asr', time: todayTimes.times.asr },
-      { name: 'Maghrib', time: todayTimes.times.maghrib },
-      { name: 'Isha', time: todayTimes.times.isha },
+      { name: 'Dhuhr', time: todayTimes.times.dhuhr, iqamah: iqamah.dhuhr },
+      { name: 'Asr', time: todayTimes.times.asr, iqamah: iqamah.asr },
+      { name: 'Maghrib', time: todayTimes.times.maghrib, iqamah: iqamah.maghrib },
+      { name: 'Isha', time: todayTimes.times.isha, iqamah: iqamah.isha },
     ];
+    const hasIqamah = Object.keys(iqamah).length > 0;
 
     return (
       <View style={styles.todayContainer}>
         {/* Date Header */}
         <View style={styles.dateHeader}>
           <Text style={styles.dateText}>{todayTimes.date}</Text>
+          {todayTimes.hijri && <Text style={styles.hijriText}>{todayTimes.hijri.formatted}</Text>}
           <Text style={styles.locationText}>
-            {location?.city || 'Current Location'}
+            {location?.city || 'Current Location'} • {todayTimes.timezone}
           </Text>
+          {mosque && (
+            <TouchableOpacity
+              style={styles.myLocationButton}
+              onPress={() => navigation.setParams({ mosque: undefined })}
+            >
+              <Icon name="my-location" size={14} color="#2E7D32" />
+              <Text style={styles.myLocationText}>Show times for my location</Text>
+            </TouchableOpacity>
+          )}
+          {hasIqamah && (
+            <TouchableOpacity style={styles.myLocationButton} onPress={toggleIqamahReminders}>
+              <Icon name={iqamahReminders ? 'notifications-active' : 'notifications-none'} size={14} color="#2E7D32" />
+              <Text style={styles.myLocationText}>
+                {iqamahReminders ? 'Reminding before iqamah' : 'Remind me before iqamah'}
+              </Text>
+            </TouchableOpacity>
+          )}
         </View>
 
         {/* Next Prayer Highlight */}
@@ -132,6 +218,12 @@ const PrayerTimesScreen = ({ navigation }) => {
 
         {/* All Prayer Times */}
         <View style={styles.prayersList}>
+          {hasIqamah && (
+            <View style={styles.columnHeader}>
+              <Text style={[styles.columnLabel, styles.timeColumn]}>Adhan</Text>
+              <Text style={[styles.columnLabel, styles.timeColumn]}>Iqamah</Text>
+            </View>
+          )}
           {prayers.map((prayer, index) => (
             <View
               key={prayer.name}
@@ -155,17 +247,48 @@ const PrayerTimesScreen = ({ navigation }) => {
                   {prayer.name}
                 </Text>
               </View>
-              <Text
-                style={[
-                  styles.prayerTime,
-                  isCurrentPrayer(prayer.name) && styles.currentPrayerText,
-                ]}
-              >
-                {prayer.time}
-              </Text>
+              <View style={styles.prayerTimes}>
+                <Text
+                  style={[
+                    styles.prayerTime,
+                    hasIqamah && styles.timeColumn,
+                    isCurrentPrayer(prayer.name) && styles.currentPrayerText,
+                  ]}
+                >
+                  {prayer.time}
+                </Text>
+                {hasIqamah && (
+                  <Text style={[styles.prayerTime, styles.timeColumn, styles.iqamahTime]}>
+                    {prayer.iqamah || '—'}
+                  </Text>
+                )}
+              </View>
             </View>
           ))}
         </View>
+
+        {/* Jumu'ah slots published by the mosque */}
+        {jumuah.length > 0 && (
+          <View style={[styles.prayersList, styles.jumuahList]}>
+            <View style={[styles.columnHeader, styles.jumuahHeader]}>
+              <Text style={styles.jumuahTitle}>Jumu'ah</Text>
+              <Text style={[styles.columnLabel, styles.timeColumn]}>Khutbah</Text>
+              <Text style={[styles.columnLabel, styles.timeColumn]}>Iqamah</Text>
+            </View>
+            {jumuah.map((slot, index) => (
+              <View key={index} style={styles.prayerRow}>
+                <View>
+                  <Text style={styles.prayerName}>{slot.label || `Khutbah ${index + 1}`}</Text>
+                  {slot.language && <Text style={styles.jumuahLanguage}>{slot.language}</Text>}
+                </View>
+                <View style={styles.prayerTimes}>
+                  <Text style={[styles.prayerTime, styles.timeColumn]}>{slot.khutbah}</Text>
+                  <Text style={[styles.prayerTime, styles.timeColumn, styles.iqamahTime]}>{slot.iqamah || '—'}</Text>
+                </View>
+              </View>
+            ))}
+          </View>
+        )}
       </View>
     );
   };
@@ -178,26 +301,32 @@ const PrayerTimesScreen = ({ navigation }) => {
             <Text style={[styles.dayDate, day.isToday && styles.todayText]}>
               {day.date}
             </Text>
+            {day.hijri && <Text style={styles.dayHijri}>{day.hijri.formatted}</Text>}
             <View style={styles.dayPrayers}>
               <View style={styles.prayerTimeRow}>
                 <Text style={styles.prayerLabel}>Fajr</Text>
                 <Text style={styles.prayerTimeSmall}>{day.times.fajr}</Text>
+                {day.iqamah?.fajr && <Text style={styles.iqamahSmall}>{day.iqamah.fajr}</Text>}
               </View>
               <View style={styles.prayerTimeRow}>
                 <Text style={styles.prayerLabel}>Dhuhr</Text>
                 <Text style={styles.prayerTimeSmall}>{day.times.dhuhr}</Text>
+                {day.iqamah?.dhuhr && <Text style={styles.iqamahSmall}>{day.iqamah.dhuhr}</Text>}
               </View>
               <View style={styles.prayerTimeRow}>
                 <Text style={styles.prayerLabel}>Asr</Text>
                 <Text style={styles.prayerTimeSmall}>{day.times.asr}</Text>
+                {day.iqamah?.asr && <Text style={styles.iqamahSmall}>{day.iqamah.asr}</Text>}
               </View>
               <View style={styles.prayerTimeRow}>
                 <Text style={styles.prayerLabel}>Maghrib</Text>
                 <Text style={styles.prayerTimeSmall}>{day.times.maghrib}</Text>
+                {day.iqamah?.maghrib && <Text style={styles.iqamahSmall}>{day.iqamah.maghrib}</Text>}
               </View>
               <View style={styles.prayerTimeRow}>
                 <Text style={styles.prayerLabel}>Isha</Text>
                 <Text style={styles.prayerTimeSmall}>{day.times.isha}</Text>
+                {day.iqamah?.isha && <Text style={styles.iqamahSmall}>{day.iqamah.isha}</Text>}
               </View>
             </View>
           </View>
@@ -225,7 +354,9 @@ const PrayerTimesScreen = ({ navigation }) => {
           <Icon name="favorite" size={24} color="#fff" />
         </TouchableOpacity>
         <Text style={styles.headerTitle}>Prayer Times</Text>
-        <View style={styles.headerSpacer} />
+        <TouchableOpacity style={styles.mosqueManagementButton} onPress={openSettings}>
+          <Icon name="tune" size={24} color="#fff" />
+        </TouchableOpacity>
       </View>
 
       {/* View Mode Toggle */}
@@ -256,6 +387,40 @@ const PrayerTimesScreen = ({ navigation }) => {
       >
         {viewMode === 'today' ? renderTodayView() : renderWeeklyView()}
       </ScrollView>
+
+      <Modal
+        visible={showSettings}
+        animationType="slide"
+        transparent
+        onRequestClose={() => setShowSettings(false)}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalContent}>
+            <View style={styles.modalHeader}>
+              <Text style={styles.modalTitle}>Calculation Settings</Text>
+              <TouchableOpacity onPress={() => setShowSettings(false)}>
+                <Icon name="close" size={24} color="#666" />
+              </TouchableOpacity>
+            </View>
+
+            {mosque?.prayerSettings?.calculationMethod && (
+              <Text style={styles.modalNote}>
+                {mosque.name} publishes its own settings, which are used for its times.
+              </Text>
+            )}
+
+            <ScrollView style={styles.modalBody}>
+              {draftSettings && (
+                <PrayerSettingsForm settings={draftSettings} onChange={setDraftSettings} />
+              )}
+            </ScrollView>
+
+            <TouchableOpacity style={styles.saveButton} onPress={saveSettings}>
+              <Text style={styles.saveButtonText}>Save</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </Modal>
     </View>
   );
 };
@@ -284,9 +449,6 @@ const styles = StyleSheet.create({
     fontWeight: 'bold',
     color: '#fff',
   },
-  headerSpacer: {
-    width: 40, // Same width as the button to center the title
-  },
   loadingContainer: {
     flex: 1,
     justifyContent: 'center',
@@ -340,11 +502,30 @@ const styles = StyleSheet.create({
     fontWeight: 'bold',
     color: '#333',
   },
+  hijriText: {
+    fontSize: 15,
+    color: '#2E7D32',
+    marginTop: 4,
+  },
   locationText: {
     fontSize: 14,
     color: '#666',
     marginTop: 5,
   },
+  myLocationButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 5,
+    borderRadius: 14,
+    backgroundColor: '#E8F5E8',
+  },
+  myLocationText: {
+    fontSize: 12,
+    color: '#2E7D32',
+    marginLeft: 4,
+  },
   nextPrayerCard: {
     backgroundColor: '#2E7D32',
     padding: 20,
@@ -415,6 +596,46 @@ const styles = StyleSheet.create({
     color: '#2E7D32',
     fontWeight: 'bold',
   },
+  prayerTimes: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  columnHeader: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    paddingHorizontal: 15,
+    paddingTop: 10,
+  },
+  columnLabel: {
+    fontSize: 12,
+    color: '#999',
+  },
+  timeColumn: {
+    width: 80,
+    textAlign: 'right',
+  },
+  iqamahTime: {
+    color: '#2E7D32',
+    fontWeight: 'bold',
+  },
+  jumuahList: {
+    marginTop: 15,
+  },
+  jumuahHeader: {
+    alignItems: 'center',
+  },
+  jumuahTitle: {
+    flex: 1,
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  jumuahLanguage: {
+    fontSize: 12,
+    color: '#999',
+    marginLeft: 10,
+    marginTop: 2,
+  },
   weeklyContainer: {
     padding: 15,
   },
@@ -439,6 +660,12 @@ const styles = StyleSheet.create({
     color: '#333',
     marginBottom: 10,
   },
+  dayHijri: {
+    fontSize: 12,
+    color: '#666',
+    marginTop: -6,
+    marginBottom: 10,
+  },
   todayText: {
     color: '#2E7D32',
   },
@@ -459,6 +686,56 @@ const styles = StyleSheet.create({
     color: '#333',
     fontWeight: '500',
   },
+  iqamahSmall: {
+    fontSize: 12,
+    color: '#2E7D32',
+    marginTop: 2,
+  },
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'flex-end',
+  },
+  modalContent: {
+    backgroundColor: '#fff',
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    padding: 20,
+    maxHeight: '85%',
+  },
+  modalHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 15,
+  },
+  modalTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  modalNote: {
+    fontSize: 13,
+    color: '#666',
+    backgroundColor: '#E8F5E8',
+    borderRadius: 8,
+    padding: 10,
+    marginBottom: 12,
+  },
+  modalBody: {
+    marginBottom: 15,
+  },
+  saveButton: {
+    backgroundColor: '#2E7D32',
+    borderRadius: 10,
+    paddingVertical: 14,
+    alignItems: 'center',
+  },
+  saveButtonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
 });
 
 export default PrayerTimesScreen;
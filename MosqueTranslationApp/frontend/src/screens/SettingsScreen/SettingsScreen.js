@@ -89,6 +89,9 @@ const SettingsScreen = ({ navigation }) => {
     return languageOptions.find(lang => lang.value === language) || languageOptions[0];
   };
 
+  const hasTranslationSettings = ['edit_content', 'review_translations', 'manage_staff']
+    .some(permission => AuthService.hasMosquePermission(permission));
+
   const renderSettingSection = (title, children) => (
     <View style={styles.section}>
       <Text style={styles.sectionTitle}>{title}</Text>
@@ -143,7 +146,9 @@ const SettingsScreen = ({ navigation }) => {
           <TouchableOpacity
             style={styles.userSection}
             onPress={() => {
-              if (AuthService.isMosqueAdmin()) {
+              if (AuthService.isMosqueStaff()) {
+                Alert.alert('Staff Account', 'The mosque profile is managed by the mosque account.');
+              } else if (AuthService.isMosqueAdmin()) {
                 navigation.navigate('MosqueProfile');
               } else {
                 Alert.alert('Profile', 'Profile management is available for mosque accounts only.');
@@ -173,6 +178,11 @@ const SettingsScreen = ({ navigation }) => {
                     : currentUser.email || 'No email'
                   }
                 </Text>
+                {AuthService.isMosqueStaff() && (
+                  <Text style={styles.userEmail}>
+                    {AuthService.MOSQUE_ROLE_LABELS[currentUser.mosqueRole] || currentUser.mosqueRole}
+                  </Text>
+                )}
               </View>
               {AuthService.isMosqueAdmin() && (
                 <Icon
@@ -252,6 +262,57 @@ const SettingsScreen = ({ navigation }) => {
           </>
         ))}
 
+        {/* Translation Settings (mosque accounts and staff, by role) */}
+        {hasTranslationSettings && renderSettingSection('Translation', (
+          <>
+            {AuthService.hasMosquePermission('edit_content') && renderSettingItem(
+              'menu-book',
+              'Terminology Glossary',
+              'Control how Islamic terms are translated',
+              () => {
+                navigation.navigate('Glossary');
+              },
+              <Icon name="chevron-right" size={24} color={Colors.text.secondary} />
+            )}
+            {AuthService.hasMosquePermission('edit_content') && renderSettingItem(
+              'event',
+              'Broadcast Schedule',
+              "Announce upcoming broadcasts and weekly Jumu'ah",
+              () => {
+                navigation.navigate('BroadcastSchedule');
+              },
+              <Icon name="chevron-right" size={24} color={Colors.text.secondary} />
+            )}
+            {AuthService.hasMosquePermission('edit_content') && renderSettingItem(
+              'schedule',
+              'Iqamah Timetable',
+              "Publish iqamah times and Jumu'ah khutbahs",
+              () => {
+                navigation.navigate('Timetable');
+              },
+              <Icon name="chevron-right" size={24} color={Colors.text.secondary} />
+            )}
+            {AuthService.hasMosquePermission('review_translations') && renderSettingItem(
+              'rate-review',
+              'Correction Review',
+              'Approve or reject wording fixes from translators',
+              () => {
+                navigation.navigate('CorrectionReview');
+              },
+              <Icon name="chevron-right" size={24} color={Colors.text.secondary} />
+            )}
+            {AuthService.hasMosquePermission('manage_staff') && renderSettingItem(
+              'group',
+              'Staff & Roles',
+              'Give imams and volunteers their own login',
+              () => {
+                navigation.navigate('Staff');
+              },
+              <Icon name="chevron-right" size={24} color={Colors.text.secondary} />
+            )}
+          </>
+        ))}
+
         {/* App Settings */}
         {renderSettingSection('App Settings', (
           <>
@@ -0,0 +1,472 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  SafeAreaView,
+  TouchableOpacity,
+  Alert,
+  ScrollView,
+  ActivityIndicator,
+} from 'react-native';
+import Icon from 'react-native-vector-icons/MaterialIcons';
+import { Colors, Typography, Spacing, BorderRadius, Shadows } from '../../utils/theme';
+import IslamicInput from '../../components/Common/IslamicInput';
+import IslamicButton from '../../components/Common/IslamicButton';
+import AuthService from '../../services/AuthService/AuthService';
+import MosqueService from '../../services/MosqueService/MosqueService';
+
+// What each role may do, as shown to the mosque (matches the backend permissions)
+const ROLE_DESCRIPTIONS = {
+  owner: 'Everything, including managing staff',
+  broadcaster: 'Start broadcasts and translate',
+  translator: 'Translate and suggest corrections',
+  moderator: 'Translate and approve corrections',
+  content_editor: 'Glossary and broadcast schedule',
+};
+
+const EMPTY_FORM = {
+  id: null,
+  name: '',
+  email: '',
+  password: '',
+  role: 'translator',
+};
+
+const StaffScreen = ({ navigation }) => {
+  const mosqueId = AuthService.getMosqueId();
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [staff, setStaff] = useState([]);
+  const [roles, setRoles] = useState(Object.keys(ROLE_DESCRIPTIONS));
+  const [formData, setFormData] = useState(EMPTY_FORM);
+
+  const loadStaff = useCallback(async () => {
+    setLoading(true);
+    const result = await MosqueService.getStaff(mosqueId);
+    if (result.success) {
+      setStaff(result.staff);
+      if (result.roles.length > 0) {
+        setRoles(result.roles);
+      }
+    } else {
+      Alert.alert('Error', result.error || 'Failed to load staff');
+    }
+    setLoading(false);
+  }, [mosqueId]);
+
+  useEffect(() => {
+    loadStaff();
+  }, [loadStaff]);
+
+  const handleInputChange = (field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      [field]: value,
+    }));
+  };
+
+  const editMember = (member) => {
+    setFormData({
+      id: member.id,
+      name: member.name || '',
+      email: member.email,
+      password: '',
+      role: member.role,
+    });
+  };
+
+  const validateForm = () => {
+    if (!formData.id && !formData.email.trim()) {
+      Alert.alert('Error', 'Please enter an email address');
+      return false;
+    }
+    // A new password is optional when editing
+    if ((!formData.id || formData.password) && formData.password.length < 6) {
+      Alert.alert('Error', 'Password must be at least 6 characters long');
+      return false;
+    }
+    return true;
+  };
+
+  const handleSave = async () => {
+    if (!validateForm()) {
+      return;
+    }
+
+    const payload = {
+      name: formData.name.trim(),
+      role: formData.role,
+      ...(formData.password ? { password: formData.password } : {}),
+    };
+
+    setSaving(true);
+    try {
+      const result = formData.id
+        ? await MosqueService.updateStaff(mosqueId, formData.id, payload)
+        : await MosqueService.createStaff(mosqueId, { ...payload, email: formData.email.trim() });
+
+      if (result.success) {
+        setFormData(EMPTY_FORM);
+        await loadStaff();
+      } else {
+        Alert.alert('Error', result.error || 'Failed to save staff account');
+      }
+    } catch (error) {
+      console.error('Error saving staff account:', error);
+      Alert.alert('Error', 'An unexpected error occurred');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Revoking keeps the account so access can be restored later; the person is signed out immediately
+  const handleToggleAccess = async (member) => {
+    const result = await MosqueService.updateStaff(mosqueId, member.id, { isActive: !member.isActive });
+    if (result.success) {
+      await loadStaff();
+    } else {
+      Alert.alert('Error', result.error || 'Failed to update access');
+    }
+  };
+
+  const handleRemove = (member) => {
+    Alert.alert(
+      'Remove Staff',
+      `Remove ${member.name || member.email}? They will no longer be able to sign in.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Remove',
+          style: 'destructive',
+          onPress: async () => {
+            const result = await MosqueService.removeStaff(mosqueId, member.id);
+            if (result.success) {
+              if (formData.id === member.id) {
+                setFormData(EMPTY_FORM);
+              }
+              await loadStaff();
+            } else {
+              Alert.alert('Error', result.error || 'Failed to remove staff account');
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const renderHeader = () => (
+    <View style={styles.header}>
+      <TouchableOpacity
+        style={styles.backButton}
+        onPress={() => navigation.goBack()}
+      >
+        <Icon name="arrow-back" size={24} color="#fff" />
+      </TouchableOpacity>
+      <Text style={styles.headerTitle}>Staff & Roles</Text>
+      <View style={styles.headerSpacer} />
+    </View>
+  );
+
+  const renderMember = (member) => (
+    <View key={member.id} style={[styles.memberItem, !member.isActive && styles.memberItemRevoked]}>
+      <View style={styles.memberInfo}>
+        <Text style={styles.memberName}>{member.name || member.email}</Text>
+        {member.name ? <Text style={styles.memberDetail}>{member.email}</Text> : null}
+        <View style={styles.memberBadges}>
+          <Text style={styles.badge}>{AuthService.MOSQUE_ROLE_LABELS[member.role] || member.role}</Text>
+          {!member.isActive && <Text style={styles.badge}>Access revoked</Text>}
+        </View>
+      </View>
+      <View style={styles.memberActions}>
+        <TouchableOpacity style={styles.iconButton} onPress={() => editMember(member)}>
+          <Icon name="edit" size={20} color={Colors.primary.main} />
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.iconButton} onPress={() => handleToggleAccess(member)}>
+          <Icon
+            name={member.isActive ? 'block' : 'check-circle'}
+            size={20}
+            color={member.isActive ? Colors.status.warning : Colors.status.success}
+          />
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.iconButton} onPress={() => handleRemove(member)}>
+          <Icon name="delete" size={20} color={Colors.status.error} />
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+
+  const renderForm = () => (
+    <View style={styles.section}>
+      <Text style={styles.sectionTitle}>
+        {formData.id ? 'Edit Staff Member' : 'Add Staff Member'}
+      </Text>
+
+      <IslamicInput
+        label="Name"
+        value={formData.name}
+        onChangeText={(value) => handleInputChange('name', value)}
+        placeholder="e.g. Imam Yusuf"
+      />
+
+      <IslamicInput
+        label="Email"
+        value={formData.email}
+        onChangeText={(value) => handleInputChange('email', value)}
+        placeholder="volunteer@example.org"
+        keyboardType="email-address"
+        autoCapitalize="none"
+        disabled={!!formData.id}
+        required={!formData.id}
+      />
+
+      <IslamicInput
+        label={formData.id ? 'New Password' : 'Password'}
+        value={formData.password}
+        onChangeText={(value) => handleInputChange('password', value)}
+        placeholder={formData.id ? 'Leave empty to keep the current password' : 'At least 6 characters'}
+        secureTextEntry
+        autoCapitalize="none"
+        required={!formData.id}
+      />
+
+      <Text style={styles.fieldLabel}>Role</Text>
+      {roles.map(role => (
+        <TouchableOpacity
+          key={role}
+          style={[styles.roleOption, formData.role === role && styles.roleOptionActive]}
+          onPress={() => handleInputChange('role', role)}
+        >
+          <Icon
+            name={formData.role === role ? 'radio-button-checked' : 'radio-button-unchecked'}
+            size={20}
+            color={Colors.primary.main}
+          />
+          <View style={styles.roleText}>
+            <Text style={styles.roleLabel}>{AuthService.MOSQUE_ROLE_LABELS[role] || role}</Text>
+            <Text style={styles.roleDescription}>{ROLE_DESCRIPTIONS[role]}</Text>
+          </View>
+        </TouchableOpacity>
+      ))}
+
+      <View style={styles.formActions}>
+        <IslamicButton
+          title={formData.id ? 'Save Changes' : 'Add Staff Member'}
+          onPress={handleSave}
+          loading={saving}
+          disabled={!formData.id && !formData.email.trim()}
+          icon="save"
+        />
+        {(formData.id || formData.email) ? (
+          <IslamicButton
+            title="Cancel"
+            variant="ghost"
+            onPress={() => setFormData(EMPTY_FORM)}
+            style={styles.cancelButton}
+          />
+        ) : null}
+      </View>
+    </View>
+  );
+
+  return (
+    <SafeAreaView style={styles.container}>
+      {renderHeader()}
+
+      <ScrollView style={styles.scrollView} showsVerticalScrollIndicator={false}>
+        <View style={styles.content}>
+          <View style={styles.infoSection}>
+            <Icon name="group" size={48} color={Colors.primary.main} />
+            <Text style={styles.infoTitle}>Mosque Staff</Text>
+            <Text style={styles.infoDescription}>
+              Give each imam, translator and volunteer their own login instead of sharing the mosque password.
+              Revoking one person signs them out without affecting anyone else.
+            </Text>
+          </View>
+
+          {renderForm()}
+
+          {loading ? (
+            <ActivityIndicator size="large" color={Colors.primary.main} style={styles.loader} />
+          ) : (
+            <View style={styles.section}>
+              <Text style={styles.sectionTitle}>Staff Accounts</Text>
+              {staff.length === 0 ? (
+                <Text style={styles.sectionDescription}>
+                  No staff accounts yet. Add one above.
+                </Text>
+              ) : (
+                staff.map(renderMember)
+              )}
+            </View>
+          )}
+        </View>
+      </ScrollView>
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: Colors.neutral.background,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: Colors.primary.main,
+    paddingHorizontal: Spacing.lg,
+    paddingVertical: Spacing.md,
+    elevation: 4,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.25,
+    shadowRadius: 3.84,
+  },
+  backButton: {
+    padding: Spacing.xs,
+  },
+  headerTitle: {
+    fontSize: Typography.sizes.xl,
+    fontWeight: Typography.weights.bold,
+    color: Colors.text.inverse,
+    flex: 1,
+    textAlign: 'center',
+  },
+  headerSpacer: {
+    width: 40, // Same width as back button for centering
+  },
+  scrollView: {
+    flex: 1,
+  },
+  content: {
+    padding: Spacing.lg,
+  },
+  infoSection: {
+    alignItems: 'center',
+    backgroundColor: Colors.neutral.surface,
+    borderRadius: BorderRadius.lg,
+    padding: Spacing.xl,
+    marginBottom: Spacing.lg,
+    ...Shadows.sm,
+  },
+  infoTitle: {
+    fontSize: Typography.sizes.xl,
+    fontWeight: Typography.weights.bold,
+    color: Colors.text.primary,
+    marginTop: Spacing.md,
+    marginBottom: Spacing.sm,
+    textAlign: 'center',
+  },
+  infoDescription: {
+    fontSize: Typography.sizes.base,
+    color: Colors.text.secondary,
+    textAlign: 'center',
+    lineHeight: Typography.sizes.base * 1.5,
+  },
+  section: {
+    backgroundColor: Colors.neutral.surface,
+    borderRadius: BorderRadius.lg,
+    padding: Spacing.lg,
+    marginBottom: Spacing.lg,
+    ...Shadows.sm,
+  },
+  sectionTitle: {
+    fontSize: Typography.sizes.lg,
+    fontWeight: Typography.weights.semibold,
+    color: Colors.text.primary,
+    marginBottom: Spacing.md,
+  },
+  sectionDescription: {
+    fontSize: Typography.sizes.sm,
+    color: Colors.text.secondary,
+    marginBottom: Spacing.md,
+  },
+  fieldLabel: {
+    fontSize: Typography.sizes.sm,
+    fontWeight: Typography.weights.medium,
+    color: Colors.text.primary,
+    marginBottom: Spacing.sm,
+  },
+  roleOption: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: Spacing.sm,
+    borderRadius: BorderRadius.md,
+    borderWidth: 1,
+    borderColor: Colors.neutral.border,
+    marginBottom: Spacing.sm,
+  },
+  roleOptionActive: {
+    borderColor: Colors.primary.main,
+    backgroundColor: Colors.primary.surface,
+  },
+  roleText: {
+    flex: 1,
+    marginLeft: Spacing.sm,
+  },
+  roleLabel: {
+    fontSize: Typography.sizes.base,
+    fontWeight: Typography.weights.medium,
+    color: Colors.text.primary,
+  },
+  roleDescription: {
+    fontSize: Typography.sizes.sm,
+    color: Colors.text.secondary,
+  },
+  formActions: {
+    marginTop: Spacing.sm,
+  },
+  cancelButton: {
+    marginTop: Spacing.sm,
+  },
+  memberItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: Spacing.sm,
+    borderBottomWidth: 1,
+    borderBottomColor: Colors.neutral.divider,
+  },
+  memberItemRevoked: {
+    opacity: 0.6,
+  },
+  memberInfo: {
+    flex: 1,
+  },
+  memberName: {
+    fontSize: Typography.sizes.base,
+    fontWeight: Typography.weights.medium,
+    color: Colors.text.primary,
+  },
+  memberDetail: {
+    fontSize: Typography.sizes.sm,
+    color: Colors.text.secondary,
+    marginTop: 2,
+  },
+  memberBadges: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginTop: Spacing.xs,
+  },
+  badge: {
+    fontSize: Typography.sizes.xs,
+    color: Colors.primary.dark,
+    backgroundColor: Colors.primary.surface,
+    borderRadius: BorderRadius.sm,
+    paddingHorizontal: Spacing.xs,
+    marginRight: Spacing.xs,
+    overflow: 'hidden',
+  },
+  memberActions: {
+    flexDirection: 'row',
+  },
+  iconButton: {
+    padding: Spacing.xs,
+    marginLeft: Spacing.xs,
+  },
+  loader: {
+    marginVertical: Spacing.xl,
+  },
+});
+
+export default StaffScreen;
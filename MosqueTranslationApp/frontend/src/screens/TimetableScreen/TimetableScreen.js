@@ -0,0 +1,581 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  SafeAreaView,
+  TouchableOpacity,
+  Alert,
+  ScrollView,
+  ActivityIndicator,
+} from 'react-native';
+import Icon from 'react-native-vector-icons/MaterialIcons';
+import { Colors, Typography, Spacing, BorderRadius, Shadows } from '../../utils/theme';
+import IslamicInput from '../../components/Common/IslamicInput';
+import IslamicButton from '../../components/Common/IslamicButton';
+import MosqueService from '../../services/MosqueService/MosqueService';
+import AuthService from '../../services/AuthService/AuthService';
+
+const PRAYERS = ['fajr', 'dhuhr', 'asr', 'maghrib', 'isha'];
+const MAX_JUMUAH_SLOTS = 5;
+
+const RULE_MODES = [
+  { value: 'none', label: 'Not published' },
+  { value: 'offset', label: 'After adhan' },
+  { value: 'fixed', label: 'Fixed time' },
+];
+
+const EMPTY_SLOT = { khutbahTime: '', iqamahTime: '', language: '', label: '' };
+
+const CSV_PLACEHOLDER = 'date,fajr,dhuhr,asr,maghrib,isha\n1,05:30,13:30,16:15,19:02,20:30\n2,05:31,13:30,16:14,19:00,20:30';
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const capitalize = (prayer) => prayer.charAt(0).toUpperCase() + prayer.slice(1);
+
+// "5:30" → "05:30"; null when it is not a 24-hour time
+const normalizeTime = (value) => {
+  const match = (value || '').trim().match(/^(\d{1,2})[:.](\d{2})$/);
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+    return null;
+  }
+  return `${pad(match[1])}:${match[2]}`;
+};
+
+const nextMonth = () => {
+  const now = new Date();
+  const next = new Date(now.getFullYear(), now.getMonth() + 1, 1);
+  return `${next.getFullYear()}-${pad(next.getMonth() + 1)}`;
+};
+
+const toForm = (timetable) => ({
+  rules: PRAYERS.reduce((rules, prayer) => {
+    const rule = timetable?.prayers?.[prayer];
+    rules[prayer] = {
+      mode: rule?.mode || 'none',
+      time: rule?.time || '',
+      offsetMinutes: String(rule?.offsetMinutes ?? 10),
+    };
+    return rules;
+  }, {}),
+  jumuah: (timetable?.jumuah || []).map(slot => ({ ...EMPTY_SLOT, ...slot })),
+});
+
+const TimetableScreen = ({ navigation }) => {
+  const mosqueId = AuthService.getMosqueId();
+
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [uploading, setUploading] = useState(false);
+  const [form, setForm] = useState(toForm(null));
+  const [months, setMonths] = useState([]);
+  const [csvMonth, setCsvMonth] = useState(nextMonth());
+  const [csv, setCsv] = useState('');
+
+  const applyTimetable = (timetable) => {
+    setForm(toForm(timetable));
+    setMonths(timetable?.months || []);
+  };
+
+  const loadTimetable = useCallback(async () => {
+    if (!mosqueId) {
+      return;
+    }
+
+    setLoading(true);
+    const result = await MosqueService.getTimetable(mosqueId, { days: 1 });
+    if (result.success) {
+      applyTimetable(result.timetable);
+    } else {
+      Alert.alert('Error', result.error || 'Failed to load timetable');
+    }
+    setLoading(false);
+  }, [mosqueId]);
+
+  useEffect(() => {
+    loadTimetable();
+  }, [loadTimetable]);
+
+  const updateRule = (prayer, field, value) => {
+    setForm(prev => ({
+      ...prev,
+      rules: { ...prev.rules, [prayer]: { ...prev.rules[prayer], [field]: value } },
+    }));
+  };
+
+  const updateSlot = (index, field, value) => {
+    setForm(prev => ({
+      ...prev,
+      jumuah: prev.jumuah.map((slot, i) => (i === index ? { ...slot, [field]: value } : slot)),
+    }));
+  };
+
+  const addSlot = () => {
+    setForm(prev => ({ ...prev, jumuah: [...prev.jumuah, { ...EMPTY_SLOT }] }));
+  };
+
+  const removeSlot = (index) => {
+    setForm(prev => ({ ...prev, jumuah: prev.jumuah.filter((_, i) => i !== index) }));
+  };
+
+  // Payload for the API, or an error message for the first field that cannot be saved
+  const buildPayload = () => {
+    const prayers = {};
+    for (const prayer of PRAYERS) {
+      const rule = form.rules[prayer];
+      if (rule.mode === 'fixed') {
+        const time = normalizeTime(rule.time);
+        if (!time) {
+          return { error: `Please enter the ${capitalize(prayer)} iqamah as HH:MM (24-hour)` };
+        }
+        prayers[prayer] = { mode: 'fixed', time };
+      } else if (rule.mode === 'offset') {
+        const offsetMinutes = parseInt(rule.offsetMinutes, 10);
+        if (isNaN(offsetMinutes) || offsetMinutes < 0 || offsetMinutes > 120) {
+          return { error: `${capitalize(prayer)} minutes after adhan must be between 0 and 120` };
+        }
+        prayers[prayer] = { mode: 'offset', offsetMinutes };
+      } else {
+        prayers[prayer] = null;
+      }
+    }
+
+    const jumuah = [];
+    for (const [index, slot] of form.jumuah.entries()) {
+      const khutbahTime = normalizeTime(slot.khutbahTime);
+      const iqamahTime = slot.iqamahTime.trim() ? normalizeTime(slot.iqamahTime) : '';
+      if (!khutbahTime || iqamahTime === null) {
+        return { error: `Please enter the times of Jumu'ah ${index + 1} as HH:MM (24-hour)` };
+      }
+      jumuah.push({
+        khutbahTime,
+        iqamahTime,
+        language: slot.language.trim(),
+        label: slot.label.trim(),
+      });
+    }
+
+    return { payload: { prayers, jumuah } };
+  };
+
+  const handleSave = async () => {
+    const { payload, error } = buildPayload();
+    if (error) {
+      Alert.alert('Error', error);
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const result = await MosqueService.updateTimetable(mosqueId, payload);
+      if (result.success) {
+        applyTimetable(result.timetable);
+        Alert.alert('Saved', 'Followers now see these iqamah times');
+      } else {
+        Alert.alert('Error', result.error || 'Failed to save timetable');
+      }
+    } catch (error) {
+      console.error('Error saving timetable:', error);
+      Alert.alert('Error', 'An unexpected error occurred');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleUpload = async () => {
+    const month = csvMonth.trim();
+    if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) {
+      Alert.alert('Error', 'Please enter the month as YYYY-MM');
+      return;
+    }
+    if (!csv.trim()) {
+      Alert.alert('Error', 'Please paste the timetable rows');
+      return;
+    }
+
+    setUploading(true);
+    try {
+      const result = await MosqueService.uploadTimetableMonth(mosqueId, month, csv);
+      if (result.success) {
+        setMonths(result.timetable?.months || []);
+        setCsv('');
+        Alert.alert('Uploaded', `Iqamah times for ${month} are published`);
+      } else {
+        Alert.alert('Error', result.error || 'Failed to upload timetable');
+      }
+    } catch (error) {
+      console.error('Error uploading timetable:', error);
+      Alert.alert('Error', 'An unexpected error occurred');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleRemoveMonth = (month) => {
+    Alert.alert(
+      'Remove Month',
+      `Remove the uploaded times for ${month.month}? Those days go back to the rules above.`,
+      [
+        { text: 'Keep', style: 'cancel' },
+        {
+          text: 'Remove',
+          style: 'destructive',
+          onPress: async () => {
+            const result = await MosqueService.deleteTimetableMonth(mosqueId, month.month);
+            if (result.success) {
+              setMonths(result.timetable?.months || []);
+            } else {
+              Alert.alert('Error', result.error || 'Failed to remove month');
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const renderHeader = () => (
+    <View style={styles.header}>
+      <TouchableOpacity
+        style={styles.backButton}
+        onPress={() => navigation.goBack()}
+      >
+        <Icon name="arrow-back" size={24} color="#fff" />
+      </TouchableOpacity>
+      <Text style={styles.headerTitle}>Iqamah Timetable</Text>
+      <View style={styles.headerSpacer} />
+    </View>
+  );
+
+  const renderRule = (prayer) => {
+    const rule = form.rules[prayer];
+    return (
+      <View key={prayer} style={styles.ruleItem}>
+        <Text style={styles.fieldLabel}>{capitalize(prayer)}</Text>
+        <View style={styles.chipRow}>
+          {RULE_MODES.map(option => (
+            <TouchableOpacity
+              key={option.value}
+              style={[styles.chip, rule.mode === option.value && styles.chipActive]}
+              onPress={() => updateRule(prayer, 'mode', option.value)}
+            >
+              <Text style={[styles.chipText, rule.mode === option.value && styles.chipTextActive]}>
+                {option.label}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+        {rule.mode === 'fixed' && (
+          <IslamicInput
+            label="Iqamah time"
+            value={rule.time}
+            onChangeText={(value) => updateRule(prayer, 'time', value)}
+            placeholder="HH:MM"
+            keyboardType="numbers-and-punctuation"
+            required
+          />
+        )}
+        {rule.mode === 'offset' && (
+          <IslamicInput
+            label="Minutes after adhan"
+            value={rule.offsetMinutes}
+            onChangeText={(value) => updateRule(prayer, 'offsetMinutes', value)}
+            keyboardType="number-pad"
+          />
+        )}
+      </View>
+    );
+  };
+
+  const renderSlot = (slot, index) => (
+    <View key={index} style={styles.slotItem}>
+      <View style={styles.slotHeader}>
+        <Text style={styles.fieldLabel}>Jumu'ah {index + 1}</Text>
+        <TouchableOpacity style={styles.iconButton} onPress={() => removeSlot(index)}>
+          <Icon name="delete" size={20} color={Colors.status.error} />
+        </TouchableOpacity>
+      </View>
+      <View style={styles.row}>
+        <View style={styles.rowItem}>
+          <IslamicInput
+            label="Khutbah"
+            value={slot.khutbahTime}
+            onChangeText={(value) => updateSlot(index, 'khutbahTime', value)}
+            placeholder="HH:MM"
+            keyboardType="numbers-and-punctuation"
+            required
+          />
+        </View>
+        <View style={styles.rowItem}>
+          <IslamicInput
+            label="Iqamah"
+            value={slot.iqamahTime}
+            onChangeText={(value) => updateSlot(index, 'iqamahTime', value)}
+            placeholder="HH:MM"
+            keyboardType="numbers-and-punctuation"
+          />
+        </View>
+      </View>
+      <View style={styles.row}>
+        <View style={styles.rowItem}>
+          <IslamicInput
+            label="Khutbah language"
+            value={slot.language}
+            onChangeText={(value) => updateSlot(index, 'language', value)}
+            placeholder="e.g. Arabic / English"
+            maxLength={30}
+          />
+        </View>
+        <View style={styles.rowItem}>
+          <IslamicInput
+            label="Label"
+            value={slot.label}
+            onChangeText={(value) => updateSlot(index, 'label', value)}
+            placeholder="e.g. First Jumu'ah"
+            maxLength={60}
+          />
+        </View>
+      </View>
+    </View>
+  );
+
+  return (
+    <SafeAreaView style={styles.container}>
+      {renderHeader()}
+
+      <ScrollView style={styles.scrollView} showsVerticalScrollIndicator={false}>
+        <View style={styles.content}>
+          {loading ? (
+            <ActivityIndicator size="large" color={Colors.primary.main} style={styles.loader} />
+          ) : (
+            <>
+              <View style={styles.section}>
+                <Text style={styles.sectionTitle}>Daily Iqamah</Text>
+                <Text style={styles.sectionDescription}>
+                  Times are at the mosque. "After adhan" follows the calculated time every day;
+                  an uploaded month overrides these rules for its days.
+                </Text>
+                {PRAYERS.map(renderRule)}
+              </View>
+
+              <View style={styles.section}>
+                <Text style={styles.sectionTitle}>Jumu'ah</Text>
+                {form.jumuah.length === 0 && (
+                  <Text style={styles.sectionDescription}>
+                    Add a slot for each Jumu'ah prayer held at the mosque.
+                  </Text>
+                )}
+                {form.jumuah.map(renderSlot)}
+                {form.jumuah.length < MAX_JUMUAH_SLOTS && (
+                  <IslamicButton
+                    title="Add Jumu'ah Slot"
+                    variant="outline"
+                    size="sm"
+                    icon="add"
+                    onPress={addSlot}
+                  />
+                )}
+              </View>
+
+              <IslamicButton
+                title="Save Timetable"
+                onPress={handleSave}
+                loading={saving}
+                icon="save"
+                style={styles.saveButton}
+              />
+
+              <View style={styles.section}>
+                <Text style={styles.sectionTitle}>Monthly Timetable</Text>
+                <Text style={styles.sectionDescription}>
+                  Paste a month exported from a spreadsheet: one row per day with the date and the
+                  five iqamah times. A header row can name the columns; empty cells use the rules above.
+                </Text>
+                <IslamicInput
+                  label="Month"
+                  value={csvMonth}
+                  onChangeText={setCsvMonth}
+                  placeholder="YYYY-MM"
+                  keyboardType="numbers-and-punctuation"
+                  required
+                />
+                <IslamicInput
+                  label="CSV"
+                  value={csv}
+                  onChangeText={setCsv}
+                  placeholder={CSV_PLACEHOLDER}
+                  autoCapitalize="none"
+                  multiline
+                  numberOfLines={8}
+                />
+                <IslamicButton
+                  title="Upload Month"
+                  onPress={handleUpload}
+                  loading={uploading}
+                  disabled={!csv.trim()}
+                  icon="upload-file"
+                />
+
+                {months.map(month => (
+                  <View key={month.month} style={styles.monthItem}>
+                    <View style={styles.monthInfo}>
+                      <Text style={styles.monthTitle}>{month.month}</Text>
+                      <Text style={styles.monthDetails}>
+                        {month.days} days · uploaded {new Date(month.uploadedAt).toLocaleDateString()}
+                      </Text>
+                    </View>
+                    <TouchableOpacity style={styles.iconButton} onPress={() => handleRemoveMonth(month)}>
+                      <Icon name="delete" size={20} color={Colors.status.error} />
+                    </TouchableOpacity>
+                  </View>
+                ))}
+              </View>
+            </>
+          )}
+        </View>
+      </ScrollView>
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: Colors.neutral.background,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: Colors.primary.main,
+    paddingHorizontal: Spacing.lg,
+    paddingVertical: Spacing.md,
+    elevation: 4,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.25,
+    shadowRadius: 3.84,
+  },
+  backButton: {
+    padding: Spacing.xs,
+  },
+  headerTitle: {
+    fontSize: Typography.sizes.xl,
+    fontWeight: Typography.weights.bold,
+    color: Colors.text.inverse,
+    flex: 1,
+    textAlign: 'center',
+  },
+  headerSpacer: {
+    width: 32,
+  },
+  scrollView: {
+    flex: 1,
+  },
+  content: {
+    padding: Spacing.lg,
+  },
+  section: {
+    backgroundColor: Colors.neutral.surface,
+    borderRadius: BorderRadius.lg,
+    padding: Spacing.lg,
+    marginBottom: Spacing.lg,
+    ...Shadows.sm,
+  },
+  sectionTitle: {
+    fontSize: Typography.sizes.lg,
+    fontWeight: Typography.weights.semibold,
+    color: Colors.text.primary,
+    marginBottom: Spacing.md,
+  },
+  sectionDescription: {
+    fontSize: Typography.sizes.sm,
+    color: Colors.text.secondary,
+    marginBottom: Spacing.md,
+  },
+  fieldLabel: {
+    fontSize: Typography.sizes.sm,
+    fontWeight: Typography.weights.medium,
+    color: Colors.text.primary,
+    marginBottom: Spacing.sm,
+  },
+  row: {
+    flexDirection: 'row',
+    marginHorizontal: -Spacing.xs,
+  },
+  rowItem: {
+    flex: 1,
+    paddingHorizontal: Spacing.xs,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: Spacing.sm,
+  },
+  chip: {
+    paddingHorizontal: Spacing.md,
+    paddingVertical: Spacing.xs,
+    borderRadius: BorderRadius.full,
+    borderWidth: 1,
+    borderColor: Colors.neutral.border,
+    marginRight: Spacing.sm,
+    marginBottom: Spacing.sm,
+  },
+  chipActive: {
+    backgroundColor: Colors.primary.main,
+    borderColor: Colors.primary.main,
+  },
+  chipText: {
+    fontSize: Typography.sizes.sm,
+    color: Colors.text.secondary,
+  },
+  chipTextActive: {
+    color: Colors.text.inverse,
+  },
+  ruleItem: {
+    paddingVertical: Spacing.sm,
+    borderBottomWidth: 1,
+    borderBottomColor: Colors.neutral.divider,
+  },
+  slotItem: {
+    paddingBottom: Spacing.sm,
+    marginBottom: Spacing.md,
+    borderBottomWidth: 1,
+    borderBottomColor: Colors.neutral.divider,
+  },
+  slotHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  saveButton: {
+    marginBottom: Spacing.lg,
+  },
+  monthItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: Spacing.sm,
+    borderBottomWidth: 1,
+    borderBottomColor: Colors.neutral.divider,
+  },
+  monthInfo: {
+    flex: 1,
+  },
+  monthTitle: {
+    fontSize: Typography.sizes.base,
+    fontWeight: Typography.weights.semibold,
+    color: Colors.text.primary,
+  },
+  monthDetails: {
+    fontSize: Typography.sizes.sm,
+    color: Colors.text.secondary,
+    marginTop: 2,
+  },
+  iconButton: {
+    padding: Spacing.xs,
+    marginLeft: Spacing.xs,
+  },
+  loader: {
+    marginVertical: Spacing.xl,
+  },
+});
+
+export default TimetableScreen;
@@ -39,6 +39,10 @@ const TranslationScreen = ({ navigation, route }) => {
   const [userLocation, setUserLocation] = useState(null);
   const [networkStatus, setNetworkStatus] = useState('checking'); // 'checking', 'connected', 'disconnected'
 
+  // Session the listener is in, joined again on every (re)connect, and the last live line received from it
+  const joinedSessionRef = useRef(null);
+  const lastSequenceRef = useRef(0);
+
   const fadeAnim = useRef(new Animated.Value(0)).current;
   const slideAnim = useRef(new Animated.Value(height)).current;
 
@@ -168,13 +172,22 @@ const TranslationScreen = ({ navigation, route }) => {
       newSocket.on('connect', () => {
         console.log('Socket connected successfully');
 
-        // Authenticate if token available
+        // Authenticate if token available; a reconnect is a new socket outside the session, so join it again
         if (token) {
           newSocket.emit('authenticate', { token }, (response) => {
             if (response && response.success) {
               console.log('Socket authenticated');
             }
+            rejoinSession(newSocket);
           });
+        } else {
+          rejoinSession(newSocket);
+        }
+      });
+
+      newSocket.on('translation_update', (data) => {
+        if (data.sequenceNumber > lastSequenceRef.current) {
+          lastSequenceRef.current = data.sequenceNumber;
         }
       });
 
@@ -194,7 +207,7 @@ const TranslationScreen = ({ navigation, route }) => {
 
       newSocket.on('session_ended', (data) => {
         console.log('Session ended:', data);
-        if (selectedSession?.sessionId === data.sessionId) {
+        if (joinedSessionRef.current?.sessionId === data.sessionId) {
           handleDisconnect();
         }
         loadActiveSessions(); // Refresh active sessions
@@ -215,14 +228,11 @@ const TranslationScreen = ({ navigation, route }) => {
 
     try {
       const deviceId = await AsyncStorage.getItem('deviceId') || `device_${Date.now()}`;
+      lastSequenceRef.current = 0;
 
-      socket.emit('join_session', {
-        mosqueId: mosque.id,
-        sessionId,
-        deviceId,
-        userType
-      }, (response) => {
+      emitJoin(socket, { sessionId, mosque, deviceId }, (response) => {
         if (response.success) {
+          joinedSessionRef.current = { sessionId, mosque, deviceId };
           setSelectedMosque(mosque);
           setSelectedSession({ sessionId, ...response });
           setIsConnected(true);
@@ -245,7 +255,43 @@ const TranslationScreen = ({ navigation, route }) => {
     }
   };
 
+  // The session only translates into languages its listeners ask for. Lines after lastSequence come back as
+  // translation_update before any live line, which is how a reconnecting listener catches up
+  const emitJoin = (socketInstance, { sessionId, mosque, deviceId }, callback) => {
+    const preferences = multiLanguageTranslationService.getUserPreferences();
+
+    socketInstance.emit('join_session', {
+      mosqueId: mosque.id,
+      sessionId,
+      deviceId,
+      userType,
+      preferredLanguage: preferences.primaryLanguage,
+      secondaryLanguage: preferences.showDualSubtitles ? preferences.secondaryLanguage : null,
+      lastSequence: lastSequenceRef.current
+    }, callback);
+  };
+
+  const rejoinSession = (socketInstance) => {
+    const joined = joinedSessionRef.current;
+    if (!joined) {
+      return;
+    }
+
+    emitJoin(socketInstance, joined, (response) => {
+      if (response.success) {
+        console.log(`Rejoined session ${joined.sessionId}, ${response.sent} missed lines`);
+        setIsConnected(true);
+      } else {
+        // The session ended while the connection was down
+        handleDisconnect();
+      }
+    });
+  };
+
   const handleDisconnect = () => {
+    joinedSessionRef.current = null;
+    lastSequenceRef.current = 0;
+
     if (socket && selectedSession) {
       socket.emit('leave_session', {
         sessionId: selectedSession.sessionId,
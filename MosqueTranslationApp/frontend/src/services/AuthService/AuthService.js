@@ -2,6 +2,7 @@ import AsyncStorage from '@react-native-async-storage/async-storage';
 import ApiService from '../ApiService/ApiService';
 import { API_ENDPOINTS, API_BASE_URL } from '../../config/api';
 import ErrorHandler from '../../utils/ErrorHandler';
+import TimezoneLookup from '../../utils/TimezoneLookup';
 
 class AuthService {
   static currentUser = null;
@@ -24,6 +25,15 @@ class AuthService {
     ANONYMOUS: 'anonymous',
   };
 
+  // Roles of mosque staff accounts (the mosque account itself is the owner)
+  static MOSQUE_ROLE_LABELS = {
+    owner: 'Owner',
+    broadcaster: 'Imam / Broadcaster',
+    translator: 'Translator',
+    moderator: 'Moderator',
+    content_editor: 'Content Editor',
+  };
+
   // Languages
   static LANGUAGES = {
     ARABIC: 'ar',
@@ -45,7 +55,7 @@ class AuthService {
         const parsedUserData = JSON.parse(userData);
 
         // Ensure the type property is set correctly for existing users
-        if (parsedUserData.userType === 'mosque' && !parsedUserData.type) {
+        if (['mosque', 'staff'].includes(parsedUserData.userType) && !parsedUserData.type) {
           parsedUserData.type = this.USER_TYPES.MOSQUE_ADMIN;
         } else if (parsedUserData.userType === 'individual' && !parsedUserData.type) {
           parsedUserData.type = this.USER_TYPES.INDIVIDUAL;
@@ -189,6 +199,8 @@ class AuthService {
       constructionYear: registrationData.constructionYear,
       briefHistory: registrationData.briefHistory,
       otherInfo: registrationData.otherInfo,
+      // Mosques usually register from their own premises; saved as the mosque's prayer times zone
+      timezone: TimezoneLookup.lookup(registrationData.latitude, registrationData.longitude),
     };
   }
 
@@ -323,7 +335,8 @@ class AuthService {
         }
 
         // Set the correct user type based on backend response
-        const userType = response.user.userType === 'mosque' ? this.USER_TYPES.MOSQUE_ADMIN : this.USER_TYPES.INDIVIDUAL;
+        // Staff sub-accounts work on the mosque side like the mosque account, limited by their role
+        const userType = ['mosque', 'staff'].includes(response.user.userType) ? this.USER_TYPES.MOSQUE_ADMIN : this.USER_TYPES.INDIVIDUAL;
         await AsyncStorage.setItem(this.STORAGE_KEYS.USER_TYPE, userType);
 
         // Set the type property on the user object for consistency
@@ -413,7 +426,7 @@ class AuthService {
   }
 
   /**
-   * Check if user is mosque admin
+   * Check if user is mosque admin (the mosque account or one of its staff)
    */
   static isMosqueAdmin() {
     return this.currentUser && (
@@ -422,6 +435,35 @@ class AuthService {
     );
   }
 
+  /**
+   * Check if the user is a staff sub-account rather than the mosque account itself
+   */
+  static isMosqueStaff() {
+    return !!this.currentUser && this.currentUser.userType === 'staff';
+  }
+
+  /**
+   * Check if the mosque role allows an action: 'broadcast', 'translate',
+   * 'review_translations', 'edit_content' or 'manage_staff'
+   */
+  static hasMosquePermission(permission) {
+    if (!this.isMosqueAdmin()) {
+      return false;
+    }
+    // Mosque accounts signed in before roles existed are owners
+    if (!this.currentUser.permissions) {
+      return !this.isMosqueStaff();
+    }
+    return this.currentUser.permissions.includes(permission);
+  }
+
+  /**
+   * Get the mosque the user acts for (staff act for the mosque that created them)
+   */
+  static getMosqueId() {
+    return this.currentUser?.mosqueId || this.currentUser?.id || null;
+  }
+
   /**
    * Check if user is individual
    */
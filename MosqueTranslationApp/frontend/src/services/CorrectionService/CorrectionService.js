@@ -0,0 +1,105 @@
+// Correction Service for Mosque Translation App
+import ApiService from '../ApiService/ApiService';
+import { API_ENDPOINTS } from '../../config/api';
+
+class CorrectionService {
+  /**
+   * Propose better wording for one language line of a translation
+   */
+  static async proposeCorrection(translationId, language, correctedText, reason = null) {
+    try {
+      const response = await ApiService.post(
+        API_ENDPOINTS.CORRECTIONS.PROPOSE(translationId),
+        { language, correctedText, ...(reason ? { reason } : {}) },
+        { requiresAuth: true }
+      );
+
+      return {
+        success: true,
+        correction: response.data,
+      };
+    } catch (error) {
+      console.error('Error proposing correction:', error);
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  /**
+   * Get the mosque's corrections awaiting review (or reviewed ones with status 'approved'/'rejected')
+   */
+  static async getReviewQueue({ status = 'pending', sessionId = null, language = null } = {}) {
+    try {
+      const params = new URLSearchParams({ status });
+      if (sessionId) {
+        params.append('sessionId', sessionId);
+      }
+      if (language) {
+        params.append('language', language);
+      }
+
+      const response = await ApiService.get(`${API_ENDPOINTS.CORRECTIONS.QUEUE}?${params}`, { requiresAuth: true });
+
+      return {
+        success: true,
+        corrections: response.data?.corrections || [],
+      };
+    } catch (error) {
+      console.error('Error fetching correction queue:', error);
+      return {
+        success: false,
+        corrections: [],
+        error: error.message,
+      };
+    }
+  }
+
+  /**
+   * Approve a correction, optionally with the reviewer's own edit of the wording
+   */
+  static async approveCorrection(translationId, correctionId, text = null, note = null) {
+    try {
+      const response = await ApiService.post(
+        API_ENDPOINTS.CORRECTIONS.APPROVE(translationId, correctionId),
+        { ...(text ? { text } : {}), ...(note ? { note } : {}) },
+        { requiresAuth: true }
+      );
+
+      return {
+        success: true,
+        update: response.data,
+      };
+    } catch (error) {
+      console.error('Error approving correction:', error);
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  /**
+   * Reject a correction
+   */
+  static async rejectCorrection(translationId, correctionId, note = null) {
+    try {
+      await ApiService.post(
+        API_ENDPOINTS.CORRECTIONS.REJECT(translationId, correctionId),
+        note ? { note } : {},
+        { requiresAuth: true }
+      );
+
+      return { success: true };
+    } catch (error) {
+      console.error('Error rejecting correction:', error);
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+}
+
+export default CorrectionService;
@@ -0,0 +1,2 @@
+export { default } from './CorrectionService';
+export { default as CorrectionService } from './CorrectionService';
@@ -0,0 +1,410 @@
+// Download Service for listening to archived sermons offline
+import * as FileSystem from 'expo-file-system';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import ApiService from '../ApiService/ApiService';
+import { API_ENDPOINTS, getApiBaseUrl } from '../../config/api';
+import multiLanguageTranslationService from '../MultiLanguageTranslationService';
+
+const DOWNLOADS_KEY = 'offline_downloads';
+const QUOTA_KEY = 'offline_storage_quota';
+const DOWNLOADS_DIR = `${FileSystem.documentDirectory}sermons/`;
+const MB = 1024 * 1024;
+
+export const QUOTA_OPTIONS = [250 * MB, 500 * MB, 1024 * MB, 2048 * MB];
+const DEFAULT_QUOTA = 500 * MB;
+
+// The transcript endpoint returns at most two translations per request
+const LANGUAGES_PER_REQUEST = 2;
+
+class DownloadService {
+  static downloads = null; // sessionId -> saved sermon, loaded on first use
+  static active = new Map(); // sessionId -> { resumable, progress, error, reserved }
+  static listeners = [];
+
+  /**
+   * Saved sermons, newest first; pass a mosqueId to list only that mosque's
+   */
+  static async getDownloads(mosqueId = null) {
+    const downloads = await this.loadIndex();
+    return Object.values(downloads)
+      .filter(download => !mosqueId || download.mosqueId === mosqueId)
+      .sort((a, b) => new Date(b.downloadedAt) - new Date(a.downloadedAt));
+  }
+
+  /**
+   * Saved sermon for a session, or null when it has not been downloaded
+   */
+  static async getDownload(sessionId) {
+    const downloads = await this.loadIndex();
+    return downloads[sessionId] || null;
+  }
+
+  /**
+   * File URI of the saved recording, for players that should not stream it again
+   */
+  static async getLocalAudioUri(sessionId) {
+    const download = await this.getDownload(sessionId);
+    return download?.audioUri || null;
+  }
+
+  /**
+   * Saved transcript in the same shape as the transcript endpoint returns
+   */
+  static async getTranscript(sessionId) {
+    const download = await this.getDownload(sessionId);
+    if (!download?.transcriptUri) {
+      return null;
+    }
+
+    try {
+      const content = await FileSystem.readAsStringAsync(download.transcriptUri);
+      const transcript = JSON.parse(content);
+      // Play the saved file instead of the server recording
+      return {
+        ...transcript,
+        recording: { ...(transcript.recording || {}), audioUrl: download.audioUri },
+      };
+    } catch (error) {
+      console.error('Error reading saved transcript:', error);
+      return null;
+    }
+  }
+
+  static isDownloading(sessionId) {
+    return this.active.has(sessionId);
+  }
+
+  /**
+   * Progress of a running download between 0 and 1, or null
+   */
+  static getProgress(sessionId) {
+    return this.active.get(sessionId)?.progress ?? null;
+  }
+
+  /**
+   * Bytes used by saved sermons against the quota the listener chose
+   */
+  static async getStorageUsage() {
+    const downloads = await this.getDownloads();
+    const used = this.getUsedBytes();
+    const quota = await this.getQuota();
+
+    let deviceFree = null;
+    try {
+      deviceFree = await FileSystem.getFreeDiskStorageAsync();
+    } catch (error) {
+      console.warn('Could not read free disk space:', error.message);
+    }
+
+    return {
+      used,
+      quota,
+      reserved: this.getReservedBytes(),
+      available: this.getAvailableBytes(quota),
+      deviceFree,
+      count: downloads.length,
+    };
+  }
+
+  /**
+   * Bytes of the saved sermons; the index must be loaded
+   */
+  static getUsedBytes() {
+    return Object.values(this.downloads || {}).reduce((total, download) => total + (download.size || 0), 0);
+  }
+
+  /**
+   * Bytes running downloads expect to write, except the given one's
+   */
+  static getReservedBytes(exceptSessionId = null) {
+    let reserved = 0;
+    this.active.forEach((state, sessionId) => {
+      if (sessionId !== exceptSessionId) {
+        reserved += state.reserved;
+      }
+    });
+    return reserved;
+  }
+
+  /**
+   * Room left under the quota for a download, after saved sermons and the other running downloads.
+   * Synchronous, so checking and reserving space cannot interleave with another download
+   */
+  static getAvailableBytes(quota, exceptSessionId = null) {
+    return Math.max(0, quota - this.getUsedBytes() - this.getReservedBytes(exceptSessionId));
+  }
+
+  /**
+   * Grow a running download's reservation to bytes; false when that would not fit
+   */
+  static reserveSpace(sessionId, bytes, quota, deviceFree = null) {
+    const state = this.active.get(sessionId);
+    if (!state) {
+      return false;
+    }
+    if (bytes <= state.reserved) {
+      return true;
+    }
+    if (bytes > this.getAvailableBytes(quota, sessionId) || (deviceFree !== null && bytes > deviceFree)) {
+      return false;
+    }
+
+    state.reserved = bytes;
+    return true;
+  }
+
+  static async getQuota() {
+    try {
+      const stored = await AsyncStorage.getItem(QUOTA_KEY);
+      return stored ? parseInt(stored, 10) : DEFAULT_QUOTA;
+    } catch (error) {
+      return DEFAULT_QUOTA;
+    }
+  }
+
+  static async setQuota(bytes) {
+    await AsyncStorage.setItem(QUOTA_KEY, String(bytes));
+    this.notifyListeners('quota_changed', { quota: bytes });
+    return bytes;
+  }
+
+  /**
+   * Save a sermon's recording, transcript and translations on the device.
+   * options: { mosqueId, mosqueName, languages } - languages default to the listener's subtitle languages
+   */
+  static async downloadSermon(broadcast, options = {}) {
+    const sessionId = broadcast.id;
+
+    const existing = await this.getDownload(sessionId);
+    if (existing) {
+      return { success: true, download: existing };
+    }
+    if (this.isDownloading(sessionId)) {
+      return { success: false, error: 'This sermon is already downloading' };
+    }
+
+    const state = { resumable: null, progress: 0, error: null, reserved: 0 };
+    this.active.set(sessionId, state);
+    this.notifyListeners('progress', { sessionId, progress: 0 });
+
+    const directory = `${DOWNLOADS_DIR}${sessionId}/`;
+
+    try {
+      const languages = options.languages || multiLanguageTranslationService.getSubtitleLanguages();
+      const transcript = await this.fetchTranscript(sessionId, languages);
+
+      const audioUrl = transcript?.recording?.audioUrl || broadcast.audioUrl;
+      if (!audioUrl) {
+        throw new Error('This sermon has no recording to download');
+      }
+
+      const usage = await this.getStorageUsage();
+      const spaceError = 'Not enough download space. Remove a sermon or raise the storage limit.';
+      // Hold the recording's size before starting, so downloads running side by side cannot share the same room
+      if (!this.reserveSpace(sessionId, transcript?.recording?.fileSizeBytes || 0, usage.quota, usage.deviceFree)) {
+        throw new Error(spaceError);
+      }
+
+      await FileSystem.makeDirectoryAsync(directory, { intermediates: true });
+
+      const baseUrl = (await getApiBaseUrl()).replace('/api', '');
+      const extension = (audioUrl.split('?')[0].match(/\.(\w+)$/) || [null, 'm4a'])[1];
+      const audioUri = `${directory}audio.${extension}`;
+
+      state.resumable = FileSystem.createDownloadResumable(
+        audioUrl.startsWith('http') ? audioUrl : `${baseUrl}${audioUrl}`,
+        audioUri,
+        {},
+        ({ totalBytesWritten, totalBytesExpectedToWrite }) => {
+          if (state.error) {
+            return;
+          }
+
+          // Stop as soon as the announced size, or what was written when the server sends none, does not fit
+          const needed = Math.max(totalBytesExpectedToWrite, totalBytesWritten);
+          if (!this.reserveSpace(sessionId, needed, usage.quota, usage.deviceFree)) {
+            state.error = spaceError;
+            state.resumable.cancelAsync().catch(() => {});
+            return;
+          }
+
+          if (totalBytesExpectedToWrite > 0) {
+            state.progress = totalBytesWritten / totalBytesExpectedToWrite;
+            this.notifyListeners('progress', { sessionId, progress: state.progress });
+          }
+        }
+      );
+
+      const result = await state.resumable.downloadAsync();
+      if (state.error || !result) {
+        throw new Error(state.error || 'Download cancelled');
+      }
+      if (result.status && result.status >= 400) {
+        throw new Error(`Recording download failed (HTTP ${result.status})`);
+      }
+
+      let transcriptUri = null;
+      let transcriptSize = 0;
+      if (transcript) {
+        const content = JSON.stringify(transcript);
+        transcriptUri = `${directory}transcript.json`;
+        await FileSystem.writeAsStringAsync(transcriptUri, content);
+        transcriptSize = content.length;
+      }
+
+      const audioInfo = await FileSystem.getInfoAsync(audioUri, { size: true });
+      const size = (audioInfo.size || 0) + transcriptSize;
+      // The file on disk is what counts against the quota, whatever the server announced
+      if (size > this.getAvailableBytes(usage.quota, sessionId)) {
+        throw new Error(spaceError);
+      }
+
+      const download = {
+        sessionId,
+        mosqueId: options.mosqueId || broadcast.mosqueId || null,
+        mosqueName: options.mosqueName || broadcast.mosqueName || null,
+        title: broadcast.title,
+        imam: broadcast.imam || null,
+        type: broadcast.type || null,
+        date: broadcast.date,
+        duration: transcript?.recording?.duration ? transcript.recording.duration * 1000 : broadcast.duration,
+        summary: broadcast.summary || null,
+        languages: transcript?.languages || [],
+        audioUri,
+        transcriptUri,
+        size,
+        downloadedAt: new Date().toISOString(),
+      };
+
+      const downloads = await this.loadIndex();
+      downloads[sessionId] = download;
+      await this.saveIndex();
+
+      this.active.delete(sessionId);
+      this.notifyListeners('completed', { sessionId, download });
+      return { success: true, download };
+    } catch (error) {
+      console.error('Error downloading sermon:', error);
+      this.active.delete(sessionId);
+      await FileSystem.deleteAsync(directory, { idempotent: true }).catch(() => {});
+      this.notifyListeners('failed', { sessionId, error: error.message });
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Stop a running download and discard what was saved so far
+   */
+  static async cancelDownload(sessionId) {
+    const state = this.active.get(sessionId);
+    if (!state) {
+      return false;
+    }
+
+    state.error = 'Download cancelled';
+    if (state.resumable) {
+      await state.resumable.cancelAsync().catch(() => {});
+    }
+    return true;
+  }
+
+  /**
+   * Delete a saved sermon and free its space
+   */
+  static async removeDownload(sessionId) {
+    const downloads = await this.loadIndex();
+    if (!downloads[sessionId]) {
+      return false;
+    }
+
+    await FileSystem.deleteAsync(`${DOWNLOADS_DIR}${sessionId}/`, { idempotent: true });
+    delete downloads[sessionId];
+    await this.saveIndex();
+
+    this.notifyListeners('removed', { sessionId });
+    return true;
+  }
+
+  /**
+   * Listen for download events: progress, completed, failed, removed, quota_changed
+   */
+  static addListener(callback) {
+    this.listeners.push(callback);
+
+    // Return unsubscribe function
+    return () => {
+      const index = this.listeners.indexOf(callback);
+      if (index > -1) {
+        this.listeners.splice(index, 1);
+      }
+    };
+  }
+
+  static notifyListeners(eventType, data) {
+    this.listeners.forEach(callback => {
+      try {
+        callback(eventType, data);
+      } catch (error) {
+        console.error('Error in download listener:', error);
+      }
+    });
+  }
+
+  /**
+   * Timed transcript with every requested translation; null when the session has none
+   */
+  static async fetchTranscript(sessionId, languages) {
+    const batches = [];
+    for (let i = 0; i < Math.max(languages.length, 1); i += LANGUAGES_PER_REQUEST) {
+      batches.push(languages.slice(i, i + LANGUAGES_PER_REQUEST));
+    }
+
+    let transcript = null;
+    for (const batch of batches) {
+      try {
+        const params = new URLSearchParams({ languages: batch.join(',') });
+        const response = await ApiService.get(`${API_ENDPOINTS.SESSIONS.TRANSCRIPT(sessionId)}?${params}`);
+        if (!response?.success) {
+          continue;
+        }
+
+        if (!transcript) {
+          transcript = response.data;
+          continue;
+        }
+
+        // Later batches only add their translations to the same sentences
+        transcript.languages = [...new Set([...transcript.languages, ...response.data.languages])];
+        transcript.segments = transcript.segments.map((segment, index) => ({
+          ...segment,
+          translations: { ...segment.translations, ...(response.data.segments[index]?.translations || {}) },
+        }));
+      } catch (error) {
+        console.warn('Transcript not available for download:', error.message);
+      }
+    }
+
+    return transcript;
+  }
+
+  static async loadIndex() {
+    if (this.downloads) {
+      return this.downloads;
+    }
+
+    try {
+      const stored = await AsyncStorage.getItem(DOWNLOADS_KEY);
+      this.downloads = stored ? JSON.parse(stored) : {};
+    } catch (error) {
+      console.error('Error loading downloads:', error);
+      this.downloads = {};
+    }
+    return this.downloads;
+  }
+
+  static async saveIndex() {
+    await AsyncStorage.setItem(DOWNLOADS_KEY, JSON.stringify(this.downloads || {}));
+  }
+}
+
+export default DownloadService;
@@ -0,0 +1,2 @@
+export { default } from './DownloadService';
+export { default as DownloadService, QUOTA_OPTIONS } from './DownloadService';
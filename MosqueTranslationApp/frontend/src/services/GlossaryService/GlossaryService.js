@@ -0,0 +1,122 @@
+// Glossary Service for Mosque Translation App
+import ApiService from '../ApiService/ApiService';
+import { API_ENDPOINTS } from '../../config/api';
+
+class GlossaryService {
+  /**
+   * Get the global glossary and the mosque's own terms
+   */
+  static async getTerms() {
+    try {
+      const response = await ApiService.get(API_ENDPOINTS.GLOSSARY.LIST, { requiresAuth: true });
+
+      return {
+        success: true,
+        global: response.data?.global || [],
+        mosque: response.data?.mosque || [],
+        canEditGlobal: Boolean(response.data?.canEditGlobal),
+      };
+    } catch (error) {
+      console.error('Error fetching glossary:', error);
+      return {
+        success: false,
+        global: [],
+        mosque: [],
+        error: error.message,
+      };
+    }
+  }
+
+  /**
+   * Add a term to the mosque glossary (scope 'global' for glossary administrators)
+   */
+  static async createTerm(term, scope = 'mosque') {
+    try {
+      const response = await ApiService.post(
+        API_ENDPOINTS.GLOSSARY.CREATE,
+        { ...term, scope },
+        { requiresAuth: true }
+      );
+
+      return {
+        success: true,
+        term: response.data,
+      };
+    } catch (error) {
+      console.error('Error creating glossary term:', error);
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  /**
+   * Update an existing glossary term
+   */
+  static async updateTerm(termId, updates, scope = 'mosque') {
+    try {
+      const response = await ApiService.put(
+        API_ENDPOINTS.GLOSSARY.UPDATE(termId),
+        { ...updates, scope },
+        { requiresAuth: true }
+      );
+
+      return {
+        success: true,
+        term: response.data,
+      };
+    } catch (error) {
+      console.error('Error updating glossary term:', error);
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  /**
+   * Delete a glossary term
+   */
+  static async deleteTerm(termId, scope = 'mosque') {
+    try {
+      await ApiService.delete(`${API_ENDPOINTS.GLOSSARY.DELETE(termId)}?scope=${scope}`, { requiresAuth: true });
+
+      return { success: true };
+    } catch (error) {
+      console.error('Error deleting glossary term:', error);
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  /**
+   * Preview which terms of a sample text the glossary protects for a language
+   */
+  static async previewText(text, language) {
+    try {
+      const response = await ApiService.post(
+        API_ENDPOINTS.GLOSSARY.PREVIEW,
+        { text, language },
+        { requiresAuth: true }
+      );
+
+      return {
+        success: true,
+        protectedText: response.data?.protectedText || text,
+        terms: response.data?.terms || [],
+      };
+    } catch (error) {
+      console.error('Error previewing glossary:', error);
+      return {
+        success: false,
+        terms: [],
+        error: error.message,
+      };
+    }
+  }
+}
+
+export default GlossaryService;
@@ -0,0 +1,2 @@
+export { default } from './GlossaryService';
+export { default as GlossaryService } from './GlossaryService';
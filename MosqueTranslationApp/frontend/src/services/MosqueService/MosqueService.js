@@ -64,6 +64,66 @@ class MosqueService {
     }
   }
 
+  /**
+   * Discover mosques near a point ({ latitude, longitude, radius } in km) or inside map bounds
+   * ({ bbox: [west, south, east, north] }), filtered by { query, facilities, languages, services,
+   * minWomenCapacity, liveOnly } and sorted by distance, name or followers, one page at a time
+   */
+  static async discoverMosques(filters = {}) {
+    try {
+      const params = new URLSearchParams();
+      if (Number.isFinite(filters.latitude) && Number.isFinite(filters.longitude)) {
+        params.append('lat', filters.latitude.toString());
+        params.append('lng', filters.longitude.toString());
+      }
+      if (filters.bbox) {
+        params.append('bbox', filters.bbox.join(','));
+      } else if (filters.radius) {
+        params.append('radius', filters.radius.toString());
+      }
+      if (filters.query?.trim()) {
+        params.append('q', filters.query.trim());
+      }
+      ['facilities', 'languages', 'services'].forEach(key => {
+        if (filters[key]?.length) {
+          params.append(key, filters[key].join(','));
+        }
+      });
+      if (filters.minWomenCapacity > 0) {
+        params.append('minWomenCapacity', filters.minWomenCapacity.toString());
+      }
+      if (filters.liveOnly) {
+        params.append('live', 'true');
+      }
+      if (filters.sort) {
+        params.append('sort', filters.sort);
+      }
+      params.append('page', String(filters.page || 1));
+      params.append('limit', String(filters.limit || 20));
+
+      const response = await ApiService.get(`${API_ENDPOINTS.MOSQUES.DISCOVER}?${params}`);
+
+      return {
+        success: true,
+        mosques: (response.data?.mosques || []).map(mosque => this.formatMosqueData(mosque)),
+        total: response.data?.total || 0,
+        page: response.data?.page || 1,
+        hasMore: response.data?.hasMore || false,
+      };
+    } catch (error) {
+      ErrorHandler.logError(error, 'discoverMosques', { filters });
+      const { userMessage } = ErrorHandler.handleMosqueError(error, 'discovering mosques');
+
+      return {
+        success: false,
+        mosques: [],
+        total: 0,
+        hasMore: false,
+        error: userMessage,
+      };
+    }
+  }
+
   /**
    * Get details for a specific mosque
    */
@@ -159,6 +219,356 @@ class MosqueService {
     }
   }
 
+  /**
+   * Search a mosque's recorded sermons (Arabic transcripts and translations)
+   */
+  static async searchArchive(mosqueId, query, language = null) {
+    try {
+      const params = new URLSearchParams({ q: query });
+      if (language) {
+        params.append('lang', language);
+      }
+
+      const response = await ApiService.get(`${API_ENDPOINTS.MOSQUES.ARCHIVE_SEARCH(mosqueId)}?${params}`);
+
+      return {
+        success: true,
+        results: response.data?.results || [],
+      };
+    } catch (error) {
+      ErrorHandler.logError(error, 'searchArchive', { mosqueId, query });
+
+      return {
+        success: false,
+        results: [],
+        error: error.message,
+      };
+    }
+  }
+
+  /**
+   * Get upcoming scheduled broadcasts of the given mosques, soonest first
+   */
+  static async getUpcomingBroadcasts(mosqueIds, days = 14) {
+    if (!mosqueIds || mosqueIds.length === 0) {
+      return { success: true, broadcasts: [] };
+    }
+
+    try {
+      const params = new URLSearchParams({
+        mosqueIds: mosqueIds.join(','),
+        days: days.toString(),
+      });
+
+      const response = await ApiService.get(`${API_ENDPOINTS.MOSQUES.UPCOMING_BROADCASTS}?${params}`);
+
+      return {
+        success: true,
+        broadcasts: response.data || [],
+      };
+    } catch (error) {
+      ErrorHandler.logError(error, 'getUpcomingBroadcasts', { mosqueIds });
+
+      return {
+        success: false,
+        broadcasts: [],
+        error: error.message,
+      };
+    }
+  }
+
+  /**
+   * Get a mosque's broadcast schedules, next occurrences and calendar feed URL
+   */
+  static async getSchedule(mosqueId) {
+    try {
+      const response = await ApiService.get(API_ENDPOINTS.MOSQUES.SCHEDULE(mosqueId));
+
+      return {
+        success: true,
+        schedules: response.data?.schedules || [],
+        upcoming: response.data?.upcoming || [],
+        calendarUrl: response.data?.calendarUrl || null,
+      };
+    } catch (error) {
+      ErrorHandler.logError(error, 'getSchedule', { mosqueId });
+
+      return {
+        success: false,
+        schedules: [],
+        upcoming: [],
+        error: error.message,
+      };
+    }
+  }
+
+  /**
+   * Announce a broadcast (recurrence 'jumuah' repeats every Friday relative to Dhuhr)
+   */
+  static async createSchedule(mosqueId, schedule) {
+    try {
+      const response = await ApiService.post(
+        API_ENDPOINTS.MOSQUES.SCHEDULE(mosqueId),
+        schedule,
+        { requiresAuth: true }
+      );
+
+      return {
+        success: true,
+        schedule: response.data,
+      };
+    } catch (error) {
+      ErrorHandler.logError(error, 'createSchedule', { mosqueId });
+
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  /**
+   * Update a scheduled broadcast
+   */
+  static async updateSchedule(mosqueId, scheduleId, updates) {
+    try {
+      const response = await ApiService.put(
+        API_ENDPOINTS.MOSQUES.SCHEDULE_ITEM(mosqueId, scheduleId),
+        updates,
+        { requiresAuth: true }
+      );
+
+      return {
+        success: true,
+        schedule: response.data,
+      };
+    } catch (error) {
+      ErrorHandler.logError(error, 'updateSchedule', { mosqueId, scheduleId });
+
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  /**
+   * Cancel a scheduled broadcast
+   */
+  static async deleteSchedule(mosqueId, scheduleId) {
+    try {
+      await ApiService.delete(
+        API_ENDPOINTS.MOSQUES.SCHEDULE_ITEM(mosqueId, scheduleId),
+        { requiresAuth: true }
+      );
+
+      return { success: true };
+    } catch (error) {
+      ErrorHandler.logError(error, 'deleteSchedule', { mosqueId, scheduleId });
+
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  /**
+   * Get a mosque's published iqamah times, resolved per day from `from` (YYYY-MM-DD at the mosque)
+   */
+  static async getTimetable(mosqueId, { from, days = 7 } = {}) {
+    try {
+      const params = new URLSearchParams({ days: String(days) });
+      if (from) {
+        params.append('from', from);
+      }
+      const response = await ApiService.get(`${API_ENDPOINTS.MOSQUES.TIMETABLE(mosqueId)}?${params}`);
+
+      return {
+        success: true,
+        timetable: response.data,
+      };
+    } catch (error) {
+      ErrorHandler.logError(error, 'getTimetable', { mosqueId });
+
+      return {
+        success: false,
+        timetable: null,
+        error: error.message,
+      };
+    }
+  }
+
+  /**
+   * Set the iqamah rule per prayer ({ mode: 'fixed', time } or { mode: 'offset', offsetMinutes })
+   * and the Jumu'ah khutbah slots
+   */
+  static async updateTimetable(mosqueId, timetable) {
+    try {
+      const response = await ApiService.put(
+        API_ENDPOINTS.MOSQUES.TIMETABLE(mosqueId),
+        timetable,
+        { requiresAuth: true }
+      );
+
+      return {
+        success: true,
+        timetable: response.data,
+      };
+    } catch (error) {
+      ErrorHandler.logError(error, 'updateTimetable', { mosqueId });
+
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  /**
+   * Upload a month (YYYY-MM) of iqamah times as CSV text
+   */
+  static async uploadTimetableMonth(mosqueId, month, csv) {
+    try {
+      const response = await ApiService.put(
+        API_ENDPOINTS.MOSQUES.TIMETABLE_MONTH(mosqueId, month),
+        { csv },
+        { requiresAuth: true }
+      );
+
+      return {
+        success: true,
+        timetable: response.data,
+      };
+    } catch (error) {
+      ErrorHandler.logError(error, 'uploadTimetableMonth', { mosqueId, month });
+
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  /**
+   * Remove an uploaded month; its days go back to the per-prayer rules
+   */
+  static async deleteTimetableMonth(mosqueId, month) {
+    try {
+      const response = await ApiService.delete(
+        API_ENDPOINTS.MOSQUES.TIMETABLE_MONTH(mosqueId, month),
+        { requiresAuth: true }
+      );
+
+      return {
+        success: true,
+        timetable: response.data,
+      };
+    } catch (error) {
+      ErrorHandler.logError(error, 'deleteTimetableMonth', { mosqueId, month });
+
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  /**
+   * Get the mosque's staff accounts and the roles they can be given
+   */
+  static async getStaff(mosqueId) {
+    try {
+      const response = await ApiService.get(API_ENDPOINTS.MOSQUES.STAFF(mosqueId), { requiresAuth: true });
+
+      return {
+        success: true,
+        staff: response.data?.staff || [],
+        roles: response.data?.roles || [],
+      };
+    } catch (error) {
+      ErrorHandler.logError(error, 'getStaff', { mosqueId });
+
+      return {
+        success: false,
+        staff: [],
+        roles: [],
+        error: error.message,
+      };
+    }
+  }
+
+  /**
+   * Create a staff login (email, password, name, role) for the mosque
+   */
+  static async createStaff(mosqueId, staff) {
+    try {
+      const response = await ApiService.post(
+        API_ENDPOINTS.MOSQUES.STAFF(mosqueId),
+        staff,
+        { requiresAuth: true }
+      );
+
+      return {
+        success: true,
+        staff: response.data,
+      };
+    } catch (error) {
+      ErrorHandler.logError(error, 'createStaff', { mosqueId });
+
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  /**
+   * Change a staff member's role, name or password, or revoke access with isActive: false
+   */
+  static async updateStaff(mosqueId, staffId, updates) {
+    try {
+      const response = await ApiService.put(
+        API_ENDPOINTS.MOSQUES.STAFF_MEMBER(mosqueId, staffId),
+        updates,
+        { requiresAuth: true }
+      );
+
+      return {
+        success: true,
+        staff: response.data,
+      };
+    } catch (error) {
+      ErrorHandler.logError(error, 'updateStaff', { mosqueId, staffId });
+
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  /**
+   * Remove a staff account
+   */
+  static async removeStaff(mosqueId, staffId) {
+    try {
+      await ApiService.delete(
+        API_ENDPOINTS.MOSQUES.STAFF_MEMBER(mosqueId, staffId),
+        { requiresAuth: true }
+      );
+
+      return { success: true };
+    } catch (error) {
+      ErrorHandler.logError(error, 'removeStaff', { mosqueId, staffId });
+
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
   /**
    * Format mosque data for consistent display
    */
@@ -173,10 +583,13 @@ class MosqueService {
       imam: mosque.imam,
       servicesOffered: mosque.servicesOffered || [],
       languagesSupported: mosque.languagesSupported || ['Arabic'],
+      prayerSettings: mosque.prayerSettings || null,
       capacity: mosque.capacity,
+      capacityWomen: mosque.capacityWomen,
       facilities: mosque.facilities || [],
       followers: mosque.followers || mosque.analytics?.totalFollowers || 0,
       hasLiveTranslation: mosque.hasLiveTranslation || false,
+      isLive: mosque.isLive || false,
       hasAccount: mosque.hasAccount !== false,
       isFollowed: mosque.isFollowed || false,
       distance: mosque.distance,
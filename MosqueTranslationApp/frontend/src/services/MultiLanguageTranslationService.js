@@ -181,6 +181,16 @@ class MultiLanguageTranslationService {
     return this.userPreferences || this.getDefaultPreferences();
   }
 
+  // Primary language, plus the secondary one when the listener wants dual subtitles
+  getSubtitleLanguages() {
+    const preferences = this.getUserPreferences();
+    const languages = [preferences.primaryLanguage];
+    if (preferences.showDualSubtitles && preferences.secondaryLanguage) {
+      languages.push(preferences.secondaryLanguage);
+    }
+    return languages.filter(Boolean);
+  }
+
   // Get supported languages
   getSupportedLanguages() {
     return this.supportedLanguages;
@@ -207,6 +217,22 @@ class MultiLanguageTranslationService {
     return this.languageGroups.Popular || ['English', 'German', 'French', 'Spanish', 'Turkish', 'Urdu'];
   }
 
+  // Live lines carry plain text keyed by language code; the display format keys by name with text and confidence
+  fromLiveUpdate(update) {
+    const translations = {};
+    Object.entries(update.translations || {}).forEach(([code, text]) => {
+      const language = Object.keys(this.languageDetails).find(name => this.languageDetails[name].code === code) || code;
+      translations[language] = { text, confidence: null };
+    });
+
+    return {
+      ...update,
+      id: update.translationId || `${update.sessionId}_${update.sequenceNumber}`,
+      translations,
+      availableLanguages: Object.keys(translations)
+    };
+  }
+
   // Format translation for display based on user preferences
   formatTranslationForDisplay(translation) {
     const prefs = this.getUserPreferences();
@@ -216,6 +242,7 @@ class MultiLanguageTranslationService {
       sequenceNumber: translation.sequenceNumber,
       timestamp: translation.timestamp,
       context: translation.context,
+      islamicContent: translation.islamicContent,
       translations: {},
       availableLanguages: translation.availableLanguages || []
     };
@@ -345,6 +372,17 @@ class MultiLanguageTranslationService {
       this.emitTranslationEvent('language_translation_update', data);
     });
 
+    // Listen for live lines of the voice pipeline, which also carry what the server backfills after a (re)join
+    this.socket.on('translation_update', (data) => {
+      this.emitTranslationEvent('translation_update', this.fromLiveUpdate(data));
+    });
+
+    // Listen for approved corrections replacing a line's wording
+    this.socket.on('translation_corrected', (data) => {
+      console.log('Translation corrected:', data);
+      this.emitTranslationEvent('translation_corrected', data);
+    });
+
     // Listen for translator joined
     this.socket.on('translator_joined', (data) => {
       console.log('Translator joined:', data);
@@ -33,8 +33,13 @@ const notificationsAvailable = true; // Always available with our mock implement
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { Platform } from 'react-native';
 import PrayerTimeService from '../PrayerTimeService/PrayerTimeService';
+import HijriCalendar, { HIJRI_MONTHS } from '../../utils/HijriCalendar';
 import { DateUtils } from '../../utils';
 
+// Islamic events are scheduled this many days ahead, with a reminder at this hour the evening before
+const ISLAMIC_EVENT_DAYS = 180;
+const ISLAMIC_EVENT_REMINDER_HOUR = 18;
+
 class NotificationService {
   static SETTINGS_KEY = 'notification_settings';
   static SCHEDULED_KEY = 'scheduled_notifications';
@@ -45,6 +50,8 @@ class NotificationService {
       beforeMinutes: 10, // Notify 10 minutes before prayer time
       sound: 'default',
       vibrate: true,
+      remindBefore: 'adhan', // 'iqamah': count down to the iqamah published by `mosque`
+      mosque: null,
     },
     liveTranslation: {
       enabled: true,
@@ -152,28 +159,32 @@ class NotificationService {
       // Cancel existing prayer time notifications
       await this.cancelNotificationsByType('prayer');
 
+      const days = await this.getReminderDays(latitude, longitude, settings.prayerTimes);
+      const mosque = settings.prayerTimes.mosque;
+
       // Get prayer times for the next 7 days
       const notifications = [];
-      for (let i = 0; i < 7; i++) {
-        const date = new Date();
-        date.setDate(date.getDate() + i);
-        
-        const prayerTimes = await PrayerTimeService.getPrayerTimes(latitude, longitude, date);
+      for (const day of days) {
         const prayers = ['fajr', 'dhuhr', 'asr', 'maghrib', 'isha'];
         
         prayers.forEach(prayer => {
-          const prayerTime = prayerTimes.times[prayer];
+          // Prayers the mosque publishes no iqamah for still get the adhan reminder
+          const atIqamah = Boolean(day.iqamahTimestamps?.[prayer]);
+          const prayerTime = atIqamah ? day.iqamah[prayer] : day.times[prayer];
           if (prayerTime) {
-            const notificationTime = new Date(prayerTime);
+            const notificationTime = new Date(atIqamah ? day.iqamahTimestamps[prayer] : day.timestamps[prayer]);
             notificationTime.setMinutes(notificationTime.getMinutes() - settings.prayerTimes.beforeMinutes);
             
             if (notificationTime > new Date()) {
+              const prayerName = prayer.charAt(0).toUpperCase() + prayer.slice(1);
               notifications.push({
-                identifier: `prayer_${prayer}_${date.toDateString()}`,
+                identifier: `prayer_${prayer}_${day.date}`,
                 content: {
-                  title: `${prayer.charAt(0).toUpperCase() + prayer.slice(1)} Prayer Time`,
-                  body: `${prayer.charAt(0).toUpperCase() + prayer.slice(1)} prayer is in ${settings.prayerTimes.beforeMinutes} minutes`,
-                  data: { type: 'prayer', prayer, time: prayerTime },
+                  title: atIqamah ? `${prayerName} Iqamah` : `${prayerName} Prayer Time`,
+                  body: atIqamah
+                    ? `${prayerName} iqamah at ${mosque.name} is in ${settings.prayerTimes.beforeMinutes} minutes`
+                    : `${prayerName} prayer is in ${settings.prayerTimes.beforeMinutes} minutes`,
+                  data: { type: 'prayer', prayer, time: prayerTime, iqamah: atIqamah },
                   sound: settings.prayerTimes.sound,
                   categoryIdentifier: 'prayer-times',
                 },
@@ -199,6 +210,32 @@ class NotificationService {
     }
   }
 
+  // Adhan times for the next week; with iqamah reminders on, the followed mosque's adhan and iqamah instead
+  static async getReminderDays(latitude, longitude, prayerSettings) {
+    if (prayerSettings.remindBefore === 'iqamah' && prayerSettings.mosque) {
+      try {
+        const { schedule } = await PrayerTimeService.getMosqueSchedule(prayerSettings.mosque, 7);
+        return schedule;
+      } catch (error) {
+        console.warn('Iqamah times unavailable, reminding before adhan:', error.message);
+      }
+    }
+
+    const days = [];
+    for (let i = 0; i < 7; i++) {
+      const date = new Date();
+      date.setDate(date.getDate() + i);
+
+      const prayerTimes = await PrayerTimeService.getPrayerTimes(latitude, longitude, date);
+      days.push({
+        date: date.toDateString(),
+        times: prayerTimes.times,
+        timestamps: prayerTimes.timestamps,
+      });
+    }
+    return days;
+  }
+
   static async scheduleFridayReminder(latitude, longitude) {
     try {
       const settings = await this.getSettings();
@@ -215,7 +252,7 @@ class NotificationService {
         const jummahTime = prayerTimes.times.dhuhr; // Jummah is typically at Dhuhr time
         
         if (jummahTime) {
-          const notificationTime = new Date(jummahTime);
+          const notificationTime = new Date(prayerTimes.timestamps.dhuhr);
           notificationTime.setHours(notificationTime.getHours() - settings.fridayReminder.beforeHours);
           
           if (notificationTime > new Date()) {
@@ -257,37 +294,26 @@ class NotificationService {
       // Cancel existing Islamic event notifications
       await this.cancelNotificationsByType('islamic-event');
 
-      // Mock Islamic events (in a real app, this would come from an Islamic calendar API)
-      const islamicEvents = [
-        {
-          name: 'Laylat al-Qadr',
-          date: new Date('2024-04-05'), // Example date
-          description: 'The Night of Power - one of the most sacred nights in Islam',
-        },
-        {
-          name: 'Eid al-Fitr',
-          date: new Date('2024-04-10'), // Example date
-          description: 'Festival of Breaking the Fast',
-        },
-        {
-          name: 'Eid al-Adha',
-          date: new Date('2024-06-16'), // Example date
-          description: 'Festival of Sacrifice',
-        },
-      ];
+      // Dates follow the followed mosque's moon sighting offset when there is one, else the listener's
+      const prayerSettings = await PrayerTimeService.getSettingsForMosque(settings.prayerTimes.mosque);
+      const islamicEvents = HijriCalendar.getUpcomingEvents({
+        days: ISLAMIC_EVENT_DAYS,
+        offsetDays: prayerSettings.hijriOffset,
+      });
 
       const notifications = [];
       islamicEvents.forEach(event => {
-        // Notify 1 day before
+        // Notify the evening before; night events such as Laylat al-Qadr begin that evening
         const notificationTime = new Date(event.date);
         notificationTime.setDate(notificationTime.getDate() - 1);
-        
+        notificationTime.setHours(ISLAMIC_EVENT_REMINDER_HOUR, 0, 0, 0);
+
         if (notificationTime > new Date()) {
           notifications.push({
-            identifier: `islamic_event_${event.name.replace(/\s+/g, '_')}`,
+            identifier: `islamic_event_${event.key}_${event.hijri.year}_${event.hijri.month}`,
             content: {
-              title: `${event.name} Tomorrow`,
-              body: event.description,
+              title: `${event.name} ${event.night ? 'Tonight' : 'Tomorrow'}`,
+              body: `${event.description} (${event.hijri.day} ${HIJRI_MONTHS[event.hijri.month - 1]})`,
               data: { type: 'islamic-event', event: event.name },
               sound: settings.islamicEvents.sound,
             },
@@ -364,6 +390,60 @@ class NotificationService {
     }
   }
 
+  // Reminders before upcoming scheduled broadcasts of followed mosques; each occurrence is scheduled once
+  static async scheduleBroadcastReminders(upcomingBroadcasts) {
+    try {
+      const settings = await this.getSettings();
+      if (!settings.liveTranslation.enabled) return;
+
+      const stored = await AsyncStorage.getItem(this.SCHEDULED_KEY);
+      const now = new Date();
+      // Forget reminders whose broadcast has already started
+      const scheduled = (stored ? JSON.parse(stored) : [])
+        .filter(entry => entry.type === 'scheduled-broadcast' && new Date(entry.startsAt) > now);
+      const scheduledIds = new Set(scheduled.map(entry => entry.id));
+
+      let count = 0;
+      for (const broadcast of upcomingBroadcasts) {
+        if (scheduledIds.has(broadcast.id) || !broadcast.reminderMinutes) continue;
+
+        const notificationTime = new Date(broadcast.startsAt);
+        notificationTime.setMinutes(notificationTime.getMinutes() - broadcast.reminderMinutes);
+        if (notificationTime <= now) continue;
+
+        await Notifications.scheduleNotificationAsync({
+          identifier: `scheduled-broadcast_${broadcast.id}`,
+          content: {
+            title: `${broadcast.mosqueName}: ${broadcast.title}`,
+            body: `Live translation starts in ${broadcast.reminderMinutes} minutes`,
+            data: {
+              type: 'scheduled-broadcast',
+              mosqueId: broadcast.mosqueId,
+              mosqueName: broadcast.mosqueName,
+              scheduleId: broadcast.scheduleId,
+              startsAt: broadcast.startsAt,
+            },
+            sound: settings.liveTranslation.sound,
+            categoryIdentifier: 'live-broadcast',
+          },
+          trigger: {
+            date: notificationTime,
+          },
+        });
+
+        scheduled.push({ id: broadcast.id, type: 'scheduled-broadcast', startsAt: broadcast.startsAt });
+        count++;
+      }
+
+      await AsyncStorage.setItem(this.SCHEDULED_KEY, JSON.stringify(scheduled));
+      console.log(`Scheduled ${count} broadcast reminders`);
+      return true;
+    } catch (error) {
+      console.error('Error scheduling broadcast reminders:', error);
+      return false;
+    }
+  }
+
   static async handleBroadcastNotificationFromSocket(notificationData) {
     try {
       const { mosqueName, language, mosqueId, message } = notificationData;
@@ -1,38 +1,96 @@
-import { Coordinates, CalculationMethod, PrayerTimes, Prayer } from 'adhan';
+import {
+  Coordinates,
+  CalculationMethod,
+  PrayerTimes,
+  Madhab,
+  HighLatitudeRule,
+} from 'adhan';
 import moment from 'moment-timezone';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import TimezoneLookup from '../../utils/TimezoneLookup';
+import HijriCalendar from '../../utils/HijriCalendar';
+import MosqueService from '../MosqueService/MosqueService';
+
+const SETTINGS_KEY = 'prayer_calculation_settings';
+
+// Keys match the adhan method names the backend accepts for a mosque's prayerSettings
+export const CALCULATION_METHODS = {
+  MuslimWorldLeague: { label: 'Muslim World League', create: () => CalculationMethod.MuslimWorldLeague() },
+  NorthAmerica: { label: 'ISNA (North America)', create: () => CalculationMethod.NorthAmerica() },
+  UmmAlQura: { label: 'Umm al-Qura, Makkah', create: () => CalculationMethod.UmmAlQura() },
+  Egyptian: { label: 'Egyptian General Authority', create: () => CalculationMethod.Egyptian() },
+  Karachi: { label: 'University of Islamic Sciences, Karachi', create: () => CalculationMethod.Karachi() },
+  Turkey: { label: 'Diyanet (Turkey)', create: () => CalculationMethod.Turkey() },
+  MoonsightingCommittee: { label: 'Moonsighting Committee', create: () => CalculationMethod.MoonsightingCommittee() },
+  Dubai: { label: 'Dubai', create: () => CalculationMethod.Dubai() },
+  Kuwait: { label: 'Kuwait', create: () => CalculationMethod.Kuwait() },
+  Qatar: { label: 'Qatar', create: () => CalculationMethod.Qatar() },
+  Singapore: { label: 'Singapore', create: () => CalculationMethod.Singapore() },
+  Tehran: { label: 'Institute of Geophysics, Tehran', create: () => CalculationMethod.Tehran() },
+};
+
+export const MADHABS = {
+  shafi: { label: 'Standard (Shafi, Maliki, Hanbali)', value: Madhab.Shafi },
+  hanafi: { label: 'Hanafi', value: Madhab.Hanafi },
+};
+
+export const HIGH_LATITUDE_RULES = {
+  auto: { label: 'Automatic' },
+  middleofthenight: { label: 'Middle of the night', value: HighLatitudeRule.MiddleOfTheNight },
+  seventhofthenight: { label: 'Seventh of the night', value: HighLatitudeRule.SeventhOfTheNight },
+  twilightangle: { label: 'Twilight angle', value: HighLatitudeRule.TwilightAngle },
+};
+
+export const PRAYER_KEYS = ['fajr', 'sunrise', 'dhuhr', 'asr', 'maghrib', 'isha'];
+
+export const DEFAULT_SETTINGS = {
+  calculationMethod: 'MoonsightingCommittee',
+  asrMadhab: 'shafi',
+  highLatitudeRule: 'auto',
+  adjustments: { fajr: 0, sunrise: 0, dhuhr: 0, asr: 0, maghrib: 0, isha: 0 },
+  hijriOffset: 0, // days added to the Umm al-Qura date for local moon sighting
+};
+
+export const MAX_HIJRI_OFFSET = 2;
 
 class PrayerTimeService {
-  static async getPrayerTimes(latitude, longitude, date = new Date()) {
+  static settings = null; // listener's calculation settings, loaded on first use
+
+  /**
+   * Prayer times for a location.
+   * options: { settings, timezone } - settings override the listener's saved ones (e.g. a mosque's
+   * published prayerSettings); timezone is an IANA name, looked up from the coordinates when missing
+   */
+  static async getPrayerTimes(latitude, longitude, date = new Date(), options = {}) {
     try {
       const coordinates = new Coordinates(latitude, longitude);
-      const calculationParams = CalculationMethod.MoonsightingCommittee();
-      
-      // You can customize calculation parameters
-      calculationParams.highLatitudeRule = 'SeventhOfTheNight';
+      const settings = options.settings || await this.getSettings();
+      const calculationParams = this.getCalculationParameters(settings, coordinates);
+
+      // Get timezone for the location
+      const timezone = options.timezone || await this.getTimezone(latitude, longitude);
 
       const prayerTimes = new PrayerTimes(coordinates, date, calculationParams);
 
-      // Get timezone for the location
-      const timezone = await this.getTimezone(latitude, longitude);
-
-      const times = {
-        fajr: moment(prayerTimes.fajr).tz(timezone).format('h:mm A'),
-        sunrise: moment(prayerTimes.sunrise).tz(timezone).format('h:mm A'),
-        dhuhr: moment(prayerTimes.dhuhr).tz(timezone).format('h:mm A'),
-        asr: moment(prayerTimes.asr).tz(timezone).format('h:mm A'),
-        maghrib: moment(prayerTimes.maghrib).tz(timezone).format('h:mm A'),
-        isha: moment(prayerTimes.isha).tz(timezone).format('h:mm A'),
-      };
+      const times = {};
+      const timestamps = {};
+      PRAYER_KEYS.forEach(prayer => {
+        times[prayer] = moment(prayerTimes[prayer]).tz(timezone).format('h:mm A');
+        timestamps[prayer] = prayerTimes[prayer];
+      });
 
       // Calculate next prayer
       const nextPrayer = this.getNextPrayer(prayerTimes, timezone);
 
       return {
         times,
+        timestamps,
         next: nextPrayer,
         date: moment(date).format('MMMM DD, YYYY'),
+        hijri: HijriCalendar.toHijri(date, settings.hijriOffset),
         location: { latitude, longitude },
         timezone,
+        settings,
       };
     } catch (error) {
       console.error('Error calculating prayer times:', error);
@@ -40,6 +98,212 @@ class PrayerTimeService {
     }
   }
 
+  /**
+   * adhan calculation parameters for a settings object; unknown values fall back to the defaults
+   */
+  static getCalculationParameters(settings = DEFAULT_SETTINGS, coordinates = null) {
+    const method = CALCULATION_METHODS[settings.calculationMethod] ||
+      CALCULATION_METHODS[DEFAULT_SETTINGS.calculationMethod];
+    const params = method.create();
+
+    params.madhab = (MADHABS[settings.asrMadhab] || MADHABS[DEFAULT_SETTINGS.asrMadhab]).value;
+
+    const rule = HIGH_LATITUDE_RULES[settings.highLatitudeRule];
+    if (rule?.value) {
+      params.highLatitudeRule = rule.value;
+    } else if (coordinates) {
+      params.highLatitudeRule = HighLatitudeRule.recommended(coordinates);
+    }
+
+    // Added on top of the method's own adjustments
+    PRAYER_KEYS.forEach(prayer => {
+      params.adjustments[prayer] = parseInt(settings.adjustments?.[prayer], 10) || 0;
+    });
+
+    return params;
+  }
+
+  /**
+   * Listener's saved calculation settings merged over the defaults
+   */
+  static async getSettings() {
+    if (this.settings) {
+      return this.settings;
+    }
+
+    try {
+      const stored = await AsyncStorage.getItem(SETTINGS_KEY);
+      this.settings = this.mergeSettings(DEFAULT_SETTINGS, stored ? JSON.parse(stored) : null);
+    } catch (error) {
+      console.error('Error loading prayer time settings:', error);
+      this.settings = this.mergeSettings(DEFAULT_SETTINGS, null);
+    }
+    return this.settings;
+  }
+
+  static async saveSettings(updates) {
+    const settings = this.mergeSettings(await this.getSettings(), updates);
+    await AsyncStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+    this.settings = settings;
+    return settings;
+  }
+
+  /**
+   * Settings for a mosque's times: whatever the mosque published wins over the listener's choices
+   */
+  static async getSettingsForMosque(mosque) {
+    return this.mergeSettings(await this.getSettings(), mosque?.prayerSettings);
+  }
+
+  static mergeSettings(base, overrides) {
+    const merged = { ...base, adjustments: { ...base.adjustments } };
+    if (!overrides) {
+      return merged;
+    }
+
+    ['calculationMethod', 'asrMadhab', 'highLatitudeRule'].forEach(key => {
+      if (overrides[key]) {
+        merged[key] = overrides[key];
+      }
+    });
+    if (overrides.adjustments) {
+      PRAYER_KEYS.forEach(prayer => {
+        if (overrides.adjustments[prayer] !== undefined && overrides.adjustments[prayer] !== null) {
+          merged.adjustments[prayer] = parseInt(overrides.adjustments[prayer], 10) || 0;
+        }
+      });
+    }
+    if (overrides.timezone) {
+      merged.timezone = overrides.timezone;
+    }
+    const hijriOffset = parseInt(overrides.hijriOffset, 10);
+    if (!isNaN(hijriOffset)) {
+      merged.hijriOffset = Math.max(-MAX_HIJRI_OFFSET, Math.min(MAX_HIJRI_OFFSET, hijriOffset));
+    }
+    return merged;
+  }
+
+  /**
+   * Prayer times at a mosque's own location, timezone and published calculation settings
+   */
+  static async getMosquePrayerTimes(mosque, date = new Date()) {
+    const location = this.getMosqueCoordinates(mosque);
+    if (!location) {
+      throw new Error('This mosque has no location set');
+    }
+
+    const settings = await this.getSettingsForMosque(mosque);
+    const timezone = TimezoneLookup.isValidZone(settings.timezone)
+      ? settings.timezone
+      : TimezoneLookup.lookup(location.latitude, location.longitude);
+
+    return this.getPrayerTimes(location.latitude, location.longitude, date, { settings, timezone });
+  }
+
+  /**
+   * Adhan and the mosque's published iqamah for each of the next days, in the mosque's timezone.
+   * Iqamah is empty for prayers the mosque has not published (or when the timetable cannot be loaded)
+   */
+  static async getMosqueSchedule(mosque, days = 7) {
+    const today = await this.getMosquePrayerTimes(mosque);
+    const { latitude, longitude } = today.location;
+    const options = { settings: today.settings, timezone: today.timezone };
+    const from = moment().tz(today.timezone).format('YYYY-MM-DD');
+
+    const result = await MosqueService.getTimetable(mosque.id, { from, days });
+    const timetableDays = result.success ? result.timetable.days : [];
+
+    const schedule = [];
+    for (let i = 0; i < days; i++) {
+      const date = moment(from, 'YYYY-MM-DD').add(i, 'days');
+      const dayTimes = i === 0
+        ? today
+        : await this.getPrayerTimes(latitude, longitude, date.toDate(), options);
+      const timetableDay = timetableDays.find(day => day.date === date.format('YYYY-MM-DD'));
+
+      schedule.push({
+        date: date.format('YYYY-MM-DD'),
+        times: dayTimes.times,
+        timestamps: dayTimes.timestamps,
+        hijri: dayTimes.hijri,
+        ...this.getIqamahTimes(timetableDay, dayTimes.timestamps, today.timezone),
+        isToday: i === 0,
+      });
+    }
+
+    return {
+      today,
+      schedule,
+      timezone: today.timezone,
+      published: Boolean(result.timetable?.published),
+      jumuah: this.formatJumuah(result.timetable?.jumuah || []),
+    };
+  }
+
+  /**
+   * Iqamah for one timetable day: fixed times are wall-clock at the mosque, offsets count from the calculated adhan
+   */
+  static getIqamahTimes(timetableDay, timestamps, timezone) {
+    const iqamahTimestamps = {};
+    const iqamah = {};
+
+    Object.entries(timetableDay?.prayers || {}).forEach(([prayer, entry]) => {
+      let time = null;
+      if (entry.type === 'fixed') {
+        time = moment.tz(`${timetableDay.date} ${entry.time}`, 'YYYY-MM-DD HH:mm', timezone);
+      } else if (timestamps?.[prayer]) {
+        time = moment(timestamps[prayer]).add(entry.offsetMinutes, 'minutes');
+      }
+
+      if (time) {
+        iqamahTimestamps[prayer] = time.toDate();
+        iqamah[prayer] = time.tz(timezone).format('h:mm A');
+      }
+    });
+
+    const jumuah = (timetableDay?.jumuah || []).map(slot => ({
+      ...slot,
+      khutbahAt: moment.tz(`${timetableDay.date} ${slot.khutbahTime}`, 'YYYY-MM-DD HH:mm', timezone).toDate(),
+      iqamahAt: slot.iqamahTime
+        ? moment.tz(`${timetableDay.date} ${slot.iqamahTime}`, 'YYYY-MM-DD HH:mm', timezone).toDate()
+        : null,
+    }));
+
+    return { iqamah, iqamahTimestamps, jumuah };
+  }
+
+  /**
+   * Jumu'ah slots with 12-hour display times
+   */
+  static formatJumuah(slots) {
+    const format = (time) => (time ? moment(time, 'HH:mm').format('h:mm A') : null);
+    return slots.map(slot => ({
+      ...slot,
+      khutbah: format(slot.khutbahTime),
+      iqamah: format(slot.iqamahTime),
+    }));
+  }
+
+  /**
+   * Mosque coordinates from either the formatted { lat, lng } or GeoJSON [lng, lat] shape
+   */
+  static getMosqueCoordinates(mosque) {
+    const location = mosque?.location;
+    if (!location) {
+      return null;
+    }
+    if (Array.isArray(location.coordinates) && location.coordinates.length >= 2) {
+      return { latitude: location.coordinates[1], longitude: location.coordinates[0] };
+    }
+    const latitude = location.lat ?? location.latitude;
+    const longitude = location.lng ?? location.longitude;
+    // Mosque lists send 0,0 when no location was set
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude) || (latitude === 0 && longitude === 0)) {
+      return null;
+    }
+    return { latitude, longitude };
+  }
+
   static getNextPrayer(prayerTimes, timezone) {
     const now = moment().tz(timezone);
     const prayers = [
@@ -96,30 +360,28 @@ class PrayerTimeService {
   }
 
   static async getTimezone(latitude, longitude) {
-    // This is a simplified timezone detection
-    // In a real app, you might want to use a more robust timezone API
+    // Looked up offline from the coordinates, not the device, so another city's mosque gets its own times
     try {
-      // For now, we'll use a simple approach based on longitude
-      // This is not accurate for all locations but works as a starting point
-      const offset = Math.round(longitude / 15);
-      return moment.tz.guess() || `Etc/GMT${offset >= 0 ? '-' : '+'}${Math.abs(offset)}`;
+      return TimezoneLookup.lookup(latitude, longitude);
     } catch (error) {
       console.error('Error getting timezone:', error);
       return moment.tz.guess() || 'UTC';
     }
   }
 
-  static async getPrayerTimesForWeek(latitude, longitude) {
+  static async getPrayerTimesForWeek(latitude, longitude, options = {}) {
     try {
       const weekTimes = [];
       const today = moment().startOf('day');
 
       for (let i = 0; i < 7; i++) {
         const date = today.clone().add(i, 'days').toDate();
-        const dayTimes = await this.getPrayerTimes(latitude, longitude, date);
+        const dayTimes = await this.getPrayerTimes(latitude, longitude, date, options);
         weekTimes.push({
           date: moment(date).format('dddd, MMM DD'),
           times: dayTimes.times,
+          timestamps: dayTimes.timestamps,
+          hijri: dayTimes.hijri,
           isToday: i === 0,
         });
       }
@@ -131,7 +393,7 @@ class PrayerTimeService {
     }
   }
 
-  static async getPrayerTimesForMonth(latitude, longitude, year, month) {
+  static async getPrayerTimesForMonth(latitude, longitude, year, month, options = {}) {
     try {
       const monthTimes = [];
       const startOfMonth = moment().year(year).month(month - 1).startOf('month');
@@ -139,7 +401,7 @@ class PrayerTimeService {
 
       for (let day = 1; day <= daysInMonth; day++) {
         const date = startOfMonth.clone().date(day).toDate();
-        const dayTimes = await this.getPrayerTimes(latitude, longitude, date);
+        const dayTimes = await this.getPrayerTimes(latitude, longitude, date, options);
         monthTimes.push({
           date: moment(date).format('DD'),
           fullDate: moment(date).format('YYYY-MM-DD'),
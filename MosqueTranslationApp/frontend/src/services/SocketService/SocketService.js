@@ -130,6 +130,12 @@ class SocketService {
       console.log('🔄 Translation update:', data);
       this.emitToListeners('translation_update', data);
     });
+
+    // Spoken translation segments (text-to-speech)
+    this.socket.on('translation_audio', (data) => {
+      console.log('🔊 Translation audio:', data.language, data.sequence);
+      this.emitToListeners('translation_audio', data);
+    });
   }
 
   async authenticateSocket() {
@@ -0,0 +1,193 @@
+// Offline Hijri Calendar for Mosque Translation App
+// Converts between Gregorian and Hijri dates with the Umm al-Qura tables for 1420-1500 AH (1999-2077)
+// and the tabular Islamic calendar outside them, and lists the Islamic events of any year.
+// Local moon sighting is an offset in days, so a mosque that began the month a day later than Makkah sets -1
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 1 Muharram 1420 as a day number (days since 1970-01-01)
+const UMM_AL_QURA_START_YEAR = 1420;
+const UMM_AL_QURA_EPOCH = Date.UTC(1999, 3, 17) / DAY_MS;
+
+// One entry per year from 1420 AH: bit n is set when month n + 1 has 30 days instead of 29
+const UMM_AL_QURA_MONTHS = [
+  0xbd2, 0xbc4, 0xb89, 0xa95, 0x52d, 0x5ad, 0xb6a, 0x6d4, 0xdc9, 0xd92,
+  0xaa6, 0x956, 0x2ae, 0x56d, 0x36a, 0xb55, 0xaaa, 0x94d, 0x49d, 0x95d,
+  0x2ba, 0x5b5, 0x5aa, 0xd55, 0xa9a, 0x92e, 0x26e, 0x55d, 0xada, 0x6d4,
+  0x6a5, 0xb27, 0xa4d, 0x4ad, 0x56d, 0xb5a, 0x754, 0xf49, 0xe92, 0xd26,
+  0xa56, 0x356, 0x6b5, 0xbaa, 0xb92, 0xb25, 0x68b, 0xa9b, 0x55a, 0xada,
+  0x5b4, 0xda9, 0xb52, 0xa9a, 0x536, 0x276, 0x575, 0xaf2, 0x6d4, 0x6a9,
+  0x555, 0x2ad, 0x4bd, 0x9ba, 0x574, 0xb69, 0xb52, 0xa95, 0x52d, 0xa5d,
+  0x4da, 0xad9, 0x6b2, 0xe95, 0xe2a, 0xc96, 0x92e, 0xaad, 0x56a, 0xd65,
+  0xd4a,
+];
+
+// 1 Muharram 1 AH (16 July 622, Julian) as a day number, for the tabular calendar
+const TABULAR_EPOCH = 1948440 - 2440588;
+
+export const HIJRI_MONTHS = [
+  'Muharram', 'Safar', "Rabi' al-Awwal", "Rabi' al-Thani",
+  'Jumada al-Awwal', 'Jumada al-Thani', 'Rajab', "Sha'ban",
+  'Ramadan', 'Shawwal', "Dhu al-Qi'dah", 'Dhu al-Hijjah',
+];
+
+// Yearly events by Hijri date. `night` events begin at Maghrib on the evening before their day
+export const ISLAMIC_EVENTS = [
+  { key: 'new_year', name: 'Islamic New Year', month: 1, day: 1, description: 'The first day of Muharram' },
+  { key: 'ashura', name: 'Day of Ashura', month: 1, day: 10, description: 'Fasting is recommended, together with the day before or after' },
+  { key: 'ramadan', name: 'Ramadan', month: 9, day: 1, description: 'The first day of fasting' },
+  { key: 'last_ten_nights', name: 'Last Ten Nights', month: 9, day: 21, night: true, description: 'The last ten nights of Ramadan begin' },
+  { key: 'laylat_al_qadr', name: 'Laylat al-Qadr', month: 9, day: 27, night: true, description: 'The Night of Power - one of the most sacred nights in Islam' },
+  { key: 'eid_al_fitr', name: 'Eid al-Fitr', month: 10, day: 1, description: 'Festival of Breaking the Fast' },
+  { key: 'dhul_hijjah', name: 'First Ten Days of Dhu al-Hijjah', month: 12, day: 1, description: 'The best days of the year for good deeds' },
+  { key: 'arafah', name: 'Day of Arafah', month: 12, day: 9, description: 'Fasting is recommended for those not on Hajj' },
+  { key: 'eid_al_adha', name: 'Eid al-Adha', month: 12, day: 10, description: 'Festival of Sacrifice' },
+];
+
+// The 13th-15th of each month; not in Ramadan, and not in Dhu al-Hijjah where the 13th is a day of Tashreeq
+const WHITE_DAYS = {
+  key: 'white_days',
+  name: 'White Days',
+  day: 13,
+  skipMonths: [9, 12],
+  description: 'The 13th, 14th and 15th - recommended days of fasting',
+};
+
+// Start of each Umm al-Qura year, plus the day after the table ends
+const yearStarts = UMM_AL_QURA_MONTHS.reduce((starts, months) => {
+  let length = 0;
+  for (let month = 0; month < 12; month++) {
+    length += (months >> month) & 1 ? 30 : 29;
+  }
+  starts.push(starts[starts.length - 1] + length);
+  return starts;
+}, [UMM_AL_QURA_EPOCH]);
+
+const TABLE_END = yearStarts[yearStarts.length - 1];
+
+// Calendar day of a Date in the device's time zone, as a day number
+const toDayNumber = (date) => Math.floor(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) / DAY_MS);
+
+// Local midnight of a day number
+const fromDayNumber = (dayNumber) => {
+  const utc = new Date(dayNumber * DAY_MS);
+  return new Date(utc.getUTCFullYear(), utc.getUTCMonth(), utc.getUTCDate());
+};
+
+const isTableYear = (year) => year >= UMM_AL_QURA_START_YEAR && year < UMM_AL_QURA_START_YEAR + UMM_AL_QURA_MONTHS.length;
+
+const tabularToDayNumber = (year, month, day) => (
+  day + Math.ceil(29.5 * (month - 1)) + (year - 1) * 354 + Math.floor((3 + 11 * year) / 30) + TABULAR_EPOCH - 1
+);
+
+const tabularFromDayNumber = (dayNumber) => {
+  const year = Math.floor((30 * (dayNumber - TABULAR_EPOCH) + 10646) / 10631);
+  const month = Math.min(12, Math.ceil((dayNumber - 29 - tabularToDayNumber(year, 1, 1)) / 29.5) + 1);
+  return { year, month, day: dayNumber - tabularToDayNumber(year, month, 1) + 1 };
+};
+
+export const HijriCalendar = {
+  /**
+   * Hijri date of a day (the device's calendar day of `date`), shifted by the local sighting offset
+   */
+  toHijri(date = new Date(), offsetDays = 0) {
+    const dayNumber = toDayNumber(date) + (parseInt(offsetDays, 10) || 0);
+    let hijri;
+
+    if (dayNumber >= UMM_AL_QURA_EPOCH && dayNumber < TABLE_END) {
+      let index = 0;
+      while (yearStarts[index + 1] <= dayNumber) {
+        index++;
+      }
+      const year = UMM_AL_QURA_START_YEAR + index;
+      let month = 1;
+      let day = dayNumber - yearStarts[index] + 1;
+      while (day > this.daysInMonth(year, month)) {
+        day -= this.daysInMonth(year, month);
+        month++;
+      }
+      hijri = { year, month, day, source: 'ummalqura' };
+    } else {
+      hijri = { ...tabularFromDayNumber(dayNumber), source: 'tabular' };
+    }
+
+    return {
+      ...hijri,
+      monthName: HIJRI_MONTHS[hijri.month - 1],
+      formatted: `${hijri.day} ${HIJRI_MONTHS[hijri.month - 1]} ${hijri.year} AH`,
+    };
+  },
+
+  /**
+   * Local midnight of the Gregorian day a Hijri date falls on, with the same offset as toHijri
+   */
+  toGregorian(year, month, day, offsetDays = 0) {
+    let dayNumber;
+    if (isTableYear(year)) {
+      dayNumber = yearStarts[year - UMM_AL_QURA_START_YEAR] + day - 1;
+      for (let previous = 1; previous < month; previous++) {
+        dayNumber += this.daysInMonth(year, previous);
+      }
+    } else {
+      dayNumber = tabularToDayNumber(year, month, day);
+    }
+    return fromDayNumber(dayNumber - (parseInt(offsetDays, 10) || 0));
+  },
+
+  daysInMonth(year, month) {
+    if (isTableYear(year)) {
+      return (UMM_AL_QURA_MONTHS[year - UMM_AL_QURA_START_YEAR] >> (month - 1)) & 1 ? 30 : 29;
+    }
+    // Tabular: odd months have 30 days, and Dhu al-Hijjah has 30 in the 11 leap years of each 30-year cycle
+    if (month % 2 === 1 || (month === 12 && (14 + 11 * year) % 30 < 11)) {
+      return 30;
+    }
+    return 29;
+  },
+
+  /**
+   * Every event of a Hijri year with its Gregorian date, in date order
+   */
+  getEvents(year, offsetDays = 0) {
+    const events = [...ISLAMIC_EVENTS];
+
+    for (let month = 1; month <= 12; month++) {
+      if (!WHITE_DAYS.skipMonths.includes(month)) {
+        events.push({
+          key: WHITE_DAYS.key,
+          name: WHITE_DAYS.name,
+          description: WHITE_DAYS.description,
+          month,
+          day: WHITE_DAYS.day,
+        });
+      }
+    }
+
+    return events
+      .map(event => ({
+        key: event.key,
+        name: event.name,
+        description: event.description,
+        night: Boolean(event.night),
+        hijri: { year, month: event.month, day: event.day },
+        date: this.toGregorian(year, event.month, event.day, offsetDays),
+      }))
+      .sort((a, b) => a.date - b.date);
+  },
+
+  /**
+   * Events from today (or `from`) through the next `days` days
+   */
+  getUpcomingEvents({ from = new Date(), days = 365, offsetDays = 0 } = {}) {
+    const start = toDayNumber(from);
+    const { year } = this.toHijri(from, offsetDays);
+
+    return [year, year + 1]
+      .flatMap(eventYear => this.getEvents(eventYear, offsetDays))
+      .filter(event => {
+        const dayNumber = toDayNumber(event.date);
+        return dayNumber >= start && dayNumber < start + days;
+      });
+  },
+};
+
+export default HijriCalendar;
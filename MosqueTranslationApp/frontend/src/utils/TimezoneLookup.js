@@ -0,0 +1,48 @@
+// Offline Timezone Lookup for Mosque Translation App
+// Maps coordinates to an IANA timezone with the zone boundaries of timezone-boundary-builder (bundled by
+// tz-lookup), so a followed mosque in another city gets its own local prayer times without a network call.
+// Mosques store their zone at registration; this is the fallback for those that never did
+import moment from 'moment-timezone';
+import tzlookup from '@photostructure/tz-lookup';
+
+export const TimezoneLookup = {
+  /**
+   * IANA timezone for a location; the device zone when the location is unknown.
+   * 0,0 is what the app stores for a location that was never set
+   */
+  lookup(latitude, longitude) {
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude) || (latitude === 0 && longitude === 0)) {
+      return this.getDeviceZone();
+    }
+
+    try {
+      const zone = tzlookup(latitude, longitude);
+      // The boundary data can name a zone this moment-timezone build does not know yet
+      return this.isValidZone(zone) ? zone : this.getOffsetZone(longitude);
+    } catch (error) {
+      // Out-of-range coordinates
+      return this.getDeviceZone();
+    }
+  },
+
+  /**
+   * Zone the phone is set to, e.g. for a mosque registering from its own premises
+   */
+  getDeviceZone() {
+    return moment.tz.guess() || 'UTC';
+  },
+
+  /**
+   * Fixed offset from the longitude, Etc/GMT signs being inverted
+   */
+  getOffsetZone(longitude) {
+    const offset = Math.round(longitude / 15);
+    return offset === 0 ? 'UTC' : `Etc/GMT${offset > 0 ? '-' : '+'}${Math.abs(offset)}`;
+  },
+
+  isValidZone(name) {
+    return Boolean(name && moment.tz.zone(name));
+  },
+};
+
+export default TimezoneLookup;
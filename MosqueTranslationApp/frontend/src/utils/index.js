@@ -1,5 +1,6 @@
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import moment from 'moment';
+import HijriCalendar from './HijriCalendar';
 
 // Device and Storage Utilities
 export const DeviceUtils = {
@@ -136,13 +137,8 @@ export const DateUtils = {
     return moment(date).fromNow();
   },
 
-  convertToHijri(gregorianDate) {
-    // Simplified Hijri conversion - in a real app, use a proper Hijri calendar library
-    const hijriYear = Math.floor((moment(gregorianDate).year() - 622) * 1.030684);
-    return {
-      year: hijriYear,
-      formatted: `${hijriYear} AH`,
-    };
+  convertToHijri(gregorianDate, offsetDays = 0) {
+    return HijriCalendar.toHijri(moment(gregorianDate).toDate(), offsetDays);
   },
 };
 
@@ -305,12 +301,8 @@ export const IslamicUtils = {
     return bearing;
   },
 
-  isRamadan() {
-    // Simplified check - in a real app, use proper Islamic calendar
-    const now = moment();
-    const ramadanStart = moment('2024-03-11'); // Example date
-    const ramadanEnd = moment('2024-04-09'); // Example date
-    return now.isBetween(ramadanStart, ramadanEnd);
+  isRamadan(offsetDays = 0) {
+    return HijriCalendar.toHijri(new Date(), offsetDays).month === 9;
   },
 };
 